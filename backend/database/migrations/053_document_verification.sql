@@ -0,0 +1,23 @@
+-- Migration 053: Document verification
+-- Every PDF issued with a QR verification code is recorded in document_render_logs.
+-- The public verification page looks the issuance up by token hash and reports
+-- whether the document is still valid, has been revoked by the TP office, or has
+-- been superseded by a later issuance with different details (e.g. a re-posting).
+
+ALTER TABLE `document_render_logs`
+  ADD COLUMN `verification_hash` CHAR(64) DEFAULT NULL
+    COMMENT 'SHA-256 of the QR verification token (pdf renders only)'
+    AFTER `render_type`,
+  ADD COLUMN `snapshot_hash` CHAR(64) DEFAULT NULL
+    COMMENT 'SHA-256 of the issued details; a later issuance with a different hash supersedes this one'
+    AFTER `verification_hash`,
+  ADD COLUMN `document_snapshot` JSON DEFAULT NULL
+    COMMENT 'Details printed on the document: student, school, session'
+    AFTER `snapshot_hash`,
+  ADD COLUMN `verification_count` INT UNSIGNED NOT NULL DEFAULT 0 AFTER `ip_address`,
+  ADD COLUMN `last_verified_at` TIMESTAMP NULL DEFAULT NULL AFTER `verification_count`,
+  ADD COLUMN `revoked_at` TIMESTAMP NULL DEFAULT NULL AFTER `last_verified_at`,
+  ADD COLUMN `revoked_by` BIGINT DEFAULT NULL AFTER `revoked_at`,
+  ADD COLUMN `revocation_reason` VARCHAR(500) DEFAULT NULL AFTER `revoked_by`,
+  ADD UNIQUE KEY `uk_verification_hash` (`verification_hash`),
+  ADD KEY `idx_issuance_lookup` (`institution_id`, `student_id`, `session_id`, `document_type`, `render_type`);
@@ -0,0 +1,36 @@
+-- Migration 054: Student school preferences
+-- When a session has allow_student_school_preference switched on, students rank
+-- up to max_school_preferences schools during the acceptance window. Staff see
+-- the choices when reviewing acceptances, and preference-based placement treats
+-- them as a weighted soft constraint when assigning schools.
+
+ALTER TABLE `academic_sessions`
+  ADD COLUMN `max_school_preferences` TINYINT UNSIGNED NOT NULL DEFAULT 3
+    COMMENT 'How many ranked school preferences a student may submit'
+    AFTER `allow_student_school_preference`;
+
+CREATE TABLE IF NOT EXISTS `student_school_preferences` (
+  `id` bigint(20) NOT NULL AUTO_INCREMENT,
+  `institution_id` bigint(20) NOT NULL,
+  `session_id` bigint(20) NOT NULL,
+  `student_id` bigint(20) NOT NULL,
+  `institution_school_id` bigint(20) NOT NULL,
+  `preference_rank` TINYINT UNSIGNED NOT NULL COMMENT '1 = first choice',
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_ssp_rank` (`session_id`, `student_id`, `preference_rank`),
+  UNIQUE KEY `uq_ssp_school` (`session_id`, `student_id`, `institution_school_id`),
+  KEY `idx_ssp_institution_session` (`institution_id`, `session_id`),
+  KEY `idx_ssp_school` (`institution_school_id`),
+
+  CONSTRAINT `fk_ssp_institution` FOREIGN KEY (`institution_id`)
+    REFERENCES `institutions` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_ssp_session` FOREIGN KEY (`session_id`)
+    REFERENCES `academic_sessions` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_ssp_student` FOREIGN KEY (`student_id`)
+    REFERENCES `students` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_ssp_school` FOREIGN KEY (`institution_school_id`)
+    REFERENCES `institution_schools` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,37 @@
+-- Migration 055: Persistent email queue
+-- Moves the email queue out of process memory so pending mail survives
+-- restarts and deploys, and several workers (PM2 cluster mode) can drain one
+-- shared queue. Workers claim rows with a single UPDATE ... LIMIT stamped with
+-- a claim token, so a row is only ever sent by the worker that claimed it.
+-- Rows stuck in 'processing' after a crash are released again by the lock
+-- timeout. Failed sends are retried on a schedule (next_attempt_at) and end up
+-- in 'dead-letter' after the last attempt.
+--
+-- The payload (recipient, template data - which can include passwords and
+-- reset links) is encrypted with AES-256-GCM and cleared once the email is sent.
+
+CREATE TABLE IF NOT EXISTS `email_queue` (
+  `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+  `job_id` varchar(64) NOT NULL,
+  `institution_id` bigint(20) DEFAULT NULL COMMENT 'NULL for system emails',
+  `template` varchar(50) NOT NULL,
+  `recipient_email_hash` varchar(64) NOT NULL,
+  `payload` text DEFAULT NULL COMMENT 'Encrypted { to, template, data }',
+  `priority` tinyint(3) UNSIGNED NOT NULL DEFAULT 2 COMMENT '1 = high, 2 = normal, 3 = low',
+  `status` varchar(20) NOT NULL DEFAULT 'pending' COMMENT 'pending, processing, completed, dead-letter',
+  `attempts` int(11) NOT NULL DEFAULT 0 COMMENT 'Failed send attempts so far',
+  `last_error` varchar(500) DEFAULT NULL,
+  `next_attempt_at` datetime(3) NOT NULL DEFAULT current_timestamp(3),
+  `locked_by` varchar(100) DEFAULT NULL COMMENT 'Claim token of the worker sending it',
+  `locked_at` datetime(3) DEFAULT NULL,
+  `completed_at` datetime(3) DEFAULT NULL,
+  `failed_at` datetime(3) DEFAULT NULL,
+  `created_at` datetime(3) NOT NULL DEFAULT current_timestamp(3),
+  `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_email_queue_job` (`job_id`),
+  KEY `idx_email_queue_claim` (`status`, `priority`, `next_attempt_at`),
+  KEY `idx_email_queue_locked` (`locked_by`),
+  KEY `idx_email_queue_institution` (`institution_id`, `status`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,25 @@
+-- Migration 056: Link email logs to queue jobs
+-- Each send attempt made by the email queue now records its job id, so the
+-- email log admin can show the queue state of a failed send and retry it from
+-- the dead-letter queue. System emails (no institution) are logged too, which
+-- needs institution_id to be nullable; v_email_stats lists them as 'System'.
+
+ALTER TABLE `email_logs`
+  MODIFY COLUMN `institution_id` bigint(20) DEFAULT NULL,
+  ADD COLUMN `queue_job_id` varchar(64) DEFAULT NULL AFTER `error_message`,
+  ADD KEY `idx_email_logs_institution_sent` (`institution_id`, `sent_at`),
+  ADD KEY `idx_email_logs_queue_job` (`queue_job_id`),
+  ADD KEY `idx_email_logs_recipient` (`recipient_email_hash`);
+
+CREATE OR REPLACE VIEW `v_email_stats` AS
+SELECT
+  `el`.`institution_id` AS `institution_id`,
+  COALESCE(`i`.`name`, 'System') AS `institution_name`,
+  `el`.`email_type` AS `email_type`,
+  `el`.`status` AS `status`,
+  COUNT(0) AS `count`,
+  CAST(`el`.`sent_at` AS date) AS `date`
+FROM `email_logs` `el`
+LEFT JOIN `institutions` `i` ON `el`.`institution_id` = `i`.`id`
+GROUP BY `el`.`institution_id`, `i`.`name`, `el`.`email_type`, `el`.`status`, CAST(`el`.`sent_at` AS date)
+ORDER BY `el`.`institution_id`, CAST(`el`.`sent_at` AS date) DESC, `el`.`email_type`;
@@ -0,0 +1,51 @@
+-- Migration 057: SMS notifications
+-- Adds an SMS channel next to email. Each institution picks a provider and
+-- stores its own credentials (the API key is encrypted by encryptionService,
+-- like smtp_password). SMS jobs go through the email_queue table and are
+-- logged in email_logs, distinguished by the new `channel` column, so they get
+-- the same retries, dead-letter handling and delivery log as email.
+--
+-- Also brings back the sms_notifications feature key that migration 045
+-- removed while nothing implemented it. It stays off until enabled per
+-- institution.
+
+ALTER TABLE `institutions`
+  ADD COLUMN `sms_provider` varchar(30) DEFAULT NULL COMMENT 'termii, africastalking or stub' AFTER `smtp_from_email`,
+  ADD COLUMN `sms_api_key` varchar(500) DEFAULT NULL COMMENT 'Encrypted' AFTER `sms_provider`,
+  ADD COLUMN `sms_username` varchar(100) DEFAULT NULL COMMENT 'Account username (Africa''s Talking)' AFTER `sms_api_key`,
+  ADD COLUMN `sms_sender_id` varchar(11) DEFAULT NULL COMMENT 'Registered alphanumeric sender ID' AFTER `sms_username`;
+
+-- The student portal profile already writes students.phone (PUT /portal/profile)
+ALTER TABLE `students`
+  ADD COLUMN IF NOT EXISTS `phone` varchar(20) DEFAULT NULL AFTER `full_name`;
+
+ALTER TABLE `email_queue`
+  ADD COLUMN `channel` varchar(10) NOT NULL DEFAULT 'email' COMMENT 'email or sms' AFTER `institution_id`;
+
+ALTER TABLE `email_logs`
+  ADD COLUMN `channel` varchar(10) NOT NULL DEFAULT 'email' COMMENT 'email or sms' AFTER `institution_id`;
+
+CREATE OR REPLACE VIEW `v_email_stats` AS
+SELECT
+  `el`.`institution_id` AS `institution_id`,
+  COALESCE(`i`.`name`, 'System') AS `institution_name`,
+  `el`.`channel` AS `channel`,
+  `el`.`email_type` AS `email_type`,
+  `el`.`status` AS `status`,
+  COUNT(0) AS `count`,
+  CAST(`el`.`sent_at` AS date) AS `date`
+FROM `email_logs` `el`
+LEFT JOIN `institutions` `i` ON `el`.`institution_id` = `i`.`id`
+GROUP BY `el`.`institution_id`, `i`.`name`, `el`.`channel`, `el`.`email_type`, `el`.`status`, CAST(`el`.`sent_at` AS date)
+ORDER BY `el`.`institution_id`, CAST(`el`.`sent_at` AS date) DESC, `el`.`email_type`;
+
+INSERT INTO feature_toggles
+  (feature_key, name, description, is_enabled, is_premium, default_enabled, scope, module, created_at, updated_at)
+SELECT
+  'sms_notifications',
+  'SMS Notifications',
+  'Send posting, payment, PIN reset and monitor assignment alerts by SMS.',
+  0, 1, 0, 'institution', 'notifications', NOW(), NOW()
+WHERE NOT EXISTS (
+  SELECT 1 FROM feature_toggles WHERE feature_key = 'sms_notifications'
+);
@@ -0,0 +1,37 @@
+-- Migration 058: In-app notifications
+-- Notices shown in the bell / inbox of the staff and student portals. Domain
+-- events (posting created, acceptance reviewed, monitor assigned, ...) write a
+-- row per recipient. A recipient is either a staff user or a student, so the
+-- pair (recipient_type, recipient_id) identifies them rather than a foreign key.
+--
+-- School update requests submitted from the student portal now remember the
+-- student, so they can be told when the request is reviewed. Requests from the
+-- public school pages stay anonymous (NULL).
+
+CREATE TABLE IF NOT EXISTS `notifications` (
+  `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+  `institution_id` bigint(20) NOT NULL,
+  `recipient_type` enum('staff','student') NOT NULL,
+  `recipient_id` bigint(20) NOT NULL COMMENT 'users.id or students.id',
+  `type` varchar(50) NOT NULL COMMENT 'e.g. posting_created, acceptance_reviewed',
+  `title` varchar(200) NOT NULL,
+  `message` varchar(1000) NOT NULL,
+  `link` varchar(255) DEFAULT NULL COMMENT 'Portal route to open, e.g. /admin/my-postings',
+  `resource_type` varchar(50) DEFAULT NULL,
+  `resource_id` bigint(20) DEFAULT NULL,
+  `read_at` datetime DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+
+  PRIMARY KEY (`id`),
+  KEY `idx_notifications_recipient` (`recipient_type`, `recipient_id`, `institution_id`, `read_at`),
+  KEY `idx_notifications_institution_created` (`institution_id`, `created_at`),
+
+  CONSTRAINT `fk_notifications_institution` FOREIGN KEY (`institution_id`)
+    REFERENCES `institutions` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE `school_principal_update_requests`
+  ADD COLUMN `submitted_by_student_id` bigint(20) DEFAULT NULL AFTER `contributor_phone`;
+
+ALTER TABLE `school_location_update_requests`
+  ADD COLUMN `submitted_by_student_id` bigint(20) DEFAULT NULL AFTER `contributor_phone`;
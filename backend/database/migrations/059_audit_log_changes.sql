@@ -0,0 +1,17 @@
+-- Migration 059: Audit log field changes and activity log indexes
+-- Audit entries are now written through auditService, which records the
+-- fields a change touched as { field: { from, to } } alongside the existing
+-- free-form details. Mutating requests that no controller audits explicitly
+-- still get a generic entry (route, method, redacted body) from the
+-- auditTrail middleware.
+--
+-- The Activity Log page filters by institution and date range, user, and
+-- resource; these indexes cover those lookups. Entries raised without a signed
+-- in user (payment webhooks, failed logins) are recorded as 'system'.
+
+ALTER TABLE `audit_logs`
+  MODIFY COLUMN `user_type` enum('staff','student','system') DEFAULT 'staff',
+  ADD COLUMN `changes` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL
+    COMMENT 'Changed fields: { field: { from, to } }' CHECK (json_valid(`changes`)) AFTER `details`,
+  ADD KEY `idx_audit_institution_created` (`institution_id`, `created_at`),
+  ADD KEY `idx_audit_user_created` (`user_id`, `created_at`);
@@ -0,0 +1,18 @@
+-- Migration 060: Computed school distances
+-- institution_schools.distance_km drives every supervisor allowance but was
+-- only ever typed in by hand. It can now be computed from the institution's
+-- location and the school's master_schools.location, either as the
+-- great-circle distance multiplied by a road factor or through an offline
+-- road-network router (see distanceService).
+--
+-- distance_source records where the current figure came from: 'manual'
+-- values are left alone by the "recalculate distances" action unless the
+-- coordinator asks for them to be included.
+
+ALTER TABLE `institutions`
+  ADD COLUMN `distance_method` varchar(30) NOT NULL DEFAULT 'great_circle' COMMENT 'great_circle or road_network' AFTER `location`,
+  ADD COLUMN `distance_road_factor` decimal(4,2) NOT NULL DEFAULT 1.30 COMMENT 'Great-circle to road distance multiplier' AFTER `distance_method`;
+
+ALTER TABLE `institution_schools`
+  ADD COLUMN `distance_source` enum('manual','computed') NOT NULL DEFAULT 'manual' AFTER `distance_km`,
+  ADD COLUMN `distance_computed_at` datetime DEFAULT NULL AFTER `distance_source`;
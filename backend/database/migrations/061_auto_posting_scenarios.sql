@@ -0,0 +1,39 @@
+-- Migration 061: Auto-posting what-if scenarios
+-- A scenario is a named auto-posting run that was planned but not executed:
+-- the criteria it used (posting_type, priority_enabled, avoid_repeat_schools,
+-- cost weight overrides), the assignments the engine produced and the metrics
+-- coordinators compare scenarios on (allowance cost, load and travel spread,
+-- repeat schools). Executing a scenario creates postings from the stored
+-- assignments through the normal auto-posting batch.
+--
+-- Executing one scenario fills slots the others planned for, so the remaining
+-- drafts in that session become 'superseded' until they are recomputed.
+
+CREATE TABLE IF NOT EXISTS `auto_posting_scenarios` (
+  `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+  `institution_id` bigint(20) NOT NULL,
+  `session_id` bigint(20) NOT NULL,
+  `name` varchar(100) NOT NULL,
+  `criteria` longtext NOT NULL COMMENT 'JSON: number_of_postings, posting_type, priority_enabled, avoid_repeat_schools, faculty_id, weights',
+  `metrics` longtext NOT NULL COMMENT 'JSON: total_allowance, load_stddev, travel_stddev_km, repeat_schools, ...',
+  `statistics` longtext DEFAULT NULL COMMENT 'JSON: engine statistics for the run',
+  `warnings` longtext DEFAULT NULL COMMENT 'JSON array',
+  `assignments` longtext NOT NULL COMMENT 'JSON: planned assignments, executed as-is',
+  `status` enum('draft','executed','superseded') NOT NULL DEFAULT 'draft',
+  `batch_id` bigint(20) DEFAULT NULL COMMENT 'auto_posting_batches.id once executed',
+  `created_by` bigint(20) DEFAULT NULL,
+  `computed_at` datetime NOT NULL,
+  `executed_at` datetime DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_auto_posting_scenarios_name` (`institution_id`, `session_id`, `name`),
+  KEY `idx_auto_posting_scenarios_session` (`session_id`, `status`),
+
+  CONSTRAINT `fk_auto_posting_scenarios_institution` FOREIGN KEY (`institution_id`)
+    REFERENCES `institutions` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE `auto_posting_batches`
+  ADD COLUMN `scenario_id` bigint(20) UNSIGNED DEFAULT NULL AFTER `session_id`;
@@ -0,0 +1,43 @@
+-- Migration 062: Supervisor posting constraints
+-- Hard rules on who may be posted where in a session, recorded by the
+-- supervisor themselves or by the head of TP:
+--
+--   unavailable      - on leave for a visit (visit_number), for a date window
+--                      (start_date/end_date, matched against the session's
+--                      supervision_visit_timelines), or the whole session
+--   blocked_school   - conflict of interest with institution_school_id
+--   blocked_lga      - must not be posted to schools in lga
+--   blocked_route    - must not be posted on route_id
+--   never_pair       - never at the same school on the same visit as
+--                      other_supervisor_id (applies both ways)
+--   must_pair        - only posted to a school for a visit when
+--                      other_supervisor_id is posted there for that visit
+--
+-- Both the auto-posting engine and manual posting validation treat these as
+-- hard constraints and explain which rule excluded a supervisor.
+
+CREATE TABLE IF NOT EXISTS `supervisor_posting_constraints` (
+  `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+  `institution_id` bigint(20) NOT NULL,
+  `session_id` bigint(20) NOT NULL,
+  `supervisor_id` bigint(20) NOT NULL,
+  `constraint_type` enum('unavailable','blocked_school','blocked_lga','blocked_route','never_pair','must_pair') NOT NULL,
+  `visit_number` int(11) DEFAULT NULL,
+  `start_date` date DEFAULT NULL,
+  `end_date` date DEFAULT NULL,
+  `institution_school_id` bigint(20) DEFAULT NULL,
+  `lga` varchar(100) DEFAULT NULL,
+  `route_id` bigint(20) DEFAULT NULL,
+  `other_supervisor_id` bigint(20) DEFAULT NULL,
+  `reason` varchar(255) DEFAULT NULL,
+  `created_by` bigint(20) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+
+  PRIMARY KEY (`id`),
+  KEY `idx_posting_constraints_session` (`institution_id`, `session_id`),
+  KEY `idx_posting_constraints_supervisor` (`supervisor_id`, `session_id`),
+
+  CONSTRAINT `fk_posting_constraints_institution` FOREIGN KEY (`institution_id`)
+    REFERENCES `institutions` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
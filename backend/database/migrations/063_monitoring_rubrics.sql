@@ -0,0 +1,89 @@
+-- Migration 063: Structured monitoring evaluation
+-- Field monitoring reports were free text only. Each institution now keeps a
+-- rubric of criteria rated numerically, in three categories:
+--   supervisor - rated once per report for the supervisor evaluated (punctuality, ...)
+--   student    - rated per student observed (lesson-plan quality, ...)
+--   school     - rated once per report for the school (cooperation, ...)
+-- A report stores its ratings, the students it covers and photo attachments;
+-- overall_rating caches the report's score as a percentage of the maximum so
+-- the dashboard can average it by school, supervisor and route.
+
+CREATE TABLE IF NOT EXISTS `monitoring_criteria` (
+  `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+  `institution_id` bigint(20) NOT NULL,
+  `name` varchar(100) NOT NULL COMMENT 'Internal identifier e.g. supervisor_punctuality',
+  `label` varchar(255) NOT NULL COMMENT 'Display label e.g. Supervisor Punctuality',
+  `description` text DEFAULT NULL COMMENT 'What the monitor should look for',
+  `category` enum('supervisor','student','school') NOT NULL,
+  `max_rating` tinyint(3) UNSIGNED NOT NULL DEFAULT 5,
+  `order_index` int(11) NOT NULL DEFAULT 0,
+  `is_active` tinyint(1) NOT NULL DEFAULT 1,
+  `created_by` bigint(20) DEFAULT NULL,
+  `updated_by` bigint(20) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_monitoring_criteria_name` (`institution_id`, `name`),
+  KEY `idx_monitoring_criteria_active` (`institution_id`, `is_active`, `order_index`),
+
+  CONSTRAINT `fk_monitoring_criteria_institution` FOREIGN KEY (`institution_id`)
+    REFERENCES `institutions` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE `monitoring_reports`
+  ADD COLUMN `supervisor_id` bigint(20) DEFAULT NULL COMMENT 'Supervisor evaluated on this visit' AFTER `institution_school_id`,
+  ADD COLUMN `overall_rating` decimal(5,2) DEFAULT NULL COMMENT 'Ratings as a percentage of the rubric maximum' AFTER `additional_notes`,
+  ADD KEY `idx_monitoring_reports_supervisor` (`supervisor_id`);
+
+-- Students observed on the visit
+CREATE TABLE IF NOT EXISTS `monitoring_report_students` (
+  `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+  `report_id` bigint(20) NOT NULL,
+  `student_id` bigint(20) NOT NULL,
+  `comments` text DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_monitoring_report_students` (`report_id`, `student_id`),
+  KEY `idx_monitoring_report_students_student` (`student_id`),
+
+  CONSTRAINT `fk_monitoring_report_students_report` FOREIGN KEY (`report_id`)
+    REFERENCES `monitoring_reports` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- One row per criterion rated; student_id is set for student criteria only
+CREATE TABLE IF NOT EXISTS `monitoring_report_ratings` (
+  `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+  `report_id` bigint(20) NOT NULL,
+  `criterion_id` bigint(20) UNSIGNED NOT NULL,
+  `student_id` bigint(20) DEFAULT NULL,
+  `rating` decimal(4,1) NOT NULL,
+  `comment` varchar(500) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+
+  PRIMARY KEY (`id`),
+  KEY `idx_monitoring_report_ratings_report` (`report_id`),
+  KEY `idx_monitoring_report_ratings_criterion` (`criterion_id`),
+
+  CONSTRAINT `fk_monitoring_report_ratings_report` FOREIGN KEY (`report_id`)
+    REFERENCES `monitoring_reports` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_monitoring_report_ratings_criterion` FOREIGN KEY (`criterion_id`)
+    REFERENCES `monitoring_criteria` (`id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS `monitoring_report_photos` (
+  `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+  `report_id` bigint(20) NOT NULL,
+  `url` varchar(500) NOT NULL,
+  `public_id` varchar(255) DEFAULT NULL COMMENT 'Cloudinary public ID, for deletion',
+  `caption` varchar(255) DEFAULT NULL,
+  `uploaded_by` bigint(20) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+
+  PRIMARY KEY (`id`),
+  KEY `idx_monitoring_report_photos_report` (`report_id`),
+
+  CONSTRAINT `fk_monitoring_report_photos_report` FOREIGN KEY (`report_id`)
+    REFERENCES `monitoring_reports` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
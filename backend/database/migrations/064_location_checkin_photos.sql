@@ -0,0 +1,16 @@
+-- Migration 064: Selfie and site photo at supervisor check-in
+-- supervision_location_logs has carried selfie_url and environment_photo_url
+-- since migration 035 but nothing filled them. Check-in now requires a live
+-- selfie and a photo of the school environment. Each image's SHA-256 is kept
+-- so the same picture submitted again on another visit can be flagged, and
+-- the Cloudinary public ID so the image can be removed later.
+
+ALTER TABLE `supervision_location_logs`
+  MODIFY COLUMN `selfie_url` varchar(500) DEFAULT NULL COMMENT 'Selfie taken at check-in',
+  MODIFY COLUMN `environment_photo_url` varchar(500) DEFAULT NULL COMMENT 'Photo of the school environment taken at check-in',
+  ADD COLUMN `selfie_public_id` varchar(255) DEFAULT NULL AFTER `selfie_url`,
+  ADD COLUMN `selfie_hash` char(64) DEFAULT NULL COMMENT 'SHA-256 of the uploaded selfie' AFTER `selfie_public_id`,
+  ADD COLUMN `environment_photo_public_id` varchar(255) DEFAULT NULL AFTER `environment_photo_url`,
+  ADD COLUMN `environment_photo_hash` char(64) DEFAULT NULL COMMENT 'SHA-256 of the uploaded site photo' AFTER `environment_photo_public_id`,
+  ADD KEY `idx_sll_selfie_hash` (`selfie_hash`),
+  ADD KEY `idx_sll_environment_photo_hash` (`environment_photo_hash`);
@@ -0,0 +1,15 @@
+-- Migration 065: Anomaly scores for supervisor check-ins
+-- Each check-in is scored for impossible travel since the supervisor's
+-- previous check-in, suspiciously perfect GPS accuracy, large clock drift, a
+-- device shared with other supervisors and coordinates repeated exactly from
+-- another check-in (see locationAnomalyService). risk_flags holds the flags
+-- raised as [{ "code": ..., "detail": ... }].
+-- Check-ins recorded before this migration stay unscored (risk_level NULL)
+-- until an admin runs "Rescore" on the location logs page.
+
+ALTER TABLE `supervision_location_logs`
+  ADD COLUMN `risk_score` tinyint(3) UNSIGNED DEFAULT NULL COMMENT '0-100, sum of flag weights' AFTER `validation_message`,
+  ADD COLUMN `risk_level` enum('low','medium','high') DEFAULT NULL AFTER `risk_score`,
+  ADD COLUMN `risk_flags` JSON DEFAULT NULL AFTER `risk_level`,
+  ADD KEY `idx_sll_risk` (`institution_id`, `risk_level`),
+  ADD KEY `idx_sll_coordinates` (`latitude`, `longitude`);
@@ -0,0 +1,35 @@
+-- Migration 066: Deferred sync of offline check-ins and scores
+-- Supervisors at schools with poor connectivity capture check-ins and scores
+-- offline and sync them later as signed, sequenced records (see
+-- offlineSyncService). offline_sync_records keeps the outcome of every record
+-- synced, per user and device: the highest sequence is what the next record
+-- must exceed, and a batch re-sent after a lost response gets its earlier
+-- outcome back.
+-- Check-ins that arrive this way are marked deferred in the location logs,
+-- with the device sequence and when they synced.
+
+CREATE TABLE IF NOT EXISTS `offline_sync_records` (
+  `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+  `institution_id` bigint(20) NOT NULL,
+  `user_id` bigint(20) NOT NULL,
+  `device_id` varchar(64) NOT NULL COMMENT 'Device UUID held in the browser',
+  `sequence` int(10) UNSIGNED NOT NULL COMMENT 'Per-device counter, rises with every record captured',
+  `record_type` enum('check_in','scores') NOT NULL,
+  `client_id` varchar(64) NOT NULL COMMENT 'Record ID assigned on the device',
+  `client_timestamp` datetime NOT NULL COMMENT 'When the record was captured (signed)',
+  `status` enum('accepted','rejected') NOT NULL,
+  `message` varchar(500) DEFAULT NULL,
+  `resource_id` bigint(20) DEFAULT NULL COMMENT 'supervision_location_logs.id for an accepted check-in',
+  `synced_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_offline_sync_device_sequence` (`user_id`, `device_id`, `sequence`),
+  KEY `idx_offline_sync_institution` (`institution_id`, `synced_at`),
+  CONSTRAINT `fk_offline_sync_institution` FOREIGN KEY (`institution_id`)
+    REFERENCES `institutions` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE `supervision_location_logs`
+  ADD COLUMN `sync_mode` enum('live','deferred') NOT NULL DEFAULT 'live' COMMENT 'deferred = captured offline, synced later' AFTER `time_drift_seconds`,
+  ADD COLUMN `client_sequence` int(10) UNSIGNED DEFAULT NULL COMMENT 'Device sequence of a deferred check-in' AFTER `sync_mode`,
+  ADD COLUMN `synced_at` datetime DEFAULT NULL COMMENT 'When a deferred check-in reached the server' AFTER `client_sequence`,
+  ADD KEY `idx_sll_sync_mode` (`institution_id`, `sync_mode`);
@@ -0,0 +1,28 @@
+-- Migration 067: Visit compliance
+-- The compliance report (visitComplianceService) joins each supervisor
+-- posting to its visit window in supervision_visit_timelines and to the
+-- check-in in supervision_location_logs. A check-in rejected for being
+-- outside the geofence is not logged there, so the attempts are kept here:
+-- a posting with attempts but no check-in is reported as out of geofence
+-- rather than missing.
+
+CREATE TABLE IF NOT EXISTS `supervision_checkin_attempts` (
+  `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+  `institution_id` bigint(20) NOT NULL,
+  `supervisor_posting_id` bigint(20) NOT NULL,
+  `supervisor_id` bigint(20) NOT NULL,
+  `latitude` decimal(10,8) NOT NULL,
+  `longitude` decimal(11,8) NOT NULL,
+  `accuracy_meters` decimal(10,2) DEFAULT NULL,
+  `distance_from_school_m` decimal(10,2) NOT NULL,
+  `geofence_radius_m` int(11) NOT NULL,
+  `attempted_at` datetime NOT NULL COMMENT 'Capture time (client time for a deferred sync)',
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  KEY `idx_sca_posting` (`supervisor_posting_id`),
+  KEY `idx_sca_institution` (`institution_id`, `attempted_at`),
+  CONSTRAINT `fk_sca_institution` FOREIGN KEY (`institution_id`)
+    REFERENCES `institutions` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_sca_posting` FOREIGN KEY (`supervisor_posting_id`)
+    REFERENCES `supervisor_postings` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,23 @@
+-- Migration 068: Pluggable payment gateways
+-- Each institution collects student fees through the gateway it picks
+-- (paymentGatewayService: paystack, flutterwave, remita; fake outside
+-- production). Paystack keeps using the paystack_* columns. Credentials for the
+-- other gateways are stored in payment_gateway_credentials as one JSON object
+-- keyed by gateway name, encrypted by encryptionService.
+--
+-- Payments and pending transactions record the gateway they went through, so
+-- they are verified (and their webhooks checked) against that gateway even
+-- after the institution switches. paystack_reference keeps its name but holds
+-- the reference issued by whichever gateway was used.
+
+ALTER TABLE `institutions`
+  ADD COLUMN `payment_gateway` varchar(30) NOT NULL DEFAULT 'paystack' COMMENT 'paystack, flutterwave, remita or fake' AFTER `payment_enabled`,
+  ADD COLUMN `payment_gateway_credentials` text DEFAULT NULL COMMENT 'Encrypted JSON, keyed by gateway' AFTER `payment_gateway`;
+
+ALTER TABLE `student_payments`
+  ADD COLUMN `gateway` varchar(30) NOT NULL DEFAULT 'paystack' AFTER `reference`,
+  MODIFY COLUMN `paystack_reference` varchar(100) DEFAULT NULL COMMENT 'Reference issued by the gateway';
+
+ALTER TABLE `pending_transactions`
+  ADD COLUMN `gateway` varchar(30) NOT NULL DEFAULT 'paystack' AFTER `reference`,
+  MODIFY COLUMN `paystack_reference` varchar(100) DEFAULT NULL COMMENT 'Reference issued by the gateway';
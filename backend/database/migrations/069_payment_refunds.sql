@@ -0,0 +1,46 @@
+-- Migration 069: Payment refunds
+-- Staff request a refund against a successful student payment (duplicate
+-- payment, withdrawal, overpayment); the head of teaching practice approves or
+-- rejects it. Approval refunds through the payment's gateway, or records a
+-- refund the bursary made outside the system.
+--
+-- student_payments.refunded_amount is what has been given back so far. A
+-- partly refunded payment stays 'success' and counts for amount -
+-- refunded_amount; a fully refunded one becomes 'refunded'.
+
+ALTER TABLE `student_payments`
+  ADD COLUMN `refunded_amount` decimal(12,2) NOT NULL DEFAULT 0.00 AFTER `amount`;
+
+CREATE TABLE IF NOT EXISTS `payment_refunds` (
+  `id` bigint(20) NOT NULL AUTO_INCREMENT,
+  `institution_id` bigint(20) NOT NULL,
+  `payment_id` bigint(20) NOT NULL,
+  `student_id` bigint(20) NOT NULL,
+  `session_id` bigint(20) NOT NULL,
+  `amount` decimal(12,2) NOT NULL,
+  `reason` enum('duplicate_payment','withdrawal','overpayment','other') NOT NULL,
+  `notes` text DEFAULT NULL,
+
+  -- pending -> rejected, or approved -> processing -> completed | failed
+  -- (a failed refund can be approved again)
+  `status` enum('pending','rejected','processing','completed','failed') NOT NULL DEFAULT 'pending',
+  `method` enum('gateway','manual') DEFAULT NULL COMMENT 'gateway: refunded through the payment gateway; manual: paid back outside the system',
+  `requested_by` bigint(20) NOT NULL,
+  `reviewed_by` bigint(20) DEFAULT NULL,
+  `reviewed_at` timestamp NULL DEFAULT NULL,
+  `review_notes` text DEFAULT NULL,
+  `gateway` varchar(30) DEFAULT NULL,
+  `gateway_refund_id` varchar(100) DEFAULT NULL,
+  `gateway_response` text DEFAULT NULL,
+  `processed_at` timestamp NULL DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+
+  PRIMARY KEY (`id`),
+  KEY `idx_refunds_institution_status` (`institution_id`, `status`),
+  KEY `idx_refunds_payment` (`payment_id`),
+  KEY `idx_refunds_student_session` (`student_id`, `session_id`),
+  CONSTRAINT `fk_refunds_institution` FOREIGN KEY (`institution_id`) REFERENCES `institutions` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_refunds_payment` FOREIGN KEY (`payment_id`) REFERENCES `student_payments` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Refund requests against student payments';
@@ -0,0 +1,58 @@
+-- Migration 070: Payment reconciliation
+-- Compares student_payments with what the gateway actually settled, matched on
+-- student_payments.paystack_reference (the gateway's reference). A run covers
+-- a date range and is either scheduled (yesterday, daily, for gateways that can
+-- list their transactions), started by staff, or built from an uploaded
+-- settlement report (CSV/Excel).
+--
+-- Each discrepancy is one item:
+--   missing_at_gateway - a successful payment the gateway did not settle
+--   amount_mismatch    - settled, but for a different amount
+--   missing_locally    - settled, but never recorded as a payment and could not be healed
+--   healed             - settled, verification had been missed; the payment was recorded by the run
+
+CREATE TABLE IF NOT EXISTS `payment_reconciliation_runs` (
+  `id` bigint(20) NOT NULL AUTO_INCREMENT,
+  `institution_id` bigint(20) NOT NULL,
+  `gateway` varchar(30) NOT NULL,
+  `source` enum('scheduled','manual','upload') NOT NULL,
+  `period_from` date NOT NULL,
+  `period_to` date NOT NULL,
+  `file_name` varchar(255) DEFAULT NULL COMMENT 'Uploaded settlement report',
+  `status` enum('running','completed','failed') NOT NULL DEFAULT 'running',
+  `gateway_count` int(11) NOT NULL DEFAULT 0 COMMENT 'Settled transactions at the gateway',
+  `local_count` int(11) NOT NULL DEFAULT 0 COMMENT 'Successful payments recorded here',
+  `matched_count` int(11) NOT NULL DEFAULT 0,
+  `mismatch_count` int(11) NOT NULL DEFAULT 0,
+  `healed_count` int(11) NOT NULL DEFAULT 0,
+  `error` text DEFAULT NULL,
+  `triggered_by` bigint(20) DEFAULT NULL COMMENT 'NULL for scheduled runs',
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `completed_at` timestamp NULL DEFAULT NULL,
+
+  PRIMARY KEY (`id`),
+  KEY `idx_reconciliation_runs_institution` (`institution_id`, `created_at`),
+  KEY `idx_reconciliation_runs_period` (`institution_id`, `source`, `period_from`),
+  CONSTRAINT `fk_reconciliation_runs_institution` FOREIGN KEY (`institution_id`) REFERENCES `institutions` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Payment reconciliation runs against gateway settlement data';
+
+CREATE TABLE IF NOT EXISTS `payment_reconciliation_items` (
+  `id` bigint(20) NOT NULL AUTO_INCREMENT,
+  `run_id` bigint(20) NOT NULL,
+  `institution_id` bigint(20) NOT NULL,
+  `type` enum('missing_at_gateway','amount_mismatch','missing_locally','healed') NOT NULL,
+  `reference` varchar(100) NOT NULL COMMENT 'Gateway reference, or ours when the gateway has none',
+  `payment_id` bigint(20) DEFAULT NULL,
+  `student_id` bigint(20) DEFAULT NULL,
+  `gateway_amount` decimal(12,2) DEFAULT NULL,
+  `local_amount` decimal(12,2) DEFAULT NULL,
+  `details` text DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+
+  PRIMARY KEY (`id`),
+  KEY `idx_reconciliation_items_run` (`run_id`, `type`),
+  KEY `idx_reconciliation_items_reference` (`institution_id`, `reference`),
+  CONSTRAINT `fk_reconciliation_items_run` FOREIGN KEY (`run_id`) REFERENCES `payment_reconciliation_runs` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Discrepancies found by a payment reconciliation run';
@@ -0,0 +1,46 @@
+-- Migration 071: Two-factor authentication for staff
+-- Staff can protect their account with a TOTP authenticator app (RFC 6238,
+-- 6 digits every 30 seconds). Enrolment stores the secret with enabled_at NULL
+-- until the first code is confirmed; confirming also issues single-use
+-- recovery codes, stored as SHA-256 hashes.
+--
+-- institutions.two_factor_policy decides who must use it:
+--   optional   - nobody is forced; anyone may enrol
+--   head_of_tp - head_of_teaching_practice accounts must enrol
+--   all_staff  - every staff account must enrol
+-- Super admins are covered by TWO_FACTOR_REQUIRED_FOR_SUPER_ADMIN instead.
+--
+-- user_sessions.two_factor_verified_at records when the session last passed a
+-- second factor: at sign-in, and again at each step-up confirmation.
+
+CREATE TABLE IF NOT EXISTS `user_two_factor` (
+  `user_id` bigint(20) NOT NULL,
+  `secret` varchar(255) NOT NULL COMMENT 'Base32 TOTP secret, encrypted by encryptionService',
+  `enabled_at` datetime DEFAULT NULL COMMENT 'NULL until enrolment is confirmed with a code',
+  `last_used_step` bigint(20) DEFAULT NULL COMMENT 'Time step of the last accepted code; codes for it or earlier are replays',
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+
+  PRIMARY KEY (`user_id`),
+  CONSTRAINT `fk_user_two_factor_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='TOTP enrolment per staff account';
+
+CREATE TABLE IF NOT EXISTS `user_recovery_codes` (
+  `id` bigint(20) NOT NULL AUTO_INCREMENT,
+  `user_id` bigint(20) NOT NULL,
+  `code_hash` char(64) NOT NULL COMMENT 'SHA-256 of the normalised code',
+  `used_at` datetime DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+
+  PRIMARY KEY (`id`),
+  KEY `idx_recovery_codes_user` (`user_id`, `code_hash`),
+  CONSTRAINT `fk_recovery_codes_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Single-use two-factor recovery codes';
+
+ALTER TABLE `institutions`
+  ADD COLUMN `two_factor_policy` enum('optional','head_of_tp','all_staff') NOT NULL DEFAULT 'optional' COMMENT 'Which staff must use two-factor authentication' AFTER `session_timeout_minutes`;
+
+ALTER TABLE `user_sessions`
+  ADD COLUMN `two_factor_verified_at` datetime DEFAULT NULL COMMENT 'Last second-factor check in this session' AFTER `is_active`;
@@ -0,0 +1,19 @@
+-- Migration 072: Shared key-value store
+-- Short-lived state that every backend worker must see: SSO exchange tokens
+-- and rate-limit counters. Before this it lived in per-process Maps, so under
+-- PM2 cluster mode a token minted on one worker could not be exchanged on
+-- another and each worker kept its own rate-limit budget.
+--
+-- value is JSON; counters are stored as plain JSON numbers. Expired rows are
+-- ignored on read and purged by keyValueStore every few minutes.
+
+CREATE TABLE IF NOT EXISTS `key_value_store` (
+  `store_key` varchar(255) NOT NULL,
+  `value` mediumtext NOT NULL COMMENT 'JSON-encoded value',
+  `expires_at` datetime(3) NOT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+
+  PRIMARY KEY (`store_key`),
+  KEY `idx_key_value_store_expires` (`expires_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Shared TTL key-value store (SSO tokens, rate limits)';
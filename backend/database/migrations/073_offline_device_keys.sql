@@ -0,0 +1,23 @@
+-- Migration 073: When each device got its offline signing key
+-- The signing key is derived from the user and a device ID the browser picks,
+-- so the signature alone says nothing about when a record was captured. The
+-- server now notes the first time it hands a key to each device; a record
+-- claiming to be captured before then is refused, so a fresh device ID cannot
+-- be used to back-date check-ins.
+--
+-- Devices that have synced before are backfilled from their earliest record.
+-- A device that fetched a key but never synced gets a new issue time the next
+-- time it is online.
+
+CREATE TABLE IF NOT EXISTS `offline_device_keys` (
+  `user_id` bigint(20) NOT NULL,
+  `device_id` varchar(64) NOT NULL COMMENT 'Device UUID held in the browser',
+  `issued_at` datetime NOT NULL DEFAULT current_timestamp() COMMENT 'First time the key was handed to the device',
+
+  PRIMARY KEY (`user_id`, `device_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO `offline_device_keys` (`user_id`, `device_id`, `issued_at`)
+SELECT `user_id`, `device_id`, MIN(`client_timestamp`)
+FROM `offline_sync_records`
+GROUP BY `user_id`, `device_id`;
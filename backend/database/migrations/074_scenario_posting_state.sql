@@ -0,0 +1,14 @@
+-- Migration 074: Check a scenario against the postings it was planned on
+-- A scenario only became 'superseded' when another scenario was executed, so
+-- postings created, moved or cancelled by hand (or by a repair) went unnoticed
+-- and executing the scenario could double-book slots. Each scenario now stores
+-- a hash of the session's postings at planning time; execute recomputes it and
+-- refuses a scenario whose postings have changed.
+--
+-- 'executing' is held while a scenario's postings are being created, so two
+-- requests cannot execute the same scenario. Existing drafts have no hash and
+-- must be recomputed once.
+
+ALTER TABLE `auto_posting_scenarios`
+  ADD COLUMN `posting_state_hash` char(64) DEFAULT NULL COMMENT 'SHA-256 of the session postings the plan was computed on' AFTER `assignments`,
+  MODIFY COLUMN `status` enum('draft','executing','executed','superseded') NOT NULL DEFAULT 'draft';
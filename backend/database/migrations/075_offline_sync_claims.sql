@@ -0,0 +1,11 @@
+-- Migration 075: Claim offline records before handling them
+-- The outcome row was written after the record was handled, so two syncs of
+-- one device (e.g. two tabs) could both pass the sequence check and handle the
+-- same check-in; the second then failed on the unique sequence key after it
+-- had already logged a duplicate. The row is now inserted first as a
+-- 'processing' claim and updated with the outcome; whoever loses the claim
+-- handles nothing.
+
+ALTER TABLE `offline_sync_records`
+  MODIFY COLUMN `status` enum('processing','accepted','rejected') NOT NULL,
+  MODIFY COLUMN `synced_at` timestamp NOT NULL DEFAULT current_timestamp() COMMENT 'When the record was claimed, then when its outcome was saved';
@@ -120,6 +120,18 @@ module.exports = {
     expiresIn: process.env.JWT_EXPIRES_IN || '7d',
   },
 
+  // Two-factor authentication (institutions set their own staff policy)
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'DigitalTP',
+    requiredForSuperAdmin: process.env.TWO_FACTOR_REQUIRED_FOR_SUPER_ADMIN === 'true',
+  },
+
+  // Shared key-value store for SSO exchange tokens and rate limits.
+  // 'mysql' is shared by every worker; 'memory' is per process (tests, single worker)
+  kvStore: {
+    driver: process.env.KV_STORE_DRIVER || (nodeEnv === 'test' ? 'memory' : 'mysql'),
+  },
+
   cors: {
     origin(origin, callback) {
       if (!origin || configuredCorsOrigins.includes(origin) || isLocalDevelopmentOrigin(origin) || isInstitutionSubdomain(origin)) {
@@ -159,6 +171,11 @@ module.exports = {
     cloudName: process.env.CLOUDINARY_CLOUD_NAME || '',
     apiKey: process.env.CLOUDINARY_API_KEY || '',
     apiSecret: process.env.CLOUDINARY_API_SECRET || '',
+    // Hosts PDFs may fetch images from over https (ASSET_HOSTS adds to Cloudinary's)
+    assetHosts: [
+      'res.cloudinary.com',
+      ...(process.env.ASSET_HOSTS || '').split(',').map((host) => host.trim().toLowerCase()).filter(Boolean),
+    ],
   },
 
   // Local development settings for subdomain testing
@@ -13,6 +13,11 @@ const { NotFoundError, ValidationError, ConflictError, AuthorizationError } = re
 const { clampLimit, clampOffset } = require('../utils/pagination');
 const { cloudinaryService } = require('../services');
 const { normalizeLocationValue } = require('../utils/locationNormalizer');
+const { ensureSessionUnlocked } = require('../middleware/sessionLock');
+const schoolPreferenceService = require('../services/schoolPreferenceService');
+const emailQueueService = require('../services/emailQueueService');
+const notificationService = require('../services/notificationService');
+const auditService = require('../services/auditService');
 
 // Validation schemas
 const schemas = {
@@ -133,6 +138,9 @@ const getAll = async (req, res, next) => {
 
     const acceptances = await query(sql, params);
 
+    // Ranked school choices, and which of them (if any) the student was placed at
+    await schoolPreferenceService.attachPreferences(parseInt(institutionId), acceptances);
+
     res.json({
       success: true,
       data: acceptances,
@@ -184,6 +192,8 @@ const getById = async (req, res, next) => {
       throw new NotFoundError('Acceptance not found');
     }
 
+    await schoolPreferenceService.attachPreferences(parseInt(institutionId), acceptances);
+
     res.json({
       success: true,
       data: acceptances[0],
@@ -193,6 +203,41 @@ const getById = async (req, res, next) => {
   }
 };
 
+/**
+ * Text the student that their posting is confirmed (SMS notifications only).
+ * Never throws: a failed notification must not fail the review.
+ * @param {number} institutionId
+ * @param {number} acceptanceId
+ */
+async function notifyPostingReleased(institutionId, acceptanceId) {
+  try {
+    const [posting] = await query(
+      `SELECT COALESCE(NULLIF(sa.phone, ''), st.phone) as phone, st.full_name,
+              ms.name as school_name, sess.name as session_name
+       FROM student_acceptances sa
+       JOIN students st ON sa.student_id = st.id
+       JOIN institution_schools isv ON sa.institution_school_id = isv.id
+       JOIN master_schools ms ON isv.master_school_id = ms.id
+       JOIN academic_sessions sess ON sa.session_id = sess.id
+       WHERE sa.id = ? AND sa.institution_id = ?`,
+      [acceptanceId, institutionId]
+    );
+    if (!posting) return;
+
+    await emailQueueService.queueSms(institutionId, {
+      to: posting.phone,
+      template: 'postingReleased',
+      data: {
+        name: posting.full_name,
+        sessionName: posting.session_name,
+        schoolName: posting.school_name,
+      },
+    });
+  } catch (error) {
+    console.error('[ACCEPTANCES] Failed to queue posting SMS:', error.message);
+  }
+}
+
 /**
  * Create acceptance
  * POST /:institutionId/acceptances
@@ -254,12 +299,14 @@ const create = async (req, res, next) => {
     });
 
     // Audit log
-    await query(
-      `INSERT INTO audit_logs (institution_id, user_id, user_type, action, resource_type, resource_id, details, ip_address)
-       VALUES (?, ?, 'staff', 'acceptance_created', 'student_acceptance', ?, ?, ?)`,
-      [parseInt(institutionId), req.user.id, result.insertId, 
-       JSON.stringify({ student_name: students[0].full_name, school_name: schools[0].name }), req.ip]
-    );
+    await auditService.log(req, {
+      action: 'acceptance_created',
+      resourceType: 'student_acceptance',
+      resourceId: result.insertId,
+      details: { student_name: students[0].full_name, school_name: schools[0].name },
+    });
+
+    await notifyPostingReleased(parseInt(institutionId), result.insertId);
 
     res.status(201).json({
       success: true,
@@ -356,6 +403,24 @@ const update = async (req, res, next) => {
       );
     }
 
+    if (status === 'approved' && acceptance.status !== 'approved') {
+      await notifyPostingReleased(parseInt(institutionId), acceptance.id);
+    }
+
+    if ((status === 'approved' || status === 'rejected') && status !== acceptance.status) {
+      const reason = rejection_reason ?? acceptance.rejection_reason;
+      await notificationService.notifyStudents(parseInt(institutionId), [acceptance.student_id], {
+        type: notificationService.TYPES.ACCEPTANCE_REVIEWED,
+        title: status === 'approved' ? 'Acceptance approved' : 'Acceptance rejected',
+        message: status === 'approved'
+          ? 'Your acceptance form has been approved. Your posting letter is now available.'
+          : `Your acceptance form was rejected${reason ? `: ${reason}` : ''}. Please review and resubmit.`,
+        link: status === 'approved' ? '/student/posting-letter' : '/student/acceptance',
+        resourceType: 'student_acceptance',
+        resourceId: acceptance.id,
+      });
+    }
+
     res.json({
       success: true,
       message: 'Acceptance updated successfully',
@@ -706,7 +771,7 @@ const getStudentStatus = async (req, res, next) => {
       [studentId, institutionId]
     );
     const [paymentRecord] = await query(
-      `SELECT COUNT(*) as count, COALESCE(SUM(amount), 0) as total_paid
+      `SELECT COUNT(*) as count, COALESCE(SUM(amount - refunded_amount), 0) as total_paid
        FROM student_payments
        WHERE student_id = ? AND session_id = ? AND institution_id = ? AND status = 'success'`,
       [studentId, session.id, institutionId]
@@ -737,6 +802,10 @@ const getStudentStatus = async (req, res, next) => {
       payment_met: paymentMade,
       submitted: !!acceptance,
       can_submit: canSubmit,
+      school_preferences: {
+        enabled: !!session.allow_student_school_preference,
+        max: session.max_school_preferences || 3,
+      },
       // Add posting_letter object for frontend compatibility
       posting_letter: {
         available: postingLetterAvailable,
@@ -925,6 +994,8 @@ const submitAcceptance = async (req, res, next) => {
       throw new ValidationError('No active session');
     }
 
+    await ensureSessionUnlocked(req, session, institutionId);
+
     // Check window
     const now = new Date();
     const windowOpen = session.acceptance_form_start_date && session.acceptance_form_end_date &&
@@ -963,7 +1034,7 @@ const submitAcceptance = async (req, res, next) => {
       [studentId, institutionId]
     );
     const [paymentRecord] = await query(
-      `SELECT COUNT(*) as count, COALESCE(SUM(amount), 0) as total_paid
+      `SELECT COUNT(*) as count, COALESCE(SUM(amount - refunded_amount), 0) as total_paid
        FROM student_payments
        WHERE student_id = ? AND session_id = ? AND institution_id = ? AND status = 'success'`,
       [studentId, session.id, institutionId]
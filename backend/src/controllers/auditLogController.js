@@ -0,0 +1,248 @@
+/**
+ * Audit Log Controller
+ *
+ * Read side of the audit trail written by auditService: a filterable activity
+ * log (who changed what, and which fields) and a CSV export of the same query.
+ * Every handler serves both the institution-scoped routes
+ * (/:institutionId/audit-logs/*) and the super admin routes
+ * (/global/audit-logs/*, optionally filtered with ?institution_id=).
+ *
+ * MedeePay Pattern: Direct SQL, no repository layer.
+ */
+
+const { query } = require('../db/database');
+const { clampLimit } = require('../utils/pagination');
+
+// Upper bound on rows in one CSV export
+const MAX_EXPORT_ROWS = 10000;
+
+const CSV_COLUMNS = [
+  'id', 'created_at', 'institution_name', 'user_type', 'user_id', 'user_name',
+  'action', 'resource_type', 'resource_id', 'changes', 'details', 'ip_address',
+];
+
+/**
+ * Institution the request is limited to, or null for all (global routes only)
+ */
+function resolveScope(req) {
+  if (req.params.institutionId) {
+    return parseInt(req.params.institutionId);
+  }
+  return req.query.institution_id ? parseInt(req.query.institution_id) : null;
+}
+
+/**
+ * WHERE clause for the activity log filters
+ * @returns {{ whereClause: string, params: Array }}
+ */
+function buildFilters(req) {
+  const institutionId = resolveScope(req);
+  const { user_id, user_type, resource_type, resource_id, action, date_from, date_to } = req.query;
+
+  const conditions = [];
+  const params = [];
+
+  if (institutionId) {
+    conditions.push('a.institution_id = ?');
+    params.push(institutionId);
+  }
+  if (user_id) {
+    conditions.push('a.user_id = ?');
+    params.push(parseInt(user_id));
+  }
+  if (user_type) {
+    conditions.push('a.user_type = ?');
+    params.push(user_type);
+  }
+  if (resource_type) {
+    conditions.push('a.resource_type = ?');
+    params.push(resource_type);
+  }
+  if (resource_id) {
+    conditions.push('a.resource_id = ?');
+    params.push(parseInt(resource_id));
+  }
+  if (action) {
+    conditions.push('a.action = ?');
+    params.push(action);
+  }
+  if (date_from) {
+    conditions.push('a.created_at >= ?');
+    params.push(date_from);
+  }
+  if (date_to) {
+    conditions.push('a.created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+    params.push(date_to);
+  }
+
+  return {
+    whereClause: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+    params,
+  };
+}
+
+const SELECT_ENTRIES = `
+  SELECT a.id, a.institution_id, COALESCE(i.name, 'System') as institution_name,
+         a.user_id, a.user_type,
+         CASE
+           WHEN a.user_type = 'staff' THEN u.name
+           WHEN a.user_type = 'student' THEN s.full_name
+           ELSE 'System'
+         END as user_name,
+         a.action, a.resource_type, a.resource_id, a.details, a.changes,
+         a.ip_address, a.created_at
+  FROM audit_logs a
+  LEFT JOIN institutions i ON a.institution_id = i.id
+  LEFT JOIN users u ON a.user_type = 'staff' AND u.id = a.user_id
+  LEFT JOIN students s ON a.user_type = 'student' AND s.id = a.user_id`;
+
+function parseJson(value) {
+  if (value === null || value === undefined || typeof value === 'object') return value ?? null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+function formatEntry(entry) {
+  return {
+    ...entry,
+    details: parseJson(entry.details),
+    changes: parseJson(entry.changes),
+  };
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  // Keep spreadsheet apps from evaluating cell contents as formulas
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * List audit entries, newest first
+ * GET /:institutionId/audit-logs?user_id=&resource_type=&resource_id=&action=&date_from=&date_to=
+ * GET /global/audit-logs
+ */
+const getLogs = async (req, res, next) => {
+  try {
+    const { whereClause, params } = buildFilters(req);
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = clampLimit(req.query.limit, 50);
+
+    const entries = await query(
+      `${SELECT_ENTRIES}
+       ${whereClause}
+       ORDER BY a.created_at DESC, a.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    const [countResult] = await query(
+      `SELECT COUNT(*) as total FROM audit_logs a ${whereClause}`,
+      params
+    );
+    const total = countResult?.total || 0;
+
+    res.json({
+      success: true,
+      data: entries.map(formatEntry),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Values for the filter dropdowns: actions, resource types and users that
+ * appear in the log
+ * GET /:institutionId/audit-logs/filters
+ * GET /global/audit-logs/filters
+ */
+const getFilters = async (req, res, next) => {
+  try {
+    const institutionId = resolveScope(req);
+    const scope = institutionId ? 'WHERE a.institution_id = ?' : '';
+    const scopeParams = institutionId ? [institutionId] : [];
+
+    const actions = await query(
+      `SELECT DISTINCT a.action FROM audit_logs a ${scope} ORDER BY a.action`,
+      scopeParams
+    );
+    const resourceTypes = await query(
+      `SELECT DISTINCT a.resource_type FROM audit_logs a ${scope} ORDER BY a.resource_type`,
+      scopeParams
+    );
+    const users = await query(
+      `SELECT DISTINCT a.user_id as id, u.name, u.email, u.role
+       FROM audit_logs a
+       JOIN users u ON u.id = a.user_id
+       ${scope ? `${scope} AND` : 'WHERE'} a.user_type = 'staff'
+       ORDER BY u.name`,
+      scopeParams
+    );
+
+    res.json({
+      success: true,
+      data: {
+        actions: actions.map((row) => row.action),
+        resource_types: resourceTypes.map((row) => row.resource_type),
+        users,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download the filtered log as CSV (at most MAX_EXPORT_ROWS, newest first)
+ * GET /:institutionId/audit-logs/export
+ * GET /global/audit-logs/export
+ */
+const exportCsv = async (req, res, next) => {
+  try {
+    const { whereClause, params } = buildFilters(req);
+
+    const entries = await query(
+      `${SELECT_ENTRIES}
+       ${whereClause}
+       ORDER BY a.created_at DESC, a.id DESC
+       LIMIT ?`,
+      [...params, MAX_EXPORT_ROWS]
+    );
+
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const entry of entries.map(formatEntry)) {
+      lines.push(CSV_COLUMNS.map((column) => csvValue(entry[column])).join(','));
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="activity_log_${date}.csv"`);
+    res.send(`${lines.join('\r\n')}\r\n`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getLogs,
+  getFilters,
+  exportCsv,
+};
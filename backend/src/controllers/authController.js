@@ -21,6 +21,9 @@ const { NotFoundError, ValidationError, AuthenticationError, AuthorizationError,
 const { isFeatureEnabled } = require('../middleware/featureToggle');
 const emailService = require('../services/emailService');
 const emailQueueService = require('../services/emailQueueService');
+const auditService = require('../services/auditService');
+const twoFactorService = require('../services/twoFactorService');
+const keyValueStore = require('../services/keyValueStore');
 
 // ============================================================================
 // CONSTANTS
@@ -62,19 +65,16 @@ const BULK_BCRYPT_ROUNDS = 10; // auto-generated PINs expected to be changed on
 const RESET_TOKEN_EXPIRES_HOURS = 1;
 const SSO_TOKEN_EXPIRES_SECONDS = 30; // SSO tokens expire in 30 seconds
 
-// In-memory store for SSO tokens (short-lived, single-use)
-// In production, consider using Redis for multi-instance support
-const ssoTokenStore = new Map();
-
-// Cleanup expired SSO tokens periodically
-setInterval(() => {
-  const now = Date.now();
-  for (const [token, data] of ssoTokenStore.entries()) {
-    if (data.expiresAt < now) {
-      ssoTokenStore.delete(token);
-    }
-  }
-}, 60000); // Cleanup every minute
+/**
+ * Store a one-time SSO token (short-lived, single-use) in the shared
+ * key-value store, so any worker can exchange it
+ * @param {string} token
+ * @param {Object} data - { userId, authType, ipAddress }
+ * @param {number} expiresInSeconds
+ */
+async function saveSsoToken(token, data, expiresInSeconds = SSO_TOKEN_EXPIRES_SECONDS) {
+  await keyValueStore.set(`sso:${token}`, { ...data, createdAt: Date.now() }, expiresInSeconds * 1000);
+}
 
 // ============================================================================
 // VALIDATION SCHEMAS
@@ -89,6 +89,20 @@ const schemas = {
     }),
   }),
 
+  // Second step of a staff sign-in
+  twoFactorLogin: z.object({
+    body: z.object({
+      challenge_token: z.string().min(1, 'Sign-in challenge is required'),
+      code: z.string().trim().min(6, 'Enter the code from your authenticator app').max(20),
+    }),
+  }),
+
+  twoFactorLoginSetup: z.object({
+    body: z.object({
+      challenge_token: z.string().min(1, 'Sign-in challenge is required'),
+    }),
+  }),
+
   studentLogin: z.object({
     body: z.object({
       registrationNumber: z.string().min(6, 'Registration number is required'),
@@ -182,17 +196,21 @@ const schemas = {
  * @param {string} options.userType - 'staff' or 'student'
  * @param {string} [options.ipAddress] - Client IP address
  * @param {string} [options.userAgent] - Client user agent
+ * @param {boolean} [options.twoFactorVerified] - Sign-in passed a second factor
  * @returns {Promise<string>} Session ID (UUID)
  */
-async function createSession({ userId, studentId, institutionId, userType, ipAddress, userAgent }) {
+async function createSession({ userId, studentId, institutionId, userType, ipAddress, userAgent, twoFactorVerified = false }) {
   const sessionId = uuidv4();
   const expiresAt = new Date(Date.now() + JWT_EXPIRES_IN_MS);
   
   await query(
     `INSERT INTO user_sessions 
-     (session_id, user_id, student_id, institution_id, user_type, ip_address, user_agent, expires_at, is_active)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, TRUE)`,
-    [sessionId, userId || null, studentId || null, institutionId || null, userType, ipAddress, userAgent, expiresAt]
+     (session_id, user_id, student_id, institution_id, user_type, ip_address, user_agent, expires_at, is_active, two_factor_verified_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, TRUE, ?)`,
+    [
+      sessionId, userId || null, studentId || null, institutionId || null, userType, ipAddress, userAgent, expiresAt,
+      twoFactorVerified ? new Date() : null,
+    ]
   );
   
   return sessionId;
@@ -327,25 +345,137 @@ function validatePasswordStrength(password) {
 /**
  * Log authentication event
  */
-async function logAuthEvent(data) {
-  try {
-    await query(
-      `INSERT INTO audit_logs 
-       (institution_id, user_id, user_type, action, resource_type, details, ip_address, user_agent, created_at)
-       VALUES (?, ?, ?, ?, 'auth', ?, ?, ?, NOW())`,
-      [
-        data.institution_id || null,
-        data.user_id,
-        data.user_type,
-        data.action,
-        JSON.stringify(data.details || {}),
-        data.ip_address,
-        data.user_agent,
-      ]
-    );
-  } catch (error) {
-    console.error('[AUTH] Failed to log auth event:', error.message);
+function logAuthEvent(data) {
+  return auditService.record({
+    institutionId: data.institution_id || null,
+    userId: data.user_id,
+    userType: data.user_type,
+    action: data.action,
+    resourceType: 'auth',
+    details: data.details || {},
+    ipAddress: data.ip_address,
+    userAgent: data.user_agent,
+  });
+}
+
+/**
+ * Load a staff user with the institution details sign-in needs
+ * @param {'email'|'id'} column - Lookup column
+ * @param {string|number} value
+ * @returns {Promise<Object|undefined>}
+ */
+async function findStaffForLogin(column, value) {
+  const [user] = await query(
+    `SELECT u.*, i.name as institution_name, i.status as institution_status,
+            i.subdomain as institution_subdomain, i.public_id as institution_public_id
+     FROM users u
+     LEFT JOIN institutions i ON u.institution_id = i.id
+     WHERE u.${column === 'id' ? 'id' : 'email'} = ?`,
+    [value]
+  );
+  return user;
+}
+
+/**
+ * Finish a staff sign-in once every factor has passed: session, token and response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - Row from findStaffForLogin
+ * @param {Object} [options]
+ * @param {string} [options.twoFactorMethod] - 'totp' or 'recovery_code' when a second factor was given
+ * @param {string[]} [options.recoveryCodes] - Issued by enrolment during this sign-in, shown once
+ */
+async function completeStaffLogin(req, res, user, { twoFactorMethod = null, recoveryCodes = null } = {}) {
+  // Update last login
+  await query('UPDATE users SET last_login = NOW() WHERE id = ?', [user.id]);
+
+  // 🔒 MULTI-ACCOUNT: Create a new session for this login
+  // Each login gets a unique session ID for tab isolation
+  const sessionId = await createSession({
+    userId: user.id,
+    institutionId: user.institution_id,
+    userType: AUTH_TYPES.STAFF,
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent'],
+    twoFactorVerified: !!twoFactorMethod,
+  });
+
+  // Generate token with session ID
+  const token = generateToken(user, AUTH_TYPES.STAFF, sessionId);
+
+  // Log successful login
+  await logAuthEvent({
+    institution_id: user.institution_id,
+    user_id: user.id,
+    user_type: 'staff',
+    action: 'login_success',
+    details: { session_id: sessionId, ...(twoFactorMethod ? { two_factor: twoFactorMethod } : {}) },
+    ip_address: req.ip,
+    user_agent: req.headers['user-agent'],
+  });
+
+  // Determine context from subdomain
+  const isGlobalContext = req.isGlobalContext === true;
+  const subdomainInstitution = req.subdomainInstitution;
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      token,
+      sessionId, // 🔒 Include session ID for tab isolation tracking
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        // Institution comes from subdomain for super_admin, otherwise from user record
+        institution: subdomainInstitution
+          ? {
+              id: subdomainInstitution.public_id,
+              name: subdomainInstitution.name,
+              subdomain: subdomainInstitution.subdomain,
+            }
+          : user.institution_id
+          ? {
+              id: user.institution_public_id,
+              name: user.institution_name,
+            }
+          : null,
+      },
+      ...(recoveryCodes ? { recovery_codes: recoveryCodes } : {}),
+      // Context flags for frontend
+      isGlobalContext,
+      subdomain: req.subdomain,
+    },
+  });
+}
+
+/**
+ * The second sign-in step a staff account still owes, if any
+ * 🔒 No session until the second step (POST /auth/login/2fa) passes, or -
+ * when policy requires it and the account has none yet - until an
+ * authenticator is enrolled (POST /auth/login/2fa/enable)
+ * @param {Object} user - Needs id, role and institution_id
+ * @returns {Promise<Object|null>} { message, data } to send instead of a session, or null
+ */
+async function pendingTwoFactorStep(user) {
+  const twoFactor = await twoFactorService.getStatus(user);
+  if (!twoFactor.enabled && !twoFactor.required) {
+    return null;
   }
+
+  const purpose = twoFactor.enabled ? 'verify' : 'enrol';
+  return {
+    message: twoFactor.enabled
+      ? 'Enter the code from your authenticator app'
+      : 'Your institution requires two-factor authentication. Set it up to continue.',
+    data: {
+      requires_two_factor: twoFactor.enabled,
+      requires_two_factor_setup: !twoFactor.enabled,
+      challenge_token: twoFactorService.createChallenge(user.id, purpose),
+    },
+  };
 }
 
 // ============================================================================
@@ -374,14 +504,7 @@ const staffLogin = async (req, res, next) => {
     const resolvedInstitution = req.subdomainInstitution;
 
     // Find user with institution info
-    const [user] = await query(
-      `SELECT u.*, i.name as institution_name, i.status as institution_status,
-              i.subdomain as institution_subdomain, i.public_id as institution_public_id
-       FROM users u
-       LEFT JOIN institutions i ON u.institution_id = i.id
-       WHERE u.email = ?`,
-      [email.toLowerCase()]
-    );
+    const user = await findStaffForLogin('email', email.toLowerCase());
 
     if (!user) {
       throw new AuthenticationError('Invalid email or password');
@@ -456,67 +579,102 @@ const staffLogin = async (req, res, next) => {
       throw new AuthenticationError('Invalid email or password');
     }
 
-    // Update last login
-    await query('UPDATE users SET last_login = NOW() WHERE id = ?', [user.id]);
+    // 🔒 Two-factor
+    const twoFactorStep = await pendingTwoFactorStep(user);
+    if (twoFactorStep) {
+      return res.json({ success: true, ...twoFactorStep });
+    }
 
-    // 🔒 MULTI-ACCOUNT: Create a new session for this login
-    // Each login gets a unique session ID for tab isolation
-    const sessionId = await createSession({
-      userId: user.id,
-      institutionId: user.institution_id,
-      userType: AUTH_TYPES.STAFF,
-      ipAddress: req.ip,
-      userAgent: req.headers['user-agent'],
-    });
+    await completeStaffLogin(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Generate token with session ID
-    const token = generateToken(user, AUTH_TYPES.STAFF, sessionId);
+/**
+ * The user a sign-in challenge belongs to, if they may still sign in
+ * @param {string} challengeToken
+ * @param {string} purpose - 'verify' or 'enrol'
+ * @returns {Promise<Object>} Row from findStaffForLogin
+ */
+async function findChallengeUser(challengeToken, purpose) {
+  const userId = twoFactorService.readChallenge(challengeToken, purpose);
+  const user = await findStaffForLogin('id', userId);
 
-    // Log successful login
+  if (!user || user.status !== 'active') {
+    throw new AuthenticationError('Your account is inactive. Please contact your administrator.');
+  }
+  if (user.role !== ROLES.SUPER_ADMIN && user.institution_status !== 'active') {
+    throw new AuthenticationError('Your institution is inactive');
+  }
+  return user;
+}
+
+/**
+ * Staff login, second step: authenticator or recovery code
+ * POST /auth/login/2fa
+ */
+const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challenge_token, code } = req.body;
+    const user = await findChallengeUser(challenge_token, 'verify');
+
+    const method = await twoFactorService.verifyUserCode(user.id, code);
+    if (!method) {
+      await logAuthEvent({
+        institution_id: user.institution_id,
+        user_id: user.id,
+        user_type: 'staff',
+        action: 'login_failed',
+        details: { reason: 'invalid_two_factor_code' },
+        ip_address: req.ip,
+        user_agent: req.headers['user-agent'],
+      });
+      throw new AuthenticationError('Invalid authentication code');
+    }
+
+    await completeStaffLogin(req, res, user, { twoFactorMethod: method });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Staff login when policy requires two-factor and none is set up: the QR code to scan
+ * POST /auth/login/2fa/setup
+ */
+const startTwoFactorLoginSetup = async (req, res, next) => {
+  try {
+    const user = await findChallengeUser(req.body.challenge_token, 'enrol');
+    const enrolment = await twoFactorService.startEnrolment(user);
+
+    res.json({ success: true, data: enrolment });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Staff login when policy requires two-factor: confirm the first code, then sign in
+ * POST /auth/login/2fa/enable
+ */
+const completeTwoFactorLoginSetup = async (req, res, next) => {
+  try {
+    const { challenge_token, code } = req.body;
+    const user = await findChallengeUser(challenge_token, 'enrol');
+
+    const recoveryCodes = await twoFactorService.confirmEnrolment(user.id, code);
     await logAuthEvent({
       institution_id: user.institution_id,
       user_id: user.id,
       user_type: 'staff',
-      action: 'login_success',
-      details: { session_id: sessionId },
+      action: 'two_factor_enabled',
+      details: { during_login: true },
       ip_address: req.ip,
       user_agent: req.headers['user-agent'],
     });
 
-    // Determine context from subdomain
-    const isGlobalContext = req.isGlobalContext === true;
-    const subdomainInstitution = req.subdomainInstitution;
-
-    res.json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        token,
-        sessionId, // 🔒 Include session ID for tab isolation tracking
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          // Institution comes from subdomain for super_admin, otherwise from user record
-          institution: subdomainInstitution
-            ? {
-                id: subdomainInstitution.public_id,
-                name: subdomainInstitution.name,
-                subdomain: subdomainInstitution.subdomain,
-              }
-            : user.institution_id
-            ? {
-                id: user.institution_public_id,
-                name: user.institution_name,
-              }
-            : null,
-        },
-        // Context flags for frontend
-        isGlobalContext,
-        subdomain: req.subdomain,
-      },
-    });
+    await completeStaffLogin(req, res, user, { twoFactorMethod: 'totp', recoveryCodes });
   } catch (error) {
     next(error);
   }
@@ -759,6 +917,7 @@ const getProfile = async (req, res, next) => {
         faculty: staffUser.faculty_name,
         file_number: staffUser.file_number,
         is_dean: staffUser.is_dean === 1,
+        two_factor: await twoFactorService.getStatus(staffUser),
         institution: staffUser.institution_id
           ? {
               id: staffUser.institution_public_id,
@@ -1040,14 +1199,12 @@ const register = async (req, res, next) => {
       ]
     );
 
-    await logAuthEvent({
-      institution_id: targetInstitutionId || parseInt(institutionId),
-      user_id: req.user.id,
-      user_type: 'staff',
+    await auditService.log(req, {
+      institutionId: targetInstitutionId || parseInt(institutionId),
       action: 'user_created',
+      resourceType: 'user',
+      resourceId: result.insertId,
       details: { created_user_id: result.insertId, name, email, role },
-      ip_address: req.ip,
-      user_agent: req.headers['user-agent'],
     });
 
     // Queue welcome email with credentials
@@ -1066,7 +1223,7 @@ const register = async (req, res, next) => {
         emailInstitutionId = null;
       }
 
-      emailQueueService.queueHighPriority(emailInstitutionId, {
+      await emailQueueService.queueHighPriority(emailInstitutionId, {
         to: email,
         template: 'userCredentials',
         data: {
@@ -1246,8 +1403,8 @@ const updateUser = async (req, res, next) => {
 
     // Check user exists - super_admin can also update other super_admins (NULL institution_id)
     const existingQuery = isSuperAdmin
-      ? 'SELECT id, role FROM users WHERE id = ? AND (institution_id = ? OR role = ?)'
-      : 'SELECT id, role FROM users WHERE id = ? AND institution_id = ?';
+      ? 'SELECT * FROM users WHERE id = ? AND (institution_id = ? OR role = ?)'
+      : 'SELECT * FROM users WHERE id = ? AND institution_id = ?';
     
     const existingParams = isSuperAdmin
       ? [parseInt(id), parseInt(institutionId), ROLES.SUPER_ADMIN]
@@ -1292,14 +1449,13 @@ const updateUser = async (req, res, next) => {
       await query(`UPDATE users SET ${updates.join(', ')} WHERE id = ?`, params);
     }
 
-    await logAuthEvent({
-      institution_id: parseInt(institutionId),
-      user_id: req.user.id,
-      user_type: 'staff',
+    await auditService.log(req, {
       action: 'user_updated',
-      details: { updated_user_id: parseInt(id), ...data },
-      ip_address: req.ip,
-      user_agent: req.headers['user-agent'],
+      resourceType: 'user',
+      resourceId: parseInt(id),
+      before: existing,
+      after: data,
+      details: { updated_user_id: parseInt(id) },
     });
 
     res.json({
@@ -1347,14 +1503,11 @@ const deleteUser = async (req, res, next) => {
 
     await query('DELETE FROM users WHERE id = ?', [parseInt(id)]);
 
-    await logAuthEvent({
-      institution_id: parseInt(institutionId),
-      user_id: req.user.id,
-      user_type: 'staff',
+    await auditService.log(req, {
       action: 'user_deleted',
-      details: { deleted_user_id: parseInt(id), deleted_email: existing.email },
-      ip_address: req.ip,
-      user_agent: req.headers['user-agent'],
+      resourceType: 'user',
+      resourceId: parseInt(id),
+      details: { deleted_user_id: parseInt(id), deleted_email: existing.email, role: existing.role },
     });
 
     res.json({
@@ -1454,7 +1607,7 @@ const forgotPassword = async (req, res, next) => {
     const resetUrl = `${frontendUrl}/reset-password?token=${resetToken}`;
 
     // Queue password reset email
-    emailQueueService.queueHighPriority(emailInstitutionId, {
+    await emailQueueService.queueHighPriority(emailInstitutionId, {
       to: user.email,
       template: 'passwordReset',
       data: {
@@ -1535,7 +1688,7 @@ const resetPassword = async (req, res, next) => {
       : await emailService.getFrontendUrl(user.institution_id);
     const loginUrl = `${frontendUrl}/login`;
 
-    emailQueueService.queueEmail(emailInstitutionId, {
+    await emailQueueService.queueEmail(emailInstitutionId, {
       to: user.email,
       template: 'passwordResetSuccess',
       data: {
@@ -1622,7 +1775,7 @@ const resendCredentials = async (req, res, next) => {
     // Send credentials email
     const loginUrl = await emailService.getFrontendUrl(parseInt(institutionId)) + '/login';
 
-    emailQueueService.queueHighPriority(parseInt(institutionId), {
+    await emailQueueService.queueHighPriority(parseInt(institutionId), {
       to: user.email,
       template: 'userCredentials',
       data: {
@@ -1711,7 +1864,7 @@ const hardResetPassword = async (req, res, next) => {
     }
 
     // Send password reset notification email
-    emailQueueService.queueHighPriority(emailInstitutionId, {
+    await emailQueueService.queueHighPriority(emailInstitutionId, {
       to: user.email,
       template: 'passwordResetByAdmin',
       data: {
@@ -1907,6 +2060,7 @@ const refreshToken = async (req, res, next) => {
  * - Token is single-use (deleted after exchange)
  * - Token is tied to user ID and IP
  * - Token is cryptographically random
+ * - Carries whether this session passed two-factor, so the new one need not ask again
  * 
  * POST /api/auth/sso/generate
  */
@@ -1917,14 +2071,22 @@ const generateSsoToken = async (req, res, next) => {
     
     // Generate cryptographically secure random token
     const ssoToken = crypto.randomBytes(32).toString('hex');
+
+    let twoFactorVerified = false;
+    if (req.sessionId) {
+      const [session] = await query(
+        'SELECT two_factor_verified_at FROM user_sessions WHERE session_id = ?',
+        [req.sessionId]
+      );
+      twoFactorVerified = !!session?.two_factor_verified_at;
+    }
     
     // Store token with metadata
-    ssoTokenStore.set(ssoToken, {
+    await saveSsoToken(ssoToken, {
       userId: user.userId || user.id,
       authType: user.authType || AUTH_TYPES.STAFF,
       ipAddress, // Bind to IP for extra security
-      expiresAt: Date.now() + (SSO_TOKEN_EXPIRES_SECONDS * 1000),
-      createdAt: Date.now(),
+      twoFactorVerified,
     });
     
     res.json({
@@ -1946,6 +2108,8 @@ const generateSsoToken = async (req, res, next) => {
  * Body: { sso_token: string }
  * 
  * 🔒 MULTI-ACCOUNT: Creates a new session for the SSO exchange
+ * 🔒 Two-factor: staff tokens that did not come from a session which passed
+ * two-factor (e.g. partner SSO) get the same second step as staffLogin
  */
 const exchangeSsoToken = async (req, res, next) => {
   try {
@@ -1956,29 +2120,19 @@ const exchangeSsoToken = async (req, res, next) => {
       throw new ValidationError('SSO token is required');
     }
     
-    // Look up the token
-    const tokenData = ssoTokenStore.get(sso_token);
+    // Look up and delete the token in one step (single-use, expiry enforced by the store)
+    const tokenData = await keyValueStore.take(`sso:${sso_token}`);
     
     if (!tokenData) {
       throw new AuthenticationError('Invalid or expired SSO token');
     }
     
-    // Check expiry
-    if (tokenData.expiresAt < Date.now()) {
-      ssoTokenStore.delete(sso_token);
-      throw new AuthenticationError('SSO token has expired');
-    }
-    
     // Optional: Verify IP address matches (can be disabled for mobile/VPN users)
     // Uncommenting this adds extra security but may cause issues with some networks
     // if (tokenData.ipAddress !== ipAddress) {
-    //   ssoTokenStore.delete(sso_token);
     //   throw new AuthenticationError('SSO token IP mismatch');
     // }
     
-    // Delete token immediately (single-use)
-    ssoTokenStore.delete(sso_token);
-    
     // Fetch the user
     const [users] = await query(
       'SELECT * FROM users WHERE id = ? AND status = ?',
@@ -1990,6 +2144,14 @@ const exchangeSsoToken = async (req, res, next) => {
     if (!user) {
       throw new AuthenticationError('User not found or inactive');
     }
+
+    const isStaff = (tokenData.authType || AUTH_TYPES.STAFF) === AUTH_TYPES.STAFF;
+    if (isStaff && !tokenData.twoFactorVerified) {
+      const twoFactorStep = await pendingTwoFactorStep(user);
+      if (twoFactorStep) {
+        return res.json({ success: true, ...twoFactorStep });
+      }
+    }
     
     // 🔒 MULTI-ACCOUNT: Create a new session for SSO exchange
     const sessionId = await createSession({
@@ -1998,6 +2160,7 @@ const exchangeSsoToken = async (req, res, next) => {
       userType: tokenData.authType || AUTH_TYPES.STAFF,
       ipAddress: ipAddress,
       userAgent: req.headers['user-agent'],
+      twoFactorVerified: isStaff && !!tokenData.twoFactorVerified,
     });
     
     // Generate new JWT for this subdomain with session ID
@@ -2051,7 +2214,7 @@ const getActiveSessions = async (req, res, next) => {
       );
     } else {
       sessions = await query(
-        `SELECT session_id, ip_address, user_agent, created_at, last_active_at, expires_at
+        `SELECT session_id, ip_address, user_agent, created_at, last_active_at, expires_at, two_factor_verified_at
          FROM user_sessions 
          WHERE user_id = ? AND is_active = TRUE AND expires_at > NOW() AND revoked_at IS NULL
          ORDER BY last_active_at DESC`,
@@ -2203,6 +2366,9 @@ module.exports = {
   schemas,
   login: staffLogin, // Alias for routes
   staffLogin,
+  verifyTwoFactorLogin,
+  startTwoFactorLoginSetup,
+  completeTwoFactorLoginSetup,
   studentLogin,
   getProfile,
   updateProfile,
@@ -2237,6 +2403,8 @@ module.exports = {
   hashPassword,
   BULK_BCRYPT_ROUNDS,
   verifyPassword,
-  // SSO token store getter for partner SSO
-  getSsoTokenStore: () => ssoTokenStore,
+  generateRandomPassword,
+  getRoleDisplayName,
+  // SSO token storage for partner SSO
+  saveSsoToken,
 };
@@ -13,29 +13,86 @@
  * @see docs/AUTOMATED_POSTING_SYSTEM.md for full specification
  */
 
+const crypto = require('crypto');
 const { z } = require('zod');
 const { query, transaction } = require('../db/database');
-const { NotFoundError, ValidationError } = require('../utils/errors');
+const { NotFoundError, ValidationError, ConflictError } = require('../utils/errors');
 
 const { calculateAllowances } = require('../services/allowanceCalculator');
-const { runAutoPostingAlgorithm } = require('../services/autoPostingEngine');
+const { runAutoPostingAlgorithm, runRepairAlgorithm, standardDeviation } = require('../services/autoPostingEngine');
+const notificationService = require('../services/notificationService');
+const auditService = require('../services/auditService');
+const { loadConstraintSet } = require('../services/postingConstraintService');
 
 // ============================================================================
 // VALIDATION SCHEMAS
 // ============================================================================
 
+// Per-run overrides of the engine's DEFAULT_WEIGHTS
+const weightsSchema = z.object({
+  repeat: z.coerce.number().min(0).max(100000).optional(),
+  affinity: z.coerce.number().min(0).max(100000).optional(),
+  load: z.coerce.number().min(0).max(100000).optional(),
+  travel: z.coerce.number().min(0).max(100000).optional(),
+  preference: z.coerce.number().min(0).max(100000).optional(),
+}).strict().optional();
+
+const criteriaSchema = z.object({
+  session_id: z.coerce.number().int().positive('Session ID is required'),
+  number_of_postings: z.coerce.number().int().min(1).max(10).default(1),
+  posting_type: z.enum(['random', 'route_based', 'lga_based']).default('random'),
+  priority_enabled: z.coerce.boolean().default(true),
+  avoid_repeat_schools: z.coerce.boolean().default(true), // Don't send a supervisor to the same school twice
+  faculty_id: z.coerce.number().int().positive().optional().nullable(), // For dean filtering
+  weights: weightsSchema,
+});
+
+// A late change to committed postings, for repair
+const repairChangeSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('supervisor_withdrawn'),
+    supervisor_id: z.coerce.number().int().positive(),
+    from_visit: z.coerce.number().int().min(1).default(1), // Visits before this one stay with them
+  }),
+  z.object({
+    type: z.literal('school_closed'),
+    school_id: z.coerce.number().int().positive(),
+  }),
+  z.object({
+    type: z.literal('group_merged'),
+    school_id: z.coerce.number().int().positive(), // The secondary group, already merged
+    group_number: z.coerce.number().int().min(1),
+  }),
+]);
+
+const repairSchema = criteriaSchema.omit({ number_of_postings: true, faculty_id: true }).extend({
+  changes: z.array(repairChangeSchema).min(1, 'Add at least one change').max(50),
+});
+
 const schemas = {
   autoPost: z.object({
-    body: z.object({
-      session_id: z.coerce.number().int().positive('Session ID is required'),
-      number_of_postings: z.coerce.number().int().min(1).max(10).default(1),
-      posting_type: z.enum(['random', 'route_based', 'lga_based']).default('random'),
-      priority_enabled: z.coerce.boolean().default(true),
-      avoid_repeat_schools: z.coerce.boolean().default(true), // Don't send a supervisor to the same school twice
-      faculty_id: z.coerce.number().int().positive().optional().nullable(), // For dean filtering
+    body: criteriaSchema.extend({
       dry_run: z.coerce.boolean().default(false), // Preview without creating
     }),
   }),
+
+  scenario: z.object({
+    body: criteriaSchema.extend({
+      name: z.string().trim().min(1, 'Scenario name is required').max(100),
+    }),
+  }),
+
+  repair: z.object({
+    body: repairSchema,
+  }),
+
+  // Apply needs the preview's plan_hash and refuses a plan that has since changed
+  repairApply: z.object({
+    body: repairSchema.extend({
+      plan_hash: z.string({ required_error: 'plan_hash from the preview is required' })
+        .regex(/^[0-9a-f]{64}$/, 'plan_hash must be the hash returned by the preview'),
+    }),
+  }),
 };
 
 // ============================================================================
@@ -69,8 +126,10 @@ async function getMaxPostingsPerSupervisor(institutionId, sessionId) {
  *
  * Eligible roles: supervisor, head_of_teaching_practice.
  * Field monitors do monitoring visits, not supervision postings, so they are excluded.
+ * `includeFull` keeps supervisors already at the cap - repair frees slots by moving
+ * postings away from them.
  */
-async function getEligibleSupervisors(institutionId, sessionId, priorityEnabled, facultyId = null) {
+async function getEligibleSupervisors(institutionId, sessionId, priorityEnabled, facultyId = null, { includeFull = false } = {}) {
   const maxPostings = await getMaxPostingsPerSupervisor(institutionId, sessionId);
 
   let sql = `
@@ -95,7 +154,6 @@ async function getEligibleSupervisors(institutionId, sessionId, priorityEnabled,
     WHERE u.institution_id = ?
           AND u.role NOT IN ('super_admin', 'student', 'field_monitor')
           AND u.status = 'active'
-          AND (? - COALESCE(ps.posting_count, 0)) > 0
   `;
 
   const params = [
@@ -103,9 +161,13 @@ async function getEligibleSupervisors(institutionId, sessionId, priorityEnabled,
     parseInt(institutionId), 
     parseInt(sessionId), 
     parseInt(institutionId), 
-    maxPostings
   ];
 
+  if (!includeFull) {
+    sql += ' AND (? - COALESCE(ps.posting_count, 0)) > 0';
+    params.push(maxPostings);
+  }
+
   if (facultyId) {
     sql += ' AND u.faculty_id = ?';
     params.push(parseInt(facultyId));
@@ -141,6 +203,7 @@ async function getAvailableSlots(institutionId, sessionId) {
   // Get all schools with their groups (only schools with students)
   // Derives groups from student_acceptances table (approved students grouped by group_number)
   // Excludes secondary/merged groups - they get dependent postings automatically
+  // preference_score: 1 per student at their first-choice school, 1/2 at their second, ...
   const schools = await query(
     `SELECT 
       isv.id as school_id,
@@ -152,7 +215,8 @@ async function getAvailableSlots(institutionId, sessionId) {
       isv.distance_km,
       isv.location_category,
       sa.group_number,
-      COUNT(DISTINCT sa.student_id) as student_count
+      COUNT(DISTINCT sa.student_id) as student_count,
+      COALESCE(SUM(1 / ssp.preference_rank), 0) as preference_score
     FROM institution_schools isv
     JOIN master_schools ms ON isv.master_school_id = ms.id
     LEFT JOIN routes r ON isv.route_id = r.id
@@ -160,6 +224,9 @@ async function getAvailableSlots(institutionId, sessionId) {
       AND sa.session_id = ? 
       AND sa.institution_id = ? 
       AND sa.status = 'approved'
+    LEFT JOIN student_school_preferences ssp ON ssp.student_id = sa.student_id
+      AND ssp.session_id = sa.session_id
+      AND ssp.institution_school_id = isv.id
     LEFT JOIN merged_groups mg ON mg.secondary_institution_school_id = isv.id 
       AND mg.secondary_group_number = sa.group_number
       AND mg.session_id = sa.session_id
@@ -200,6 +267,7 @@ async function getAvailableSlots(institutionId, sessionId) {
           lga: school.lga,
           distance_km: parseFloat(school.distance_km) || 0,
           location_category: school.location_category,
+          preference_score: parseFloat(school.preference_score) || 0,
         });
       }
     }
@@ -566,6 +634,215 @@ async function createPostingsFromAssignments(
   });
 }
 
+/**
+ * Validate auto-posting criteria from a request body against one of the schemas
+ */
+function parseCriteria(schema, body) {
+  const validation = schema.safeParse({ body });
+
+  if (!validation.success) {
+    throw new ValidationError('Validation failed', validation.error.flatten().fieldErrors);
+  }
+
+  return validation.data.body;
+}
+
+/**
+ * Load everything the engine needs for the given criteria and run it.
+ * Preview, execute and scenarios all plan through here, so a scenario
+ * computes exactly what a preview with the same criteria would show.
+ */
+async function planAutoPosting(institutionId, criteria, user) {
+  const {
+    session_id, number_of_postings, posting_type, priority_enabled, avoid_repeat_schools, faculty_id, weights,
+  } = criteria;
+
+  const session = await getSession(institutionId, session_id);
+  if (!session) throw new NotFoundError('Session not found');
+
+  if (number_of_postings > session.max_supervision_visits) {
+    throw new ValidationError(
+      `Number of postings cannot exceed session limit of ${session.max_supervision_visits}`
+    );
+  }
+
+  const supervisors = await getEligibleSupervisors(institutionId, session_id, priority_enabled, faculty_id);
+  const slots = await getAvailableSlots(institutionId, session_id);
+  const schoolHistory = await getSupervisorSchoolHistory(institutionId, session_id);
+  const deanAllocation = await getDeanAllocation(institutionId, session_id, user);
+  const constraints = await loadConstraintSet(institutionId, session_id);
+
+  const result = runAutoPostingAlgorithm(
+    supervisors,
+    slots,
+    number_of_postings,
+    posting_type,
+    priority_enabled,
+    {
+      avoidRepeatSchools: avoid_repeat_schools,
+      schoolHistory,
+      maxAssignments: deanAllocation ? deanAllocation.remaining : Infinity,
+      weights: weights || {},
+      constraints,
+    }
+  );
+
+  return { session, supervisors, slots, deanAllocation, result };
+}
+
+/**
+ * Create an auto-posting batch and its postings from planned assignments,
+ * marking the batch completed or failed and notifying the supervisors posted.
+ *
+ * @returns {Promise<{batchId: number, created: Object}>}
+ */
+async function executeAssignments(institutionId, session, criteria, assignments, user, deanAllocation, scenarioId = null) {
+  const { session_id, number_of_postings, posting_type, priority_enabled, avoid_repeat_schools, faculty_id, weights } = criteria;
+  const maxPostingsPerSupervisor = await getMaxPostingsPerSupervisor(institutionId, session_id);
+
+  // Create batch record
+  const batch = await query(
+    `INSERT INTO auto_posting_batches 
+     (institution_id, session_id, scenario_id, initiated_by, criteria, status, started_at)
+     VALUES (?, ?, ?, ?, ?, 'processing', NOW())`,
+    [
+      parseInt(institutionId),
+      parseInt(session_id),
+      scenarioId,
+      user.id,
+      JSON.stringify({ number_of_postings, posting_type, priority_enabled, avoid_repeat_schools, faculty_id, weights }),
+    ]
+  );
+
+  const batchId = batch.insertId;
+
+  // Create postings in transaction
+  try {
+    const created = await createPostingsFromAssignments(
+      institutionId,
+      session_id,
+      session,
+      assignments,
+      user.id,
+      batchId,
+      maxPostingsPerSupervisor,
+      deanAllocation
+    );
+
+    // Update batch as completed
+    await query(
+      `UPDATE auto_posting_batches 
+       SET status = 'completed', 
+           total_postings_created = ?,
+           total_supervisors_posted = ?,
+           completed_at = NOW()
+       WHERE id = ?`,
+      [created.total, created.supervisorCount, batchId]
+    );
+
+    await notificationService.notifyPostings(
+      parseInt(institutionId),
+      session.name,
+      created.details
+        .filter((detail) => detail.is_primary)
+        .map((detail) => ({ ...detail, id: detail.posting_id })),
+      notificationService.TYPES.POSTINGS_AUTO_CREATED
+    );
+
+    return { batchId, created };
+  } catch (error) {
+    // Mark batch as failed
+    await query(
+      `UPDATE auto_posting_batches SET status = 'failed', error_message = ? WHERE id = ?`,
+      [error.message, batchId]
+    );
+    throw error;
+  }
+}
+
+/**
+ * The figures scenarios are compared on. Allowances are what the planned
+ * postings would pay (tetfund once per supervisor, as in payment totals);
+ * travel balance is the spread of total distance per supervisor.
+ */
+function summariseScenario(result, supervisors, session) {
+  const supervisorById = new Map(supervisors.map((s) => [s.id, s]));
+  const tetfundBySupervisor = new Map();
+  const travelBySupervisor = new Map();
+  let allowances = 0;
+
+  for (const a of result.assignments) {
+    const computed = calculateAllowances(supervisorById.get(a.supervisor_id) || {}, a, session, false);
+    allowances += computed.transport + computed.dsa + computed.dta + computed.local_running;
+    tetfundBySupervisor.set(a.supervisor_id, Math.max(tetfundBySupervisor.get(a.supervisor_id) || 0, computed.tetfund));
+    travelBySupervisor.set(a.supervisor_id, (travelBySupervisor.get(a.supervisor_id) || 0) + (a.distance_km || 0));
+  }
+
+  const tetfund = [...tetfundBySupervisor.values()].reduce((sum, value) => sum + value, 0);
+  const { statistics } = result;
+
+  return {
+    assignments: statistics.total_assignments,
+    supervisors_posted: statistics.supervisors_full,
+    unfilled_slots: Math.max(0, statistics.filtered_slots_count - statistics.total_assignments),
+    total_allowance: Math.round((allowances + tetfund) * 100) / 100,
+    load_stddev: statistics.load.stddev,
+    travel_stddev_km: Number(standardDeviation([...travelBySupervisor.values()]).toFixed(1)),
+    repeat_schools: statistics.repeat_school_assignments,
+    affinity_breaks: statistics.affinity_breaks,
+  };
+}
+
+const parseJson = (value, fallback = null) =>
+  (typeof value === 'string' ? JSON.parse(value) : value) ?? fallback;
+
+function formatScenario(row, { withAssignments = false } = {}) {
+  const { assignments, ...scenario } = row;
+  return {
+    ...scenario,
+    criteria: parseJson(row.criteria, {}),
+    metrics: parseJson(row.metrics, {}),
+    statistics: parseJson(row.statistics),
+    warnings: parseJson(row.warnings, []),
+    ...(withAssignments && { assignments: parseJson(assignments, []) }),
+  };
+}
+
+async function getScenarioRow(institutionId, scenarioId) {
+  const [scenario] = await query(
+    'SELECT * FROM auto_posting_scenarios WHERE id = ? AND institution_id = ?',
+    [parseInt(scenarioId), parseInt(institutionId)]
+  );
+  if (!scenario) throw new NotFoundError('Scenario not found');
+  return scenario;
+}
+
+/**
+ * Fingerprint of the session's postings. A scenario keeps the one it was
+ * planned on; any posting created, moved or cancelled since changes it.
+ */
+async function postingStateHash(institutionId, sessionId) {
+  const postings = await query(
+    `SELECT id, supervisor_id, institution_school_id, group_number, visit_number, status
+     FROM supervisor_postings
+     WHERE institution_id = ? AND session_id = ?
+     ORDER BY id`,
+    [parseInt(institutionId), parseInt(sessionId)]
+  );
+  return crypto.createHash('sha256').update(JSON.stringify(postings.map((p) => [
+    p.id, p.supervisor_id, p.institution_school_id, p.group_number, p.visit_number, p.status,
+  ]))).digest('hex');
+}
+
+function formatDeanAllocation(deanAllocation, used = 0) {
+  if (!deanAllocation) return null;
+  return {
+    allocated: deanAllocation.allocated_postings,
+    used: deanAllocation.used_postings + (used || 0),
+    remaining: Math.max(0, deanAllocation.remaining - (used || 0)),
+  };
+}
+
 // ============================================================================
 // CONTROLLER METHODS
 // ============================================================================
@@ -577,56 +854,21 @@ async function createPostingsFromAssignments(
 const previewAutoPosting = async (req, res, next) => {
   try {
     const { institutionId } = req.params;
-    const validation = schemas.autoPost.safeParse({ body: req.body });
-    
-    if (!validation.success) {
-      throw new ValidationError('Validation failed', validation.error.flatten().fieldErrors);
-    }
-
-    const { session_id, number_of_postings, posting_type, priority_enabled, avoid_repeat_schools, faculty_id } = validation.data.body;
-
-    // Get session
-    const session = await getSession(institutionId, session_id);
-    if (!session) throw new NotFoundError('Session not found');
-
-    // Validate number_of_postings
-    if (number_of_postings > session.max_supervision_visits) {
-      throw new ValidationError(
-        `Number of postings cannot exceed session limit of ${session.max_supervision_visits}`
-      );
-    }
+    const criteria = parseCriteria(schemas.autoPost, req.body);
 
-    // Get data
-    const supervisors = await getEligibleSupervisors(institutionId, session_id, priority_enabled, faculty_id);
-    const slots = await getAvailableSlots(institutionId, session_id);
-    const schoolHistory = await getSupervisorSchoolHistory(institutionId, session_id);
-    const deanAllocation = await getDeanAllocation(institutionId, session_id, req.user);
+    const { supervisors, slots, deanAllocation, result } = await planAutoPosting(institutionId, criteria, req.user);
 
     // Log for debugging
-    console.log(`[Auto-Post Preview] visits_to_include=${number_of_postings}, total_slots=${slots.length}, supervisors=${supervisors.length}`);
-
-    // Run algorithm (dry run)
-    const result = runAutoPostingAlgorithm(
-      supervisors,
-      slots,
-      number_of_postings,
-      posting_type,
-      priority_enabled,
-      {
-        avoidRepeatSchools: avoid_repeat_schools,
-        schoolHistory,
-        maxAssignments: deanAllocation ? deanAllocation.remaining : Infinity,
-      }
-    );
+    console.log(`[Auto-Post Preview] visits_to_include=${criteria.number_of_postings}, total_slots=${slots.length}, supervisors=${supervisors.length}`);
 
     // Calculate filtered slots count for display (slots for selected visits only)
-    const filteredSlotsCount = slots.filter(s => s.visit_number <= number_of_postings).length;
+    const filteredSlotsCount = slots.filter(s => s.visit_number <= criteria.number_of_postings).length;
 
     res.json({
       success: true,
       data: {
         preview: true,
-        visits_included: number_of_postings,
+        visits_included: criteria.number_of_postings,
         total_supervisors: supervisors.length,
         total_available_slots: filteredSlotsCount, // Show only slots for selected visits
         total_all_slots: slots.length, // Total including all visits
@@ -634,13 +876,7 @@ const previewAutoPosting = async (req, res, next) => {
         statistics: result.statistics,
         warnings: result.warnings,
         data_quality: collectDataQuality(supervisors, slots),
-        dean_allocation: deanAllocation
-          ? {
-              allocated: deanAllocation.allocated_postings,
-              used: deanAllocation.used_postings,
-              remaining: deanAllocation.remaining,
-            }
-          : null,
+        dean_allocation: formatDeanAllocation(deanAllocation),
       },
     });
   } catch (error) {
@@ -655,31 +891,9 @@ const previewAutoPosting = async (req, res, next) => {
 const executeAutoPosting = async (req, res, next) => {
   try {
     const { institutionId } = req.params;
-    const userId = req.user.id;
-    const validation = schemas.autoPost.safeParse({ body: req.body });
-    
-    if (!validation.success) {
-      throw new ValidationError('Validation failed', validation.error.flatten().fieldErrors);
-    }
-
-    const { session_id, number_of_postings, posting_type, priority_enabled, avoid_repeat_schools, faculty_id } = validation.data.body;
-
-    // Get session
-    const session = await getSession(institutionId, session_id);
-    if (!session) throw new NotFoundError('Session not found');
+    const criteria = parseCriteria(schemas.autoPost, req.body);
 
-    if (number_of_postings > session.max_supervision_visits) {
-      throw new ValidationError(
-        `Number of postings cannot exceed session limit of ${session.max_supervision_visits}`
-      );
-    }
-
-    // Get data
-    const supervisors = await getEligibleSupervisors(institutionId, session_id, priority_enabled, faculty_id);
-    const slots = await getAvailableSlots(institutionId, session_id);
-    const schoolHistory = await getSupervisorSchoolHistory(institutionId, session_id);
-    const deanAllocation = await getDeanAllocation(institutionId, session_id, req.user);
-    const maxPostingsPerSupervisor = await getMaxPostingsPerSupervisor(institutionId, session_id);
+    const { session, supervisors, slots, deanAllocation, result } = await planAutoPosting(institutionId, criteria, req.user);
 
     if (deanAllocation && deanAllocation.remaining <= 0) {
       throw new ValidationError(
@@ -687,97 +901,34 @@ const executeAutoPosting = async (req, res, next) => {
       );
     }
 
-    // Run algorithm
-    const result = runAutoPostingAlgorithm(
-      supervisors,
-      slots,
-      number_of_postings,
-      posting_type,
-      priority_enabled,
-      {
-        avoidRepeatSchools: avoid_repeat_schools,
-        schoolHistory,
-        maxAssignments: deanAllocation ? deanAllocation.remaining : Infinity,
-      }
-    );
-
     if (result.assignments.length === 0) {
       throw new ValidationError('No valid assignments could be made. Check available slots and supervisor eligibility.');
     }
 
-    // Create batch record
-    const batch = await query(
-      `INSERT INTO auto_posting_batches 
-       (institution_id, session_id, initiated_by, criteria, status, started_at)
-       VALUES (?, ?, ?, ?, 'processing', NOW())`,
-      [
-        parseInt(institutionId),
-        parseInt(session_id),
-        userId,
-        JSON.stringify({ number_of_postings, posting_type, priority_enabled, avoid_repeat_schools, faculty_id }),
-      ]
+    const { batchId, created } = await executeAssignments(
+      institutionId, session, criteria, result.assignments, req.user, deanAllocation
     );
 
-    const batchId = batch.insertId;
-
-    // Create postings in transaction
-    try {
-      const created = await createPostingsFromAssignments(
-        institutionId,
-        session_id,
-        session,
-        result.assignments,
-        userId,
-        batchId,
-        maxPostingsPerSupervisor,
-        deanAllocation
-      );
-
-      // Update batch as completed
-      await query(
-        `UPDATE auto_posting_batches 
-         SET status = 'completed', 
-             total_postings_created = ?,
-             total_supervisors_posted = ?,
-             completed_at = NOW()
-         WHERE id = ?`,
-        [created.total, created.supervisorCount, batchId]
-      );
-
-      // Add warnings for skipped records
-      if (created.skipped && created.skipped.length > 0) {
-        result.warnings.push(`${created.skipped.length} assignments were skipped due to validation errors`);
-      }
-
-      res.json({
-        success: true,
-        message: `Created ${created.total} postings for ${created.supervisorCount} supervisors`,
-        data: {
-          batch_id: batchId,
-          total_postings_created: created.total,
-          total_supervisors: created.supervisorCount,
-          skipped: created.skipped || [],
-          assignments: created.details,
-          statistics: result.statistics,
-          warnings: result.warnings,
-          data_quality: collectDataQuality(supervisors, slots),
-          dean_allocation: deanAllocation
-            ? {
-                allocated: deanAllocation.allocated_postings,
-                used: deanAllocation.used_postings + (created.deanAllocationUsed || 0),
-                remaining: Math.max(0, deanAllocation.remaining - (created.deanAllocationUsed || 0)),
-              }
-            : null,
-        },
-      });
-    } catch (error) {
-      // Mark batch as failed
-      await query(
-        `UPDATE auto_posting_batches SET status = 'failed', error_message = ? WHERE id = ?`,
-        [error.message, batchId]
-      );
-      throw error;
+    // Add warnings for skipped records
+    if (created.skipped && created.skipped.length > 0) {
+      result.warnings.push(`${created.skipped.length} assignments were skipped due to validation errors`);
     }
+
+    res.json({
+      success: true,
+      message: `Created ${created.total} postings for ${created.supervisorCount} supervisors`,
+      data: {
+        batch_id: batchId,
+        total_postings_created: created.total,
+        total_supervisors: created.supervisorCount,
+        skipped: created.skipped || [],
+        assignments: created.details,
+        statistics: result.statistics,
+        warnings: result.warnings,
+        data_quality: collectDataQuality(supervisors, slots),
+        dean_allocation: formatDeanAllocation(deanAllocation, created.deanAllocationUsed),
+      },
+    });
   } catch (error) {
     next(error);
   }
@@ -795,10 +946,12 @@ const getAutoPostingHistory = async (req, res, next) => {
     let sql = `
       SELECT apb.*, 
              u.name as initiated_by_name,
-             s.name as session_name
+             s.name as session_name,
+             aps.name as scenario_name
       FROM auto_posting_batches apb
       LEFT JOIN users u ON apb.initiated_by = u.id
       LEFT JOIN academic_sessions s ON apb.session_id = s.id
+      LEFT JOIN auto_posting_scenarios aps ON apb.scenario_id = aps.id
       WHERE apb.institution_id = ?
     `;
     const params = [parseInt(institutionId)];
@@ -881,11 +1034,757 @@ const rollbackAutoPosting = async (req, res, next) => {
   }
 };
 
+// ============================================================================
+// WHAT-IF SCENARIOS
+// ============================================================================
+
+/**
+ * List saved scenarios for a session, with the metrics to compare them on
+ * GET /:institutionId/auto-posting/scenarios?session_id=
+ */
+const getScenarios = async (req, res, next) => {
+  try {
+    const { institutionId } = req.params;
+    const { session_id } = req.query;
+
+    if (!session_id) throw new ValidationError('session_id is required');
+
+    const scenarios = await query(
+      `SELECT aps.id, aps.session_id, aps.name, aps.criteria, aps.metrics, aps.statistics, aps.warnings,
+              aps.status, aps.batch_id, aps.computed_at, aps.executed_at, aps.created_at,
+              u.name as created_by_name
+       FROM auto_posting_scenarios aps
+       LEFT JOIN users u ON aps.created_by = u.id
+       WHERE aps.institution_id = ? AND aps.session_id = ?
+       ORDER BY aps.created_at ASC`,
+      [parseInt(institutionId), parseInt(session_id)]
+    );
+
+    res.json({
+      success: true,
+      data: scenarios.map((scenario) => formatScenario(scenario)),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get one scenario including its planned assignments
+ * GET /:institutionId/auto-posting/scenarios/:scenarioId
+ */
+const getScenario = async (req, res, next) => {
+  try {
+    const scenario = await getScenarioRow(req.params.institutionId, req.params.scenarioId);
+
+    res.json({
+      success: true,
+      data: formatScenario(scenario, { withAssignments: true }),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Plan with the given criteria and save the result as a named scenario
+ * POST /:institutionId/auto-posting/scenarios
+ */
+const createScenario = async (req, res, next) => {
+  try {
+    const { institutionId } = req.params;
+    const { name, ...criteria } = parseCriteria(schemas.scenario, req.body);
+
+    const [existing] = await query(
+      'SELECT id FROM auto_posting_scenarios WHERE institution_id = ? AND session_id = ? AND name = ?',
+      [parseInt(institutionId), criteria.session_id, name]
+    );
+    if (existing) {
+      throw new ConflictError(`A scenario named "${name}" already exists for this session`);
+    }
+
+    const stateHash = await postingStateHash(institutionId, criteria.session_id);
+    const { session, supervisors, result } = await planAutoPosting(institutionId, criteria, req.user);
+    const metrics = summariseScenario(result, supervisors, session);
+
+    const inserted = await query(
+      `INSERT INTO auto_posting_scenarios
+       (institution_id, session_id, name, criteria, metrics, statistics, warnings, assignments,
+        posting_state_hash, status, created_by, computed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'draft', ?, NOW())`,
+      [
+        parseInt(institutionId),
+        criteria.session_id,
+        name,
+        JSON.stringify(criteria),
+        JSON.stringify(metrics),
+        JSON.stringify(result.statistics),
+        JSON.stringify(result.warnings),
+        JSON.stringify(result.assignments),
+        stateHash,
+        req.user.id,
+      ]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Scenario "${name}" saved`,
+      data: {
+        id: inserted.insertId,
+        session_id: criteria.session_id,
+        name,
+        status: 'draft',
+        criteria,
+        metrics,
+        statistics: result.statistics,
+        warnings: result.warnings,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Re-plan a scenario against the current postings, keeping its criteria.
+ * Brings a superseded scenario back to draft.
+ * POST /:institutionId/auto-posting/scenarios/:scenarioId/recompute
+ */
+const recomputeScenario = async (req, res, next) => {
+  try {
+    const { institutionId, scenarioId } = req.params;
+    const scenario = await getScenarioRow(institutionId, scenarioId);
+
+    if (scenario.status === 'executed') {
+      throw new ValidationError('This scenario has already been executed');
+    }
+    if (scenario.status === 'executing') {
+      throw new ConflictError('This scenario is being executed');
+    }
+
+    const criteria = parseCriteria(schemas.autoPost, parseJson(scenario.criteria, {}));
+    const stateHash = await postingStateHash(institutionId, scenario.session_id);
+    const { session, supervisors, result } = await planAutoPosting(institutionId, criteria, req.user);
+    const metrics = summariseScenario(result, supervisors, session);
+
+    const updated = await query(
+      `UPDATE auto_posting_scenarios
+       SET metrics = ?, statistics = ?, warnings = ?, assignments = ?, posting_state_hash = ?,
+           status = 'draft', computed_at = NOW()
+       WHERE id = ? AND status IN ('draft', 'superseded')`,
+      [
+        JSON.stringify(metrics),
+        JSON.stringify(result.statistics),
+        JSON.stringify(result.warnings),
+        JSON.stringify(result.assignments),
+        stateHash,
+        scenario.id,
+      ]
+    );
+    if (!updated.affectedRows) {
+      throw new ConflictError('This scenario was executed while it was being recomputed');
+    }
+
+    res.json({
+      success: true,
+      message: `Scenario "${scenario.name}" recomputed`,
+      data: {
+        ...formatScenario(scenario),
+        status: 'draft',
+        metrics,
+        statistics: result.statistics,
+        warnings: result.warnings,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create postings from a scenario's planned assignments. The scenario is
+ * claimed first (draft -> executing) so it runs once, and refused if the
+ * session's postings have changed since it was planned. The other drafts in
+ * the session planned around slots this fills, so they become superseded.
+ * POST /:institutionId/auto-posting/scenarios/:scenarioId/execute
+ */
+const executeScenario = async (req, res, next) => {
+  try {
+    const { institutionId, scenarioId } = req.params;
+    const scenario = await getScenarioRow(institutionId, scenarioId);
+
+    if (scenario.status === 'executed') {
+      throw new ValidationError('This scenario has already been executed');
+    }
+    if (scenario.status === 'superseded') {
+      throw new ValidationError('Postings have changed since this scenario was computed - recompute it first');
+    }
+
+    const criteria = parseJson(scenario.criteria, {});
+    const assignments = parseJson(scenario.assignments, []);
+    if (assignments.length === 0) {
+      throw new ValidationError('This scenario has no assignments to create');
+    }
+
+    const claimed = await query(
+      `UPDATE auto_posting_scenarios SET status = 'executing' WHERE id = ? AND status = 'draft'`,
+      [scenario.id]
+    );
+    if (!claimed.affectedRows) {
+      throw new ConflictError('This scenario is already being executed');
+    }
+
+    let batchId;
+    let created;
+    let deanAllocation;
+    try {
+      if (scenario.posting_state_hash !== await postingStateHash(institutionId, scenario.session_id)) {
+        await query(`UPDATE auto_posting_scenarios SET status = 'superseded' WHERE id = ?`, [scenario.id]);
+        throw new ConflictError('Postings have changed since this scenario was computed - recompute it first');
+      }
+
+      const session = await getSession(institutionId, scenario.session_id);
+      if (!session) throw new NotFoundError('Session not found');
+
+      deanAllocation = await getDeanAllocation(institutionId, scenario.session_id, req.user);
+      if (deanAllocation && deanAllocation.remaining <= 0) {
+        throw new ValidationError(
+          `Your posting allocation for this session is exhausted (${deanAllocation.used_postings} of ${deanAllocation.allocated_postings} used)`
+        );
+      }
+
+      ({ batchId, created } = await executeAssignments(
+        institutionId, session, criteria, assignments, req.user, deanAllocation, scenario.id
+      ));
+    } catch (error) {
+      // Hand the claim back so the scenario can be executed or recomputed again
+      await query(
+        `UPDATE auto_posting_scenarios SET status = 'draft' WHERE id = ? AND status = 'executing'`,
+        [scenario.id]
+      );
+      throw error;
+    }
+
+    await query(
+      `UPDATE auto_posting_scenarios SET status = 'executed', batch_id = ?, executed_at = NOW() WHERE id = ?`,
+      [batchId, scenario.id]
+    );
+    await query(
+      `UPDATE auto_posting_scenarios SET status = 'superseded'
+       WHERE institution_id = ? AND session_id = ? AND status = 'draft' AND id != ?`,
+      [parseInt(institutionId), scenario.session_id, scenario.id]
+    );
+
+    res.json({
+      success: true,
+      message: `Created ${created.total} postings for ${created.supervisorCount} supervisors from "${scenario.name}"`,
+      data: {
+        scenario_id: scenario.id,
+        batch_id: batchId,
+        total_postings_created: created.total,
+        total_supervisors: created.supervisorCount,
+        skipped: created.skipped || [],
+        dean_allocation: formatDeanAllocation(deanAllocation, created.deanAllocationUsed),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a scenario. Executed scenarios are kept - they record which plan a
+ * batch came from.
+ * DELETE /:institutionId/auto-posting/scenarios/:scenarioId
+ */
+const deleteScenario = async (req, res, next) => {
+  try {
+    const { institutionId, scenarioId } = req.params;
+    const scenario = await getScenarioRow(institutionId, scenarioId);
+
+    if (scenario.status === 'executed') {
+      throw new ValidationError('Executed scenarios cannot be deleted');
+    }
+    if (scenario.status === 'executing') {
+      throw new ConflictError('This scenario is being executed');
+    }
+
+    await query('DELETE FROM auto_posting_scenarios WHERE id = ?', [scenario.id]);
+
+    res.json({
+      success: true,
+      message: `Scenario "${scenario.name}" deleted`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ============================================================================
+// INCREMENTAL REPAIR
+// Late changes after postings are committed - a supervisor withdrawing, a school
+// closing, a group merged into another - re-plan only the postings they touch.
+// Preview returns the diff for approval; apply re-plans and refuses to write if
+// the result no longer matches what was previewed.
+// ============================================================================
+
+const ALLOWANCE_FIELDS = ['transport', 'dsa', 'dta', 'local_running', 'tetfund'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Postings a repair may touch: pending and active ones. Completed visits have
+ * happened and stay where they are.
+ */
+async function getCommittedPostings(institutionId, sessionId) {
+  const rows = await query(
+    `SELECT sp.id as posting_id, sp.supervisor_id, u.name as supervisor_name,
+            sp.institution_school_id as school_id, ms.name as school_name, ms.lga,
+            sp.group_number, sp.visit_number, sp.distance_km, sp.route_id, r.name as route_name,
+            sp.is_primary_posting, sp.merged_with_posting_id,
+            sp.transport, sp.dsa, sp.dta, sp.local_running, sp.tetfund
+     FROM supervisor_postings sp
+     JOIN users u ON sp.supervisor_id = u.id
+     JOIN institution_schools isv ON sp.institution_school_id = isv.id
+     JOIN master_schools ms ON isv.master_school_id = ms.id
+     LEFT JOIN routes r ON sp.route_id = r.id
+     WHERE sp.institution_id = ? AND sp.session_id = ? AND sp.status IN ('pending', 'active')
+     ORDER BY sp.id`,
+    [parseInt(institutionId), parseInt(sessionId)]
+  );
+
+  return rows.map((row) => ({
+    ...row,
+    is_primary: Boolean(row.is_primary_posting),
+    distance_km: parseFloat(row.distance_km) || 0,
+    ...Object.fromEntries(ALLOWANCE_FIELDS.map((field) => [field, parseFloat(row[field]) || 0])),
+  }));
+}
+
+/**
+ * Check each change against the institution and resolve what it refers to.
+ * A merged group must already be merged - its host group is read from merged_groups.
+ */
+async function resolveRepairChanges(institutionId, sessionId, changes) {
+  const resolved = [];
+
+  for (const change of changes) {
+    if (change.type === 'supervisor_withdrawn') {
+      const [supervisor] = await query(
+        'SELECT id, name FROM users WHERE id = ? AND institution_id = ?',
+        [change.supervisor_id, parseInt(institutionId)]
+      );
+      if (!supervisor) throw new NotFoundError(`Supervisor #${change.supervisor_id} not found`);
+      resolved.push({ ...change, label: `${supervisor.name} withdrawn from visit ${change.from_visit}` });
+      continue;
+    }
+
+    const [school] = await query(
+      `SELECT isv.id, ms.name FROM institution_schools isv
+       JOIN master_schools ms ON isv.master_school_id = ms.id
+       WHERE isv.id = ? AND isv.institution_id = ?`,
+      [change.school_id, parseInt(institutionId)]
+    );
+    if (!school) throw new NotFoundError(`School #${change.school_id} not found`);
+
+    if (change.type === 'school_closed') {
+      resolved.push({ ...change, label: `${school.name} closed` });
+      continue;
+    }
+
+    const [merge] = await query(
+      `SELECT mg.primary_institution_school_id, mg.primary_group_number, ms.name as primary_school_name
+       FROM merged_groups mg
+       JOIN institution_schools isv ON mg.primary_institution_school_id = isv.id
+       JOIN master_schools ms ON isv.master_school_id = ms.id
+       WHERE mg.institution_id = ? AND mg.session_id = ? AND mg.status = 'active'
+             AND mg.secondary_institution_school_id = ? AND mg.secondary_group_number = ?`,
+      [parseInt(institutionId), parseInt(sessionId), change.school_id, change.group_number]
+    );
+    if (!merge) {
+      throw new ValidationError(
+        `${school.name} group ${change.group_number} is not merged into another group - merge it first`
+      );
+    }
+
+    resolved.push({
+      ...change,
+      into: {
+        school_id: merge.primary_institution_school_id,
+        group_number: merge.primary_group_number,
+        school_name: merge.primary_school_name,
+      },
+      label: `${school.name} group ${change.group_number} merged into ${merge.primary_school_name} group ${merge.primary_group_number}`,
+    });
+  }
+
+  return resolved;
+}
+
+/**
+ * Allowance per supervisor over a set of primary postings, tetfund counted
+ * once per supervisor as in payment totals
+ */
+function allowanceBySupervisor(postings) {
+  const totals = new Map();
+  for (const posting of postings) {
+    const current = totals.get(posting.supervisor_id) || { allowances: 0, tetfund: 0 };
+    current.allowances += posting.transport + posting.dsa + posting.dta + posting.local_running;
+    current.tetfund = Math.max(current.tetfund, posting.tetfund);
+    totals.set(posting.supervisor_id, current);
+  }
+  return new Map([...totals].map(([id, t]) => [id, roundMoney(t.allowances + t.tetfund)]));
+}
+
+const postingTotal = (posting) => roundMoney(ALLOWANCE_FIELDS.reduce((sum, field) => sum + (posting[field] || 0), 0));
+
+/**
+ * Turn the engine's repair result into the diff shown for approval: each moved
+ * or cancelled posting with its allowance before and after, the allowance
+ * change per supervisor, and a hash of the plan for apply to check against.
+ */
+function buildRepairDiff(result, supervisors, committed, session) {
+  const supervisorById = new Map(supervisors.map((s) => [s.id, s]));
+  const nameOf = (id) => supervisorById.get(id)?.name
+    || committed.find((p) => p.supervisor_id === id)?.supervisor_name
+    || `Supervisor #${id}`;
+
+  const slotOf = (posting) => ({
+    posting_id: posting.posting_id,
+    school_id: posting.school_id,
+    school_name: posting.school_name,
+    group_number: posting.group_number,
+    visit_number: posting.visit_number,
+  });
+
+  const moves = result.moves.map(({ posting, reason, dependents, to }) => {
+    const supervisor = to && supervisorById.get(to.supervisor_id);
+    const allowances = to && calculateAllowances(supervisor, posting, session, false);
+    return {
+      ...slotOf(posting),
+      reason,
+      dependents: dependents.map((d) => d.posting_id),
+      from: { supervisor_id: posting.supervisor_id, supervisor_name: nameOf(posting.supervisor_id), total: postingTotal(posting) },
+      to: to ? {
+        supervisor_id: to.supervisor_id,
+        supervisor_name: nameOf(to.supervisor_id),
+        rank_id: supervisor.rank_id || null,
+        ...Object.fromEntries(ALLOWANCE_FIELDS.map((field) => [field, allowances[field]])),
+        total: roundMoney(allowances.total),
+      } : null,
+    };
+  });
+
+  const cancellations = result.cancellations.map(({ posting, reason, dependents, covered_by: coveredBy }) => ({
+    ...slotOf(posting),
+    reason,
+    is_primary: posting.is_primary,
+    dependents: dependents.map((d) => d.posting_id),
+    supervisor_id: posting.supervisor_id,
+    supervisor_name: nameOf(posting.supervisor_id),
+    total: posting.is_primary ? postingTotal(posting) : 0,
+    covered_by: coveredBy || null,
+  }));
+
+  const mergedCover = result.merged_cover
+    .filter(({ host }) => host)
+    .map(({ posting, host }) => ({
+      ...slotOf(posting),
+      route_id: posting.route_id,
+      distance_km: posting.distance_km,
+      host_posting_id: host.posting_id,
+      supervisor_id: host.supervisor_id,
+      supervisor_name: nameOf(host.supervisor_id),
+      rank_id: supervisorById.get(host.supervisor_id)?.rank_id || null,
+    }));
+
+  const warnings = [...result.warnings];
+  for (const { posting } of result.merged_cover.filter((cover) => !cover.host)) {
+    warnings.push(
+      `${posting.school_name} group ${posting.group_number} visit ${posting.visit_number} will be covered once the group it merged into is posted for that visit`
+    );
+  }
+
+  // Allowances per supervisor before and after
+  const primaries = committed.filter((p) => p.is_primary);
+  const leaving = new Set([...moves.map((m) => m.posting_id), ...cancellations.map((c) => c.posting_id)]);
+  const after = [
+    ...primaries.filter((p) => !leaving.has(p.posting_id)),
+    ...moves.filter((m) => m.to).map((m) => m.to),
+  ];
+  const beforeTotals = allowanceBySupervisor(primaries);
+  const afterTotals = allowanceBySupervisor(after);
+
+  const allowanceDeltas = [...new Set([...beforeTotals.keys(), ...afterTotals.keys()])]
+    .map((id) => {
+      const before = beforeTotals.get(id) || 0;
+      const afterTotal = afterTotals.get(id) || 0;
+      return { supervisor_id: id, supervisor_name: nameOf(id), before, after: afterTotal, delta: roundMoney(afterTotal - before) };
+    })
+    .filter((row) => row.delta !== 0)
+    .sort((a, b) => a.delta - b.delta);
+
+  const totalBefore = roundMoney([...beforeTotals.values()].reduce((sum, value) => sum + value, 0));
+  const totalAfter = roundMoney([...afterTotals.values()].reduce((sum, value) => sum + value, 0));
+
+  const planHash = crypto.createHash('sha256').update(JSON.stringify({
+    moves: moves.map((m) => [m.posting_id, m.from.supervisor_id, m.to?.supervisor_id || null]),
+    cancellations: cancellations.map((c) => [c.posting_id, c.dependents]),
+    merged_cover: mergedCover.map((c) => [c.posting_id, c.host_posting_id, c.supervisor_id]),
+  })).digest('hex');
+
+  return {
+    moves,
+    cancellations,
+    merged_cover: mergedCover,
+    allowance_deltas: allowanceDeltas,
+    totals: {
+      moved: moves.filter((m) => m.to).length,
+      unfilled: moves.filter((m) => !m.to).length,
+      cancelled: cancellations.length,
+      allowance_before: totalBefore,
+      allowance_after: totalAfter,
+      allowance_delta: roundMoney(totalAfter - totalBefore),
+    },
+    warnings,
+    statistics: result.statistics,
+    plan_hash: planHash,
+  };
+}
+
+/**
+ * Load the committed postings and re-plan the ones the changes touch
+ */
+async function planRepair(institutionId, criteria) {
+  const { session_id, posting_type, priority_enabled, avoid_repeat_schools, weights } = criteria;
+
+  const session = await getSession(institutionId, session_id);
+  if (!session) throw new NotFoundError('Session not found');
+
+  const changes = await resolveRepairChanges(institutionId, session_id, criteria.changes);
+  const supervisors = await getEligibleSupervisors(institutionId, session_id, priority_enabled, null, { includeFull: true });
+  const committed = await getCommittedPostings(institutionId, session_id);
+  const constraints = await loadConstraintSet(institutionId, session_id);
+
+  const result = runRepairAlgorithm(supervisors, committed, changes, {
+    postingType: posting_type,
+    priorityEnabled: priority_enabled,
+    avoidRepeatSchools: avoid_repeat_schools,
+    weights: weights || {},
+    constraints,
+  });
+
+  return { session, changes, diff: buildRepairDiff(result, supervisors, committed, session) };
+}
+
+/**
+ * What a repair can be asked about: supervisors and schools with postings to
+ * move, and merged groups whose own postings are still in place
+ * GET /:institutionId/auto-posting/repair/options?session_id=
+ */
+const getRepairOptions = async (req, res, next) => {
+  try {
+    const { institutionId } = req.params;
+    const session = await getSession(institutionId, req.query.session_id);
+    if (!session) throw new NotFoundError('Session not found');
+
+    const params = [parseInt(institutionId), session.id];
+
+    const supervisors = await query(
+      `SELECT u.id, u.name, COUNT(*) as posting_count
+       FROM supervisor_postings sp
+       JOIN users u ON sp.supervisor_id = u.id
+       WHERE sp.institution_id = ? AND sp.session_id = ? AND sp.status IN ('pending', 'active')
+             AND sp.is_primary_posting = 1
+       GROUP BY u.id, u.name
+       ORDER BY u.name`,
+      params
+    );
+    const schools = await query(
+      `SELECT isv.id, ms.name, COUNT(*) as posting_count
+       FROM supervisor_postings sp
+       JOIN institution_schools isv ON sp.institution_school_id = isv.id
+       JOIN master_schools ms ON isv.master_school_id = ms.id
+       WHERE sp.institution_id = ? AND sp.session_id = ? AND sp.status IN ('pending', 'active')
+       GROUP BY isv.id, ms.name
+       ORDER BY ms.name`,
+      params
+    );
+    const mergedGroups = await query(
+      `SELECT mg.id, mg.secondary_institution_school_id as school_id, mg.secondary_group_number as group_number,
+              sms.name as school_name, mg.primary_group_number as into_group_number, pms.name as into_school_name
+       FROM merged_groups mg
+       JOIN institution_schools sisv ON mg.secondary_institution_school_id = sisv.id
+       JOIN master_schools sms ON sisv.master_school_id = sms.id
+       JOIN institution_schools pisv ON mg.primary_institution_school_id = pisv.id
+       JOIN master_schools pms ON pisv.master_school_id = pms.id
+       WHERE mg.institution_id = ? AND mg.session_id = ? AND mg.status = 'active'
+         AND EXISTS (
+           SELECT 1 FROM supervisor_postings sp
+           WHERE sp.session_id = mg.session_id
+             AND sp.institution_school_id = mg.secondary_institution_school_id
+             AND sp.group_number = mg.secondary_group_number
+             AND sp.status IN ('pending', 'active') AND sp.is_primary_posting = 1
+         )
+       ORDER BY sms.name, mg.secondary_group_number`,
+      params
+    );
+
+    res.json({
+      success: true,
+      data: {
+        session: { id: session.id, name: session.name, max_supervision_visits: session.max_supervision_visits },
+        supervisors,
+        schools,
+        merged_groups: mergedGroups,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Preview a repair: which postings move, which are cancelled, and what it does
+ * to each supervisor's allowance
+ * POST /:institutionId/auto-posting/repair/preview
+ */
+const previewRepair = async (req, res, next) => {
+  try {
+    const { institutionId } = req.params;
+    const criteria = parseCriteria(schemas.repair, req.body);
+
+    const { changes, diff } = await planRepair(institutionId, criteria);
+
+    res.json({
+      success: true,
+      data: { preview: true, changes, ...diff },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Apply a previewed repair. Moved postings keep their id and are reassigned in
+ * place; their location verification is reset for the new supervisor.
+ * POST /:institutionId/auto-posting/repair/apply
+ */
+const applyRepair = async (req, res, next) => {
+  try {
+    const { institutionId } = req.params;
+    const criteria = parseCriteria(schemas.repairApply, req.body);
+
+    const { session, changes, diff } = await planRepair(institutionId, criteria);
+
+    if (criteria.plan_hash !== diff.plan_hash) {
+      throw new ConflictError('Postings changed since this repair was previewed - preview it again');
+    }
+    if (diff.moves.length === 0 && diff.cancellations.length === 0) {
+      throw new ValidationError('These changes do not affect any active postings');
+    }
+
+    const unfilled = diff.moves.filter((m) => !m.to);
+    const toCancel = [...unfilled.map((m) => m.posting_id), ...diff.cancellations.map((c) => c.posting_id)];
+
+    await transaction(async (conn) => {
+      for (const move of diff.moves.filter((m) => m.to)) {
+        const { to } = move;
+        await conn.execute(
+          `UPDATE supervisor_postings
+           SET supervisor_id = ?, rank_id = ?, transport = ?, dsa = ?, dta = ?, local_running = ?, tetfund = ?,
+               posted_by = ?, posted_at = NOW(), location_verified = 0, location_verified_at = NULL,
+               location_log_id = NULL, updated_at = NOW()
+           WHERE id = ? AND institution_id = ?`,
+          [
+            to.supervisor_id, to.rank_id, to.transport, to.dsa, to.dta, to.local_running, to.tetfund,
+            req.user.id, move.posting_id, parseInt(institutionId),
+          ]
+        );
+        // Dependent postings follow the supervisor of their primary
+        await conn.execute(
+          `UPDATE supervisor_postings
+           SET supervisor_id = ?, rank_id = ?, location_verified = 0, location_verified_at = NULL,
+               location_log_id = NULL, updated_at = NOW()
+           WHERE merged_with_posting_id = ? AND institution_id = ? AND status != 'cancelled'`,
+          [to.supervisor_id, to.rank_id, move.posting_id, parseInt(institutionId)]
+        );
+      }
+
+      if (toCancel.length > 0) {
+        const placeholders = toCancel.map(() => '?').join(',');
+        await conn.execute(
+          `UPDATE supervisor_postings SET status = 'cancelled', updated_at = NOW()
+           WHERE institution_id = ? AND status != 'cancelled'
+                 AND (id IN (${placeholders}) OR merged_with_posting_id IN (${placeholders}))`,
+          [parseInt(institutionId), ...toCancel, ...toCancel]
+        );
+      }
+
+      // A merged group rides along with the posting for the group it merged into
+      for (const cover of diff.merged_cover) {
+        await conn.execute(
+          `INSERT INTO supervisor_postings
+           (institution_id, session_id, supervisor_id, institution_school_id, route_id,
+            group_number, visit_number, distance_km, transport, dsa, dta, local_running,
+            tetfund, is_primary_posting, rank_id, merged_with_posting_id, posting_type,
+            posted_by, posted_at, status, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, 0, 0, 0, 0, 0, ?, ?, 'auto', ?, NOW(), 'active', NOW())`,
+          [
+            parseInt(institutionId), session.id, cover.supervisor_id, cover.school_id, cover.route_id || null,
+            cover.group_number, cover.visit_number, cover.distance_km, cover.rank_id,
+            cover.host_posting_id, req.user.id,
+          ]
+        );
+      }
+    });
+
+    await auditService.log(req, {
+      action: 'auto_posting_repaired',
+      resourceType: 'supervisor_posting',
+      details: {
+        session_id: session.id,
+        changes: changes.map((change) => change.label),
+        moved: diff.moves.filter((m) => m.to).map((m) => ({
+          posting_id: m.posting_id, from: m.from.supervisor_id, to: m.to.supervisor_id,
+        })),
+        cancelled: toCancel,
+        allowance_delta: diff.totals.allowance_delta,
+      },
+    });
+
+    await notificationService.notifyPostings(
+      parseInt(institutionId),
+      session.name,
+      diff.moves
+        .filter((m) => m.to)
+        .map((m) => ({ id: m.posting_id, supervisor_id: m.to.supervisor_id, school_name: m.school_name }))
+    );
+
+    res.json({
+      success: true,
+      message: `Moved ${diff.totals.moved} postings and cancelled ${toCancel.length}`,
+      data: diff,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   previewAutoPosting,
   executeAutoPosting,
   getAutoPostingHistory,
   rollbackAutoPosting,
+  getScenarios,
+  getScenario,
+  createScenario,
+  recomputeScenario,
+  executeScenario,
+  deleteScenario,
+  getRepairOptions,
+  previewRepair,
+  applyRepair,
   schemas,
   // Re-exported from services/autoPostingEngine for tests and existing callers
   runAutoPostingAlgorithm,
@@ -9,6 +9,10 @@ const { z } = require('zod');
 const { query, transaction } = require('../db/database');
 const { NotFoundError, ValidationError } = require('../utils/errors');
 const { clampLimit, clampOffset } = require('../utils/pagination');
+const DocumentService = require('../services/documentService');
+const pdfService = require('../services/pdfService');
+const letterVerificationService = require('../services/letterVerificationService');
+const auditService = require('../services/auditService');
 
 // ============================================================================
 // VALIDATION SCHEMAS
@@ -71,6 +75,16 @@ const schemas = {
       id: z.string(),
     }),
   }),
+
+  revokeIssuance: z.object({
+    body: z.object({
+      reason: z.string().min(3, 'Please give a reason for revoking').max(500),
+    }),
+    params: z.object({
+      institutionId: z.string(),
+      issuanceId: z.string(),
+    }),
+  }),
 };
 
 // ============================================================================
@@ -697,198 +711,345 @@ const previewTemplate = async (req, res, next) => {
 };
 
 /**
- * Generate document for a student
- * GET /:institutionId/document-templates/:id/generate/:studentId
+ * Render a template for a student
+ * Shared by the JSON generate endpoint, PDF downloads and the letters module.
+ * @param {number} institutionId
+ * @param {number} templateId
+ * @param {number} studentId
+ * @param {Object} [options]
+ * @param {number} [options.sessionId] - Defaults to the current session
+ * @param {number} [options.schoolId] - Defaults to the student's approved acceptance
+ * @returns {Promise<Object>} Rendered document plus the institution record
  */
-const generateDocument = async (req, res, next) => {
-  try {
-    const { institutionId, id, studentId } = req.params;
-    const { session_id, school_id } = req.query;
+const renderTemplateForStudent = async (institutionId, templateId, studentId, { sessionId = null, schoolId = null } = {}) => {
+  // Get template
+  const [template] = await query(
+    'SELECT * FROM document_templates WHERE id = ? AND institution_id = ?',
+    [parseInt(templateId), parseInt(institutionId)]
+  );
 
-    // Get template
-    const [template] = await query(
-      'SELECT * FROM document_templates WHERE id = ? AND institution_id = ?',
-      [parseInt(id), parseInt(institutionId)]
-    );
+  if (!template) {
+    throw new NotFoundError('Template not found');
+  }
 
-    if (!template) {
-      throw new NotFoundError('Template not found');
-    }
+  // Get student data
+  const [student] = await query(
+    `SELECT s.*, 
+            p.name as program_name,
+            d.name as department_name,
+            f.name as faculty_name
+     FROM students s
+     LEFT JOIN programs p ON s.program_id = p.id
+     LEFT JOIN departments d ON p.department_id = d.id
+     LEFT JOIN faculties f ON d.faculty_id = f.id
+     WHERE s.id = ? AND s.institution_id = ?`,
+    [parseInt(studentId), parseInt(institutionId)]
+  );
 
-    // Get student data
-    const [student] = await query(
-      `SELECT s.*, 
-              p.name as program_name,
-              d.name as department_name,
-              f.name as faculty_name
-       FROM students s
-       LEFT JOIN programs p ON s.program_id = p.id
-       LEFT JOIN departments d ON p.department_id = d.id
-       LEFT JOIN faculties f ON d.faculty_id = f.id
-       WHERE s.id = ? AND s.institution_id = ?`,
-      [parseInt(studentId), parseInt(institutionId)]
-    );
+  if (!student) {
+    throw new NotFoundError('Student not found');
+  }
 
-    if (!student) {
-      throw new NotFoundError('Student not found');
-    }
+  // Get institution data
+  const [institution] = await query(
+    'SELECT * FROM institutions WHERE id = ?',
+    [parseInt(institutionId)]
+  );
 
-    // Get institution data
-    const [institution] = await query(
-      'SELECT * FROM institutions WHERE id = ?',
+  // Get session data
+  let session;
+  if (sessionId) {
+    [session] = await query(
+      'SELECT * FROM academic_sessions WHERE id = ? AND institution_id = ?',
+      [parseInt(sessionId), parseInt(institutionId)]
+    );
+  } else {
+    [session] = await query(
+      'SELECT * FROM academic_sessions WHERE institution_id = ? AND is_current = 1',
       [parseInt(institutionId)]
     );
+  }
 
-    // Get session data
-    let session;
-    if (session_id) {
-      [session] = await query(
-        'SELECT * FROM academic_sessions WHERE id = ? AND institution_id = ?',
-        [parseInt(session_id), parseInt(institutionId)]
-      );
-    } else {
-      [session] = await query(
-        'SELECT * FROM academic_sessions WHERE institution_id = ? AND is_current = 1',
-        [parseInt(institutionId)]
-      );
-    }
+  // Get school data if provided
+  let school = null;
+  if (schoolId) {
+    [school] = await query(
+      `SELECT isv.*, ms.name, ms.official_code as code, ms.address, ms.ward, ms.lga, ms.state,
+              ms.principal_name, ms.principal_phone, ms.school_type, ms.category
+       FROM institution_schools isv
+       JOIN master_schools ms ON isv.master_school_id = ms.id
+       WHERE isv.id = ? AND isv.institution_id = ?`,
+      [parseInt(schoolId), parseInt(institutionId)]
+    );
+  } else {
+    // Try to get from acceptance
+    const [acceptance] = await query(
+      `SELECT ms.*, isv.id as institution_school_id, isv.route_id, isv.distance_km 
+       FROM student_acceptances sa
+       INNER JOIN institution_schools isv ON sa.institution_school_id = isv.id
+       INNER JOIN master_schools ms ON isv.master_school_id = ms.id
+       WHERE sa.student_id = ? AND sa.session_id = ? AND sa.status = 'approved'`,
+      [parseInt(studentId), session?.id]
+    );
+    school = acceptance || null;
+  }
 
-    // Get school data if provided
-    let school = null;
-    if (school_id) {
-      [school] = await query(
-        `SELECT isv.*, ms.name, ms.official_code as code, ms.address, ms.ward, ms.lga, ms.state,
-                ms.principal_name, ms.principal_phone, ms.school_type, ms.category
-         FROM institution_schools isv
-         JOIN master_schools ms ON isv.master_school_id = ms.id
-         WHERE isv.id = ? AND isv.institution_id = ?`,
-        [parseInt(school_id), parseInt(institutionId)]
-      );
-    } else {
-      // Try to get from acceptance
-      const [acceptance] = await query(
-        `SELECT ms.*, isv.id as institution_school_id, isv.route_id, isv.distance_km 
-         FROM student_acceptances sa
-         INNER JOIN institution_schools isv ON sa.institution_school_id = isv.id
-         INNER JOIN master_schools ms ON isv.master_school_id = ms.id
-         WHERE sa.student_id = ? AND sa.session_id = ? AND sa.status = 'approved'`,
-        [parseInt(studentId), session?.id]
-      );
-      school = acceptance || null;
+  // Build placeholder data (including all aliases from database)
+  const studentTitle = student.gender === 'male' ? 'Mr.' : (student.gender === 'female' ? (student.marital_status === 'married' ? 'Mrs.' : 'Miss') : '');
+  const tpDuration = session?.tp_duration_weeks ? `${session.tp_duration_weeks} weeks` : '';
+  
+  const placeholderData = {
+    // Student (with aliases)
+    student_name: student.full_name,
+    student_fullname: student.full_name, // alias
+    student_title: studentTitle,
+    student_regno: student.registration_number,
+    student_registration_number: student.registration_number,
+    matric_number: student.registration_number, // alias
+    student_program: student.program_name || '',
+    student_course: student.program_name || '', // alias
+    student_department: student.department_name || '',
+    student_faculty: student.faculty_name || '',
+    
+    // Institution (with aliases)
+    institution_name: institution?.name || '',
+    institution_short_name: institution?.code || '',
+    institution_address: institution?.address || '',
+    institution_phone: institution?.phone || '',
+    institution_email: institution?.email || '',
+    institution_logo: institution?.logo_url ? `<img src="${institution.logo_url}" height="80" alt="Institution Logo">` : '',
+    award_type: institution?.award_type || 'National Certificate in Education',
+    regulator_name: institution?.regulator_name || 'National Commission for Colleges of Education (NCCE)',
+    
+    // Session (with aliases)
+    session_name: session?.name || '',
+    current_session: session?.name || '', // alias
+    session_code: session?.code || '',
+    tp_start_date: session?.tp_start_date ? formatDate(session.tp_start_date) : '',
+    tp_end_date: session?.tp_end_date ? formatDate(session.tp_end_date) : '',
+    tp_duration: tpDuration,
+    tp_duration_weeks: session?.tp_duration_weeks?.toString() || '',
+    
+    // Coordinator
+    coordinator_name: session?.coordinator_name || '',
+    coordinator_phone: session?.coordinator_phone || '',
+    coordinator_email: session?.coordinator_email || '',
+    
+    // School
+    school_name: school?.name || '',
+    school_address: school?.address || '',
+    school_type: school?.type || school?.school_type || '',
+    school_state: school?.state || '',
+    school_lga: school?.lga || '',
+    school_ward: school?.ward || '',
+    principal_name: school?.principal_name || '',
+    principal_phone: school?.principal_phone || '',
+    
+    // Dates (with aliases)
+    today: formatDate(new Date()),
+    today_date: formatDate(new Date()), // alias
+    current_date: formatDate(new Date()),
+    current_date_short: formatDate(new Date(), 'short'),
+    current_year: new Date().getFullYear().toString(),
+    posting_date: formatDate(new Date()), // For posting letters
+  };
+
+  // Replace placeholders
+  let renderedContent = template.content;
+  for (const [key, value] of Object.entries(placeholderData)) {
+    const regex = new RegExp(`\\{${key}(?::[a-z]+)?\\}`, 'gi');
+    renderedContent = renderedContent.replace(regex, value);
+  }
+
+  let renderedHeader = template.header_content;
+  if (renderedHeader) {
+    for (const [key, value] of Object.entries(placeholderData)) {
+      const regex = new RegExp(`\\{${key}(?::[a-z]+)?\\}`, 'gi');
+      renderedHeader = renderedHeader.replace(regex, value);
     }
+  }
 
-    // Build placeholder data (including all aliases from database)
-    const studentTitle = student.gender === 'male' ? 'Mr.' : (student.gender === 'female' ? (student.marital_status === 'married' ? 'Mrs.' : 'Miss') : '');
-    const tpDuration = session?.tp_duration_weeks ? `${session.tp_duration_weeks} weeks` : '';
-    
-    const placeholderData = {
-      // Student (with aliases)
-      student_name: student.full_name,
-      student_fullname: student.full_name, // alias
-      student_title: studentTitle,
-      student_regno: student.registration_number,
-      student_registration_number: student.registration_number,
-      matric_number: student.registration_number, // alias
-      student_program: student.program_name || '',
-      student_course: student.program_name || '', // alias
-      student_department: student.department_name || '',
-      student_faculty: student.faculty_name || '',
-      
-      // Institution (with aliases)
-      institution_name: institution?.name || '',
-      institution_short_name: institution?.code || '',
-      institution_address: institution?.address || '',
-      institution_phone: institution?.phone || '',
-      institution_email: institution?.email || '',
-      institution_logo: institution?.logo_url ? `<img src="${institution.logo_url}" height="80" alt="Institution Logo">` : '',
-      award_type: institution?.award_type || 'National Certificate in Education',
-      regulator_name: institution?.regulator_name || 'National Commission for Colleges of Education (NCCE)',
-      
-      // Session (with aliases)
-      session_name: session?.name || '',
-      current_session: session?.name || '', // alias
-      session_code: session?.code || '',
-      tp_start_date: session?.tp_start_date ? formatDate(session.tp_start_date) : '',
-      tp_end_date: session?.tp_end_date ? formatDate(session.tp_end_date) : '',
-      tp_duration: tpDuration,
-      tp_duration_weeks: session?.tp_duration_weeks?.toString() || '',
-      
-      // Coordinator
-      coordinator_name: session?.coordinator_name || '',
-      coordinator_phone: session?.coordinator_phone || '',
-      coordinator_email: session?.coordinator_email || '',
-      
-      // School
-      school_name: school?.name || '',
-      school_address: school?.address || '',
-      school_type: school?.type || school?.school_type || '',
-      school_state: school?.state || '',
-      school_lga: school?.lga || '',
-      school_ward: school?.ward || '',
-      principal_name: school?.principal_name || '',
-      principal_phone: school?.principal_phone || '',
-      
-      // Dates (with aliases)
-      today: formatDate(new Date()),
-      today_date: formatDate(new Date()), // alias
-      current_date: formatDate(new Date()),
-      current_date_short: formatDate(new Date(), 'short'),
-      current_year: new Date().getFullYear().toString(),
-      posting_date: formatDate(new Date()), // For posting letters
-    };
-
-    // Replace placeholders
-    let renderedContent = template.content;
+  let renderedFooter = template.footer_content;
+  if (renderedFooter) {
     for (const [key, value] of Object.entries(placeholderData)) {
       const regex = new RegExp(`\\{${key}(?::[a-z]+)?\\}`, 'gi');
-      renderedContent = renderedContent.replace(regex, value);
+      renderedFooter = renderedFooter.replace(regex, value);
     }
+  }
 
-    let renderedHeader = template.header_content;
-    if (renderedHeader) {
-      for (const [key, value] of Object.entries(placeholderData)) {
-        const regex = new RegExp(`\\{${key}(?::[a-z]+)?\\}`, 'gi');
-        renderedHeader = renderedHeader.replace(regex, value);
-      }
+  return {
+    document: {
+      html: renderedContent,
+      header_html: renderedHeader,
+      footer_html: renderedFooter,
+      css_styles: template.css_styles,
+      page_size: template.page_size,
+      page_orientation: template.page_orientation,
+      page_margins: typeof template.page_margins === 'string' ? JSON.parse(template.page_margins) : (template.page_margins || null),
+      template: {
+        id: template.id,
+        name: template.name,
+        document_type: template.document_type,
+        version: template.version,
+      },
+      placeholderData,
+      student: {
+        id: student.id,
+        full_name: student.full_name,
+        registration_number: student.registration_number,
+      },
+      session: session ? {
+        id: session.id,
+        name: session.name,
+        coordinator_name: session.coordinator_name,
+        coordinator_phone: session.coordinator_phone,
+        coordinator_email: session.coordinator_email,
+      } : null,
+      school: school ? {
+        name: school.name,
+        address: school.address,
+        lga: school.lga,
+        state: school.state,
+      } : null,
+    },
+    institution,
+  };
+};
+
+/**
+ * Generate document for a student
+ * POST /:institutionId/document-templates/:id/generate (student_id in body)
+ * GET /:institutionId/document-templates/:id/generate/:studentId
+ *
+ * Returns rendered HTML as JSON, or a verifiable PDF when ?format=pdf
+ */
+const generateDocument = async (req, res, next) => {
+  try {
+    const { institutionId, id } = req.params;
+    const studentId = req.params.studentId || req.body?.student_id || req.query.student_id;
+    const sessionId = req.query.session_id || req.body?.session_id;
+    const schoolId = req.query.school_id || req.body?.school_id;
+
+    if (!studentId) {
+      throw new ValidationError('student_id is required');
     }
 
-    let renderedFooter = template.footer_content;
-    if (renderedFooter) {
-      for (const [key, value] of Object.entries(placeholderData)) {
-        const regex = new RegExp(`\\{${key}(?::[a-z]+)?\\}`, 'gi');
-        renderedFooter = renderedFooter.replace(regex, value);
-      }
+    const { document, institution } = await renderTemplateForStudent(
+      institutionId, id, studentId, { sessionId, schoolId }
+    );
+
+    if (req.query.format === 'pdf') {
+      const { buffer } = await DocumentService.generatePdf(institution, document, {
+        studentId: document.student.id,
+        sessionId: document.session?.id,
+        templateId: document.template.id,
+        templateVersion: document.template.version,
+        documentType: document.template.document_type,
+        title: document.template.name,
+        renderedBy: req.user.id,
+        ipAddress: req.ip,
+      });
+      const filename = pdfService.buildFilename(document.student.registration_number, document.template.document_type);
+      return pdfService.sendPdf(res, buffer, filename);
     }
 
     res.json({
       success: true,
-      data: {
-        html: renderedContent,
-        header_html: renderedHeader,
-        footer_html: renderedFooter,
-        css_styles: template.css_styles,
-        page_size: template.page_size,
-        page_orientation: template.page_orientation,
-        page_margins: template.page_margins ? JSON.parse(template.page_margins) : null,
-        template: {
-          id: template.id,
-          name: template.name,
-          document_type: template.document_type,
-          version: template.version,
-        },
-        placeholderData,
-        student: {
-          id: student.id,
-          full_name: student.full_name,
-          registration_number: student.registration_number,
-        },
-        session: session ? {
-          id: session.id,
-          name: session.name,
-          coordinator_name: session.coordinator_name,
-          coordinator_phone: session.coordinator_phone,
-          coordinator_email: session.coordinator_email,
-        } : null,
+      data: document,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List issued (QR-verifiable) PDF documents
+ * GET /:institutionId/document-templates/issued
+ */
+const getIssuances = async (req, res, next) => {
+  try {
+    const { institutionId } = req.params;
+    const { student_id, session_id, document_type, search } = req.query;
+    const limit = clampLimit(req.query.limit, 50);
+    const offset = clampOffset(req.query.offset);
+
+    let where = `WHERE drl.institution_id = ? AND drl.render_type = 'pdf'`;
+    const params = [parseInt(institutionId)];
+
+    if (student_id) {
+      where += ' AND drl.student_id = ?';
+      params.push(parseInt(student_id));
+    }
+    if (session_id) {
+      where += ' AND drl.session_id = ?';
+      params.push(parseInt(session_id));
+    }
+    if (document_type) {
+      where += ' AND drl.document_type = ?';
+      params.push(document_type);
+    }
+    if (search) {
+      where += ' AND (s.full_name LIKE ? OR s.registration_number LIKE ?)';
+      const searchTerm = `%${search}%`;
+      params.push(searchTerm, searchTerm);
+    }
+
+    const [countResult] = await query(
+      `SELECT COUNT(*) as total
+       FROM document_render_logs drl
+       LEFT JOIN students s ON drl.student_id = s.id
+       ${where}`,
+      params
+    );
+    const total = countResult?.total || 0;
+
+    const issuances = await query(
+      `SELECT drl.id, drl.document_type, drl.template_id, drl.template_version,
+              drl.student_id, drl.session_id, drl.document_snapshot, drl.rendered_at,
+              drl.verification_count, drl.last_verified_at,
+              drl.revoked_at, drl.revocation_reason,
+              s.full_name as student_name, s.registration_number,
+              sess.name as session_name,
+              u.name as rendered_by_name, ru.name as revoked_by_name,
+              CASE
+                WHEN drl.revoked_at IS NOT NULL THEN 'revoked'
+                WHEN EXISTS (
+                  SELECT 1 FROM document_render_logs newer
+                  WHERE newer.institution_id = drl.institution_id
+                    AND newer.student_id = drl.student_id
+                    AND newer.document_type = drl.document_type
+                    AND newer.render_type = 'pdf'
+                    AND newer.session_id <=> drl.session_id
+                    AND newer.id > drl.id
+                    AND newer.snapshot_hash <> drl.snapshot_hash
+                    AND newer.revoked_at IS NULL
+                ) THEN 'superseded'
+                ELSE 'valid'
+              END as verification_status
+       FROM document_render_logs drl
+       LEFT JOIN students s ON drl.student_id = s.id
+       LEFT JOIN academic_sessions sess ON drl.session_id = sess.id
+       LEFT JOIN users u ON drl.rendered_by = u.id
+       LEFT JOIN users ru ON drl.revoked_by = ru.id
+       ${where}
+       ORDER BY drl.rendered_at DESC, drl.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, parseInt(limit), parseInt(offset)]
+    );
+
+    res.json({
+      success: true,
+      data: issuances.map((issuance) => ({
+        ...issuance,
+        document_snapshot: typeof issuance.document_snapshot === 'string'
+          ? JSON.parse(issuance.document_snapshot)
+          : issuance.document_snapshot,
+      })),
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        pages: Math.ceil(total / parseInt(limit)),
       },
     });
   } catch (error) {
@@ -896,6 +1057,49 @@ const generateDocument = async (req, res, next) => {
   }
 };
 
+/**
+ * Revoke an issued PDF so its QR code no longer verifies as valid
+ * POST /:institutionId/document-templates/issued/:issuanceId/revoke
+ */
+const revokeIssuance = async (req, res, next) => {
+  try {
+    const { institutionId, issuanceId } = req.params;
+    const { reason } = req.body;
+
+    const [issuance] = await query(
+      `SELECT id, student_id, document_type, revoked_at FROM document_render_logs
+       WHERE id = ? AND institution_id = ? AND render_type = 'pdf'`,
+      [parseInt(issuanceId), parseInt(institutionId)]
+    );
+
+    if (!issuance) {
+      throw new NotFoundError('Issued document not found');
+    }
+    if (issuance.revoked_at) {
+      throw new ValidationError('Document has already been revoked');
+    }
+
+    await letterVerificationService.revoke(parseInt(institutionId), issuance.id, {
+      revokedBy: req.user.id,
+      reason,
+    });
+
+    await auditService.log(req, {
+      action: 'document_revoked',
+      resourceType: 'document_render_log',
+      resourceId: issuance.id,
+      details: { student_id: issuance.student_id, document_type: issuance.document_type, reason },
+    });
+
+    res.json({
+      success: true,
+      message: 'Document revoked. Its QR code will now report it as revoked.',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Publish a template
  * POST /:institutionId/document-templates/:id/publish
@@ -1160,6 +1364,9 @@ module.exports = {
   getPlaceholders,
   previewTemplate,
   generateDocument,
+  renderTemplateForStudent,
+  getIssuances,
+  revokeIssuance,
   publish,
   archive,
   duplicate,
@@ -0,0 +1,332 @@
+/**
+ * Email Log Controller
+ *
+ * Delivery logs (email_logs / v_email_stats) and the email queue's dead-letter
+ * entries, so coordinators can see why a notification never arrived and send it
+ * again. SMS share the same log and queue (channel = 'sms'). Every handler
+ * serves both the institution-scoped routes (/:institutionId/email-logs/*) and
+ * the super admin routes (/global/email-logs/*, optionally filtered with
+ * ?institution_id=).
+ *
+ * Recipients are only stored hashed, so the recipient filter is an exact
+ * (case-insensitive) email address or phone number match.
+ *
+ * MedeePay Pattern: Direct SQL, no repository layer.
+ */
+
+const { z } = require('zod');
+const { query } = require('../db/database');
+const { NotFoundError } = require('../utils/errors');
+const { clampLimit } = require('../utils/pagination');
+const emailService = require('../services/emailService');
+const emailQueueService = require('../services/emailQueueService');
+const smsService = require('../services/smsService');
+const auditService = require('../services/auditService');
+
+const schemas = {
+  bulkRetry: z.object({
+    body: z.object({
+      job_ids: z.array(z.string().min(1).max(64)).min(1).max(500).optional(),
+      channel: z.enum(['email', 'sms']).optional(),
+      template: z.string().max(50).optional(),
+      recipient: z.string().min(3).max(255).optional(),
+    }),
+  }),
+};
+
+/**
+ * Institution the request is limited to, or null for all (global routes only)
+ */
+function resolveScope(req) {
+  if (req.params.institutionId) {
+    return parseInt(req.params.institutionId);
+  }
+  return req.query.institution_id ? parseInt(req.query.institution_id) : null;
+}
+
+function logAction(req, institutionId, action, details) {
+  return auditService.log(req, { action, resourceType: 'email_queue', institutionId, details });
+}
+
+/**
+ * List delivery attempts
+ * GET /:institutionId/email-logs
+ * GET /global/email-logs
+ */
+const getLogs = async (req, res, next) => {
+  try {
+    const institutionId = resolveScope(req);
+    const { channel, template, recipient, status, date_from, date_to } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = clampLimit(req.query.limit, 50);
+
+    const conditions = [];
+    const params = [];
+
+    if (institutionId) {
+      conditions.push('el.institution_id = ?');
+      params.push(institutionId);
+    }
+    if (channel) {
+      conditions.push('el.channel = ?');
+      params.push(channel);
+    }
+    if (template) {
+      conditions.push('el.email_type = ?');
+      params.push(template);
+    }
+    if (recipient) {
+      conditions.push('el.recipient_email_hash = ?');
+      params.push(emailService.hashRecipient(smsService.normalizeRecipient(recipient)));
+    }
+    if (status) {
+      conditions.push('el.status = ?');
+      params.push(status);
+    }
+    if (date_from) {
+      conditions.push('el.sent_at >= ?');
+      params.push(date_from);
+    }
+    if (date_to) {
+      conditions.push('el.sent_at < DATE_ADD(?, INTERVAL 1 DAY)');
+      params.push(date_to);
+    }
+
+    const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const logs = await query(
+      `SELECT el.id, el.institution_id, COALESCE(i.name, 'System') as institution_name,
+              el.channel, el.email_type, el.status, el.error_message, el.queue_job_id, el.sent_at,
+              eq.status as queue_status, eq.attempts as queue_attempts
+       FROM email_logs el
+       LEFT JOIN institutions i ON el.institution_id = i.id
+       LEFT JOIN email_queue eq ON eq.job_id = el.queue_job_id
+       ${whereClause}
+       ORDER BY el.sent_at DESC, el.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    const [countResult] = await query(
+      `SELECT COUNT(*) as total FROM email_logs el ${whereClause}`,
+      params
+    );
+    const total = countResult?.total || 0;
+
+    res.json({
+      success: true,
+      data: logs.map((log) => ({
+        ...log,
+        // Only sends that exhausted their retries can be sent again
+        retryable: log.queue_status === 'dead-letter',
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delivery statistics from v_email_stats, plus current queue counts
+ * GET /:institutionId/email-logs/stats?days=30&channel=sms
+ * GET /global/email-logs/stats
+ */
+const getStats = async (req, res, next) => {
+  try {
+    const institutionId = resolveScope(req);
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+
+    const scopeConditions = [];
+    const scopeParams = [];
+    if (institutionId) {
+      scopeConditions.push('institution_id = ?');
+      scopeParams.push(institutionId);
+    }
+    if (req.query.channel) {
+      scopeConditions.push('channel = ?');
+      scopeParams.push(req.query.channel);
+    }
+    const scope = scopeConditions.map((condition) => `AND ${condition}`).join(' ');
+
+    const rows = await query(
+      `SELECT email_type, status, date, SUM(count) as count
+       FROM v_email_stats
+       WHERE date >= DATE_SUB(CURDATE(), INTERVAL ? DAY) ${scope}
+       GROUP BY email_type, status, date
+       ORDER BY date DESC`,
+      [days, ...scopeParams]
+    );
+
+    const totals = { total: 0, sent: 0, failed: 0 };
+    const byTemplate = {};
+    const byDate = {};
+
+    for (const row of rows) {
+      const count = parseInt(row.count) || 0;
+      const bucket = row.status === 'sent' ? 'sent' : 'failed';
+      const date = row.date instanceof Date ? row.date.toISOString().slice(0, 10) : String(row.date);
+
+      totals.total += count;
+      totals[bucket] += count;
+
+      byTemplate[row.email_type] = byTemplate[row.email_type] || { template: row.email_type, sent: 0, failed: 0 };
+      byTemplate[row.email_type][bucket] += count;
+
+      byDate[date] = byDate[date] || { date, sent: 0, failed: 0 };
+      byDate[date][bucket] += count;
+    }
+
+    const queueRows = await query(
+      `SELECT status, COUNT(*) as count FROM email_queue
+       WHERE status IN ('pending', 'processing', 'dead-letter') ${scope}
+       GROUP BY status`,
+      scopeParams
+    );
+    const queue = { pending: 0, processing: 0, dead_letter: 0 };
+    for (const row of queueRows) {
+      queue[row.status === 'dead-letter' ? 'dead_letter' : row.status] = parseInt(row.count) || 0;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        days,
+        totals: {
+          ...totals,
+          failure_rate: totals.total ? Math.round((totals.failed / totals.total) * 1000) / 1000 : 0,
+        },
+        by_template: Object.values(byTemplate).sort((a, b) => (b.sent + b.failed) - (a.sent + a.failed)),
+        by_date: Object.values(byDate).sort((a, b) => a.date.localeCompare(b.date)),
+        queue,
+        templates: emailService.TEMPLATES,
+        sms_templates: smsService.TEMPLATES,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Emails that failed every retry
+ * GET /:institutionId/email-logs/dead-letter
+ * GET /global/email-logs/dead-letter
+ */
+const getDeadLetters = async (req, res, next) => {
+  try {
+    const institutionId = resolveScope(req);
+    const { channel, template, recipient } = req.query;
+
+    const jobs = await emailQueueService.getDeadLetterQueue(clampLimit(req.query.limit, 100), {
+      institutionId,
+      channel,
+      template,
+      recipient,
+    });
+
+    res.json({ success: true, data: jobs });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send one dead-letter email again
+ * POST /:institutionId/email-logs/dead-letter/:jobId/retry
+ * POST /global/email-logs/dead-letter/:jobId/retry
+ */
+const retryDeadLetter = async (req, res, next) => {
+  try {
+    const institutionId = resolveScope(req);
+    const { jobId } = req.params;
+
+    const retried = await emailQueueService.retryDeadLetter(jobId, { institutionId });
+    if (!retried) {
+      throw new NotFoundError('Failed email not found');
+    }
+
+    await logAction(req, institutionId, 'email_retry', { job_ids: [jobId] });
+
+    res.json({ success: true, message: 'Email queued for another attempt' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send dead-letter emails again: the listed jobs, or everything matching the filters
+ * POST /:institutionId/email-logs/dead-letter/retry
+ * POST /global/email-logs/dead-letter/retry
+ */
+const bulkRetryDeadLetters = async (req, res, next) => {
+  try {
+    const institutionId = resolveScope(req);
+    const { job_ids, channel, template, recipient } = req.body;
+
+    const count = await emailQueueService.retryDeadLetters({
+      institutionId,
+      jobIds: job_ids,
+      channel,
+      template,
+      recipient,
+    });
+
+    if (count > 0) {
+      await logAction(req, institutionId, 'email_retry', {
+        job_ids: job_ids || null,
+        channel: channel || null,
+        template: template || null,
+        count,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: count ? `${count} email(s) queued for another attempt` : 'No failed emails matched',
+      data: { count },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Discard dead-letter emails
+ * DELETE /:institutionId/email-logs/dead-letter
+ * DELETE /global/email-logs/dead-letter
+ */
+const clearDeadLetters = async (req, res, next) => {
+  try {
+    const institutionId = resolveScope(req);
+
+    const count = await emailQueueService.clearDeadLetterQueue({ institutionId });
+
+    if (count > 0) {
+      await logAction(req, institutionId, 'email_dead_letter_cleared', { count });
+    }
+
+    res.json({
+      success: true,
+      message: `${count} failed email(s) discarded`,
+      data: { count },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  schemas,
+  getLogs,
+  getStats,
+  getDeadLetters,
+  retryDeadLetter,
+  bulkRetryDeadLetters,
+  clearDeadLetters,
+};
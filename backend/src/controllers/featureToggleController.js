@@ -9,6 +9,7 @@ const { z } = require('zod');
 const { query } = require('../db/database');
 const { NotFoundError, ValidationError } = require('../utils/errors');
 const { clearFeatureCache } = require('../middleware/featureToggle');
+const auditService = require('../services/auditService');
 
 // Validation schemas
 const schemas = {
@@ -238,7 +239,7 @@ const update = async (req, res, next) => {
 
     // Check if institution override exists
     const existing = await query(
-      'SELECT id FROM institution_feature_toggles WHERE institution_id = ? AND feature_toggle_id = ?',
+      'SELECT id, is_enabled, settings FROM institution_feature_toggles WHERE institution_id = ? AND feature_toggle_id = ?',
       [parseInt(institutionId), parseInt(id)]
     );
 
@@ -282,12 +283,18 @@ const update = async (req, res, next) => {
     }
 
     // Audit log
-    await query(
-      `INSERT INTO audit_logs (institution_id, user_id, user_type, action, resource_type, resource_id, details, ip_address)
-       VALUES (?, ?, 'staff', 'feature_toggle_updated', 'feature_toggle', ?, ?, ?)`,
-      [parseInt(institutionId), req.user.id, parseInt(id), 
-       JSON.stringify({ feature_key: feature.feature_key, is_enabled }), req.ip]
-    );
+    await auditService.log(req, {
+      action: 'feature_toggle_updated',
+      resourceType: 'feature_toggle',
+      resourceId: parseInt(id),
+      before: existing[0]
+        ? { is_enabled: existing[0].is_enabled, settings: existing[0].settings }
+        : { is_enabled: null, settings: null },
+      after: settings !== undefined
+        ? { is_enabled: is_enabled ? 1 : 0, settings }
+        : { is_enabled: is_enabled ? 1 : 0 },
+      details: { feature_key: feature.feature_key },
+    });
 
     clearFeatureCache(parseInt(institutionId));
     res.json({
@@ -449,12 +456,12 @@ const create = async (req, res, next) => {
     }
 
     // Audit log
-    await query(
-      `INSERT INTO audit_logs (institution_id, user_id, user_type, action, resource_type, resource_id, details, ip_address)
-       VALUES (?, ?, 'staff', 'feature_toggle_created', 'feature_toggle', ?, ?, ?)`,
-      [parseInt(institutionId), req.user.id, result.insertId, 
-       JSON.stringify({ feature_key, name, is_enabled, is_premium }), req.ip]
-    );
+    await auditService.log(req, {
+      action: 'feature_toggle_created',
+      resourceType: 'feature_toggle',
+      resourceId: result.insertId,
+      after: { feature_key, name, is_enabled: is_enabled ? 1 : 0, is_premium: is_premium ? 1 : 0 },
+    });
 
     clearFeatureCache(parseInt(institutionId));
     res.status(201).json({
@@ -504,7 +511,7 @@ const toggle = async (req, res, next) => {
 
     // Check if institution override exists
     const existing = await query(
-      'SELECT id FROM institution_feature_toggles WHERE institution_id = ? AND feature_toggle_id = ?',
+      'SELECT id, is_enabled, settings FROM institution_feature_toggles WHERE institution_id = ? AND feature_toggle_id = ?',
       [parseInt(institutionId), parseInt(id)]
     );
 
@@ -538,12 +545,14 @@ const toggle = async (req, res, next) => {
     }
 
     // Audit log
-    await query(
-      `INSERT INTO audit_logs (institution_id, user_id, user_type, action, resource_type, resource_id, details, ip_address)
-       VALUES (?, ?, 'staff', 'feature_toggle_toggled', 'feature_toggle', ?, ?, ?)`,
-      [parseInt(institutionId), req.user.id, parseInt(id), 
-       JSON.stringify({ feature_key: feature.feature_key, is_enabled }), req.ip]
-    );
+    await auditService.log(req, {
+      action: 'feature_toggle_toggled',
+      resourceType: 'feature_toggle',
+      resourceId: parseInt(id),
+      before: { is_enabled: existing[0]?.is_enabled ?? null },
+      after: { is_enabled: is_enabled ? 1 : 0 },
+      details: { feature_key: feature.feature_key },
+    });
 
     clearFeatureCache(parseInt(institutionId));
     res.json({
@@ -588,12 +597,12 @@ const remove = async (req, res, next) => {
     );
 
     // Audit log
-    await query(
-      `INSERT INTO audit_logs (institution_id, user_id, user_type, action, resource_type, resource_id, details, ip_address)
-       VALUES (?, ?, 'staff', 'feature_toggle_deleted', 'feature_toggle', ?, ?, ?)`,
-      [parseInt(institutionId), req.user.id, parseInt(id), 
-       JSON.stringify({ feature_key: feature.feature_key, name: feature.name }), req.ip]
-    );
+    await auditService.log(req, {
+      action: 'feature_toggle_deleted',
+      resourceType: 'feature_toggle',
+      resourceId: parseInt(id),
+      before: feature,
+    });
 
     clearFeatureCache(parseInt(institutionId));
     res.json({
@@ -12,6 +12,7 @@
 const { z } = require('zod');
 const { query } = require('../db/database');
 const { NotFoundError, ValidationError, ConflictError } = require('../utils/errors');
+const auditService = require('../services/auditService');
 
 // Validation schemas - simplified since group CRUD against a dedicated table is removed
 const schemas = {
@@ -467,22 +468,14 @@ const assignStudentGroup = async (req, res, next) => {
     );
 
     // Audit log
-    await query(
-      `INSERT INTO audit_logs (institution_id, user_id, user_type, action, resource_type, resource_id, details, ip_address)
-       VALUES (?, ?, 'staff', 'student_regrouped', 'student_acceptance', ?, ?, ?)`,
-      [
-        parseInt(institutionId), 
-        req.user.id, 
-        acceptances[0].id,
-        JSON.stringify({ 
-          student_id, 
-          school_id, 
-          old_group: oldGroupNumber, 
-          new_group: group_number 
-        }),
-        req.ip
-      ]
-    );
+    await auditService.log(req, {
+      action: 'student_regrouped',
+      resourceType: 'student_acceptance',
+      resourceId: acceptances[0].id,
+      before: { group_number: oldGroupNumber },
+      after: { group_number },
+      details: { student_id, school_id },
+    });
 
     res.json({
       success: true,
@@ -718,23 +711,18 @@ const createMerge = async (req, res, next) => {
     );
 
     // Audit log
-    await query(
-      `INSERT INTO audit_logs (institution_id, user_id, user_type, action, resource_type, resource_id, details, ip_address)
-       VALUES (?, ?, 'staff', 'groups_merged', 'merged_group', ?, ?, ?)`,
-      [
-        parseInt(institutionId),
-        req.user.id,
-        result.insertId,
-        JSON.stringify({
-          primary_school_id,
-          primary_group_number,
-          secondary_school_id,
-          secondary_group_number,
-          total_students: totalStudents
-        }),
-        req.ip
-      ]
-    );
+    await auditService.log(req, {
+      action: 'groups_merged',
+      resourceType: 'merged_group',
+      resourceId: result.insertId,
+      after: {
+        primary_school_id,
+        primary_group_number,
+        secondary_school_id,
+        secondary_group_number,
+        total_students: totalStudents
+      },
+    });
 
     res.status(201).json({
       success: true,
@@ -794,17 +782,12 @@ const cancelMerge = async (req, res, next) => {
     );
 
     // Audit log
-    await query(
-      `INSERT INTO audit_logs (institution_id, user_id, user_type, action, resource_type, resource_id, details, ip_address)
-       VALUES (?, ?, 'staff', 'groups_unmerged', 'merged_group', ?, ?, ?)`,
-      [
-        parseInt(institutionId),
-        req.user.id,
-        parseInt(mergeId),
-        JSON.stringify(existing[0]),
-        req.ip
-      ]
-    );
+    await auditService.log(req, {
+      action: 'groups_unmerged',
+      resourceType: 'merged_group',
+      resourceId: parseInt(mergeId),
+      before: existing[0],
+    });
 
     res.json({
       success: true,
@@ -11,6 +11,10 @@ const { query, transaction } = require('../db/database');
 const { NotFoundError, ValidationError, ConflictError } = require('../utils/errors');
 const { encrypt, decrypt } = require('../services/encryptionService');
 const { clearInstitutionCache } = require('../middleware/subdomainResolver');
+const { isFeatureEnabled } = require('../middleware/featureToggle');
+const smsService = require('../services/smsService');
+const paymentGatewayService = require('../services/paymentGatewayService');
+const auditService = require('../services/auditService');
 
 // ============================================================================
 // VALIDATION SCHEMAS
@@ -61,6 +65,8 @@ const schemas = {
       allow_student_portal: z.coerce.boolean().optional(),
       require_pin_change: z.coerce.boolean().optional(),
       session_timeout_minutes: z.coerce.number().int().min(1).max(43200).optional(),
+      // Which staff must use two-factor authentication (see twoFactorService)
+      two_factor_policy: z.enum(['optional', 'head_of_tp', 'all_staff']).optional(),
       // SMTP settings
       smtp_host: z.string().max(255).optional().nullable().transform(v => v === '' ? null : v),
       smtp_port: z.coerce.number().int().min(1).max(65535).optional(),
@@ -69,6 +75,11 @@ const schemas = {
       smtp_password: z.string().max(500).optional().nullable().transform(v => v === '' ? null : v),
       smtp_from_name: z.string().max(100).optional().nullable().transform(v => v === '' ? null : v),
       smtp_from_email: z.string().email().optional().nullable().or(z.literal('')).transform(v => v === '' ? null : v),
+      // SMS settings
+      sms_provider: z.string().max(30).optional().nullable().transform(v => v === '' ? null : v),
+      sms_api_key: z.string().max(500).optional().nullable().transform(v => v === '' ? null : v),
+      sms_username: z.string().max(100).optional().nullable().transform(v => v === '' ? null : v),
+      sms_sender_id: z.string().max(11).optional().nullable().transform(v => v === '' ? null : v),
       // Payment settings
       payment_type: z.enum(['per_student', 'per_session']).optional(),
       payment_base_amount: z.coerce.number().min(0).optional(),
@@ -79,6 +90,9 @@ const schemas = {
       paystack_public_key: z.string().max(500).optional().nullable(),
       paystack_secret_key: z.string().max(500).optional().nullable(),
       paystack_split_code: z.string().max(100).optional().nullable(),
+      payment_gateway: z.string().max(30).optional(),
+      // Credentials for payment_gateway (other than Paystack, which uses the paystack_* fields)
+      payment_gateway_credentials: z.record(z.string().max(500).nullable()).optional(),
     }),
   }),
 
@@ -93,8 +107,38 @@ const schemas = {
       smtp_secure: z.boolean().default(true),
     }),
   }),
+
+  updateSms: z.object({
+    body: z.object({
+      sms_provider: z.string().max(30).nullable(),
+      sms_api_key: z.string().max(500).optional(),
+      sms_username: z.string().max(100).optional().nullable(),
+      // Alphanumeric sender IDs are limited to 11 characters by the networks
+      sms_sender_id: z.string().max(11).optional().nullable(),
+    }),
+  }),
 };
 
+/**
+ * Reject SMS providers that are not registered (or not allowed here)
+ * @param {string|null} provider
+ */
+function assertSmsProvider(provider) {
+  if (provider && !smsService.getProviders().some(p => p.name === provider)) {
+    throw new ValidationError(`Unknown SMS provider '${provider}'`);
+  }
+}
+
+/**
+ * Reject payment gateways that are not registered (or not allowed here)
+ * @param {string|undefined} gateway
+ */
+function assertPaymentGateway(gateway) {
+  if (gateway && !paymentGatewayService.getGateway(gateway)) {
+    throw new ValidationError(`Unknown payment gateway '${gateway}'`);
+  }
+}
+
 // ============================================================================
 // CONTROLLER METHODS
 // ============================================================================
@@ -191,9 +235,13 @@ const getById = async (req, res, next) => {
     );
 
     institution.current_session = currentSession || null;
+    institution.payment_gateway_credentials = paymentGatewayService.maskCredentials(
+      institution.payment_gateway_credentials
+    );
+    institution.payment_gateways = paymentGatewayService.getGateways();
 
     // Mask sensitive fields - never expose raw encrypted values to the frontend
-    const sensitiveFieldsToMask = ['smtp_password', 'paystack_secret_key', 'paystack_public_key'];
+    const sensitiveFieldsToMask = ['smtp_password', 'paystack_secret_key', 'paystack_public_key', 'sms_api_key'];
     for (const field of sensitiveFieldsToMask) {
       if (institution[field]) {
         institution[field] = '••••••••';
@@ -277,6 +325,14 @@ const create = async (req, res, next) => {
       );
     }
 
+    await auditService.log(req, {
+      action: 'institution_created',
+      resourceType: 'institution',
+      resourceId: result.insertId,
+      institutionId: result.insertId,
+      after: data,
+    });
+
     res.status(201).json({
       success: true,
       message: 'Institution created successfully',
@@ -301,9 +357,11 @@ const update = async (req, res, next) => {
     }
 
     const data = validation.data.body;
+    assertSmsProvider(data.sms_provider);
+    assertPaymentGateway(data.payment_gateway);
 
     // Check institution exists
-    const [existing] = await query('SELECT id FROM institutions WHERE id = ?', [parseInt(id)]);
+    const [existing] = await query('SELECT * FROM institutions WHERE id = ?', [parseInt(id)]);
     if (!existing) {
       throw new NotFoundError('Institution not found');
     }
@@ -330,9 +388,9 @@ const update = async (req, res, next) => {
     const params = [];
 
     // Fields that need encryption
-    const sensitiveFields = ['paystack_secret_key', 'paystack_public_key', 'smtp_password'];
+    const sensitiveFields = ['paystack_secret_key', 'paystack_public_key', 'smtp_password', 'sms_api_key'];
     // Fields that should not be set directly as columns
-    const skipFields = ['latitude', 'longitude'];
+    const skipFields = ['latitude', 'longitude', 'payment_gateway_credentials'];
     // Fields that need JSON serialization
     const jsonFields = ['payment_program_pricing'];
 
@@ -375,18 +433,31 @@ const update = async (req, res, next) => {
       }
     }
 
-    // Update payment_enabled based on Paystack key presence
-    if (data.paystack_public_key !== undefined || data.paystack_secret_key !== undefined) {
-      // Check current keys
-      const [current] = await query(
-        'SELECT paystack_public_key, paystack_secret_key FROM institutions WHERE id = ?',
-        [parseInt(id)]
-      );
-      const isNewKey = (val) => val && !String(val).includes('••••') && !isAlreadyEncrypted(val);
-      const hasPublic = isNewKey(data.paystack_public_key) || current?.paystack_public_key;
-      const hasSecret = isNewKey(data.paystack_secret_key) || current?.paystack_secret_key;
+    // Credentials for a gateway other than Paystack: merged into the encrypted set
+    // (masked values keep what is stored)
+    const gateway = data.payment_gateway || existing.payment_gateway || paymentGatewayService.DEFAULT_GATEWAY;
+    const gatewayCredentials = gateway === 'paystack' ? null : paymentGatewayService.mergeCredentials(
+      existing.payment_gateway_credentials, gateway, data.payment_gateway_credentials || {}
+    );
+    if (gatewayCredentials && data.payment_gateway_credentials !== undefined) {
+      updates.push('payment_gateway_credentials = ?');
+      params.push(gatewayCredentials.encrypted);
+    }
+
+    // Update payment_enabled based on the selected gateway's credentials
+    if (data.paystack_public_key !== undefined || data.paystack_secret_key !== undefined
+      || data.payment_gateway !== undefined || data.payment_gateway_credentials !== undefined) {
+      let configured;
+      if (gatewayCredentials) {
+        configured = paymentGatewayService.hasRequiredCredentials(gateway, gatewayCredentials.credentials);
+      } else {
+        const isNewKey = (val) => val && !String(val).includes('••••') && !isAlreadyEncrypted(val);
+        const hasPublic = isNewKey(data.paystack_public_key) || existing.paystack_public_key;
+        const hasSecret = isNewKey(data.paystack_secret_key) || existing.paystack_secret_key;
+        configured = !!(hasPublic && hasSecret);
+      }
       updates.push('payment_enabled = ?');
-      params.push(!!(hasPublic && hasSecret));
+      params.push(configured);
     }
 
     if (updates.length === 0) {
@@ -402,13 +473,22 @@ const update = async (req, res, next) => {
     );
 
     // Clear subdomain cache so changes (especially maintenance_mode) take effect immediately
-    const [updated] = await query('SELECT subdomain FROM institutions WHERE id = ?', [parseInt(id)]);
+    const [updated] = await query('SELECT * FROM institutions WHERE id = ?', [parseInt(id)]);
     if (updated?.subdomain) {
       clearInstitutionCache(updated.subdomain);
     } else {
       clearInstitutionCache(); // Clear all if no subdomain found
     }
 
+    await auditService.log(req, {
+      action: 'institution_updated',
+      resourceType: 'institution',
+      resourceId: parseInt(id),
+      institutionId: parseInt(id),
+      before: existing,
+      after: updated,
+    });
+
     res.json({
       success: true,
       message: 'Institution updated successfully',
@@ -444,6 +524,15 @@ const remove = async (req, res, next) => {
 
     await query('DELETE FROM institutions WHERE id = ?', [parseInt(id)]);
 
+    // Not linked to the institution: its audit rows are deleted with it
+    await auditService.log(req, {
+      action: 'institution_deleted',
+      resourceType: 'institution',
+      resourceId: parseInt(id),
+      institutionId: null,
+      details: { name: existing.name },
+    });
+
     res.json({
       success: true,
       message: `Institution "${existing.name}" deleted successfully`,
@@ -516,7 +605,11 @@ const updateSmtpSettings = async (req, res, next) => {
     const data = validation.data.body;
 
     // Check institution exists
-    const [existing] = await query('SELECT id FROM institutions WHERE id = ?', [parseInt(institutionId)]);
+    const [existing] = await query(
+      `SELECT id, smtp_host, smtp_port, smtp_user, smtp_password, smtp_from_email, smtp_from_name, smtp_secure
+       FROM institutions WHERE id = ?`,
+      [parseInt(institutionId)]
+    );
     if (!existing) {
       throw new NotFoundError('Institution not found');
     }
@@ -542,6 +635,22 @@ const updateSmtpSettings = async (req, res, next) => {
       ]
     );
 
+    await auditService.log(req, {
+      action: 'smtp_settings_updated',
+      resourceType: 'institution',
+      resourceId: parseInt(institutionId),
+      before: existing,
+      after: {
+        smtp_host: data.smtp_host,
+        smtp_port: data.smtp_port,
+        smtp_user: data.smtp_user,
+        smtp_password: encryptedPassword,
+        smtp_from_email: data.smtp_from_email,
+        smtp_from_name: data.smtp_from_name || null,
+        smtp_secure: data.smtp_secure ? 1 : 0,
+      },
+    });
+
     res.json({
       success: true,
       message: 'SMTP settings updated successfully',
@@ -634,6 +743,175 @@ const testSmtpGlobal = async (req, res, next) => {
   }
 };
 
+/**
+ * Get SMS settings (API key masked)
+ * GET /api/:institutionId/settings/sms
+ */
+const getSmsSettings = async (req, res, next) => {
+  try {
+    const { institutionId } = req.params;
+
+    const [institution] = await query(
+      `SELECT sms_provider, sms_api_key, sms_username, sms_sender_id
+       FROM institutions
+       WHERE id = ?`,
+      [parseInt(institutionId)]
+    );
+
+    if (!institution) {
+      throw new NotFoundError('Institution not found');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        sms_provider: institution.sms_provider,
+        sms_username: institution.sms_username,
+        sms_sender_id: institution.sms_sender_id,
+        sms_api_key_masked: institution.sms_api_key ? '••••••••' : null,
+        is_configured: !!institution.sms_provider,
+        feature_enabled: await isFeatureEnabled(smsService.FEATURE_KEY, parseInt(institutionId)),
+        providers: smsService.getProviders(),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update SMS settings (API key encrypted)
+ * PUT /api/:institutionId/settings/sms
+ *
+ * Omit sms_api_key to keep the stored key; set sms_provider to null to turn SMS off.
+ */
+const updateSmsSettings = async (req, res, next) => {
+  try {
+    const { institutionId } = req.params;
+    const validation = schemas.updateSms.safeParse({ body: req.body });
+
+    if (!validation.success) {
+      throw new ValidationError('Validation failed', validation.error.flatten().fieldErrors);
+    }
+
+    const data = validation.data.body;
+    assertSmsProvider(data.sms_provider);
+
+    const [existing] = await query(
+      'SELECT id, sms_provider, sms_username, sms_sender_id, sms_api_key FROM institutions WHERE id = ?',
+      [parseInt(institutionId)]
+    );
+    if (!existing) {
+      throw new NotFoundError('Institution not found');
+    }
+
+    const updates = ['sms_provider = ?', 'sms_username = ?', 'sms_sender_id = ?'];
+    const params = [data.sms_provider, data.sms_username || null, data.sms_sender_id || null];
+
+    // Masked placeholder means "keep the stored key"
+    const apiKeyChanged = !!data.sms_api_key && !data.sms_api_key.includes('••••');
+    const apiKey = apiKeyChanged ? encrypt(data.sms_api_key) : existing.sms_api_key;
+    if (apiKeyChanged) {
+      updates.push('sms_api_key = ?');
+      params.push(apiKey);
+    }
+
+    await query(
+      `UPDATE institutions SET ${updates.join(', ')}, updated_at = NOW() WHERE id = ?`,
+      [...params, parseInt(institutionId)]
+    );
+
+    await auditService.log(req, {
+      action: 'sms_settings_updated',
+      resourceType: 'institution',
+      resourceId: parseInt(institutionId),
+      before: existing,
+      after: {
+        sms_provider: data.sms_provider,
+        sms_username: data.sms_username || null,
+        sms_sender_id: data.sms_sender_id || null,
+        sms_api_key: apiKey,
+      },
+    });
+
+    res.json({
+      success: true,
+      message: 'SMS settings updated successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a test SMS with the saved settings
+ * POST /api/:institutionId/settings/sms/test
+ */
+const testSmsConnection = async (req, res, next) => {
+  try {
+    const { institutionId } = req.params;
+    const { test_phone } = req.body;
+
+    if (!test_phone) {
+      throw new ValidationError('Test phone number is required');
+    }
+
+    const result = await smsService.testSmsConnection(parseInt(institutionId), test_phone);
+
+    if (!result.success) {
+      throw new ValidationError(result.message);
+    }
+
+    res.json({
+      success: true,
+      message: result.message,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a test SMS for any institution (super_admin only)
+ * POST /global/institutions/:id/sms/test
+ */
+const testSmsGlobal = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { test_phone } = req.body;
+
+    if (!test_phone) {
+      throw new ValidationError('Test phone number is required');
+    }
+
+    const [institution] = await query(
+      'SELECT id, name, code FROM institutions WHERE id = ?',
+      [parseInt(id)]
+    );
+
+    if (!institution) {
+      throw new NotFoundError('Institution not found');
+    }
+
+    const result = await smsService.testSmsConnection(parseInt(id), test_phone);
+
+    if (!result.success) {
+      throw new ValidationError(result.message);
+    }
+
+    res.json({
+      success: true,
+      message: result.message,
+      data: {
+        institution: institution.name,
+        institution_code: institution.code,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get all institutions stats (super_admin)
  * GET /global/institutions/stats
@@ -689,8 +967,8 @@ const getAllStats = async (req, res, next) => {
 
 /**
  * Reveal decrypted API keys for an institution
- * GET /global/institutions/:id/reveal-keys
- * Super admin only - returns decrypted Paystack keys
+ * POST /global/institutions/:id/reveal-keys
+ * Super admin only, after step-up (see middleware/stepUp) - returns decrypted Paystack keys
  */
 const revealKeys = async (req, res, next) => {
   try {
@@ -730,6 +1008,14 @@ const revealKeys = async (req, res, next) => {
       }
     }
 
+    await auditService.log(req, {
+      institutionId: parseInt(id),
+      action: 'payment_keys_revealed',
+      resourceType: 'institution',
+      resourceId: parseInt(id),
+      details: { two_factor: req.stepUpMethod || null },
+    });
+
     res.json({
       success: true,
       data: result,
@@ -764,6 +1050,15 @@ const updateStatus = async (req, res, next) => {
       [status, parseInt(id)]
     );
 
+    await auditService.log(req, {
+      action: 'institution_status_updated',
+      resourceType: 'institution',
+      resourceId: parseInt(id),
+      institutionId: parseInt(id),
+      before: { status: existing.status },
+      after: { status },
+    });
+
     res.json({
       success: true,
       message: `Institution "${existing.name}" status updated to "${status}"`,
@@ -892,7 +1187,7 @@ const updateFeatureToggle = async (req, res, next) => {
 
     // Check if institution already has this feature toggle entry
     const [existing] = await query(
-      'SELECT id FROM institution_feature_toggles WHERE institution_id = ? AND feature_toggle_id = ?',
+      'SELECT id, is_enabled FROM institution_feature_toggles WHERE institution_id = ? AND feature_toggle_id = ?',
       [parseInt(institutionId), feature.id]
     );
 
@@ -914,6 +1209,15 @@ const updateFeatureToggle = async (req, res, next) => {
       );
     }
 
+    await auditService.log(req, {
+      action: 'feature_toggle_updated',
+      resourceType: 'feature_toggle',
+      resourceId: feature.id,
+      before: { is_enabled: existing ? existing.is_enabled : null },
+      after: { is_enabled: is_enabled ? 1 : 0 },
+      details: { feature_key: featureKey },
+    });
+
     res.json({
       success: true,
       message: `Feature "${featureKey}" ${is_enabled ? 'enabled' : 'disabled'} successfully`,
@@ -1121,6 +1425,10 @@ module.exports = {
   updateSmtpSettings,
   testSmtpConnection,
   testSmtpGlobal,
+  getSmsSettings,
+  updateSmsSettings,
+  testSmsConnection,
+  testSmsGlobal,
   getDashboardStats,
   updateFeatureToggle,
 };
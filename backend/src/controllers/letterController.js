@@ -10,6 +10,10 @@ const path = require('path');
 const fs = require('fs');
 const { query, transaction } = require('../db/database');
 const { NotFoundError, ValidationError, ConflictError } = require('../utils/errors');
+const { renderTemplateForStudent } = require('./documentTemplateController');
+const DocumentService = require('../services/documentService');
+const pdfService = require('../services/pdfService');
+const auditService = require('../services/auditService');
 
 // Validation schemas
 const schemas = {
@@ -216,12 +220,12 @@ const create = async (req, res, next) => {
     );
 
     // Audit log
-    await query(
-      `INSERT INTO audit_logs (institution_id, user_id, user_type, action, resource_type, resource_id, details, ip_address)
-       VALUES (?, ?, 'staff', 'template_created', 'document_template', ?, ?, ?)`,
-      [parseInt(institutionId), req.user.id, result.insertId, 
-       JSON.stringify({ document_type, name }), req.ip]
-    );
+    await auditService.log(req, {
+      action: 'template_created',
+      resourceType: 'document_template',
+      resourceId: result.insertId,
+      after: { document_type, name },
+    });
 
     res.status(201).json({
       success: true,
@@ -482,39 +486,40 @@ const generateLetter = async (req, res, next) => {
 };
 
 /**
- * Download generated letter
+ * Download a generated letter as HTML or a verifiable PDF (?format=pdf)
  * GET /:institutionId/letters/:id/download/:studentId
  */
 const downloadLetter = async (req, res, next) => {
   try {
     const { institutionId, id, studentId } = req.params;
-    const { format = 'html' } = req.query;
-
-    // Generate the letter first
-    const result = await generateLetter(
-      {
-        params: { institutionId },
-        body: { template_id: parseInt(id), student_ids: [parseInt(studentId)] },
-        user: req.user,
-      },
-      { json: (data) => data },
-      next
-    );
+    const { format = 'html', session_id, school_id } = req.query;
 
-    if (!result.success || !result.data.letters.length) {
-      throw new NotFoundError('Could not generate letter');
+    if (!['html', 'pdf'].includes(format)) {
+      throw new ValidationError('Format must be html or pdf');
     }
 
-    const letter = result.data.letters[0];
+    const { document, institution } = await renderTemplateForStudent(
+      institutionId, id, studentId, { sessionId: session_id, schoolId: school_id }
+    );
 
-    if (format === 'html') {
-      res.setHeader('Content-Type', 'text/html');
-      res.setHeader('Content-Disposition', `attachment; filename="${letter.registration_number}_letter.html"`);
-      res.send(letter.content);
-    } else {
-      // For PDF, would need a PDF generator like puppeteer or pdfkit
-      throw new ValidationError('PDF format not yet implemented');
+    if (format === 'pdf') {
+      const { buffer } = await DocumentService.generatePdf(institution, document, {
+        studentId: document.student.id,
+        sessionId: document.session?.id,
+        templateId: document.template.id,
+        templateVersion: document.template.version,
+        documentType: document.template.document_type,
+        title: document.template.name,
+        renderedBy: req.user.id,
+        ipAddress: req.ip,
+      });
+      return pdfService.sendPdf(res, buffer, pdfService.buildFilename(document.student.registration_number, 'letter'));
     }
+
+    const content = [document.header_html, document.html, document.footer_html].filter(Boolean).join('\n');
+    res.setHeader('Content-Type', 'text/html');
+    res.setHeader('Content-Disposition', `attachment; filename="${document.student.registration_number}_letter.html"`);
+    res.send(content);
   } catch (error) {
     next(error);
   }
@@ -6,9 +6,18 @@
  *
  * Key Rules:
  * 1. Location must be within school's geofence radius to be accepted
- * 2. Only successful verifications are logged (reduces database clutter)
+ * 2. Only successful verifications are logged (reduces database clutter);
+ *    rejected attempts are kept apart for visit compliance
  * 3. One device per supervisor per session (anti-cheating)
  * 4. Admins bypass location restrictions for result management
+ * 5. Each check-in carries a live selfie and a photo of the school; an image
+ *    already submitted on another check-in is flagged for review
+ * 6. Each check-in is scored for spoofing signs (locationAnomalyService);
+ *    risky check-ins are still accepted but surface in the admin logs
+ * 7. Check-ins captured offline sync later as signed, sequenced records
+ *    (offlineSyncService) and are marked deferred in the logs. Their capture
+ *    time is the device's claim: the log and posting keep the server time,
+ *    and the risk score marks them as synced from offline
  *
  * MedeePay Pattern: Direct SQL with institutionId from route params.
  */
@@ -16,30 +25,78 @@
 const { z } = require('zod');
 const crypto = require('crypto');
 const { query, transaction } = require('../db/database');
-const { NotFoundError, ValidationError } = require('../utils/errors');
+const { NotFoundError, ValidationError, ServiceUnavailableError } = require('../utils/errors');
+const cloudinaryService = require('../services/cloudinaryService');
+const { scoreCheckIn, FLAGS, RISK_LEVELS } = require('../services/locationAnomalyService');
+const offlineSyncService = require('../services/offlineSyncService');
+
+// Check-in is sent as multipart form data (selfie + site photo), so numbers
+// arrive as strings and device_info as a JSON string
+const parseJsonField = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
 
 // Validation schemas
 const schemas = {
   verifyLocation: z.object({
     body: z.object({
-      posting_id: z.number().int().positive('Posting ID is required'),
-      latitude: z.number().min(-90).max(90),
-      longitude: z.number().min(-180).max(180),
-      accuracy_meters: z.number().min(0).nullish(),
-      altitude_meters: z.number().nullish(),
+      posting_id: z.coerce.number().int().positive('Posting ID is required'),
+      latitude: z.coerce.number().min(-90).max(90),
+      longitude: z.coerce.number().min(-180).max(180),
+      accuracy_meters: z.coerce.number().min(0).nullish(),
+      altitude_meters: z.coerce.number().nullish(),
       timestamp_client: z.string().nullish(),
-      device_info: z
-        .object({
-          device_id: z.string().optional(),
-          model: z.string().optional(),
-          os: z.string().optional(),
-          browser: z.string().optional(),
-        })
-        .optional(),
+      device_info: z.preprocess(
+        parseJsonField,
+        z
+          .object({
+            device_id: z.string().optional(),
+            model: z.string().optional(),
+            os: z.string().optional(),
+            browser: z.string().optional(),
+          })
+          .optional()
+      ),
+    }),
+  }),
+  rescore: z.object({
+    body: z.object({
+      session_id: z.number().int().positive().optional(),
+    }),
+  }),
+  verifyLocationBatch: z.object({
+    body: z.object({
+      // Multipart: the envelopes arrive as one JSON field beside the photos
+      records: z.preprocess(parseJsonField, offlineSyncService.batchSchema('check_in', 10)),
+      // Device clock when the batch was sent, for the clock drift check
+      device_time: z.string().nullish(),
+    }),
+  }),
+  offlineKey: z.object({
+    query: z.object({
+      device_id: z.string().min(1).max(64),
     }),
   }),
 };
 
+// Payload of an offline check-in: the live fields plus the SHA-256 of each
+// photo, so the photos are covered by the record's signature
+const offlineCheckInPayload = schemas.verifyLocation.shape.body.omit({ timestamp_client: true }).extend({
+  selfie_sha256: z.string().length(64),
+  environment_photo_sha256: z.string().length(64),
+});
+
+// Images a check-in must carry, by upload field (also the log column prefix)
+const CHECKIN_PHOTOS = {
+  selfie: 'selfie',
+  environment_photo: 'photo of the school environment',
+};
+
 /**
  * Calculate distance between two GPS coordinates using Haversine formula
  * @param {number} lat1 - Latitude of first point
@@ -79,195 +136,482 @@ function generateDeviceHash(req, deviceInfo) {
   return crypto.createHash('sha256').update(fingerprint).digest('hex').substring(0, 32);
 }
 
+// A log whose selfie or site photo also appears on another log in the
+// institution, or that sent one image as both
+const PHOTO_REUSED_SQL = `(
+  sll.selfie_hash = sll.environment_photo_hash
+  OR EXISTS (
+    SELECT 1 FROM supervision_location_logs other
+    WHERE other.institution_id = sll.institution_id
+      AND other.id != sll.id
+      AND (other.selfie_hash IN (sll.selfie_hash, sll.environment_photo_hash)
+        OR other.environment_photo_hash IN (sll.selfie_hash, sll.environment_photo_hash))
+  )
+)`;
+
 /**
- * Verify supervisor location for a posting
- * POST /:institutionId/location/verify
+ * SHA-256 of an uploaded image, used to spot the same picture submitted twice
+ * @param {Object} file - Multer memory-storage file
+ * @returns {string} Hex digest
  */
-const verifyLocation = async (req, res, next) => {
-  try {
-    const { institutionId } = req.params;
-    const supervisorId = req.user.id;
-    const {
-      posting_id,
-      latitude,
-      longitude,
-      accuracy_meters,
-      altitude_meters,
-      timestamp_client,
-      device_info,
-    } = req.body;
+function hashImage(file) {
+  return crypto.createHash('sha256').update(file.buffer).digest('hex');
+}
 
-    // 1. Verify posting belongs to this supervisor and get school coordinates
-    const [posting] = await query(
-      `SELECT sp.*, 
-              ms.name as school_name,
-              ST_X(ms.location) as school_longitude,
-              ST_Y(ms.location) as school_latitude,
-              isv.geofence_radius_m
-       FROM supervisor_postings sp
-       JOIN institution_schools isv ON sp.institution_school_id = isv.id
-       JOIN master_schools ms ON isv.master_school_id = ms.id
-       WHERE sp.id = ? AND sp.institution_id = ? AND sp.supervisor_id = ?`,
-      [posting_id, parseInt(institutionId), supervisorId]
-    );
+/**
+ * Load what the anomaly scorer needs to know about a check-in's surroundings
+ * @param {number} institutionId
+ * @param {Object} checkIn - { id?, supervisor_id, session_id, device_id, latitude, longitude, recorded_at }
+ *   id is omitted for a check-in not yet saved
+ * @returns {Promise<Object>} { previous, sharedWith, identicalCoordinates } for scoreCheckIn()
+ */
+async function loadAnomalyContext(institutionId, checkIn) {
+  const excludeId = checkIn.id || 0;
 
-    if (!posting) {
-      throw new NotFoundError('Posting not found or does not belong to you');
-    }
+  const [previous] = await query(
+    `SELECT sll.latitude, sll.longitude, sll.timestamp_server as recorded_at, ms.name as school_name
+     FROM supervision_location_logs sll
+     JOIN institution_schools isv ON sll.institution_school_id = isv.id
+     JOIN master_schools ms ON isv.master_school_id = ms.id
+     WHERE sll.institution_id = ? AND sll.supervisor_id = ? AND sll.id != ?
+       AND sll.timestamp_server <= ?
+     ORDER BY sll.timestamp_server DESC, sll.id DESC
+     LIMIT 1`,
+    [institutionId, checkIn.supervisor_id, excludeId, checkIn.recorded_at]
+  );
 
-    if (posting.status !== 'active') {
-      throw new ValidationError('Cannot verify location for inactive posting');
-    }
+  const deviceUsedByOthers = checkIn.device_id
+    ? await query(
+        `SELECT DISTINCT sll.supervisor_id, u.name as supervisor_name
+         FROM supervision_location_logs sll
+         JOIN users u ON sll.supervisor_id = u.id
+         WHERE sll.device_id = ?
+           AND sll.supervisor_id != ?
+           AND sll.session_id = ?
+         LIMIT 5`,
+        [checkIn.device_id, checkIn.supervisor_id, checkIn.session_id]
+      )
+    : [];
 
-    // 2. Check if school has GPS coordinates
-    if (!posting.school_latitude || !posting.school_longitude) {
-      throw new ValidationError(
-        `School "${posting.school_name}" does not have GPS coordinates configured. Please contact the TP office.`
-      );
+  const [identical] = await query(
+    `SELECT COUNT(*) as count
+     FROM supervision_location_logs
+     WHERE institution_id = ? AND id != ? AND latitude = ? AND longitude = ?`,
+    [institutionId, excludeId, checkIn.latitude, checkIn.longitude]
+  );
+
+  return {
+    previous: previous || null,
+    sharedWith: deviceUsedByOthers.map((s) => s.supervisor_name),
+    identicalCoordinates: Number(identical?.count || 0),
+  };
+}
+
+/**
+ * Verify a check-in and, when it passes, log it and mark the posting verified.
+ * Shared by the live check-in and the deferred (offline) batch sync.
+ * @param {Object} req - Express request (institution, supervisor, device headers)
+ * @param {Object} checkIn - Validated check-in fields plus photos
+ *   ({ selfie, environment_photo } multer files)
+ * @param {Object|null} [deferred] - { sequence, client_timestamp, device_time? } for a
+ *   check-in captured offline and synced later
+ * @returns {Promise<Object>} { status: 'verified'|'already_verified'|'outside_geofence', message, data }
+ */
+async function recordCheckIn(req, checkIn, deferred = null) {
+  const institutionId = parseInt(req.params.institutionId);
+  const supervisorId = req.user.id;
+  const {
+    posting_id,
+    latitude,
+    longitude,
+    accuracy_meters,
+    altitude_meters,
+    timestamp_client,
+    device_info,
+  } = checkIn;
+
+  const photos = {};
+  for (const [field, label] of Object.entries(CHECKIN_PHOTOS)) {
+    const file = checkIn[field];
+    if (!file) {
+      throw new ValidationError(`A ${label} taken at the school is required to check in`);
     }
+    photos[field] = { file, hash: hashImage(file) };
+  }
 
-    // 3. Calculate distance from school
-    const distanceFromSchool = calculateDistance(
-      latitude,
-      longitude,
-      posting.school_latitude,
-      posting.school_longitude
+  // 1. Verify posting belongs to this supervisor and get school coordinates
+  const [posting] = await query(
+    `SELECT sp.*, 
+            ms.name as school_name,
+            ST_X(ms.location) as school_longitude,
+            ST_Y(ms.location) as school_latitude,
+            isv.geofence_radius_m
+     FROM supervisor_postings sp
+     JOIN institution_schools isv ON sp.institution_school_id = isv.id
+     JOIN master_schools ms ON isv.master_school_id = ms.id
+     WHERE sp.id = ? AND sp.institution_id = ? AND sp.supervisor_id = ?`,
+    [posting_id, institutionId, supervisorId]
+  );
+
+  if (!posting) {
+    throw new NotFoundError('Posting not found or does not belong to you');
+  }
+
+  if (posting.status !== 'active') {
+    throw new ValidationError('Cannot verify location for inactive posting');
+  }
+
+  // 2. Check if school has GPS coordinates
+  if (!posting.school_latitude || !posting.school_longitude) {
+    throw new ValidationError(
+      `School "${posting.school_name}" does not have GPS coordinates configured. Please contact the TP office.`
     );
+  }
 
-    const geofenceRadius = posting.geofence_radius_m || 100;
-    const isWithinGeofence = distanceFromSchool <= geofenceRadius;
-
-    // 4. If NOT within geofence, return error immediately WITHOUT logging
-    if (!isWithinGeofence) {
-      return res.status(400).json({
-        success: false,
-        message: `You are not within the school's geofence area. Please move closer to the school and try again.`,
-        data: {
-          is_within_geofence: false,
-          distance_from_school_m: Math.round(distanceFromSchool),
-          geofence_radius_m: geofenceRadius,
-          school_name: posting.school_name,
-          hint: `You need to be within ${geofenceRadius}m of the school. Current distance: ${Math.round(distanceFromSchool)}m`,
-        },
-      });
-    }
+  // 3. Calculate distance from school
+  const distanceFromSchool = calculateDistance(
+    latitude,
+    longitude,
+    posting.school_latitude,
+    posting.school_longitude
+  );
+
+  const geofenceRadius = posting.geofence_radius_m || 100;
+  const isWithinGeofence = distanceFromSchool <= geofenceRadius;
 
-    // 5. Check for existing verified location for this posting
-    const [existingVerified] = await query(
-      `SELECT id FROM supervision_location_logs 
-       WHERE supervisor_posting_id = ?`,
-      [posting_id]
+  // 4. If NOT within geofence, return error without a location log; the
+  // attempt is kept so visit compliance can tell it from a missed visit
+  if (!isWithinGeofence) {
+    await query(
+      `INSERT INTO supervision_checkin_attempts
+         (institution_id, supervisor_posting_id, supervisor_id, latitude, longitude,
+          accuracy_meters, distance_from_school_m, geofence_radius_m, attempted_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        institutionId,
+        posting_id,
+        supervisorId,
+        latitude,
+        longitude,
+        accuracy_meters || null,
+        Math.round(distanceFromSchool * 100) / 100,
+        geofenceRadius,
+        new Date(),
+      ]
     );
 
-    if (existingVerified) {
-      return res.json({
-        success: true,
-        message: 'Location already verified for this posting',
-        data: {
-          already_verified: true,
-          verified_at: posting.location_verified_at,
-        },
+    return {
+      status: 'outside_geofence',
+      message: `You are not within the school's geofence area. Please move closer to the school and try again.`,
+      data: {
+        is_within_geofence: false,
+        distance_from_school_m: Math.round(distanceFromSchool),
+        geofence_radius_m: geofenceRadius,
+        school_name: posting.school_name,
+        hint: `You need to be within ${geofenceRadius}m of the school. Current distance: ${Math.round(distanceFromSchool)}m`,
+      },
+    };
+  }
+
+  // 5. Check for existing verified location for this posting
+  const [existingVerified] = await query(
+    `SELECT id FROM supervision_location_logs 
+     WHERE supervisor_posting_id = ?`,
+    [posting_id]
+  );
+
+  if (existingVerified) {
+    return {
+      status: 'already_verified',
+      message: 'Location already verified for this posting',
+      data: {
+        already_verified: true,
+        verified_at: posting.location_verified_at,
+      },
+    };
+  }
+
+  // 6. Anti-cheating: Check if device was used by another supervisor in same session,
+  // and gather the rest of what the anomaly scorer needs. Travel between
+  // check-ins is judged from the claimed capture time of a deferred check-in;
+  // what is stored as the check-in time is always the server's.
+  const deviceHash = generateDeviceHash(req, device_info);
+  const now = new Date();
+  const recordedAt = deferred ? new Date(deferred.client_timestamp) : now;
+
+  const anomalyContext = await loadAnomalyContext(institutionId, {
+    supervisor_id: supervisorId,
+    session_id: posting.session_id,
+    device_id: deviceHash,
+    // Stored as decimal(12,8); compare at that precision
+    latitude: Number(latitude.toFixed(8)),
+    longitude: Number(longitude.toFixed(8)),
+    recorded_at: recordedAt,
+  });
+
+  let validationMessage = `Location verified. Distance from school: ${distanceFromSchool.toFixed(0)}m`;
+
+  // Log if device shared but still allow (for audit purposes)
+  if (anomalyContext.sharedWith.length > 0) {
+    const otherNames = anomalyContext.sharedWith.join(', ');
+    validationMessage += ` (Note: Device also used by ${otherNames} this session)`;
+  }
+
+  // 7. Anti-cheating: Flag a selfie or site photo already submitted on another
+  // check-in (or the same image sent as both). Flagged but still allowed.
+  const hashes = [photos.selfie.hash, photos.environment_photo.hash];
+  const reusedFrom = await query(
+    `SELECT sll.id, sll.visit_number, ms.name as school_name
+     FROM supervision_location_logs sll
+     JOIN institution_schools isv ON sll.institution_school_id = isv.id
+     JOIN master_schools ms ON isv.master_school_id = ms.id
+     WHERE sll.institution_id = ?
+       AND (sll.selfie_hash IN (?, ?) OR sll.environment_photo_hash IN (?, ?))
+     LIMIT 3`,
+    [institutionId, ...hashes, ...hashes]
+  );
+  const photoReused = reusedFrom.length > 0 || hashes[0] === hashes[1];
+
+  if (photoReused) {
+    const earlier = reusedFrom.map((l) => `${l.school_name} visit ${l.visit_number}`).join(', ');
+    validationMessage += earlier
+      ? ` (Note: Photo reused from an earlier check-in at ${earlier})`
+      : ' (Note: Same image submitted as selfie and site photo)';
+  }
+
+  // 8. Store the photos
+  const [context] = await query(
+    `SELECT i.code as institution_code, sess.name as session_name
+     FROM institutions i
+     LEFT JOIN academic_sessions sess ON sess.id = ?
+     WHERE i.id = ?`,
+    [posting.session_id, institutionId]
+  );
+
+  for (const [field, photo] of Object.entries(photos)) {
+    try {
+      photo.uploaded = await cloudinaryService.uploadImage(photo.file, {
+        institutionCode: context?.institution_code || `inst-${institutionId}`,
+        sessionName: context?.session_name,
+        studentId: `supervisor-${supervisorId}-${field}`,
+        type: 'checkins',
+        originalFilename: photo.file.originalname,
       });
+    } catch (uploadError) {
+      console.error('Cloudinary upload error:', uploadError);
+      // Retryable: an offline sync keeps the record queued instead of storing a rejection
+      throw new ServiceUnavailableError(`Failed to upload ${CHECKIN_PHOTOS[field]}. Please try again.`);
     }
+  }
 
-    // 6. Anti-cheating: Check if device was used by another supervisor in same session
-    const deviceHash = generateDeviceHash(req, device_info);
+  // 9. Calculate time drift for audit. A deferred check-in arrives long after
+  // its client timestamp by design, so its drift is read from the device
+  // clock at sync time instead.
+  let timeDriftSeconds = null;
+  const deviceTime = deferred ? deferred.device_time : timestamp_client;
+  if (deviceTime) {
+    const drift = Math.round((new Date() - new Date(deviceTime)) / 1000);
+    timeDriftSeconds = Number.isFinite(drift) ? drift : null;
+  }
 
-    const deviceUsedByOthers = await query(
-      `SELECT DISTINCT sll.supervisor_id, u.name as supervisor_name
-       FROM supervision_location_logs sll
-       JOIN users u ON sll.supervisor_id = u.id
-       WHERE sll.device_id = ?
-         AND sll.supervisor_id != ?
-         AND sll.session_id = ?
-       LIMIT 5`,
-      [deviceHash, supervisorId, posting.session_id]
+  // 10. Score for spoofing signs (accepted either way; admins review the risky ones)
+  const risk = scoreCheckIn(
+    {
+      latitude,
+      longitude,
+      accuracy_meters,
+      time_drift_seconds: timeDriftSeconds,
+      recorded_at: recordedAt,
+      sync_delay_seconds: deferred ? Math.round((now - recordedAt) / 1000) : null,
+    },
+    anomalyContext
+  );
+
+  // 11. Create location log entry and update posting
+  const logId = await transaction(async (conn) => {
+    const [logResult] = await conn.execute(
+      `INSERT INTO supervision_location_logs (
+        institution_id, supervisor_posting_id, supervisor_id, session_id,
+        institution_school_id, visit_number,
+        latitude, longitude, accuracy_meters, altitude_meters,
+        distance_from_school_m, geofence_radius_m, is_within_geofence,
+        validation_message,
+        device_id, device_info, ip_address, user_agent,
+        session_token_hash, timestamp_client, time_drift_seconds,
+        selfie_url, selfie_public_id, selfie_hash,
+        environment_photo_url, environment_photo_public_id, environment_photo_hash,
+        risk_score, risk_level, risk_flags,
+        sync_mode, client_sequence, synced_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        institutionId,
+        posting_id,
+        supervisorId,
+        posting.session_id,
+        posting.institution_school_id,
+        posting.visit_number,
+        latitude,
+        longitude,
+        accuracy_meters || null,
+        altitude_meters || null,
+        distanceFromSchool,
+        geofenceRadius,
+        1, // is_within_geofence always true (we only log successes)
+        validationMessage,
+        deviceHash,
+        device_info ? JSON.stringify(device_info) : null,
+        req.ip || req.connection?.remoteAddress || null,
+        req.headers['user-agent'] || null,
+        crypto
+          .createHash('sha256')
+          .update(req.headers.authorization || '')
+          .digest('hex')
+          .substring(0, 64),
+        timestamp_client || null,
+        timeDriftSeconds,
+        photos.selfie.uploaded.url,
+        photos.selfie.uploaded.publicId || null,
+        photos.selfie.hash,
+        photos.environment_photo.uploaded.url,
+        photos.environment_photo.uploaded.publicId || null,
+        photos.environment_photo.hash,
+        risk.score,
+        risk.level,
+        JSON.stringify(risk.flags),
+        deferred ? 'deferred' : 'live',
+        deferred ? deferred.sequence : null,
+        deferred ? now : null,
+      ]
     );
 
-    let validationMessage = `Location verified. Distance from school: ${distanceFromSchool.toFixed(0)}m`;
+    const locationLogId = logResult.insertId;
 
-    // Log if device shared but still allow (for audit purposes)
-    if (deviceUsedByOthers.length > 0) {
-      const otherNames = deviceUsedByOthers.map((s) => s.supervisor_name).join(', ');
-      validationMessage += ` (Note: Device also used by ${otherNames} this session)`;
-    }
+    // Update posting to mark as verified
+    await conn.execute(
+      `UPDATE supervisor_postings 
+       SET location_verified = 1, 
+           location_verified_at = ?,
+           location_log_id = ?
+       WHERE id = ?`,
+      [now, locationLogId, posting_id]
+    );
 
-    // 7. Calculate time drift for audit
-    let timeDriftSeconds = null;
-    if (timestamp_client) {
-      try {
-        const clientTime = new Date(timestamp_client);
-        const serverTime = new Date();
-        timeDriftSeconds = Math.round((serverTime - clientTime) / 1000);
-      } catch {
-        // Ignore invalid timestamp
-      }
-    }
+    return locationLogId;
+  });
 
-    // 8. Create location log entry and update posting
-    await transaction(async (conn) => {
-      const [logResult] = await conn.execute(
-        `INSERT INTO supervision_location_logs (
-          institution_id, supervisor_posting_id, supervisor_id, session_id,
-          institution_school_id, visit_number,
-          latitude, longitude, accuracy_meters, altitude_meters,
-          distance_from_school_m, geofence_radius_m, is_within_geofence,
-          validation_message,
-          device_id, device_info, ip_address, user_agent,
-          session_token_hash, timestamp_client, time_drift_seconds
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          parseInt(institutionId),
-          posting_id,
-          supervisorId,
-          posting.session_id,
-          posting.institution_school_id,
-          posting.visit_number,
-          latitude,
-          longitude,
-          accuracy_meters || null,
-          altitude_meters || null,
-          distanceFromSchool,
-          geofenceRadius,
-          1, // is_within_geofence always true (we only log successes)
-          validationMessage,
-          deviceHash,
-          device_info ? JSON.stringify(device_info) : null,
-          req.ip || req.connection?.remoteAddress || null,
-          req.headers['user-agent'] || null,
-          crypto
-            .createHash('sha256')
-            .update(req.headers.authorization || '')
-            .digest('hex')
-            .substring(0, 64),
-          timestamp_client || null,
-          timeDriftSeconds,
-        ]
-      );
+  return {
+    status: 'verified',
+    logId,
+    message: validationMessage,
+    data: {
+      is_within_geofence: true,
+      distance_from_school_m: Math.round(distanceFromSchool),
+      geofence_radius_m: geofenceRadius,
+      school_name: posting.school_name,
+      device_shared: anomalyContext.sharedWith.length > 0,
+      photo_reused: photoReused,
+    },
+  };
+}
+
+/**
+ * Verify supervisor location for a posting
+ * POST /:institutionId/location/verify
+ */
+const verifyLocation = async (req, res, next) => {
+  try {
+    const outcome = await recordCheckIn(req, {
+      ...req.body,
+      selfie: req.files?.selfie?.[0],
+      environment_photo: req.files?.environment_photo?.[0],
+    });
 
-      const locationLogId = logResult.insertId;
+    res.status(outcome.status === 'outside_geofence' ? 400 : 200).json({
+      success: outcome.status !== 'outside_geofence',
+      message: outcome.message,
+      data: outcome.data,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-      // Update posting to mark as verified
-      await conn.execute(
-        `UPDATE supervisor_postings 
-         SET location_verified = 1, 
-             location_verified_at = NOW(),
-             location_log_id = ?
-         WHERE id = ?`,
-        [locationLogId, posting_id]
-      );
+/**
+ * Sync check-ins captured offline. Each record is a signed envelope (see
+ * offlineSyncService) whose photos arrive as files named
+ * selfie_<client_id> and environment_photo_<client_id>.
+ * POST /:institutionId/location/verify/batch
+ */
+const verifyLocationBatch = async (req, res, next) => {
+  try {
+    const files = Object.fromEntries((req.files || []).map((file) => [file.fieldname, file]));
+
+    const results = await offlineSyncService.processBatch({
+      institutionId: parseInt(req.params.institutionId),
+      userId: req.user.id,
+      records: req.body.records,
+      handle: async (record) => {
+        const parsed = offlineCheckInPayload.safeParse(record.payload);
+        if (!parsed.success) {
+          return {
+            status: 'rejected',
+            message: `Invalid check-in: ${parsed.error.errors.map((e) => `${e.path.join('.')} ${e.message}`).join('; ')}`,
+          };
+        }
+
+        const checkIn = { ...parsed.data, timestamp_client: record.client_timestamp };
+        for (const field of Object.keys(CHECKIN_PHOTOS)) {
+          const file = files[`${field}_${record.client_id}`];
+          if (file && hashImage(file) !== parsed.data[`${field}_sha256`]) {
+            return {
+              status: 'rejected',
+              message: `The ${CHECKIN_PHOTOS[field]} is not the one captured with this check-in`,
+            };
+          }
+          checkIn[field] = file;
+        }
+
+        const outcome = await recordCheckIn(req, checkIn, {
+          sequence: record.sequence,
+          client_timestamp: record.client_timestamp,
+          device_time: req.body.device_time,
+        });
+        return {
+          status: outcome.status === 'outside_geofence' ? 'rejected' : 'accepted',
+          message: outcome.message,
+          resourceId: outcome.logId,
+          data: outcome.data,
+        };
+      },
     });
 
+    const accepted = results.filter((r) => r.status === 'accepted').length;
     res.json({
       success: true,
-      message: validationMessage,
-      data: {
-        is_within_geofence: true,
-        distance_from_school_m: Math.round(distanceFromSchool),
-        geofence_radius_m: geofenceRadius,
-        school_name: posting.school_name,
-        device_shared: deviceUsedByOthers.length > 0,
-      },
+      message: `Synced ${accepted} of ${results.length} check-in(s)`,
+      data: results,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Issue the key a device signs offline records with, and where its sequence stands
+ * GET /:institutionId/location/offline-key?device_id=
+ */
+const getOfflineKey = async (req, res, next) => {
+  try {
+    const { device_id } = req.query;
+    const key = await offlineSyncService.issueDeviceKey(req.user.id, device_id);
+    const { last_sequence, last_client_timestamp } = await offlineSyncService.getDeviceState(
+      req.user.id,
+      device_id
+    );
+
+    res.json({
+      success: true,
+      data: { device_id, key, last_sequence, last_client_timestamp },
     });
   } catch (error) {
     next(error);
@@ -370,6 +714,61 @@ const checkLocationVerification = async (req, res, next) => {
   }
 };
 
+/**
+ * risk_flags comes back parsed from MySQL but as a string from MariaDB
+ * @param {Array|string|null} flags
+ * @returns {Array|null}
+ */
+function parseRiskFlags(flags) {
+  if (typeof flags !== 'string') return flags || null;
+  try {
+    return JSON.parse(flags);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Flag each log's selfie and site photo when the same image appears on
+ * another log in the institution (or on both slots of the same log)
+ * @param {number} institutionId
+ * @param {Array} logs - Rows from supervision_location_logs, updated in place
+ */
+async function markReusedPhotos(institutionId, logs) {
+  const hashes = [
+    ...new Set(logs.flatMap((l) => [l.selfie_hash, l.environment_photo_hash]).filter(Boolean)),
+  ];
+  const seen = new Map(); // hash -> Set of log ids using it
+
+  if (hashes.length > 0) {
+    const placeholders = hashes.map(() => '?').join(', ');
+    const matches = await query(
+      `SELECT id, selfie_hash, environment_photo_hash
+       FROM supervision_location_logs
+       WHERE institution_id = ?
+         AND (selfie_hash IN (${placeholders}) OR environment_photo_hash IN (${placeholders}))`,
+      [institutionId, ...hashes, ...hashes]
+    );
+    for (const match of matches) {
+      for (const hash of [match.selfie_hash, match.environment_photo_hash]) {
+        if (!hash) continue;
+        if (!seen.has(hash)) seen.set(hash, new Set());
+        seen.get(hash).add(match.id);
+      }
+    }
+  }
+
+  const reused = (log, hash) =>
+    Boolean(hash) &&
+    (log.selfie_hash === log.environment_photo_hash ||
+      [...(seen.get(hash) || [])].some((id) => id !== log.id));
+
+  for (const log of logs) {
+    log.selfie_reused = reused(log, log.selfie_hash);
+    log.environment_photo_reused = reused(log, log.environment_photo_hash);
+  }
+}
+
 /**
  * Admin: Get all location logs for review
  * GET /:institutionId/location/admin/logs
@@ -382,6 +781,9 @@ const getLocationLogs = async (req, res, next) => {
       supervisor_id,
       school_id,
       device_shared,
+      photo_reused,
+      risk_level,
+      sync_mode,
       page = 1,
       limit = 50,
     } = req.query;
@@ -416,6 +818,25 @@ const getLocationLogs = async (req, res, next) => {
     if (device_shared === 'true') {
       sql += " AND sll.validation_message LIKE '%also used by%'";
     }
+    if (photo_reused === 'true') {
+      sql += ` AND ${PHOTO_REUSED_SQL}`;
+    }
+    if (risk_level === 'unscored') {
+      sql += ' AND sll.risk_level IS NULL';
+    } else if (risk_level) {
+      if (!RISK_LEVELS.includes(risk_level)) {
+        throw new ValidationError(`risk_level must be one of: ${[...RISK_LEVELS, 'unscored'].join(', ')}`);
+      }
+      sql += ' AND sll.risk_level = ?';
+      params.push(risk_level);
+    }
+    if (sync_mode) {
+      if (!['live', 'deferred'].includes(sync_mode)) {
+        throw new ValidationError('sync_mode must be one of: live, deferred');
+      }
+      sql += ' AND sll.sync_mode = ?';
+      params.push(sync_mode);
+    }
 
     // Count total
     const countSql = sql.replace(/SELECT sll\.\*,[\s\S]*?FROM/, 'SELECT COUNT(*) as total FROM');
@@ -427,6 +848,10 @@ const getLocationLogs = async (req, res, next) => {
     params.push(parseInt(limit), (parseInt(page) - 1) * parseInt(limit));
 
     const logs = await query(sql, params);
+    await markReusedPhotos(parseInt(institutionId), logs);
+    for (const log of logs) {
+      log.risk_flags = parseRiskFlags(log.risk_flags);
+    }
 
     res.json({
       success: true,
@@ -443,6 +868,59 @@ const getLocationLogs = async (req, res, next) => {
   }
 };
 
+/**
+ * Admin: Re-run the anomaly scorer over recorded check-ins - scores check-ins
+ * made before scoring existed, and picks up devices and coordinates that
+ * later check-ins have since shared
+ * POST /:institutionId/location/admin/rescore
+ */
+const rescoreLocationLogs = async (req, res, next) => {
+  try {
+    const institutionId = parseInt(req.params.institutionId);
+    const { session_id } = req.body;
+
+    let sql = `SELECT id, supervisor_id, session_id, device_id, latitude, longitude,
+                      accuracy_meters, time_drift_seconds, timestamp_server,
+                      sync_mode, timestamp_client, synced_at
+               FROM supervision_location_logs
+               WHERE institution_id = ?`;
+    const params = [institutionId];
+    if (session_id) {
+      sql += ' AND session_id = ?';
+      params.push(session_id);
+    }
+    sql += ' ORDER BY timestamp_server ASC, id ASC';
+
+    const logs = await query(sql, params);
+    const counts = { high: 0, medium: 0, low: 0 };
+
+    for (const log of logs) {
+      const checkIn = {
+        ...log,
+        recorded_at: log.timestamp_server,
+        sync_delay_seconds:
+          log.sync_mode === 'deferred'
+            ? Math.round((new Date(log.synced_at) - new Date(log.timestamp_client)) / 1000)
+            : null,
+      };
+      const risk = scoreCheckIn(checkIn, await loadAnomalyContext(institutionId, checkIn));
+      await query(
+        'UPDATE supervision_location_logs SET risk_score = ?, risk_level = ?, risk_flags = ? WHERE id = ?',
+        [risk.score, risk.level, JSON.stringify(risk.flags), log.id]
+      );
+      counts[risk.level] += 1;
+    }
+
+    res.json({
+      success: true,
+      message: `Rescored ${logs.length} check-in(s): ${counts.high} high risk, ${counts.medium} medium`,
+      data: { total: logs.length, ...counts },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Admin: Get location statistics summary
  * GET /:institutionId/location/admin/stats
@@ -467,13 +945,46 @@ const getLocationStats = async (req, res, next) => {
          COUNT(DISTINCT supervisor_id) as unique_supervisors,
          COUNT(DISTINCT institution_school_id) as unique_schools,
          COUNT(DISTINCT device_id) as unique_devices,
+         SUM(sync_mode = 'deferred') as deferred_entries,
          AVG(distance_from_school_m) as avg_distance_m
        FROM supervision_location_logs
        WHERE institution_id = ? ${sessionFilter}`,
       params
     );
 
-    // Get shared device count
+    // Check-ins by risk level, and how often each anomaly was flagged
+    const riskRows = await query(
+      `SELECT risk_level, COUNT(*) as count
+       FROM supervision_location_logs
+       WHERE institution_id = ? ${sessionFilter}
+       GROUP BY risk_level`,
+      params
+    );
+    const risk = { high: 0, medium: 0, low: 0, unscored: 0 };
+    for (const row of riskRows) {
+      risk[row.risk_level || 'unscored'] = Number(row.count);
+    }
+
+    const flagCodes = Object.keys(FLAGS);
+    const [flagRow] = await query(
+      `SELECT ${flagCodes
+        .map((code) => `SUM(JSON_CONTAINS(risk_flags, '{"code": "${code}"}')) as ${code}`)
+        .join(', ')}
+       FROM supervision_location_logs
+       WHERE institution_id = ? ${sessionFilter} AND risk_flags IS NOT NULL`,
+      params
+    );
+    risk.flags = Object.fromEntries(flagCodes.map((code) => [code, Number(flagRow?.[code] || 0)]));
+
+    // Get shared device and reused photo counts
+    const [reusedPhotos] = await query(
+      `SELECT COUNT(*) as count
+       FROM supervision_location_logs sll
+       WHERE sll.institution_id = ? ${sessionFilter}
+         AND ${PHOTO_REUSED_SQL}`,
+      params
+    );
+
     const [sharedDevices] = await query(
       `SELECT COUNT(*) as count
        FROM supervision_location_logs
@@ -491,6 +1002,9 @@ const getLocationStats = async (req, res, next) => {
         unique_devices: stats?.unique_devices || 0,
         avg_distance_m: Math.round(stats?.avg_distance_m || 0),
         shared_device_entries: sharedDevices?.count || 0,
+        reused_photo_entries: reusedPhotos?.count || 0,
+        deferred_entries: Number(stats?.deferred_entries || 0),
+        risk,
       },
     });
   } catch (error) {
@@ -501,8 +1015,11 @@ const getLocationStats = async (req, res, next) => {
 module.exports = {
   schemas,
   verifyLocation,
+  verifyLocationBatch,
+  getOfflineKey,
   getMyPostingsLocationStatus,
   checkLocationVerification,
   getLocationLogs,
   getLocationStats,
+  rescoreLocationLogs,
 };
@@ -10,6 +10,29 @@ const { query, transaction } = require('../db/database');
 const { NotFoundError, ValidationError, ConflictError } = require('../utils/errors');
 const emailService = require('../services/emailService');
 const emailQueueService = require('../services/emailQueueService');
+const notificationService = require('../services/notificationService');
+const auditService = require('../services/auditService');
+const cloudinaryService = require('../services/cloudinaryService');
+const {
+  CATEGORIES, GROUP_BY, DEFAULT_CRITERIA, scoreReport, summariseRatings,
+} = require('../services/monitoringRubricService');
+
+const MAX_REPORT_PHOTOS = 10;
+
+// Rubric entries shared by report create and update
+const rubricFields = {
+  supervisor_id: z.number().int().positive().optional().nullable(),
+  students: z.array(z.object({
+    student_id: z.number().int().positive(),
+    comments: z.string().max(2000).optional().nullable(),
+  })).optional(),
+  ratings: z.array(z.object({
+    criterion_id: z.number().int().positive(),
+    student_id: z.number().int().positive().optional().nullable(),
+    rating: z.number().min(0),
+    comment: z.string().max(500).optional().nullable(),
+  })).optional(),
+};
 
 // Validation schemas
 const schemas = {
@@ -37,15 +60,14 @@ const schemas = {
   createReport: z.object({
     body: z.object({
       assignment_id: z.number().int().positive('Assignment ID is required'),
-      observations: z.string().min(1, 'Observations are required'),
+      observations: z.string().optional(),
       recommendations: z.string().optional(),
       additional_notes: z.string().optional(),
-      student_scores: z.array(z.object({
-        student_id: z.number().int().positive(),
-        score: z.number().min(0).max(100),
-        comments: z.string().optional(),
-      })).optional(),
-    }),
+      ...rubricFields,
+    }).refine(
+      (body) => (body.observations && body.observations.trim()) || (body.ratings && body.ratings.length > 0),
+      { message: 'Observations or ratings are required', path: ['observations'] }
+    ),
   }),
 
   updateReport: z.object({
@@ -53,12 +75,123 @@ const schemas = {
       observations: z.string().optional(),
       recommendations: z.string().optional(),
       additional_notes: z.string().optional(),
+      ...rubricFields,
     }),
     params: z.object({
       institutionId: z.string(),
       id: z.string(),
     }),
   }),
+
+  createCriterion: z.object({
+    body: z.object({
+      name: z.string().trim().min(1).max(100).regex(/^[a-z0-9_]+$/, 'Use lowercase letters, numbers and underscores'),
+      label: z.string().trim().min(1).max(255),
+      description: z.string().max(2000).optional().nullable(),
+      category: z.enum(CATEGORIES),
+      max_rating: z.number().int().min(1).max(100).default(5),
+      order_index: z.number().int().min(0).optional(),
+      is_active: z.boolean().default(true),
+    }),
+  }),
+
+  updateCriterion: z.object({
+    body: z.object({
+      label: z.string().trim().min(1).max(255).optional(),
+      description: z.string().max(2000).optional().nullable(),
+      category: z.enum(CATEGORIES).optional(),
+      max_rating: z.number().int().min(1).max(100).optional(),
+      order_index: z.number().int().min(0).optional(),
+      is_active: z.boolean().optional(),
+    }),
+    params: z.object({
+      institutionId: z.string(),
+      id: z.string(),
+    }),
+  }),
+};
+
+const isAdminRole = (user) => ['super_admin', 'head_of_teaching_practice'].includes(user.role);
+
+/**
+ * Check a report's rubric entries - the supervisor evaluated, the students
+ * observed and their ratings - against the assignment's school and the active
+ * rubric. Returns what saveRubric() writes.
+ */
+const prepareRubric = async (institutionId, assignment, { supervisor_id, students = [], ratings = [] }) => {
+  if (supervisor_id) {
+    const [posting] = await query(
+      `SELECT id FROM supervisor_postings
+       WHERE institution_id = ? AND session_id = ? AND supervisor_id = ? AND institution_school_id = ?
+         AND status != 'cancelled'
+       LIMIT 1`,
+      [parseInt(institutionId), assignment.session_id, supervisor_id, assignment.institution_school_id]
+    );
+    if (!posting) {
+      throw new ValidationError('The selected supervisor is not posted to this school');
+    }
+  }
+
+  const studentIds = [...new Set(students.map((s) => s.student_id))];
+  if (studentIds.length > 0) {
+    const found = await query(
+      `SELECT student_id FROM student_acceptances
+       WHERE institution_id = ? AND session_id = ? AND institution_school_id = ? AND status = 'approved'
+         AND student_id IN (${studentIds.map(() => '?').join(', ')})`,
+      [parseInt(institutionId), assignment.session_id, assignment.institution_school_id, ...studentIds]
+    );
+    const placed = new Set(found.map((row) => Number(row.student_id)));
+    const missing = studentIds.filter((studentId) => !placed.has(studentId));
+    if (missing.length > 0) {
+      throw new ValidationError(`Students not placed at this school: #${missing.join(', #')}`);
+    }
+  }
+
+  let scored = { rows: [], overall: null, errors: [] };
+  if (ratings.length > 0) {
+    const criteria = await query(
+      'SELECT id, label, category, max_rating FROM monitoring_criteria WHERE institution_id = ? AND is_active = 1',
+      [parseInt(institutionId)]
+    );
+    scored = scoreReport(criteria, { ratings, students: studentIds });
+    if (scored.errors.length > 0) {
+      throw new ValidationError(scored.errors.join('; '));
+    }
+
+    const supervisorCriteria = new Set(criteria.filter((c) => c.category === 'supervisor').map((c) => Number(c.id)));
+    if (!supervisor_id && scored.rows.some((row) => supervisorCriteria.has(row.criterion_id))) {
+      throw new ValidationError('Select the supervisor being rated');
+    }
+  }
+
+  return {
+    supervisorId: supervisor_id || null,
+    students: [...new Map(students.map((s) => [s.student_id, s])).values()],
+    ratings: scored.rows,
+    overall: scored.overall,
+  };
+};
+
+/**
+ * Replace a report's students and ratings inside a transaction
+ */
+const saveRubric = async (conn, reportId, rubric) => {
+  await conn.execute('DELETE FROM monitoring_report_ratings WHERE report_id = ?', [reportId]);
+  await conn.execute('DELETE FROM monitoring_report_students WHERE report_id = ?', [reportId]);
+
+  for (const student of rubric.students) {
+    await conn.execute(
+      'INSERT INTO monitoring_report_students (report_id, student_id, comments) VALUES (?, ?, ?)',
+      [reportId, student.student_id, student.comments || null]
+    );
+  }
+  for (const row of rubric.ratings) {
+    await conn.execute(
+      `INSERT INTO monitoring_report_ratings (report_id, criterion_id, student_id, rating, comment)
+       VALUES (?, ?, ?, ?, ?)`,
+      [reportId, row.criterion_id, row.student_id, row.rating, row.comment]
+    );
+  }
 };
 
 // ===========================
@@ -232,6 +365,17 @@ const getAssignment = async (req, res, next) => {
       [assignment.institution_school_id, assignment.session_id, parseInt(institutionId)]
     );
 
+    // Supervisors posted to the school, for the report's supervisor rating
+    const supervisors = await query(
+      `SELECT DISTINCT u.id, u.name
+       FROM supervisor_postings sp
+       JOIN users u ON sp.supervisor_id = u.id
+       WHERE sp.institution_school_id = ? AND sp.session_id = ?
+         AND sp.institution_id = ? AND sp.status != 'cancelled'
+       ORDER BY u.name`,
+      [assignment.institution_school_id, assignment.session_id, parseInt(institutionId)]
+    );
+
     res.json({
       success: true,
       data: {
@@ -239,6 +383,7 @@ const getAssignment = async (req, res, next) => {
         reports,
         students,
         student_count: students.length,
+        supervisors,
       },
     });
   } catch (error) {
@@ -305,12 +450,12 @@ const createAssignment = async (req, res, next) => {
     );
 
     // Audit log
-    await query(
-      `INSERT INTO audit_logs (institution_id, user_id, user_type, action, resource_type, resource_id, details, ip_address)
-       VALUES (?, ?, 'staff', 'monitor_assigned', 'monitor_assignment', ?, ?, ?)`,
-      [parseInt(institutionId), req.user.id, result.insertId, 
-       JSON.stringify({ monitor_name: monitors[0].name, school_name: schools[0].name }), req.ip]
-    );
+    await auditService.log(req, {
+      action: 'monitor_assigned',
+      resourceType: 'monitor_assignment',
+      resourceId: result.insertId,
+      details: { monitor_name: monitors[0].name, school_name: schools[0].name },
+    });
 
     res.status(201).json({
       success: true,
@@ -335,9 +480,9 @@ const createAssignments = async (req, res, next) => {
       throw new ValidationError('school_ids must be a non-empty array');
     }
 
-    // Verify monitor is a valid user with monitor role (include email for notification)
+    // Verify monitor is a valid user with monitor role (include email/phone for notification)
     const monitors = await query(
-      `SELECT id, name, email FROM users
+      `SELECT id, name, email, phone FROM users
        WHERE id = ? AND institution_id = ? 
          AND role IN ('field_monitor', 'supervisor', 'head_of_teaching_practice') AND status = 'active'`,
       [monitor_id, parseInt(institutionId)]
@@ -400,8 +545,20 @@ const createAssignments = async (req, res, next) => {
       }
     }
 
-    // Send email notification to monitor if there were successful assignments
+    // Notify the monitor (in-app, email, and SMS if enabled) if there were successful assignments
     if (results.successful.length > 0) {
+      await notificationService.notifyStaff(parseInt(institutionId), [monitor_id], {
+        type: notificationService.TYPES.MONITOR_ASSIGNED,
+        title: 'New monitoring assignment',
+        message: results.successful.length === 1
+          ? `You have been assigned to monitor ${results.successful[0].school_name}.`
+          : `You have been assigned to monitor ${results.successful.length} schools: ` +
+            results.successful.map(s => s.school_name).join(', '),
+        link: '/admin/monitoring',
+        resourceType: 'monitor_assignment',
+        resourceId: results.successful[0].id,
+      });
+
       try {
         // Get session name
         const sessionData = await query(
@@ -419,7 +576,7 @@ const createAssignments = async (req, res, next) => {
           .join('<br>');
 
         // Queue email notification
-        emailQueueService.enqueue(parseInt(institutionId), {
+        await emailQueueService.enqueue(parseInt(institutionId), {
           to: monitors[0].email,
           template: 'monitorAssignment',
           data: {
@@ -432,9 +589,22 @@ const createAssignments = async (req, res, next) => {
             dashboardUrl,
           },
         }, { priority: 'normal' });
-      } catch (emailError) {
-        // Log but don't fail the request if email fails
-        console.error('[MONITORING] Failed to send assignment notification email:', emailError.message);
+
+        // SMS notification (only queued when SMS is enabled for the institution)
+        await emailQueueService.queueSms(parseInt(institutionId), {
+          to: monitors[0].phone,
+          template: 'monitorAssignment',
+          data: {
+            name: monitors[0].name,
+            schoolCount: results.successful.length,
+            schoolName: results.successful[0].school_name,
+            sessionName,
+            dashboardUrl,
+          },
+        });
+      } catch (notifyError) {
+        // Log but don't fail the request if notifications fail
+        console.error('[MONITORING] Failed to queue assignment notifications:', notifyError.message);
       }
     }
 
@@ -581,11 +751,13 @@ const getAllReports = async (req, res, next) => {
     let sql = `
       SELECT mr.*,
              u.name as monitor_name, u.email as monitor_email,
+             sup.name as supervisor_name,
              ms.name as school_name, ms.official_code as school_code, ms.ward,
              r.name as route_name,
              sess.name as session_name
       FROM monitoring_reports mr
       LEFT JOIN users u ON mr.monitor_id = u.id
+      LEFT JOIN users sup ON mr.supervisor_id = sup.id
       LEFT JOIN institution_schools isv ON mr.institution_school_id = isv.id
       LEFT JOIN master_schools ms ON isv.master_school_id = ms.id
       LEFT JOIN routes r ON isv.route_id = r.id
@@ -653,12 +825,14 @@ const getReport = async (req, res, next) => {
     const reports = await query(
       `SELECT mr.*,
               u.name as monitor_name, u.email as monitor_email, u.phone as monitor_phone,
+              sup.name as supervisor_name,
               ms.name as school_name, ms.official_code as school_code, ms.address, ms.ward, ms.lga,
               r.name as route_name,
               sess.name as session_name,
               ma.monitoring_type
        FROM monitoring_reports mr
        LEFT JOIN users u ON mr.monitor_id = u.id
+       LEFT JOIN users sup ON mr.supervisor_id = sup.id
        LEFT JOIN institution_schools isv ON mr.institution_school_id = isv.id
        LEFT JOIN master_schools ms ON isv.master_school_id = ms.id
        LEFT JOIN routes r ON isv.route_id = r.id
@@ -672,9 +846,32 @@ const getReport = async (req, res, next) => {
       throw new NotFoundError('Report not found');
     }
 
+    const students = await query(
+      `SELECT mrs.student_id, mrs.comments, st.full_name, st.registration_number
+       FROM monitoring_report_students mrs
+       JOIN students st ON mrs.student_id = st.id
+       WHERE mrs.report_id = ?
+       ORDER BY st.full_name`,
+      [parseInt(id)]
+    );
+    const ratings = await query(
+      `SELECT mrr.criterion_id, mrr.student_id, mrr.rating, mrr.comment,
+              mc.label, mc.category, mc.max_rating
+       FROM monitoring_report_ratings mrr
+       JOIN monitoring_criteria mc ON mrr.criterion_id = mc.id
+       WHERE mrr.report_id = ?
+       ORDER BY mc.order_index, mc.id`,
+      [parseInt(id)]
+    );
+    const photos = await query(
+      `SELECT id, url, caption, created_at FROM monitoring_report_photos
+       WHERE report_id = ? ORDER BY created_at`,
+      [parseInt(id)]
+    );
+
     res.json({
       success: true,
-      data: reports[0],
+      data: { ...reports[0], students, ratings, photos },
     });
   } catch (error) {
     next(error);
@@ -684,11 +881,13 @@ const getReport = async (req, res, next) => {
 /**
  * Create monitoring report
  * POST /:institutionId/monitoring/reports
+ * Body may carry the rubric: supervisor_id, students [{ student_id, comments }]
+ * and ratings [{ criterion_id, student_id?, rating, comment? }].
  */
 const createReport = async (req, res, next) => {
   try {
     const { institutionId } = req.params;
-    const { assignment_id, observations, recommendations, additional_notes, student_scores } = req.body;
+    const { assignment_id, observations, recommendations, additional_notes } = req.body;
 
     // Verify assignment exists and belongs to this monitor
     const assignments = await query(
@@ -724,32 +923,21 @@ const createReport = async (req, res, next) => {
       });
     }
 
+    const rubric = await prepareRubric(institutionId, assignment, req.body);
+
     const result = await transaction(async (conn) => {
       // Create report
       const [insertResult] = await conn.execute(
         `INSERT INTO monitoring_reports 
-         (institution_id, session_id, assignment_id, monitor_id, institution_school_id, observations, recommendations, additional_notes)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+         (institution_id, session_id, assignment_id, monitor_id, institution_school_id, supervisor_id,
+          observations, recommendations, additional_notes, overall_rating)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [parseInt(institutionId), assignment.session_id, assignment_id, 
-         assignment.monitor_id, assignment.institution_school_id, observations, 
-         recommendations || null, additional_notes || null]
+         assignment.monitor_id, assignment.institution_school_id, rubric.supervisorId,
+         observations || null, recommendations || null, additional_notes || null, rubric.overall]
       );
 
-      // Create student scores if provided
-      if (student_scores && student_scores.length > 0) {
-        for (const score of student_scores) {
-          await conn.execute(
-            `INSERT INTO student_results 
-             (institution_id, session_id, student_id, institution_school_id, supervisor_id, scoring_type, total_score, score_breakdown)
-             VALUES (?, ?, ?, ?, ?, 'basic', ?, ?)
-             ON DUPLICATE KEY UPDATE total_score = ?, score_breakdown = ?, updated_at = NOW()`,
-            [parseInt(institutionId), assignment.session_id, score.student_id, 
-             assignment.institution_school_id, assignment.monitor_id, score.score,
-             JSON.stringify({ monitoring_score: score.score, comments: score.comments }),
-             score.score, JSON.stringify({ monitoring_score: score.score, comments: score.comments })]
-          );
-        }
-      }
+      await saveRubric(conn, insertResult.insertId, rubric);
 
       // Update assignment status
       await conn.execute(
@@ -761,17 +949,21 @@ const createReport = async (req, res, next) => {
     });
 
     // Audit log
-    await query(
-      `INSERT INTO audit_logs (institution_id, user_id, user_type, action, resource_type, resource_id, details, ip_address)
-       VALUES (?, ?, 'staff', 'monitoring_report_created', 'monitoring_report', ?, ?, ?)`,
-      [parseInt(institutionId), req.user.id, result.insertId, 
-       JSON.stringify({ school_name: assignment.school_name }), req.ip]
-    );
+    await auditService.log(req, {
+      action: 'monitoring_report_created',
+      resourceType: 'monitoring_report',
+      resourceId: result.insertId,
+      details: {
+        school_name: assignment.school_name,
+        overall_rating: rubric.overall,
+        students: rubric.students.length,
+      },
+    });
 
     res.status(201).json({
       success: true,
       message: 'Monitoring report created successfully',
-      data: { id: result.insertId },
+      data: { id: result.insertId, overall_rating: rubric.overall },
     });
   } catch (error) {
     next(error);
@@ -781,11 +973,12 @@ const createReport = async (req, res, next) => {
 /**
  * Update monitoring report
  * PUT /:institutionId/monitoring/reports/:id
+ * Sending supervisor_id, students or ratings replaces the report's whole rubric.
  */
 const updateReport = async (req, res, next) => {
   try {
     const { institutionId, id } = req.params;
-    const { observations, recommendations, additional_notes } = req.body;
+    const { observations, recommendations, additional_notes, supervisor_id, students, ratings } = req.body;
 
     // Get existing
     const existing = await query(
@@ -821,6 +1014,13 @@ const updateReport = async (req, res, next) => {
       params.push(additional_notes);
     }
 
+    let rubric = null;
+    if (supervisor_id !== undefined || students !== undefined || ratings !== undefined) {
+      rubric = await prepareRubric(institutionId, report, { supervisor_id, students, ratings });
+      updates.push('supervisor_id = ?', 'overall_rating = ?');
+      params.push(rubric.supervisorId, rubric.overall);
+    }
+
     if (updates.length === 0) {
       throw new ValidationError('No updates provided');
     }
@@ -828,10 +1028,15 @@ const updateReport = async (req, res, next) => {
     updates.push('updated_at = NOW()');
     params.push(parseInt(id), parseInt(institutionId));
 
-    await query(
-      `UPDATE monitoring_reports SET ${updates.join(', ')} WHERE id = ? AND institution_id = ?`,
-      params
-    );
+    await transaction(async (conn) => {
+      await conn.execute(
+        `UPDATE monitoring_reports SET ${updates.join(', ')} WHERE id = ? AND institution_id = ?`,
+        params
+      );
+      if (rubric) {
+        await saveRubric(conn, report.id, rubric);
+      }
+    });
 
     res.json({
       success: true,
@@ -889,7 +1094,7 @@ const getDashboard = async (req, res, next) => {
 
     // Get report stats
     const [reportStats] = await query(
-      `SELECT COUNT(*) as total_reports
+      `SELECT COUNT(*) as total_reports, AVG(mr.overall_rating) as average_rating
        FROM monitoring_reports mr
        INNER JOIN monitor_assignments ma ON mr.assignment_id = ma.id
        WHERE ma.institution_id = ?${sessionFilter}${monitorFilter}`,
@@ -906,6 +1111,9 @@ const getDashboard = async (req, res, next) => {
         total_monitors: parseInt(assignmentStats.total_monitors) || 0,
         total_schools: parseInt(assignmentStats.total_schools) || 0,
         total_reports: parseInt(reportStats.total_reports) || 0,
+        average_rating: reportStats.average_rating !== null && reportStats.average_rating !== undefined
+          ? Math.round(parseFloat(reportStats.average_rating) * 100) / 100
+          : null,
       },
     });
   } catch (error) {
@@ -1077,6 +1285,418 @@ const removeReport = async (req, res, next) => {
   }
 };
 
+// ===========================
+// RUBRIC METHODS
+// ===========================
+
+/**
+ * Get the monitoring rubric
+ * GET /:institutionId/monitoring/criteria
+ * Query: active_only=true for the report form
+ */
+const getCriteria = async (req, res, next) => {
+  try {
+    const { institutionId } = req.params;
+
+    let sql = 'SELECT * FROM monitoring_criteria WHERE institution_id = ?';
+    if (req.query.active_only === 'true') {
+      sql += ' AND is_active = 1';
+    }
+    sql += ' ORDER BY FIELD(category, ?, ?, ?), order_index, id';
+
+    const criteria = await query(sql, [parseInt(institutionId), ...CATEGORIES]);
+
+    res.json({
+      success: true,
+      data: criteria,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a rubric criterion
+ * POST /:institutionId/monitoring/criteria
+ */
+const createCriterion = async (req, res, next) => {
+  try {
+    const { institutionId } = req.params;
+    const { name, label, description, category, max_rating, order_index, is_active } = req.body;
+
+    const existing = await query(
+      'SELECT id FROM monitoring_criteria WHERE institution_id = ? AND name = ?',
+      [parseInt(institutionId), name]
+    );
+    if (existing.length > 0) {
+      throw new ConflictError(`A criterion named "${name}" already exists`);
+    }
+
+    let position = order_index;
+    if (position === undefined) {
+      const [last] = await query(
+        'SELECT COALESCE(MAX(order_index), 0) as max_order FROM monitoring_criteria WHERE institution_id = ?',
+        [parseInt(institutionId)]
+      );
+      position = (parseInt(last?.max_order) || 0) + 1;
+    }
+
+    const result = await query(
+      `INSERT INTO monitoring_criteria
+       (institution_id, name, label, description, category, max_rating, order_index, is_active, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [parseInt(institutionId), name, label, description || null, category, max_rating, position, is_active ? 1 : 0, req.user.id]
+    );
+
+    const [created] = await query('SELECT * FROM monitoring_criteria WHERE id = ?', [result.insertId]);
+
+    await auditService.log(req, {
+      action: 'monitoring_criterion_created',
+      resourceType: 'monitoring_criterion',
+      resourceId: result.insertId,
+      after: created,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Criterion created successfully',
+      data: created,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a rubric criterion
+ * PUT /:institutionId/monitoring/criteria/:id
+ * Existing ratings keep the value they were given; a lower max_rating only
+ * applies to reports saved from now on.
+ */
+const updateCriterion = async (req, res, next) => {
+  try {
+    const { institutionId, id } = req.params;
+
+    const [criterion] = await query(
+      'SELECT * FROM monitoring_criteria WHERE id = ? AND institution_id = ?',
+      [parseInt(id), parseInt(institutionId)]
+    );
+    if (!criterion) {
+      throw new NotFoundError('Criterion not found');
+    }
+
+    const updates = [];
+    const params = [];
+    for (const field of ['label', 'description', 'category', 'max_rating', 'order_index']) {
+      if (req.body[field] !== undefined) {
+        updates.push(`${field} = ?`);
+        params.push(req.body[field]);
+      }
+    }
+    if (req.body.is_active !== undefined) {
+      updates.push('is_active = ?');
+      params.push(req.body.is_active ? 1 : 0);
+    }
+
+    if (updates.length === 0) {
+      throw new ValidationError('No updates provided');
+    }
+
+    updates.push('updated_by = ?');
+    params.push(req.user.id, criterion.id);
+
+    await query(`UPDATE monitoring_criteria SET ${updates.join(', ')} WHERE id = ?`, params);
+
+    const [updated] = await query('SELECT * FROM monitoring_criteria WHERE id = ?', [criterion.id]);
+
+    await auditService.log(req, {
+      action: 'monitoring_criterion_updated',
+      resourceType: 'monitoring_criterion',
+      resourceId: criterion.id,
+      before: criterion,
+      after: updated,
+    });
+
+    res.json({
+      success: true,
+      message: 'Criterion updated successfully',
+      data: updated,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a rubric criterion
+ * DELETE /:institutionId/monitoring/criteria/:id
+ * A criterion already used in reports is deactivated instead, so past
+ * ratings keep their meaning.
+ */
+const deleteCriterion = async (req, res, next) => {
+  try {
+    const { institutionId, id } = req.params;
+
+    const [criterion] = await query(
+      'SELECT * FROM monitoring_criteria WHERE id = ? AND institution_id = ?',
+      [parseInt(id), parseInt(institutionId)]
+    );
+    if (!criterion) {
+      throw new NotFoundError('Criterion not found');
+    }
+
+    const [usage] = await query(
+      'SELECT COUNT(*) as count FROM monitoring_report_ratings WHERE criterion_id = ?',
+      [criterion.id]
+    );
+    const inUse = parseInt(usage?.count) > 0;
+
+    if (inUse) {
+      await query(
+        'UPDATE monitoring_criteria SET is_active = 0, updated_by = ? WHERE id = ?',
+        [req.user.id, criterion.id]
+      );
+    } else {
+      await query('DELETE FROM monitoring_criteria WHERE id = ?', [criterion.id]);
+    }
+
+    await auditService.log(req, {
+      action: inUse ? 'monitoring_criterion_deactivated' : 'monitoring_criterion_deleted',
+      resourceType: 'monitoring_criterion',
+      resourceId: criterion.id,
+      before: criterion,
+    });
+
+    res.json({
+      success: true,
+      message: inUse
+        ? 'Criterion is used in existing reports and has been deactivated'
+        : 'Criterion deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Load the default monitoring rubric
+ * POST /:institutionId/monitoring/criteria/initialize
+ */
+const initializeDefaultCriteria = async (req, res, next) => {
+  try {
+    const { institutionId } = req.params;
+
+    const [existing] = await query(
+      'SELECT COUNT(*) as count FROM monitoring_criteria WHERE institution_id = ?',
+      [parseInt(institutionId)]
+    );
+    if (parseInt(existing?.count) > 0) {
+      throw new ConflictError('A monitoring rubric already exists for this institution');
+    }
+
+    await transaction(async (conn) => {
+      for (const criterion of DEFAULT_CRITERIA) {
+        await conn.execute(
+          `INSERT INTO monitoring_criteria
+           (institution_id, name, label, description, category, max_rating, order_index, is_active, created_by)
+           VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?)`,
+          [parseInt(institutionId), criterion.name, criterion.label, criterion.description,
+           criterion.category, criterion.max_rating, criterion.order_index, req.user.id]
+        );
+      }
+    });
+
+    const created = await query(
+      'SELECT * FROM monitoring_criteria WHERE institution_id = ? ORDER BY order_index',
+      [parseInt(institutionId)]
+    );
+
+    await auditService.log(req, {
+      action: 'monitoring_criteria_initialized',
+      resourceType: 'monitoring_criterion',
+      details: { count: created.length },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Default rubric loaded successfully',
+      data: created,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ===========================
+// REPORT PHOTO METHODS
+// ===========================
+
+const getReportForChange = async (institutionId, id, user) => {
+  const [report] = await query(
+    `SELECT mr.id, mr.monitor_id, mr.session_id, i.code as institution_code, sess.name as session_name
+     FROM monitoring_reports mr
+     JOIN institutions i ON mr.institution_id = i.id
+     LEFT JOIN academic_sessions sess ON mr.session_id = sess.id
+     WHERE mr.id = ? AND mr.institution_id = ?`,
+    [parseInt(id), parseInt(institutionId)]
+  );
+  if (!report) {
+    throw new NotFoundError('Report not found');
+  }
+  if (report.monitor_id !== user.id && !isAdminRole(user)) {
+    throw new ValidationError('You are not authorized to change this report');
+  }
+  return report;
+};
+
+/**
+ * Attach a photo to a report
+ * POST /:institutionId/monitoring/reports/:id/photos
+ * Multipart: photo (JPEG/PNG), caption
+ */
+const uploadReportPhoto = async (req, res, next) => {
+  try {
+    const { institutionId, id } = req.params;
+
+    if (!req.file) {
+      throw new ValidationError('Photo is required');
+    }
+
+    const report = await getReportForChange(institutionId, id, req.user);
+
+    const [count] = await query(
+      'SELECT COUNT(*) as count FROM monitoring_report_photos WHERE report_id = ?',
+      [report.id]
+    );
+    if (parseInt(count?.count) >= MAX_REPORT_PHOTOS) {
+      throw new ValidationError(`A report can have at most ${MAX_REPORT_PHOTOS} photos`);
+    }
+
+    let uploaded;
+    try {
+      uploaded = await cloudinaryService.uploadImage(req.file, {
+        institutionCode: report.institution_code || `inst-${institutionId}`,
+        sessionName: report.session_name,
+        studentId: `report-${report.id}`,
+        type: 'monitoring',
+        originalFilename: req.file.originalname,
+      });
+    } catch (uploadError) {
+      console.error('Cloudinary upload error:', uploadError);
+      throw new ValidationError('Failed to upload photo. Please try again.');
+    }
+
+    const caption = req.body.caption ? String(req.body.caption).trim().slice(0, 255) : null;
+    const result = await query(
+      `INSERT INTO monitoring_report_photos (report_id, url, public_id, caption, uploaded_by)
+       VALUES (?, ?, ?, ?, ?)`,
+      [report.id, uploaded.url, uploaded.publicId || null, caption || null, req.user.id]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Photo attached',
+      data: { id: result.insertId, url: uploaded.url, caption: caption || null },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a photo from a report
+ * DELETE /:institutionId/monitoring/reports/:id/photos/:photoId
+ */
+const deleteReportPhoto = async (req, res, next) => {
+  try {
+    const { institutionId, id, photoId } = req.params;
+
+    const report = await getReportForChange(institutionId, id, req.user);
+
+    const [photo] = await query(
+      'SELECT * FROM monitoring_report_photos WHERE id = ? AND report_id = ?',
+      [parseInt(photoId), report.id]
+    );
+    if (!photo) {
+      throw new NotFoundError('Photo not found');
+    }
+
+    await query('DELETE FROM monitoring_report_photos WHERE id = ?', [photo.id]);
+
+    if (photo.public_id) {
+      try {
+        await cloudinaryService.deleteImage(photo.public_id);
+      } catch (deleteError) {
+        console.error('Cloudinary delete error:', deleteError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Photo removed',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ===========================
+// RATINGS SUMMARY
+// ===========================
+
+/**
+ * Average rubric ratings by school, supervisor or route
+ * GET /:institutionId/monitoring/dashboard/ratings
+ * Query: session_id, group_by (school | supervisor | route)
+ * Monitors only see ratings from their own reports.
+ */
+const getRatingsSummary = async (req, res, next) => {
+  try {
+    const { institutionId } = req.params;
+    const { session_id, group_by = 'school' } = req.query;
+
+    if (!GROUP_BY[group_by]) {
+      throw new ValidationError(`group_by must be one of: ${Object.keys(GROUP_BY).join(', ')}`);
+    }
+
+    let sql = `
+      SELECT mrr.report_id, mrr.criterion_id, mrr.rating,
+             mc.label as criterion_label, mc.category, mc.max_rating,
+             mr.institution_school_id, ms.name as school_name,
+             mr.supervisor_id, sup.name as supervisor_name,
+             isv.route_id, r.name as route_name
+      FROM monitoring_report_ratings mrr
+      JOIN monitoring_reports mr ON mrr.report_id = mr.id
+      JOIN monitoring_criteria mc ON mrr.criterion_id = mc.id
+      LEFT JOIN users sup ON mr.supervisor_id = sup.id
+      LEFT JOIN institution_schools isv ON mr.institution_school_id = isv.id
+      LEFT JOIN master_schools ms ON isv.master_school_id = ms.id
+      LEFT JOIN routes r ON isv.route_id = r.id
+      WHERE mr.institution_id = ?
+    `;
+    const params = [parseInt(institutionId)];
+
+    if (session_id) {
+      sql += ' AND mr.session_id = ?';
+      params.push(parseInt(session_id));
+    }
+    if (!isAdminRole(req.user)) {
+      sql += ' AND mr.monitor_id = ?';
+      params.push(req.user.id);
+    }
+
+    const rows = await query(sql, params);
+
+    res.json({
+      success: true,
+      data: summariseRatings(rows, group_by),
+      group_by,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   schemas,
   // Assignment methods
@@ -1095,6 +1715,15 @@ module.exports = {
   createReport,
   updateReport,
   removeReport,
+  uploadReportPhoto,
+  deleteReportPhoto,
+  // Rubric methods
+  getCriteria,
+  createCriterion,
+  updateCriterion,
+  deleteCriterion,
+  initializeDefaultCriteria,
   // Dashboard
   getDashboard,
+  getRatingsSummary,
 };
@@ -0,0 +1,126 @@
+/**
+ * Notification Controller
+ *
+ * The signed-in user's in-app notifications. The same handlers serve staff
+ * (/:institutionId/notifications/*) and students (/portal/notifications/*);
+ * a student's institution comes from their token.
+ *
+ * MedeePay Pattern: Direct SQL lives in notificationService.
+ */
+
+const { z } = require('zod');
+const { clampLimit, clampOffset } = require('../utils/pagination');
+const notificationService = require('../services/notificationService');
+
+const schemas = {
+  markRead: z.object({
+    body: z.object({
+      ids: z.array(z.number().int().positive()).min(1).max(200).optional(),
+    }),
+  }),
+};
+
+function resolveInstitution(req) {
+  return req.user.role === 'student'
+    ? req.user.institution_id
+    : parseInt(req.params.institutionId);
+}
+
+/**
+ * List notifications
+ * GET /:institutionId/notifications?unread=true&limit=20&offset=0
+ * GET /portal/notifications
+ */
+const getNotifications = async (req, res, next) => {
+  try {
+    const institutionId = resolveInstitution(req);
+    const recipient = notificationService.recipientFor(req.user);
+    const limit = clampLimit(req.query.limit, 20, 100);
+    const offset = clampOffset(req.query.offset);
+
+    const { notifications, total } = await notificationService.list(institutionId, recipient, {
+      unreadOnly: req.query.unread === 'true',
+      limit,
+      offset,
+    });
+    const { count } = await notificationService.getUnreadSummary(institutionId, recipient);
+
+    res.json({
+      success: true,
+      data: notifications,
+      unread_count: count,
+      pagination: { limit, offset, total },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Unread count (polled by the bell)
+ * GET /:institutionId/notifications/unread-count
+ * GET /portal/notifications/unread-count
+ */
+const getUnreadCount = async (req, res, next) => {
+  try {
+    const summary = await notificationService.getUnreadSummary(
+      resolveInstitution(req),
+      notificationService.recipientFor(req.user)
+    );
+
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark one notification read
+ * PATCH /:institutionId/notifications/:id/read
+ * PATCH /portal/notifications/:id/read
+ */
+const markRead = async (req, res, next) => {
+  try {
+    // Idempotent: ids that are already read (or not the caller's) are ignored
+    await notificationService.markRead(
+      resolveInstitution(req),
+      notificationService.recipientFor(req.user),
+      [parseInt(req.params.id)]
+    );
+
+    res.json({ success: true, message: 'Notification marked as read' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark several (body.ids) or all notifications read
+ * POST /:institutionId/notifications/read
+ * POST /portal/notifications/read
+ */
+const markManyRead = async (req, res, next) => {
+  try {
+    const count = await notificationService.markRead(
+      resolveInstitution(req),
+      notificationService.recipientFor(req.user),
+      req.body?.ids || null
+    );
+
+    res.json({
+      success: true,
+      message: `${count} notification(s) marked as read`,
+      data: { count },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  schemas,
+  getNotifications,
+  getUnreadCount,
+  markRead,
+  markManyRead,
+};
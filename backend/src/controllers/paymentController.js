@@ -2,13 +2,20 @@
  * Payment Controller
  * 
  * MedeePay Pattern: Direct SQL with institutionId from route params
- * Handles student payments for teaching practice (Paystack integration)
+ * Handles student payments for teaching practice through the institution's
+ * payment gateway (see paymentGatewayService)
  */
 
 const { z } = require('zod');
 const crypto = require('crypto');
 const { query, transaction } = require('../db/database');
-const { NotFoundError, ValidationError, ConflictError, AuthorizationError } = require('../utils/errors');
+const {
+  NotFoundError, ValidationError, ConflictError, AuthorizationError, ServiceUnavailableError,
+} = require('../utils/errors');
+const auditService = require('../services/auditService');
+const emailService = require('../services/emailService');
+const paymentGatewayService = require('../services/paymentGatewayService');
+const { updateStudentPaymentStatus, transactionDetails, recordFromPendingTransaction } = require('../services/studentPaymentService');
 
 // Validation schemas
 const schemas = {
@@ -34,11 +41,37 @@ const schemas = {
     }),
   }),
 
-  verifyPaystack: z.object({
+  verifyGatewayPayment: z.object({
     body: z.object({
       reference: z.string().min(1, 'Reference is required'),
     }),
   }),
+
+  requestRefund: z.object({
+    body: z.object({
+      // Defaults to everything still refundable on the payment
+      amount: z.number().positive('Amount must be greater than zero').optional(),
+      reason: z.enum(['duplicate_payment', 'withdrawal', 'overpayment', 'other']),
+      notes: z.string().max(1000).optional().nullable(),
+    }).refine((body) => body.reason !== 'other' || body.notes?.trim(), {
+      message: 'Please describe the reason for the refund',
+      path: ['notes'],
+    }),
+  }),
+
+  approveRefund: z.object({
+    body: z.object({
+      // manual: the bursary has paid the student back outside the system
+      method: z.enum(['gateway', 'manual']).default('gateway'),
+      notes: z.string().max(1000).optional().nullable(),
+    }),
+  }),
+
+  rejectRefund: z.object({
+    body: z.object({
+      rejection_reason: z.string().min(5, 'Please provide a reason for rejection').max(500),
+    }),
+  }),
 };
 
 /**
@@ -51,48 +84,34 @@ const generateReference = (institutionId, studentId) => {
 };
 
 /**
- * Recalculates and syncs payment_status + total_paid on the students row.
- * Must be called after any operation that marks a student_payment as 'success'.
+ * Gateway config for a payment: the gateway it was started with (recorded on
+ * the payment or pending transaction), else the institution's current one
+ * @param {number} institutionId
+ * @param {string} reference - Our reference or the gateway's
+ * @param {Object} [options] - Passed to paymentGatewayService.getGatewayConfig()
+ * @returns {Promise<Object>} Usable config
  */
-async function updateStudentPaymentStatus(studentId, sessionId, institutionId) {
-  const [totalResult] = await query(
-    `SELECT COALESCE(SUM(amount), 0) as total_paid
-     FROM student_payments
-     WHERE student_id = ? AND session_id = ? AND institution_id = ? AND status = 'success'`,
-    [studentId, sessionId, parseInt(institutionId)]
+async function gatewayConfigForReference(institutionId, reference, options = {}) {
+  const [record] = await query(
+    `SELECT gateway FROM student_payments
+     WHERE (reference = ? OR paystack_reference = ?) AND institution_id = ?
+     UNION
+     SELECT gateway FROM pending_transactions
+     WHERE (reference = ? OR paystack_reference = ?) AND institution_id = ?
+     LIMIT 1`,
+    [reference, reference, parseInt(institutionId), reference, reference, parseInt(institutionId)]
   );
-  const newTotalPaid = parseFloat(totalResult?.total_paid || 0);
 
-  const [inst] = await query(
-    'SELECT payment_base_amount, payment_program_pricing FROM institutions WHERE id = ?',
-    [parseInt(institutionId)]
-  );
-  let requiredAmount = parseFloat(inst?.payment_base_amount || 0);
-
-  if (inst?.payment_program_pricing) {
-    try {
-      const pricing = typeof inst.payment_program_pricing === 'string'
-        ? JSON.parse(inst.payment_program_pricing)
-        : inst.payment_program_pricing;
-      const [studentRow] = await query(
-        'SELECT program_id FROM students WHERE id = ? AND institution_id = ?',
-        [studentId, parseInt(institutionId)]
-      );
-      if (studentRow?.program_id && pricing[studentRow.program_id]) {
-        const programAmount = parseFloat(pricing[studentRow.program_id]);
-        if (programAmount > 0) requiredAmount = programAmount;
-      }
-    } catch (_) { /* fall back to base amount */ }
+  const config = await paymentGatewayService.getGatewayConfig(institutionId, {
+    ...options,
+    gateway: record?.gateway || null,
+  });
+  const problem = paymentGatewayService.configProblem(config);
+  if (problem) {
+    console.error(`[PAYMENT] Institution ${institutionId}: ${problem}`);
+    throw new ValidationError('Payment gateway not configured for this institution');
   }
-
-  const newPaymentStatus = newTotalPaid >= requiredAmount ? 'paid'
-    : newTotalPaid > 0 ? 'partial'
-    : 'pending';
-
-  await query(
-    'UPDATE students SET payment_status = ?, total_paid = ? WHERE id = ? AND institution_id = ?',
-    [newPaymentStatus, newTotalPaid, studentId, parseInt(institutionId)]
-  );
+  return config;
 }
 
 /**
@@ -320,7 +339,7 @@ const create = async (req, res, next) => {
 };
 
 /**
- * Process payment (after Paystack callback)
+ * Process payment (after the gateway callback)
  * POST /:institutionId/payments/process
  */
 const processPayment = async (req, res, next) => {
@@ -343,7 +362,7 @@ const processPayment = async (req, res, next) => {
 
     const payment = payments[0];
 
-    if (payment.status === 'success') {
+    if (['success', 'refunded'].includes(payment.status)) {
       throw new ConflictError('Payment has already been processed');
     }
 
@@ -358,16 +377,20 @@ const processPayment = async (req, res, next) => {
     );
 
     // Audit log
-    await query(
-      `INSERT INTO audit_logs (institution_id, user_id, user_type, action, resource_type, resource_id, details, ip_address)
-       VALUES (?, ?, 'student', 'payment_completed', 'student_payment', ?, ?, ?)`,
-      [parseInt(institutionId), payment.student_id, payment_id, 
-       JSON.stringify({ 
-         student_name: payment.student_name, 
-         amount: payment.amount,
-         reference: payment.reference,
-       }), req.ip]
-    );
+    await auditService.log(req, {
+      action: 'payment_completed',
+      resourceType: 'student_payment',
+      resourceId: payment_id,
+      userId: payment.student_id,
+      userType: 'student',
+      before: { status: payment.status },
+      after: { status: 'success' },
+      details: {
+        student_name: payment.student_name,
+        amount: payment.amount,
+        reference: payment.reference,
+      },
+    });
 
     res.json({
       success: true,
@@ -384,15 +407,15 @@ const processPayment = async (req, res, next) => {
 };
 
 /**
- * Verify Paystack payment (Admin)
+ * Verify a payment with the institution's gateway (Admin)
  * POST /:institutionId/payments/verify-paystack
  * 
- * Verifies a payment with Paystack and updates/creates the payment record.
- * Handles two scenarios:
+ * Verifies a payment with the gateway it was made through and updates/creates
+ * the payment record. Handles two scenarios:
  * 1. Pending payment in database - updates status to success
  * 2. No record in database - creates new success record (for missed callbacks)
  */
-const verifyPaystack = async (req, res, next) => {
+const verifyGatewayPayment = async (req, res, next) => {
   try {
     const { institutionId } = req.params;
     const { reference } = req.body;
@@ -401,15 +424,7 @@ const verifyPaystack = async (req, res, next) => {
       throw new ValidationError('Reference is required');
     }
 
-    // Get institution's Paystack secret key (decrypted)
-    const Institution = require('../models/Institution');
-    const institution = await Institution.findById(parseInt(institutionId), true);
-
-    const paystackSecretKey = institution?.paystack_secret_key || process.env.PAYSTACK_SECRET_KEY;
-
-    if (!paystackSecretKey) {
-      throw new ValidationError('Paystack not configured for this institution');
-    }
+    const gatewayConfig = await gatewayConfigForReference(institutionId, reference, { envFallback: true });
 
     // Check for ANY existing payment with this reference (regardless of status)
     const existingPayments = await query(
@@ -420,8 +435,8 @@ const verifyPaystack = async (req, res, next) => {
       [reference, reference, parseInt(institutionId)]
     );
 
-    // If payment exists and is already successful, return early
-    if (existingPayments.length > 0 && existingPayments[0].status === 'success') {
+    // If payment exists and is already successful (or since refunded), return early
+    if (existingPayments.length > 0 && ['success', 'refunded'].includes(existingPayments[0].status)) {
       return res.json({
         success: true,
         message: 'Payment already verified',
@@ -435,12 +450,8 @@ const verifyPaystack = async (req, res, next) => {
       });
     }
 
-    // Verify with Paystack API
-    const paystackService = require('../services/paystackService');
-    const verification = await paystackService.verifyTransaction(
-      paystackSecretKey,
-      reference
-    );
+    // Verify with the gateway API
+    const verification = await paymentGatewayService.verifyTransaction(gatewayConfig, reference);
 
     if (!verification.success) {
       // Update existing payment as failed if it exists
@@ -453,7 +464,7 @@ const verifyPaystack = async (req, res, next) => {
 
       return res.json({
         success: false,
-        message: verification.error || 'Payment verification failed with Paystack',
+        message: verification.error || 'Payment verification failed with the payment gateway',
         data: { status: 'failed', reference },
       });
     }
@@ -473,91 +484,54 @@ const verifyPaystack = async (req, res, next) => {
         data: { 
           status: 'failed', 
           reference,
-          paystack_status: verification.data.status,
+          gateway_status: verification.data.status,
         },
       });
     }
 
-    const paystackData = verification.data;
-    const amountInNaira = paystackData.amount / 100;
+    const gatewayData = verification.data;
+    const amountInNaira = gatewayData.amount;
 
-    // If existing payment record exists, update it (unless already successful)
+    // If existing payment record exists, update it
     if (existingPayments.length > 0) {
       const payment = existingPayments[0];
       
-      // If already verified successfully, skip database update
-      if (payment.status === 'success') {
-        return res.json({
-          success: true,
-          message: 'Payment already verified',
-          data: {
-            payment_id: payment.id,
-            reference: payment.reference,
-            status: 'success',
-            amount: payment.amount,
-            currency: payment.currency,
-            student_name: payment.student_name,
-            already_verified: true,
-          },
-        });
-      }
-      
       // Verify amount matches (with tolerance for floating point)
       if (Math.abs(amountInNaira - parseFloat(payment.amount)) > 0.01) {
         throw new ValidationError(`Amount mismatch. Expected ₦${payment.amount}, got ₦${amountInNaira}`);
       }
 
-      // Extract authorization details (may be null for some payment channels like bank_transfer)
-      const authCode = paystackData.authorization?.authorization_code || null;
-      const cardType = paystackData.authorization?.card_type || null;
-      const bankName = paystackData.authorization?.bank || paystackData.authorization?.bank_name || null;
-      const channel = paystackData.channel || null;
-      
-      // Prepare metadata to store
-      const storedMetadata = JSON.stringify({
-        ...paystackData.metadata,
-        gateway_response: paystackData.gatewayResponse,
-        paid_at: paystackData.paidAt,
-        customer_email: paystackData.customer?.email,
-        verified_by_admin: req.user?.email,
-        authorization_details: paystackData.authorization ? {
-          card_type: cardType,
-          last4: paystackData.authorization.last4,
-          exp_month: paystackData.authorization.exp_month,
-          exp_year: paystackData.authorization.exp_year,
-          brand: paystackData.authorization.brand,
-          bank: bankName,
-          country_code: paystackData.authorization.country_code,
-          account_name: paystackData.authorization.account_name,
-        } : null,
-      });
+      const details = transactionDetails(gatewayData, { verified_by_admin: req.user?.email });
 
       await query(
         `UPDATE student_payments 
-         SET paystack_reference = ?, authorization_code = ?, channel = ?, 
+         SET gateway = ?, paystack_reference = ?, authorization_code = ?, channel = ?, 
              card_type = ?, bank = ?, status = 'success', verified_at = NOW(), updated_at = NOW(),
              ip_address = COALESCE(ip_address, ?), user_agent = COALESCE(user_agent, ?), metadata = ?
          WHERE id = ?`,
         [
-          paystackData.reference,
-          authCode,
-          channel,
-          cardType,
-          bankName,
+          gatewayConfig.gateway,
+          gatewayData.reference,
+          details.authCode,
+          details.channel,
+          details.cardType,
+          details.bankName,
           req.ip || req.headers['x-forwarded-for'] || null,
           req.headers['user-agent'] || null,
-          storedMetadata,
+          details.metadata,
           payment.id
         ]
       );
 
       // Audit log
-      await query(
-        `INSERT INTO audit_logs (institution_id, user_id, user_type, action, resource_type, resource_id, details, ip_address)
-         VALUES (?, ?, 'staff', 'admin_payment_verified', 'student_payment', ?, ?, ?)`,
-        [parseInt(institutionId), req.user?.id || null, payment.id,
-         JSON.stringify({ reference, amount: amountInNaira, previous_status: payment.status, verified_by: req.user?.email }), req.ip]
-      );
+      await auditService.log(req, {
+        action: 'admin_payment_verified',
+        resourceType: 'student_payment',
+        resourceId: payment.id,
+        before: { status: payment.status },
+        after: { status: 'success' },
+        details: { reference, amount: amountInNaira, gateway: gatewayConfig.gateway, verified_by: req.user?.email },
+      });
 
       // Sync students table so the portal reflects the verified payment
       await updateStudentPaymentStatus(payment.student_id, payment.session_id, parseInt(institutionId));
@@ -583,8 +557,19 @@ const verifyPaystack = async (req, res, next) => {
       });
     }
 
-    // No existing record - create a new one from Paystack metadata
-    const metadata = paystackData.metadata || {};
+    // No existing record - create a new one from the gateway metadata, or from
+    // the pending transaction for gateways that do not echo metadata back
+    let metadata = gatewayData.metadata || {};
+    if (!metadata.student_id || !metadata.session_id) {
+      const [pendingTx] = await query(
+        `SELECT student_id, session_id FROM pending_transactions
+         WHERE (reference = ? OR paystack_reference = ?) AND institution_id = ?`,
+        [reference, reference, parseInt(institutionId)]
+      );
+      if (pendingTx) {
+        metadata = { ...metadata, student_id: pendingTx.student_id, session_id: pendingTx.session_id };
+      }
+    }
     const studentId = metadata.student_id;
     const sessionId = metadata.session_id;
 
@@ -631,68 +616,47 @@ const verifyPaystack = async (req, res, next) => {
       });
     }
 
-    // Extract authorization details (may be null for some payment channels like bank_transfer)
-    const authCode = paystackData.authorization?.authorization_code || null;
-    const cardType = paystackData.authorization?.card_type || null;
-    const bankName = paystackData.authorization?.bank || paystackData.authorization?.bank_name || null;
-    const channel = paystackData.channel || null;
-    
-    // Prepare metadata to store
-    const storedMetadata = JSON.stringify({
-      ...metadata,
-      gateway_response: paystackData.gatewayResponse,
-      paid_at: paystackData.paidAt,
-      customer_email: paystackData.customer?.email,
-      recovered_by_admin: req.user?.email,
-      authorization_details: paystackData.authorization ? {
-        card_type: cardType,
-        last4: paystackData.authorization.last4,
-        exp_month: paystackData.authorization.exp_month,
-        exp_year: paystackData.authorization.exp_year,
-        brand: paystackData.authorization.brand,
-        bank: bankName,
-        country_code: paystackData.authorization.country_code,
-        account_name: paystackData.authorization.account_name,
-      } : null,
-    });
+    const details = transactionDetails({ ...gatewayData, metadata }, { recovered_by_admin: req.user?.email });
 
     // Create new payment record
     const result = await query(
       `INSERT INTO student_payments 
-       (institution_id, session_id, student_id, amount, currency, reference, 
+       (institution_id, session_id, student_id, amount, currency, reference, gateway,
         paystack_reference, authorization_code, channel, card_type, bank, status, verified_at,
         ip_address, user_agent, metadata)
-       VALUES (?, ?, ?, ?, 'NGN', ?, ?, ?, ?, ?, ?, 'success', NOW(), ?, ?, ?)`,
+       VALUES (?, ?, ?, ?, 'NGN', ?, ?, ?, ?, ?, ?, ?, 'success', NOW(), ?, ?, ?)`,
       [
         parseInt(institutionId),
         sessionId,
         studentId,
         amountInNaira,
         reference,
-        paystackData.reference,
-        authCode,
-        channel,
-        cardType,
-        bankName,
+        gatewayConfig.gateway,
+        gatewayData.reference,
+        details.authCode,
+        details.channel,
+        details.cardType,
+        details.bankName,
         req.ip || req.headers['x-forwarded-for'] || null,
         req.headers['user-agent'] || null,
-        storedMetadata,
+        details.metadata,
       ]
     );
 
     // Audit log
-    await query(
-      `INSERT INTO audit_logs (institution_id, user_id, user_type, action, resource_type, resource_id, details, ip_address)
-       VALUES (?, ?, 'staff', 'admin_payment_recovered', 'student_payment', ?, ?, ?)`,
-      [parseInt(institutionId), req.user?.id || null, result.insertId,
-       JSON.stringify({
-         reference,
-         amount: amountInNaira,
-         student_name: student.full_name,
-         verified_by: req.user?.email,
-         note: 'Payment record created from Paystack verification (missed callback recovery)'
-       }), req.ip]
-    );
+    await auditService.log(req, {
+      action: 'admin_payment_recovered',
+      resourceType: 'student_payment',
+      resourceId: result.insertId,
+      details: {
+        reference,
+        amount: amountInNaira,
+        gateway: gatewayConfig.gateway,
+        student_name: student.full_name,
+        verified_by: req.user?.email,
+        note: 'Payment record created from gateway verification (missed callback recovery)'
+      },
+    });
 
     // Sync students table so the portal reflects the recovered payment
     await updateStudentPaymentStatus(studentId, sessionId, parseInt(institutionId));
@@ -755,7 +719,8 @@ const getStats = async (req, res, next) => {
          SUM(CASE WHEN sp.status = 'success' THEN 1 ELSE 0 END) as successful_payments,
          SUM(CASE WHEN sp.status = 'pending' THEN 1 ELSE 0 END) as pending_payments,
          SUM(CASE WHEN sp.status = 'failed' THEN 1 ELSE 0 END) as failed_payments,
-         SUM(CASE WHEN sp.status = 'success' THEN sp.amount ELSE 0 END) as total_collected,
+         SUM(CASE WHEN sp.status = 'success' THEN sp.amount - sp.refunded_amount ELSE 0 END) as total_collected,
+         SUM(sp.refunded_amount) as total_refunded,
          SUM(CASE WHEN sp.status = 'pending' THEN sp.amount ELSE 0 END) as pending_amount,
          COUNT(DISTINCT CASE WHEN sp.status = 'success' THEN sp.student_id END) as students_paid
        FROM student_payments sp
@@ -826,6 +791,7 @@ const getStats = async (req, res, next) => {
           pending_payments: stats.pending_payments || 0,
           failed_payments: stats.failed_payments || 0,
           total_collected: parseFloat(stats.total_collected) || 0,
+          total_refunded: parseFloat(stats.total_refunded) || 0,
           pending_amount: parseFloat(stats.pending_amount) || 0,
           students_paid: stats.students_paid || 0,
           total_students: studentCounts.total_students || 0,
@@ -875,103 +841,580 @@ const cancelPayment = async (req, res, next) => {
   }
 };
 
+// ============================================================================
+// REFUNDS
+// ============================================================================
+// Staff request a refund against a successful payment; the head of teaching
+// practice approves (refunding through the payment's gateway, or recording a
+// refund made by hand) or rejects it. A partly refunded payment stays
+// 'success' and counts for amount - refunded_amount.
+
+const formatNaira = (amount) => `NGN ${Number(amount).toLocaleString('en-NG', { minimumFractionDigits: 2 })}`;
+
+/**
+ * Load a refund with the payment it is against
+ */
+async function findRefund(institutionId, refundId) {
+  const [refund] = await query(
+    `SELECT r.*, sp.reference as payment_reference, sp.amount as payment_amount,
+            sp.refunded_amount as payment_refunded_amount, sp.status as payment_status,
+            sp.gateway as payment_gateway, st.full_name as student_name
+     FROM payment_refunds r
+     JOIN student_payments sp ON sp.id = r.payment_id
+     LEFT JOIN students st ON st.id = r.student_id
+     WHERE r.id = ? AND r.institution_id = ?`,
+    [parseInt(refundId), parseInt(institutionId)]
+  );
+
+  if (!refund) {
+    throw new NotFoundError('Refund not found');
+  }
+  return refund;
+}
+
+/**
+ * Get refund requests
+ * GET /:institutionId/payments/refunds
+ */
+const getRefunds = async (req, res, next) => {
+  try {
+    const { institutionId } = req.params;
+    const { status, session_id, student_id, payment_id } = req.query;
+
+    let sql = `
+      SELECT r.*, sp.reference as payment_reference, sp.amount as payment_amount,
+             sp.refunded_amount as payment_refunded_amount, sp.gateway as payment_gateway,
+             st.full_name as student_name, st.registration_number,
+             requester.name as requested_by_name, reviewer.name as reviewed_by_name
+      FROM payment_refunds r
+      JOIN student_payments sp ON sp.id = r.payment_id
+      LEFT JOIN students st ON st.id = r.student_id
+      LEFT JOIN users requester ON requester.id = r.requested_by
+      LEFT JOIN users reviewer ON reviewer.id = r.reviewed_by
+      WHERE r.institution_id = ?
+    `;
+    const params = [parseInt(institutionId)];
+
+    if (status) {
+      sql += ' AND r.status = ?';
+      params.push(status);
+    }
+    if (session_id) {
+      sql += ' AND r.session_id = ?';
+      params.push(parseInt(session_id));
+    }
+    if (student_id) {
+      sql += ' AND r.student_id = ?';
+      params.push(parseInt(student_id));
+    }
+    if (payment_id) {
+      sql += ' AND r.payment_id = ?';
+      params.push(parseInt(payment_id));
+    }
+
+    sql += ' ORDER BY r.created_at DESC';
+
+    const refunds = await query(sql, params);
+
+    res.json({
+      success: true,
+      data: refunds.map((refund) => ({
+        ...refund,
+        // Otherwise approving it means paying the student back by hand
+        gateway_refund_available: paymentGatewayService.canRefund(refund.payment_gateway),
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Request a (full or partial) refund of a successful payment
+ * POST /:institutionId/payments/:id/refunds
+ */
+const requestRefund = async (req, res, next) => {
+  try {
+    const { institutionId, id } = req.params;
+    const { reason, notes } = req.body;
+
+    const [payment] = await query(
+      `SELECT sp.*, st.full_name as student_name
+       FROM student_payments sp
+       LEFT JOIN students st ON st.id = sp.student_id
+       WHERE sp.id = ? AND sp.institution_id = ?`,
+      [parseInt(id), parseInt(institutionId)]
+    );
+
+    if (!payment) {
+      throw new NotFoundError('Payment not found');
+    }
+
+    if (payment.status !== 'success') {
+      throw new ValidationError('Only successful payments can be refunded');
+    }
+
+    // Refunds awaiting a decision (or a retry) hold their amount
+    const [outstanding] = await query(
+      `SELECT COALESCE(SUM(amount), 0) as total FROM payment_refunds
+       WHERE payment_id = ? AND status IN ('pending', 'processing', 'failed')`,
+      [payment.id]
+    );
+
+    const refundable = parseFloat(payment.amount) - parseFloat(payment.refunded_amount || 0)
+      - parseFloat(outstanding?.total || 0);
+
+    if (refundable <= 0) {
+      throw new ValidationError('Nothing left to refund on this payment');
+    }
+
+    const amount = req.body.amount ?? refundable;
+
+    if (amount > refundable) {
+      throw new ValidationError(`At most ${formatNaira(refundable)} can be refunded on this payment`);
+    }
+
+    const result = await query(
+      `INSERT INTO payment_refunds
+       (institution_id, payment_id, student_id, session_id, amount, reason, notes, requested_by, gateway)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        parseInt(institutionId), payment.id, payment.student_id, payment.session_id,
+        amount, reason, notes || null, req.user.id, payment.gateway || null,
+      ]
+    );
+
+    await auditService.log(req, {
+      action: 'refund_requested',
+      resourceType: 'payment_refund',
+      resourceId: result.insertId,
+      details: {
+        payment_id: payment.id,
+        reference: payment.reference,
+        student_name: payment.student_name,
+        amount,
+        partial: amount < parseFloat(payment.amount),
+        reason,
+        notes: notes || null,
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Refund requested. It will be processed once approved.',
+      data: { id: result.insertId, payment_id: payment.id, amount, reason, status: 'pending' },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Note sent with a gateway refund - it is how the refund is found again
+ */
+const refundNote = (refund) => `${refund.reason} refund ${refund.id}`;
+
+// A refund approved this recently may still be waiting on the gateway
+const REFUND_CHECK_DELAY_MS = 2 * 60 * 1000;
+
 /**
- * Paystack webhook handler
- * POST /:institutionId/payments/webhook
+ * Mark a processing refund completed and take it off what the student has paid
+ * @param {Object} req
+ * @param {Object} refund - From findRefund()
+ * @param {Object} payment - { amount, refunded_amount, status } before the refund
+ * @param {Object|null} [gatewayRefund] - { id, status } for a gateway refund
+ * @returns {Promise<string>} The payment's status afterwards
+ */
+async function completeRefund(req, refund, payment, gatewayRefund = null) {
+  const institutionId = parseInt(req.params.institutionId);
+  const amount = parseFloat(refund.amount);
+  const refundedBefore = parseFloat(payment.refunded_amount || 0);
+
+  // Only one caller moves it out of processing (an approval or a check)
+  const completed = await query(
+    `UPDATE payment_refunds
+     SET status = 'completed', processed_at = NOW(), gateway_refund_id = ?, gateway_response = ?
+     WHERE id = ? AND status = 'processing'`,
+    [gatewayRefund?.id || null, gatewayRefund ? JSON.stringify(gatewayRefund) : null, refund.id]
+  );
+
+  if (!completed.affectedRows) {
+    throw new ConflictError('This refund has already been settled');
+  }
+
+  // Fully refunded payments stop counting towards what the student has paid
+  const paymentStatus = refundedBefore + amount >= parseFloat(payment.amount) ? 'refunded' : 'success';
+  await query(
+    `UPDATE student_payments
+     SET status = ?, refunded_amount = refunded_amount + ?, updated_at = NOW()
+     WHERE id = ? AND institution_id = ?`,
+    [paymentStatus, amount, refund.payment_id, institutionId]
+  );
+
+  await updateStudentPaymentStatus(refund.student_id, refund.session_id, institutionId);
+
+  await auditService.log(req, {
+    action: 'refund_completed',
+    resourceType: 'student_payment',
+    resourceId: refund.payment_id,
+    before: { status: payment.status, refunded_amount: refundedBefore },
+    after: { status: paymentStatus, refunded_amount: refundedBefore + amount },
+    details: {
+      refund_id: refund.id,
+      student_name: refund.student_name,
+      reference: refund.payment_reference,
+      amount,
+      method: gatewayRefund ? 'gateway' : 'manual',
+      gateway_refund_id: gatewayRefund?.id || null,
+    },
+  });
+
+  return paymentStatus;
+}
+
+/**
+ * The gateway settings a refund goes through
+ */
+async function refundGatewayConfig(institutionId, refund) {
+  const gatewayName = refund.payment_gateway || paymentGatewayService.DEFAULT_GATEWAY;
+
+  if (!paymentGatewayService.canRefund(gatewayName)) {
+    throw new ValidationError(
+      'This payment gateway cannot issue refunds. Pay the student back directly and approve it as a manual refund.'
+    );
+  }
+
+  const gatewayConfig = await paymentGatewayService.getGatewayConfig(institutionId, {
+    gateway: gatewayName,
+    envFallback: true,
+  });
+  if (paymentGatewayService.configProblem(gatewayConfig)) {
+    throw new ValidationError('Payment gateway not configured for this institution');
+  }
+  return gatewayConfig;
+}
+
+/**
+ * Approve a refund: refund through the payment's gateway, or record that the
+ * student was paid back by hand. A gateway refund the gateway declined can be
+ * approved again; one it did not answer for stays processing until checked
+ * (see checkRefund).
+ * POST /:institutionId/payments/refunds/:refundId/approve
+ */
+const approveRefund = async (req, res, next) => {
+  try {
+    const { institutionId, refundId } = req.params;
+    const { method, notes } = req.body;
+
+    const refund = await findRefund(institutionId, refundId);
+
+    if (!['pending', 'failed'].includes(refund.status)) {
+      throw new ValidationError(`A ${refund.status} refund cannot be approved`);
+    }
+
+    const amount = parseFloat(refund.amount);
+    const gatewayConfig = method === 'gateway' ? await refundGatewayConfig(institutionId, refund) : null;
+
+    // Claim the refund with the payment locked, so neither a second approval
+    // nor another refund of the same payment can pay out the same money
+    const payment = await transaction(async (conn) => {
+      const [[locked]] = await conn.execute(
+        'SELECT amount, refunded_amount, status FROM student_payments WHERE id = ? FOR UPDATE',
+        [refund.payment_id]
+      );
+      // Other refunds awaiting a decision, a retry or the gateway hold their amount
+      const [[held]] = await conn.execute(
+        `SELECT COALESCE(SUM(amount), 0) as total FROM payment_refunds
+         WHERE payment_id = ? AND id != ? AND status IN ('pending', 'processing', 'failed')`,
+        [refund.payment_id, refund.id]
+      );
+
+      const remaining = parseFloat(locked?.amount || 0) - parseFloat(locked?.refunded_amount || 0)
+        - parseFloat(held?.total || 0);
+      if (locked?.status !== 'success' || amount > remaining) {
+        throw new ValidationError('Refund exceeds the amount left on the payment');
+      }
+
+      const [claimed] = await conn.execute(
+        `UPDATE payment_refunds
+         SET status = 'processing', method = ?, reviewed_by = ?, reviewed_at = NOW(), review_notes = ?
+         WHERE id = ? AND status IN ('pending', 'failed')`,
+        [method, req.user.id, notes || null, refund.id]
+      );
+
+      if (!claimed.affectedRows) {
+        throw new ConflictError('This refund is already being processed');
+      }
+      return locked;
+    });
+
+    await auditService.log(req, {
+      action: 'refund_approved',
+      resourceType: 'payment_refund',
+      resourceId: refund.id,
+      before: { status: refund.status },
+      after: { status: 'processing' },
+      details: { payment_id: refund.payment_id, amount, method, notes: notes || null },
+    });
+
+    let gatewayRefund = null;
+    if (method === 'gateway') {
+      const result = await paymentGatewayService.refundTransaction(gatewayConfig, {
+        reference: refund.payment_reference,
+        amount,
+        note: refundNote(refund),
+      });
+
+      if (!result.success && result.uncertain) {
+        // It may have gone through: never retried until the gateway says it did not
+        await query(
+          'UPDATE payment_refunds SET gateway_response = ? WHERE id = ?',
+          [`Not confirmed by the gateway: ${result.error || 'no reply'}`, refund.id]
+        );
+
+        await auditService.log(req, {
+          action: 'refund_unconfirmed',
+          resourceType: 'payment_refund',
+          resourceId: refund.id,
+          details: { payment_id: refund.payment_id, amount, error: result.error },
+        });
+
+        throw new ServiceUnavailableError(
+          'The payment gateway did not confirm the refund. Check it with the gateway in a few minutes; do not pay the student back any other way until then.'
+        );
+      }
+
+      if (!result.success) {
+        await query(
+          `UPDATE payment_refunds SET status = 'failed', gateway_response = ? WHERE id = ?`,
+          [result.error || 'Refund failed', refund.id]
+        );
+
+        await auditService.log(req, {
+          action: 'refund_failed',
+          resourceType: 'payment_refund',
+          resourceId: refund.id,
+          before: { status: 'processing' },
+          after: { status: 'failed' },
+          details: { payment_id: refund.payment_id, amount, error: result.error },
+        });
+
+        throw new ValidationError(`Gateway refund failed: ${result.error || 'unknown error'}`);
+      }
+
+      gatewayRefund = result.data;
+    }
+
+    const paymentStatus = await completeRefund(req, refund, payment, gatewayRefund);
+
+    res.json({
+      success: true,
+      message: method === 'gateway'
+        ? `Refund of ${formatNaira(amount)} sent through the payment gateway`
+        : `Manual refund of ${formatNaira(amount)} recorded`,
+      data: {
+        id: refund.id,
+        status: 'completed',
+        method,
+        payment_status: paymentStatus,
+        gateway_refund: gatewayRefund,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Settle a gateway refund the gateway did not confirm: completed if the
+ * gateway made it, failed (and open to approval again) if it has no record of it
+ * POST /:institutionId/payments/refunds/:refundId/check
+ */
+const checkRefund = async (req, res, next) => {
+  try {
+    const { institutionId, refundId } = req.params;
+
+    const refund = await findRefund(institutionId, refundId);
+
+    if (refund.status !== 'processing' || refund.method !== 'gateway') {
+      throw new ValidationError('Only a gateway refund that is still processing can be checked');
+    }
+    if (Date.now() - new Date(refund.reviewed_at).getTime() < REFUND_CHECK_DELAY_MS) {
+      throw new ValidationError('This refund was approved moments ago. Check it again in a few minutes.');
+    }
+
+    const gatewayConfig = await refundGatewayConfig(institutionId, refund);
+    const result = await paymentGatewayService.findGatewayRefund(gatewayConfig, {
+      reference: refund.payment_reference,
+      note: refundNote(refund),
+    });
+
+    if (!result.success) {
+      throw new ServiceUnavailableError(`Could not check the refund with the payment gateway: ${result.error}`);
+    }
+
+    if (result.data) {
+      const paymentStatus = await completeRefund(req, refund, {
+        amount: refund.payment_amount,
+        refunded_amount: refund.payment_refunded_amount,
+        status: refund.payment_status,
+      }, result.data);
+
+      return res.json({
+        success: true,
+        message: `The gateway made this refund of ${formatNaira(refund.amount)}`,
+        data: { id: refund.id, status: 'completed', payment_status: paymentStatus, gateway_refund: result.data },
+      });
+    }
+
+    const failed = await query(
+      `UPDATE payment_refunds SET status = 'failed', gateway_response = ?
+       WHERE id = ? AND status = 'processing'`,
+      ['The gateway has no record of this refund', refund.id]
+    );
+
+    if (!failed.affectedRows) {
+      throw new ConflictError('This refund has already been settled');
+    }
+
+    await auditService.log(req, {
+      action: 'refund_failed',
+      resourceType: 'payment_refund',
+      resourceId: refund.id,
+      before: { status: 'processing' },
+      after: { status: 'failed' },
+      details: { payment_id: refund.payment_id, amount: parseFloat(refund.amount), error: 'Not found at the gateway' },
+    });
+
+    res.json({
+      success: true,
+      message: 'The gateway has no record of this refund. It can be approved again.',
+      data: { id: refund.id, status: 'failed' },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject a refund request
+ * POST /:institutionId/payments/refunds/:refundId/reject
+ */
+const rejectRefund = async (req, res, next) => {
+  try {
+    const { institutionId, refundId } = req.params;
+    const { rejection_reason } = req.body;
+
+    const refund = await findRefund(institutionId, refundId);
+
+    if (!['pending', 'failed'].includes(refund.status)) {
+      throw new ValidationError(`A ${refund.status} refund cannot be rejected`);
+    }
+
+    await query(
+      `UPDATE payment_refunds
+       SET status = 'rejected', reviewed_by = ?, reviewed_at = NOW(), review_notes = ?
+       WHERE id = ?`,
+      [req.user.id, rejection_reason, refund.id]
+    );
+
+    await auditService.log(req, {
+      action: 'refund_rejected',
+      resourceType: 'payment_refund',
+      resourceId: refund.id,
+      before: { status: refund.status },
+      after: { status: 'rejected' },
+      details: { payment_id: refund.payment_id, amount: parseFloat(refund.amount), rejection_reason },
+    });
+
+    res.json({
+      success: true,
+      message: 'Refund rejected',
+      data: { id: refund.id, status: 'rejected' },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Payment gateway webhook handler
+ * POST /payments/webhook/:gateway
+ *
+ * Each gateway authenticates its own webhooks (signature, shared hash, or a
+ * call back to its API - see paymentGatewayService). A successful payment
+ * completes the matching payment or pending transaction.
  */
 const handleWebhook = async (req, res, next) => {
-  const signature = req.headers['x-paystack-signature'];
+  const gatewayName = req.params.gateway || paymentGatewayService.DEFAULT_GATEWAY;
   try {
-    if (!signature) {
-      return res.status(401).json({ success: false, message: 'Missing signature' });
+    const gateway = paymentGatewayService.getGateway(gatewayName);
+    if (!gateway) {
+      return res.status(404).json({ success: false, message: 'Unknown payment gateway' });
     }
 
-    const { event, data } = req.body || {};
-    const reference = data?.reference;
+    const reference = gateway.webhookReference(req.body || {});
 
     if (!reference) {
       return res.status(400).json({ success: false, message: 'Missing payment reference' });
     }
 
     // 🔒 MULTI-TENANCY: the webhook URL carries no institution context, so resolve the
-    // owning institution from the (still-untrusted) reference. The signature is then
-    // verified below with THAT institution's secret - an attacker cannot forge it.
+    // owning institution from the (still-untrusted) reference. The webhook is then
+    // authenticated below with THAT institution's credentials - an attacker cannot forge it.
     const [owner] = await query(
-      `SELECT institution_id FROM student_payments WHERE reference = ? OR paystack_reference = ?
+      `SELECT institution_id, gateway FROM student_payments WHERE reference = ? OR paystack_reference = ?
        UNION
-       SELECT institution_id FROM pending_transactions WHERE reference = ? OR paystack_reference = ?
+       SELECT institution_id, gateway FROM pending_transactions WHERE reference = ? OR paystack_reference = ?
        LIMIT 1`,
       [reference, reference, reference, reference]
     );
 
-    if (!owner) {
-      // Unknown reference - acknowledge so Paystack stops retrying, but take no action.
-      console.warn('[WEBHOOK] Received event for unknown payment reference');
+    if (!owner || (owner.gateway && owner.gateway !== gatewayName)) {
+      // Unknown reference (or one started with another gateway) - acknowledge so the
+      // gateway stops retrying, but take no action.
+      console.warn(`[WEBHOOK] Received ${gatewayName} event for unknown payment reference`);
       return res.status(200).json({ success: true });
     }
 
     const institutionId = owner.institution_id;
 
-    // Load that institution's Paystack secret (decrypted). No global fallback -
-    // a system-wide key must never be used to verify a tenant's webhook.
-    const Institution = require('../models/Institution');
-    const institution = await Institution.findById(parseInt(institutionId), true);
-    const paystackSecretKey = institution?.paystack_secret_key;
+    // Load that institution's credentials for this gateway (decrypted). No global
+    // fallback - a system-wide key must never be used to verify a tenant's webhook.
+    const gatewayConfig = await paymentGatewayService.getGatewayConfig(institutionId, { gateway: gatewayName });
+    const problem = paymentGatewayService.configProblem(gatewayConfig);
 
-    if (!paystackSecretKey) {
-      console.error('[WEBHOOK] Paystack not configured for the owning institution');
-      // Transient from Paystack's perspective - allow retry after configuration is fixed.
-      return res.status(500).json({ success: false, message: 'Paystack not configured' });
+    if (problem) {
+      console.error(`[WEBHOOK] ${problem} for the owning institution`);
+      // Transient from the gateway's perspective - allow retry after configuration is fixed.
+      return res.status(500).json({ success: false, message: 'Payment gateway not configured' });
     }
 
-    // Verify signature against the tenant's secret
-    const hash = crypto.createHmac('sha512', paystackSecretKey)
-      .update(JSON.stringify(req.body))
-      .digest('hex');
+    const { authentic, transaction: data } = await gateway.parseWebhook(
+      { headers: req.headers, body: req.body },
+      gatewayConfig.credentials
+    );
 
-    if (hash !== signature) {
+    if (!authentic) {
       return res.status(401).json({ success: false, message: 'Invalid webhook signature' });
     }
 
-    if (event === 'charge.success') {
+    if (data?.status === 'success') {
       // Find payment record
       const payments = await query(
         `SELECT id, status FROM student_payments 
          WHERE (reference = ? OR paystack_reference = ?) AND institution_id = ?`,
-        [data.reference, data.reference, parseInt(institutionId)]
+        [reference, reference, parseInt(institutionId)]
       );
 
       if (payments.length > 0) {
-        // Skip if already verified
-        if (payments[0].status === 'success') {
-          console.log(`[WEBHOOK] Payment ${data.reference} already verified, skipping update`);
+        // Skip if already verified (or since refunded)
+        if (['success', 'refunded'].includes(payments[0].status)) {
+          console.log(`[WEBHOOK] Payment ${reference} already verified, skipping update`);
           return res.json({ success: true });
         }
 
-        // Extract authorization details
-        const authCode = data.authorization?.authorization_code || null;
-        const cardType = data.authorization?.card_type || null;
-        const bankName = data.authorization?.bank || data.authorization?.bank_name || null;
-        const channel = data.channel || null;
-        
-        // Prepare metadata to store
-        const storedMetadata = JSON.stringify({
-          ...data.metadata,
-          gateway_response: data.gateway_response,
-          paid_at: data.paid_at,
-          customer_email: data.customer?.email,
-          webhook_received: true,
-          authorization_details: data.authorization ? {
-            card_type: cardType,
-            last4: data.authorization.last4,
-            exp_month: data.authorization.exp_month,
-            exp_year: data.authorization.exp_year,
-            brand: data.authorization.brand,
-            bank: bankName,
-            country_code: data.authorization.country_code,
-            account_name: data.authorization.account_name,
-          } : null,
-        });
+        const details = transactionDetails(data, { webhook_received: true });
 
         await query(
           `UPDATE student_payments
@@ -981,11 +1424,11 @@ const handleWebhook = async (req, res, next) => {
            WHERE id = ?`,
           [
             data.reference,
-            authCode,
-            channel,
-            cardType,
-            bankName,
-            storedMetadata,
+            details.authCode,
+            details.channel,
+            details.cardType,
+            details.bankName,
+            details.metadata,
             payments[0].id
           ]
         );
@@ -994,57 +1437,28 @@ const handleWebhook = async (req, res, next) => {
         await query(
           `UPDATE pending_transactions SET status = 'verified', verified_at = NOW()
            WHERE (reference = ? OR paystack_reference = ?) AND institution_id = ?`,
-          [data.reference, data.reference, parseInt(institutionId)]
+          [reference, reference, parseInt(institutionId)]
         );
       } else {
         // No student_payments record yet - check pending_transactions (missed-callback recovery)
         const [pendingTx] = await query(
           `SELECT * FROM pending_transactions
            WHERE (reference = ? OR paystack_reference = ?) AND institution_id = ? AND status = 'pending'`,
-          [data.reference, data.reference, parseInt(institutionId)]
+          [reference, reference, parseInt(institutionId)]
         );
 
         if (pendingTx) {
-          const authCode = data.authorization?.authorization_code || null;
-          const cardType = data.authorization?.card_type || null;
-          const bankName = data.authorization?.bank || data.authorization?.bank_name || null;
-          const channel = data.channel || null;
-          const storedMetadata = JSON.stringify({
-            ...data.metadata,
-            gateway_response: data.gateway_response,
-            paid_at: data.paid_at,
-            customer_email: data.customer?.email,
-            webhook_received: true,
+          await recordFromPendingTransaction(institutionId, pendingTx, data, {
+            gateway: gatewayName,
+            extra: { webhook_received: true },
           });
-
-          await query(
-            `INSERT INTO student_payments
-             (institution_id, session_id, student_id, amount, currency, reference,
-              paystack_reference, authorization_code, channel, card_type, bank,
-              status, verified_at, metadata)
-             VALUES (?, ?, ?, ?, 'NGN', ?, ?, ?, ?, ?, ?, 'success', NOW(), ?)`,
-            [
-              parseInt(institutionId), pendingTx.session_id, pendingTx.student_id,
-              pendingTx.amount, pendingTx.reference, data.reference,
-              authCode, channel, cardType, bankName, storedMetadata,
-            ]
-          );
-
-          await query(
-            `UPDATE pending_transactions SET status = 'verified', verified_at = NOW() WHERE id = ?`,
-            [pendingTx.id]
-          );
-
-          await updateStudentPaymentStatus(
-            pendingTx.student_id, pendingTx.session_id, parseInt(institutionId)
-          );
         }
       }
     }
 
     res.status(200).json({ success: true });
   } catch (error) {
-    // Transient/unexpected failure - return 5xx so Paystack retries delivery.
+    // Transient/unexpected failure - return 5xx so the gateway retries delivery.
     console.error('[WEBHOOK] Processing error:', error.message);
     res.status(500).json({ success: false });
   }
@@ -1126,7 +1540,9 @@ const getStudentPaymentStatus = async (req, res, next) => {
 
     // Dual verification: students table + actual payment records
     const successfulPayments = allPayments.filter(p => p.status === 'success');
-    const verifiedTotalPaid = successfulPayments.reduce((sum, p) => sum + parseFloat(p.amount), 0);
+    const verifiedTotalPaid = successfulPayments.reduce(
+      (sum, p) => sum + parseFloat(p.amount) - parseFloat(p.refunded_amount || 0), 0
+    );
     const totalPaid = parseFloat(student.total_paid || 0);
     const remaining = Math.max(0, amount - Math.max(totalPaid, verifiedTotalPaid));
 
@@ -1156,6 +1572,7 @@ const getStudentPaymentStatus = async (req, res, next) => {
           id: p.id,
           reference: p.reference,
           amount: parseFloat(p.amount),
+          refunded_amount: parseFloat(p.refunded_amount || 0),
           status: p.status,
           created_at: p.created_at,
         })),
@@ -1208,7 +1625,7 @@ const initializeStudentPayment = async (req, res, next) => {
       throw new NotFoundError('Student not found');
     }
 
-    // Get institution payment config (with decrypted sensitive fields like Paystack keys)
+    // Get institution payment config
     const Institution = require('../models/Institution');
     const institution = await Institution.findById(institutionId, true);
 
@@ -1245,7 +1662,7 @@ const initializeStudentPayment = async (req, res, next) => {
     // Dual verification: check students table AND actual payment records
     const studentTotalPaid = parseFloat(student.total_paid || 0);
     const [paymentSum] = await query(
-      `SELECT COUNT(*) as count, COALESCE(SUM(amount), 0) as total_paid
+      `SELECT COUNT(*) as count, COALESCE(SUM(amount - refunded_amount), 0) as total_paid
        FROM student_payments
        WHERE student_id = ? AND session_id = ? AND institution_id = ? AND status = 'success'`,
       [studentId, session.id, institutionId]
@@ -1263,20 +1680,13 @@ const initializeStudentPayment = async (req, res, next) => {
     const reference = `TP${institution.code || institutionId}-${studentId}-${Date.now()}`;
     const email = `${student.registration_number.replace(/\//g, '_')}@student.sitpms.com`;
 
-    // Use Paystack service - REQUIRED for payment initialization
-    const paystackService = require('../services/paystackService');
-    
-    // Resolve Paystack secret key: institution-level → system-level fallback
-    const paystackSecretKey = institution.paystack_secret_key || process.env.PAYSTACK_SECRET_KEY;
-    
-    if (!paystackSecretKey) {
-      throw new ValidationError('Payment gateway not configured. Please contact administration.');
-    }
+    // Resolve the institution's gateway (Paystack falls back to the system-level key)
+    const gatewayConfig = await paymentGatewayService.getGatewayConfig(institutionId, { envFallback: true });
+    const gatewayProblem = paymentGatewayService.configProblem(gatewayConfig);
 
-    // Validate key format - Paystack secret keys must start with sk_
-    if (!paystackSecretKey.startsWith('sk_')) {
-      console.error(`[PAYMENT] Invalid Paystack key format for institution ${institutionId} - key does not start with sk_`);
-      throw new ValidationError('Payment gateway configuration error. Please contact administration.');
+    if (gatewayProblem) {
+      console.error(`[PAYMENT] Institution ${institutionId}: ${gatewayProblem}`);
+      throw new ValidationError('Payment gateway not configured. Please contact administration.');
     }
 
     // Get program info for metadata
@@ -1285,13 +1695,15 @@ const initializeStudentPayment = async (req, res, next) => {
       [student.program_id]
     ) : [null];
 
-    // Initialize with Paystack - NO database record yet (only save on successful verification)
-    // Include split_code if configured for this institution (revenue sharing with platform)
-    const paystackResult = await paystackService.initializeTransaction({
-      secretKey: paystackSecretKey,
+    // Initialize with the gateway - NO payment record yet (only saved on successful verification).
+    // Paystack adds the institution's split_code if configured (revenue sharing with platform)
+    const gatewayResult = await paymentGatewayService.initializeTransaction(gatewayConfig, {
       email,
-      amount: remaining * 100, // Convert to kobo
+      name: student.full_name,
+      amount: remaining,
       reference,
+      // Redirect-based gateways send the student back here to verify
+      callbackUrl: `${await emailService.getFrontendUrl(institutionId)}/student/payment`,
       metadata: {
         student_id: studentId,
         session_id: session.id,
@@ -1303,7 +1715,7 @@ const initializeStudentPayment = async (req, res, next) => {
         session_name: session.name,
         institution_name: institution.name,
         institution_code: institution.code,
-        // Custom fields shown on Paystack dashboard and receipts
+        // Custom fields shown on the Paystack dashboard and receipts
         custom_fields: [
           {
             display_name: 'Student Name',
@@ -1322,39 +1734,36 @@ const initializeStudentPayment = async (req, res, next) => {
           },
         ],
       },
-      splitCode: institution.paystack_split_code, // Institution-specific split configuration
     });
 
-    if (!paystackResult.success) {
-      console.error('Paystack initialization failed:', paystackResult.error);
-      throw new ValidationError(paystackResult.error || 'Failed to initialize payment gateway');
+    if (!gatewayResult.success) {
+      throw new ValidationError(gatewayResult.error || 'Failed to initialize payment gateway');
     }
 
     // Record the attempt so student can verify without needing their email
     await query(
       `INSERT INTO pending_transactions
-       (institution_id, session_id, student_id, amount, reference, paystack_reference, access_code)
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+       (institution_id, session_id, student_id, amount, reference, gateway, paystack_reference, access_code)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         institutionId, session.id, studentId, remaining,
         reference,
-        paystackResult.data.reference,
-        paystackResult.data.access_code,
+        gatewayConfig.gateway,
+        gatewayResult.data.reference,
+        gatewayResult.data.accessCode,
       ]
     );
 
+    // Paystack opens as a popup (access code + public key); other gateways redirect
     res.json({
       success: true,
       data: {
         reference,
         amount: remaining,
         currency: 'NGN',
-        paystack: {
-          accessCode: paystackResult.data.access_code,
-          authorizationUrl: paystackResult.data.authorization_url,
-          reference: paystackResult.data.reference,
-        },
-        publicKey: institution.paystack_public_key,
+        gateway: gatewayConfig.gateway,
+        checkout: gatewayResult.data,
+        publicKey: gatewayConfig.credentials.public_key || null,
         email,
       },
     });
@@ -1367,8 +1776,9 @@ const initializeStudentPayment = async (req, res, next) => {
  * Verify student payment
  * POST /portal/payments/verify
  * 
- * This is the ONLY place where payment records are created.
- * Payments are only saved after successful Paystack verification (no pending records).
+ * Creates (or completes) the payment record once the gateway confirms the
+ * payment - no pending records. Webhooks and admin verification do the same
+ * when the student never returns here.
  */
 const verifyStudentPayment = async (req, res, next) => {
   try {
@@ -1387,7 +1797,7 @@ const verifyStudentPayment = async (req, res, next) => {
     // Check if already verified
     const [alreadyVerified] = await query(
       `SELECT * FROM student_payments 
-       WHERE reference = ? AND student_id = ? AND institution_id = ? AND status = 'success'`,
+       WHERE reference = ? AND student_id = ? AND institution_id = ? AND status IN ('success', 'refunded')`,
       [reference, studentId, institutionId]
     );
 
@@ -1399,27 +1809,9 @@ const verifyStudentPayment = async (req, res, next) => {
       });
     }
 
-    // Verify with Paystack (get decrypted secret key)
-    const Institution = require('../models/Institution');
-    const institution = await Institution.findById(institutionId, true);
-
-    // Resolve Paystack secret key: institution-level → system-level fallback
-    const paystackSecretKey = institution?.paystack_secret_key || process.env.PAYSTACK_SECRET_KEY;
-
-    if (!paystackSecretKey) {
-      throw new ValidationError('Payment gateway not configured');
-    }
-
-    if (!paystackSecretKey.startsWith('sk_')) {
-      console.error(`[PAYMENT] Invalid Paystack key format for institution ${institutionId} - key does not start with sk_`);
-      throw new ValidationError('Payment gateway configuration error. Please contact administration.');
-    }
-
-    const paystackService = require('../services/paystackService');
-    const verification = await paystackService.verifyTransaction(
-      paystackSecretKey,
-      reference
-    );
+    // Verify with the gateway the payment was started with
+    const gatewayConfig = await gatewayConfigForReference(institutionId, reference, { envFallback: true });
+    const verification = await paymentGatewayService.verifyTransaction(gatewayConfig, reference);
 
     if (!verification.success || verification.data.status !== 'success') {
       return res.json({
@@ -1430,23 +1822,27 @@ const verifyStudentPayment = async (req, res, next) => {
     }
 
     // Payment verified - extract session_id from metadata
-    const paystackData = verification.data;
-    const sessionId = paystackData.metadata?.session_id;
+    const gatewayData = verification.data;
+    let sessionId = gatewayData.metadata?.session_id;
 
     if (!sessionId) {
-      // Try to get current session as fallback
-      const [currentSession] = await query(
+      // Gateways that do not echo metadata: the session the payment was started for,
+      // else the current session
+      const [pendingTx] = await query(
+        'SELECT session_id FROM pending_transactions WHERE reference = ? AND institution_id = ?',
+        [reference, institutionId]
+      );
+      const [currentSession] = pendingTx ? [] : await query(
         'SELECT id FROM academic_sessions WHERE institution_id = ? AND is_current = 1',
         [institutionId]
       );
-      if (!currentSession) {
+      sessionId = pendingTx?.session_id || currentSession?.id;
+      if (!sessionId) {
         throw new ValidationError('Unable to determine session for payment');
       }
-      paystackData.metadata = { ...paystackData.metadata, session_id: currentSession.id };
     }
 
-    // Create or update payment record (amount is in kobo, convert to naira)
-    const amountInNaira = paystackData.amount / 100;
+    const amountInNaira = gatewayData.amount;
 
     // Check if payment record already exists (from initialization)
     const [existingPayment] = await query(
@@ -1454,28 +1850,10 @@ const verifyStudentPayment = async (req, res, next) => {
       [reference, institutionId]
     );
 
-    // Extract authorization details (may be null for some payment channels like bank_transfer)
-    const authCode = paystackData.authorization?.authorization_code || null;
-    const cardType = paystackData.authorization?.card_type || null;
-    const bankName = paystackData.authorization?.bank || paystackData.authorization?.bank_name || null;
-    const channel = paystackData.channel || null;
-    
-    // Prepare metadata to store (includes original Paystack metadata + payment details)
-    const storedMetadata = JSON.stringify({
-      ...paystackData.metadata,
-      gateway_response: paystackData.gatewayResponse,
-      paid_at: paystackData.paidAt,
-      customer_email: paystackData.customer?.email,
-      authorization_details: paystackData.authorization ? {
-        card_type: cardType,
-        last4: paystackData.authorization.last4,
-        exp_month: paystackData.authorization.exp_month,
-        exp_year: paystackData.authorization.exp_year,
-        brand: paystackData.authorization.brand,
-        bank: bankName,
-        country_code: paystackData.authorization.country_code,
-        account_name: paystackData.authorization.account_name,
-      } : null,
+    // Stored metadata includes the gateway metadata + payment details
+    const details = transactionDetails({
+      ...gatewayData,
+      metadata: { ...gatewayData.metadata, session_id: sessionId },
     });
 
     if (existingPayment) {
@@ -1484,6 +1862,7 @@ const verifyStudentPayment = async (req, res, next) => {
         `UPDATE student_payments 
          SET status = 'success', 
              verified_at = NOW(),
+             gateway = ?,
              paystack_reference = ?,
              authorization_code = ?,
              channel = ?,
@@ -1495,15 +1874,16 @@ const verifyStudentPayment = async (req, res, next) => {
              metadata = ?
          WHERE id = ?`,
         [
-          paystackData.reference,
-          authCode,
-          channel,
-          cardType,
-          bankName,
+          gatewayConfig.gateway,
+          gatewayData.reference,
+          details.authCode,
+          details.channel,
+          details.cardType,
+          details.bankName,
           amountInNaira,
           req.ip || req.headers['x-forwarded-for'] || null,
           req.headers['user-agent'] || null,
-          storedMetadata,
+          details.metadata,
           existingPayment.id,
         ]
       );
@@ -1511,31 +1891,31 @@ const verifyStudentPayment = async (req, res, next) => {
       // Insert new record
       await query(
         `INSERT INTO student_payments 
-         (institution_id, session_id, student_id, amount, currency, reference, 
+         (institution_id, session_id, student_id, amount, currency, reference, gateway,
           paystack_reference, authorization_code, channel, card_type, bank, status, verified_at,
           ip_address, user_agent, metadata)
-         VALUES (?, ?, ?, ?, 'NGN', ?, ?, ?, ?, ?, ?, 'success', NOW(), ?, ?, ?)`,
+         VALUES (?, ?, ?, ?, 'NGN', ?, ?, ?, ?, ?, ?, ?, 'success', NOW(), ?, ?, ?)`,
         [
           institutionId,
-          paystackData.metadata.session_id,
+          sessionId,
           studentId,
           amountInNaira,
           reference,
-          paystackData.reference,
-          authCode,
-          channel,
-          cardType,
-          bankName,
+          gatewayConfig.gateway,
+          gatewayData.reference,
+          details.authCode,
+          details.channel,
+          details.cardType,
+          details.bankName,
           req.ip || req.headers['x-forwarded-for'] || null,
           req.headers['user-agent'] || null,
-          storedMetadata,
+          details.metadata,
         ]
       );
     }
 
     // Sync students table so the portal reflects the verified payment
-    const sessionIdForPayment = paystackData.metadata.session_id;
-    await updateStudentPaymentStatus(studentId, sessionIdForPayment, institutionId);
+    await updateStudentPaymentStatus(studentId, sessionId, institutionId);
 
     // Remove from pending list now that it is verified
     await query(
@@ -1545,12 +1925,14 @@ const verifyStudentPayment = async (req, res, next) => {
     );
 
     // Audit log
-    await query(
-      `INSERT INTO audit_logs (institution_id, user_id, user_type, action, resource_type, resource_id, details, ip_address)
-       VALUES (?, ?, 'student', 'payment_completed', 'student_payment', NULL, ?, ?)`,
-      [institutionId, studentId,
-       JSON.stringify({ reference, amount: amountInNaira }), req.ip]
-    );
+    await auditService.log(req, {
+      action: 'payment_completed',
+      resourceType: 'student_payment',
+      institutionId,
+      userId: studentId,
+      userType: 'student',
+      details: { reference, amount: amountInNaira },
+    });
 
     res.json({
       success: true,
@@ -1609,9 +1991,14 @@ module.exports = {
   getById,
   create,
   processPayment,
-  verifyPaystack,
+  verifyGatewayPayment,
   getStats,
   cancelPayment,
+  getRefunds,
+  requestRefund,
+  approveRefund,
+  checkRefund,
+  rejectRefund,
   handleWebhook,
   // Student portal methods
   getStudentPaymentStatus,
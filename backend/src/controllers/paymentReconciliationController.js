@@ -0,0 +1,267 @@
+/**
+ * Payment Reconciliation Controller
+ *
+ * MedeePay Pattern: Direct SQL with institutionId from route params
+ * Reconciliation runs and their mismatch reports, and starting a run from
+ * the gateway's own listing or an uploaded settlement report (see
+ * paymentReconciliationService; yesterday is also reconciled daily)
+ */
+
+const { z } = require('zod');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const auditService = require('../services/auditService');
+const paymentGatewayService = require('../services/paymentGatewayService');
+const paymentReconciliationService = require('../services/paymentReconciliationService');
+
+// Longest period one run covers
+const MAX_PERIOD_DAYS = 31;
+
+const dateString = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Use YYYY-MM-DD');
+
+const period = (fields) =>
+  z
+    .object({ from: dateString, to: dateString, ...fields })
+    .refine((body) => body.from <= body.to, { message: 'From date must be on or before the to date', path: ['to'] })
+    .refine(
+      (body) => (new Date(body.to) - new Date(body.from)) / (24 * 60 * 60 * 1000) < MAX_PERIOD_DAYS,
+      { message: `A reconciliation covers at most ${MAX_PERIOD_DAYS} days`, path: ['to'] }
+    );
+
+const listFilters = {
+  status: z.enum(['running', 'completed', 'failed']).optional(),
+  source: z.enum(['scheduled', 'manual', 'upload']).optional(),
+  mismatches_only: z.enum(['true', 'false']).optional(),
+};
+
+const schemas = {
+  list: z.object({
+    query: z.object(listFilters),
+  }),
+  run: z.object({
+    body: period(),
+  }),
+  // Super admin, across institutions
+  globalList: z.object({
+    query: z.object({ ...listFilters, institution_id: z.coerce.number().int().positive().optional() }),
+  }),
+  globalRun: z.object({
+    body: period({ institution_id: z.coerce.number().int().positive('Institution is required') }),
+  }),
+};
+
+/**
+ * Audit a finished run and respond with it, or fail if it could not be completed
+ */
+async function respondWithRun(req, res, institutionId, run, details) {
+  await auditService.log(req, {
+    institutionId,
+    action: 'payment_reconciliation_run',
+    resourceType: 'payment_reconciliation_run',
+    resourceId: run.id,
+    details: { ...details, status: run.status, mismatches: run.mismatch_count, healed: run.healed_count },
+  });
+
+  if (run.status === 'failed') {
+    throw new ValidationError(`Reconciliation failed: ${run.error}`);
+  }
+
+  const found = [
+    run.mismatch_count > 0 && `${run.mismatch_count} mismatch(es)`,
+    run.healed_count > 0 && `${run.healed_count} missed payment(s) recorded`,
+  ].filter(Boolean);
+
+  res.status(201).json({
+    success: true,
+    message: found.length ? `Reconciliation found ${found.join(' and ')}` : 'Every payment matches the gateway',
+    data: run,
+  });
+}
+
+/**
+ * Reconciliation runs, newest first
+ * GET /:institutionId/payments/reconciliations
+ */
+const getRuns = async (req, res, next) => {
+  try {
+    const { institutionId } = req.params;
+    const { status, source, mismatches_only } = req.query;
+
+    const [runs, config] = await Promise.all([
+      paymentReconciliationService.getRuns({
+        institutionId,
+        status,
+        source,
+        withMismatches: mismatches_only === 'true',
+      }),
+      paymentGatewayService.getGatewayConfig(institutionId),
+    ]);
+
+    res.json({
+      success: true,
+      data: runs,
+      // Gateways that cannot list their transactions are reconciled by upload
+      gateway: config ? { name: config.gateway, can_list: paymentGatewayService.canList(config.gateway) } : null,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * A run and its mismatch report
+ * GET /:institutionId/payments/reconciliations/:runId
+ */
+const getRun = async (req, res, next) => {
+  try {
+    const { institutionId, runId } = req.params;
+
+    const run = await paymentReconciliationService.getRun(runId, institutionId);
+    if (!run) {
+      throw new NotFoundError('Reconciliation run not found');
+    }
+
+    res.json({ success: true, data: run });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reconcile a period against the gateway's transaction listing
+ */
+async function runFromGateway(req, res, institutionId) {
+  const { from, to } = req.body;
+
+  const config = await paymentGatewayService.getGatewayConfig(institutionId, { envFallback: true });
+  const problem = paymentGatewayService.configProblem(config);
+  if (problem) {
+    throw new ValidationError(problem);
+  }
+  if (!paymentGatewayService.canList(config.gateway)) {
+    throw new ValidationError(
+      `${paymentGatewayService.getGateway(config.gateway)?.label || config.gateway} cannot list its transactions - upload its settlement report instead`
+    );
+  }
+
+  const run = await paymentReconciliationService.reconcile(institutionId, {
+    from,
+    to,
+    source: 'manual',
+    triggeredBy: req.user.id,
+  });
+
+  await respondWithRun(req, res, institutionId, run, { from, to, source: 'manual' });
+}
+
+/**
+ * Reconcile a period against the gateway's transaction listing
+ * POST /:institutionId/payments/reconciliations
+ */
+const runReconciliation = async (req, res, next) => {
+  try {
+    await runFromGateway(req, res, req.params.institutionId);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reconcile a period against an uploaded settlement report (CSV or Excel)
+ * POST /:institutionId/payments/reconciliations/upload
+ */
+const uploadReconciliation = async (req, res, next) => {
+  try {
+    const { institutionId } = req.params;
+    const { from, to } = req.body;
+
+    if (!req.file) {
+      throw new ValidationError('No file uploaded');
+    }
+
+    let report;
+    try {
+      report = paymentReconciliationService.parseSettlementReport(req.file.buffer);
+    } catch (error) {
+      throw new ValidationError('Could not read the settlement report - upload a CSV or Excel file');
+    }
+    if (report.transactions.length === 0) {
+      throw new ValidationError('The settlement report has no settled transactions with a reference and amount');
+    }
+
+    const run = await paymentReconciliationService.reconcile(institutionId, {
+      from,
+      to,
+      source: 'upload',
+      transactions: report.transactions,
+      fileName: req.file.originalname,
+      triggeredBy: req.user.id,
+    });
+    run.skipped_rows = report.skipped;
+
+    await respondWithRun(req, res, institutionId, run, { from, to, source: 'upload', file: req.file.originalname });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reconciliation runs across institutions (super admin)
+ * GET /global/payments/reconciliations
+ */
+const getGlobalRuns = async (req, res, next) => {
+  try {
+    const { institution_id, status, source, mismatches_only } = req.query;
+
+    const runs = await paymentReconciliationService.getRuns({
+      institutionId: institution_id,
+      status,
+      source,
+      withMismatches: mismatches_only === 'true',
+      limit: 100,
+    });
+
+    res.json({ success: true, data: runs });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Any institution's run and its mismatch report (super admin)
+ * GET /global/payments/reconciliations/:runId
+ */
+const getGlobalRun = async (req, res, next) => {
+  try {
+    const run = await paymentReconciliationService.getRun(req.params.runId);
+    if (!run) {
+      throw new NotFoundError('Reconciliation run not found');
+    }
+
+    res.json({ success: true, data: run });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reconcile an institution's period against its gateway (super admin)
+ * POST /global/payments/reconciliations
+ */
+const runGlobalReconciliation = async (req, res, next) => {
+  try {
+    await runFromGateway(req, res, req.body.institution_id);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  schemas,
+  getRuns,
+  getRun,
+  runReconciliation,
+  uploadReconciliation,
+  getGlobalRuns,
+  getGlobalRun,
+  runGlobalReconciliation,
+};
@@ -9,6 +9,8 @@
 const { z } = require('zod');
 const { query, transaction } = require('../db/database');
 const { NotFoundError, ValidationError, AuthorizationError } = require('../utils/errors');
+const DocumentService = require('../services/documentService');
+const pdfService = require('../services/pdfService');
 
 // ============================================================================
 // VALIDATION SCHEMAS
@@ -941,6 +943,7 @@ function formatDate(date, format = 'long') {
 /**
  * Render document for current student
  * GET /portal/documents/:documentType
+ * GET /portal/documents/:documentType?format=pdf - Download as verifiable PDF
  */
 const renderDocument = async (req, res, next) => {
   try {
@@ -1172,6 +1175,34 @@ const renderDocument = async (req, res, next) => {
       }
     }
 
+    const pageMargins = typeof template.page_margins === 'string'
+      ? JSON.parse(template.page_margins)
+      : (template.page_margins || null);
+
+    // Verifiable PDF copy (QR code links to the public verification page)
+    if (req.query.format === 'pdf') {
+      const { buffer } = await DocumentService.generatePdf(institution, {
+        html: renderedContent,
+        header_html: renderedHeader,
+        footer_html: renderedFooter,
+        page_size: template.page_size,
+        page_orientation: template.page_orientation,
+        page_margins: pageMargins,
+        student,
+        session,
+        school,
+      }, {
+        studentId: student.id,
+        sessionId: session.id,
+        templateId: template.id,
+        templateVersion: template.version,
+        documentType: template.document_type,
+        title: template.name,
+        ipAddress: req.ip,
+      });
+      return pdfService.sendPdf(res, buffer, pdfService.buildFilename(student.registration_number, documentType));
+    }
+
     res.json({
       success: true,
       data: {
@@ -1181,7 +1212,7 @@ const renderDocument = async (req, res, next) => {
         css_styles: template.css_styles,
         page_size: template.page_size,
         page_orientation: template.page_orientation,
-        page_margins: template.page_margins ? JSON.parse(template.page_margins) : null,
+        page_margins: pageMargins,
         template: {
           id: template.id,
           name: template.name,
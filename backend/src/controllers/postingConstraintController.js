@@ -0,0 +1,333 @@
+/**
+ * Posting Constraint Controller - MedeePay Pattern
+ *
+ * Supervisors record their own availability and exclusions for a session
+ * (leave, conflicts of interest, who they must or must not be posted with);
+ * the head of TP can record them for anyone. The auto-posting engine and
+ * manual posting validation enforce them - see postingConstraintService.
+ */
+
+const { z } = require('zod');
+const { query } = require('../db/database');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../utils/errors');
+const auditService = require('../services/auditService');
+const { TYPES } = require('../services/postingConstraintService');
+
+const MANAGER_ROLES = ['super_admin', 'head_of_teaching_practice'];
+
+const canManageAll = (user) => MANAGER_ROLES.includes(user.role);
+
+// =============================================================================
+// VALIDATION SCHEMAS
+// =============================================================================
+
+const dateString = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Use YYYY-MM-DD');
+
+const schemas = {
+  create: z.object({
+    body: z.object({
+      session_id: z.number().int().positive().optional(),
+      supervisor_id: z.number().int().positive().optional(),
+      constraint_type: z.enum(Object.values(TYPES)),
+      visit_number: z.number().int().min(1).optional().nullable(),
+      start_date: dateString.optional().nullable(),
+      end_date: dateString.optional().nullable(),
+      institution_school_id: z.number().int().positive().optional().nullable(),
+      lga: z.string().trim().min(1).max(100).optional().nullable(),
+      route_id: z.number().int().positive().optional().nullable(),
+      other_supervisor_id: z.number().int().positive().optional().nullable(),
+      reason: z.string().trim().max(500).optional().nullable(),
+    }).superRefine((body, ctx) => {
+      const required = {
+        [TYPES.BLOCKED_SCHOOL]: 'institution_school_id',
+        [TYPES.BLOCKED_LGA]: 'lga',
+        [TYPES.BLOCKED_ROUTE]: 'route_id',
+        [TYPES.NEVER_PAIR]: 'other_supervisor_id',
+        [TYPES.MUST_PAIR]: 'other_supervisor_id',
+      }[body.constraint_type];
+
+      if (required && !body[required]) {
+        ctx.addIssue({ code: 'custom', path: [required], message: `${required} is required for ${body.constraint_type}` });
+      }
+      if (body.start_date && body.end_date && body.start_date > body.end_date) {
+        ctx.addIssue({ code: 'custom', path: ['end_date'], message: 'End date must be on or after the start date' });
+      }
+    }),
+  }),
+};
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+const getSession = async (institutionId, sessionId) => {
+  if (sessionId) {
+    const [session] = await query(
+      'SELECT id, name FROM academic_sessions WHERE id = ? AND institution_id = ?',
+      [parseInt(sessionId), parseInt(institutionId)]
+    );
+    return session;
+  }
+  const [session] = await query(
+    'SELECT id, name FROM academic_sessions WHERE institution_id = ? AND is_current = 1 LIMIT 1',
+    [parseInt(institutionId)]
+  );
+  return session;
+};
+
+const getStaffMember = async (institutionId, userId) => {
+  const [user] = await query(
+    `SELECT id, name FROM users
+     WHERE id = ? AND institution_id = ? AND role != 'student' AND status = 'active'`,
+    [parseInt(userId), parseInt(institutionId)]
+  );
+  return user;
+};
+
+// =============================================================================
+// CONTROLLER METHODS
+// =============================================================================
+
+/**
+ * List posting constraints
+ * GET /:institutionId/posting-constraints
+ * Query: session_id (defaults to the current session), supervisor_id.
+ * Supervisors only see their own.
+ */
+const getAll = async (req, res, next) => {
+  try {
+    const { institutionId } = req.params;
+    const session = await getSession(institutionId, req.query.session_id);
+    if (!session) {
+      throw new NotFoundError('Session not found');
+    }
+
+    let sql = `
+      SELECT c.*, u.name as supervisor_name, o.name as other_supervisor_name,
+             ms.name as school_name, r.name as route_name, cb.name as created_by_name
+      FROM supervisor_posting_constraints c
+      JOIN users u ON c.supervisor_id = u.id
+      LEFT JOIN users o ON c.other_supervisor_id = o.id
+      LEFT JOIN institution_schools isv ON c.institution_school_id = isv.id
+      LEFT JOIN master_schools ms ON isv.master_school_id = ms.id
+      LEFT JOIN routes r ON c.route_id = r.id
+      LEFT JOIN users cb ON c.created_by = cb.id
+      WHERE c.institution_id = ? AND c.session_id = ?`;
+    const params = [parseInt(institutionId), session.id];
+
+    const supervisorId = canManageAll(req.user) ? req.query.supervisor_id : req.user.id;
+    if (supervisorId) {
+      sql += ' AND c.supervisor_id = ?';
+      params.push(parseInt(supervisorId));
+    }
+
+    sql += ' ORDER BY u.name, c.constraint_type, c.created_at';
+
+    const constraints = await query(sql, params);
+
+    res.json({
+      success: true,
+      data: constraints,
+      session: { id: session.id, name: session.name },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Choices for the constraint form - staff, schools, LGAs, routes and the
+ * session's visit timeline - without the admin-only list endpoints
+ * GET /:institutionId/posting-constraints/options
+ */
+const getOptions = async (req, res, next) => {
+  try {
+    const { institutionId } = req.params;
+    const session = await getSession(institutionId, req.query.session_id);
+    if (!session) {
+      throw new NotFoundError('Session not found');
+    }
+
+    const supervisors = await query(
+      `SELECT id, name FROM users
+       WHERE institution_id = ? AND role IN ('supervisor', 'head_of_teaching_practice') AND status = 'active'
+       ORDER BY name`,
+      [parseInt(institutionId)]
+    );
+    const schools = await query(
+      `SELECT isv.id, ms.name, ms.lga FROM institution_schools isv
+       JOIN master_schools ms ON isv.master_school_id = ms.id
+       WHERE isv.institution_id = ? AND isv.status = 'active'
+       ORDER BY ms.name`,
+      [parseInt(institutionId)]
+    );
+    const routes = await query(
+      'SELECT id, name FROM routes WHERE institution_id = ? ORDER BY name',
+      [parseInt(institutionId)]
+    );
+    const timelines = await query(
+      `SELECT visit_number, title, start_date, end_date FROM supervision_visit_timelines
+       WHERE institution_id = ? AND session_id = ? ORDER BY visit_number`,
+      [parseInt(institutionId), session.id]
+    );
+
+    const lgas = [...new Set(schools.map((school) => school.lga).filter(Boolean))].sort();
+
+    res.json({
+      success: true,
+      data: { session, supervisors, schools, lgas, routes, timelines },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record a posting constraint
+ * POST /:institutionId/posting-constraints
+ */
+const create = async (req, res, next) => {
+  try {
+    const { institutionId } = req.params;
+    const validation = schemas.create.safeParse({ body: req.body });
+    if (!validation.success) {
+      throw new ValidationError('Validation failed', validation.error.flatten().fieldErrors);
+    }
+    const data = validation.data.body;
+
+    // Supervisors may only record their own constraints
+    const supervisorId = data.supervisor_id || req.user.id;
+    if (!canManageAll(req.user) && supervisorId !== req.user.id) {
+      throw new AuthorizationError('You can only record constraints for yourself');
+    }
+
+    const session = await getSession(institutionId, data.session_id);
+    if (!session) {
+      throw new NotFoundError('Session not found');
+    }
+
+    const supervisor = await getStaffMember(institutionId, supervisorId);
+    if (!supervisor) {
+      throw new NotFoundError('Supervisor not found');
+    }
+
+    if (data.other_supervisor_id) {
+      if (data.other_supervisor_id === supervisorId) {
+        throw new ValidationError('A supervisor cannot be paired with themselves');
+      }
+      if (!(await getStaffMember(institutionId, data.other_supervisor_id))) {
+        throw new NotFoundError('Other supervisor not found');
+      }
+    }
+
+    if (data.institution_school_id) {
+      const [school] = await query(
+        'SELECT id FROM institution_schools WHERE id = ? AND institution_id = ?',
+        [data.institution_school_id, parseInt(institutionId)]
+      );
+      if (!school) throw new NotFoundError('School not found');
+    }
+
+    if (data.route_id) {
+      const [route] = await query(
+        'SELECT id FROM routes WHERE id = ? AND institution_id = ?',
+        [data.route_id, parseInt(institutionId)]
+      );
+      if (!route) throw new NotFoundError('Route not found');
+    }
+
+    // Only keep the target the constraint type uses
+    const type = data.constraint_type;
+    const values = {
+      visit_number: type === TYPES.UNAVAILABLE ? data.visit_number || null : null,
+      start_date: type === TYPES.UNAVAILABLE ? data.start_date || null : null,
+      end_date: type === TYPES.UNAVAILABLE ? data.end_date || null : null,
+      institution_school_id: type === TYPES.BLOCKED_SCHOOL ? data.institution_school_id : null,
+      lga: type === TYPES.BLOCKED_LGA ? data.lga : null,
+      route_id: type === TYPES.BLOCKED_ROUTE ? data.route_id : null,
+      other_supervisor_id: [TYPES.NEVER_PAIR, TYPES.MUST_PAIR].includes(type) ? data.other_supervisor_id : null,
+    };
+
+    const result = await query(
+      `INSERT INTO supervisor_posting_constraints
+       (institution_id, session_id, supervisor_id, constraint_type, visit_number, start_date, end_date,
+        institution_school_id, lga, route_id, other_supervisor_id, reason, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        parseInt(institutionId), session.id, supervisorId, type,
+        values.visit_number, values.start_date, values.end_date,
+        values.institution_school_id, values.lga, values.route_id, values.other_supervisor_id,
+        data.reason || null, req.user.id,
+      ]
+    );
+
+    const [constraint] = await query(
+      'SELECT * FROM supervisor_posting_constraints WHERE id = ?',
+      [result.insertId]
+    );
+
+    await auditService.log(req, {
+      action: 'posting_constraint_created',
+      resourceType: 'supervisor_posting_constraint',
+      resourceId: result.insertId,
+      after: constraint,
+      details: { supervisor_name: supervisor.name, session_id: session.id },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Posting constraint recorded',
+      data: constraint,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a posting constraint
+ * DELETE /:institutionId/posting-constraints/:id
+ * The supervisor it applies to, whoever recorded it, or the head of TP.
+ */
+const remove = async (req, res, next) => {
+  try {
+    const { institutionId, id } = req.params;
+
+    const [constraint] = await query(
+      'SELECT * FROM supervisor_posting_constraints WHERE id = ? AND institution_id = ?',
+      [parseInt(id), parseInt(institutionId)]
+    );
+    if (!constraint) {
+      throw new NotFoundError('Posting constraint not found');
+    }
+
+    const isOwner = [constraint.supervisor_id, constraint.created_by].map(Number).includes(Number(req.user.id));
+    if (!canManageAll(req.user) && !isOwner) {
+      throw new AuthorizationError('You can only remove your own constraints');
+    }
+
+    await query('DELETE FROM supervisor_posting_constraints WHERE id = ?', [constraint.id]);
+
+    await auditService.log(req, {
+      action: 'posting_constraint_deleted',
+      resourceType: 'supervisor_posting_constraint',
+      resourceId: constraint.id,
+      before: constraint,
+    });
+
+    res.json({
+      success: true,
+      message: 'Posting constraint removed',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  schemas,
+  getAll,
+  getOptions,
+  create,
+  remove,
+};
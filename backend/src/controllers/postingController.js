@@ -9,6 +9,9 @@ const { z } = require('zod');
 const { query, transaction } = require('../db/database');
 const { NotFoundError, ValidationError, ConflictError } = require('../utils/errors');
 const { calculateAllowances } = require('../services/allowanceCalculator');
+const notificationService = require('../services/notificationService');
+const auditService = require('../services/auditService');
+const { loadConstraintSet } = require('../services/postingConstraintService');
 
 // ============================================================================
 // VALIDATION SCHEMAS
@@ -216,6 +219,20 @@ const getById = async (req, res, next) => {
   }
 };
 
+/**
+ * Posting-rule violations (see postingConstraintService) for posting a
+ * supervisor to a school for a visit, as messages for the caller.
+ */
+function constraintViolations(constraints, supervisorId, school, visitNumber) {
+  return constraints.check(supervisorId, {
+    school_id: school.id,
+    school_name: school.school_name,
+    lga: school.lga,
+    route_id: school.route_id,
+    visit_number: visitNumber,
+  }).map((violation) => violation.message);
+}
+
 /**
  * Create a posting
  * POST /:institutionId/postings
@@ -262,7 +279,7 @@ const create = async (req, res, next) => {
     // Verify school exists and get distance
     // Use institution_schools.distance_km as the authoritative source for distance
     const [school] = await query(
-      `SELECT isv.*, ms.name as school_name FROM institution_schools isv 
+      `SELECT isv.*, ms.name as school_name, ms.lga FROM institution_schools isv 
        JOIN master_schools ms ON isv.master_school_id = ms.id
        WHERE isv.id = ? AND isv.institution_id = ?`,
       [school_id, parseInt(institutionId)]
@@ -272,6 +289,12 @@ const create = async (req, res, next) => {
       throw new NotFoundError('School not found');
     }
 
+    const constraints = await loadConstraintSet(institutionId, session.id);
+    const violations = constraintViolations(constraints, supervisor_id, school, visit_number);
+    if (violations.length > 0) {
+      throw new ValidationError(violations[0], { constraints: violations });
+    }
+
     // Check for duplicate posting
     const [existing] = await query(
       `SELECT id FROM supervisor_postings 
@@ -307,6 +330,10 @@ const create = async (req, res, next) => {
       [result.insertId]
     );
 
+    await notificationService.notifyPostings(parseInt(institutionId), session.name, [
+      { id: result.insertId, supervisor_id, school_name: school.school_name },
+    ]);
+
     res.status(201).json({
       success: true,
       message: 'Posting created successfully',
@@ -956,23 +983,18 @@ const clearCurrentSessionPostings = async (req, res, next) => {
 
     // Audit log - only when something actually changed
     if (result.affectedCount > 0) {
-      await query(
-        `INSERT INTO audit_logs (institution_id, user_id, user_type, action, resource_type, resource_id, details, ip_address)
-         VALUES (?, ?, 'staff', ?, 'supervisor_posting', NULL, ?, ?)`,
-        [
-          instId,
-          req.user.id,
-          mode === 'hard' ? 'postings_session_hard_deleted' : 'postings_session_cancelled',
-          JSON.stringify({
-            session_id: session.id,
-            session_name: session.name,
-            mode,
-            affected_count: result.affectedCount,
-            location_logs_deleted: result.locationLogsDeleted,
-          }),
-          req.ip,
-        ]
-      );
+      await auditService.log(req, {
+        action: mode === 'hard' ? 'postings_session_hard_deleted' : 'postings_session_cancelled',
+        resourceType: 'supervisor_posting',
+        institutionId: instId,
+        details: {
+          session_id: session.id,
+          session_name: session.name,
+          mode,
+          affected_count: result.affectedCount,
+          location_logs_deleted: result.locationLogsDeleted,
+        },
+      });
     }
 
     const verb = mode === 'hard' ? 'Permanently deleted' : 'Cancelled';
@@ -2312,6 +2334,20 @@ const validatePosting = async (req, res, next) => {
       errors.push(`Group ${group_number} does not exist for this school`);
     }
 
+    // Availability, blocked schools/LGAs/routes and pairing rules
+    const constraints = await loadConstraintSet(institutionId, session_id);
+    if (!constraints.isEmpty) {
+      const [school] = await query(
+        `SELECT isv.id, isv.route_id, ms.name as school_name, ms.lga FROM institution_schools isv
+         JOIN master_schools ms ON isv.master_school_id = ms.id
+         WHERE isv.id = ? AND isv.institution_id = ?`,
+        [parseInt(school_id), parseInt(institutionId)]
+      );
+      if (school) {
+        errors.push(...constraintViolations(constraints, supervisor_id, school, parseInt(visit_number)));
+      }
+    }
+
     res.json({
       success: true,
       data: {
@@ -2532,6 +2568,9 @@ const createMultiPostings = async (req, res, next) => {
       deanAllocation = allocation;
     }
 
+    // Placed into as postings succeed, so pairing rules see earlier rows of this batch
+    const constraints = await loadConstraintSet(institutionId, session_id);
+
     const successful = [];
     const failed = [];
     const dependentPostings = []; // Track auto-created secondary postings
@@ -2574,7 +2613,7 @@ const createMultiPostings = async (req, res, next) => {
 
         // Get school - use institution_schools.distance_km as authoritative source for allowance calculation
         const [school] = await query(
-          `SELECT isv.*, ms.name as school_name FROM institution_schools isv
+          `SELECT isv.*, ms.name as school_name, ms.lga FROM institution_schools isv
            JOIN master_schools ms ON isv.master_school_id = ms.id
            WHERE isv.id = ? AND isv.institution_id = ?`,
           [parseInt(school_id), parseInt(institutionId)]
@@ -2585,6 +2624,12 @@ const createMultiPostings = async (req, res, next) => {
           continue;
         }
 
+        const violations = constraintViolations(constraints, supervisor_id, school, parseInt(visit_number || 1));
+        if (violations.length > 0) {
+          failed.push({ ...posting, error: violations.join('; ') });
+          continue;
+        }
+
         // Check for duplicate - same school + group + visit is a duplicate
         // Each group can have its own supervisor for each visit
         const existingPosting = await query(
@@ -2635,6 +2680,7 @@ const createMultiPostings = async (req, res, next) => {
         );
 
         const primaryPostingId = result.insertId;
+        constraints.place(supervisor_id, { school_id: school.id, visit_number: parseInt(visit_number || 1) });
 
         successful.push({
           ...posting,
@@ -2736,6 +2782,8 @@ const createMultiPostings = async (req, res, next) => {
       }
     }
 
+    await notificationService.notifyPostings(parseInt(institutionId), session.name, successful);
+
     // Update dean's used_postings if this was a dean posting
     if (deanAllocation && successful.length > 0) {
       await query(
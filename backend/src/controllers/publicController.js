@@ -8,6 +8,7 @@
 const { z } = require('zod');
 const { query } = require('../db/database');
 const { NotFoundError, ValidationError } = require('../utils/errors');
+const letterVerificationService = require('../services/letterVerificationService');
 
 // ============================================================================
 // VALIDATION SCHEMAS
@@ -391,8 +392,8 @@ const submitPrincipalUpdate = async (req, res, next) => {
        (institution_id, session_id, institution_school_id, 
         proposed_principal_name, proposed_principal_phone,
         previous_principal_name, previous_principal_phone,
-        contributor_name, contributor_phone, status, created_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', NOW())`,
+        contributor_name, contributor_phone, submitted_by_student_id, status, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', NOW())`,
       [
         targetInstitutionId,
         session.id,
@@ -403,6 +404,7 @@ const submitPrincipalUpdate = async (req, res, next) => {
         school.principal_phone || null,
         data.contributor_name || null,
         data.contributor_phone || null,
+        req.user?.role === 'student' ? req.user.id : null,
       ]
     );
 
@@ -530,8 +532,8 @@ const submitLocationUpdate = async (req, res, next) => {
     const result = await query(
       `INSERT INTO school_location_update_requests 
        (institution_id, session_id, institution_school_id, proposed_latitude, proposed_longitude,
-        contributor_name, contributor_phone, status, created_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', NOW())`,
+        contributor_name, contributor_phone, submitted_by_student_id, status, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', NOW())`,
       [
         targetInstitutionId,
         session.id,
@@ -540,6 +542,7 @@ const submitLocationUpdate = async (req, res, next) => {
         data.proposed_longitude,
         data.contributor_name || null,
         data.contributor_phone || null,
+        req.user?.role === 'student' ? req.user.id : null,
       ]
     );
 
@@ -646,6 +649,26 @@ const getCurrentSessionPublic = async (req, res, next) => {
   }
 };
 
+/**
+ * Verify a document from its QR code
+ * GET /public/verify/:token
+ *
+ * Returns status 'valid', 'revoked', 'superseded' or 'invalid'.
+ * Invalid tokens get no further detail.
+ */
+const verifyDocument = async (req, res, next) => {
+  try {
+    const result = await letterVerificationService.verify(req.params.token);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
@@ -666,4 +689,5 @@ module.exports = {
   healthCheck,
   getFeatureToggles,
   getCurrentSessionPublic,
+  verifyDocument,
 };
@@ -8,6 +8,7 @@
 const { z } = require('zod');
 const { query, transaction } = require('../db/database');
 const { NotFoundError, ValidationError, ConflictError } = require('../utils/errors');
+const auditService = require('../services/auditService');
 
 // Validation schemas
 const schemas = {
@@ -217,7 +218,14 @@ const create = async (req, res, next) => {
     );
 
     const [rank] = await query('SELECT * FROM ranks WHERE id = ?', [result.insertId]);
-    
+
+    await auditService.log(req, {
+      action: 'rank_created',
+      resourceType: 'rank',
+      resourceId: result.insertId,
+      after: rank,
+    });
+
     // Parse other_allowances
     if (rank.other_allowances) {
       rank.other_allowances = JSON.parse(rank.other_allowances);
@@ -244,7 +252,7 @@ const update = async (req, res, next) => {
 
     // Check if rank exists
     const existing = await query(
-      'SELECT id FROM ranks WHERE id = ? AND institution_id = ?',
+      'SELECT * FROM ranks WHERE id = ? AND institution_id = ?',
       [parseInt(id), parseInt(institutionId)]
     );
 
@@ -304,7 +312,15 @@ const update = async (req, res, next) => {
     );
 
     const [rank] = await query('SELECT * FROM ranks WHERE id = ?', [parseInt(id)]);
-    
+
+    await auditService.log(req, {
+      action: 'rank_updated',
+      resourceType: 'rank',
+      resourceId: parseInt(id),
+      before: existing[0],
+      after: rank,
+    });
+
     // Parse other_allowances
     if (rank.other_allowances) {
       rank.other_allowances = JSON.parse(rank.other_allowances);
@@ -330,7 +346,7 @@ const remove = async (req, res, next) => {
 
     // Check if rank exists
     const existing = await query(
-      'SELECT id, name FROM ranks WHERE id = ? AND institution_id = ?',
+      'SELECT * FROM ranks WHERE id = ? AND institution_id = ?',
       [parseInt(id), parseInt(institutionId)]
     );
 
@@ -353,6 +369,13 @@ const remove = async (req, res, next) => {
       [parseInt(id), parseInt(institutionId)]
     );
 
+    await auditService.log(req, {
+      action: 'rank_deleted',
+      resourceType: 'rank',
+      resourceId: parseInt(id),
+      before: existing[0],
+    });
+
     res.json({
       success: true,
       message: `Rank "${existing[0].name}" deleted successfully`,
@@ -11,6 +11,10 @@ const fs = require('fs');
 const XLSX = require('xlsx');
 const { query, transaction } = require('../db/database');
 const { NotFoundError, ValidationError, ConflictError } = require('../utils/errors');
+const pdfService = require('../services/pdfService');
+const resultBroadsheetService = require('../services/resultBroadsheetService');
+const auditService = require('../services/auditService');
+const offlineSyncService = require('../services/offlineSyncService');
 
 // Validation schemas
 const schemas = {
@@ -54,6 +58,12 @@ const schemas = {
       })).min(1, 'At least one result is required'),
     }),
   }),
+
+  offlineSync: z.object({
+    body: z.object({
+      records: offlineSyncService.batchSchema('scores'),
+    }),
+  }),
 };
 
 /**
@@ -296,12 +306,12 @@ const create = async (req, res, next) => {
     );
 
     // Audit log
-    await query(
-      `INSERT INTO audit_logs (institution_id, user_id, user_type, action, resource_type, resource_id, details, ip_address)
-       VALUES (?, ?, 'staff', 'result_created', 'student_result', ?, ?, ?)`,
-      [parseInt(institutionId), req.user.id, result.insertId, 
-       JSON.stringify({ student_name: students[0].full_name, total_score }), req.ip]
-    );
+    await auditService.log(req, {
+      action: 'result_created',
+      resourceType: 'student_result',
+      resourceId: result.insertId,
+      details: { student_name: students[0].full_name, total_score },
+    });
 
     res.status(201).json({
       success: true,
@@ -1362,173 +1372,188 @@ const getStudentsForScoring = async (req, res, next) => {
 };
 
 /**
- * Submit bulk results (supervisor endpoint)
- * POST /:institutionId/results/bulk-submit
+ * Save a supervisor's scores for the current session, creating or updating
+ * one result per student visit. Used by bulk submit and by offline sync.
+ * @param {Object} req - Request (institutionId param, authenticated user)
+ * @param {Array<Object>} results - { student_id, school_id, group_number, visit_number,
+ *   scoring_type, total_score, score_breakdown }
+ * @returns {Promise<{ successful: Array, failed: Array }>}
  */
-const submitBulkResults = async (req, res, next) => {
-  try {
-    const { institutionId } = req.params;
-    const { results } = req.body;
-    const supervisorId = req.user.id;
-    const userRole = req.user.role;
-
-    if (!Array.isArray(results) || results.length === 0) {
-      throw new ValidationError('Results array is required and cannot be empty');
-    }
-
-    // ADMIN BYPASS: head_of_teaching_practice and super_admin can manage results without location restrictions
-    const isAdmin = ['super_admin', 'head_of_teaching_practice'].includes(userRole);
+async function saveSupervisorResults(req, results) {
+  const { institutionId } = req.params;
+  const supervisorId = req.user.id;
+  const userRole = req.user.role;
+
+  // ADMIN BYPASS: head_of_teaching_practice and super_admin can manage results without location restrictions
+  const isAdmin = ['super_admin', 'head_of_teaching_practice'].includes(userRole);
+
+  // Check if location tracking is enabled for this institution
+  const [featureToggle] = await query(
+    `SELECT ift.is_enabled 
+     FROM feature_toggles ft
+     LEFT JOIN institution_feature_toggles ift 
+       ON ft.id = ift.feature_toggle_id AND ift.institution_id = ?
+     WHERE ft.feature_key = 'supervisor_location_tracking'`,
+    [parseInt(institutionId)]
+  );
+
+  const locationTrackingEnabled = featureToggle?.is_enabled === 1;
+
+  // Only enforce location verification for supervisors, not admins
+  if (locationTrackingEnabled && !isAdmin) {
+    // Get unique postings from results
+    const uniquePostings = [
+      ...new Set(results.map((r) => `${r.school_id}-${r.group_number}-${r.visit_number}`)),
+    ];
 
-    // Check if location tracking is enabled for this institution
-    const [featureToggle] = await query(
-      `SELECT ift.is_enabled 
-       FROM feature_toggles ft
-       LEFT JOIN institution_feature_toggles ift 
-         ON ft.id = ift.feature_toggle_id AND ift.institution_id = ?
-       WHERE ft.feature_key = 'supervisor_location_tracking'`,
-      [parseInt(institutionId)]
-    );
+    for (const postingKey of uniquePostings) {
+      const [schoolId, groupNumber, visitNumber] = postingKey.split('-').map(Number);
+
+      // Check if supervisor has verified location for this posting
+      const [posting] = await query(
+        `SELECT sp.id, sp.location_verified, ms.name as school_name
+         FROM supervisor_postings sp
+         JOIN institution_schools isv ON sp.institution_school_id = isv.id
+         JOIN master_schools ms ON isv.master_school_id = ms.id
+         WHERE sp.institution_id = ?
+           AND sp.supervisor_id = ?
+           AND sp.institution_school_id = ?
+           AND sp.group_number = ?
+           AND sp.visit_number = ?
+           AND sp.status = 'active'`,
+        [parseInt(institutionId), supervisorId, schoolId, groupNumber, visitNumber]
+      );
 
-    const locationTrackingEnabled = featureToggle?.is_enabled === 1;
-
-    // Only enforce location verification for supervisors, not admins
-    if (locationTrackingEnabled && !isAdmin) {
-      // Get unique postings from results
-      const uniquePostings = [
-        ...new Set(results.map((r) => `${r.school_id}-${r.group_number}-${r.visit_number}`)),
-      ];
-
-      for (const postingKey of uniquePostings) {
-        const [schoolId, groupNumber, visitNumber] = postingKey.split('-').map(Number);
-
-        // Check if supervisor has verified location for this posting
-        const [posting] = await query(
-          `SELECT sp.id, sp.location_verified, ms.name as school_name
-           FROM supervisor_postings sp
-           JOIN institution_schools isv ON sp.institution_school_id = isv.id
-           JOIN master_schools ms ON isv.master_school_id = ms.id
-           WHERE sp.institution_id = ?
-             AND sp.supervisor_id = ?
-             AND sp.institution_school_id = ?
-             AND sp.group_number = ?
-             AND sp.visit_number = ?
-             AND sp.status = 'active'`,
-          [parseInt(institutionId), supervisorId, schoolId, groupNumber, visitNumber]
+      if (posting && !posting.location_verified) {
+        throw new ValidationError(
+          `You must verify your location at "${posting.school_name}" (Group ${groupNumber}, Visit ${visitNumber}) before uploading results. Please record your location first.`
         );
-
-        if (posting && !posting.location_verified) {
-          throw new ValidationError(
-            `You must verify your location at "${posting.school_name}" (Group ${groupNumber}, Visit ${visitNumber}) before uploading results. Please record your location first.`
-          );
-        }
       }
     }
+  }
 
-    // Get current session
-    const sessions = await query(
-      `SELECT * FROM academic_sessions 
-       WHERE institution_id = ? AND is_current = 1 AND status = 'active' 
-       LIMIT 1`,
-      [parseInt(institutionId)]
-    );
+  // Get current session
+  const sessions = await query(
+    `SELECT * FROM academic_sessions 
+     WHERE institution_id = ? AND is_current = 1 AND status = 'active' 
+     LIMIT 1`,
+    [parseInt(institutionId)]
+  );
 
-    if (!sessions.length) {
-      throw new NotFoundError('No active session found');
-    }
+  if (!sessions.length) {
+    throw new NotFoundError('No active session found');
+  }
 
-    const session = sessions[0];
+  const session = sessions[0];
 
-    if (session.status === 'locked') {
-      throw new ValidationError('Session is locked - no result submissions allowed');
-    }
+  if (session.status === 'locked') {
+    throw new ValidationError('Session is locked - no result submissions allowed');
+  }
 
-    const successful = [];
-    const failed = [];
+  const successful = [];
+  const failed = [];
+
+  for (const result of results) {
+    try {
+      const {
+        student_id,
+        school_id,
+        group_number,
+        visit_number,
+        scoring_type = 'basic',
+        total_score,
+        score_breakdown,
+      } = result;
+
+      // Validate required fields
+      if (!student_id || !school_id || !group_number || !visit_number || total_score === undefined) {
+        throw new Error('Missing required fields');
+      }
 
-    for (const result of results) {
-      try {
-        const {
-          student_id,
-          school_id,
-          group_number,
-          visit_number,
-          scoring_type = 'basic',
-          total_score,
-          score_breakdown,
-        } = result;
-
-        // Validate required fields
-        if (!student_id || !school_id || !group_number || !visit_number || total_score === undefined) {
-          throw new Error('Missing required fields');
-        }
+      // Calculate total score for advanced scoring
+      let finalTotalScore = total_score;
+      if (scoring_type === 'advanced' && score_breakdown) {
+        finalTotalScore = Object.values(score_breakdown).reduce((sum, score) => sum + (parseFloat(score) || 0), 0);
+      }
 
-        // Calculate total score for advanced scoring
-        let finalTotalScore = total_score;
-        if (scoring_type === 'advanced' && score_breakdown) {
-          finalTotalScore = Object.values(score_breakdown).reduce((sum, score) => sum + (parseFloat(score) || 0), 0);
-        }
+      // Validate score range
+      if (finalTotalScore < 0 || finalTotalScore > 100) {
+        throw new Error('Total score must be between 0 and 100');
+      }
 
-        // Validate score range
-        if (finalTotalScore < 0 || finalTotalScore > 100) {
-          throw new Error('Total score must be between 0 and 100');
-        }
+      // Check if result already exists for this student/visit
+      const existing = await query(
+        `SELECT id FROM student_results 
+         WHERE student_id = ? AND session_id = ? AND visit_number = ?`,
+        [student_id, session.id, visit_number]
+      );
 
-        // Check if result already exists for this student/visit
-        const existing = await query(
-          `SELECT id FROM student_results 
-           WHERE student_id = ? AND session_id = ? AND visit_number = ?`,
-          [student_id, session.id, visit_number]
+      if (existing.length > 0) {
+        // Update existing
+        await query(
+          `UPDATE student_results SET 
+            supervisor_id = ?, 
+            scoring_type = ?, 
+            total_score = ?, 
+            score_breakdown = ?,
+            updated_at = NOW()
+           WHERE id = ?`,
+          [
+            supervisorId,
+            scoring_type,
+            finalTotalScore,
+            score_breakdown ? JSON.stringify(score_breakdown) : null,
+            existing[0].id,
+          ]
         );
-
-        if (existing.length > 0) {
-          // Update existing
-          await query(
-            `UPDATE student_results SET 
-              supervisor_id = ?, 
-              scoring_type = ?, 
-              total_score = ?, 
-              score_breakdown = ?,
-              updated_at = NOW()
-             WHERE id = ?`,
-            [
-              supervisorId,
-              scoring_type,
-              finalTotalScore,
-              score_breakdown ? JSON.stringify(score_breakdown) : null,
-              existing[0].id,
-            ]
-          );
-          successful.push({ student_id, result_id: existing[0].id, action: 'updated' });
-        } else {
-          // Insert new
-          const insertResult = await query(
-            `INSERT INTO student_results 
-              (institution_id, session_id, student_id, supervisor_id, institution_school_id, 
-               group_number, visit_number, scoring_type, total_score, score_breakdown)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [
-              parseInt(institutionId),
-              session.id,
-              student_id,
-              supervisorId,
-              school_id,
-              group_number,
-              visit_number,
-              scoring_type,
-              finalTotalScore,
-              score_breakdown ? JSON.stringify(score_breakdown) : null,
-            ]
-          );
-          successful.push({ student_id, result_id: insertResult.insertId, action: 'created' });
-        }
-      } catch (error) {
-        failed.push({
-          student_id: result.student_id,
-          error: error.message,
-        });
+        successful.push({ student_id, result_id: existing[0].id, action: 'updated' });
+      } else {
+        // Insert new
+        const insertResult = await query(
+          `INSERT INTO student_results 
+            (institution_id, session_id, student_id, supervisor_id, institution_school_id, 
+             group_number, visit_number, scoring_type, total_score, score_breakdown)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            parseInt(institutionId),
+            session.id,
+            student_id,
+            supervisorId,
+            school_id,
+            group_number,
+            visit_number,
+            scoring_type,
+            finalTotalScore,
+            score_breakdown ? JSON.stringify(score_breakdown) : null,
+          ]
+        );
+        successful.push({ student_id, result_id: insertResult.insertId, action: 'created' });
       }
+    } catch (error) {
+      failed.push({
+        student_id: result.student_id,
+        error: error.message,
+      });
+    }
+  }
+
+  return { successful, failed };
+}
+
+/**
+ * Submit bulk results (supervisor endpoint)
+ * POST /:institutionId/results/bulk-submit
+ */
+const submitBulkResults = async (req, res, next) => {
+  try {
+    const { results } = req.body;
+
+    if (!Array.isArray(results) || results.length === 0) {
+      throw new ValidationError('Results array is required and cannot be empty');
     }
 
+    const { successful, failed } = await saveSupervisorResults(req, results);
+
     res.json({
       success: true,
       message: `Processed ${successful.length} results, ${failed.length} failed`,
@@ -1539,38 +1564,113 @@ const submitBulkResults = async (req, res, next) => {
   }
 };
 
+/**
+ * Sync scores captured offline. Each record is a signed envelope (see
+ * offlineSyncService) whose payload is { results } as for bulk submit.
+ * POST /:institutionId/results/offline-sync
+ */
+const syncOfflineResults = async (req, res, next) => {
+  try {
+    const data = await offlineSyncService.processBatch({
+      institutionId: parseInt(req.params.institutionId),
+      userId: req.user.id,
+      records: req.body.records,
+      handle: async (record) => {
+        const { results } = record.payload;
+        if (!Array.isArray(results) || results.length === 0) {
+          return { status: 'rejected', message: 'Record has no results' };
+        }
+
+        const { successful, failed } = await saveSupervisorResults(req, results);
+        return {
+          status: successful.length > 0 ? 'accepted' : 'rejected',
+          message: `Saved ${successful.length} results, ${failed.length} failed`,
+          data: { successful, failed },
+        };
+      },
+    });
+
+    const accepted = data.filter((r) => r.status === 'accepted').length;
+    res.json({
+      success: true,
+      message: `Synced ${accepted} of ${data.length} record(s)`,
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Validate the export query and build its optional filters, so the Excel and
+ * PDF exports of the same view agree. Conditions use the st (students) alias
+ * and the given column for the student's school.
+ * @param {Object} exportQuery - req.query
+ * @param {string} schoolColumn
+ * @returns {{ sql: string, params: Array, groupBy: string }}
+ */
+function buildExportFilters(exportQuery, schoolColumn) {
+  const { session_id, school_id, program_id, search, group_by = 'program' } = exportQuery;
+
+  if (!session_id) {
+    throw new ValidationError('Session ID is required');
+  }
+  if (!resultBroadsheetService.GROUP_BY_OPTIONS[group_by]) {
+    throw new ValidationError('group_by must be one of: program, department, school');
+  }
+
+  let sql = '';
+  const params = [];
+  if (school_id && school_id !== 'all') {
+    sql += ` AND ${schoolColumn} = ?`;
+    params.push(parseInt(school_id));
+  }
+  if (program_id && program_id !== 'all') {
+    sql += ' AND st.program_id = ?';
+    params.push(parseInt(program_id));
+  }
+  if (search) {
+    sql += ' AND (st.full_name LIKE ? OR st.registration_number LIKE ?)';
+    params.push(`%${search}%`, `%${search}%`);
+  }
+
+  return { sql, params, groupBy: group_by };
+}
+
 /**
  * Export results as Excel
  * GET /:institutionId/results/export/excel
+ *
+ * Query: as for the PDF export; rows are ordered by the group_by column
  */
 const exportExcel = async (req, res, next) => {
   try {
     const { institutionId } = req.params;
     const { session_id } = req.query;
-
-    if (!session_id) {
-      throw new ValidationError('Session ID is required');
-    }
+    const filter = buildExportFilters(req.query, 'sr.institution_school_id');
+    const { field } = resultBroadsheetService.GROUP_BY_OPTIONS[filter.groupBy];
 
     const results = await query(
       `SELECT 
-         s.registration_number,
-         s.full_name as student_name,
+         st.registration_number,
+         st.full_name as student_name,
          p.name as program_name,
+         d.name as department_name,
          ms.name as school_name,
          sr.visit_number,
          sr.total_score,
          sr.scoring_type,
          u.name as supervisor_name
        FROM student_results sr
-       JOIN students s ON sr.student_id = s.id
-       LEFT JOIN programs p ON s.program_id = p.id
+       JOIN students st ON sr.student_id = st.id
+       LEFT JOIN programs p ON st.program_id = p.id
+       LEFT JOIN departments d ON p.department_id = d.id
        LEFT JOIN institution_schools isv ON sr.institution_school_id = isv.id
        LEFT JOIN master_schools ms ON isv.master_school_id = ms.id
        LEFT JOIN users u ON sr.supervisor_id = u.id
-       WHERE sr.institution_id = ? AND sr.session_id = ?
-       ORDER BY s.full_name, sr.visit_number`,
-      [parseInt(institutionId), parseInt(session_id)]
+       WHERE sr.institution_id = ? AND sr.session_id = ?${filter.sql}
+       ORDER BY ${field}, st.full_name, sr.visit_number`,
+      [parseInt(institutionId), parseInt(session_id), ...filter.params]
     );
 
     // Create workbook
@@ -1589,46 +1689,94 @@ const exportExcel = async (req, res, next) => {
 };
 
 /**
- * Export results as PDF
+ * Export results broadsheet as PDF
  * GET /:institutionId/results/export/pdf
+ *
+ * Query: session_id (required), school_id, program_id, search,
+ *        group_by = program | department | school (default program)
  */
 const exportPDF = async (req, res, next) => {
   try {
     const { institutionId } = req.params;
-    const { session_id } = req.query;
+    const { session_id, school_id, program_id, search } = req.query;
+    const filter = buildExportFilters(req.query, 'sa.institution_school_id');
 
-    if (!session_id) {
-      throw new ValidationError('Session ID is required');
+    const [session] = await query(
+      `SELECT id, name, code, scoring_type, max_supervision_visits,
+              coordinator_name, coordinator_phone, coordinator_email
+       FROM academic_sessions WHERE id = ? AND institution_id = ?`,
+      [parseInt(session_id), parseInt(institutionId)]
+    );
+    if (!session) {
+      throw new NotFoundError('Session not found');
     }
 
-    // For now, return Excel format as PDF generation requires additional libraries
-    // In production, use a library like pdfkit or puppeteer
-    const results = await query(
-      `SELECT 
-         s.registration_number,
-         s.full_name as student_name,
-         p.name as program_name,
-         ms.name as school_name,
-         sr.visit_number,
-         sr.total_score,
-         sr.scoring_type
-       FROM student_results sr
-       JOIN students s ON sr.student_id = s.id
-       LEFT JOIN programs p ON s.program_id = p.id
-       LEFT JOIN institution_schools isv ON sr.institution_school_id = isv.id
-       LEFT JOIN master_schools ms ON isv.master_school_id = ms.id
-       WHERE sr.institution_id = ? AND sr.session_id = ?
-       ORDER BY s.full_name, sr.visit_number`,
-      [parseInt(institutionId), parseInt(session_id)]
+    const [institution] = await query(
+      'SELECT id, name, code, logo_url, address, state, email, phone, primary_color, tp_unit_name FROM institutions WHERE id = ?',
+      [parseInt(institutionId)]
     );
 
-    // Return as JSON with CSV-like format for now
-    // TODO: Implement proper PDF generation
-    res.json({
-      success: true,
-      message: 'PDF export not yet implemented. Use Excel export.',
-      data: results,
+    // Every approved acceptance in the session is on the broadsheet, scored or not
+    const sql = `
+      SELECT DISTINCT
+        st.id as student_id, st.registration_number, st.full_name as student_name,
+        p.name as program_name, d.name as department_name, ms.name as school_name
+      FROM students st
+      INNER JOIN student_acceptances sa ON st.id = sa.student_id AND sa.status = 'approved'
+      LEFT JOIN institution_schools isv ON sa.institution_school_id = isv.id
+      LEFT JOIN master_schools ms ON isv.master_school_id = ms.id
+      LEFT JOIN programs p ON st.program_id = p.id
+      LEFT JOIN departments d ON p.department_id = d.id
+      WHERE st.institution_id = ? AND sa.session_id = ?${filter.sql}
+      ORDER BY st.full_name
+    `;
+    const filters = search ? [`Search: "${search}"`] : [];
+
+    const students = await query(sql, [parseInt(institutionId), parseInt(session_id), ...filter.params]);
+
+    const results = students.length > 0
+      ? await query(
+        `SELECT student_id, visit_number, total_score, score_breakdown
+         FROM student_results
+         WHERE institution_id = ? AND session_id = ?`,
+        [parseInt(institutionId), parseInt(session_id)]
+      )
+      : [];
+
+    const criteria = session.scoring_type === 'advanced'
+      ? await query(
+        `SELECT id, name, label, max_score FROM scoring_criteria
+         WHERE institution_id = ? AND is_active = 1
+         ORDER BY order_index, name`,
+        [parseInt(institutionId)]
+      )
+      : [];
+
+    // Name single-school / single-program filters in the subtitle
+    if (school_id && school_id !== 'all' && students[0]?.school_name) {
+      filters.push(`School: ${students[0].school_name}`);
+    }
+    if (program_id && program_id !== 'all' && students[0]?.program_name) {
+      filters.push(`Program: ${students[0].program_name}`);
+    }
+
+    const broadsheet = resultBroadsheetService.buildBroadsheet({
+      students,
+      results,
+      criteria,
+      scoringType: session.scoring_type,
+      maxVisits: session.max_supervision_visits || 3,
+      groupBy: filter.groupBy,
+    });
+
+    const buffer = await resultBroadsheetService.renderBroadsheetPdf({
+      institution,
+      session,
+      broadsheet,
+      filters,
     });
+
+    pdfService.sendPdf(res, buffer, pdfService.buildFilename('results_broadsheet', session.code || session.name, filter.groupBy));
   } catch (error) {
     next(error);
   }
@@ -1658,4 +1806,5 @@ module.exports = {
   getAssignedGroups,
   getStudentsForScoring,
   submitBulkResults,
+  syncOfflineResults,
 };
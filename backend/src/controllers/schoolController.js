@@ -15,6 +15,7 @@ const XLSX = require('xlsx');
 const { query, transaction } = require('../db/database');
 const { NotFoundError, ValidationError, ConflictError } = require('../utils/errors');
 const { normalizeLocationValue, normalizeOptionalLocationValue } = require('../utils/locationNormalizer');
+const distanceService = require('../services/distanceService');
 
 // Tables carrying a plain institution_school_id FK with no unique constraint on
 // that column - safe to repoint with a single bulk UPDATE during a merge.
@@ -176,7 +177,8 @@ const schemas = {
     body: z.object({
       // Institution-specific fields ONLY
       location_category: z.enum(['inside', 'outside']).optional(),
-      distance_km: z.number().min(0).optional(),
+      // null switches the school back to a distance computed from coordinates
+      distance_km: z.number().min(0).optional().nullable(),
       student_capacity: z.number().int().min(0).optional(),
       route_id: z.number().int().positive().optional().nullable(),
       geofence_radius_m: z.number().int().min(50).max(5000).optional(),
@@ -249,7 +251,7 @@ const getAll = async (req, res, next) => {
         ms.lga, 
         ms.ward, 
         ms.address,
-        isv.distance_km, 
+        isv.distance_km, isv.distance_source,
         isv.student_capacity, 
         ms.principal_name, 
         ms.principal_phone,
@@ -365,7 +367,7 @@ const getById = async (req, res, next) => {
         ms.name, ms.official_code as code,
         ms.school_type, ms.category, isv.location_category, 
         ms.state, ms.lga, ms.ward, ms.address,
-        isv.distance_km, isv.student_capacity, 
+        isv.distance_km, isv.distance_source, isv.student_capacity, 
         ms.principal_name, ms.principal_phone,
         isv.geofence_radius_m, isv.status, isv.notes, 
         isv.created_at, isv.updated_at,
@@ -484,14 +486,15 @@ const create = async (req, res, next) => {
       const [linkResult] = await conn.execute(
         `INSERT INTO institution_schools (
           institution_id, master_school_id, route_id,
-          location_category, distance_km, student_capacity, geofence_radius_m, notes
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          location_category, distance_km, distance_source, student_capacity, geofence_radius_m, notes
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           parseInt(institutionId),
           masterSchoolId,
           route_id ? parseInt(route_id) : null,
           location_category || 'outside',
           distance_km || 0,
+          distance_km !== undefined ? 'manual' : 'computed',
           student_capacity || 0,
           geofence_radius_m || 100,
           notes || null
@@ -500,6 +503,13 @@ const create = async (req, res, next) => {
       createdSchoolId = linkResult.insertId;
     });
 
+    // No distance given - compute it from the school's coordinates
+    if (distance_km === undefined) {
+      await distanceService.refreshSchoolDistances(institutionId, [createdSchoolId], {
+        updateCategory: location_category === undefined,
+      });
+    }
+
     // Fetch the created school
     const [school] = await query(
       `SELECT 
@@ -507,7 +517,7 @@ const create = async (req, res, next) => {
         ms.name, ms.official_code as code,
         ms.school_type, ms.category, isv.location_category, 
         ms.state, ms.lga, ms.ward, ms.address,
-        isv.distance_km, isv.student_capacity, 
+        isv.distance_km, isv.distance_source, isv.student_capacity, 
         ms.principal_name, ms.principal_phone,
         isv.geofence_radius_m, isv.status, isv.notes, 
         isv.created_at, isv.updated_at,
@@ -567,20 +577,27 @@ const linkSchool = async (req, res, next) => {
     const result = await query(
       `INSERT INTO institution_schools (
         institution_id, master_school_id, route_id,
-        location_category, distance_km, student_capacity, geofence_radius_m, notes
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        location_category, distance_km, distance_source, student_capacity, geofence_radius_m, notes
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         parseInt(institutionId),
         parseInt(master_school_id),
         route_id ? parseInt(route_id) : null,
         location_category || 'outside',
         distance_km || 0,
+        distance_km !== undefined ? 'manual' : 'computed',
         student_capacity || 0,
         geofence_radius_m || 100,
         notes || null
       ]
     );
 
+    if (distance_km === undefined) {
+      await distanceService.refreshSchoolDistances(institutionId, [result.insertId], {
+        updateCategory: location_category === undefined,
+      });
+    }
+
     // Fetch the created link with master data
     const [school] = await query(
       `SELECT 
@@ -588,7 +605,7 @@ const linkSchool = async (req, res, next) => {
         ms.name, ms.official_code as code,
         ms.school_type, ms.category, isv.location_category, 
         ms.state, ms.lga, ms.ward, ms.address,
-        isv.distance_km, isv.student_capacity, 
+        isv.distance_km, isv.distance_source, isv.student_capacity, 
         ms.principal_name, ms.principal_phone,
         isv.geofence_radius_m, isv.status, isv.notes, 
         isv.created_at, isv.updated_at,
@@ -703,12 +720,19 @@ const update = async (req, res, next) => {
     const instParams = [];
 
     for (const [inputField, dbField] of Object.entries(instFields)) {
-      if (updates[inputField] !== undefined) {
+      if (updates[inputField] !== undefined && !(inputField === 'distance_km' && updates[inputField] === null)) {
         instUpdateFields.push(`${dbField} = ?`);
         instParams.push(updates[inputField]);
       }
     }
 
+    // A typed distance is kept as entered; null hands it back to the computed value
+    const recompute = updates.distance_km === null;
+    if (updates.distance_km !== undefined) {
+      instUpdateFields.push('distance_source = ?');
+      instParams.push(recompute ? 'computed' : 'manual');
+    }
+
     if (instUpdateFields.length === 0) {
       throw new ValidationError('No valid fields to update');
     }
@@ -719,6 +743,12 @@ const update = async (req, res, next) => {
       instParams
     );
 
+    if (recompute) {
+      await distanceService.refreshSchoolDistances(institutionId, [parseInt(id)], {
+        updateCategory: updates.location_category === undefined,
+      });
+    }
+
     // Fetch updated school
     const [school] = await query(
       `SELECT 
@@ -726,7 +756,7 @@ const update = async (req, res, next) => {
         ms.name, ms.official_code as code,
         ms.school_type, ms.category, isv.location_category, 
         ms.state, ms.lga, ms.ward, ms.address,
-        isv.distance_km, isv.student_capacity, 
+        isv.distance_km, isv.distance_source, isv.student_capacity, 
         ms.principal_name, ms.principal_phone,
         isv.geofence_radius_m, isv.status, isv.notes,
         r.name as route_name,
@@ -1081,6 +1111,9 @@ const uploadFromExcel = async (req, res, next) => {
       failed: 0,
       errors: [],
     };
+    // Rows without a distance get one computed from coordinates afterwards
+    const computeDistanceIds = [];
+    const computeCategoryIds = [];
 
     await transaction(async (conn) => {
       for (let i = 0; i < data.length; i++) {
@@ -1146,46 +1179,59 @@ const uploadFromExcel = async (req, res, next) => {
             masterSchoolId = insertResult.insertId;
           }
 
+          const rawDistance = [row.distance_km, row.Distance, row['Distance (km)']]
+            .find((value) => value !== undefined && value !== null && String(value).trim() !== '');
+          const rawCategory = row.location_category || row['Location Category'];
+
           // Check if institution already has this school linked
           const [existingLink] = await conn.execute(
             `SELECT id FROM institution_schools WHERE institution_id = ? AND master_school_id = ?`,
             [parseInt(institutionId), masterSchoolId]
           );
 
+          let linkId;
           if (existingLink.length > 0) {
             // Update existing link
+            linkId = existingLink[0].id;
             await conn.execute(
               `UPDATE institution_schools SET 
-                location_category = ?, distance_km = ?, student_capacity = ?
+                location_category = ?, distance_km = ?, distance_source = ?, student_capacity = ?
                WHERE id = ?`,
               [
-                row.location_category || row['Location Category'] || 'outside',
-                parseFloat(row.distance_km || row.Distance || row['Distance (km)'] || 0),
+                rawCategory || 'outside',
+                parseFloat(rawDistance || 0) || 0,
+                rawDistance !== undefined ? 'manual' : 'computed',
                 parseInt(row.student_capacity || row.Capacity || 0),
-                existingLink[0].id
+                linkId
               ]
             );
             results.updated++;
           } else {
             // Create new link
-            await conn.execute(
+            const [linkResult] = await conn.execute(
               `INSERT INTO institution_schools (
                 institution_id, master_school_id, location_category,
-                distance_km, student_capacity
-              ) VALUES (?, ?, ?, ?, ?)`,
+                distance_km, distance_source, student_capacity
+              ) VALUES (?, ?, ?, ?, ?, ?)`,
               [
                 parseInt(institutionId),
                 masterSchoolId,
-                row.location_category || row['Location Category'] || 'outside',
-                parseFloat(row.distance_km || row.Distance || row['Distance (km)'] || 0),
+                rawCategory || 'outside',
+                parseFloat(rawDistance || 0) || 0,
+                rawDistance !== undefined ? 'manual' : 'computed',
                 parseInt(row.student_capacity || row.Capacity || 0)
               ]
             );
+            linkId = linkResult.insertId;
             results.created++;
             if (existingMaster.length > 0) {
               results.linked++;
             }
           }
+
+          if (rawDistance === undefined) {
+            (rawCategory ? computeDistanceIds : computeCategoryIds).push(linkId);
+          }
         } catch (rowError) {
           results.errors.push({ row: rowNum, error: rowError.message });
           results.failed++;
@@ -1193,6 +1239,10 @@ const uploadFromExcel = async (req, res, next) => {
       }
     });
 
+    results.distances_computed =
+      await distanceService.refreshSchoolDistances(institutionId, computeDistanceIds) +
+      await distanceService.refreshSchoolDistances(institutionId, computeCategoryIds, { updateCategory: true });
+
     const message = results.linked > 0
       ? `Processed ${results.total} schools: ${results.created} created (${results.linked} linked to existing), ${results.updated} updated, ${results.failed} failed`
       : `Processed ${results.total} schools: ${results.created} created, ${results.updated} updated, ${results.failed} failed`;
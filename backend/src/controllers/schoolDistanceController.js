@@ -0,0 +1,202 @@
+/**
+ * School Distance Controller
+ *
+ * Distance settings (method and road factor) and the "recalculate distances"
+ * action: a preview of how every computed distance would change and what that
+ * does to each supervisor's allowances, then applying exactly that preview
+ * (by its plan_hash). The computation itself lives in distanceService.
+ *
+ * MedeePay Pattern: Direct SQL with institutionId from route params
+ */
+
+const { z } = require('zod');
+const { query } = require('../db/database');
+const { ValidationError } = require('../utils/errors');
+const distanceService = require('../services/distanceService');
+const auditService = require('../services/auditService');
+
+const schemas = {
+  updateSettings: z.object({
+    body: z.object({
+      distance_method: z.string().min(1).max(30).optional(),
+      distance_road_factor: z.number().min(1).max(3).optional(),
+    }),
+  }),
+
+  // Apply needs the preview's plan_hash and refuses a plan that has since changed
+  apply: z.object({
+    body: z.object({
+      session_id: z.number().int().positive().optional(),
+      school_ids: z.array(z.number().int().positive()).max(5000).optional(),
+      include_manual: z.boolean().optional(),
+      plan_hash: z.string({ required_error: 'plan_hash from the preview is required' })
+        .regex(/^[0-9a-f]{64}$/, 'plan_hash must be the hash returned by the preview'),
+    }),
+  }),
+};
+
+function parseSchoolIds(value) {
+  if (!value) return undefined;
+  const ids = String(value).split(',').map((id) => parseInt(id)).filter((id) => id > 0);
+  return ids.length > 0 ? ids : undefined;
+}
+
+/**
+ * Distance method, road factor and whether the institution has a location
+ * GET /:institutionId/schools/distances/settings
+ */
+const getSettings = async (req, res, next) => {
+  try {
+    const origin = await distanceService.getInstitutionOrigin(req.params.institutionId);
+
+    res.json({
+      success: true,
+      data: {
+        distance_method: origin?.method || 'great_circle',
+        distance_road_factor: origin?.roadFactor ?? null,
+        has_location: origin?.latitude !== null && origin?.latitude !== undefined,
+        latitude: origin?.latitude ?? null,
+        longitude: origin?.longitude ?? null,
+        methods: distanceService.getMethods(),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change the distance method or road factor. Existing distances are not
+ * touched - run a recalculation to apply the new settings.
+ * PUT /:institutionId/schools/distances/settings
+ */
+const updateSettings = async (req, res, next) => {
+  try {
+    const { institutionId } = req.params;
+    const { distance_method, distance_road_factor } = req.body;
+
+    if (distance_method !== undefined) {
+      const method = distanceService.getMethods().find((m) => m.name === distance_method);
+      if (!method) {
+        throw new ValidationError(`Unknown distance method "${distance_method}"`);
+      }
+      if (!method.available) {
+        throw new ValidationError(`${method.label} is not configured on this server`);
+      }
+    }
+
+    const [before] = await query(
+      'SELECT distance_method, distance_road_factor FROM institutions WHERE id = ?',
+      [parseInt(institutionId)]
+    );
+
+    const updates = [];
+    const params = [];
+    if (distance_method !== undefined) {
+      updates.push('distance_method = ?');
+      params.push(distance_method);
+    }
+    if (distance_road_factor !== undefined) {
+      updates.push('distance_road_factor = ?');
+      params.push(distance_road_factor);
+    }
+    if (updates.length === 0) {
+      throw new ValidationError('No valid fields to update');
+    }
+
+    params.push(parseInt(institutionId));
+    await query(`UPDATE institutions SET ${updates.join(', ')} WHERE id = ?`, params);
+
+    await auditService.log(req, {
+      action: 'distance_settings_updated',
+      resourceType: 'institution',
+      resourceId: parseInt(institutionId),
+      before,
+      after: req.body,
+    });
+
+    res.json({
+      success: true,
+      message: 'Distance settings updated. Recalculate distances to apply them.',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * What a recalculation would change, without saving anything
+ * GET /:institutionId/schools/distances/preview?session_id=&school_ids=1,2&include_manual=true
+ */
+const preview = async (req, res, next) => {
+  try {
+    const plan = await distanceService.planRecalculation(req.params.institutionId, {
+      sessionId: req.query.session_id ? parseInt(req.query.session_id) : undefined,
+      schoolIds: parseSchoolIds(req.query.school_ids),
+      includeManual: req.query.include_manual === 'true',
+    });
+
+    res.json({
+      success: true,
+      data: plan,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Save a previewed recalculation: distances, categories and the session's
+ * posting allowances. 409 when the plan no longer matches the preview.
+ * POST /:institutionId/schools/distances/apply
+ */
+const apply = async (req, res, next) => {
+  try {
+    const { institutionId } = req.params;
+    const { session_id, school_ids, include_manual, plan_hash } = req.body;
+
+    const plan = await distanceService.applyRecalculation(institutionId, {
+      sessionId: session_id,
+      schoolIds: school_ids,
+      includeManual: !!include_manual,
+      planHash: plan_hash,
+    });
+
+    if (plan.schools.length > 0) {
+      await auditService.log(req, {
+        action: 'school_distances_recalculated',
+        resourceType: 'institution_school',
+        details: {
+          method: plan.method,
+          road_factor: plan.road_factor,
+          session_id: plan.session?.id || null,
+          schools: plan.schools.map((school) => ({
+            id: school.id,
+            from: school.current_distance_km,
+            to: school.proposed_distance_km,
+          })),
+          postings_updated: plan.summary.postings_affected,
+          total_change: plan.summary.total_change,
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      message: plan.schools.length > 0
+        ? `Updated ${plan.schools.length} school distance(s) and ${plan.summary.postings_affected} posting(s)`
+        : 'All school distances are already up to date',
+      data: plan,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  schemas,
+  getSettings,
+  updateSettings,
+  preview,
+  apply,
+};
@@ -0,0 +1,348 @@
+/**
+ * School Preference Controller
+ *
+ * Students rank preferred schools in the portal during the acceptance window when
+ * the session has allow_student_school_preference switched on. Staff see how well
+ * actual placements matched those choices, and can generate a preference-based
+ * placement plan for students who have not yet been placed.
+ *
+ * MedeePay Pattern: Direct SQL, no repository layer.
+ */
+
+const { z } = require('zod');
+const { query, queryOne, transaction } = require('../db/database');
+const { NotFoundError, ValidationError, ConflictError, AuthorizationError } = require('../utils/errors');
+const { ensureSessionUnlocked } = require('../middleware/sessionLock');
+const schoolPreferenceService = require('../services/schoolPreferenceService');
+
+const schemas = {
+  save: z.object({
+    body: z.object({
+      school_ids: z.array(z.number().int().positive())
+        .min(1, 'Choose at least one school')
+        .max(10)
+        .refine((ids) => new Set(ids).size === ids.length, 'Each school can only be chosen once'),
+    }),
+  }),
+  placement: z.object({
+    body: z.object({
+      session_id: z.number().int().positive('Session ID is required'),
+    }),
+  }),
+};
+
+async function resolveCurrentSession(institutionId) {
+  return queryOne(
+    `SELECT * FROM academic_sessions WHERE institution_id = ? AND is_current = 1 AND status = 'active' LIMIT 1`,
+    [institutionId]
+  );
+}
+
+function isAcceptanceWindowOpen(session) {
+  const now = new Date();
+  return !!(session.acceptance_form_start_date && session.acceptance_form_end_date &&
+    now >= new Date(session.acceptance_form_start_date) &&
+    now <= new Date(session.acceptance_form_end_date));
+}
+
+/**
+ * Get the logged-in student's ranked preferences for the current session
+ * GET /portal/school-preferences
+ */
+const getMyPreferences = async (req, res, next) => {
+  try {
+    const studentId = req.student?.id || req.user?.id;
+    const institutionId = req.student?.institution_id || req.user?.institution_id;
+
+    if (!studentId || !institutionId) {
+      throw new AuthorizationError('Student authentication required');
+    }
+
+    const session = await resolveCurrentSession(institutionId);
+    if (!session) {
+      return res.json({ success: true, data: { enabled: false, preferences: [] } });
+    }
+
+    const acceptance = await queryOne(
+      'SELECT id FROM student_acceptances WHERE student_id = ? AND session_id = ? AND institution_id = ?',
+      [studentId, session.id, institutionId]
+    );
+    const preferences = await schoolPreferenceService.loadPreferences(institutionId, session.id, [studentId]);
+
+    const enabled = !!session.allow_student_school_preference;
+    const windowOpen = isAcceptanceWindowOpen(session);
+
+    res.json({
+      success: true,
+      data: {
+        enabled,
+        session: { id: session.id, name: session.name },
+        window_open: windowOpen,
+        window: {
+          starts_at: session.acceptance_form_start_date,
+          ends_at: session.acceptance_form_end_date,
+        },
+        max_preferences: session.max_school_preferences || 3,
+        acceptance_submitted: !!acceptance,
+        can_edit: enabled && windowOpen && !acceptance && !session.is_locked,
+        preferences: preferences.get(studentId) || [],
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the logged-in student's ranked preferences (first id = first choice)
+ * PUT /portal/school-preferences
+ */
+const saveMyPreferences = async (req, res, next) => {
+  try {
+    const studentId = req.student?.id || req.user?.id;
+    const institutionId = req.student?.institution_id || req.user?.institution_id;
+    const { school_ids } = req.body;
+
+    if (!studentId || !institutionId) {
+      throw new AuthorizationError('Student authentication required');
+    }
+
+    const session = await resolveCurrentSession(institutionId);
+    if (!session) {
+      throw new ValidationError('No active session');
+    }
+    if (!session.allow_student_school_preference) {
+      throw new ValidationError('School preferences are not enabled for this session');
+    }
+
+    await ensureSessionUnlocked(req, session, institutionId);
+
+    if (!isAcceptanceWindowOpen(session)) {
+      throw new ValidationError('School preferences can only be changed while the acceptance window is open');
+    }
+
+    const maxPreferences = session.max_school_preferences || 3;
+    if (school_ids.length > maxPreferences) {
+      throw new ValidationError(`You can choose at most ${maxPreferences} schools`);
+    }
+
+    const acceptance = await queryOne(
+      'SELECT id FROM student_acceptances WHERE student_id = ? AND session_id = ? AND institution_id = ?',
+      [studentId, session.id, institutionId]
+    );
+    if (acceptance) {
+      throw new ConflictError('Preferences cannot be changed after your acceptance form has been submitted');
+    }
+
+    const schools = await query(
+      `SELECT id FROM institution_schools
+       WHERE institution_id = ? AND status = 'active' AND id IN (${school_ids.map(() => '?').join(',')})`,
+      [institutionId, ...school_ids]
+    );
+    if (schools.length !== school_ids.length) {
+      throw new ValidationError('One or more selected schools are not available');
+    }
+
+    await transaction(async (conn) => {
+      await conn.execute(
+        'DELETE FROM student_school_preferences WHERE student_id = ? AND session_id = ? AND institution_id = ?',
+        [studentId, session.id, institutionId]
+      );
+      for (const [index, schoolId] of school_ids.entries()) {
+        await conn.execute(
+          `INSERT INTO student_school_preferences
+           (institution_id, session_id, student_id, institution_school_id, preference_rank)
+           VALUES (?, ?, ?, ?, ?)`,
+          [institutionId, session.id, studentId, schoolId, index + 1]
+        );
+      }
+    });
+
+    const preferences = await schoolPreferenceService.loadPreferences(institutionId, session.id, [studentId]);
+
+    res.json({
+      success: true,
+      message: 'School preferences saved',
+      data: preferences.get(studentId) || [],
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * How well placements matched preferences, plus demand per school
+ * GET /:institutionId/school-preferences/report?session_id=
+ */
+const getReport = async (req, res, next) => {
+  try {
+    const { institutionId } = req.params;
+    const { session_id } = req.query;
+
+    if (!session_id) {
+      throw new ValidationError('Session ID is required');
+    }
+
+    // One row per student who submitted preferences, with the rank of the school
+    // they were actually placed at (NULL if unlisted, or not placed)
+    const students = await query(
+      `SELECT prefs.student_id, sa.id as acceptance_id, own.preference_rank as placed_rank
+       FROM (
+         SELECT DISTINCT student_id FROM student_school_preferences
+         WHERE institution_id = ? AND session_id = ?
+       ) prefs
+       LEFT JOIN student_acceptances sa
+         ON sa.student_id = prefs.student_id AND sa.session_id = ? AND sa.status IN ('pending', 'approved')
+       LEFT JOIN student_school_preferences own
+         ON own.student_id = prefs.student_id AND own.session_id = ?
+        AND own.institution_school_id = sa.institution_school_id`,
+      [parseInt(institutionId), parseInt(session_id), parseInt(session_id), parseInt(session_id)]
+    );
+
+    const summary = schoolPreferenceService.summarizeOutcomes(
+      students.map((s) => ({ rank: s.placed_rank, placed: !!s.acceptance_id }))
+    );
+
+    const schools = await query(
+      `SELECT ssp.institution_school_id as school_id, ms.name as school_name, ms.lga,
+              SUM(ssp.preference_rank = 1) as first_choice,
+              SUM(ssp.preference_rank = 2) as second_choice,
+              SUM(ssp.preference_rank = 3) as third_choice,
+              COUNT(*) as total_mentions,
+              (SELECT COUNT(*) FROM student_acceptances sa
+               WHERE sa.institution_school_id = ssp.institution_school_id AND sa.session_id = ssp.session_id
+                 AND sa.status IN ('pending', 'approved')) as placed
+       FROM student_school_preferences ssp
+       JOIN institution_schools isv ON ssp.institution_school_id = isv.id
+       JOIN master_schools ms ON isv.master_school_id = ms.id
+       WHERE ssp.institution_id = ? AND ssp.session_id = ?
+       GROUP BY ssp.institution_school_id, ssp.session_id, ms.name, ms.lga
+       ORDER BY first_choice DESC, total_mentions DESC, ms.name`,
+      [parseInt(institutionId), parseInt(session_id)]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        summary,
+        schools: schools.map((s) => ({
+          ...s,
+          first_choice: parseInt(s.first_choice) || 0,
+          second_choice: parseInt(s.second_choice) || 0,
+          third_choice: parseInt(s.third_choice) || 0,
+        })),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Suggest schools for students who submitted preferences but are not yet placed.
+ * Preferences are weighted soft constraints; per-program and overall school
+ * capacity are hard limits. Nothing is written - the plan is for the TP office
+ * to act on (and export).
+ * POST /:institutionId/school-preferences/placement-plan
+ */
+const getPlacementPlan = async (req, res, next) => {
+  try {
+    const { institutionId } = req.params;
+    const { session_id } = req.body;
+
+    const session = await queryOne(
+      'SELECT id, name, max_students_per_school_per_program FROM academic_sessions WHERE id = ? AND institution_id = ?',
+      [session_id, parseInt(institutionId)]
+    );
+    if (!session) {
+      throw new NotFoundError('Session not found');
+    }
+
+    const students = await query(
+      `SELECT DISTINCT st.id as student_id, st.program_id, st.full_name as student_name,
+              st.registration_number, p.name as program_name
+       FROM student_school_preferences ssp
+       JOIN students st ON ssp.student_id = st.id
+       LEFT JOIN programs p ON st.program_id = p.id
+       LEFT JOIN student_acceptances sa
+         ON sa.student_id = st.id AND sa.session_id = ssp.session_id AND sa.status IN ('pending', 'approved')
+       WHERE ssp.institution_id = ? AND ssp.session_id = ? AND sa.id IS NULL`,
+      [parseInt(institutionId), session.id]
+    );
+
+    const preferenceMap = await schoolPreferenceService.loadPreferences(
+      parseInt(institutionId), session.id, students.map((s) => s.student_id)
+    );
+
+    // Capacity left at each school, overall and per program, after existing placements
+    const schoolRows = await query(
+      `SELECT isv.id, isv.student_capacity, ms.name as school_name,
+              (SELECT COUNT(*) FROM student_acceptances sa
+               WHERE sa.institution_school_id = isv.id AND sa.session_id = ?
+                 AND sa.status IN ('pending', 'approved')) as placed
+       FROM institution_schools isv
+       JOIN master_schools ms ON isv.master_school_id = ms.id
+       WHERE isv.institution_id = ? AND isv.status = 'active'`,
+      [session.id, parseInt(institutionId)]
+    );
+    const programCounts = await query(
+      `SELECT sa.institution_school_id as school_id, st.program_id, COUNT(*) as placed
+       FROM student_acceptances sa
+       JOIN students st ON sa.student_id = st.id
+       WHERE sa.institution_id = ? AND sa.session_id = ? AND sa.status IN ('pending', 'approved')
+       GROUP BY sa.institution_school_id, st.program_id`,
+      [parseInt(institutionId), session.id]
+    );
+
+    const programLimit = session.max_students_per_school_per_program || 20;
+    const schools = schoolRows.map((school) => {
+      const programRemaining = {};
+      for (const row of programCounts.filter((c) => c.school_id === school.id)) {
+        programRemaining[row.program_id] = programLimit - row.placed;
+      }
+      return {
+        id: school.id,
+        remaining: school.student_capacity > 0 ? school.student_capacity - school.placed : null,
+        program_limit: programLimit,
+        program_remaining: programRemaining,
+      };
+    });
+
+    const preferences = {};
+    for (const [studentId, list] of preferenceMap) {
+      preferences[studentId] = list.map((p) => p.school_id);
+    }
+
+    const plan = schoolPreferenceService.allocateStudentsByPreference({ students, preferences, schools });
+
+    const studentsById = new Map(students.map((s) => [s.student_id, s]));
+    const schoolNames = new Map(schoolRows.map((s) => [s.id, s.school_name]));
+
+    res.json({
+      success: true,
+      data: {
+        summary: plan.summary,
+        assignments: plan.assignments.map((a) => ({
+          ...a,
+          ...studentsById.get(a.student_id),
+          school_name: schoolNames.get(a.school_id),
+        })),
+        unplaced: plan.unplaced.map((u) => ({
+          ...u,
+          ...studentsById.get(u.student_id),
+          preferences: preferenceMap.get(u.student_id) || [],
+        })),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  schemas,
+  getMyPreferences,
+  saveMyPreferences,
+  getReport,
+  getPlacementPlan,
+};
@@ -8,6 +8,7 @@
 const { z } = require('zod');
 const { query, transaction } = require('../db/database');
 const { NotFoundError, ValidationError, ConflictError } = require('../utils/errors');
+const notificationService = require('../services/notificationService');
 
 // ============================================================================
 // VALIDATION SCHEMAS
@@ -28,6 +29,31 @@ const schemas = {
   }),
 };
 
+/**
+ * Tell the student who submitted a request (portal submissions only) that it
+ * has been reviewed
+ * @param {number} institutionId
+ * @param {Object} request - Request row
+ * @param {'principal'|'location'} kind
+ * @param {'approved'|'rejected'} status
+ * @param {string} [reason] - Rejection reason
+ */
+async function notifySubmitter(institutionId, request, kind, status, reason = null) {
+  if (!request.submitted_by_student_id) return;
+
+  const label = kind === 'principal' ? 'principal update' : 'location update';
+  await notificationService.notifyStudents(institutionId, [request.submitted_by_student_id], {
+    type: notificationService.TYPES.SCHOOL_UPDATE_REVIEWED,
+    title: `School ${label} ${status}`,
+    message: status === 'approved'
+      ? `Your school ${label} request has been approved. Thank you for helping keep school records accurate.`
+      : `Your school ${label} request was rejected${reason ? `: ${reason}` : ''}.`,
+    link: `/student/${kind}-update`,
+    resourceType: `school_${kind}_update_request`,
+    resourceId: request.id,
+  });
+}
+
 // ============================================================================
 // PRINCIPAL UPDATE REQUEST METHODS
 // ============================================================================
@@ -188,6 +214,8 @@ const approvePrincipalRequest = async (req, res, next) => {
       );
     });
 
+    await notifySubmitter(parseInt(institutionId), request, 'principal', 'approved');
+
     res.json({
       success: true,
       message: 'Request approved successfully. School principal details have been updated.',
@@ -233,6 +261,8 @@ const rejectPrincipalRequest = async (req, res, next) => {
       [rejection_reason, req.user.id, admin_notes, parseInt(id), parseInt(institutionId)]
     );
 
+    await notifySubmitter(parseInt(institutionId), request, 'principal', 'rejected', rejection_reason);
+
     res.json({
       success: true,
       message: 'Request rejected',
@@ -469,6 +499,8 @@ const approveLocationRequest = async (req, res, next) => {
       );
     });
 
+    await notifySubmitter(parseInt(institutionId), request, 'location', 'approved');
+
     res.json({
       success: true,
       message: 'Request approved successfully. School location has been updated.',
@@ -514,6 +546,8 @@ const rejectLocationRequest = async (req, res, next) => {
       [rejection_reason, req.user.id, admin_notes, parseInt(id), parseInt(institutionId)]
     );
 
+    await notifySubmitter(parseInt(institutionId), request, 'location', 'rejected', rejection_reason);
+
     res.json({
       success: true,
       message: 'Request rejected',
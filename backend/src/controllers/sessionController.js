@@ -8,6 +8,7 @@
 const { z } = require('zod');
 const { query, transaction } = require('../db/database');
 const { NotFoundError, ValidationError, ConflictError } = require('../utils/errors');
+const auditService = require('../services/auditService');
 
 // Validation schemas
 const schemas = {
@@ -47,6 +48,7 @@ const schemas = {
       require_acceptance_before_posting: z.boolean().optional(),
       require_payment_before_posting: z.boolean().optional(),
       allow_student_school_preference: z.boolean().optional(),
+      max_school_preferences: z.number().int().min(1).max(10).optional(),
       status: z.enum(['draft', 'active', 'completed', 'archived']).optional(),
     }),
   }),
@@ -87,6 +89,7 @@ const schemas = {
       require_acceptance_before_posting: z.boolean().optional(),
       require_payment_before_posting: z.boolean().optional(),
       allow_student_school_preference: z.boolean().optional(),
+      max_school_preferences: z.number().int().min(1).max(10).optional(),
       is_locked: z.boolean().optional(),
       status: z.enum(['draft', 'active', 'completed', 'archived']).optional(),
     }),
@@ -256,7 +259,7 @@ const create = async (req, res, next) => {
       'max_groups_inside_schools', 'max_groups_outside_schools', 'dsa_enabled',
       'dsa_min_distance_km', 'dsa_max_distance_km', 'dsa_percentage',
       'require_acceptance_before_posting', 'require_payment_before_posting',
-      'allow_student_school_preference', 'status', 'created_by'
+      'allow_student_school_preference', 'max_school_preferences', 'status', 'created_by'
     ];
 
     const values = [
@@ -295,6 +298,7 @@ const create = async (req, res, next) => {
       data.require_acceptance_before_posting !== undefined ? data.require_acceptance_before_posting : false,
       data.require_payment_before_posting !== undefined ? data.require_payment_before_posting : true,
       data.allow_student_school_preference !== undefined ? data.allow_student_school_preference : false,
+      data.max_school_preferences || 3,
       data.status || 'draft',
       req.user?.id || null,
     ];
@@ -307,6 +311,13 @@ const create = async (req, res, next) => {
 
     const [session] = await query('SELECT * FROM academic_sessions WHERE id = ?', [result.insertId]);
 
+    await auditService.log(req, {
+      action: 'session_created',
+      resourceType: 'academic_session',
+      resourceId: result.insertId,
+      after: session,
+    });
+
     res.status(201).json({
       success: true,
       message: 'Academic session created successfully',
@@ -328,7 +339,7 @@ const update = async (req, res, next) => {
 
     // Check if session exists
     const existing = await query(
-      'SELECT id, is_locked FROM academic_sessions WHERE id = ? AND institution_id = ?',
+      'SELECT * FROM academic_sessions WHERE id = ? AND institution_id = ?',
       [parseInt(id), parseInt(institutionId)]
     );
 
@@ -371,7 +382,7 @@ const update = async (req, res, next) => {
       'max_students_per_merged_group', 'max_groups_inside_schools', 'max_groups_outside_schools',
       'dsa_enabled', 'dsa_min_distance_km', 'dsa_max_distance_km', 'dsa_percentage',
       'require_acceptance_before_posting', 'require_payment_before_posting',
-      'allow_student_school_preference', 'is_locked', 'status'
+      'allow_student_school_preference', 'max_school_preferences', 'is_locked', 'status'
     ];
 
     const updateFields = [];
@@ -397,6 +408,14 @@ const update = async (req, res, next) => {
 
     const [session] = await query('SELECT * FROM academic_sessions WHERE id = ?', [parseInt(id)]);
 
+    await auditService.log(req, {
+      action: 'session_updated',
+      resourceType: 'academic_session',
+      resourceId: parseInt(id),
+      before: existing[0],
+      after: session,
+    });
+
     res.json({
       success: true,
       message: 'Academic session updated successfully',
@@ -417,7 +436,7 @@ const remove = async (req, res, next) => {
 
     // Check if session exists
     const existing = await query(
-      'SELECT id, name, is_current, is_locked FROM academic_sessions WHERE id = ? AND institution_id = ?',
+      'SELECT * FROM academic_sessions WHERE id = ? AND institution_id = ?',
       [parseInt(id), parseInt(institutionId)]
     );
 
@@ -458,6 +477,13 @@ const remove = async (req, res, next) => {
       [parseInt(id), parseInt(institutionId)]
     );
 
+    await auditService.log(req, {
+      action: 'session_deleted',
+      resourceType: 'academic_session',
+      resourceId: parseInt(id),
+      before: existing[0],
+    });
+
     res.json({
       success: true,
       message: `Session "${existing[0].name}" deleted successfully`,
@@ -18,9 +18,8 @@ const { query } = require('../db/database');
 const { ValidationError, AuthenticationError, NotFoundError } = require('../utils/errors');
 const encryptionService = require('../services/encryptionService');
 
-// Import the SSO token store from authController
-// This is used for internal SSO token exchange
-const { getSsoTokenStore } = require('./authController');
+// Internal SSO tokens are exchanged through authController's /auth/sso/exchange
+const { saveSsoToken } = require('./authController');
 
 const SSO_INTERNAL_TOKEN_EXPIRES_SECONDS = 30;
 
@@ -130,17 +129,9 @@ function verifySignature(payloadBase64, signatureBase64, secretKey) {
 /**
  * Create an internal SSO token for the frontend to exchange
  */
-function createInternalSsoToken(userId, authType, ipAddress) {
+async function createInternalSsoToken(userId, authType, ipAddress) {
   const token = uuidv4();
-  const ssoTokenStore = getSsoTokenStore();
-  
-  ssoTokenStore.set(token, {
-    userId,
-    authType,
-    ipAddress,
-    expiresAt: Date.now() + (SSO_INTERNAL_TOKEN_EXPIRES_SECONDS * 1000),
-  });
-  
+  await saveSsoToken(token, { userId, authType, ipAddress }, SSO_INTERNAL_TOKEN_EXPIRES_SECONDS);
   return token;
 }
 
@@ -230,7 +221,7 @@ const handleStudentSSO = async (req, res, next) => {
     }
 
     // 9. Create internal SSO token for exchange
-    const internalToken = createInternalSsoToken(student.id, 'student', ipAddress);
+    const internalToken = await createInternalSsoToken(student.id, 'student', ipAddress);
 
     // 10. Log success
     await logSSOAttempt({
@@ -356,7 +347,7 @@ const handleStaffSSO = async (req, res, next) => {
     }
 
     // 9. Create internal SSO token for exchange
-    const internalToken = createInternalSsoToken(user.id, 'staff', ipAddress);
+    const internalToken = await createInternalSsoToken(user.id, 'staff', ipAddress);
 
     // 10. Log success
     await logSSOAttempt({
@@ -0,0 +1,383 @@
+/**
+ * Staff Import Controller
+ *
+ * MedeePay Pattern: Direct SQL with institutionId from route params
+ * Bulk onboarding of supervisors and other staff from Excel, the staff
+ * counterpart of studentController.uploadFromExcel:
+ * - The template lists the institution's rank codes and faculties
+ * - Rank codes map to ranks, faculty names (or codes) to faculties
+ * - Every row is validated first (validate_only=true) with per-row errors
+ * - Staff who already have an account (same email, or same file number in
+ *   the institution) are skipped, not imported twice
+ * - Welcome emails with login details are queued on request (send_emails=true)
+ */
+
+const { z } = require('zod');
+const XLSX = require('xlsx');
+const { query, transaction } = require('../db/database');
+const { ValidationError } = require('../utils/errors');
+const auditService = require('../services/auditService');
+const emailService = require('../services/emailService');
+const emailQueueService = require('../services/emailQueueService');
+const {
+  ROLES,
+  hashPassword,
+  BULK_BCRYPT_ROUNDS,
+  generateRandomPassword,
+  getRoleDisplayName,
+} = require('./authController');
+
+// Roles staff can be imported as (super admins are created one at a time)
+const IMPORT_ROLES = [ROLES.SUPERVISOR, ROLES.FIELD_MONITOR, ROLES.HEAD_OF_TEACHING_PRACTICE];
+
+const COLUMN_ALIASES = {
+  full_name: 'name',
+  staff_name: 'name',
+  email_address: 'email',
+  e_mail: 'email',
+  phone_number: 'phone',
+  gsm: 'phone',
+  rank: 'rank_code',
+  faculty_name: 'faculty',
+  faculty_code: 'faculty',
+  file_no: 'file_number',
+  staff_id: 'file_number',
+  pf_number: 'file_number',
+  dean: 'is_dean',
+};
+
+const ROLE_ALIASES = {
+  head_of_tp: ROLES.HEAD_OF_TEACHING_PRACTICE,
+  monitor: ROLES.FIELD_MONITOR,
+};
+
+const YES = ['yes', 'y', 'true', '1'];
+
+const emailSchema = z.string().email();
+
+const normalizeColumn = (name) => {
+  const normalized = name.toLowerCase().trim().replace(/[_\s]+/g, '_');
+  return COLUMN_ALIASES[normalized] || normalized;
+};
+
+/**
+ * Ranks and faculties by every spelling a sheet may use
+ * @param {number} institutionId
+ * @returns {Promise<{ ranks: Map, faculties: Map }>}
+ */
+async function loadLookups(institutionId) {
+  const [ranks, faculties] = await Promise.all([
+    query("SELECT id, name, code FROM ranks WHERE institution_id = ? AND status = 'active'", [institutionId]),
+    query("SELECT id, name, code FROM faculties WHERE institution_id = ? AND status = 'active'", [institutionId]),
+  ]);
+
+  const byCodeOrName = (rows) => {
+    const map = new Map();
+    for (const row of rows) {
+      map.set(row.name.toUpperCase().trim(), row);
+    }
+    // Codes win over a name that happens to look like another row's code
+    for (const row of rows) {
+      map.set(row.code.toUpperCase().trim(), row);
+    }
+    return map;
+  };
+
+  return { ranks: byCodeOrName(ranks), faculties: byCodeOrName(faculties) };
+}
+
+/**
+ * Read and check the uploaded rows
+ * @param {number} institutionId
+ * @param {Array<Object>} rawData - Sheet rows
+ * @returns {Promise<Object>} { staff, errors, duplicates }
+ */
+async function validateRows(institutionId, rawData) {
+  const { ranks, faculties } = await loadLookups(institutionId);
+  const errors = [];
+  const valid = [];
+
+  rawData.forEach((raw, index) => {
+    const row = {};
+    for (const [key, value] of Object.entries(raw)) {
+      row[normalizeColumn(key)] = String(value).trim();
+    }
+
+    const rowErrors = [];
+    const email = (row.email || '').toLowerCase();
+    const roleKey = (row.role || ROLES.SUPERVISOR).toLowerCase().replace(/[\s-]+/g, '_');
+    const role = ROLE_ALIASES[roleKey] || roleKey;
+
+    if (!row.name || row.name.length < 2) rowErrors.push('Name is required');
+    if (!email) rowErrors.push('Email is required');
+    else if (!emailSchema.safeParse(email).success) rowErrors.push('Email is not valid');
+    if (!IMPORT_ROLES.includes(role)) {
+      rowErrors.push(`Role must be one of: ${IMPORT_ROLES.map(getRoleDisplayName).join(', ')}`);
+    }
+
+    const rank = row.rank_code ? ranks.get(row.rank_code.toUpperCase()) : null;
+    if (row.rank_code && !rank) rowErrors.push(`Unknown rank code '${row.rank_code}'`);
+    const faculty = row.faculty ? faculties.get(row.faculty.toUpperCase()) : null;
+    if (row.faculty && !faculty) rowErrors.push(`Unknown faculty '${row.faculty}'`);
+    if (row.phone && row.phone.length > 20) rowErrors.push('Phone number is too long');
+    if (row.file_number && row.file_number.length > 50) rowErrors.push('File number is too long');
+
+    const entry = {
+      row_number: index + 2,
+      name: row.name,
+      email,
+      phone: row.phone || null,
+      role,
+      rank: rank ? { id: rank.id, code: rank.code, name: rank.name } : null,
+      faculty: faculty ? { id: faculty.id, name: faculty.name } : null,
+      file_number: row.file_number ? row.file_number.toUpperCase() : null,
+      is_dean: YES.includes((row.is_dean || '').toLowerCase()),
+    };
+
+    if (rowErrors.length > 0) {
+      errors.push({ row: entry.row_number, email: email || 'N/A', errors: rowErrors });
+    } else {
+      valid.push(entry);
+    }
+  });
+
+  // The same person twice in the file
+  const inFile = new Map();
+  const repeated = new Set();
+  for (const entry of valid) {
+    for (const key of [`email:${entry.email}`, entry.file_number && `file:${entry.file_number}`].filter(Boolean)) {
+      if (inFile.has(key)) {
+        repeated.add(inFile.get(key));
+        repeated.add(entry);
+      } else {
+        inFile.set(key, entry);
+      }
+    }
+  }
+  for (const entry of repeated) {
+    errors.push({ row: entry.row_number, email: entry.email, errors: ['Same email or file number as another row in the file'] });
+  }
+  const unique = valid.filter((entry) => !repeated.has(entry));
+
+  // Staff who already have an account are skipped
+  const emails = unique.map((entry) => entry.email);
+  const fileNumbers = unique.map((entry) => entry.file_number).filter(Boolean);
+  const existing = unique.length
+    ? await query(
+      `SELECT email, file_number FROM users
+       WHERE email IN (?)${fileNumbers.length ? ' OR (institution_id = ? AND file_number IN (?))' : ''}`,
+      fileNumbers.length ? [emails, institutionId, fileNumbers] : [emails]
+    )
+    : [];
+  const existingEmails = new Set(existing.map((u) => u.email.toLowerCase()));
+  const existingFileNumbers = new Set(existing.filter((u) => u.file_number).map((u) => u.file_number.toUpperCase()));
+
+  const duplicates = [];
+  const staff = [];
+  for (const entry of unique) {
+    if (existingEmails.has(entry.email)) {
+      duplicates.push({ row: entry.row_number, email: entry.email, reason: 'A user with this email already exists' });
+    } else if (entry.file_number && existingFileNumbers.has(entry.file_number)) {
+      duplicates.push({ row: entry.row_number, email: entry.email, reason: `File number ${entry.file_number} is already in use` });
+    } else {
+      staff.push(entry);
+    }
+  }
+
+  errors.sort((a, b) => a.row - b.row);
+  return { staff, errors, duplicates };
+}
+
+/**
+ * Upload staff from an Excel file
+ * POST /:institutionId/users/upload?validate_only=true|false&send_emails=true|false
+ */
+const uploadFromExcel = async (req, res, next) => {
+  try {
+    const institutionId = parseInt(req.params.institutionId);
+
+    if (!req.file) {
+      throw new ValidationError('No file uploaded');
+    }
+
+    let rawData;
+    try {
+      const workbook = XLSX.read(req.file.buffer, { type: 'buffer' });
+      rawData = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { defval: '' });
+    } catch (error) {
+      throw new ValidationError('Could not read the file - upload an Excel file made from the template');
+    }
+
+    if (rawData.length === 0) {
+      throw new ValidationError('Excel file is empty');
+    }
+
+    const { staff, errors, duplicates } = await validateRows(institutionId, rawData);
+
+    const validationSummary = {
+      total_rows: rawData.length,
+      valid_rows: staff.length,
+      error_rows: errors.length,
+      duplicate_rows: duplicates.length,
+      errors: errors.slice(0, 100),
+      duplicates: duplicates.slice(0, 100),
+      preview: staff,
+    };
+
+    if (req.query.validate_only === 'true' || (errors.length > 0 && req.query.validate_only !== 'false')) {
+      return res.json({
+        success: true,
+        message: errors.length > 0 ? 'Validation completed with errors' : 'Validation completed successfully',
+        data: validationSummary,
+        can_proceed: errors.length === 0 && staff.length > 0,
+      });
+    }
+
+    // Hash in parallel chunks - bcrypt runs in libuv worker threads
+    const batch = staff.map((entry) => ({ entry, password: generateRandomPassword(), hash: null }));
+    const HASH_CONCURRENCY = 10;
+    for (let i = 0; i < batch.length; i += HASH_CONCURRENCY) {
+      await Promise.all(
+        batch.slice(i, i + HASH_CONCURRENCY).map(async (item) => {
+          item.hash = await hashPassword(item.password, BULK_BCRYPT_ROUNDS);
+        })
+      );
+    }
+
+    // One transaction: an upload either creates every account or none
+    const created = await transaction(async (conn) => {
+      const rows = [];
+      for (const { entry, password, hash } of batch) {
+        const [result] = await conn.execute(
+          `INSERT IGNORE INTO users
+           (institution_id, name, email, password_hash, phone, role, rank_id, faculty_id, file_number, is_dean, status, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'active', NOW())`,
+          [
+            institutionId, entry.name, entry.email, hash, entry.phone, entry.role,
+            entry.rank?.id || null, entry.faculty?.id || null, entry.file_number, entry.is_dean ? 1 : 0,
+          ]
+        );
+        // Skipped if the account was created since validation
+        if (result.affectedRows > 0) {
+          rows.push({ id: result.insertId, name: entry.name, email: entry.email, role: entry.role, password });
+        }
+      }
+      return rows;
+    });
+
+    let emailsQueued = 0;
+    if (req.query.send_emails === 'true' && created.length > 0) {
+      const loginUrl = (await emailService.getFrontendUrl(institutionId)) + '/login';
+      for (const user of created) {
+        try {
+          await emailQueueService.queueEmail(institutionId, {
+            to: user.email,
+            template: 'userCredentials',
+            data: {
+              name: user.name,
+              email: user.email,
+              password: user.password,
+              role: getRoleDisplayName(user.role),
+              loginUrl,
+            },
+          });
+          emailsQueued++;
+        } catch (emailError) {
+          console.error(`[STAFF IMPORT] Failed to queue welcome email for ${user.email}:`, emailError.message);
+        }
+      }
+    }
+
+    const skipped = staff.length - created.length;
+    await auditService.log(req, {
+      action: 'users_bulk_upload',
+      resourceType: 'user',
+      details: {
+        total_uploaded: rawData.length,
+        created: created.length,
+        duplicates: duplicates.length + skipped,
+        errors: errors.length,
+        emails_queued: emailsQueued,
+      },
+    });
+
+    const notes = [
+      duplicates.length + skipped > 0 && `${duplicates.length + skipped} already had an account`,
+      errors.length > 0 && `${errors.length} row(s) with errors skipped`,
+      emailsQueued > 0 && `welcome emails queued for ${emailsQueued}`,
+    ].filter(Boolean);
+
+    res.json({
+      success: true,
+      message: `Created ${created.length} staff account(s)${notes.length ? ` - ${notes.join(', ')}` : ''}`,
+      data: {
+        created: created.length,
+        duplicates: duplicates.length + skipped,
+        errors,
+        emails_queued: emailsQueued,
+        // So login details can be shared directly when emails are not sent
+        users: created,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download the staff upload template, with the institution's ranks and faculties
+ * GET /:institutionId/users/template
+ */
+const downloadTemplate = async (req, res, next) => {
+  try {
+    const institutionId = parseInt(req.params.institutionId);
+    const [ranks, faculties] = await Promise.all([
+      query(
+        "SELECT code, name FROM ranks WHERE institution_id = ? AND status = 'active' ORDER BY priority_number, name",
+        [institutionId]
+      ),
+      query("SELECT name, code FROM faculties WHERE institution_id = ? AND status = 'active' ORDER BY name", [institutionId]),
+    ]);
+
+    const workbook = XLSX.utils.book_new();
+    const templateData = [
+      {
+        name: 'Dr. Ada Obi', email: 'ada.obi@example.edu.ng', phone: '08012345678', role: 'supervisor',
+        rank_code: ranks[0]?.code || 'CL', faculty: faculties[0]?.name || 'Faculty of Education',
+        file_number: 'P0101', is_dean: 'no',
+      },
+      {
+        name: 'Mr. Tunde Bello', email: 'tunde.bello@example.edu.ng', phone: '', role: 'field_monitor',
+        rank_code: ranks[1]?.code || ranks[0]?.code || 'PL', faculty: '', file_number: 'P0102', is_dean: 'no',
+      },
+    ];
+    const worksheet = XLSX.utils.json_to_sheet(templateData);
+    worksheet['!cols'] = [{ wch: 25 }, { wch: 30 }, { wch: 15 }, { wch: 28 }, { wch: 12 }, { wch: 30 }, { wch: 14 }, { wch: 8 }];
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Staff');
+
+    // Reference sheets: what rank_code, faculty and role may contain
+    XLSX.utils.book_append_sheet(
+      workbook, XLSX.utils.json_to_sheet(ranks.length ? ranks : [{ code: '', name: 'No ranks set up yet' }]), 'Ranks'
+    );
+    XLSX.utils.book_append_sheet(
+      workbook, XLSX.utils.json_to_sheet(faculties.length ? faculties : [{ name: 'No faculties set up yet', code: '' }]), 'Faculties'
+    );
+    XLSX.utils.book_append_sheet(
+      workbook, XLSX.utils.json_to_sheet(IMPORT_ROLES.map((role) => ({ role, description: getRoleDisplayName(role) }))), 'Roles'
+    );
+
+    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+    res.setHeader('Content-Disposition', 'attachment; filename=staff_upload_template.xlsx');
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.send(buffer);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  IMPORT_ROLES,
+  uploadFromExcel,
+  downloadTemplate,
+};
@@ -14,6 +14,9 @@ const { query, transaction } = require('../db/database');
 const { NotFoundError, ValidationError } = require('../utils/errors');
 const { encryptStudentPin, decryptStudentPin } = require('../services/encryptionService');
 const { hashPassword, BULK_BCRYPT_ROUNDS } = require('./authController');
+const emailQueueService = require('../services/emailQueueService');
+const smsService = require('../services/smsService');
+const auditService = require('../services/auditService');
 
 // Validation schemas
 const schemas = {
@@ -264,14 +267,12 @@ const create = async (req, res, next) => {
     }
 
     // Audit log
-    await query(
-      `INSERT INTO audit_logs (institution_id, user_id, user_type, action, resource_type,
-                               resource_id, details, ip_address)
-       VALUES (?, ?, 'staff', 'student_created', 'student', ?, ?, ?)`,
-      [parseInt(institutionId), req.user.id, result.insertId,
-       JSON.stringify({ registration_number: normalizedRegNumber, full_name: normalizedFullName }),
-       req.ip]
-    );
+    await auditService.log(req, {
+      action: 'student_created',
+      resourceType: 'student',
+      resourceId: result.insertId,
+      after: { registration_number: normalizedRegNumber, full_name: normalizedFullName },
+    });
 
     res.status(201).json({
       success: true,
@@ -301,7 +302,7 @@ const update = async (req, res, next) => {
 
     // Check student exists
     const existing = await query(
-      'SELECT id FROM students WHERE id = ? AND institution_id = ?',
+      'SELECT * FROM students WHERE id = ? AND institution_id = ?',
       [parseInt(id), parseInt(institutionId)]
     );
     
@@ -339,20 +340,20 @@ const update = async (req, res, next) => {
       );
     }
 
-    // Audit log
-    await query(
-      `INSERT INTO audit_logs (institution_id, user_id, user_type, action, resource_type, 
-                               resource_id, details, ip_address)
-       VALUES (?, ?, 'staff', 'student_updated', 'student', ?, ?, ?)`,
-      [parseInt(institutionId), req.user.id, parseInt(id), JSON.stringify(updates), req.ip]
-    );
-
     // Fetch updated student
     const students = await query(
       'SELECT * FROM students WHERE id = ? AND institution_id = ?',
       [parseInt(id), parseInt(institutionId)]
     );
 
+    await auditService.log(req, {
+      action: 'student_updated',
+      resourceType: 'student',
+      resourceId: parseInt(id),
+      before: existing[0],
+      after: students[0],
+    });
+
     res.json({
       success: true,
       message: 'Student updated successfully',
@@ -389,12 +390,12 @@ const remove = async (req, res, next) => {
     );
 
     // Audit log
-    await query(
-      `INSERT INTO audit_logs (institution_id, user_id, user_type, action, resource_type, 
-                               resource_id, details, ip_address)
-       VALUES (?, ?, 'staff', 'student_deleted', 'student', ?, ?, ?)`,
-      [parseInt(institutionId), req.user.id, parseInt(id), JSON.stringify({ full_name: student.full_name, registration_number: student.registration_number }), req.ip]
-    );
+    await auditService.log(req, {
+      action: 'student_deleted',
+      resourceType: 'student',
+      resourceId: parseInt(id),
+      before: student,
+    });
 
     res.json({
       success: true,
@@ -433,12 +434,33 @@ const resetPin = async (req, res, next) => {
     );
 
     // Audit log
-    await query(
-      `INSERT INTO audit_logs (institution_id, user_id, user_type, action, resource_type, 
-                               resource_id, ip_address)
-       VALUES (?, ?, 'staff', 'student_pin_reset', 'student', ?, ?)`,
-      [parseInt(institutionId), req.user.id, parseInt(id), req.ip]
-    );
+    await auditService.log(req, {
+      action: 'student_pin_reset',
+      resourceType: 'student',
+      resourceId: parseInt(id),
+    });
+
+    // Text the new PIN to the student when SMS notifications are on
+    let smsQueued = false;
+    try {
+      const phone = await smsService.getStudentPhone(parseInt(institutionId), student.id);
+      const jobId = await emailQueueService.queueSms(
+        parseInt(institutionId),
+        {
+          to: phone,
+          template: 'pinReset',
+          data: {
+            name: student.full_name,
+            registrationNumber: student.registration_number,
+            pin: newPin,
+          },
+        },
+        { priority: 'high' }
+      );
+      smsQueued = !!jobId;
+    } catch (smsError) {
+      console.error('[STUDENTS] Failed to queue PIN reset SMS:', smsError.message);
+    }
 
     res.json({
       success: true,
@@ -447,6 +469,7 @@ const resetPin = async (req, res, next) => {
         registration_number: student.registration_number,
         full_name: student.full_name,
         new_pin: newPin,
+        sms_queued: smsQueued,
       },
     });
   } catch (error) {
@@ -801,13 +824,11 @@ const uploadFromExcel = async (req, res, next) => {
     }
 
     // Audit log
-    await query(
-      `INSERT INTO audit_logs (institution_id, user_id, user_type, action, resource_type, details, ip_address)
-       VALUES (?, ?, 'staff', 'students_bulk_upload', 'student', ?, ?)`,
-      [parseInt(institutionId), req.user.id,
-       JSON.stringify({ total_uploaded: rawData.length, inserted: insertedStudents.length, skipped: skippedCount, errors: insertErrors.length }),
-       req.ip]
-    );
+    await auditService.log(req, {
+      action: 'students_bulk_upload',
+      resourceType: 'student',
+      details: { total_uploaded: rawData.length, inserted: insertedStudents.length, skipped: skippedCount, errors: insertErrors.length },
+    });
 
     const skipMsg = skippedCount > 0 ? `, ${skippedCount} skipped (already in session)` : '';
     res.json({
@@ -0,0 +1,130 @@
+/**
+ * Two-Factor Controller
+ *
+ * MedeePay Pattern: Direct SQL via twoFactorService
+ * A signed-in staff member's own two-factor settings: enrol an authenticator
+ * app, turn it off, and replace recovery codes. The sign-in steps live in
+ * authController (verifyTwoFactorLogin and the enrol-at-login pair).
+ */
+
+const { z } = require('zod');
+const { ValidationError } = require('../utils/errors');
+const auditService = require('../services/auditService');
+const twoFactorService = require('../services/twoFactorService');
+
+const schemas = {
+  enable: z.object({
+    body: z.object({
+      code: z.string().trim().min(6, 'Enter the code from your authenticator app').max(20),
+    }),
+  }),
+};
+
+function audit(req, action, details = {}) {
+  return auditService.log(req, {
+    institutionId: req.user.institution_id || null,
+    action,
+    resourceType: 'user',
+    resourceId: req.user.id,
+    details,
+  });
+}
+
+/**
+ * Two-factor state for the signed-in user
+ * GET /auth/2fa
+ */
+const getStatus = async (req, res, next) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user);
+    res.json({ success: true, data: status });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start enrolment: secret and QR code for the authenticator app
+ * POST /auth/2fa/setup
+ */
+const setup = async (req, res, next) => {
+  try {
+    const enrolment = await twoFactorService.startEnrolment(req.user);
+    res.json({ success: true, data: enrolment });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm enrolment with the first code; returns the recovery codes, once
+ * POST /auth/2fa/enable
+ */
+const enable = async (req, res, next) => {
+  try {
+    const recoveryCodes = await twoFactorService.confirmEnrolment(req.user.id, req.body.code);
+    await twoFactorService.markSessionVerified(req.sessionId);
+    await audit(req, 'two_factor_enabled');
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication is on',
+      data: { recovery_codes: recoveryCodes },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Turn two-factor off (step-up: password and code)
+ * POST /auth/2fa/disable
+ */
+const disable = async (req, res, next) => {
+  try {
+    const { required } = await twoFactorService.getRequirement(req.user);
+    if (required) {
+      throw new ValidationError('Your institution requires two-factor authentication for your role');
+    }
+
+    await twoFactorService.disable(req.user.id);
+    await audit(req, 'two_factor_disabled');
+
+    res.json({ success: true, message: 'Two-factor authentication is off' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the recovery codes (step-up: password and code)
+ * POST /auth/2fa/recovery-codes
+ */
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user);
+    if (!status.enabled) {
+      throw new ValidationError('Two-factor authentication is not on for this account');
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id);
+    await audit(req, 'two_factor_recovery_codes_regenerated');
+
+    res.json({
+      success: true,
+      message: 'New recovery codes issued - the old ones no longer work',
+      data: { recovery_codes: recoveryCodes },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  schemas,
+  getStatus,
+  setup,
+  enable,
+  disable,
+  regenerateRecoveryCodes,
+};
@@ -0,0 +1,136 @@
+/**
+ * Visit Compliance Controller
+ *
+ * MedeePay Pattern: Direct SQL with institutionId from route params
+ * Expected versus verified supervision visits per posting, the finance
+ * export used to withhold allowances for unverified visits, and visit
+ * reminders (see visitComplianceService)
+ */
+
+const { z } = require('zod');
+const XLSX = require('xlsx');
+const visitComplianceService = require('../services/visitComplianceService');
+
+const filterFields = {
+  session_id: z.coerce.number().int().positive().optional(),
+  supervisor_id: z.coerce.number().int().positive().optional(),
+  school_id: z.coerce.number().int().positive().optional(),
+  visit_number: z.coerce.number().int().min(1).optional(),
+  status: z.enum(visitComplianceService.STATUSES).optional(),
+};
+
+const schemas = {
+  report: z.object({
+    query: z.object(filterFields),
+  }),
+  sendReminders: z.object({
+    body: z.object({
+      days_before: z.number().int().min(0).max(14).optional(),
+    }),
+  }),
+};
+
+const STATUS_LABELS = {
+  on_time: 'On time',
+  late: 'Late',
+  out_of_geofence: 'Out of geofence',
+  missing: 'Missing',
+  pending: 'Pending',
+  no_timeline: 'No timeline',
+};
+
+const dateOnly = (value) => (value ? new Date(value).toLocaleDateString('en-CA') : '');
+
+/**
+ * Compliance report: one row per posting, with a summary
+ * GET /:institutionId/visit-compliance
+ */
+const getReport = async (req, res, next) => {
+  try {
+    const rows = await visitComplianceService.getComplianceRows(req.params.institutionId, req.query);
+
+    res.json({
+      success: true,
+      data: {
+        summary: visitComplianceService.summarise(rows),
+        rows,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Finance export: every posting with its allowance and the amount withheld
+ * for an unverified (missing or out-of-geofence) visit, plus the session's
+ * TETFund when every visit that session is unverified
+ * GET /:institutionId/visit-compliance/export
+ */
+const exportReport = async (req, res, next) => {
+  try {
+    const rows = await visitComplianceService.getComplianceRows(req.params.institutionId, req.query);
+
+    const sheetRows = rows.map((row) => ({
+      'Supervisor': row.supervisor_name,
+      'File Number': row.file_number || '',
+      'Session': row.session_name,
+      'School': row.school_name || '',
+      'Group': row.group_number,
+      'Visit': row.visit_number,
+      'Window Opens': dateOnly(row.window_start),
+      'Window Closes': dateOnly(row.window_end),
+      'Checked In At': row.checked_in_at ? new Date(row.checked_in_at).toISOString() : '',
+      'Device Claimed At': row.claimed_at ? new Date(row.claimed_at).toISOString() : '',
+      'Needs Review': row.needs_review ? 'YES' : 'NO',
+      'Status': STATUS_LABELS[row.status],
+      'Failed Attempts': row.attempts,
+      'Allowance': row.allowance_total,
+      'Withhold': row.withhold ? 'YES' : 'NO',
+      'TETFund Withheld': row.tetfund_withheld,
+      'Amount Withheld': (row.withhold ? row.allowance_total : 0) + row.tetfund_withheld,
+    }));
+
+    const workbook = XLSX.utils.book_new();
+    const worksheet = XLSX.utils.json_to_sheet(sheetRows);
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Visit Compliance');
+
+    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=visit_compliance_${date}.xlsx`);
+    res.send(buffer);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remind supervisors now of unverified visits whose window is about to close
+ * (also swept hourly)
+ * POST /:institutionId/visit-compliance/reminders
+ */
+const sendReminders = async (req, res, next) => {
+  try {
+    const sent = await visitComplianceService.sendVisitReminders({
+      institutionId: req.params.institutionId,
+      daysBefore: req.body.days_before,
+    });
+
+    res.json({
+      success: true,
+      message: sent > 0 ? `Sent ${sent} visit reminder(s)` : 'No supervisors need a reminder right now',
+      data: { sent },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  schemas,
+  getReport,
+  exportReport,
+  sendReminders,
+};
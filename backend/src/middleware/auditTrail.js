@@ -0,0 +1,101 @@
+/**
+ * Audit Trail Middleware
+ * Records a generic audit entry for every successful mutating request that
+ * its controller didn't audit itself (via auditService.log).
+ *
+ * Mounted once in front of all API routes. The entry is written when the
+ * response finishes, by which point authentication has set req.user and
+ * routing has set req.route / req.params for the matched endpoint:
+ *
+ *   PUT /api/3/routes/12  ->  action 'routes_update', resource 'routes' #12
+ *
+ * Details hold the route pattern and the request body (sensitive fields
+ * redacted). Controllers that know the before and after state of a record
+ * should call auditService.log() instead, which records the field changes.
+ */
+
+const auditService = require('../services/auditService');
+
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+const METHOD_VERBS = {
+  POST: 'create',
+  PUT: 'update',
+  PATCH: 'update',
+  DELETE: 'delete',
+};
+
+// Requests that are audited elsewhere or are too routine to be worth a row
+const SKIPPED_PATHS = [
+  /^\/auth\//, // authController logs sign-ins itself
+  /^\/public\//,
+  /^\/sso\//,
+  /\/notifications(\/|$)/, // marking notifications read
+];
+
+const MAX_BODY_LENGTH = 4000;
+
+/**
+ * Action and resource for a matched route pattern, e.g.
+ * /:institutionId/school-update-requests/principal/:id/approve
+ *   -> { resourceType: 'school_update_requests', action: 'school_update_requests_principal_approve' }
+ */
+function describeRoute(method, routePath) {
+  const segments = routePath.split('/').filter(Boolean);
+  const names = segments
+    .filter((segment) => !segment.startsWith(':') && segment !== 'global' && segment !== 'portal')
+    .map((segment) => segment.replace(/-/g, '_'));
+
+  const resourceType = names[0] || 'api';
+  // /:id/approve style endpoints name their own action; otherwise use the method
+  const [previous = '', last = ''] = segments.slice(-2);
+  const endsWithAction = names.length > 1 && previous.startsWith(':') && !last.startsWith(':');
+  const action = endsWithAction ? names.join('_') : [...names, METHOD_VERBS[method]].join('_');
+
+  return { resourceType, action };
+}
+
+function resourceIdFrom(params = {}) {
+  const key = ['id', ...Object.keys(params).filter((name) => name !== 'institutionId' && /id$/i.test(name))]
+    .find((name) => params[name] !== undefined && /^\d+$/.test(String(params[name])));
+  return key ? parseInt(params[key]) : null;
+}
+
+function summarizeBody(body) {
+  if (!body || typeof body !== 'object' || Object.keys(body).length === 0) return undefined;
+  const redacted = auditService.redact(body);
+  const json = JSON.stringify(redacted);
+  return json.length > MAX_BODY_LENGTH ? { truncated: true, keys: Object.keys(body) } : redacted;
+}
+
+function auditTrail(req, res, next) {
+  if (!MUTATING_METHODS.has(req.method) || SKIPPED_PATHS.some((pattern) => pattern.test(req.path))) {
+    return next();
+  }
+
+  res.on('finish', () => {
+    if (res.statusCode >= 400 || req.auditLogged || !req.user || !req.route) return;
+
+    const routePath = `${req.baseUrl || ''}${req.route.path}`.replace(/^\/api/, '');
+    const { resourceType, action } = describeRoute(req.method, routePath);
+
+    auditService.log(req, {
+      action,
+      resourceType,
+      resourceId: resourceIdFrom(req.params),
+      details: {
+        method: req.method,
+        route: routePath,
+        status: res.statusCode,
+        body: summarizeBody(req.body),
+      },
+    });
+  });
+
+  next();
+}
+
+module.exports = {
+  auditTrail,
+  describeRoute,
+};
@@ -26,6 +26,8 @@ const {
 const validate = require('./validate');
 const { errorHandler, AppError, asyncHandler } = require('./errorHandler');
 const { requireFeature, requireAllFeatures, requireAnyFeature } = require('./featureToggle');
+const { requireUnlockedSession, ensureSessionUnlocked } = require('./sessionLock');
+const { auditTrail } = require('./auditTrail');
 
 const {
   addRequestId,
@@ -39,6 +41,7 @@ const {
 const {
   createRateLimiter,
   authRateLimiter,
+  twoFactorRateLimiter,
   apiRateLimiter,
   publicRateLimiter,
   uploadRateLimiter,
@@ -111,6 +114,13 @@ module.exports = {
   requireAllFeatures,
   requireAnyFeature,
 
+  // Session Locking
+  requireUnlockedSession,
+  ensureSessionUnlocked,
+
+  // Audit
+  auditTrail,
+
   // Security
   addRequestId,
   sanitizeRequest,
@@ -122,6 +132,7 @@ module.exports = {
   // Rate Limiting
   createRateLimiter,
   authRateLimiter,
+  twoFactorRateLimiter,
   apiRateLimiter,
   publicRateLimiter,
   uploadRateLimiter,
@@ -1,17 +1,28 @@
 /**
  * Rate Limiter Middleware
- * Token bucket rate limiting for API protection
+ * Fixed-window rate limiting for API protection
+ *
+ * Counters live in the shared key-value store, so every worker draws on the
+ * same budget for a key. Windows are aligned to the clock (one counter per key
+ * per window), so the reset time is known without asking the store.
+ *
+ * Keys are hashed before they reach the store: they contain request fields
+ * (e.g. the login email), and an over-long key must not be able to make the
+ * store write fail.
  */
 
+const crypto = require('crypto');
 const config = require('../config');
+const keyValueStore = require('../services/keyValueStore');
+const twoFactorService = require('../services/twoFactorService');
 
-// In-memory store for rate limiting
-// In production, use Redis for distributed rate limiting
-const rateLimitStore = new Map();
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
 
 /**
  * Create a rate limiter middleware
  * @param {Object} options - Rate limit configuration
+ * @param {boolean} [options.failClosed=false] - Answer 503 instead of letting
+ *   requests through when the store is unavailable (login and other brute-force targets)
  * @returns {Function} Express middleware
  */
 const createRateLimiter = (options = {}) => {
@@ -20,36 +31,40 @@ const createRateLimiter = (options = {}) => {
   const keyGenerator = options.keyGenerator || ((req) => req.ip);
   const skipSuccessfulRequests = options.skipSuccessfulRequests || false;
   const message = options.message || 'Too many requests, please try again later.';
+  const failClosed = options.failClosed || false;
 
-  return (req, res, next) => {
-    const key = keyGenerator(req);
+  return async (req, res, next) => {
     const now = Date.now();
-    const windowStart = now - windowMs;
-
-    // Get or create rate limit entry
-    let entry = rateLimitStore.get(key);
-
-    if (!entry || entry.windowStart < windowStart) {
-      entry = {
-        windowStart: now,
-        count: 0,
-        blocked: false,
-      };
+    const windowIndex = Math.floor(now / windowMs);
+    const windowEnd = (windowIndex + 1) * windowMs;
+    const key = `rate:${hashKey(keyGenerator(req))}:${windowIndex}`;
+
+    let count;
+    try {
+      count = await keyValueStore.increment(key, windowEnd - now);
+    } catch (error) {
+      console.error('[RATE LIMIT] Store unavailable:', error.message);
+      if (failClosed) {
+        return res.status(503).json({
+          success: false,
+          message: 'Service temporarily unavailable. Please try again shortly.',
+          errorCode: 'SERVICE_UNAVAILABLE',
+        });
+      }
+      // General limits fail open: a store outage should not take the whole API down with it
+      return next();
     }
 
-    // Clean up old entries periodically
-    if (Math.random() < 0.01) {
-      cleanupOldEntries(windowMs);
-    }
+    const resetAt = new Date(windowEnd).toISOString();
 
     // Check if blocked
-    if (entry.count >= maxRequests) {
-      const retryAfter = Math.ceil((entry.windowStart + windowMs - now) / 1000);
+    if (count > maxRequests) {
+      const retryAfter = Math.ceil((windowEnd - now) / 1000);
 
       res.setHeader('Retry-After', retryAfter);
       res.setHeader('X-RateLimit-Limit', maxRequests);
       res.setHeader('X-RateLimit-Remaining', 0);
-      res.setHeader('X-RateLimit-Reset', new Date(entry.windowStart + windowMs).toISOString());
+      res.setHeader('X-RateLimit-Reset', resetAt);
 
       return res.status(429).json({
         success: false,
@@ -59,22 +74,19 @@ const createRateLimiter = (options = {}) => {
       });
     }
 
-    // Increment count
-    entry.count++;
-    rateLimitStore.set(key, entry);
-
     // Set rate limit headers
     res.setHeader('X-RateLimit-Limit', maxRequests);
-    res.setHeader('X-RateLimit-Remaining', Math.max(0, maxRequests - entry.count));
-    res.setHeader('X-RateLimit-Reset', new Date(entry.windowStart + windowMs).toISOString());
+    res.setHeader('X-RateLimit-Remaining', Math.max(0, maxRequests - count));
+    res.setHeader('X-RateLimit-Reset', resetAt);
 
     // Skip counting successful requests if configured
     if (skipSuccessfulRequests) {
       const originalSend = res.send;
       res.send = function (body) {
         if (res.statusCode >= 200 && res.statusCode < 300) {
-          entry.count--;
-          rateLimitStore.set(key, entry);
+          keyValueStore.decrement(key).catch((error) => {
+            console.error('[RATE LIMIT] Could not release hit:', error.message);
+          });
         }
         return originalSend.call(this, body);
       };
@@ -84,20 +96,6 @@ const createRateLimiter = (options = {}) => {
   };
 };
 
-/**
- * Clean up old rate limit entries
- */
-const cleanupOldEntries = (windowMs) => {
-  const now = Date.now();
-  const windowStart = now - windowMs;
-
-  for (const [key, entry] of rateLimitStore.entries()) {
-    if (entry.windowStart < windowStart) {
-      rateLimitStore.delete(key);
-    }
-  }
-};
-
 // Pre-configured rate limiters
 const authRateLimiter = createRateLimiter({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -114,6 +112,21 @@ const authRateLimiter = createRateLimiter({
     return `auth:${req.ip}:${identifier}`;
   },
   message: 'Too many login attempts. Please try again in 15 minutes.',
+  failClosed: true,
+});
+
+// Second sign-in step: the body has a challenge token, not an email, so key on
+// the account the challenge is for - one budget per account wherever the
+// attempts come from. Wrong codes also lock the account (twoFactorService).
+const twoFactorRateLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  maxRequests: 10,
+  keyGenerator: (req) => {
+    const userId = twoFactorService.peekChallengeUser(req.body?.challenge_token);
+    return userId ? `2fa:user:${userId}` : `2fa:ip:${req.ip}`;
+  },
+  message: 'Too many attempts. Please try again in 15 minutes.',
+  failClosed: true,
 });
 
 const apiRateLimiter = createRateLimiter({
@@ -140,11 +153,13 @@ const sensitiveRateLimiter = createRateLimiter({
   maxRequests: 10,
   keyGenerator: (req) => `sensitive:${req.ip}:${req.user?.id || 'anon'}`,
   message: 'Rate limit exceeded for sensitive operations.',
+  failClosed: true,
 });
 
 module.exports = {
   createRateLimiter,
   authRateLimiter,
+  twoFactorRateLimiter,
   apiRateLimiter,
   publicRateLimiter,
   uploadRateLimiter,
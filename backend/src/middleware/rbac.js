@@ -15,6 +15,7 @@
  */
 
 const { query } = require('../db/database');
+const auditService = require('../services/auditService');
 
 /**
  * Role definitions
@@ -193,26 +194,18 @@ function hasMinimumRole(user, minRole) {
  * Log security events for audit trail
  * @param {Object} data - Security event data
  */
-async function logSecurityEvent(data) {
-  try {
-    await query(
-      `INSERT INTO audit_logs 
-       (institution_id, user_id, user_type, action, resource_type, details, ip_address, user_agent, created_at)
-       VALUES (?, ?, ?, ?, 'security', ?, ?, ?, NOW())`,
-      [
-        data.institutionId || null,
-        data.userId || null,
-        data.userType || 'unknown',
-        data.action,
-        JSON.stringify(data.details || {}),
-        data.ipAddress || null,
-        data.userAgent || null,
-      ]
-    );
-  } catch (error) {
-    // Don't let logging failures break the request
-    console.error('[SECURITY] Failed to log security event:', error.message);
-  }
+function logSecurityEvent(data) {
+  // auditService never throws, so logging failures can't break the request
+  return auditService.record({
+    institutionId: data.institutionId || null,
+    userId: data.userId || null,
+    userType: data.userType,
+    action: data.action,
+    resourceType: 'security',
+    details: data.details || {},
+    ipAddress: data.ipAddress || null,
+    userAgent: data.userAgent || null,
+  });
 }
 
 /**
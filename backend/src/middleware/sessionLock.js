@@ -0,0 +1,137 @@
+/**
+ * Session Lock Middleware
+ * Rejects writes against a locked academic session.
+ *
+ * MedeePay Pattern: Direct SQL queries, institution from req.institution
+ * (set by requireInstitutionAccess). Place after validation/upload middleware
+ * so req.body is populated.
+ *
+ * The session is resolved, in order, from:
+ *   1. The record being changed (options.resource) when the route has an :id
+ *   2. req.body.session_id / req.query.session_id
+ *   3. The institution's current session (what the controllers default to)
+ *
+ * SUPER ADMIN OVERRIDE:
+ * A super admin may write to a locked session by sending the
+ * X-Session-Lock-Override header with a reason. Every override is audited.
+ */
+
+const { query } = require('../db/database');
+const {
+  SessionLockedError,
+  AuthorizationError,
+  ValidationError,
+  ServiceUnavailableError,
+} = require('../utils/errors');
+const auditService = require('../services/auditService');
+
+const OVERRIDE_HEADER = 'x-session-lock-override';
+
+/**
+ * Resolve the session a request writes to
+ * @param {Object} req - Express request
+ * @param {number} institutionId
+ * @param {Object} [resource] - { table, param = 'id', column = 'session_id' }
+ * @returns {Promise<Object|null>} Session row { id, name, is_locked }
+ */
+async function resolveSession(req, institutionId, resource) {
+  if (resource && req.params[resource.param || 'id']) {
+    const [row] = await query(
+      `SELECT s.id, s.name, s.is_locked
+       FROM ${resource.table} r
+       JOIN academic_sessions s ON s.id = r.${resource.column || 'session_id'}
+       WHERE r.id = ? AND r.institution_id = ?`,
+      [parseInt(req.params[resource.param || 'id']), institutionId]
+    );
+    // Unknown record - let the controller return its own 404
+    return row || null;
+  }
+
+  const sessionId = req.body?.session_id || req.query?.session_id;
+  if (sessionId) {
+    const [session] = await query(
+      'SELECT id, name, is_locked FROM academic_sessions WHERE id = ? AND institution_id = ?',
+      [parseInt(sessionId), institutionId]
+    );
+    return session || null;
+  }
+
+  const [current] = await query(
+    `SELECT id, name, is_locked FROM academic_sessions
+     WHERE institution_id = ? AND is_current = 1
+     ORDER BY created_at DESC LIMIT 1`,
+    [institutionId]
+  );
+  return current || null;
+}
+
+/**
+ * Throw unless the session is unlocked or a super admin overrides the lock.
+ * Usable directly from controllers that load the session themselves.
+ * @param {Object} req - Express request
+ * @param {Object} session - Session row { id, name, is_locked }
+ * @param {number} institutionId
+ * @throws {SessionLockedError|AuthorizationError|ValidationError|ServiceUnavailableError}
+ */
+async function ensureSessionUnlocked(req, session, institutionId) {
+  if (!session || !session.is_locked) return;
+
+  const overrideHeader = req.get?.(OVERRIDE_HEADER);
+  if (overrideHeader === undefined) {
+    throw new SessionLockedError(
+      `Session "${session.name}" is locked. Unlock it in session settings before making changes.`
+    );
+  }
+
+  if (req.user?.role !== 'super_admin') {
+    throw new AuthorizationError('Only a super admin can override a session lock');
+  }
+
+  const reason = String(overrideHeader).trim();
+  if (reason.length < 5) {
+    throw new ValidationError('A reason of at least 5 characters is required to override a session lock');
+  }
+
+  // record() rather than log(): the change itself still gets its own entry.
+  // record() never throws, so an override that could not be audited is refused here.
+  const audited = await auditService.record({
+    institutionId,
+    userId: req.user.id,
+    userType: 'staff',
+    action: 'session_lock_override',
+    resourceType: 'academic_session',
+    resourceId: session.id,
+    details: { method: req.method, path: req.originalUrl, reason: reason.slice(0, 500) },
+    ipAddress: req.ip,
+  });
+  if (!audited) {
+    throw new ServiceUnavailableError('The session lock override could not be recorded. Please try again.');
+  }
+  req.sessionLockOverridden = true;
+}
+
+/**
+ * Require the target session to be unlocked
+ * @param {Object} [options]
+ * @param {Object} [options.resource] - Table holding the record named by a route param,
+ *   e.g. { table: 'supervisor_postings' } or { table: 'auto_posting_batches', param: 'batchId' }
+ * @returns {Function} Express middleware
+ */
+const requireUnlockedSession = (options = {}) => {
+  return async (req, res, next) => {
+    try {
+      const institutionId = req.institution?.id || req.institutionId || parseInt(req.params.institutionId);
+      const session = await resolveSession(req, institutionId, options.resource);
+      await ensureSessionUnlocked(req, session, institutionId);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  requireUnlockedSession,
+  ensureSessionUnlocked,
+  OVERRIDE_HEADER,
+};
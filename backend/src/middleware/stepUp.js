@@ -0,0 +1,27 @@
+/**
+ * Step-Up Middleware
+ * Re-confirms who is at the keyboard before a sensitive action.
+ *
+ * The request body carries the current password, plus a code from the
+ * authenticator app (or a recovery code) when the account has two-factor on:
+ *   { password, code }
+ * The frontend collects both with PasswordConfirmDialog.
+ *
+ * Place before validate() - the zod schemas strip fields they do not know.
+ */
+
+const twoFactorService = require('../services/twoFactorService');
+
+const requireStepUp = async (req, res, next) => {
+  try {
+    const { password, code } = req.body || {};
+    req.stepUpMethod = await twoFactorService.verifyStepUp(req.user, { password, code }, req.sessionId);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  requireStepUp,
+};
@@ -5,11 +5,13 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const acceptanceController = require('../controllers/acceptanceController');
+const schoolPreferenceController = require('../controllers/schoolPreferenceController');
 const { authenticate } = require('../middleware/auth');
 const { requireInstitutionAccess, staffOnly } = require('../middleware/rbac');
 const { requireFeature } = require('../middleware/featureToggle');
 const validate = require('../middleware/validate');
 const { uploadRateLimiter } = require('../middleware/rateLimiter');
+const { requireUnlockedSession } = require('../middleware/sessionLock');
 
 // Use memory storage for Cloudinary upload
 const upload = multer({
@@ -25,12 +27,16 @@ router.get('/:institutionId/acceptances', authenticate, requireInstitutionAccess
 router.get('/:institutionId/acceptances/statistics', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_management'), acceptanceController.getStatistics);
 router.get('/:institutionId/acceptances/filter-options', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_management'), acceptanceController.getFilterOptions);
 router.get('/:institutionId/acceptances/:id', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_management'), acceptanceController.getById);
-router.post('/:institutionId/acceptances', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_management'), validate(acceptanceController.schemas.create), acceptanceController.create);
-router.put('/:institutionId/acceptances/:id', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_management'), validate(acceptanceController.schemas.update), acceptanceController.update);
-router.put('/:institutionId/acceptances/:id/review', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_management'), validate(acceptanceController.schemas.review), acceptanceController.update);
-router.delete('/:institutionId/acceptances/:id', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_management'), acceptanceController.remove);
-router.post('/:institutionId/acceptances/:id/upload', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_management'), uploadRateLimiter, upload.single('file'), acceptanceController.uploadImage);
-router.post('/:institutionId/acceptances/:id/upload-image', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_management'), uploadRateLimiter, upload.single('image'), acceptanceController.uploadImage);
-router.post('/:institutionId/acceptances/bulk', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_management'), acceptanceController.bulkCreate);
+router.post('/:institutionId/acceptances', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_management'), validate(acceptanceController.schemas.create), requireUnlockedSession(), acceptanceController.create);
+router.put('/:institutionId/acceptances/:id', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_management'), validate(acceptanceController.schemas.update), requireUnlockedSession({ resource: { table: 'student_acceptances' } }), acceptanceController.update);
+router.put('/:institutionId/acceptances/:id/review', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_management'), validate(acceptanceController.schemas.review), requireUnlockedSession({ resource: { table: 'student_acceptances' } }), acceptanceController.update);
+router.delete('/:institutionId/acceptances/:id', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_management'), requireUnlockedSession({ resource: { table: 'student_acceptances' } }), acceptanceController.remove);
+router.post('/:institutionId/acceptances/:id/upload', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_management'), uploadRateLimiter, upload.single('file'), requireUnlockedSession({ resource: { table: 'student_acceptances' } }), acceptanceController.uploadImage);
+router.post('/:institutionId/acceptances/:id/upload-image', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_management'), uploadRateLimiter, upload.single('image'), requireUnlockedSession({ resource: { table: 'student_acceptances' } }), acceptanceController.uploadImage);
+router.post('/:institutionId/acceptances/bulk', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_management'), requireUnlockedSession(), acceptanceController.bulkCreate);
+
+// Student school preferences - how placements matched, and a preference-based plan
+router.get('/:institutionId/school-preferences/report', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_management'), schoolPreferenceController.getReport);
+router.post('/:institutionId/school-preferences/placement-plan', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_management'), validate(schoolPreferenceController.schemas.placement), schoolPreferenceController.getPlacementPlan);
 
 module.exports = router;
@@ -0,0 +1,26 @@
+/**
+ * Audit Log Routes - MedeePay Pattern
+ *
+ * Activity log viewer and CSV export over audit_logs.
+ * Global routes are declared first so /global/... is never read as an institution id.
+ *
+ * 🔒 SECURITY: Institution routes require head_of_teaching_practice or super_admin;
+ * global routes require super_admin
+ */
+const express = require('express');
+const router = express.Router();
+const auditLogController = require('../controllers/auditLogController');
+const { authenticate } = require('../middleware/auth');
+const { requireInstitutionAccess, isHeadOfTP, isSuperAdmin } = require('../middleware/rbac');
+
+// Global (all institutions, optional ?institution_id=)
+router.get('/global/audit-logs', authenticate, isSuperAdmin, auditLogController.getLogs);
+router.get('/global/audit-logs/filters', authenticate, isSuperAdmin, auditLogController.getFilters);
+router.get('/global/audit-logs/export', authenticate, isSuperAdmin, auditLogController.exportCsv);
+
+// Institution-scoped
+router.get('/:institutionId/audit-logs', authenticate, requireInstitutionAccess(), isHeadOfTP, auditLogController.getLogs);
+router.get('/:institutionId/audit-logs/filters', authenticate, requireInstitutionAccess(), isHeadOfTP, auditLogController.getFilters);
+router.get('/:institutionId/audit-logs/export', authenticate, requireInstitutionAccess(), isHeadOfTP, auditLogController.exportCsv);
+
+module.exports = router;
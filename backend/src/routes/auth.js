@@ -7,12 +7,19 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const twoFactorController = require('../controllers/twoFactorController');
 const { authenticate, requireValidSession } = require('../middleware/auth');
+const { staffOnly } = require('../middleware/rbac');
+const { requireStepUp } = require('../middleware/stepUp');
 const validate = require('../middleware/validate');
-const { authRateLimiter, sensitiveRateLimiter } = require('../middleware/rateLimiter');
+const { authRateLimiter, twoFactorRateLimiter, sensitiveRateLimiter } = require('../middleware/rateLimiter');
 
 // Public endpoints (no auth required)
 router.post('/auth/login', authRateLimiter, validate(authController.schemas.login), authController.login);
+// Second step when the account has (or policy requires) two-factor
+router.post('/auth/login/2fa', twoFactorRateLimiter, validate(authController.schemas.twoFactorLogin), authController.verifyTwoFactorLogin);
+router.post('/auth/login/2fa/setup', twoFactorRateLimiter, validate(authController.schemas.twoFactorLoginSetup), authController.startTwoFactorLoginSetup);
+router.post('/auth/login/2fa/enable', twoFactorRateLimiter, validate(authController.schemas.twoFactorLogin), authController.completeTwoFactorLoginSetup);
 router.post('/auth/student-login', authRateLimiter, validate(authController.schemas.studentLogin), authController.studentLogin);
 router.post('/auth/forgot-password', authRateLimiter, validate(authController.schemas.forgotPassword), authController.forgotPassword);
 router.post('/auth/reset-password', sensitiveRateLimiter, validate(authController.schemas.resetPassword), authController.resetPassword);
@@ -34,4 +41,11 @@ router.get('/auth/sessions', authenticate, authController.getActiveSessions);
 router.delete('/auth/sessions/:sessionId', authenticate, authController.revokeSession);
 router.post('/auth/sessions/revoke-all', authenticate, authController.revokeAllOtherSessions);
 
+// Two-factor authentication (staff)
+router.get('/auth/2fa', authenticate, staffOnly, twoFactorController.getStatus);
+router.post('/auth/2fa/setup', authenticate, staffOnly, requireValidSession, twoFactorController.setup);
+router.post('/auth/2fa/enable', authenticate, staffOnly, requireValidSession, sensitiveRateLimiter, validate(twoFactorController.schemas.enable), twoFactorController.enable);
+router.post('/auth/2fa/disable', authenticate, staffOnly, requireValidSession, sensitiveRateLimiter, requireStepUp, twoFactorController.disable);
+router.post('/auth/2fa/recovery-codes', authenticate, staffOnly, requireValidSession, sensitiveRateLimiter, requireStepUp, twoFactorController.regenerateRecoveryCodes);
+
 module.exports = router;
@@ -12,6 +12,7 @@ const autoPostingController = require('../controllers/autoPostingController');
 const { authenticate } = require('../middleware/auth');
 const { requireInstitutionAccess, isSuperAdmin } = require('../middleware/rbac');
 const { requireFeature } = require('../middleware/featureToggle');
+const { requireUnlockedSession } = require('../middleware/sessionLock');
 
 // ============================================================================
 // Auto-Posting Operations
@@ -44,6 +45,7 @@ router.post(
   requireInstitutionAccess(),
   isSuperAdmin,
   requireFeature('posting_management'),
+  requireUnlockedSession(),
   autoPostingController.executeAutoPosting
 );
 
@@ -60,6 +62,128 @@ router.get(
   autoPostingController.getAutoPostingHistory
 );
 
+// ============================================================================
+// What-if Scenarios
+// Named, saved previews with different criteria and weights, compared side by
+// side; the chosen one is executed from its stored assignments.
+// ============================================================================
+
+/**
+ * List scenarios for a session with their comparison metrics
+ */
+router.get(
+  '/:institutionId/auto-posting/scenarios',
+  authenticate,
+  requireInstitutionAccess(),
+  isSuperAdmin,
+  requireFeature('posting_management'),
+  autoPostingController.getScenarios
+);
+
+/**
+ * Plan and save a scenario
+ */
+router.post(
+  '/:institutionId/auto-posting/scenarios',
+  authenticate,
+  requireInstitutionAccess(),
+  isSuperAdmin,
+  requireFeature('posting_management'),
+  autoPostingController.createScenario
+);
+
+/**
+ * Get a scenario with its planned assignments
+ */
+router.get(
+  '/:institutionId/auto-posting/scenarios/:scenarioId',
+  authenticate,
+  requireInstitutionAccess(),
+  isSuperAdmin,
+  requireFeature('posting_management'),
+  autoPostingController.getScenario
+);
+
+/**
+ * Re-plan a scenario against the current postings
+ */
+router.post(
+  '/:institutionId/auto-posting/scenarios/:scenarioId/recompute',
+  authenticate,
+  requireInstitutionAccess(),
+  isSuperAdmin,
+  requireFeature('posting_management'),
+  autoPostingController.recomputeScenario
+);
+
+/**
+ * Create postings from a scenario
+ */
+router.post(
+  '/:institutionId/auto-posting/scenarios/:scenarioId/execute',
+  authenticate,
+  requireInstitutionAccess(),
+  isSuperAdmin,
+  requireFeature('posting_management'),
+  requireUnlockedSession({ resource: { table: 'auto_posting_scenarios', param: 'scenarioId' } }),
+  autoPostingController.executeScenario
+);
+
+/**
+ * Delete a scenario that has not been executed
+ */
+router.delete(
+  '/:institutionId/auto-posting/scenarios/:scenarioId',
+  authenticate,
+  requireInstitutionAccess(),
+  isSuperAdmin,
+  requireFeature('posting_management'),
+  autoPostingController.deleteScenario
+);
+
+// ============================================================================
+// Incremental Repair
+// Re-plan only the postings touched by late changes (withdrawn supervisor,
+// closed school, merged group) instead of rolling a whole batch back.
+// ============================================================================
+
+/**
+ * Supervisors, schools and merged groups a repair can refer to
+ */
+router.get(
+  '/:institutionId/auto-posting/repair/options',
+  authenticate,
+  requireInstitutionAccess(),
+  isSuperAdmin,
+  requireFeature('posting_management'),
+  autoPostingController.getRepairOptions
+);
+
+/**
+ * Preview the moves, cancellations and allowance changes of a repair
+ */
+router.post(
+  '/:institutionId/auto-posting/repair/preview',
+  authenticate,
+  requireInstitutionAccess(),
+  isSuperAdmin,
+  requireFeature('posting_management'),
+  autoPostingController.previewRepair
+);
+
+/**
+ * Apply a previewed repair
+ */
+router.post(
+  '/:institutionId/auto-posting/repair/apply',
+  authenticate,
+  requireInstitutionAccess(),
+  isSuperAdmin,
+  requireFeature('posting_management'),
+  requireUnlockedSession(),
+  autoPostingController.applyRepair
+);
+
 /**
  * Rollback an auto-posting batch
  * Cancels all postings created by a specific batch
@@ -70,6 +194,7 @@ router.post(
   requireInstitutionAccess(),
   isSuperAdmin,
   requireFeature('posting_management'),
+  requireUnlockedSession({ resource: { table: 'auto_posting_batches', param: 'batchId' } }),
   autoPostingController.rollbackAutoPosting
 );
 
@@ -0,0 +1,33 @@
+/**
+ * Email Log Routes - MedeePay Pattern
+ *
+ * Delivery logs and the email dead-letter queue.
+ * Global routes are declared first so /global/... is never read as an institution id.
+ *
+ * 🔒 SECURITY: Institution routes require head_of_teaching_practice or super_admin;
+ * global routes require super_admin
+ */
+const express = require('express');
+const router = express.Router();
+const emailLogController = require('../controllers/emailLogController');
+const { authenticate } = require('../middleware/auth');
+const { requireInstitutionAccess, isHeadOfTP, isSuperAdmin } = require('../middleware/rbac');
+const validate = require('../middleware/validate');
+
+// Global (all institutions, optional ?institution_id=)
+router.get('/global/email-logs', authenticate, isSuperAdmin, emailLogController.getLogs);
+router.get('/global/email-logs/stats', authenticate, isSuperAdmin, emailLogController.getStats);
+router.get('/global/email-logs/dead-letter', authenticate, isSuperAdmin, emailLogController.getDeadLetters);
+router.post('/global/email-logs/dead-letter/retry', authenticate, isSuperAdmin, validate(emailLogController.schemas.bulkRetry), emailLogController.bulkRetryDeadLetters);
+router.post('/global/email-logs/dead-letter/:jobId/retry', authenticate, isSuperAdmin, emailLogController.retryDeadLetter);
+router.delete('/global/email-logs/dead-letter', authenticate, isSuperAdmin, emailLogController.clearDeadLetters);
+
+// Institution-scoped
+router.get('/:institutionId/email-logs', authenticate, requireInstitutionAccess(), isHeadOfTP, emailLogController.getLogs);
+router.get('/:institutionId/email-logs/stats', authenticate, requireInstitutionAccess(), isHeadOfTP, emailLogController.getStats);
+router.get('/:institutionId/email-logs/dead-letter', authenticate, requireInstitutionAccess(), isHeadOfTP, emailLogController.getDeadLetters);
+router.post('/:institutionId/email-logs/dead-letter/retry', authenticate, requireInstitutionAccess(), isHeadOfTP, validate(emailLogController.schemas.bulkRetry), emailLogController.bulkRetryDeadLetters);
+router.post('/:institutionId/email-logs/dead-letter/:jobId/retry', authenticate, requireInstitutionAccess(), isHeadOfTP, emailLogController.retryDeadLetter);
+router.delete('/:institutionId/email-logs/dead-letter', authenticate, requireInstitutionAccess(), isHeadOfTP, emailLogController.clearDeadLetters);
+
+module.exports = router;
@@ -14,6 +14,8 @@
  * - GET /api/global/features - List all features with institution usage counts
  * - GET /api/global/payments - List all payments across institutions
  * - POST /api/global/payments/:id/verify - Verify a pending payment
+ * - GET /api/global/payments/reconciliations - Reconciliation runs across institutions
+ * - POST /api/global/payments/reconciliations - Reconcile an institution's payments
  */
 
 const express = require('express');
@@ -23,10 +25,11 @@ const { query, transaction } = require('../db/database');
 const { authenticate } = require('../middleware/auth');
 const { isSuperAdmin } = require('../middleware/rbac');
 const emailQueueService = require('../services/emailQueueService');
-const paystackService = require('../services/paystackService');
-const { encryptionService, emailService } = require('../services');
+const paymentGatewayService = require('../services/paymentGatewayService');
+const { emailService } = require('../services');
 const masterSchoolController = require('../controllers/masterSchoolController');
 const schoolRegistrationRequestController = require('../controllers/schoolRegistrationRequestController');
+const paymentReconciliationController = require('../controllers/paymentReconciliationController');
 const validate = require('../middleware/validate');
 
 const BCRYPT_ROUNDS = 12;
@@ -802,7 +805,7 @@ router.get(
           SUM(CASE WHEN sp.status = 'success' THEN 1 ELSE 0 END) as completed_count,
           SUM(CASE WHEN sp.status = 'pending' THEN 1 ELSE 0 END) as pending_count,
           SUM(CASE WHEN sp.status = 'failed' THEN 1 ELSE 0 END) as failed_count,
-          SUM(CASE WHEN sp.status = 'success' THEN sp.amount ELSE 0 END) as total_completed_amount,
+          SUM(CASE WHEN sp.status = 'success' THEN sp.amount - sp.refunded_amount ELSE 0 END) as total_completed_amount,
           SUM(CASE WHEN sp.status = 'pending' THEN sp.amount ELSE 0 END) as total_pending_amount
         FROM student_payments sp
         LEFT JOIN students st ON sp.student_id = st.id
@@ -816,7 +819,7 @@ router.get(
           i.name,
           i.code,
           COUNT(sp.id) as payment_count,
-          SUM(CASE WHEN sp.status = 'success' THEN sp.amount ELSE 0 END) as total_amount
+          SUM(CASE WHEN sp.status = 'success' THEN sp.amount - sp.refunded_amount ELSE 0 END) as total_amount
         FROM institutions i
         LEFT JOIN student_payments sp ON sp.institution_id = i.id
         GROUP BY i.id
@@ -851,6 +854,14 @@ router.get(
   }
 );
 
+/**
+ * Payment reconciliation across institutions - runs and their mismatch reports
+ * (registered before /global/payments/:id)
+ */
+router.get('/global/payments/reconciliations', authenticate, isSuperAdmin, validate(paymentReconciliationController.schemas.globalList), paymentReconciliationController.getGlobalRuns);
+router.get('/global/payments/reconciliations/:runId', authenticate, isSuperAdmin, paymentReconciliationController.getGlobalRun);
+router.post('/global/payments/reconciliations', authenticate, isSuperAdmin, validate(paymentReconciliationController.schemas.globalRun), paymentReconciliationController.runGlobalReconciliation);
+
 /**
  * GET /api/global/payments/:id
  * Get a specific payment with full details
@@ -903,7 +914,7 @@ router.get(
 
 /**
  * POST /api/global/payments/:id/verify
- * Verify a pending payment with Paystack
+ * Verify a pending payment with the gateway it was made through
  */
 router.post(
   '/global/payments/:id/verify',
@@ -915,9 +926,8 @@ router.post(
 
       // Get payment
       const payments = await query(`
-        SELECT sp.*, i.paystack_secret_key, st.full_name as student_name
+        SELECT sp.*, st.full_name as student_name
         FROM student_payments sp
-        LEFT JOIN institutions i ON sp.institution_id = i.id
         LEFT JOIN students st ON sp.student_id = st.id
         WHERE sp.id = ?
       `, [parseInt(id)]);
@@ -928,7 +938,7 @@ router.post(
 
       const payment = payments[0];
 
-      if (payment.status === 'success') {
+      if (['success', 'refunded'].includes(payment.status)) {
         return res.json({ success: true, message: 'Payment already verified', data: payment });
       }
 
@@ -937,30 +947,22 @@ router.post(
         return res.status(400).json({ success: false, message: 'No payment reference found' });
       }
 
-      // Get Paystack secret key (decrypt if needed)
-      let paystackKey = payment.paystack_secret_key;
-      if (paystackKey) {
-        try {
-          paystackKey = encryptionService.decrypt(paystackKey);
-        } catch (e) {
-          // Key may not be encrypted, use as-is
-        }
-      }
-      if (!paystackKey) {
-        paystackKey = process.env.PAYSTACK_SECRET_KEY;
-      }
+      // The institution's credentials for the gateway the payment was made through
+      const gatewayConfig = await paymentGatewayService.getGatewayConfig(payment.institution_id, {
+        gateway: payment.gateway,
+        envFallback: true,
+      });
 
-      if (!paystackKey) {
-        return res.status(400).json({ success: false, message: 'Paystack not configured for this institution' });
+      if (paymentGatewayService.configProblem(gatewayConfig)) {
+        return res.status(400).json({ success: false, message: 'Payment gateway not configured for this institution' });
       }
 
-      // Verify with Paystack using paystackService
-      const verifyResult = await paystackService.verifyTransaction(paystackKey, reference);
+      const verifyResult = await paymentGatewayService.verifyTransaction(gatewayConfig, reference);
 
       if (!verifyResult.success) {
         return res.json({
           success: false,
-          message: 'Paystack verification failed',
+          message: 'Payment gateway verification failed',
           data: { status: 'failed', reference, error: verifyResult.error },
         });
       }
@@ -970,7 +972,7 @@ router.post(
       if (!verification.status || !verification.data) {
         return res.json({
           success: false,
-          message: 'Paystack verification failed',
+          message: 'Payment gateway verification failed',
           data: { status: 'failed', reference },
         });
       }
@@ -1074,7 +1076,7 @@ router.post(
 
       const payment = payments[0];
 
-      if (payment.status === 'success') {
+      if (['success', 'refunded'].includes(payment.status)) {
         return res.status(400).json({ success: false, message: 'Cannot cancel a successful payment' });
       }
 
@@ -1112,7 +1114,7 @@ router.post(
       // Try to find existing payment
       let payment = null;
       const existingPayments = await query(
-        'SELECT sp.*, i.paystack_secret_key FROM student_payments sp LEFT JOIN institutions i ON sp.institution_id = i.id WHERE sp.reference = ? OR sp.paystack_reference = ?',
+        'SELECT sp.* FROM student_payments sp WHERE sp.reference = ? OR sp.paystack_reference = ?',
         [reference, reference]
       );
 
@@ -1120,29 +1122,20 @@ router.post(
         payment = existingPayments[0];
       }
 
-      // Determine Paystack key
-      let paystackKey = payment?.paystack_secret_key;
-      if (!paystackKey && institution_id) {
-        const inst = await query('SELECT paystack_secret_key FROM institutions WHERE id = ?', [parseInt(institution_id)]);
-        if (inst.length > 0) paystackKey = inst[0].paystack_secret_key;
-      }
-      if (!paystackKey) {
-        paystackKey = process.env.PAYSTACK_SECRET_KEY;
-      }
-
-      if (!paystackKey) {
-        return res.status(400).json({ success: false, message: 'Paystack not configured' });
-      }
-
-      // Decrypt key if needed
-      try {
-        paystackKey = encryptionService.decrypt(paystackKey);
-      } catch (e) {
-        // Key may not be encrypted, use as-is
+      // The payment's institution and gateway, else the given institution's current gateway
+      const gatewayInstitutionId = payment?.institution_id || (institution_id ? parseInt(institution_id) : null);
+      const gatewayConfig = gatewayInstitutionId
+        ? await paymentGatewayService.getGatewayConfig(gatewayInstitutionId, {
+            gateway: payment?.gateway || null,
+            envFallback: true,
+          })
+        : null;
+
+      if (paymentGatewayService.configProblem(gatewayConfig)) {
+        return res.status(400).json({ success: false, message: 'Payment gateway not configured' });
       }
 
-      // Verify with Paystack using paystackService
-      const verifyResult = await paystackService.verifyTransaction(paystackKey, reference);
+      const verifyResult = await paymentGatewayService.verifyTransaction(gatewayConfig, reference);
 
       if (!verifyResult.success || verifyResult.data.status !== 'success') {
         return res.json({
@@ -1155,8 +1148,8 @@ router.post(
 
       // Update or create payment record
       if (payment) {
-        // If already verified successfully, skip database update
-        if (payment.status === 'success') {
+        // If already verified successfully (or since refunded), skip database update
+        if (['success', 'refunded'].includes(payment.status)) {
           return res.json({
             success: true,
             message: 'Payment already verified',
@@ -1218,11 +1211,11 @@ router.post(
       } else {
         res.json({
           success: true,
-          message: 'Payment verified in Paystack but no local record found',
+          message: 'Payment verified with the gateway but no local record found',
           data: {
             reference,
             paystack_status: 'success',
-            amount: verification.data.amount / 100,
+            amount: verification.data.amount,
             note: 'Create payment record manually if needed',
           },
         });
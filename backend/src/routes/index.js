@@ -34,6 +34,7 @@
 
 const express = require('express');
 const router = express.Router();
+const { auditTrail } = require('../middleware/auditTrail');
 
 // =============================================================================
 // ROUTE IMPORTS (New Pattern)
@@ -56,6 +57,9 @@ const institutionRoutes = require('./institutions');
 
 // Settings routes (tenant-scoped)
 const settingsRoutes = require('./settings');
+const emailLogRoutes = require('./emailLogs');
+const auditLogRoutes = require('./auditLogs');
+const notificationRoutes = require('./notifications');
 
 // Tenant-scoped routes (all use /:institutionId prefix)
 const featureToggleRoutes = require('./featureToggles');
@@ -80,7 +84,9 @@ const userRoutes = require('./users');
 const dashboardRoutes = require('./dashboard');
 const deanAllocationRoutes = require('./deanAllocations');
 const locationTrackingRoutes = require('./locationTracking');
+const visitComplianceRoutes = require('./visitCompliance');
 const autoPostingRoutes = require('./autoPosting');
+const postingConstraintRoutes = require('./postingConstraints');
 
 // =============================================================================
 // API INFO ENDPOINT (no auth)
@@ -116,6 +122,7 @@ router.get('/', (req, res) => {
       portal: '/api/portal/* (student auth)',
       postings: '/api/:institutionId/postings',
       autoPosting: '/api/:institutionId/auto-posting/* (automated supervisor posting)',
+      postingConstraints: '/api/:institutionId/posting-constraints',
       allowances: '/api/:institutionId/allowances',
       letters: '/api/:institutionId/letters',
       monitoring: '/api/:institutionId/monitoring/*',
@@ -124,10 +131,17 @@ router.get('/', (req, res) => {
       schoolUpdateRequests: '/api/:institutionId/school-update-requests',
       documentTemplates: '/api/:institutionId/document-templates',
       locationTracking: '/api/:institutionId/location/* (supervisor geofencing)',
+      visitCompliance: '/api/:institutionId/visit-compliance',
     },
   });
 });
 
+// =============================================================================
+// AUDIT TRAIL - generic audit entry for mutating requests no controller audits
+// =============================================================================
+
+router.use(auditTrail);
+
 // =============================================================================
 // 1. PUBLIC ROUTES (no authentication)
 // =============================================================================
@@ -170,6 +184,9 @@ router.use('/', userRoutes);
 
 router.use('/', portalRoutes);
 
+// In-app notifications (/portal/notifications for students, /:institutionId/notifications for staff)
+router.use('/', notificationRoutes);
+
 // =============================================================================
 // 5. TENANT-SCOPED ROUTES
 // All routes use /:institutionId prefix for explicit tenant context
@@ -179,6 +196,12 @@ router.use('/', portalRoutes);
 // Settings (tenant-scoped)
 router.use('/', settingsRoutes);
 
+// Email delivery logs and dead-letter queue (tenant-scoped + global)
+router.use('/', emailLogRoutes);
+
+// Activity log viewer over audit_logs (tenant-scoped + global)
+router.use('/', auditLogRoutes);
+
 // Feature toggles (tenant-scoped)
 router.use('/', featureToggleRoutes);
 
@@ -212,6 +235,9 @@ router.use('/', postingRoutes);
 // Automated supervisor posting
 router.use('/', autoPostingRoutes);
 
+// Supervisor availability and exclusion constraints
+router.use('/', postingConstraintRoutes);
+
 // Allowances
 router.use('/', allowanceRoutes);
 
@@ -239,6 +265,9 @@ router.use('/', deanAllocationRoutes);
 // Location tracking (supervisor geofencing)
 router.use('/', locationTrackingRoutes);
 
+// Visit compliance (expected vs verified supervision visits)
+router.use('/', visitComplianceRoutes);
+
 // Dashboard (global and institution-scoped)
 router.use('/', dashboardRoutes);
 
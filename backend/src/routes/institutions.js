@@ -6,8 +6,10 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const institutionController = require('../controllers/institutionController');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requireValidSession } = require('../middleware/auth');
 const { isSuperAdmin, requireInstitutionAccess, staffOnly } = require('../middleware/rbac');
+const { requireStepUp } = require('../middleware/stepUp');
+const { sensitiveRateLimiter } = require('../middleware/rateLimiter');
 
 // Configure multer for logo uploads
 const storage = multer.memoryStorage();
@@ -27,11 +29,13 @@ router.post('/global/institutions/provision', authenticate, isSuperAdmin, instit
 router.post('/global/institutions/upload-logo', authenticate, isSuperAdmin, upload.single('logo'), institutionController.uploadLogo);
 router.get('/global/institutions', authenticate, isSuperAdmin, institutionController.getAll);
 router.get('/global/institutions/:id', authenticate, isSuperAdmin, institutionController.getById);
-router.get('/global/institutions/:id/reveal-keys', authenticate, isSuperAdmin, institutionController.revealKeys);
+// Step-up: the super admin's password, and an authenticator code when two-factor is on
+router.post('/global/institutions/:id/reveal-keys', authenticate, isSuperAdmin, requireValidSession, sensitiveRateLimiter, requireStepUp, institutionController.revealKeys);
 router.post('/global/institutions', authenticate, isSuperAdmin, upload.single('logo'), institutionController.create);
 router.put('/global/institutions/:id', authenticate, isSuperAdmin, upload.single('logo'), institutionController.update);
 router.patch('/global/institutions/:id/status', authenticate, isSuperAdmin, institutionController.updateStatus);
 router.post('/global/institutions/:id/smtp/test', authenticate, isSuperAdmin, institutionController.testSmtpGlobal);
+router.post('/global/institutions/:id/sms/test', authenticate, isSuperAdmin, institutionController.testSmsGlobal);
 router.delete('/global/institutions/:id', authenticate, isSuperAdmin, institutionController.remove);
 
 // Users management - these methods don't exist in the controller, use auth controller instead
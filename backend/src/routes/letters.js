@@ -14,7 +14,7 @@ const validate = require('../middleware/validate');
 // Read operations - staff can view and download
 router.get('/:institutionId/letters', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('letter_management'), letterController.getAll);
 router.get('/:institutionId/letters/:id', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('letter_management'), letterController.getById);
-router.get('/:institutionId/letters/:id/download', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('letter_management'), letterController.downloadLetter);
+router.get('/:institutionId/letters/:id/download/:studentId', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('letter_management'), letterController.downloadLetter);
 
 // Write operations - HeadOfTP required
 router.post('/:institutionId/letters', authenticate, requireInstitutionAccess(), isHeadOfTP, requireFeature('letter_management'), validate(letterController.schemas.create), letterController.create);
@@ -6,6 +6,7 @@
  */
 
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const controller = require('../controllers/locationTrackingController');
 const { authenticate } = require('../middleware/auth');
@@ -13,13 +14,28 @@ const { requireInstitutionAccess, isSupervisor, isHeadOfTP } = require('../middl
 const { requireFeature } = require('../middleware/featureToggle');
 const validate = require('../middleware/validate');
 
+// Check-in selfie and site photo are held in memory and streamed to Cloudinary
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 20 }, // 5MB max; a synced batch carries two per check-in
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png'];
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only JPEG and PNG images are allowed.'), false);
+    }
+  },
+});
+
 // =====================================================
 // Supervisor endpoints (require location tracking feature)
 // =====================================================
 
 /**
  * POST /:institutionId/location/verify
- * Verify supervisor's location for a posting
+ * Verify supervisor's location for a posting.
+ * Multipart: location fields plus 'selfie' and 'environment_photo' images.
  */
 router.post(
   '/:institutionId/location/verify',
@@ -27,10 +43,44 @@ router.post(
   requireInstitutionAccess(),
   isSupervisor,
   requireFeature('supervisor_location_tracking'),
+  upload.fields([
+    { name: 'selfie', maxCount: 1 },
+    { name: 'environment_photo', maxCount: 1 },
+  ]),
   validate(controller.schemas.verifyLocation),
   controller.verifyLocation
 );
 
+/**
+ * POST /:institutionId/location/verify/batch
+ * Sync check-ins captured offline.
+ * Multipart: 'records' (JSON array of signed envelopes) plus
+ * 'selfie_<client_id>' and 'environment_photo_<client_id>' images.
+ */
+router.post(
+  '/:institutionId/location/verify/batch',
+  authenticate,
+  requireInstitutionAccess(),
+  isSupervisor,
+  requireFeature('supervisor_location_tracking'),
+  upload.any(),
+  validate(controller.schemas.verifyLocationBatch),
+  controller.verifyLocationBatch
+);
+
+/**
+ * GET /:institutionId/location/offline-key
+ * Signing key and last synced sequence for the supervisor's device
+ */
+router.get(
+  '/:institutionId/location/offline-key',
+  authenticate,
+  requireInstitutionAccess(),
+  isSupervisor,
+  validate(controller.schemas.offlineKey),
+  controller.getOfflineKey
+);
+
 /**
  * GET /:institutionId/location/my-postings
  * Get all postings with their location verification status
@@ -85,4 +135,34 @@ router.get(
   controller.getLocationStats
 );
 
+/**
+ * POST /:institutionId/location/admin/rescore
+ * Re-run anomaly scoring over recorded check-ins (optionally one session)
+ */
+router.post(
+  '/:institutionId/location/admin/rescore',
+  authenticate,
+  requireInstitutionAccess(),
+  isHeadOfTP,
+  validate(controller.schemas.rescore),
+  controller.rescoreLocationLogs
+);
+
+// Multer error handler
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    return res.status(400).json({
+      success: false,
+      message: error.code === 'LIMIT_FILE_SIZE' ? 'File too large. Maximum size is 5MB.' : error.message,
+    });
+  }
+  if (error.message && error.message.includes('Invalid file type')) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  next(error);
+});
+
 module.exports = router;
@@ -2,15 +2,38 @@
  * Monitoring Routes - MedeePay Pattern
  */
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const monitoringController = require('../controllers/monitoringController');
 const { authenticate } = require('../middleware/auth');
-const { requireInstitutionAccess, staffOnly } = require('../middleware/rbac');
+const { requireInstitutionAccess, staffOnly, isHeadOfTP } = require('../middleware/rbac');
 const { requireFeature } = require('../middleware/featureToggle');
 const validate = require('../middleware/validate');
 
+// Report photos are held in memory and streamed to Cloudinary
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB max
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png'];
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only JPEG and PNG images are allowed.'), false);
+    }
+  },
+});
+
 // Dashboard
 router.get('/:institutionId/monitoring/dashboard', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('monitoring'), monitoringController.getDashboard);
+router.get('/:institutionId/monitoring/dashboard/ratings', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('monitoring'), monitoringController.getRatingsSummary);
+
+// Rubric (criteria monitors rate against)
+router.get('/:institutionId/monitoring/criteria', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('monitoring'), monitoringController.getCriteria);
+router.post('/:institutionId/monitoring/criteria', authenticate, requireInstitutionAccess(), isHeadOfTP, requireFeature('monitoring'), validate(monitoringController.schemas.createCriterion), monitoringController.createCriterion);
+router.post('/:institutionId/monitoring/criteria/initialize', authenticate, requireInstitutionAccess(), isHeadOfTP, requireFeature('monitoring'), monitoringController.initializeDefaultCriteria);
+router.put('/:institutionId/monitoring/criteria/:id', authenticate, requireInstitutionAccess(), isHeadOfTP, requireFeature('monitoring'), validate(monitoringController.schemas.updateCriterion), monitoringController.updateCriterion);
+router.delete('/:institutionId/monitoring/criteria/:id', authenticate, requireInstitutionAccess(), isHeadOfTP, requireFeature('monitoring'), monitoringController.deleteCriterion);
 
 // My assignments
 router.get('/:institutionId/monitoring/my-assignments', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('monitoring'), monitoringController.getMyAssignments);
@@ -33,5 +56,24 @@ router.get('/:institutionId/monitoring/reports/:id', authenticate, requireInstit
 router.post('/:institutionId/monitoring/reports', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('monitoring'), validate(monitoringController.schemas.createReport), monitoringController.createReport);
 router.put('/:institutionId/monitoring/reports/:id', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('monitoring'), validate(monitoringController.schemas.updateReport), monitoringController.updateReport);
 router.delete('/:institutionId/monitoring/reports/:id', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('monitoring'), monitoringController.removeReport);
+router.post('/:institutionId/monitoring/reports/:id/photos', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('monitoring'), upload.single('photo'), monitoringController.uploadReportPhoto);
+router.delete('/:institutionId/monitoring/reports/:id/photos/:photoId', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('monitoring'), monitoringController.deleteReportPhoto);
+
+// Multer error handler
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    return res.status(400).json({
+      success: false,
+      message: error.code === 'LIMIT_FILE_SIZE' ? 'File too large. Maximum size is 5MB.' : error.message,
+    });
+  }
+  if (error.message && error.message.includes('Invalid file type')) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  next(error);
+});
 
 module.exports = router;
@@ -0,0 +1,29 @@
+/**
+ * Notification Routes - MedeePay Pattern
+ *
+ * The signed-in user's in-app notifications.
+ * Portal routes are declared first so /portal/... is never read as an institution id.
+ *
+ * 🔒 SECURITY: Every query is limited to the caller's own notifications;
+ * staff routes also require access to the institution in the URL
+ */
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { authenticate } = require('../middleware/auth');
+const { requireInstitutionAccess, staffOnly, studentOnly } = require('../middleware/rbac');
+const validate = require('../middleware/validate');
+
+// Students
+router.get('/portal/notifications', authenticate, studentOnly, notificationController.getNotifications);
+router.get('/portal/notifications/unread-count', authenticate, studentOnly, notificationController.getUnreadCount);
+router.post('/portal/notifications/read', authenticate, studentOnly, validate(notificationController.schemas.markRead), notificationController.markManyRead);
+router.patch('/portal/notifications/:id/read', authenticate, studentOnly, notificationController.markRead);
+
+// Staff
+router.get('/:institutionId/notifications', authenticate, requireInstitutionAccess(), staffOnly, notificationController.getNotifications);
+router.get('/:institutionId/notifications/unread-count', authenticate, requireInstitutionAccess(), staffOnly, notificationController.getUnreadCount);
+router.post('/:institutionId/notifications/read', authenticate, requireInstitutionAccess(), staffOnly, validate(notificationController.schemas.markRead), notificationController.markManyRead);
+router.patch('/:institutionId/notifications/:id/read', authenticate, requireInstitutionAccess(), staffOnly, notificationController.markRead);
+
+module.exports = router;
@@ -2,28 +2,64 @@
  * Payments Routes - MedeePay Pattern
  * 
  * 🔒 SECURITY: Payment management requires head_of_teaching_practice for write operations
+ * Refunds: any staff member can request one; head_of_teaching_practice approves or rejects,
+ * and checks a gateway refund the gateway did not confirm
+ * Gateway calls (verify, webhooks) go through paymentGatewayService
+ * Reconciliation: staff view the reports; head_of_teaching_practice starts a run
+ * Session locks: creating, processing and cancelling a payment are refused on a locked
+ * session. Verify and webhooks are exempt - they record money the gateway has already
+ * taken, which must not be lost because the session closed - and so are refunds and
+ * reconciliation, which only settle payments already made.
  */
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const paymentController = require('../controllers/paymentController');
+const paymentReconciliationController = require('../controllers/paymentReconciliationController');
 const { authenticate } = require('../middleware/auth');
 const { requireInstitutionAccess, staffOnly, isHeadOfTP } = require('../middleware/rbac');
 const { requireFeature } = require('../middleware/featureToggle');
-const { publicRateLimiter } = require('../middleware/rateLimiter');
+const { publicRateLimiter, uploadRateLimiter } = require('../middleware/rateLimiter');
+const { requireUnlockedSession } = require('../middleware/sessionLock');
 const validate = require('../middleware/validate');
 
+// Settlement reports are parsed in memory, never stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    cb(null, /\.(csv|xlsx|xls)$/i.test(file.originalname));
+  },
+  limits: { fileSize: 5 * 1024 * 1024 },
+});
+
 // Read operations - staff can view
 router.get('/:institutionId/payments', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('payment_management'), paymentController.getAll);
 router.get('/:institutionId/payments/stats', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('payment_management'), paymentController.getStats);
+router.get('/:institutionId/payments/refunds', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('payment_management'), paymentController.getRefunds);
+router.get('/:institutionId/payments/reconciliations', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('payment_management'), validate(paymentReconciliationController.schemas.list), paymentReconciliationController.getRuns);
+router.get('/:institutionId/payments/reconciliations/:runId', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('payment_management'), paymentReconciliationController.getRun);
 router.get('/:institutionId/payments/:id', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('payment_management'), paymentController.getById);
 
 // Write operations - HeadOfTP required
-router.post('/:institutionId/payments', authenticate, requireInstitutionAccess(), isHeadOfTP, requireFeature('payment_management'), validate(paymentController.schemas.create), paymentController.create);
-router.post('/:institutionId/payments/:id/process', authenticate, requireInstitutionAccess(), isHeadOfTP, requireFeature('payment_management'), paymentController.processPayment);
-router.post('/:institutionId/payments/verify-paystack', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('payment_management'), paymentController.verifyPaystack);
-router.post('/:institutionId/payments/:id/cancel', authenticate, requireInstitutionAccess(), isHeadOfTP, requireFeature('payment_management'), paymentController.cancelPayment);
+router.post('/:institutionId/payments', authenticate, requireInstitutionAccess(), isHeadOfTP, requireFeature('payment_management'), validate(paymentController.schemas.create), requireUnlockedSession(), paymentController.create);
+router.post('/:institutionId/payments/:id/process', authenticate, requireInstitutionAccess(), isHeadOfTP, requireFeature('payment_management'), requireUnlockedSession({ resource: { table: 'student_payments' } }), paymentController.processPayment);
+router.post('/:institutionId/payments/verify', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('payment_management'), validate(paymentController.schemas.verifyGatewayPayment), paymentController.verifyGatewayPayment);
+// Path from when Paystack was the only gateway
+router.post('/:institutionId/payments/verify-paystack', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('payment_management'), validate(paymentController.schemas.verifyGatewayPayment), paymentController.verifyGatewayPayment);
+router.post('/:institutionId/payments/:id/cancel', authenticate, requireInstitutionAccess(), isHeadOfTP, requireFeature('payment_management'), requireUnlockedSession({ resource: { table: 'student_payments' } }), paymentController.cancelPayment);
+
+// Refunds
+router.post('/:institutionId/payments/:id/refunds', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('payment_management'), validate(paymentController.schemas.requestRefund), paymentController.requestRefund);
+router.post('/:institutionId/payments/refunds/:refundId/approve', authenticate, requireInstitutionAccess(), isHeadOfTP, requireFeature('payment_management'), validate(paymentController.schemas.approveRefund), paymentController.approveRefund);
+router.post('/:institutionId/payments/refunds/:refundId/check', authenticate, requireInstitutionAccess(), isHeadOfTP, requireFeature('payment_management'), paymentController.checkRefund);
+router.post('/:institutionId/payments/refunds/:refundId/reject', authenticate, requireInstitutionAccess(), isHeadOfTP, requireFeature('payment_management'), validate(paymentController.schemas.rejectRefund), paymentController.rejectRefund);
+
+// Reconciliation against the gateway's listing, or an uploaded settlement report
+router.post('/:institutionId/payments/reconciliations', authenticate, requireInstitutionAccess(), isHeadOfTP, requireFeature('payment_management'), validate(paymentReconciliationController.schemas.run), paymentReconciliationController.runReconciliation);
+router.post('/:institutionId/payments/reconciliations/upload', authenticate, requireInstitutionAccess(), isHeadOfTP, requireFeature('payment_management'), uploadRateLimiter, upload.single('file'), validate(paymentReconciliationController.schemas.run), paymentReconciliationController.uploadReconciliation);
 
-// Paystack webhook (no auth - tenant resolved from payload, verified by signature)
-router.post('/payments/webhook/paystack', publicRateLimiter, paymentController.handleWebhook);
+// Gateway webhooks, e.g. /payments/webhook/paystack (no auth - tenant resolved from
+// payload, authenticated by the gateway's signature)
+router.post('/payments/webhook/:gateway', publicRateLimiter, paymentController.handleWebhook);
 
 module.exports = router;
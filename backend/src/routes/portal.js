@@ -7,6 +7,7 @@ const router = express.Router();
 const multer = require('multer');
 const portalController = require('../controllers/portalController');
 const acceptanceController = require('../controllers/acceptanceController');
+const schoolPreferenceController = require('../controllers/schoolPreferenceController');
 const paymentController = require('../controllers/paymentController');
 const publicController = require('../controllers/publicController');
 const schoolRegistrationRequestController = require('../controllers/schoolRegistrationRequestController');
@@ -45,6 +46,10 @@ router.get('/portal/acceptance/status', authenticate, studentOnly, acceptanceCon
 router.get('/portal/acceptance/schools', authenticate, studentOnly, acceptanceController.getAvailableSchools);
 router.post('/portal/acceptance/submit', authenticate, studentOnly, upload.single('signed_form'), acceptanceController.submitAcceptance);
 
+// Student ranked school preferences (when the session allows them)
+router.get('/portal/school-preferences', authenticate, studentOnly, schoolPreferenceController.getMyPreferences);
+router.put('/portal/school-preferences', authenticate, studentOnly, validate(schoolPreferenceController.schemas.save), schoolPreferenceController.saveMyPreferences);
+
 // Student school registration request endpoints (request a brand-new school be added)
 router.get('/portal/school-registration-requests/status', authenticate, studentOnly, schoolRegistrationRequestController.getStudentRequestStatus);
 router.get('/portal/school-registration-requests/search-master', authenticate, studentOnly, schoolRegistrationRequestController.searchMasterSchools);
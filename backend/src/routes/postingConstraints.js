@@ -0,0 +1,57 @@
+/**
+ * Posting Constraint Routes - MedeePay Pattern
+ *
+ * Supervisor availability and exclusion rules enforced by posting.
+ * Supervisors manage their own; heads of TP manage everyone's.
+ */
+const express = require('express');
+const router = express.Router();
+const postingConstraintController = require('../controllers/postingConstraintController');
+const { authenticate } = require('../middleware/auth');
+const { requireInstitutionAccess, staffOnly } = require('../middleware/rbac');
+const { requireFeature } = require('../middleware/featureToggle');
+const { requireUnlockedSession } = require('../middleware/sessionLock');
+
+// GET /:institutionId/posting-constraints - List constraints for a session
+router.get(
+  '/:institutionId/posting-constraints',
+  authenticate,
+  requireInstitutionAccess(),
+  staffOnly,
+  requireFeature('posting_management'),
+  postingConstraintController.getAll
+);
+
+// GET /:institutionId/posting-constraints/options - Supervisors, schools, LGAs, routes for the form
+router.get(
+  '/:institutionId/posting-constraints/options',
+  authenticate,
+  requireInstitutionAccess(),
+  staffOnly,
+  requireFeature('posting_management'),
+  postingConstraintController.getOptions
+);
+
+// POST /:institutionId/posting-constraints - Record a constraint
+router.post(
+  '/:institutionId/posting-constraints',
+  authenticate,
+  requireInstitutionAccess(),
+  staffOnly,
+  requireFeature('posting_management'),
+  requireUnlockedSession(),
+  postingConstraintController.create
+);
+
+// DELETE /:institutionId/posting-constraints/:id - Remove a constraint
+router.delete(
+  '/:institutionId/posting-constraints/:id',
+  authenticate,
+  requireInstitutionAccess(),
+  staffOnly,
+  requireFeature('posting_management'),
+  requireUnlockedSession({ resource: { table: 'supervisor_posting_constraints' } }),
+  postingConstraintController.remove
+);
+
+module.exports = router;
@@ -16,6 +16,7 @@ const { authenticate } = require('../middleware/auth');
 const { requireInstitutionAccess, staffOnly, isSuperAdmin } = require('../middleware/rbac');
 const { requireFeature } = require('../middleware/featureToggle');
 const validate = require('../middleware/validate');
+const { requireUnlockedSession } = require('../middleware/sessionLock');
 
 // ============================================================================
 // Statistics & Summaries
@@ -71,23 +72,23 @@ router.get('/:institutionId/postings/my-invitation-letter', authenticate, requir
 // those first and parses "current-session" as the posting id
 // ============================================================================
 router.get('/:institutionId/postings/current-session/summary', authenticate, requireInstitutionAccess(), isSuperAdmin, requireFeature('posting_management'), postingController.getCurrentSessionPostingSummary);
-router.delete('/:institutionId/postings/current-session', authenticate, requireInstitutionAccess(), isSuperAdmin, requireFeature('posting_management'), postingController.clearCurrentSessionPostings);
+router.delete('/:institutionId/postings/current-session', authenticate, requireInstitutionAccess(), isSuperAdmin, requireFeature('posting_management'), requireUnlockedSession(), postingController.clearCurrentSessionPostings);
 
 // ============================================================================
 // CRUD Operations
 // ============================================================================
 router.get('/:institutionId/postings', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('posting_management'), postingController.getAll);
 router.get('/:institutionId/postings/:id', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('posting_management'), postingController.getById);
-router.post('/:institutionId/postings', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('posting_management'), validate(postingController.schemas.create), postingController.create);
-router.put('/:institutionId/postings/:id', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('posting_management'), validate(postingController.schemas.update), postingController.update);
-router.delete('/:institutionId/postings/:id', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('posting_management'), postingController.remove);
+router.post('/:institutionId/postings', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('posting_management'), validate(postingController.schemas.create), requireUnlockedSession(), postingController.create);
+router.put('/:institutionId/postings/:id', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('posting_management'), validate(postingController.schemas.update), requireUnlockedSession({ resource: { table: 'supervisor_postings' } }), postingController.update);
+router.delete('/:institutionId/postings/:id', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('posting_management'), requireUnlockedSession({ resource: { table: 'supervisor_postings' } }), postingController.remove);
 
 // ============================================================================
 // Bulk & Automated Operations
 // ============================================================================
 router.post('/:institutionId/postings/validate', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('posting_management'), postingController.validatePosting);
-router.post('/:institutionId/postings/multi', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('posting_management'), postingController.createMultiPostings);
-router.post('/:institutionId/postings/bulk', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('posting_management'), postingController.bulkCreate);
-router.post('/:institutionId/postings/clear', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('posting_management'), postingController.clearPostings);
+router.post('/:institutionId/postings/multi', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('posting_management'), requireUnlockedSession(), postingController.createMultiPostings);
+router.post('/:institutionId/postings/bulk', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('posting_management'), requireUnlockedSession(), postingController.bulkCreate);
+router.post('/:institutionId/postings/clear', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('posting_management'), requireUnlockedSession(), postingController.clearPostings);
 
 module.exports = router;
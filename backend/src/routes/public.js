@@ -7,11 +7,15 @@ const router = express.Router();
 const publicController = require('../controllers/publicController');
 const validate = require('../middleware/validate');
 const { resolveInstitutionIdParam } = require('../middleware/rbac');
+const { publicRateLimiter } = require('../middleware/rateLimiter');
 
 // Institution lookup by subdomain (for tenant resolution)
 router.get('/public/institution', publicController.getInstitutionBySubdomain);
 router.get('/public/institution/:subdomain', publicController.getInstitutionBySubdomain);
 
+// Document verification (QR codes on issued letters)
+router.get('/public/verify/:token', publicRateLimiter, publicController.verifyDocument);
+
 // Resolve public_id → integer for all /public/institutions/:institutionId/* routes
 router.param('institutionId', resolveInstitutionIdParam);
 
@@ -12,6 +12,7 @@ const { requireInstitutionAccess, staffOnly } = require('../middleware/rbac');
 const { requireFeature } = require('../middleware/featureToggle');
 const validate = require('../middleware/validate');
 const { uploadRateLimiter } = require('../middleware/rateLimiter');
+const { requireUnlockedSession } = require('../middleware/sessionLock');
 
 // Multer config
 const uploadDir = path.join(__dirname, '../../uploads/results');
@@ -43,12 +44,13 @@ router.post('/:institutionId/results/scoring-criteria', authenticate, requireIns
 router.post('/:institutionId/results/scoring-criteria/initialize', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_results'), resultController.initializeDefaultCriteria);
 router.put('/:institutionId/results/scoring-criteria/:id', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_results'), resultController.updateCriteria);
 router.delete('/:institutionId/results/scoring-criteria/:id', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_results'), resultController.deleteCriteria);
-router.post('/:institutionId/results/admin-bulk-submit', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_results'), resultController.adminBulkSubmitResults);
-router.post('/:institutionId/results/bulk-submit', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_results'), resultController.submitBulkResults);
+router.post('/:institutionId/results/admin-bulk-submit', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_results'), requireUnlockedSession(), resultController.adminBulkSubmitResults);
+router.post('/:institutionId/results/bulk-submit', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_results'), requireUnlockedSession(), resultController.submitBulkResults);
+router.post('/:institutionId/results/offline-sync', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_results'), validate(resultController.schemas.offlineSync), requireUnlockedSession(), resultController.syncOfflineResults);
 router.get('/:institutionId/results/:id', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_results'), resultController.getById);
-router.post('/:institutionId/results', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_results'), validate(resultController.schemas.create), resultController.create);
-router.put('/:institutionId/results/:id', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_results'), validate(resultController.schemas.update), resultController.update);
-router.delete('/:institutionId/results/:id', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_results'), resultController.remove);
-router.post('/:institutionId/results/upload', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_results'), uploadRateLimiter, upload.single('file'), resultController.uploadResults);
+router.post('/:institutionId/results', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_results'), validate(resultController.schemas.create), requireUnlockedSession(), resultController.create);
+router.put('/:institutionId/results/:id', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_results'), validate(resultController.schemas.update), requireUnlockedSession({ resource: { table: 'student_results' } }), resultController.update);
+router.delete('/:institutionId/results/:id', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_results'), requireUnlockedSession({ resource: { table: 'student_results' } }), resultController.remove);
+router.post('/:institutionId/results/upload', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('student_results'), uploadRateLimiter, upload.single('file'), requireUnlockedSession(), resultController.uploadResults);
 
 module.exports = router;
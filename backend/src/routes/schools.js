@@ -7,11 +7,13 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const schoolController = require('../controllers/schoolController');
+const schoolDistanceController = require('../controllers/schoolDistanceController');
 const { authenticate } = require('../middleware/auth');
 const { requireInstitutionAccess, staffOnly, isHeadOfTP } = require('../middleware/rbac');
 const { requireFeature } = require('../middleware/featureToggle');
 const validate = require('../middleware/validate');
 const { uploadRateLimiter } = require('../middleware/rateLimiter');
+const { requireUnlockedSession } = require('../middleware/sessionLock');
 
 // Multer config
 const uploadDir = path.join(__dirname, '../../uploads/schools');
@@ -39,6 +41,12 @@ router.get('/:institutionId/schools/search-master', authenticate, requireInstitu
 // NEW: Link existing master school to institution
 router.post('/:institutionId/schools/link', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('school_management'), validate(schoolController.schemas.linkSchool), schoolController.linkSchool);
 
+// Computed distances (settings, recalculation preview and apply)
+router.get('/:institutionId/schools/distances/settings', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('school_management'), schoolDistanceController.getSettings);
+router.put('/:institutionId/schools/distances/settings', authenticate, requireInstitutionAccess(), isHeadOfTP, requireFeature('school_management'), validate(schoolDistanceController.schemas.updateSettings), schoolDistanceController.updateSettings);
+router.get('/:institutionId/schools/distances/preview', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('school_management'), schoolDistanceController.preview);
+router.post('/:institutionId/schools/distances/apply', authenticate, requireInstitutionAccess(), isHeadOfTP, requireFeature('school_management'), validate(schoolDistanceController.schemas.apply), requireUnlockedSession(), schoolDistanceController.apply);
+
 // CRUD
 router.get('/:institutionId/schools', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('school_management'), schoolController.getAll);
 router.get('/:institutionId/schools/:id', authenticate, requireInstitutionAccess(), staffOnly, requireFeature('school_management'), schoolController.getById);
@@ -14,6 +14,9 @@ const { requireInstitutionAccess, isHeadOfTP } = require('../middleware/rbac');
 router.get('/:institutionId/settings/smtp', authenticate, requireInstitutionAccess(), isHeadOfTP, institutionController.getSmtpSettings);
 router.put('/:institutionId/settings/smtp', authenticate, requireInstitutionAccess(), isHeadOfTP, institutionController.updateSmtpSettings);
 router.post('/:institutionId/settings/smtp/test', authenticate, requireInstitutionAccess(), isHeadOfTP, institutionController.testSmtpConnection);
+router.get('/:institutionId/settings/sms', authenticate, requireInstitutionAccess(), isHeadOfTP, institutionController.getSmsSettings);
+router.put('/:institutionId/settings/sms', authenticate, requireInstitutionAccess(), isHeadOfTP, institutionController.updateSmsSettings);
+router.post('/:institutionId/settings/sms/test', authenticate, requireInstitutionAccess(), isHeadOfTP, institutionController.testSmsConnection);
 router.get('/:institutionId/settings/dashboard', authenticate, requireInstitutionAccess(), isHeadOfTP, institutionController.getDashboardStats);
 
 // API Keys / SSO Integration routes
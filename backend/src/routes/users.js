@@ -4,10 +4,27 @@
  */
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const authController = require('../controllers/authController');
+const staffImportController = require('../controllers/staffImportController');
 const { authenticate, requireValidSession } = require('../middleware/auth');
 const { requireInstitutionAccess, isHeadOfTP, staffOnly } = require('../middleware/rbac');
 const validate = require('../middleware/validate');
+const { uploadRateLimiter } = require('../middleware/rateLimiter');
+
+// Staff import spreadsheets are read in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = [
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.ms-excel',
+      'text/csv',
+    ];
+    cb(null, allowedTypes.includes(file.mimetype));
+  },
+  limits: { fileSize: 5 * 1024 * 1024 },
+});
 
 // All routes require authentication and institution access
 // User management requires head_of_teaching_practice or super_admin role
@@ -21,6 +38,26 @@ router.get(
   authController.getAllUsers
 );
 
+// GET /api/:institutionId/users/template - Staff import template with ranks and faculties
+router.get(
+  '/:institutionId/users/template',
+  authenticate,
+  requireInstitutionAccess(),
+  isHeadOfTP,
+  staffImportController.downloadTemplate
+);
+
+// POST /api/:institutionId/users/upload - Bulk import staff from Excel
+router.post(
+  '/:institutionId/users/upload',
+  authenticate,
+  requireInstitutionAccess(),
+  isHeadOfTP,
+  uploadRateLimiter,
+  upload.single('file'),
+  staffImportController.uploadFromExcel
+);
+
 // GET /api/:institutionId/users/:id - Get user by ID
 router.get(
   '/:institutionId/users/:id',
@@ -0,0 +1,48 @@
+/**
+ * Visit Compliance Routes - MedeePay Pattern
+ *
+ * Expected versus verified supervision visits, the finance export and
+ * visit reminders. Head of TP only.
+ */
+const express = require('express');
+const router = express.Router();
+const visitComplianceController = require('../controllers/visitComplianceController');
+const { authenticate } = require('../middleware/auth');
+const { requireInstitutionAccess, isHeadOfTP } = require('../middleware/rbac');
+const { requireFeature } = require('../middleware/featureToggle');
+const validate = require('../middleware/validate');
+
+// GET /:institutionId/visit-compliance - Compliance report with summary
+router.get(
+  '/:institutionId/visit-compliance',
+  authenticate,
+  requireInstitutionAccess(),
+  isHeadOfTP,
+  requireFeature('supervisor_location_tracking'),
+  validate(visitComplianceController.schemas.report),
+  visitComplianceController.getReport
+);
+
+// GET /:institutionId/visit-compliance/export - Excel export for allowance withholding
+router.get(
+  '/:institutionId/visit-compliance/export',
+  authenticate,
+  requireInstitutionAccess(),
+  isHeadOfTP,
+  requireFeature('supervisor_location_tracking'),
+  validate(visitComplianceController.schemas.report),
+  visitComplianceController.exportReport
+);
+
+// POST /:institutionId/visit-compliance/reminders - Send due visit reminders now
+router.post(
+  '/:institutionId/visit-compliance/reminders',
+  authenticate,
+  requireInstitutionAccess(),
+  isHeadOfTP,
+  requireFeature('supervisor_location_tracking'),
+  validate(visitComplianceController.schemas.sendReminders),
+  visitComplianceController.sendReminders
+);
+
+module.exports = router;
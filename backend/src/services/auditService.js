@@ -0,0 +1,195 @@
+/**
+ * Audit Service
+ *
+ * The one place audit_logs rows are written. Controllers call log() after a
+ * change has been saved, passing the row as it was before and after so the
+ * entry records exactly which fields changed ({ field: { from, to } }).
+ * Mutating requests that don't call log() still get a generic entry from the
+ * auditTrail middleware; log() marks the request so it isn't audited twice.
+ *
+ * Auditing is best effort: a failed write is logged and never fails the
+ * request that raised it.
+ *
+ * USAGE:
+ * const auditService = require('../services/auditService');
+ * await auditService.log(req, {
+ *   action: 'rank_updated',
+ *   resourceType: 'rank',
+ *   resourceId: rank.id,
+ *   before: existing,
+ *   after: rank,
+ * });
+ */
+
+const { query } = require('../db/database');
+
+// Bookkeeping columns that change on every write
+const IGNORED_FIELDS = new Set(['created_at', 'updated_at']);
+
+// Values that must never be copied into the audit log
+const SENSITIVE_FIELD_PATTERN = /(password|secret|token|api_key|private_key)|(^|_)(pin|otp)(_|$)/i;
+const REDACTED = '[redacted]';
+
+const USER_TYPES = ['staff', 'student', 'system'];
+
+function isSensitive(field) {
+  return SENSITIVE_FIELD_PATTERN.test(field);
+}
+
+/**
+ * Comparable form of a column value: dates as ISO strings, numeric strings
+ * (DECIMAL columns come back as '1500.00') as numbers, JSON columns parsed
+ */
+function normalizeValue(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `<${value.length} bytes>`;
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    // No leading zeros, so phone numbers and codes stay strings
+    if (/^-?(0|[1-9]\d*)(\.\d+)?$/.test(trimmed)) {
+      return Number(trimmed);
+    }
+    if (/^[[{]/.test(trimmed)) {
+      try {
+        return JSON.parse(trimmed);
+      } catch {
+        return value;
+      }
+    }
+  }
+  return value;
+}
+
+/**
+ * Copy of an object with sensitive values replaced
+ * @param {Object|null} data
+ * @returns {Object|null}
+ */
+function redact(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return data ?? null;
+  return Object.fromEntries(
+    Object.entries(data).map(([key, value]) => [key, isSensitive(key) ? REDACTED : value])
+  );
+}
+
+/**
+ * Fields that differ between two versions of a row.
+ * A missing `before` is a create (every field from null); a missing `after`
+ * is a delete (every field to null).
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Object|null} { field: { from, to } }, or null when nothing changed
+ */
+function diff(before, after) {
+  if (!before && !after) return null;
+
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+    // A partial `after` (e.g. just the updated fields) only covers the fields it has
+    if (before && after && !(field in after)) continue;
+
+    const from = normalizeValue(before?.[field]);
+    const to = normalizeValue(after?.[field]);
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+    changes[field] = isSensitive(field) ? { from: REDACTED, to: REDACTED } : { from, to };
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Write one audit entry
+ * @param {Object} entry
+ * @param {number|null} entry.institutionId
+ * @param {number|null} entry.userId
+ * @param {string} entry.userType - staff | student | system
+ * @param {string} entry.action - e.g. rank_updated
+ * @param {string} entry.resourceType - e.g. rank
+ * @param {number|null} [entry.resourceId]
+ * @param {Object|null} [entry.details] - Free-form context
+ * @param {Object|null} [entry.changes] - { field: { from, to } }
+ * @param {string|null} [entry.ipAddress]
+ * @param {string|null} [entry.userAgent]
+ * @param {string|null} [entry.subdomain]
+ * @returns {Promise<boolean>} Whether the entry was written
+ */
+async function record(entry) {
+  const {
+    institutionId = null,
+    userId = null,
+    userType,
+    action,
+    resourceType,
+    resourceId = null,
+    details = null,
+    changes = null,
+    ipAddress = null,
+    userAgent = null,
+    subdomain = null,
+  } = entry;
+
+  try {
+    await query(
+      `INSERT INTO audit_logs
+       (institution_id, user_id, user_type, action, resource_type, resource_id,
+        details, changes, ip_address, user_agent, subdomain)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        institutionId ? parseInt(institutionId) : null,
+        userId ? parseInt(userId) : null,
+        USER_TYPES.includes(userType) ? userType : userId ? 'staff' : 'system',
+        String(action).substring(0, 100),
+        String(resourceType).substring(0, 100),
+        resourceId && !Number.isNaN(parseInt(resourceId)) ? parseInt(resourceId) : null,
+        details ? JSON.stringify(redact(details)) : null,
+        changes ? JSON.stringify(changes) : null,
+        ipAddress,
+        userAgent ? String(userAgent).substring(0, 500) : null,
+        subdomain,
+      ]
+    );
+    return true;
+  } catch (error) {
+    console.error(`[AUDIT] Failed to record ${action}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Audit a change made by the request's user. The institution defaults to the
+ * route's :institutionId (or the student's own institution).
+ * @param {Object} req - Express request
+ * @param {Object} entry - { action, resourceType, resourceId?, before?, after?, details?, institutionId? }
+ * @returns {Promise<boolean>}
+ */
+function log(req, entry) {
+  const { before = null, after = null, changes, ...rest } = entry;
+  const user = req.user || null;
+
+  // Handled here, so the auditTrail middleware skips its generic entry
+  req.auditLogged = true;
+
+  return record({
+    institutionId: req.params?.institutionId || req.institutionId || user?.institution_id || null,
+    userId: user?.id || null,
+    userType: user ? (user.role === 'student' ? 'student' : 'staff') : 'system',
+    ipAddress: req.ip || null,
+    userAgent: req.get?.('user-agent') || null,
+    subdomain: req.subdomain || null,
+    changes: changes !== undefined ? changes : diff(before, after),
+    ...rest,
+  });
+}
+
+module.exports = {
+  REDACTED,
+  diff,
+  redact,
+  record,
+  log,
+};
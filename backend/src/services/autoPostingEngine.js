@@ -13,10 +13,16 @@
  *   HARD  dean ceiling      total assignments capped when a dean allocation applies
  *   HARD  priority tier     when priority is on, a slot's distance bucket restricts
  *                           who can even be a candidate for it (see PRIORITY TIERS)
+ *   HARD  posting rules     availability, blocked schools/LGAs/routes and
+ *                           never/must-pair rules (options.constraints, built by
+ *                           postingConstraintService) filter candidates outright
  *   soft  school variety    don't send a supervisor back to a school they cover
  *   soft  cluster affinity  keep a supervisor inside one route/LGA per visit
  *   soft  load balance      even posting counts
  *   soft  travel balance    even total kilometres
+ *   soft  student choices   when not every slot can be filled, leave out the
+ *                           slots whose students are least at schools they
+ *                           ranked (see selectSlotsByPreference)
  *
  * Soft constraints are weighted penalties rather than hard blocks, so the engine
  * always produces the best achievable answer instead of refusing to fill a slot.
@@ -33,6 +39,12 @@
  * independent (unlike "the first slot fixes the cluster"), which makes the local
  * search's swap deltas exact and cheap to compute.
  *
+ * REPAIR MODE
+ * runRepairAlgorithm re-plans only the slots a late change touches (a supervisor
+ * withdrawing, a school closing, a group merged into another) and leaves every
+ * other committed posting where it is. The postings that stay are seeded into the
+ * state so a replacement is chosen with their areas and travel in view.
+ *
  * @see docs/AUTOMATED_POSTING_SYSTEM.md
  */
 
@@ -53,6 +65,7 @@ const DEFAULT_WEIGHTS = {
   affinity: 300,  // trip outside the supervisor's area for that visit
   load: 200,      // per posting ahead of the least loaded supervisor
   travel: 1,      // per unit of normalised distance ahead of the lightest travel
+  preference: 100, // per student at a school they ranked, when their slot is left out
 };
 
 // Bounds so a very large batch cannot degenerate into a long search
@@ -129,6 +142,33 @@ function sortSlots(slots, postingType, priorityEnabled) {
   });
 }
 
+/**
+ * When the dean ceiling or the supervisors' total capacity is below the slot
+ * count, choose the slots to leave out instead of dropping whatever sorts last.
+ * Every Visit 1 still comes before any Visit 2; within a visit, leaving a slot
+ * out costs `weights.preference` times its preference_score (1 per student
+ * placed at their first choice, 1/2 at their second, ...), and the cheapest
+ * slots are left out. Without any scores the slots are returned unchanged.
+ *
+ * @returns {{ slots: Array, quotaSkipped: number, unassigned: number }}
+ */
+function selectSlotsByPreference(slots, maxAssignments, capacity, weights) {
+  const budget = Math.min(maxAssignments, capacity);
+  if (weights.preference <= 0 || budget >= slots.length || !slots.some((s) => s.preference_score > 0)) {
+    return { slots, quotaSkipped: 0, unassigned: 0 };
+  }
+
+  const dropCost = (slot) => weights.preference * (slot.preference_score || 0);
+  const kept = [...slots]
+    .sort((a, b) => a.visit_number - b.visit_number || dropCost(b) - dropCost(a))
+    .slice(0, budget);
+
+  const left = slots.length - budget;
+  return maxAssignments <= capacity
+    ? { slots: kept, quotaSkipped: left, unassigned: 0 }
+    : { slots: kept, quotaSkipped: 0, unassigned: left };
+}
+
 // ============================================================================
 // PRIORITY TIERS
 //
@@ -278,6 +318,20 @@ function createState(supervisors, schoolHistory) {
   return state;
 }
 
+/**
+ * Seed a supervisor's state with a posting they already hold (repair mode). Its
+ * area and distance feed affinity and travel balance; its capacity is already
+ * out of remaining_slots and its school is already in schoolHistory, so neither
+ * is counted again.
+ */
+function seedCommitted(entry, posting, cluster) {
+  const { count } = entry;
+  const schoolCounts = new Map(entry.schoolCounts);
+  applyAssignment(entry, posting, cluster, 1);
+  entry.count = count;
+  entry.schoolCounts = schoolCounts;
+}
+
 function schoolCountOf(entry, schoolId) {
   return entry.schoolCounts.get(schoolId) || 0;
 }
@@ -646,7 +700,8 @@ function solutionCost(state, context) {
  * Assign supervisors to slots.
  *
  * @param {Array} supervisors - Eligible supervisors with remaining_slots and priority_number
- * @param {Array} slots - Available slots (school+group+visit combinations)
+ * @param {Array} slots - Available slots (school+group+visit combinations), with an
+ *                        optional preference_score from the students' ranked schools
  * @param {number} numberOfPostings - Highest visit number to include (1 = Visit 1 only)
  * @param {string} postingType - 'random' | 'route_based' | 'lga_based'
  * @param {boolean} priorityEnabled - Pair higher ranks with longer distances
@@ -655,6 +710,10 @@ function solutionCost(state, context) {
  * @param {Map}     [options.schoolHistory] - Map<supervisor_id, Set<school_id>> already covered
  * @param {number}  [options.maxAssignments] - Hard ceiling (dean allocation)
  * @param {Object}  [options.weights] - Override DEFAULT_WEIGHTS
+ * @param {Object}  [options.constraints] - Set from postingConstraintService.buildConstraintSet;
+ *                                          forked, so the caller's copy is left untouched
+ * @param {Array}   [options.committed] - Postings that stay as they are (repair mode); seeds
+ *                                        each supervisor's areas and travel, replacing the plan
  * @returns {{assignments: Array, warnings: Array, statistics: Object}}
  */
 function runAutoPostingAlgorithm(
@@ -670,6 +729,8 @@ function runAutoPostingAlgorithm(
     schoolHistory = new Map(),
     maxAssignments = Infinity,
     weights: weightOverrides = {},
+    constraints: constraintSet = null,
+    committed = null,
   } = options;
 
   const weights = {
@@ -703,26 +764,65 @@ function runAutoPostingAlgorithm(
   const totalDistance = eligibleSlots.reduce((sum, s) => sum + (s.distance_km || 0), 0);
   const maxTravel = Math.max(totalDistance / supervisors.length, 1);
 
-  const sortedSlots = sortSlots(eligibleSlots, postingType, priorityEnabled);
+  const capacity = supervisors.reduce((sum, s) => sum + Math.max(0, Number(s.remaining_slots) || 0), 0);
+  const selection = selectSlotsByPreference(eligibleSlots, maxAssignments, capacity, weights);
+  const sortedSlots = sortSlots(selection.slots, postingType, priorityEnabled);
 
   // Priority tiers and the up-front area/tier plan are computed once - there is
   // nothing weight-dependent left to retry with, unlike the old self-tuning loop.
   const tiers = priorityEnabled ? computePriorityTiers(supervisors) : [];
   const { clusterPlan, clusterOwnerTier, slotOwnerTier } = planPriorityAllocation(
-    supervisors, eligibleSlots, postingType, schoolHistory, { priorityEnabled, tiers }
+    supervisors, selection.slots, postingType, schoolHistory, { priorityEnabled, tiers }
   );
   const effectiveTiers = tiers.length > 0 ? tiers : [{ priority_number: null, supervisors, capacity: Infinity }];
 
+  // In repair mode the areas people already work are the plan: keep the tier
+  // ownership, but let affinity follow the seeded postings instead
+  if (committed) clusterPlan.clear();
+
+  const constraints = constraintSet && !constraintSet.isEmpty ? constraintSet.fork() : null;
+
   const context = {
     weights, postingType, maxTravel, avoidRepeatSchools, priorityEnabled,
-    clusterPlan, clusterOwnerTier, slotOwnerTier, tiers: effectiveTiers,
+    clusterPlan, clusterOwnerTier, slotOwnerTier, tiers: effectiveTiers, constraints,
   };
   const state = createState(supervisors, schoolHistory);
+  for (const posting of committed || []) {
+    const entry = state.get(posting.supervisor_id);
+    if (entry) seedCommitted(entry, posting, clusterKeyFor(posting, postingType));
+  }
   const assignments = [];
   const warnings = [];
 
-  let unassignedSlots = 0;
-  let quotaSkipped = 0;
+  let unassignedSlots = selection.unassigned;
+  let constrainedSlots = 0;
+  let quotaSkipped = selection.quotaSkipped;
+
+  // constraint_id -> what it excluded, for the preview's constraint summary
+  const exclusions = new Map();
+  let lastFailure = null;
+
+  /** Drop candidates a posting rule forbids for this slot, recording why. */
+  function applyConstraints(candidates, slot) {
+    if (!constraints) return candidates;
+
+    return candidates.filter((entry) => {
+      const violations = constraints.check(entry.supervisor.id, slot);
+      for (const v of violations) {
+        if (!exclusions.has(v.constraint_id)) {
+          exclusions.set(v.constraint_id, {
+            constraint_id: v.constraint_id,
+            constraint_type: v.constraint_type,
+            supervisor_id: v.supervisor_id,
+            message: v.message,
+            slots: new Set(),
+          });
+        }
+        exclusions.get(v.constraint_id).slots.add(`${slot.school_id}-${slot.group_number}-${slot.visit_number}`);
+      }
+      return violations.length === 0;
+    });
+  }
 
   /**
    * The candidate pool for one slot: hard-restricted to the priority tier that
@@ -764,10 +864,14 @@ function runAutoPostingAlgorithm(
    * every tier this slot is allowed to draw from under the current pass).
    */
   function assignSlot(slot, cluster, allowSpillover) {
-    const candidates = eligibleCandidates(slot, cluster, allowSpillover).filter(
+    const withCapacity = eligibleCandidates(slot, cluster, allowSpillover).filter(
       (entry) => entry.count < Number(entry.supervisor.remaining_slots)
     );
-    if (candidates.length === 0) return false;
+    const candidates = applyConstraints(withCapacity, slot);
+    if (candidates.length === 0) {
+      lastFailure = withCapacity.length > 0 ? 'constraints' : 'capacity';
+      return false;
+    }
 
     // Baseline for the relative load/travel terms. When this slot's cluster has
     // its own planned team within the candidate pool, the baseline is taken from
@@ -823,6 +927,7 @@ function runAutoPostingAlgorithm(
     });
 
     applyAssignment(best, slot, cluster, 1);
+    if (constraints) constraints.place(best.supervisor.id, slot);
     return true;
   }
 
@@ -855,7 +960,10 @@ function runAutoPostingAlgorithm(
       continue;
     }
     const cluster = clusterKeyFor(slot, postingType);
-    if (!assignSlot(slot, cluster, true)) unassignedSlots++;
+    if (!assignSlot(slot, cluster, true)) {
+      if (lastFailure === 'constraints') constrainedSlots++;
+      else unassignedSlots++;
+    }
   }
 
   // ---- Local search: swap supervisors while the total cost strictly falls ----
@@ -878,15 +986,214 @@ function runAutoPostingAlgorithm(
     );
   }
 
+  if (constrainedSlots > 0) {
+    warnings.push(
+      `${constrainedSlots} slot(s) could not be assigned - every supervisor with capacity is excluded by a posting constraint`
+    );
+  }
+
+  const constraintSummary = [...exclusions.values()]
+    .map(({ slots: excluded, ...rest }) => ({ ...rest, slots_excluded: excluded.size }))
+    .sort((a, b) => b.slots_excluded - a.slots_excluded);
+
   return finish(assignments, warnings, supervisors, numberOfPostings, eligibleSlots, {
     context,
     costBefore,
     costAfter,
     searchResult,
     quotaSkipped,
+    constrainedSlots,
+    constraintSummary,
   });
 }
 
+// ============================================================================
+// REPAIR
+// ============================================================================
+
+const REPAIR_CHANGE_TYPES = ['supervisor_withdrawn', 'school_closed', 'group_merged'];
+
+const slotKeyOf = (posting) => `${posting.school_id}-${posting.group_number}-${posting.visit_number}`;
+
+/**
+ * Sort committed postings into those a change set leaves alone and those it
+ * touches. Dependent (merged-group) postings follow their primary; one at a
+ * closed school is cancelled on its own.
+ *
+ * @returns {{ kept: Array, reassign: Array, cancel: Array, withdrawn: Map, unmatched: Array }}
+ */
+function classifyRepair(committed, changes) {
+  const withdrawn = new Map(); // supervisor_id -> first visit they can no longer do
+  const closedSchools = new Set();
+  const mergedGroups = new Map(); // school-group -> change
+  const matched = new Set();
+
+  for (const change of changes) {
+    if (change.type === 'supervisor_withdrawn') withdrawn.set(change.supervisor_id, change.from_visit || 1);
+    if (change.type === 'school_closed') closedSchools.add(change.school_id);
+    if (change.type === 'group_merged') mergedGroups.set(`${change.school_id}-${change.group_number}`, change);
+  }
+
+  const reassign = [];
+  const cancel = [];
+  const affected = new Map(); // posting_id -> entry
+
+  const changeFor = (posting) => {
+    if (closedSchools.has(posting.school_id)) {
+      return changes.find((c) => c.type === 'school_closed' && c.school_id === posting.school_id);
+    }
+    const merged = mergedGroups.get(`${posting.school_id}-${posting.group_number}`);
+    if (merged) return merged;
+    if (withdrawn.has(posting.supervisor_id) && posting.visit_number >= withdrawn.get(posting.supervisor_id)) {
+      return changes.find((c) => c.type === 'supervisor_withdrawn' && c.supervisor_id === posting.supervisor_id);
+    }
+    return null;
+  };
+
+  for (const posting of committed.filter((p) => p.is_primary)) {
+    const change = changeFor(posting);
+    if (!change) continue;
+    matched.add(change);
+
+    const entry = { posting, reason: change.type, dependents: [] };
+    if (change.type === 'supervisor_withdrawn') {
+      reassign.push(entry);
+    } else {
+      if (change.type === 'group_merged') entry.covered_by = change.into;
+      cancel.push(entry);
+    }
+    affected.set(posting.posting_id, entry);
+  }
+
+  for (const dependent of committed.filter((p) => !p.is_primary)) {
+    const primary = affected.get(dependent.merged_with_posting_id);
+    if (primary) {
+      primary.dependents.push(dependent);
+    } else if (closedSchools.has(dependent.school_id)) {
+      const change = changeFor(dependent);
+      matched.add(change);
+      const entry = { posting: dependent, reason: change.type, dependents: [] };
+      cancel.push(entry);
+      affected.set(dependent.posting_id, entry);
+    }
+  }
+
+  const touched = new Set();
+  for (const entry of affected.values()) {
+    touched.add(entry.posting.posting_id);
+    for (const dependent of entry.dependents) touched.add(dependent.posting_id);
+  }
+
+  return {
+    kept: committed.filter((p) => !touched.has(p.posting_id)),
+    reassign,
+    cancel,
+    withdrawn,
+    unmatched: changes.filter((change) => !matched.has(change)),
+  };
+}
+
+/**
+ * Repair committed postings after late changes, moving as little as possible.
+ *
+ * Only postings a change touches are re-planned: a withdrawn supervisor's postings
+ * (from `from_visit` on) go to someone else, postings at a closed school or for a
+ * group merged into another are cancelled. Everyone else keeps what they have.
+ *
+ * @param {Array} supervisors - Eligible supervisors, remaining_slots measured against
+ *   the current postings (so include those currently at the cap)
+ * @param {Array} committed - Active postings: { posting_id, supervisor_id, school_id,
+ *   group_number, visit_number, distance_km, route_id, lga, is_primary, merged_with_posting_id }
+ * @param {Array} changes - { type: 'supervisor_withdrawn', supervisor_id, from_visit? }
+ *   | { type: 'school_closed', school_id } | { type: 'group_merged', school_id, group_number,
+ *   into: { school_id, group_number } }
+ * @param {Object} [options] - postingType, priorityEnabled, plus runAutoPostingAlgorithm options
+ * @returns {{ moves: Array, cancellations: Array, merged_cover: Array, warnings: Array, statistics: Object|null }}
+ */
+function runRepairAlgorithm(supervisors, committed, changes, options = {}) {
+  const { postingType = 'random', priorityEnabled = false, constraints = null, ...engineOptions } = options;
+  const { kept, reassign, cancel, withdrawn, unmatched } = classifyRepair(committed, changes);
+
+  // Capacity freed by postings leaving each supervisor
+  const freed = new Map();
+  for (const { posting } of [...reassign, ...cancel]) {
+    if (posting.is_primary) freed.set(posting.supervisor_id, (freed.get(posting.supervisor_id) || 0) + 1);
+  }
+
+  const pool = supervisors
+    .filter((s) => !withdrawn.has(s.id))
+    .map((s) => ({ ...s, remaining_slots: Number(s.remaining_slots) + (freed.get(s.id) || 0) }))
+    .filter((s) => s.remaining_slots > 0);
+
+  const schoolHistory = new Map();
+  for (const posting of kept) {
+    if (!schoolHistory.has(posting.supervisor_id)) schoolHistory.set(posting.supervisor_id, new Set());
+    schoolHistory.get(posting.supervisor_id).add(posting.school_id);
+  }
+
+  // Whoever is leaving a school no longer counts for the pairing rules there
+  let repairConstraints = constraints;
+  if (constraints && !constraints.isEmpty) {
+    repairConstraints = constraints.fork();
+    for (const entry of [...reassign, ...cancel]) {
+      for (const posting of [entry.posting, ...entry.dependents]) repairConstraints.unplace(posting.supervisor_id, posting);
+    }
+  }
+
+  const slots = reassign.map(({ posting }) => ({
+    id: slotKeyOf(posting),
+    school_id: posting.school_id,
+    school_name: posting.school_name,
+    group_number: posting.group_number,
+    visit_number: posting.visit_number,
+    route_id: posting.route_id,
+    route_name: posting.route_name,
+    lga: posting.lga,
+    distance_km: Number(posting.distance_km) || 0,
+  }));
+
+  const warnings = unmatched.map((change) => `A ${change.type.replace('_', ' ')} change affects no active postings`);
+  let result = { assignments: [], warnings: [], statistics: null };
+
+  if (slots.length > 0) {
+    result = runAutoPostingAlgorithm(
+      pool,
+      slots,
+      Math.max(...slots.map((slot) => slot.visit_number)),
+      postingType,
+      priorityEnabled,
+      { ...engineOptions, schoolHistory, constraints: repairConstraints, committed: kept.filter((p) => p.is_primary) }
+    );
+  }
+
+  const assignedBySlot = new Map(result.assignments.map((a) => [slotKeyOf(a), a]));
+  const moves = reassign.map((entry) => ({ ...entry, to: assignedBySlot.get(slotKeyOf(entry.posting)) || null }));
+
+  // A merged group is covered by whoever holds the group it merged into, per visit
+  const hostBySlot = new Map();
+  for (const posting of kept.filter((p) => p.is_primary)) {
+    hostBySlot.set(slotKeyOf(posting), { posting_id: posting.posting_id, supervisor_id: posting.supervisor_id });
+  }
+  for (const move of moves.filter((m) => m.to)) {
+    hostBySlot.set(slotKeyOf(move.posting), { posting_id: move.posting.posting_id, supervisor_id: move.to.supervisor_id });
+  }
+
+  const mergedCover = cancel
+    .filter((entry) => entry.covered_by)
+    .map((entry) => ({
+      posting: entry.posting,
+      host: hostBySlot.get(slotKeyOf({ ...entry.covered_by, visit_number: entry.posting.visit_number })) || null,
+    }));
+
+  return {
+    moves,
+    cancellations: cancel,
+    merged_cover: mergedCover,
+    warnings: [...warnings, ...result.warnings],
+    statistics: result.statistics,
+  };
+}
+
 // ============================================================================
 // LOCAL SEARCH
 // ============================================================================
@@ -896,7 +1203,9 @@ function runAutoPostingAlgorithm(
  *
  * Each slot keeps its own school/group/visit, so a swap only exchanges who goes
  * where - posting counts and capacity are untouched by construction, which means
- * the hard constraints survive the search automatically. Swaps never cross a
+ * those hard constraints survive the search automatically. Posting rules do not
+ * (a swap can move someone onto a blocked school or split a must-pair), so each
+ * swap is checked against them first - see swapAllowed. Swaps never cross a
  * priority tier boundary - that would undo the deterministic bucket assignment -
  * so `a`/`b` are skipped whenever their `priority_number` differs; within a tier
  * there is nothing left to swap over except repeat/affinity/travel.
@@ -928,8 +1237,11 @@ function localSearch(assignments, state, context) {
           return { swaps_applied: swapsApplied, passes: pass + 1, budget_exhausted: true };
         }
 
+        if (context.constraints && !swapAllowed(a, b, context.constraints)) continue;
+
         const delta = swapDelta(a, b, state, context);
         if (delta < -1e-9) {
+          if (context.constraints) swapOccupancy(a, b, context.constraints);
           performSwap(a, b, state);
           swapsApplied++;
           improvedThisPass = true;
@@ -994,6 +1306,40 @@ function pairCost(a, b, state, context) {
   return total;
 }
 
+/**
+ * Exchange who occupies `a`'s and `b`'s schools in the constraint set, as a swap
+ * of their supervisors would (call before the supervisor fields are swapped).
+ */
+function swapOccupancy(a, b, constraints) {
+  constraints.unplace(a.supervisor_id, a);
+  constraints.unplace(b.supervisor_id, b);
+  constraints.place(b.supervisor_id, a);
+  constraints.place(a.supervisor_id, b);
+}
+
+/** Undo swapOccupancy(a, b) for a swap that was not made. */
+function unswapOccupancy(a, b, constraints) {
+  constraints.unplace(b.supervisor_id, a);
+  constraints.unplace(a.supervisor_id, b);
+  constraints.place(a.supervisor_id, a);
+  constraints.place(b.supervisor_id, b);
+}
+
+/**
+ * Whether swapping the supervisors of `a` and `b` keeps every posting rule: each
+ * supervisor may take the other's slot, and no pair rule breaks at either school.
+ */
+function swapAllowed(a, b, constraints) {
+  swapOccupancy(a, b, constraints);
+  const allowed =
+    constraints.check(b.supervisor_id, a).length === 0 &&
+    constraints.check(a.supervisor_id, b).length === 0 &&
+    constraints.cellViolations(a).length === 0 &&
+    constraints.cellViolations(b).length === 0;
+  unswapOccupancy(a, b, constraints);
+  return allowed;
+}
+
 /** Move both assignments between supervisors and keep the state in step. */
 function performSwap(a, b, state) {
   const entryA = state.get(a.supervisor_id);
@@ -1113,7 +1459,10 @@ function reflagAssignments(assignments, schoolHistory, postingType, avoidRepeatS
  * needs to show how *good* the distribution is, not just how big it is.
  */
 function finish(assignments, warnings, supervisors, visitsIncluded, eligibleSlots, extras) {
-  const { context, costBefore, costAfter, searchResult, quotaSkipped = 0 } = extras;
+  const {
+    context, costBefore, costAfter, searchResult, quotaSkipped = 0,
+    constrainedSlots = 0, constraintSummary = [],
+  } = extras;
 
   const byVisit = {};
   const bySupervisor = {};
@@ -1220,6 +1569,8 @@ function finish(assignments, warnings, supervisors, visitsIncluded, eligibleSlot
     distance_by_rank: distanceByRank,
     priority_correlation: Number(priorityCorrelation.toFixed(3)),
     quota_skipped: quotaSkipped,
+    constrained_slots: constrainedSlots,
+    constraint_summary: constraintSummary,
   };
 
   if (context) {
@@ -1271,7 +1622,9 @@ function finish(assignments, warnings, supervisors, visitsIncluded, eligibleSlot
 
 module.exports = {
   runAutoPostingAlgorithm,
+  runRepairAlgorithm,
   DEFAULT_WEIGHTS,
+  REPAIR_CHANGE_TYPES,
   // Exported for testing
   clusterKeyFor,
   standardDeviation,
@@ -1280,4 +1633,6 @@ module.exports = {
   computeTierThresholds,
   assignUnitsToTiers,
   planPriorityAllocation,
+  selectSlotsByPreference,
+  swapAllowed,
 };
@@ -0,0 +1,556 @@
+/**
+ * Distance Service
+ *
+ * Computes institution_schools.distance_km - the figure every allowance in
+ * allowanceCalculator depends on - from the institution's location and the
+ * school's master_schools.location, instead of relying on hand-typed values.
+ *
+ * METHODS
+ * Each institution picks a method (institutions.distance_method):
+ * - great_circle: haversine distance x institutions.distance_road_factor,
+ *   since roads are longer than the straight line
+ * - road_network: driving distance from a self-hosted, offline OSRM router
+ *   (ROAD_NETWORK_URL). Falls back to great_circle for any school the router
+ *   can't answer, and says so in the result. Once the router fails, the rest
+ *   of a batch goes straight to great_circle so a hung router costs one
+ *   timeout, not one per school.
+ *
+ * A method is { label, usesRoadFactor?, isAvailable?(), distanceKm(from, to, { roadFactor }) }.
+ * registerMethod() adds one at runtime, e.g. a lookup against a local road
+ * distance table.
+ *
+ * RECALCULATION
+ * planRecalculation() works out the new distance of every school with
+ * coordinates and how each change moves the allowances of the supervisors
+ * posted there in a session, without writing anything, with a plan_hash.
+ * applyRecalculation() builds the plan again and saves it only when its hash
+ * matches the previewed one: school distances, location categories and the
+ * session's posting snapshots. Router answers, coordinates or postings that
+ * changed in between make it refuse, so what is saved is what was approved.
+ * Manually entered distances are only recalculated when asked to (includeManual).
+ *
+ * NOTE: master_schools.location is stored as POINT(latitude longitude) while
+ * institutions.location is POINT(longitude latitude) - see the SELECTs below.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { query, transaction } = require('../db/database');
+const { calculateAllowances, getLocationCategory } = require('./allowanceCalculator');
+const { ValidationError, ConflictError } = require('../utils/errors');
+
+const EARTH_RADIUS_KM = 6371;
+const DEFAULT_ROAD_FACTOR = 1.3;
+const ROUTER_TIMEOUT_MS = 10000;
+
+/**
+ * Great-circle (haversine) distance
+ * @param {{ latitude: number, longitude: number }} from
+ * @param {{ latitude: number, longitude: number }} to
+ * @returns {number} Kilometres
+ */
+function greatCircleKm(from, to) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(to.latitude - from.latitude);
+  const dLon = toRad(to.longitude - from.longitude);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(from.latitude)) * Math.cos(toRad(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * GET a JSON document from the road-network router
+ * @param {string} url
+ * @returns {Promise<Object>}
+ */
+function getJson(url) {
+  const client = url.startsWith('https:') ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.get(url, { timeout: ROUTER_TIMEOUT_MS }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+      res.on('end', () => {
+        try {
+          resolve(JSON.parse(data));
+        } catch (e) {
+          reject(new Error(`Invalid response from road-network router (HTTP ${res.statusCode})`));
+        }
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error('Road-network router timed out')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Built-in methods
+ */
+const METHODS = {
+  great_circle: {
+    label: 'Straight line x road factor',
+    usesRoadFactor: true,
+    async distanceKm(from, to, { roadFactor }) {
+      return greatCircleKm(from, to) * roadFactor;
+    },
+  },
+
+  road_network: {
+    label: 'Road network (offline router)',
+    isAvailable: () => !!process.env.ROAD_NETWORK_URL,
+    async distanceKm(from, to) {
+      const base = process.env.ROAD_NETWORK_URL.replace(/\/+$/, '');
+      const coordinates = `${from.longitude},${from.latitude};${to.longitude},${to.latitude}`;
+      const body = await getJson(`${base}/route/v1/driving/${coordinates}?overview=false`);
+      const meters = body.routes?.[0]?.distance;
+      if (body.code !== 'Ok' || typeof meters !== 'number') {
+        throw new Error(`Road-network router: ${body.message || body.code || 'no route'}`);
+      }
+      return meters / 1000;
+    },
+  },
+};
+
+/**
+ * Add or replace a method
+ * @param {string} name - Value stored in institutions.distance_method
+ * @param {Object} method - See METHODS
+ */
+function registerMethod(name, method) {
+  if (!method || typeof method.distanceKm !== 'function') {
+    throw new Error('A distance method needs a distanceKm() function');
+  }
+  METHODS[name] = { label: name, ...method };
+}
+
+/**
+ * Methods an institution can choose from
+ * @returns {Array<{ name: string, label: string, available: boolean, uses_road_factor: boolean }>}
+ */
+function getMethods() {
+  return Object.entries(METHODS).map(([name, method]) => ({
+    name,
+    label: method.label,
+    available: method.isAvailable ? method.isAvailable() : true,
+    uses_road_factor: !!method.usesRoadFactor,
+  }));
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Distance between two points with the given method, falling back to
+ * great_circle when the method is unavailable or fails
+ * @returns {Promise<{ distance_km: number, method: string, fallback_reason?: string }>}
+ */
+async function measure(from, to, { method = 'great_circle', roadFactor = DEFAULT_ROAD_FACTOR } = {}) {
+  const chosen = METHODS[method];
+  let fallbackReason;
+
+  if (!chosen) {
+    fallbackReason = `Unknown distance method "${method}"`;
+  } else if (chosen.isAvailable && !chosen.isAvailable()) {
+    fallbackReason = `${chosen.label} is not configured`;
+  } else {
+    try {
+      const km = await chosen.distanceKm(from, to, { roadFactor });
+      if (Number.isFinite(km) && km >= 0) {
+        return { distance_km: round2(km), method };
+      }
+      fallbackReason = `${chosen.label} returned an invalid distance`;
+    } catch (error) {
+      fallbackReason = error.message;
+    }
+  }
+
+  const km = await METHODS.great_circle.distanceKm(from, to, { roadFactor });
+  return { distance_km: round2(km), method: 'great_circle', fallback_reason: fallbackReason };
+}
+
+/**
+ * measure() for a batch of schools from one origin. After the origin's method
+ * first falls back, the remaining schools use great_circle without trying it.
+ * @param {Object} origin - From getInstitutionOrigin()
+ * @returns {Function} async (to) => same as measure()
+ */
+function createBatchMeasure(origin) {
+  let failure = null;
+  return async (to) => {
+    if (failure) {
+      const result = await measure(origin, to, { method: 'great_circle', roadFactor: origin.roadFactor });
+      return { ...result, fallback_reason: failure };
+    }
+    const result = await measure(origin, to, origin);
+    if (result.fallback_reason && origin.method !== 'great_circle') {
+      failure = result.fallback_reason;
+    }
+    return result;
+  };
+}
+
+/**
+ * The institution's location and distance settings
+ * @param {number} institutionId
+ * @returns {Promise<Object|null>} { latitude, longitude, method, roadFactor }; coordinates are null when unset
+ */
+async function getInstitutionOrigin(institutionId) {
+  const [institution] = await query(
+    `SELECT ST_Y(location) as latitude, ST_X(location) as longitude,
+            distance_method, distance_road_factor
+     FROM institutions WHERE id = ?`,
+    [parseInt(institutionId)]
+  );
+  if (!institution) return null;
+
+  const hasLocation = institution.latitude !== null && institution.longitude !== null;
+  return {
+    latitude: hasLocation ? parseFloat(institution.latitude) : null,
+    longitude: hasLocation ? parseFloat(institution.longitude) : null,
+    method: institution.distance_method || 'great_circle',
+    roadFactor: parseFloat(institution.distance_road_factor) || DEFAULT_ROAD_FACTOR,
+  };
+}
+
+function hasCoordinates(point) {
+  return !!point && point.latitude !== null && point.longitude !== null &&
+    Number.isFinite(parseFloat(point.latitude)) && Number.isFinite(parseFloat(point.longitude));
+}
+
+/**
+ * Institution schools with their master school coordinates
+ * @param {number} institutionId
+ * @param {number[]|null} schoolIds - Limit to these institution_schools ids
+ */
+async function loadSchools(institutionId, schoolIds = null) {
+  const params = [parseInt(institutionId)];
+  let filter = '';
+  if (schoolIds && schoolIds.length > 0) {
+    filter = `AND isv.id IN (${schoolIds.map(() => '?').join(', ')})`;
+    params.push(...schoolIds.map((id) => parseInt(id)));
+  }
+
+  return query(
+    `SELECT isv.id, isv.master_school_id, isv.distance_km, isv.distance_source,
+            isv.location_category, ms.name,
+            ST_X(ms.location) as latitude, ST_Y(ms.location) as longitude
+     FROM institution_schools isv
+     JOIN master_schools ms ON isv.master_school_id = ms.id
+     WHERE isv.institution_id = ? ${filter}
+     ORDER BY ms.name`,
+    params
+  );
+}
+
+/**
+ * The session postings are recalculated for: the one asked for, else the current one
+ */
+async function resolveSession(institutionId, sessionId) {
+  const [session] = sessionId
+    ? await query(
+      'SELECT * FROM academic_sessions WHERE id = ? AND institution_id = ?',
+      [parseInt(sessionId), parseInt(institutionId)]
+    )
+    : await query(
+      `SELECT * FROM academic_sessions
+       WHERE institution_id = ? AND is_current = 1
+       ORDER BY created_at DESC LIMIT 1`,
+      [parseInt(institutionId)]
+    );
+  return session || null;
+}
+
+/**
+ * Compute and save distances for the given schools (used when schools are
+ * created, linked or uploaded without a distance). Schools without
+ * coordinates, or an institution without a location, are left as they are.
+ * Posting snapshots are not touched.
+ * @param {number} institutionId
+ * @param {number[]} schoolIds - institution_schools ids
+ * @param {Object} [options]
+ * @param {boolean} [options.updateCategory=false] - Also set location_category from the current session's threshold
+ * @returns {Promise<number>} How many schools were updated
+ */
+async function refreshSchoolDistances(institutionId, schoolIds, { updateCategory = false } = {}) {
+  if (!schoolIds || schoolIds.length === 0) return 0;
+
+  const origin = await getInstitutionOrigin(institutionId);
+  if (!hasCoordinates(origin)) return 0;
+
+  const session = updateCategory ? await resolveSession(institutionId) : null;
+  const threshold = session ? parseFloat(session.inside_distance_threshold_km) || 10 : null;
+
+  const measureSchool = createBatchMeasure(origin);
+  let updated = 0;
+  for (const school of await loadSchools(institutionId, schoolIds)) {
+    if (!hasCoordinates(school)) continue;
+    const to = { latitude: parseFloat(school.latitude), longitude: parseFloat(school.longitude) };
+    const { distance_km: distanceKm } = await measureSchool(to);
+    await query(
+      `UPDATE institution_schools
+       SET distance_km = ?, distance_source = 'computed', distance_computed_at = NOW(),
+           location_category = COALESCE(?, location_category)
+       WHERE id = ? AND institution_id = ?`,
+      [
+        distanceKm,
+        threshold !== null ? getLocationCategory(distanceKm, threshold) : null,
+        school.id,
+        parseInt(institutionId),
+      ]
+    );
+    updated++;
+  }
+  return updated;
+}
+
+const ALLOWANCE_FIELDS = ['local_running', 'transport', 'dsa', 'dta'];
+
+/**
+ * A supervisor's total for a session: every allowance summed, tetfund counted
+ * once (see allowanceCalculator)
+ */
+function supervisorTotal(postings) {
+  const sum = postings.reduce(
+    (total, posting) => total + ALLOWANCE_FIELDS.reduce((acc, field) => acc + (parseFloat(posting[field]) || 0), 0),
+    0
+  );
+  const tetfund = Math.max(0, ...postings.map((posting) => parseFloat(posting.tetfund) || 0));
+  return round2(sum + tetfund);
+}
+
+/**
+ * The plan plus the full session row it was made for
+ */
+async function buildPlan(institutionId, { sessionId, schoolIds, includeManual = false } = {}) {
+  const origin = await getInstitutionOrigin(institutionId);
+  if (!origin) {
+    throw new ValidationError('Institution not found');
+  }
+  if (!hasCoordinates(origin)) {
+    throw new ValidationError('Set the institution\'s location before computing school distances');
+  }
+
+  const schools = [];
+  const skipped = [];
+  const measureSchool = createBatchMeasure(origin);
+
+  for (const school of await loadSchools(institutionId, schoolIds)) {
+    if (school.distance_source === 'manual' && !includeManual) {
+      skipped.push({ id: school.id, name: school.name, reason: 'manual' });
+      continue;
+    }
+    if (!hasCoordinates(school)) {
+      skipped.push({ id: school.id, name: school.name, reason: 'no_coordinates' });
+      continue;
+    }
+
+    const to = { latitude: parseFloat(school.latitude), longitude: parseFloat(school.longitude) };
+    const result = await measureSchool(to);
+    const current = parseFloat(school.distance_km) || 0;
+    if (round2(current) === result.distance_km && school.distance_source === 'computed') continue;
+
+    schools.push({
+      id: school.id,
+      name: school.name,
+      distance_source: school.distance_source,
+      current_distance_km: round2(current),
+      proposed_distance_km: result.distance_km,
+      change_km: round2(result.distance_km - current),
+      method: result.method,
+      fallback_reason: result.fallback_reason || null,
+    });
+  }
+
+  const session = await resolveSession(institutionId, sessionId);
+  const proposedBySchool = new Map(schools.map((school) => [school.id, school.proposed_distance_km]));
+  const supervisors = [];
+  const postingChanges = [];
+
+  if (session && schools.length > 0) {
+    const postings = await query(
+      `SELECT sp.id, sp.supervisor_id, sp.institution_school_id, sp.group_number, sp.visit_number,
+              sp.is_primary_posting, sp.distance_km,
+              sp.local_running, sp.transport, sp.dsa, sp.dta, sp.tetfund,
+              u.name as supervisor_name, r.name as rank_name,
+              r.local_running_allowance, r.transport_per_km, r.dta as rank_dta, r.tetfund as rank_tetfund,
+              ms.name as school_name
+       FROM supervisor_postings sp
+       JOIN users u ON sp.supervisor_id = u.id
+       LEFT JOIN ranks r ON r.id = COALESCE(sp.rank_id, u.rank_id)
+       JOIN institution_schools isv ON sp.institution_school_id = isv.id
+       JOIN master_schools ms ON isv.master_school_id = ms.id
+       WHERE sp.institution_id = ? AND sp.session_id = ? AND sp.status = 'active'
+       ORDER BY u.name, sp.id`,
+      [parseInt(institutionId), session.id]
+    );
+
+    const bySupervisor = new Map();
+    for (const posting of postings) {
+      if (!bySupervisor.has(posting.supervisor_id)) bySupervisor.set(posting.supervisor_id, []);
+      bySupervisor.get(posting.supervisor_id).push(posting);
+    }
+
+    for (const [supervisorId, current] of bySupervisor) {
+      if (!current.some((posting) => proposedBySchool.has(posting.institution_school_id))) continue;
+
+      const proposed = current.map((posting) => {
+        if (!proposedBySchool.has(posting.institution_school_id)) return posting;
+        const allowances = calculateAllowances(
+          {
+            local_running_allowance: posting.local_running_allowance,
+            transport_per_km: posting.transport_per_km,
+            dta: posting.rank_dta,
+            tetfund: posting.rank_tetfund,
+          },
+          { distance_km: proposedBySchool.get(posting.institution_school_id) },
+          session,
+          !posting.is_primary_posting
+        );
+        return { ...posting, ...allowances };
+      });
+
+      const changed = proposed
+        .map((posting, index) => ({ before: current[index], after: posting }))
+        .filter(({ before }) => proposedBySchool.has(before.institution_school_id))
+        .map(({ before, after }) => ({
+          posting_id: before.id,
+          supervisor_id: supervisorId,
+          institution_school_id: before.institution_school_id,
+          school_name: before.school_name,
+          group_number: before.group_number,
+          visit_number: before.visit_number,
+          current_distance_km: round2(parseFloat(before.distance_km) || 0),
+          proposed_distance_km: after.distance_km,
+          current: Object.fromEntries(
+            [...ALLOWANCE_FIELDS, 'tetfund'].map((field) => [field, round2(parseFloat(before[field]) || 0)])
+          ),
+          proposed: Object.fromEntries(
+            [...ALLOWANCE_FIELDS, 'tetfund'].map((field) => [field, round2(after[field])])
+          ),
+        }));
+
+      postingChanges.push(...changed);
+
+      const currentTotal = supervisorTotal(current);
+      const proposedTotal = supervisorTotal(proposed);
+      supervisors.push({
+        supervisor_id: supervisorId,
+        name: current[0].supervisor_name,
+        rank: current[0].rank_name,
+        current_total: currentTotal,
+        proposed_total: proposedTotal,
+        change: round2(proposedTotal - currentTotal),
+        postings: changed,
+      });
+    }
+  }
+
+  // What apply must find unchanged: the distances and every allowance, before and after
+  const planHash = crypto.createHash('sha256').update(JSON.stringify({
+    session_id: session?.id || null,
+    schools: schools.map((school) => [school.id, school.current_distance_km, school.proposed_distance_km]),
+    postings: postingChanges.map((posting) => [
+      posting.posting_id, posting.supervisor_id, posting.institution_school_id,
+      posting.current, posting.proposed,
+    ]),
+  })).digest('hex');
+
+  const plan = {
+    method: origin.method,
+    road_factor: origin.roadFactor,
+    session: session ? { id: session.id, name: session.name, is_locked: !!session.is_locked } : null,
+    summary: {
+      schools_changed: schools.length,
+      schools_skipped: skipped.length,
+      postings_affected: postingChanges.length,
+      supervisors_affected: supervisors.length,
+      total_change: round2(supervisors.reduce((total, supervisor) => total + supervisor.change, 0)),
+    },
+    schools,
+    skipped,
+    supervisors,
+    postings: postingChanges,
+    plan_hash: planHash,
+  };
+
+  return { plan, session };
+}
+
+/**
+ * Work out new distances and their allowance impact without saving anything
+ * @param {number} institutionId
+ * @param {Object} [options]
+ * @param {number} [options.sessionId] - Defaults to the current session
+ * @param {number[]} [options.schoolIds] - Limit to these institution_schools ids
+ * @param {boolean} [options.includeManual=false] - Also recalculate hand-entered distances
+ * @returns {Promise<Object>} { method, road_factor, session, summary, schools, skipped, supervisors, postings, plan_hash }
+ */
+async function planRecalculation(institutionId, options = {}) {
+  const { plan } = await buildPlan(institutionId, options);
+  return plan;
+}
+
+/**
+ * Save a recalculation: new school distances (marked computed), their
+ * location category for the session's threshold, and the session's active
+ * posting snapshots and allowances
+ * @param {number} institutionId
+ * @param {Object} options - Same as planRecalculation(), plus:
+ * @param {string} options.planHash - plan_hash of the preview being applied
+ * @returns {Promise<Object>} The plan that was applied
+ * @throws {ConflictError} When the plan no longer matches the preview
+ */
+async function applyRecalculation(institutionId, { planHash, ...options } = {}) {
+  const { plan, session } = await buildPlan(institutionId, options);
+  if (plan.plan_hash !== planHash) {
+    throw new ConflictError('Distances or postings changed since this recalculation was previewed - preview it again');
+  }
+  // Categories follow the session's inside threshold, so they are only updated with a session
+  const threshold = session ? parseFloat(session.inside_distance_threshold_km) || 10 : null;
+
+  if (plan.schools.length === 0) {
+    return plan;
+  }
+
+  await transaction(async (conn) => {
+    for (const school of plan.schools) {
+      const category = threshold !== null ? getLocationCategory(school.proposed_distance_km, threshold) : null;
+      await conn.execute(
+        `UPDATE institution_schools
+         SET distance_km = ?, distance_source = 'computed', distance_computed_at = NOW(),
+             location_category = COALESCE(?, location_category)
+         WHERE id = ? AND institution_id = ?`,
+        [school.proposed_distance_km, category, school.id, parseInt(institutionId)]
+      );
+    }
+
+    for (const posting of plan.postings) {
+      const { proposed } = posting;
+      await conn.execute(
+        `UPDATE supervisor_postings
+         SET distance_km = ?, local_running = ?, transport = ?, dsa = ?, dta = ?, tetfund = ?
+         WHERE id = ? AND institution_id = ?`,
+        [
+          posting.proposed_distance_km, proposed.local_running, proposed.transport,
+          proposed.dsa, proposed.dta, proposed.tetfund,
+          posting.posting_id, parseInt(institutionId),
+        ]
+      );
+    }
+  });
+
+  return plan;
+}
+
+module.exports = {
+  greatCircleKm,
+  measure,
+  registerMethod,
+  getMethods,
+  getInstitutionOrigin,
+  refreshSchoolDistances,
+  planRecalculation,
+  applyRecalculation,
+};
@@ -1,9 +1,57 @@
 /**
  * Document Service
  * Generates printable documents for students (Introduction Letter, Acceptance Form)
+ * and verifiable PDF copies of rendered document templates
  */
 
+const pdfService = require('./pdfService');
+const letterVerificationService = require('./letterVerificationService');
+
 class DocumentService {
+  /**
+   * Generate a branded PDF for a rendered template, with a QR verification code.
+   * Each call records a new issuance that the public verification page can check.
+   * @param {Object} institution - Institution record
+   * @param {Object} document - Rendered template (html, header_html, footer_html, page settings, student, session, school)
+   * @param {Object} context - Who and what the document was issued for
+   * @param {number} context.studentId
+   * @param {number} [context.sessionId]
+   * @param {number} context.templateId
+   * @param {number} [context.templateVersion]
+   * @param {string} context.documentType
+   * @param {string} [context.title]
+   * @param {number} [context.renderedBy] - Staff user ID (omit for student downloads)
+   * @param {string} [context.ipAddress]
+   * @returns {Promise<{ buffer: Buffer, verification: { token: string, url: string, reference: string, issuanceId: number } }>}
+   */
+  static async generatePdf(institution, document, context) {
+    const verification = await letterVerificationService.issue({
+      institutionId: institution.id,
+      studentId: context.studentId,
+      sessionId: context.sessionId,
+      templateId: context.templateId,
+      templateVersion: context.templateVersion,
+      documentType: context.documentType,
+    }, {
+      snapshot: {
+        student_name: document.student?.full_name || null,
+        registration_number: document.student?.registration_number || null,
+        school_name: document.school?.name || null,
+        session_name: document.session?.name || null,
+      },
+      renderedBy: context.renderedBy || null,
+      ipAddress: context.ipAddress || null,
+    });
+
+    const buffer = await pdfService.renderLetterPdf({
+      institution,
+      document: { ...document, title: context.title || document.title },
+      verification,
+    });
+
+    return { buffer, verification };
+  }
+
   /**
    * Generate Introduction Letter HTML
    * @param {Object} student - Student record
@@ -1,12 +1,26 @@
 /**
  * Email Queue Service
- * 
+ *
  * Asynchronous email sending with:
- * - In-memory queue (can be upgraded to Redis/BullMQ for production)
- * - Retry with exponential backoff
- * - Dead-letter queue for permanently failed emails
+ * - MySQL-backed queue (email_queue table) that survives restarts and deploys
+ * - Row-level claiming so several workers (PM2 cluster mode) can drain it safely
+ * - Scheduled retries with exponential backoff
+ * - Persistent dead-letter entries for permanently failed emails
  * - Queue health monitoring
- * 
+ *
+ * CLAIMING
+ * A worker claims ready rows with a single UPDATE ... ORDER BY ... LIMIT that
+ * stamps them with a unique claim token, then reads back the rows carrying that
+ * token. The UPDATE is atomic, so two workers never claim the same row (this
+ * works on MariaDB 10.4, which has no SKIP LOCKED). Rows left in 'processing'
+ * by a worker that died mid-send are released after CONFIG.lockTimeout.
+ *
+ * The payload (recipient and template data, which can include passwords and
+ * reset links) is stored encrypted and cleared once the email has been sent.
+ *
+ * SMS uses the same table (channel = 'sms'): queueSms() enqueues a message
+ * when the institution has SMS switched on, and it is sent by smsService.
+ *
  * USAGE:
  * const { emailQueueService } = require('./services');
  * await emailQueueService.enqueue(institutionId, {
@@ -14,38 +28,64 @@
  *   template: 'passwordReset',
  *   data: { name: 'John', resetUrl: '...' }
  * });
+ * await emailQueueService.queueSms(institutionId, {
+ *   to: '08031234567',
+ *   template: 'monitorAssignment',
+ *   data: { name: 'John', ... }
+ * });
  */
 
 const EventEmitter = require('events');
+const crypto = require('crypto');
+const os = require('os');
+const { query } = require('../db/database');
 const emailService = require('./emailService');
+const smsService = require('./smsService');
+const encryptionService = require('./encryptionService');
 
 // Queue configuration
 const CONFIG = {
   // Maximum retry attempts before moving to dead-letter queue
   maxRetries: 3,
-  
+
   // Base delay for exponential backoff (in ms)
   baseDelay: 1000,
-  
+
   // Maximum delay between retries (in ms)
   maxDelay: 30000,
-  
+
   // How often to process the queue (in ms)
   processInterval: 1000,
-  
-  // Maximum concurrent email sends
+
+  // Maximum concurrent email sends (per worker)
   concurrency: 5,
-  
-  // Dead-letter queue size limit (oldest items removed when exceeded)
-  deadLetterLimit: 1000,
+
+  // A claimed row still 'processing' after this long is assumed abandoned (in ms)
+  lockTimeout: 5 * 60 * 1000,
+
+  // How often to release abandoned rows and prune old ones (in ms)
+  maintenanceInterval: 60 * 1000,
+
+  // Completed rows are kept this long for getJobStatus (sending is logged in email_logs)
+  completedRetentionDays: 7,
+
+  // Dead-letter rows are kept this long for inspection and retry
+  deadLetterRetentionDays: 30,
 };
 
-// Queue state
-const queue = [];
-const processing = new Set();
-const deadLetterQueue = [];
+const PRIORITY = { high: 1, normal: 2, low: 3 };
+
+const CHANNELS = ['email', 'sms'];
+
+// Identifies this worker's claims; unique per process
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// Worker state
+let claimCounter = 0;
+let activeJobs = 0;
 let isProcessing = false;
 let processInterval = null;
+let lastMaintenanceAt = 0;
 
 // Event emitter for queue events
 const events = new EventEmitter();
@@ -62,51 +102,54 @@ function calculateDelay(attempt) {
   return Math.min(delay + jitter, CONFIG.maxDelay);
 }
 
+// Same digest as email_logs.recipient_email_hash
+function hashRecipient(to) {
+  return crypto.createHash('sha256').update(String(to || '').trim().toLowerCase()).digest('hex');
+}
+
+function toIso(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
 /**
- * Add email to queue
- * @param {number} institutionId
- * @param {Object} emailOptions - { to, template, data }
- * @param {Object} options - { priority: 'high' | 'normal' | 'low' }
- * @returns {string} Job ID
+ * Decrypt a stored payload back into { to, template, data }
+ * @param {Object} row - email_queue row
+ * @returns {Object|null}
  */
-function enqueue(institutionId, emailOptions, options = {}) {
-  const jobId = `email_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  
-  const job = {
-    id: jobId,
-    institutionId,
-    emailOptions,
-    priority: options.priority || 'normal',
-    attempts: 0,
-    createdAt: Date.now(),
-    nextAttemptAt: Date.now(),
-    status: 'pending',
-    lastError: null,
-  };
-
-  // Insert by priority (high first)
-  if (options.priority === 'high') {
-    // Find first non-high priority item
-    const insertIndex = queue.findIndex(j => j.priority !== 'high');
-    if (insertIndex === -1) {
-      queue.push(job);
-    } else {
-      queue.splice(insertIndex, 0, job);
-    }
-  } else if (options.priority === 'low') {
-    queue.push(job);
-  } else {
-    // Normal priority: insert after high, before low
-    const insertIndex = queue.findIndex(j => j.priority === 'low');
-    if (insertIndex === -1) {
-      queue.push(job);
-    } else {
-      queue.splice(insertIndex, 0, job);
-    }
-  }
+function readPayload(row) {
+  if (!row.payload) return null;
+  return JSON.parse(encryptionService.decrypt(row.payload));
+}
 
-  events.emit('enqueued', job);
-  console.log(`[EMAIL QUEUE] Enqueued ${emailOptions.template} email to ${emailOptions.to} (${jobId})`);
+/**
+ * Add email (or SMS) to queue
+ * @param {number|null} institutionId - null for system emails
+ * @param {Object} emailOptions - { to, template, data }
+ * @param {Object} options - { priority: 'high' | 'normal' | 'low', channel: 'email' | 'sms' }
+ * @returns {Promise<string>} Job ID
+ */
+async function enqueue(institutionId, emailOptions, options = {}) {
+  const channel = CHANNELS.includes(options.channel) ? options.channel : 'email';
+  const jobId = `${channel}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const priority = PRIORITY[options.priority] || PRIORITY.normal;
+
+  await query(
+    `INSERT INTO email_queue
+     (job_id, institution_id, template, recipient_email_hash, payload, priority, status, next_attempt_at, channel)
+     VALUES (?, ?, ?, ?, ?, ?, 'pending', NOW(3), ?)`,
+    [
+      jobId,
+      institutionId || null,
+      emailOptions.template,
+      hashRecipient(emailOptions.to),
+      encryptionService.encrypt(JSON.stringify(emailOptions)),
+      priority,
+      channel,
+    ]
+  );
+
+  events.emit('enqueued', { id: jobId, institutionId, channel, emailOptions, priority: options.priority || 'normal' });
+  console.log(`[EMAIL QUEUE] Enqueued ${emailOptions.template} ${channel} (${jobId})`);
 
   // Start processing if not already running
   startProcessing();
@@ -115,69 +158,133 @@ function enqueue(institutionId, emailOptions, options = {}) {
 }
 
 /**
- * Process a single job
- * @param {Object} job
+ * Claim up to `limit` ready jobs for this worker
+ * @param {number} limit
+ * @returns {Promise<Array>} Claimed rows
  */
-async function processJob(job) {
-  if (processing.has(job.id)) {
-    return;
+async function claimJobs(limit) {
+  const token = `${WORKER_ID}:${++claimCounter}`;
+
+  const result = await query(
+    `UPDATE email_queue
+     SET status = 'processing', locked_by = ?, locked_at = NOW(3)
+     WHERE status = 'pending' AND next_attempt_at <= NOW(3)
+     ORDER BY priority, next_attempt_at, id
+     LIMIT ?`,
+    [token, limit]
+  );
+
+  if (!result || !result.affectedRows) {
+    return [];
   }
 
-  processing.add(job.id);
-  job.status = 'processing';
+  return query(
+    `SELECT * FROM email_queue WHERE locked_by = ? AND status = 'processing' ORDER BY priority, id`,
+    [token]
+  );
+}
+
+/**
+ * Record a failed attempt: schedule a retry, or move to dead-letter
+ * @param {Object} row - Claimed email_queue row
+ * @param {Error} error
+ */
+async function recordFailure(row, error) {
+  const attempts = row.attempts + 1;
+  const message = String(error.message || 'Email send failed').substring(0, 500);
+  const job = { id: row.job_id, institutionId: row.institution_id, template: row.template, attempts, lastError: message };
+
+  if (attempts >= CONFIG.maxRetries) {
+    await query(
+      `UPDATE email_queue
+       SET status = 'dead-letter', attempts = ?, last_error = ?, failed_at = NOW(3),
+           locked_by = NULL, locked_at = NULL
+       WHERE id = ? AND locked_by = ?`,
+      [attempts, message, row.id, row.locked_by]
+    );
+
+    events.emit('dead-letter', job, error);
+    console.error(`[EMAIL QUEUE] Moved to dead-letter: ${row.job_id} after ${attempts} attempts - ${message}`);
+  } else {
+    // Schedule retry with exponential backoff
+    const delay = calculateDelay(attempts);
+    await query(
+      `UPDATE email_queue
+       SET status = 'pending', attempts = ?, last_error = ?,
+           next_attempt_at = NOW(3) + INTERVAL ? MICROSECOND,
+           locked_by = NULL, locked_at = NULL
+       WHERE id = ? AND locked_by = ?`,
+      [attempts, message, Math.round(delay * 1000), row.id, row.locked_by]
+    );
+
+    events.emit('retry', job, error, delay);
+    console.warn(`[EMAIL QUEUE] Retry ${attempts}/${CONFIG.maxRetries} for ${row.job_id} in ${Math.round(delay / 1000)}s - ${message}`);
+  }
+}
+
+/**
+ * Process a single claimed job
+ * @param {Object} row - Claimed email_queue row
+ */
+async function processJob(row) {
+  activeJobs++;
 
   try {
-    const result = await emailService.sendEmail(job.institutionId, job.emailOptions);
-
-    if (result.success) {
-      // Remove from queue
-      const index = queue.indexOf(job);
-      if (index > -1) {
-        queue.splice(index, 1);
-      }
-
-      job.status = 'completed';
-      job.completedAt = Date.now();
-      
-      events.emit('completed', job, result);
-      console.log(`[EMAIL QUEUE] Completed ${job.emailOptions.template} email (${job.id})`);
-    } else {
-      throw new Error(result.error || 'Email send failed');
+    const emailOptions = readPayload(row);
+    if (!emailOptions) {
+      throw new Error('Email payload is missing');
+    }
+
+    const send = row.channel === 'sms' ? smsService.sendSms : emailService.sendEmail;
+    const result = await send(row.institution_id, { ...emailOptions, jobId: row.job_id });
+
+    if (!result.success) {
+      throw new Error(result.error || `${row.channel === 'sms' ? 'SMS' : 'Email'} send failed`);
     }
+
+    // Drop the (sensitive) payload once delivered
+    await query(
+      `UPDATE email_queue
+       SET status = 'completed', payload = NULL, completed_at = NOW(3), last_error = NULL,
+           locked_by = NULL, locked_at = NULL
+       WHERE id = ? AND locked_by = ?`,
+      [row.id, row.locked_by]
+    );
+
+    events.emit('completed', { id: row.job_id, institutionId: row.institution_id, channel: row.channel, template: row.template }, result);
+    console.log(`[EMAIL QUEUE] Completed ${row.template} ${row.channel || 'email'} (${row.job_id})`);
   } catch (error) {
-    job.attempts++;
-    job.lastError = error.message;
-
-    if (job.attempts >= CONFIG.maxRetries) {
-      // Move to dead-letter queue
-      const index = queue.indexOf(job);
-      if (index > -1) {
-        queue.splice(index, 1);
-      }
-
-      job.status = 'dead-letter';
-      job.failedAt = Date.now();
-      
-      // Add to dead-letter queue (limit size)
-      deadLetterQueue.push(job);
-      if (deadLetterQueue.length > CONFIG.deadLetterLimit) {
-        deadLetterQueue.shift();
-      }
-
-      events.emit('dead-letter', job, error);
-      console.error(`[EMAIL QUEUE] Moved to dead-letter: ${job.id} after ${job.attempts} attempts - ${error.message}`);
-    } else {
-      // Schedule retry with exponential backoff
-      const delay = calculateDelay(job.attempts);
-      job.nextAttemptAt = Date.now() + delay;
-      job.status = 'pending';
-
-      events.emit('retry', job, error, delay);
-      console.warn(`[EMAIL QUEUE] Retry ${job.attempts}/${CONFIG.maxRetries} for ${job.id} in ${Math.round(delay / 1000)}s - ${error.message}`);
+    try {
+      await recordFailure(row, error);
+    } catch (dbError) {
+      // The row stays claimed and is released by the lock timeout
+      console.error(`[EMAIL QUEUE] Failed to record failure for ${row.job_id}:`, dbError.message);
     }
   } finally {
-    processing.delete(job.id);
+    activeJobs--;
+  }
+}
+
+/**
+ * Release rows abandoned mid-send and prune old completed/dead-letter rows
+ */
+async function runMaintenance() {
+  const released = await query(
+    `UPDATE email_queue
+     SET status = 'pending', locked_by = NULL, locked_at = NULL
+     WHERE status = 'processing' AND locked_at < NOW(3) - INTERVAL ? SECOND`,
+    [Math.round(CONFIG.lockTimeout / 1000)]
+  );
+  if (released?.affectedRows) {
+    console.warn(`[EMAIL QUEUE] Released ${released.affectedRows} abandoned job(s)`);
   }
+
+  await query(
+    `DELETE FROM email_queue
+     WHERE (status = 'completed' AND completed_at < NOW(3) - INTERVAL ? DAY)
+        OR (status = 'dead-letter' AND failed_at < NOW(3) - INTERVAL ? DAY)`,
+    [CONFIG.completedRetentionDays, CONFIG.deadLetterRetentionDays]
+  );
 }
 
 /**
@@ -191,20 +298,16 @@ async function processQueue() {
   isProcessing = true;
 
   try {
-    const now = Date.now();
-    
-    // Get ready jobs (pending and past nextAttemptAt)
-    const readyJobs = queue.filter(job => 
-      job.status === 'pending' && 
-      job.nextAttemptAt <= now &&
-      !processing.has(job.id)
-    );
+    if (Date.now() - lastMaintenanceAt >= CONFIG.maintenanceInterval) {
+      lastMaintenanceAt = Date.now();
+      await runMaintenance();
+    }
 
-    // Process up to concurrency limit
-    const jobsToProcess = readyJobs.slice(0, CONFIG.concurrency - processing.size);
+    // Claim up to concurrency limit
+    const jobs = await claimJobs(CONFIG.concurrency - activeJobs);
 
-    if (jobsToProcess.length > 0) {
-      await Promise.all(jobsToProcess.map(job => processJob(job)));
+    if (jobs.length > 0) {
+      await Promise.all(jobs.map(job => processJob(job)));
     }
   } catch (error) {
     console.error('[EMAIL QUEUE] Error processing queue:', error.message);
@@ -222,8 +325,10 @@ function startProcessing() {
   }
 
   processInterval = setInterval(processQueue, CONFIG.processInterval);
-  console.log('[EMAIL QUEUE] Started queue processing');
-  
+  // Never keep the process alive just to poll the queue
+  processInterval.unref();
+  console.log(`[EMAIL QUEUE] Started queue processing (worker ${WORKER_ID})`);
+
   // Process immediately
   processQueue();
 }
@@ -240,36 +345,37 @@ function stopProcessing() {
 }
 
 /**
- * Get queue health status
- * @returns {Object}
+ * Get queue health status (across all workers)
+ * @returns {Promise<Object>}
  */
-function getHealth() {
-  const now = Date.now();
-  
-  const pending = queue.filter(j => j.status === 'pending').length;
-  const retrying = queue.filter(j => j.status === 'pending' && j.attempts > 0).length;
-  const processingCount = processing.size;
-  const deadLetter = deadLetterQueue.length;
-
-  // Calculate average wait time for pending jobs
-  const pendingJobs = queue.filter(j => j.status === 'pending');
-  const avgWaitTime = pendingJobs.length > 0
-    ? pendingJobs.reduce((sum, j) => sum + (now - j.createdAt), 0) / pendingJobs.length
-    : 0;
-
-  // Oldest job in queue
-  const oldestJob = queue[0];
-  const oldestJobAge = oldestJob ? now - oldestJob.createdAt : 0;
+async function getHealth() {
+  const [stats] = await query(
+    `SELECT
+       COALESCE(SUM(status = 'pending'), 0) as pending,
+       COALESCE(SUM(status = 'pending' AND attempts > 0), 0) as retrying,
+       COALESCE(SUM(status = 'processing'), 0) as processing,
+       COALESCE(SUM(status = 'dead-letter'), 0) as dead_letter,
+       AVG(CASE WHEN status = 'pending'
+                THEN TIMESTAMPDIFF(MICROSECOND, created_at, NOW(3)) END) / 1000 as avg_wait_ms,
+       MAX(CASE WHEN status IN ('pending', 'processing')
+                THEN TIMESTAMPDIFF(MICROSECOND, created_at, NOW(3)) END) / 1000 as oldest_age_ms
+     FROM email_queue
+     WHERE status IN ('pending', 'processing', 'dead-letter')`
+  );
+
+  const pending = parseInt(stats?.pending) || 0;
+  const processing = parseInt(stats?.processing) || 0;
 
   return {
     isRunning: processInterval !== null,
-    queueSize: queue.length,
+    workerId: WORKER_ID,
+    queueSize: pending + processing,
     pending,
-    retrying,
-    processing: processingCount,
-    deadLetter,
-    avgWaitTimeMs: Math.round(avgWaitTime),
-    oldestJobAgeMs: oldestJobAge,
+    retrying: parseInt(stats?.retrying) || 0,
+    processing,
+    deadLetter: parseInt(stats?.dead_letter) || 0,
+    avgWaitTimeMs: Math.round(parseFloat(stats?.avg_wait_ms) || 0),
+    oldestJobAgeMs: Math.round(parseFloat(stats?.oldest_age_ms) || 0),
     config: {
       maxRetries: CONFIG.maxRetries,
       concurrency: CONFIG.concurrency,
@@ -279,59 +385,121 @@ function getHealth() {
 }
 
 /**
- * Get dead-letter queue contents
+ * WHERE clause for dead-letter queries
+ * @param {Object} filters
+ * @param {number} [filters.institutionId] - Limit to one institution (omit for all)
+ * @param {string} [filters.channel] - 'email' or 'sms'
+ * @param {string} [filters.template]
+ * @param {string} [filters.recipient] - Exact email address or phone number (matched by hash)
+ * @param {string[]} [filters.jobIds]
+ * @returns {{ where: string, params: Array }}
+ */
+function deadLetterWhere({ institutionId, channel, template, recipient, jobIds } = {}) {
+  const conditions = ["status = 'dead-letter'"];
+  const params = [];
+
+  if (institutionId) {
+    conditions.push('institution_id = ?');
+    params.push(institutionId);
+  }
+  if (channel) {
+    conditions.push('channel = ?');
+    params.push(channel);
+  }
+  if (template) {
+    conditions.push('template = ?');
+    params.push(template);
+  }
+  if (recipient) {
+    conditions.push('recipient_email_hash = ?');
+    params.push(hashRecipient(smsService.normalizeRecipient(recipient)));
+  }
+  if (jobIds) {
+    conditions.push(`job_id IN (${jobIds.map(() => '?').join(',') || 'NULL'})`);
+    params.push(...jobIds);
+  }
+
+  return { where: conditions.join(' AND '), params };
+}
+
+/**
+ * Get dead-letter queue contents (most recent first)
  * @param {number} limit
- * @returns {Array}
+ * @param {Object} [filters] - See deadLetterWhere()
+ * @returns {Promise<Array>}
  */
-function getDeadLetterQueue(limit = 50) {
-  return deadLetterQueue.slice(-limit).map(job => ({
-    id: job.id,
-    institutionId: job.institutionId,
-    template: job.emailOptions.template,
-    to: job.emailOptions.to,
-    attempts: job.attempts,
-    lastError: job.lastError,
-    createdAt: new Date(job.createdAt).toISOString(),
-    failedAt: new Date(job.failedAt).toISOString(),
-  }));
+async function getDeadLetterQueue(limit = 50, filters = {}) {
+  const { where, params } = deadLetterWhere(filters);
+  const rows = await query(
+    `SELECT * FROM email_queue WHERE ${where} ORDER BY failed_at DESC, id DESC LIMIT ?`,
+    [...params, Math.max(1, parseInt(limit) || 50)]
+  );
+
+  return rows.map(row => {
+    let to = null;
+    try {
+      to = readPayload(row)?.to || null;
+    } catch (error) {
+      // Undecryptable payload (e.g. rotated key) - still list the job
+    }
+    return {
+      id: row.job_id,
+      institutionId: row.institution_id,
+      channel: row.channel || 'email',
+      template: row.template,
+      to,
+      attempts: row.attempts,
+      lastError: row.last_error,
+      createdAt: toIso(row.created_at),
+      failedAt: toIso(row.failed_at),
+    };
+  });
 }
 
 /**
- * Retry a dead-letter job
- * @param {string} jobId
- * @returns {boolean}
+ * Put matching dead-letter jobs back on the queue
+ * @param {Object} [filters] - See deadLetterWhere()
+ * @returns {Promise<number>} Number of jobs requeued
  */
-function retryDeadLetter(jobId) {
-  const index = deadLetterQueue.findIndex(j => j.id === jobId);
-  if (index === -1) {
-    return false;
+async function retryDeadLetters(filters = {}) {
+  const { where, params } = deadLetterWhere(filters);
+  const result = await query(
+    `UPDATE email_queue
+     SET status = 'pending', attempts = 0, last_error = NULL, failed_at = NULL, next_attempt_at = NOW(3)
+     WHERE ${where}`,
+    params
+  );
+
+  const count = result?.affectedRows || 0;
+  if (count > 0) {
+    events.emit('retry-dead-letter', { filters, count });
+    console.log(`[EMAIL QUEUE] Retrying ${count} dead-letter job(s)`);
+    startProcessing();
   }
+  return count;
+}
 
-  const job = deadLetterQueue.splice(index, 1)[0];
-  
-  // Reset job for retry
-  job.attempts = 0;
-  job.status = 'pending';
-  job.nextAttemptAt = Date.now();
-  job.lastError = null;
-  delete job.failedAt;
-
-  queue.push(job);
-  
-  events.emit('retry-dead-letter', job);
-  console.log(`[EMAIL QUEUE] Retrying dead-letter job ${jobId}`);
-
-  startProcessing();
-  return true;
+/**
+ * Retry a dead-letter job
+ * @param {string} jobId
+ * @param {Object} [options]
+ * @param {number} [options.institutionId] - Only if the job belongs to this institution
+ * @returns {Promise<boolean>}
+ */
+async function retryDeadLetter(jobId, { institutionId } = {}) {
+  return (await retryDeadLetters({ institutionId, jobIds: [jobId] })) > 0;
 }
 
 /**
  * Clear dead-letter queue
- * @returns {number} Number of items cleared
+ * @param {Object} [options]
+ * @param {number} [options.institutionId] - Only this institution's jobs (omit for all)
+ * @returns {Promise<number>} Number of items cleared
  */
-function clearDeadLetterQueue() {
-  const count = deadLetterQueue.length;
-  deadLetterQueue.length = 0;
+async function clearDeadLetterQueue({ institutionId } = {}) {
+  const { where, params } = deadLetterWhere({ institutionId });
+  const result = await query(`DELETE FROM email_queue WHERE ${where}`, params);
+  const count = result?.affectedRows || 0;
   console.log(`[EMAIL QUEUE] Cleared ${count} dead-letter jobs`);
   return count;
 }
@@ -339,36 +507,36 @@ function clearDeadLetterQueue() {
 /**
  * Get job status
  * @param {string} jobId
- * @returns {Object|null}
+ * @returns {Promise<Object|null>}
  */
-function getJobStatus(jobId) {
-  // Check active queue
-  const activeJob = queue.find(j => j.id === jobId);
-  if (activeJob) {
-    return {
-      id: activeJob.id,
-      status: activeJob.status,
-      attempts: activeJob.attempts,
-      lastError: activeJob.lastError,
-      createdAt: new Date(activeJob.createdAt).toISOString(),
-      nextAttemptAt: activeJob.nextAttemptAt ? new Date(activeJob.nextAttemptAt).toISOString() : null,
-    };
+async function getJobStatus(jobId) {
+  const rows = await query(
+    `SELECT job_id, status, attempts, last_error, created_at, next_attempt_at, completed_at, failed_at
+     FROM email_queue WHERE job_id = ?`,
+    [jobId]
+  );
+  const job = rows[0];
+  if (!job) {
+    return null;
   }
 
-  // Check dead-letter queue
-  const deadJob = deadLetterQueue.find(j => j.id === jobId);
-  if (deadJob) {
-    return {
-      id: deadJob.id,
-      status: 'dead-letter',
-      attempts: deadJob.attempts,
-      lastError: deadJob.lastError,
-      createdAt: new Date(deadJob.createdAt).toISOString(),
-      failedAt: new Date(deadJob.failedAt).toISOString(),
-    };
+  const status = {
+    id: job.job_id,
+    status: job.status,
+    attempts: job.attempts,
+    lastError: job.last_error,
+    createdAt: toIso(job.created_at),
+  };
+
+  if (job.status === 'dead-letter') {
+    status.failedAt = toIso(job.failed_at);
+  } else if (job.status === 'completed') {
+    status.completedAt = toIso(job.completed_at);
+  } else {
+    status.nextAttemptAt = toIso(job.next_attempt_at);
   }
 
-  return null;
+  return status;
 }
 
 /**
@@ -376,7 +544,7 @@ function getJobStatus(jobId) {
  * @param {number} institutionId
  * @param {Object} emailOptions
  * @param {Object} options
- * @returns {string} Job ID
+ * @returns {Promise<string>} Job ID
  */
 function queueEmail(institutionId, emailOptions, options = {}) {
   return enqueue(institutionId, emailOptions, options);
@@ -386,37 +554,58 @@ function queueEmail(institutionId, emailOptions, options = {}) {
  * Convenience: Send email with high priority (e.g., password resets)
  * @param {number} institutionId
  * @param {Object} emailOptions
- * @returns {string} Job ID
+ * @returns {Promise<string>} Job ID
  */
 function queueHighPriority(institutionId, emailOptions) {
   return enqueue(institutionId, emailOptions, { priority: 'high' });
 }
 
-// Auto-start processing when module is loaded
-startProcessing();
+/**
+ * Queue an SMS if the institution has SMS notifications switched on and a
+ * provider configured; otherwise (or without a usable number) do nothing
+ * @param {number} institutionId
+ * @param {Object} smsOptions - { to: phone number, template, data }
+ * @param {Object} options - { priority }
+ * @returns {Promise<string|null>} Job ID, or null when no SMS was queued
+ */
+async function queueSms(institutionId, smsOptions, options = {}) {
+  const to = smsService.normalizePhone(smsOptions.to);
+  if (!to || !(await smsService.isEnabled(institutionId))) {
+    return null;
+  }
+  return enqueue(institutionId, { ...smsOptions, to }, { ...options, channel: 'sms' });
+}
+
+// Auto-start processing when module is loaded (tests drive the queue directly)
+if (process.env.NODE_ENV !== 'test') {
+  startProcessing();
+}
 
 module.exports = {
   // Core functions
   enqueue,
   queueEmail,
   queueHighPriority,
-  
+  queueSms,
+
   // Queue management
   startProcessing,
   stopProcessing,
+  processQueue,
   getHealth,
-  
+
   // Dead-letter management
   getDeadLetterQueue,
   retryDeadLetter,
+  retryDeadLetters,
   clearDeadLetterQueue,
-  
+
   // Job status
   getJobStatus,
-  
+
   // Events
   events,
-  
+
   // Configuration (read-only)
   config: { ...CONFIG },
 };
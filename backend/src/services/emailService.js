@@ -936,6 +936,15 @@ const EMAIL_TEMPLATES = {
   },
 };
 
+/**
+ * Hash a recipient address for email_logs (addresses are never stored in clear)
+ * @param {string} email
+ * @returns {string} SHA-256 hex digest
+ */
+function hashRecipient(email) {
+  return crypto.createHash('sha256').update(String(email || '').trim().toLowerCase()).digest('hex');
+}
+
 /**
  * Log email sending (audit log without sensitive data)
  * @param {Object} logData
@@ -943,14 +952,15 @@ const EMAIL_TEMPLATES = {
 async function logEmailSend(logData) {
   try {
     await pool.query(
-      `INSERT INTO email_logs (institution_id, email_type, recipient_email_hash, status, error_message, sent_at)
-       VALUES (?, ?, ?, ?, ?, NOW())`,
+      `INSERT INTO email_logs (institution_id, email_type, recipient_email_hash, status, error_message, queue_job_id, sent_at)
+       VALUES (?, ?, ?, ?, ?, ?, NOW())`,
       [
         logData.institutionId,
         logData.emailType,
-        crypto.createHash('sha256').update(logData.recipient).digest('hex'),
+        hashRecipient(logData.recipient),
         logData.status,
-        logData.error || null,
+        logData.error ? String(logData.error).substring(0, 500) : null,
+        logData.jobId || null,
       ]
     );
   } catch (error) {
@@ -966,9 +976,10 @@ async function logEmailSend(logData) {
  * @param {string} options.to - Recipient email
  * @param {string} options.template - Template name
  * @param {Object} options.data - Template data
+ * @param {string} [options.jobId] - Email queue job id, recorded in email_logs
  * @returns {Promise<{ success: boolean, messageId?: string, error?: string }>}
  */
-async function sendEmail(institutionId, { to, template, data }) {
+async function sendEmail(institutionId, { to, template, data, jobId }) {
   // Validate template exists
   const templateConfig = EMAIL_TEMPLATES[template];
   if (!templateConfig) {
@@ -1005,6 +1016,7 @@ async function sendEmail(institutionId, { to, template, data }) {
       recipient: to,
       status: 'failed',
       error,
+      jobId,
     });
     return { success: false, error };
   }
@@ -1037,6 +1049,7 @@ async function sendEmail(institutionId, { to, template, data }) {
       emailType: template,
       recipient: to,
       status: 'sent',
+      jobId,
     });
 
     console.log(`[EMAIL] Sent ${template} email to ${to}${institutionId ? ` for institution ${institutionId}` : ' (system)'}, messageId: ${result.messageId}`);
@@ -1050,6 +1063,7 @@ async function sendEmail(institutionId, { to, template, data }) {
       recipient: to,
       status: 'failed',
       error: error.message,
+      jobId,
     });
 
     console.error(`[EMAIL] Failed to send ${template} email to ${to}:`, error.message);
@@ -1234,6 +1248,7 @@ module.exports = {
   getFrontendUrl,
   getSuperAdminFrontendUrl,
   validateSmtpPortConfig,
+  hashRecipient,
   
   // Template names for reference
   TEMPLATES: Object.keys(EMAIL_TEMPLATES),
@@ -13,7 +13,10 @@ const encryptionService = require('./encryptionService');
 const cloudinaryService = require('./cloudinaryService');
 const emailService = require('./emailService');
 const emailQueueService = require('./emailQueueService');
+const smsService = require('./smsService');
+const notificationService = require('./notificationService');
 const paystackService = require('./paystackService');
+const paymentGatewayService = require('./paymentGatewayService');
 const documentService = require('./documentService');
 
 // Export only services that are compatible with MedeePay pattern
@@ -23,6 +26,9 @@ module.exports = {
   cloudinaryService,
   emailService,
   emailQueueService,
+  smsService,
+  notificationService,
   paystackService,
+  paymentGatewayService,
   documentService,
 };
@@ -0,0 +1,330 @@
+/**
+ * Key-Value Store
+ *
+ * Short-lived shared state with TTLs, for things every backend worker must see:
+ * - SSO exchange tokens (minted on one worker, exchanged on any other)
+ * - Rate-limit counters (one budget per key, not one per worker)
+ *
+ * DRIVERS
+ * A driver is {
+ *   get(key) -> value|null,
+ *   set(key, value, ttlMs),
+ *   take(key) -> value|null        - get and delete; only one caller wins,
+ *   remove(key),
+ *   increment(key, ttlMs) -> count - fixed window: a missing or expired key
+ *     starts again at 1 with a fresh TTL, otherwise the TTL is kept,
+ *   decrement(key)                 - never below 0, no-op once expired,
+ *   purgeExpired() -> number removed
+ * }
+ * Values are anything JSON can hold. All methods are async.
+ *
+ * 'mysql' (key_value_store table) is the default and is shared by every
+ * process on the database. 'memory' keeps a Map in this process: tests and
+ * single-worker development only. KV_STORE_DRIVER picks one;
+ * registerDriver() adds another (e.g. Redis) at runtime.
+ *
+ * Callers namespace their keys: 'sso:<token>', 'rate:<hash>:<window>',
+ * 'sweep:<job>:<window>'. Keys
+ * must fit store_key (255 characters) - hash anything built from user input.
+ *
+ * USAGE:
+ * const keyValueStore = require('./keyValueStore');
+ * await keyValueStore.set('sso:abc', { userId: 7 }, 30 * 1000);
+ * const data = await keyValueStore.take('sso:abc');
+ * if (await keyValueStore.claim('sweep:reminders:481234', 60 * 60 * 1000)) { ... }
+ */
+
+const config = require('../config');
+const { query } = require('../db/database');
+
+const PURGE_INTERVAL_MS = 5 * 60 * 1000;
+
+// ============================================================================
+// MYSQL DRIVER
+// ============================================================================
+
+// Expiry is computed by MySQL (NOW(3)) so app and database clocks never mix
+const mysqlDriver = {
+  async get(key) {
+    const [row] = await query(
+      'SELECT value FROM key_value_store WHERE store_key = ? AND expires_at > NOW(3)',
+      [key]
+    );
+    return row ? JSON.parse(row.value) : null;
+  },
+
+  async set(key, value, ttlMs) {
+    await query(
+      `INSERT INTO key_value_store (store_key, value, expires_at)
+       VALUES (?, ?, NOW(3) + INTERVAL ? MICROSECOND)
+       ON DUPLICATE KEY UPDATE value = VALUES(value), expires_at = VALUES(expires_at)`,
+      [key, JSON.stringify(value), ttlMs * 1000]
+    );
+  },
+
+  async take(key) {
+    const [row] = await query(
+      'SELECT value FROM key_value_store WHERE store_key = ? AND expires_at > NOW(3)',
+      [key]
+    );
+    if (!row) return null;
+
+    // Whoever deletes the row owns the value - a concurrent take() gets nothing
+    const result = await query('DELETE FROM key_value_store WHERE store_key = ?', [key]);
+    return result.affectedRows ? JSON.parse(row.value) : null;
+  },
+
+  async remove(key) {
+    await query('DELETE FROM key_value_store WHERE store_key = ?', [key]);
+  },
+
+  async increment(key, ttlMs) {
+    // One round trip: the updated count comes back through LAST_INSERT_ID(expr)
+    // as insertId; a fresh row (count 1) leaves insertId at 0.
+    // Assignments run left to right: value is decided against the old
+    // expires_at before expires_at itself is moved on.
+    const result = await query(
+      `INSERT INTO key_value_store (store_key, value, expires_at)
+       VALUES (?, '1', NOW(3) + INTERVAL ? MICROSECOND)
+       ON DUPLICATE KEY UPDATE
+         value = LAST_INSERT_ID(IF(expires_at <= NOW(3), 1, CAST(value AS SIGNED) + 1)),
+         expires_at = IF(expires_at <= NOW(3), VALUES(expires_at), expires_at)`,
+      [key, ttlMs * 1000]
+    );
+    return Number(result.insertId) || 1;
+  },
+
+  async decrement(key) {
+    await query(
+      `UPDATE key_value_store SET value = CAST(value AS SIGNED) - 1
+       WHERE store_key = ? AND expires_at > NOW(3) AND CAST(value AS SIGNED) > 0`,
+      [key]
+    );
+  },
+
+  async purgeExpired() {
+    const result = await query('DELETE FROM key_value_store WHERE expires_at <= NOW(3)');
+    return result.affectedRows || 0;
+  },
+};
+
+// ============================================================================
+// MEMORY DRIVER
+// ============================================================================
+
+// key -> { value (JSON text, so callers never share objects), expiresAt }
+const memoryEntries = new Map();
+
+function liveEntry(key) {
+  const entry = memoryEntries.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    memoryEntries.delete(key);
+    return null;
+  }
+  return entry;
+}
+
+const memoryDriver = {
+  async get(key) {
+    const entry = liveEntry(key);
+    return entry ? JSON.parse(entry.value) : null;
+  },
+
+  async set(key, value, ttlMs) {
+    memoryEntries.set(key, { value: JSON.stringify(value), expiresAt: Date.now() + ttlMs });
+  },
+
+  async take(key) {
+    const entry = liveEntry(key);
+    if (!entry) return null;
+    memoryEntries.delete(key);
+    return JSON.parse(entry.value);
+  },
+
+  async remove(key) {
+    memoryEntries.delete(key);
+  },
+
+  async increment(key, ttlMs) {
+    const entry = liveEntry(key);
+    if (!entry) {
+      memoryEntries.set(key, { value: '1', expiresAt: Date.now() + ttlMs });
+      return 1;
+    }
+    const count = Number(entry.value) + 1;
+    entry.value = String(count);
+    return count;
+  },
+
+  async decrement(key) {
+    const entry = liveEntry(key);
+    if (entry && Number(entry.value) > 0) {
+      entry.value = String(Number(entry.value) - 1);
+    }
+  },
+
+  async purgeExpired() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, entry] of memoryEntries.entries()) {
+      if (entry.expiresAt <= now) {
+        memoryEntries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  },
+};
+
+// ============================================================================
+// DRIVER SELECTION
+// ============================================================================
+
+const DRIVER_METHODS = ['get', 'set', 'take', 'remove', 'increment', 'decrement', 'purgeExpired'];
+
+const DRIVERS = {
+  mysql: mysqlDriver,
+  memory: memoryDriver,
+};
+
+let activeDriverName = config.kvStore.driver;
+
+/**
+ * Add a driver (or replace a built-in one)
+ * @param {string} name
+ * @param {Object} driver - See DRIVERS in the header
+ */
+function registerDriver(name, driver) {
+  const missing = DRIVER_METHODS.filter((method) => typeof driver?.[method] !== 'function');
+  if (missing.length) {
+    throw new Error(`A key-value store driver needs: ${missing.join(', ')}`);
+  }
+  DRIVERS[name] = driver;
+}
+
+/**
+ * Switch the driver this process uses
+ * @param {string} name
+ */
+function useDriver(name) {
+  if (!DRIVERS[name]) {
+    throw new Error(`Unknown key-value store driver: ${name}`);
+  }
+  activeDriverName = name;
+}
+
+function getDriver() {
+  const driver = DRIVERS[activeDriverName];
+  if (!driver) {
+    throw new Error(`Unknown key-value store driver: ${activeDriverName}`);
+  }
+  return driver;
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * @param {string} key
+ * @returns {Promise<*>} The value, or null when missing or expired
+ */
+const get = (key) => getDriver().get(key);
+
+/**
+ * @param {string} key
+ * @param {*} value - JSON-serialisable
+ * @param {number} ttlMs
+ */
+const set = (key, value, ttlMs) => getDriver().set(key, value, ttlMs);
+
+/**
+ * Read and delete in one step - for single-use tokens
+ * @param {string} key
+ * @returns {Promise<*>} The value, or null when missing, expired or already taken
+ */
+const take = (key) => getDriver().take(key);
+
+/**
+ * @param {string} key
+ */
+const remove = (key) => getDriver().remove(key);
+
+/**
+ * Count a hit in a fixed window
+ * @param {string} key
+ * @param {number} ttlMs - Window length, applied when the window starts
+ * @returns {Promise<number>} Hits so far in the window
+ */
+const increment = (key, ttlMs) => getDriver().increment(key, ttlMs);
+
+/**
+ * Give back one hit in the current window
+ * @param {string} key
+ */
+const decrement = (key) => getDriver().decrement(key);
+
+/**
+ * Claim a key until it expires - true for the first caller only, on any
+ * worker. Lets a timer every worker runs do its work in just one of them.
+ * @param {string} key
+ * @param {number} ttlMs
+ * @returns {Promise<boolean>}
+ */
+const claim = async (key, ttlMs) => (await increment(key, ttlMs)) === 1;
+
+/**
+ * Delete expired entries (reads already ignore them)
+ * @returns {Promise<number>} Entries removed
+ */
+const purgeExpired = () => getDriver().purgeExpired();
+
+let purgeInterval = null;
+
+/**
+ * Purge expired entries every few minutes
+ */
+function startPurge() {
+  if (purgeInterval) {
+    return;
+  }
+
+  purgeInterval = setInterval(() => {
+    purgeExpired().catch((error) => {
+      console.error('[KV STORE] Purge failed:', error.message);
+    });
+  }, PURGE_INTERVAL_MS);
+  // Never keep the process alive just for purging
+  purgeInterval.unref();
+}
+
+/**
+ * Stop the purge
+ */
+function stopPurge() {
+  if (purgeInterval) {
+    clearInterval(purgeInterval);
+    purgeInterval = null;
+  }
+}
+
+// Auto-start the purge when the module is loaded (tests call purgeExpired directly)
+if (process.env.NODE_ENV !== 'test') {
+  startPurge();
+}
+
+module.exports = {
+  get,
+  set,
+  take,
+  remove,
+  increment,
+  decrement,
+  claim,
+  purgeExpired,
+  registerDriver,
+  useDriver,
+  startPurge,
+  stopPurge,
+};
@@ -0,0 +1,287 @@
+/**
+ * Letter Verification Service
+ *
+ * Issues and checks the signed tokens embedded in QR codes on printed letters.
+ * Every issuance is recorded in document_render_logs (render_type = 'pdf') so the
+ * public verification page can report whether a letter is still valid, revoked
+ * or superseded by a later issuance with different details.
+ *
+ * Token format: <payload>.<signature>
+ *   payload   - base64url JSON claims (kept short so the QR code stays scannable)
+ *   signature - base64url HMAC-SHA256 of the payload
+ *
+ * Claims:
+ *   r   - issuance ID (document_render_logs.id)
+ *   i   - institution ID
+ *   s   - student ID
+ *   n   - session ID
+ *   t   - template ID
+ *   v   - template version
+ *   d   - document type
+ *   iat - issued at (unix seconds)
+ *
+ * Any change to the payload invalidates the signature, so a forged or edited
+ * token is rejected before the database is consulted.
+ *
+ * Verification statuses:
+ *   valid      - signature checks out and the issuance is current
+ *   revoked    - the TP office revoked this issuance
+ *   superseded - a later issuance for the same student/session/document has different details
+ *   invalid    - malformed, tampered with, or unknown to this system
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const { query } = require('../db/database');
+const emailService = require('./emailService');
+
+const TOKEN_VERSION_PREFIX = 'l1';
+
+function getSigningSecret() {
+  return process.env.LETTER_SIGNING_SECRET || `${config.jwt.secret}:letters`;
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', getSigningSecret()).update(`${TOKEN_VERSION_PREFIX}.${payload}`).digest('base64url');
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function parseJson(value) {
+  if (!value || typeof value !== 'string') return value || null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Create a signed verification token
+ * @param {Object} claims
+ * @param {number} [claims.issuanceId]
+ * @param {number} claims.institutionId
+ * @param {number} claims.studentId
+ * @param {number} [claims.sessionId]
+ * @param {number} [claims.templateId]
+ * @param {number} [claims.templateVersion]
+ * @param {string} claims.documentType
+ * @returns {string}
+ */
+function createToken({ issuanceId = null, institutionId, studentId, sessionId = null, templateId = null, templateVersion = null, documentType }) {
+  const payload = base64url(JSON.stringify({
+    r: issuanceId,
+    i: institutionId,
+    s: studentId,
+    n: sessionId,
+    t: templateId,
+    v: templateVersion,
+    d: documentType,
+    iat: Math.floor(Date.now() / 1000),
+  }));
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verify a token's signature and decode its claims
+ * @param {string} token
+ * @returns {Object|null} Decoded claims, or null when the token is malformed or tampered with
+ */
+function verifyToken(token) {
+  if (typeof token !== 'string' || token.length > 1024) return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 2) return null;
+
+  const [payload, signature] = parts;
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return {
+      issuanceId: claims.r,
+      institutionId: claims.i,
+      studentId: claims.s,
+      sessionId: claims.n,
+      templateId: claims.t,
+      templateVersion: claims.v,
+      documentType: claims.d,
+      issuedAt: claims.iat ? new Date(claims.iat * 1000) : null,
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Short, human-readable reference printed beside the QR code
+ * (derived from the signature so it is unique per token)
+ * @param {string} token
+ * @returns {string} e.g. "K3F9-QX2M-7T"
+ */
+function getReferenceCode(token) {
+  const signature = String(token).split('.')[1] || '';
+  const code = signature.replace(/[^a-z0-9]/gi, '').slice(0, 10).toUpperCase();
+  return code.match(/.{1,4}/g)?.join('-') || '';
+}
+
+/**
+ * Public URL encoded in the QR code
+ * @param {number} institutionId
+ * @param {string} token
+ * @returns {Promise<string>}
+ */
+async function buildVerificationUrl(institutionId, token) {
+  const baseUrl = await emailService.getFrontendUrl(institutionId);
+  return `${baseUrl.replace(/\/$/, '')}/verify/${token}`;
+}
+
+/**
+ * Record an issuance and create its token plus everything the PDF renderer needs to print it
+ * @param {Object} claims - See createToken() (issuanceId is assigned here)
+ * @param {Object} [meta]
+ * @param {Object} [meta.snapshot] - Details printed on the document (student_name, registration_number, school_name, session_name)
+ * @param {number} [meta.renderedBy] - Staff user ID (null when a student downloads their own letter)
+ * @param {string} [meta.ipAddress]
+ * @returns {Promise<{ token: string, url: string, reference: string, issuanceId: number }>}
+ */
+async function issue(claims, { snapshot = {}, renderedBy = null, ipAddress = null } = {}) {
+  const result = await query(
+    `INSERT INTO document_render_logs
+     (institution_id, template_id, template_version, document_type, student_id, session_id,
+      render_type, snapshot_hash, document_snapshot, rendered_by, ip_address)
+     VALUES (?, ?, ?, ?, ?, ?, 'pdf', ?, ?, ?, ?)`,
+    [
+      claims.institutionId,
+      claims.templateId,
+      claims.templateVersion || 1,
+      claims.documentType,
+      claims.studentId,
+      claims.sessionId || null,
+      sha256(JSON.stringify(snapshot)),
+      JSON.stringify(snapshot),
+      renderedBy,
+      ipAddress,
+    ]
+  );
+
+  const issuanceId = result.insertId;
+  const token = createToken({ ...claims, issuanceId });
+
+  await query(
+    'UPDATE document_render_logs SET verification_hash = ? WHERE id = ?',
+    [sha256(token), issuanceId]
+  );
+
+  return {
+    token,
+    url: await buildVerificationUrl(claims.institutionId, token),
+    reference: getReferenceCode(token),
+    issuanceId,
+  };
+}
+
+/**
+ * Check a token against its recorded issuance
+ * @param {string} token
+ * @returns {Promise<Object>} { status, ...details } - details are omitted for invalid tokens
+ */
+async function verify(token) {
+  const claims = verifyToken(token);
+  if (!claims?.issuanceId) {
+    return { status: 'invalid' };
+  }
+
+  const [issuance] = await query(
+    `SELECT drl.*, i.name as institution_name, i.code as institution_code,
+            i.logo_url as institution_logo_url, i.primary_color as institution_primary_color
+     FROM document_render_logs drl
+     JOIN institutions i ON drl.institution_id = i.id
+     WHERE drl.id = ? AND drl.institution_id = ? AND drl.verification_hash = ? AND drl.render_type = 'pdf'`,
+    [claims.issuanceId, claims.institutionId, sha256(token)]
+  );
+
+  if (!issuance) {
+    return { status: 'invalid' };
+  }
+
+  // A later issuance with different details (e.g. a re-posting) replaces this one
+  const [replacement] = await query(
+    `SELECT id, rendered_at FROM document_render_logs
+     WHERE institution_id = ? AND student_id = ? AND document_type = ? AND render_type = 'pdf'
+       AND session_id <=> ? AND id > ? AND snapshot_hash <> ? AND revoked_at IS NULL
+     ORDER BY id DESC LIMIT 1`,
+    [issuance.institution_id, issuance.student_id, issuance.document_type,
+      issuance.session_id, issuance.id, issuance.snapshot_hash]
+  );
+
+  await query(
+    'UPDATE document_render_logs SET verification_count = verification_count + 1, last_verified_at = NOW() WHERE id = ?',
+    [issuance.id]
+  );
+
+  let status = 'valid';
+  if (issuance.revoked_at) status = 'revoked';
+  else if (replacement) status = 'superseded';
+
+  const snapshot = parseJson(issuance.document_snapshot) || {};
+
+  return {
+    status,
+    reference: getReferenceCode(token),
+    document_type: issuance.document_type,
+    issued_at: issuance.rendered_at,
+    student_name: snapshot.student_name || null,
+    registration_number: snapshot.registration_number || null,
+    school_name: snapshot.school_name || null,
+    session_name: snapshot.session_name || null,
+    institution: {
+      name: issuance.institution_name,
+      code: issuance.institution_code,
+      logo_url: issuance.institution_logo_url,
+      primary_color: issuance.institution_primary_color,
+    },
+    revoked_at: issuance.revoked_at || null,
+    revocation_reason: issuance.revoked_at ? issuance.revocation_reason : null,
+    superseded_at: replacement?.rendered_at || null,
+  };
+}
+
+/**
+ * Revoke an issuance so its QR code reports the document as no longer valid
+ * @param {number} institutionId
+ * @param {number} issuanceId
+ * @param {Object} options
+ * @param {number} options.revokedBy - Staff user ID
+ * @param {string} options.reason
+ * @returns {Promise<boolean>} false when the issuance does not exist or is already revoked
+ */
+async function revoke(institutionId, issuanceId, { revokedBy, reason }) {
+  const result = await query(
+    `UPDATE document_render_logs
+     SET revoked_at = NOW(), revoked_by = ?, revocation_reason = ?
+     WHERE id = ? AND institution_id = ? AND render_type = 'pdf' AND revoked_at IS NULL`,
+    [revokedBy, reason, issuanceId, institutionId]
+  );
+  return result.affectedRows > 0;
+}
+
+module.exports = {
+  createToken,
+  verifyToken,
+  getReferenceCode,
+  buildVerificationUrl,
+  issue,
+  verify,
+  revoke,
+};
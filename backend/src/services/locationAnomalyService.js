@@ -0,0 +1,132 @@
+/**
+ * Location Anomaly Service
+ *
+ * Scores a supervisor check-in (supervision_location_logs) for signs that
+ * the location was spoofed or the check-in was made for someone else:
+ *   impossible_travel     - too far from the previous check-in for the time elapsed
+ *   perfect_accuracy      - GPS accuracy better than a phone really reports
+ *   clock_drift           - device clock far from server time
+ *   shared_device         - device also used by other supervisors this session
+ *   identical_coordinates - exact coordinates already recorded on another check-in
+ *   deferred_sync         - captured offline and synced later; its time and
+ *                           place are the device's claim, so it starts less trusted
+ *
+ * Each flag carries a weight; the score is their sum (capped at 100) and the
+ * level is read from it. scoreCheckIn() is pure - the location tracking
+ * controller loads the previous check-in and the counts it needs.
+ */
+
+const { greatCircleKm } = require('./distanceService');
+
+const THRESHOLDS = {
+  maxSpeedKmh: 150, // faster than road travel between schools
+  minTravelKm: 1, // below this, two check-ins are the same place
+  perfectAccuracyM: 2, // phones rarely report better than 3m; mock-location apps report 0-1m
+  maxClockDriftSeconds: 300,
+};
+
+const FLAGS = {
+  impossible_travel: { label: 'Impossible travel', weight: 45 },
+  perfect_accuracy: { label: 'Suspiciously perfect accuracy', weight: 20 },
+  clock_drift: { label: 'Large clock drift', weight: 15 },
+  shared_device: { label: 'Device shared by supervisors', weight: 30 },
+  identical_coordinates: { label: 'Repeated identical coordinates', weight: 30 },
+  deferred_sync: { label: 'Synced from offline', weight: 15 },
+};
+
+// Lowest score for each level, highest first
+const LEVELS = [
+  { level: 'high', minScore: 50 },
+  { level: 'medium', minScore: 20 },
+  { level: 'low', minScore: 0 },
+];
+
+const RISK_LEVELS = LEVELS.map((l) => l.level);
+
+const round = (value, places = 1) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Score one check-in
+ * @param {Object} checkIn
+ * @param {number} checkIn.latitude
+ * @param {number} checkIn.longitude
+ * @param {number|null} [checkIn.accuracy_meters]
+ * @param {number|null} [checkIn.time_drift_seconds]
+ * @param {Date|string} checkIn.recorded_at - Server time of the check-in
+ *   (the claimed capture time for a deferred check-in)
+ * @param {number|null} [checkIn.sync_delay_seconds] - Capture to sync, for a deferred check-in
+ * @param {Object} context
+ * @param {Object|null} [context.previous] - Supervisor's previous check-in
+ *   { latitude, longitude, recorded_at, school_name }
+ * @param {Array<string>} [context.sharedWith] - Other supervisors on the same device
+ * @param {number} [context.identicalCoordinates] - Other check-ins at exactly these coordinates
+ * @returns {{ score: number, level: string, flags: Array<{ code: string, detail: string }> }}
+ */
+function scoreCheckIn(checkIn, context = {}) {
+  const { previous = null, sharedWith = [], identicalCoordinates = 0 } = context;
+  const flags = [];
+
+  if (previous) {
+    const km = greatCircleKm(
+      { latitude: Number(previous.latitude), longitude: Number(previous.longitude) },
+      { latitude: Number(checkIn.latitude), longitude: Number(checkIn.longitude) }
+    );
+    const minutes = (new Date(checkIn.recorded_at) - new Date(previous.recorded_at)) / 60000;
+    // Same-minute check-ins count as one minute apart
+    const kmh = km / (Math.max(minutes, 1) / 60);
+    if (km >= THRESHOLDS.minTravelKm && kmh > THRESHOLDS.maxSpeedKmh) {
+      flags.push({
+        code: 'impossible_travel',
+        detail: `${round(km)} km from ${previous.school_name || 'the previous check-in'} in ${Math.round(Math.max(minutes, 0))} min (${Math.round(kmh)} km/h)`,
+      });
+    }
+  }
+
+  const accuracy = checkIn.accuracy_meters;
+  if (accuracy !== null && accuracy !== undefined && Number(accuracy) <= THRESHOLDS.perfectAccuracyM) {
+    flags.push({ code: 'perfect_accuracy', detail: `Reported accuracy ±${Number(accuracy)}m` });
+  }
+
+  const drift = checkIn.time_drift_seconds;
+  if (Number.isFinite(drift) && Math.abs(drift) > THRESHOLDS.maxClockDriftSeconds) {
+    flags.push({
+      code: 'clock_drift',
+      detail: `Device clock ${Math.round(Math.abs(drift) / 60)} min ${drift > 0 ? 'behind' : 'ahead of'} the server`,
+    });
+  }
+
+  if (sharedWith.length > 0) {
+    flags.push({ code: 'shared_device', detail: `Device also used by ${sharedWith.join(', ')}` });
+  }
+
+  if (identicalCoordinates > 0) {
+    flags.push({
+      code: 'identical_coordinates',
+      detail: `Exact coordinates recorded on ${identicalCoordinates} other check-in(s)`,
+    });
+  }
+
+  const delay = checkIn.sync_delay_seconds;
+  if (Number.isFinite(delay)) {
+    const hours = Math.max(delay, 0) / 3600;
+    flags.push({
+      code: 'deferred_sync',
+      detail: `Captured offline, synced ${hours < 1 ? `${Math.round(hours * 60)} min` : `${round(hours)} h`} later`,
+    });
+  }
+
+  const score = Math.min(100, flags.reduce((sum, flag) => sum + FLAGS[flag.code].weight, 0));
+  const { level } = LEVELS.find((l) => score >= l.minScore);
+
+  return { score, level, flags };
+}
+
+module.exports = {
+  THRESHOLDS,
+  FLAGS,
+  RISK_LEVELS,
+  scoreCheckIn,
+};
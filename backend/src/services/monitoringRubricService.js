@@ -0,0 +1,183 @@
+/**
+ * Monitoring Rubric Service
+ *
+ * Field monitors rate what they see against the institution's rubric
+ * (monitoring_criteria, migration 063) instead of writing free text only.
+ * Criteria come in three categories:
+ *   supervisor - rated once per report, for the supervisor evaluated
+ *   student    - rated once per student observed
+ *   school     - rated once per report, for the school
+ *
+ * scoreReport() checks a submission against the rubric and works out the
+ * report's overall rating; summariseRatings() pivots stored ratings for the
+ * dashboard. Both are pure - the monitoring controller does the database work.
+ */
+
+const CATEGORIES = ['supervisor', 'student', 'school'];
+
+const GROUP_BY = {
+  school: { key: 'institution_school_id', name: 'school_name' },
+  supervisor: { key: 'supervisor_id', name: 'supervisor_name' },
+  route: { key: 'route_id', name: 'route_name' },
+};
+
+// Offered by "Load defaults" when an institution has no rubric yet
+const DEFAULT_CRITERIA = [
+  { name: 'supervisor_punctuality', label: 'Supervisor Punctuality', category: 'supervisor', description: 'Arrived on schedule and stayed for the full observation' },
+  { name: 'supervisor_guidance', label: 'Quality of Supervisor Guidance', category: 'supervisor', description: 'Feedback given to students is specific and constructive' },
+  { name: 'lesson_plan_quality', label: 'Lesson Plan Quality', category: 'student', description: 'Objectives, content and evaluation are clear and appropriate' },
+  { name: 'classroom_delivery', label: 'Classroom Delivery', category: 'student', description: 'Presentation, class control and learner engagement' },
+  { name: 'professional_conduct', label: 'Professional Conduct', category: 'student', description: 'Dress, punctuality and relationship with school staff' },
+  { name: 'school_cooperation', label: 'School Cooperation', category: 'school', description: 'Management and mentor teachers support the students' },
+  { name: 'school_facilities', label: 'Teaching Facilities', category: 'school', description: 'Classrooms and materials available to the students' },
+].map((criterion, index) => ({ ...criterion, max_rating: 5, order_index: index + 1 }));
+
+const round = (value, places = 2) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Check a report's ratings against the rubric.
+ *
+ * @param {Array} criteria - Active monitoring_criteria rows
+ * @param {Object} submission
+ * @param {Array} submission.ratings - [{ criterion_id, student_id?, rating, comment? }]
+ * @param {Array} submission.students - Student IDs covered by the report
+ * @returns {{ rows: Array, overall: number|null, errors: string[] }}
+ *   rows are ready to insert into monitoring_report_ratings; overall is the
+ *   total rating as a percentage of the maximum (null when nothing was rated).
+ */
+function scoreReport(criteria, { ratings = [], students = [] } = {}) {
+  const byId = new Map(criteria.map((criterion) => [Number(criterion.id), criterion]));
+  const studentIds = new Set(students.map(Number));
+  const seen = new Set();
+  const errors = [];
+  const rows = [];
+
+  for (const entry of ratings) {
+    const criterion = byId.get(Number(entry.criterion_id));
+    if (!criterion) {
+      errors.push(`Criterion #${entry.criterion_id} is not part of the active rubric`);
+      continue;
+    }
+
+    const studentId = entry.student_id ? Number(entry.student_id) : null;
+    if (criterion.category === 'student') {
+      if (!studentId) {
+        errors.push(`${criterion.label} must be rated per student`);
+        continue;
+      }
+      if (!studentIds.has(studentId)) {
+        errors.push(`${criterion.label} is rated for student #${studentId}, who is not on this report`);
+        continue;
+      }
+    } else if (studentId) {
+      errors.push(`${criterion.label} is rated once per report, not per student`);
+      continue;
+    }
+
+    const key = `${criterion.id}-${studentId || 0}`;
+    if (seen.has(key)) {
+      errors.push(`${criterion.label} is rated more than once${studentId ? ` for student #${studentId}` : ''}`);
+      continue;
+    }
+    seen.add(key);
+
+    const rating = Number(entry.rating);
+    const max = Number(criterion.max_rating);
+    if (!Number.isFinite(rating) || rating < 0 || rating > max) {
+      errors.push(`${criterion.label} must be rated between 0 and ${max}`);
+      continue;
+    }
+
+    rows.push({
+      criterion_id: Number(criterion.id),
+      student_id: studentId,
+      rating,
+      comment: entry.comment ? String(entry.comment).trim() || null : null,
+      max_rating: max,
+    });
+  }
+
+  const maxTotal = rows.reduce((sum, row) => sum + row.max_rating, 0);
+  const total = rows.reduce((sum, row) => sum + row.rating, 0);
+
+  return {
+    rows: rows.map(({ max_rating: _max, ...row }) => row),
+    overall: maxTotal > 0 ? round((total / maxTotal) * 100) : null,
+    errors,
+  };
+}
+
+/**
+ * Average stored ratings per group and criterion.
+ *
+ * @param {Array} rows - Rating rows joined with their report and criterion:
+ *   { report_id, criterion_id, criterion_label, category, rating, max_rating,
+ *     institution_school_id, school_name, supervisor_id, supervisor_name, route_id, route_name }
+ * @param {string} groupBy - 'school' | 'supervisor' | 'route'
+ * @returns {Array} Groups ordered by average percentage (lowest first, so
+ *   problems surface at the top), each with per-criterion averages
+ */
+function summariseRatings(rows, groupBy = 'school') {
+  const group = GROUP_BY[groupBy];
+  if (!group) {
+    throw new Error(`Unknown group_by: ${groupBy}`);
+  }
+
+  const groups = new Map();
+
+  for (const row of rows) {
+    // Supervisor criteria only describe the supervisor; a school's score
+    // should not depend on who happened to supervise there, and vice versa
+    if (groupBy === 'school' && row.category === 'supervisor') continue;
+    if (groupBy === 'supervisor' && row.category === 'school') continue;
+
+    const id = row[group.key];
+    if (id === null || id === undefined) continue;
+
+    if (!groups.has(id)) {
+      groups.set(id, { id, name: row[group.name] || `#${id}`, reports: new Set(), score: 0, max: 0, criteria: new Map() });
+    }
+    const entry = groups.get(id);
+    entry.reports.add(row.report_id);
+    entry.score += Number(row.rating);
+    entry.max += Number(row.max_rating);
+
+    if (!entry.criteria.has(row.criterion_id)) {
+      entry.criteria.set(row.criterion_id, {
+        criterion_id: row.criterion_id,
+        label: row.criterion_label,
+        category: row.category,
+        max_rating: Number(row.max_rating),
+        total: 0,
+        count: 0,
+      });
+    }
+    const criterion = entry.criteria.get(row.criterion_id);
+    criterion.total += Number(row.rating);
+    criterion.count += 1;
+  }
+
+  return [...groups.values()]
+    .map((entry) => ({
+      id: entry.id,
+      name: entry.name,
+      report_count: entry.reports.size,
+      average_percent: entry.max > 0 ? round((entry.score / entry.max) * 100) : null,
+      criteria: [...entry.criteria.values()].map(({ total, ...criterion }) => ({
+        ...criterion,
+        average: round(total / criterion.count),
+      })),
+    }))
+    .sort((a, b) => (a.average_percent ?? 101) - (b.average_percent ?? 101) || String(a.name).localeCompare(String(b.name)));
+}
+
+module.exports = {
+  CATEGORIES,
+  GROUP_BY,
+  DEFAULT_CRITERIA,
+  scoreReport,
+  summariseRatings,
+};
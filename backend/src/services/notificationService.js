@@ -0,0 +1,216 @@
+/**
+ * Notification Service
+ *
+ * In-app notifications for the bell and inbox in the staff and student portals.
+ * Domain code calls notifyStaff() / notifyStudents() after the change it
+ * describes has been saved. Recording a notification is best effort: failures
+ * are logged and never fail the request that raised them.
+ *
+ * A recipient is { type: 'staff' | 'student', id } - users.id for staff,
+ * students.id for students - always read within one institution.
+ *
+ * USAGE:
+ * const notificationService = require('../services/notificationService');
+ * await notificationService.notifyStaff(institutionId, [supervisorId], {
+ *   type: notificationService.TYPES.POSTING_CREATED,
+ *   title: 'New posting',
+ *   message: 'You have been posted to ...',
+ *   link: '/admin/my-postings',
+ *   resourceType: 'supervisor_posting',
+ *   resourceId: postingId,
+ * });
+ */
+
+const { query } = require('../db/database');
+
+const TYPES = {
+  POSTING_CREATED: 'posting_created',
+  POSTINGS_AUTO_CREATED: 'postings_auto_created',
+  ACCEPTANCE_REVIEWED: 'acceptance_reviewed',
+  SCHOOL_UPDATE_REVIEWED: 'school_update_reviewed',
+  MONITOR_ASSIGNED: 'monitor_assigned',
+  VISIT_REMINDER: 'visit_reminder',
+};
+
+const RECIPIENT_TYPES = ['staff', 'student'];
+
+/**
+ * Recipient for the authenticated user
+ * @param {Object} user - req.user
+ * @returns {{ type: string, id: number }}
+ */
+function recipientFor(user) {
+  return { type: user.role === 'student' ? 'student' : 'staff', id: user.id };
+}
+
+/**
+ * Record one notification per recipient
+ * @param {number} institutionId
+ * @param {Array<{ type: string, id: number }>} recipients
+ * @param {Object} notification - { type, title, message, link?, resourceType?, resourceId? }
+ * @returns {Promise<number>} Notifications created (0 when recording failed)
+ */
+async function notify(institutionId, recipients, notification) {
+  const seen = new Set();
+  const unique = recipients.filter((recipient) => {
+    const key = `${recipient.type}:${recipient.id}`;
+    if (!recipient.id || !RECIPIENT_TYPES.includes(recipient.type) || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  if (!institutionId || unique.length === 0) {
+    return 0;
+  }
+
+  const { type, title, message, link = null, resourceType = null, resourceId = null } = notification;
+
+  try {
+    await query(
+      `INSERT INTO notifications
+       (institution_id, recipient_type, recipient_id, type, title, message, link, resource_type, resource_id)
+       VALUES ${unique.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}`,
+      unique.flatMap((recipient) => [
+        parseInt(institutionId),
+        recipient.type,
+        parseInt(recipient.id),
+        type,
+        String(title).substring(0, 200),
+        String(message).substring(0, 1000),
+        link,
+        resourceType,
+        resourceId,
+      ])
+    );
+    return unique.length;
+  } catch (error) {
+    console.error(`[NOTIFICATIONS] Failed to record ${type} notification:`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * Notify staff users
+ * @param {number} institutionId
+ * @param {number[]} userIds
+ * @param {Object} notification
+ */
+function notifyStaff(institutionId, userIds, notification) {
+  return notify(institutionId, userIds.map((id) => ({ type: 'staff', id })), notification);
+}
+
+/**
+ * Notify students
+ * @param {number} institutionId
+ * @param {number[]} studentIds
+ * @param {Object} notification
+ */
+function notifyStudents(institutionId, studentIds, notification) {
+  return notify(institutionId, studentIds.map((id) => ({ type: 'student', id })), notification);
+}
+
+/**
+ * Tell each supervisor about postings just made for them, one notification
+ * per supervisor
+ * @param {number} institutionId
+ * @param {string} sessionName
+ * @param {Array<{ id, supervisor_id, school_name }>} postings - Primary postings
+ * @param {string} [type] - TYPES.POSTING_CREATED or TYPES.POSTINGS_AUTO_CREATED
+ */
+async function notifyPostings(institutionId, sessionName, postings, type = TYPES.POSTING_CREATED) {
+  const bySupervisor = new Map();
+  for (const posting of postings) {
+    const supervisorId = parseInt(posting.supervisor_id);
+    if (!bySupervisor.has(supervisorId)) bySupervisor.set(supervisorId, []);
+    bySupervisor.get(supervisorId).push(posting);
+  }
+
+  for (const [supervisorId, list] of bySupervisor) {
+    await notifyStaff(institutionId, [supervisorId], {
+      type,
+      title: list.length === 1 ? 'New supervision posting' : `${list.length} new supervision postings`,
+      message: `You have been posted to ${list.map((p) => p.school_name).join(', ')} for ${sessionName}.`,
+      link: '/admin/my-postings',
+      resourceType: 'supervisor_posting',
+      resourceId: list.length === 1 ? list[0].id : null,
+    });
+  }
+}
+
+/**
+ * A recipient's notifications, newest first
+ * @param {number} institutionId
+ * @param {{ type: string, id: number }} recipient
+ * @param {Object} options - { unreadOnly, limit, offset }
+ * @returns {Promise<{ notifications: Array, total: number }>}
+ */
+async function list(institutionId, recipient, { unreadOnly = false, limit = 20, offset = 0 } = {}) {
+  const where = `institution_id = ? AND recipient_type = ? AND recipient_id = ?${unreadOnly ? ' AND read_at IS NULL' : ''}`;
+  const params = [parseInt(institutionId), recipient.type, parseInt(recipient.id)];
+
+  const notifications = await query(
+    `SELECT id, type, title, message, link, resource_type, resource_id, read_at, created_at
+     FROM notifications
+     WHERE ${where}
+     ORDER BY created_at DESC, id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+
+  const [countRow] = await query(`SELECT COUNT(*) as total FROM notifications WHERE ${where}`, params);
+
+  return { notifications, total: parseInt(countRow?.total) || 0 };
+}
+
+/**
+ * Unread count, plus the newest notification id so clients can tell when
+ * something new arrived
+ * @param {number} institutionId
+ * @param {{ type: string, id: number }} recipient
+ * @returns {Promise<{ count: number, latest_id: number|null }>}
+ */
+async function getUnreadSummary(institutionId, recipient) {
+  const [row] = await query(
+    `SELECT SUM(read_at IS NULL) as unread, MAX(id) as latest_id
+     FROM notifications
+     WHERE institution_id = ? AND recipient_type = ? AND recipient_id = ?`,
+    [parseInt(institutionId), recipient.type, parseInt(recipient.id)]
+  );
+
+  return {
+    count: parseInt(row?.unread) || 0,
+    latest_id: row?.latest_id ? parseInt(row.latest_id) : null,
+  };
+}
+
+/**
+ * Mark notifications read: the given ids, or all of the recipient's unread ones
+ * @param {number} institutionId
+ * @param {{ type: string, id: number }} recipient
+ * @param {number[]|null} ids
+ * @returns {Promise<number>} Rows updated
+ */
+async function markRead(institutionId, recipient, ids = null) {
+  if (ids && ids.length === 0) return 0;
+
+  const result = await query(
+    `UPDATE notifications SET read_at = NOW()
+     WHERE institution_id = ? AND recipient_type = ? AND recipient_id = ? AND read_at IS NULL
+     ${ids ? `AND id IN (${ids.map(() => '?').join(',')})` : ''}`,
+    [parseInt(institutionId), recipient.type, parseInt(recipient.id), ...(ids || []).map((id) => parseInt(id))]
+  );
+
+  return result.affectedRows || 0;
+}
+
+module.exports = {
+  TYPES,
+  recipientFor,
+  notify,
+  notifyStaff,
+  notifyStudents,
+  notifyPostings,
+  list,
+  getUnreadSummary,
+  markRead,
+};
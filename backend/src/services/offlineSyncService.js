@@ -0,0 +1,398 @@
+/**
+ * Offline Sync Service
+ *
+ * Supervisors at schools with poor connectivity capture check-ins and scores
+ * offline; the browser queues them in IndexedDB and syncs them later. Each
+ * queued record is an envelope:
+ *
+ *   { client_id, type, device_id, sequence, client_timestamp, payload, signature }
+ *
+ * signed on the device with HMAC-SHA256 over the canonical JSON of
+ * { type, device_id, sequence, client_timestamp, payload }. The signing key is
+ * issued to the device while online (issueDeviceKey) and tied to the user and
+ * device, so nobody else can forge or alter a record in transit. The
+ * sequence is a per-device counter: it must keep rising, which stops a record
+ * being replayed, and client timestamps must rise with it.
+ *
+ * The signature does not prove when or where a record was captured: the
+ * key holder can sign any time and coordinates. The client timestamp is a
+ * claim, bounded by server evidence - not before the device was issued its
+ * key (offline_device_keys, migration 073), not in the future and not older
+ * than MAX_RECORD_AGE_HOURS. Callers treat deferred records as less trusted
+ * than live ones.
+ *
+ * Every record processed is kept in offline_sync_records (migration 066), so
+ * re-sending a batch whose response was lost returns the earlier outcome
+ * instead of failing the sequence check. The row is inserted as a
+ * 'processing' claim before the record is handled (migration 075): two syncs
+ * from one device (e.g. two tabs) cannot both handle a record, and the one
+ * that loses the claim is told to try again.
+ */
+
+const crypto = require('crypto');
+const { z } = require('zod');
+const config = require('../config');
+const { query } = require('../db/database');
+const { ValidationError, ConflictError } = require('../utils/errors');
+
+const RECORD_TYPES = ['check_in', 'scores'];
+
+// How long a record may wait on the device before it is too old to trust
+const MAX_RECORD_AGE_HOURS = 7 * 24;
+// How far ahead of the server a device clock may be
+const MAX_CLOCK_AHEAD_SECONDS = 5 * 60;
+// How far behind the server a device clock may be when checked against the key issue time
+const MAX_CLOCK_BEHIND_SECONDS = 5 * 60;
+const MAX_BATCH_SIZE = 50;
+// A claim this old was left by a sync that died mid-record; it may be taken over
+const STALE_CLAIM_MINUTES = 10;
+
+/**
+ * Request-body schema for a batch of envelopes of one type. The payload is
+ * kept exactly as sent - it is signed - and checked by the caller.
+ * @param {string} type - One of RECORD_TYPES
+ * @param {number} [maxRecords]
+ */
+const batchSchema = (type, maxRecords = MAX_BATCH_SIZE) =>
+  z
+    .array(
+      z.object({
+        client_id: z.string().min(1).max(64),
+        type: z.literal(type),
+        device_id: z.string().min(1).max(64),
+        sequence: z.number().int().positive(),
+        client_timestamp: z.string().min(1),
+        payload: z.record(z.unknown()),
+        signature: z.string().min(1),
+      })
+    )
+    .min(1, 'No records to sync')
+    .max(maxRecords, `At most ${maxRecords} records can be synced at once`);
+
+/**
+ * Signing key for one user's device
+ * @param {number} userId
+ * @param {string} deviceId - Device UUID held in the browser
+ * @returns {string} Hex key
+ */
+function deriveDeviceKey(userId, deviceId) {
+  return crypto
+    .createHmac('sha256', config.jwt.secret)
+    .update(`offline-sync:${userId}:${deviceId}`)
+    .digest('hex');
+}
+
+/**
+ * Hand a device its signing key, noting the first time it was issued
+ * @param {number} userId
+ * @param {string} deviceId
+ * @returns {Promise<string>} Hex key
+ */
+async function issueDeviceKey(userId, deviceId) {
+  await query(
+    'INSERT IGNORE INTO offline_device_keys (user_id, device_id) VALUES (?, ?)',
+    [userId, deviceId]
+  );
+  return deriveDeviceKey(userId, deviceId);
+}
+
+/**
+ * JSON with object keys sorted at every level, so client and server sign the same bytes
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalise(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalise).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalise(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Signature of a record envelope
+ * @param {string} key - From deriveDeviceKey()
+ * @param {Object} record
+ * @returns {string} Hex HMAC-SHA256
+ */
+function signRecord(key, record) {
+  const { type, device_id, sequence, client_timestamp, payload } = record;
+  return crypto
+    .createHmac('sha256', key)
+    .update(canonicalise({ type, device_id, sequence, client_timestamp, payload }))
+    .digest('hex');
+}
+
+/**
+ * Check a batch of envelopes from one device, in sequence order
+ * @param {number} userId
+ * @param {Array<Object>} records
+ * @param {Object} state - { key_issued_at, last_sequence, last_client_timestamp } for this device
+ * @param {Date} [now]
+ * @returns {Array<{ record: Object, errors: Array<string> }>} Sorted by sequence
+ */
+function checkRecords(userId, records, state, now = new Date()) {
+  let lastSequence = Number(state?.last_sequence || 0);
+  let lastTimestamp = state?.last_client_timestamp ? new Date(state.last_client_timestamp) : null;
+  const keyIssuedAt = state?.key_issued_at ? new Date(state.key_issued_at) : null;
+
+  return [...records]
+    .sort((a, b) => a.sequence - b.sequence)
+    .map((record) => {
+      const errors = [];
+      const expected = signRecord(deriveDeviceKey(userId, record.device_id), record);
+      const given = String(record.signature || '');
+      if (
+        given.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected))
+      ) {
+        errors.push('Signature does not match - the record was changed after it was captured');
+      }
+
+      if (!Number.isInteger(record.sequence) || record.sequence <= lastSequence) {
+        errors.push(`Sequence ${record.sequence} is not after ${lastSequence} - the record is out of order or replayed`);
+      }
+
+      if (!keyIssuedAt) {
+        errors.push('This device was never issued a signing key');
+      }
+
+      const capturedAt = new Date(record.client_timestamp);
+      if (Number.isNaN(capturedAt.getTime())) {
+        errors.push('Client timestamp is not a valid date');
+      } else {
+        if (capturedAt - now > MAX_CLOCK_AHEAD_SECONDS * 1000) {
+          errors.push('Client timestamp is in the future');
+        }
+        if (now - capturedAt > MAX_RECORD_AGE_HOURS * 3600 * 1000) {
+          errors.push(`Record is older than ${MAX_RECORD_AGE_HOURS / 24} days`);
+        }
+        if (keyIssuedAt && keyIssuedAt - capturedAt > MAX_CLOCK_BEHIND_SECONDS * 1000) {
+          errors.push('Client timestamp is before this device was issued its signing key');
+        }
+        if (lastTimestamp && capturedAt < lastTimestamp) {
+          errors.push('Client timestamp is earlier than a record with a lower sequence');
+        }
+      }
+
+      if (errors.length === 0) {
+        lastSequence = record.sequence;
+        lastTimestamp = capturedAt;
+      }
+      return { record, errors };
+    });
+}
+
+/**
+ * When a device got its key and what has already been synced from it
+ * @param {number} userId
+ * @param {string} deviceId
+ * @returns {Promise<Object>} { key_issued_at, last_sequence, last_client_timestamp };
+ *   key_issued_at is null for a device never issued a key
+ */
+async function getDeviceState(userId, deviceId) {
+  const [state] = await query(
+    `SELECT k.issued_at as key_issued_at,
+            MAX(r.sequence) as last_sequence, MAX(r.client_timestamp) as last_client_timestamp
+     FROM offline_device_keys k
+     LEFT JOIN offline_sync_records r ON r.user_id = k.user_id AND r.device_id = k.device_id
+     WHERE k.user_id = ? AND k.device_id = ?
+     GROUP BY k.issued_at`,
+    [userId, deviceId]
+  );
+  return {
+    key_issued_at: state?.key_issued_at || null,
+    last_sequence: Number(state?.last_sequence || 0),
+    last_client_timestamp: state?.last_client_timestamp || null,
+  };
+}
+
+const IN_PROGRESS_MESSAGE = 'Another sync from this device is in progress. Try again shortly.';
+
+/**
+ * Outcome of a record synced earlier (a batch re-sent after a lost response)
+ * @param {number} userId
+ * @param {Object} record
+ * @returns {Promise<Object|null>}
+ * @throws {ConflictError} While another sync is handling the record
+ */
+async function findProcessed(userId, record) {
+  const [row] = await query(
+    `SELECT status, message, resource_id,
+            synced_at < NOW() - INTERVAL ? MINUTE as stale
+     FROM offline_sync_records
+     WHERE user_id = ? AND device_id = ? AND sequence = ? AND client_id = ?`,
+    [STALE_CLAIM_MINUTES, userId, record.device_id, record.sequence, record.client_id]
+  );
+  if (row?.status === 'processing') {
+    if (!Number(row.stale)) {
+      throw new ConflictError(IN_PROGRESS_MESSAGE);
+    }
+    await releaseClaim(userId, record);
+    return null;
+  }
+  return row || null;
+}
+
+/**
+ * Claim a record before handling it
+ * @param {Object} params
+ * @param {number} params.institutionId
+ * @param {number} params.userId
+ * @param {Object} params.record
+ * @returns {Promise<boolean>} false when another sync has already claimed its sequence
+ */
+async function claimRecord({ institutionId, userId, record }) {
+  try {
+    await query(
+      `INSERT INTO offline_sync_records
+         (institution_id, user_id, device_id, sequence, record_type, client_id,
+          client_timestamp, status)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 'processing')`,
+      [
+        institutionId,
+        userId,
+        record.device_id,
+        record.sequence,
+        record.type,
+        record.client_id,
+        new Date(record.client_timestamp),
+      ]
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') return false;
+    throw error;
+  }
+}
+
+/**
+ * Drop a claim so the record can be sent again
+ * @param {number} userId
+ * @param {Object} record
+ */
+async function releaseClaim(userId, record) {
+  await query(
+    `DELETE FROM offline_sync_records
+     WHERE user_id = ? AND device_id = ? AND sequence = ? AND status = 'processing'`,
+    [userId, record.device_id, record.sequence]
+  );
+}
+
+/**
+ * Keep the outcome of a claimed record
+ * @param {Object} params
+ * @param {number} params.userId
+ * @param {Object} params.record
+ * @param {'accepted'|'rejected'} params.status
+ * @param {string} params.message
+ * @param {number|null} [params.resourceId] - Location log ID for an accepted check-in
+ */
+async function saveOutcome({ userId, record, status, message, resourceId = null }) {
+  await query(
+    `UPDATE offline_sync_records
+     SET status = ?, message = ?, resource_id = ?, synced_at = NOW()
+     WHERE user_id = ? AND device_id = ? AND sequence = ?`,
+    [status, String(message).slice(0, 500), resourceId, userId, record.device_id, record.sequence]
+  );
+}
+
+/**
+ * Sync a batch from one device: return the stored outcome of records already
+ * synced, reject records failing the signature/sequence/timestamp checks
+ * (they are not kept, so a corrected record can be sent again), and hand the
+ * rest to `handle` in sequence order, claiming each first and keeping its outcome.
+ *
+ * `handle` returns { status: 'accepted'|'rejected', message, resourceId?, data? };
+ * an error with a 4xx statusCode rejects the record, any other error stops
+ * the batch (records handled so far stay synced). A record another sync has
+ * claimed stops the batch with a ConflictError.
+ *
+ * @param {Object} params
+ * @param {number} params.institutionId
+ * @param {number} params.userId
+ * @param {Array<Object>} params.records - Envelopes (see batchSchema)
+ * @param {function(Object): Promise<Object>} params.handle
+ * @returns {Promise<Array<Object>>} [{ client_id, sequence, status, message, data? }]
+ *   status is accepted, rejected or invalid
+ */
+async function processBatch({ institutionId, userId, records, handle }) {
+  const deviceId = records[0].device_id;
+  if (records.some((r) => r.device_id !== deviceId)) {
+    throw new ValidationError('All records in a batch must come from the same device');
+  }
+
+  const results = [];
+  const fresh = [];
+  for (const record of records) {
+    const processed = await findProcessed(userId, record);
+    if (processed) {
+      results.push({
+        client_id: record.client_id,
+        sequence: record.sequence,
+        status: processed.status,
+        message: processed.message,
+        duplicate: true,
+      });
+    } else {
+      fresh.push(record);
+    }
+  }
+
+  const state = await getDeviceState(userId, deviceId);
+  for (const { record, errors } of checkRecords(userId, fresh, state)) {
+    const entry = { client_id: record.client_id, sequence: record.sequence };
+    if (errors.length > 0) {
+      results.push({ ...entry, status: 'invalid', message: errors.join('; ') });
+      continue;
+    }
+
+    if (!(await claimRecord({ institutionId, userId, record }))) {
+      throw new ConflictError(IN_PROGRESS_MESSAGE);
+    }
+
+    let outcome;
+    try {
+      outcome = await handle(record);
+    } catch (error) {
+      if (!error.statusCode || error.statusCode >= 500) {
+        await releaseClaim(userId, record);
+        throw error;
+      }
+      outcome = { status: 'rejected', message: error.message };
+    }
+
+    await saveOutcome({
+      userId,
+      record,
+      status: outcome.status,
+      message: outcome.message,
+      resourceId: outcome.resourceId || null,
+    });
+    results.push({ ...entry, status: outcome.status, message: outcome.message, data: outcome.data });
+  }
+
+  return results.sort((a, b) => a.sequence - b.sequence);
+}
+
+module.exports = {
+  RECORD_TYPES,
+  MAX_RECORD_AGE_HOURS,
+  batchSchema,
+  processBatch,
+  deriveDeviceKey,
+  issueDeviceKey,
+  canonicalise,
+  signRecord,
+  checkRecords,
+  getDeviceState,
+  findProcessed,
+  claimRecord,
+  saveOutcome,
+};
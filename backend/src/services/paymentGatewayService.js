@@ -0,0 +1,833 @@
+/**
+ * Payment Gateway Service
+ *
+ * Student fee collection through a gateway chosen per institution, the
+ * payments counterpart of smsService providers:
+ * - Pluggable gateways (Paystack, Flutterwave, Remita, local fake)
+ * - Paystack keeps its credentials in the paystack_* columns. Other gateways
+ *   keep theirs in institutions.payment_gateway_credentials: an encrypted JSON
+ *   object keyed by gateway name, so switching gateways does not lose the old
+ *   credentials that in-flight payments still need.
+ * - One transaction shape for initialize, verify and webhooks, so
+ *   paymentController never needs to know which gateway it is talking to
+ *
+ * GATEWAYS
+ * A gateway is {
+ *   label, localOnly?, fields: [{ name, label, secret?, optional? }],
+ *   credentialProblem?(credentials) -> string|null,
+ *   initialize({ credentials, email, name, amount, reference, callbackUrl, metadata })
+ *     -> { reference, accessCode, authorizationUrl },
+ *   verify(credentials, reference) -> transaction,
+ *   webhookReference(body) -> our reference or null,
+ *   parseWebhook({ headers, body }, credentials) -> { authentic, transaction|null },
+ *   refund?(credentials, { reference, amount, note }) -> { id, status },
+ *   findRefund?(credentials, { reference, note }) -> { id, status } | null,
+ *   listTransactions?(credentials, { from, to }) -> successful transactions
+ * }
+ * Amounts are in naira. Gateway methods throw when the gateway rejects a call;
+ * initializeTransaction(), verifyTransaction(), refundTransaction() and
+ * listTransactions() turn that into { success: false }. Gateways without
+ * refund() and findRefund() are refunded by hand; those without
+ * listTransactions() are reconciled from an uploaded settlement report.
+ *
+ * A refund that fails may still have been made - a timeout or dropped
+ * connection says nothing either way. refund() throws declinedError() when
+ * the gateway answered and refused; any other failure is reported as
+ * uncertain, and findRefund() (matched on the note) settles it later.
+ *
+ * A transaction is { status, reference, amount, currency, channel, paidAt,
+ * customer: { email }, authorization, metadata, gatewayResponse } where status
+ * is 'success' once the money has been received, and reference is the
+ * gateway's own reference (stored in student_payments.paystack_reference).
+ * Listed transactions also carry merchantReference, our reference.
+ *
+ * The 'fake' gateway talks to nothing: payments stay pending until
+ * settleFakePayment() is called, which also returns the signed webhook the
+ * gateway would send. It exists for local development and tests and is refused
+ * in production.
+ */
+
+const https = require('https');
+const crypto = require('crypto');
+const { query } = require('../db/database');
+const encryptionService = require('./encryptionService');
+const paystackService = require('./paystackService');
+
+const DEFAULT_GATEWAY = 'paystack';
+
+// Payments made through the fake gateway, by our reference
+const fakeTransactions = new Map();
+
+/**
+ * Call a gateway API over HTTPS and parse the JSON reply
+ * @param {Object} options
+ * @param {string} options.hostname
+ * @param {string} options.method
+ * @param {string} options.path
+ * @param {Object} [options.headers]
+ * @param {Object} [options.body]
+ * @returns {Promise<{ statusCode: number, body: Object }>}
+ */
+function requestJson({ hostname, method, path, headers = {}, body = null }) {
+  return new Promise((resolve, reject) => {
+    const payload = body ? JSON.stringify(body) : null;
+    const req = https.request(
+      {
+        hostname,
+        port: 443,
+        path,
+        method,
+        headers: {
+          ...headers,
+          'Content-Type': 'application/json',
+          ...(payload ? { 'Content-Length': Buffer.byteLength(payload) } : {}),
+        },
+        timeout: 20000,
+      },
+      (res) => {
+        let responseData = '';
+        res.on('data', (chunk) => {
+          responseData += chunk;
+        });
+        res.on('end', () => {
+          try {
+            // Remita wraps some replies as JSONP: jsonp ({...})
+            const json = responseData.trim().replace(/^jsonp\s*\(([\s\S]*)\)\s*;?$/, '$1');
+            resolve({ statusCode: res.statusCode, body: JSON.parse(json) });
+          } catch (e) {
+            reject(new Error(`Invalid response from ${hostname} (HTTP ${res.statusCode})`));
+          }
+        });
+      }
+    );
+
+    req.on('timeout', () => req.destroy(new Error(`Request to ${hostname} timed out`)));
+    req.on('error', reject);
+    if (payload) {
+      req.write(payload);
+    }
+    req.end();
+  });
+}
+
+/**
+ * The gateway answered and refused, so nothing happened there
+ * @param {string} message
+ * @returns {Error}
+ */
+function declinedError(message) {
+  const error = new Error(message);
+  error.declined = true;
+  return error;
+}
+
+const sha512 = (value) => crypto.createHash('sha512').update(value).digest('hex');
+
+/**
+ * Constant-time comparison of two signatures
+ * @param {string} expected
+ * @param {string} received
+ * @returns {boolean}
+ */
+function signaturesMatch(expected, received) {
+  const a = Buffer.from(String(expected || ''));
+  const b = Buffer.from(String(received || ''));
+  return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Paystack verify/webhook data in the shared transaction shape
+ * @param {Object} data - Paystack transaction (amount in kobo)
+ * @returns {Object}
+ */
+function paystackTransaction(data) {
+  return {
+    status: data.status,
+    reference: data.reference,
+    amount: data.amount / 100,
+    currency: data.currency,
+    channel: data.channel || null,
+    paidAt: data.paidAt || data.paid_at || null,
+    customer: { email: data.customer?.email || null },
+    authorization: data.authorization || null,
+    metadata: data.metadata || {},
+    gatewayResponse: data.gatewayResponse || data.gateway_response || null,
+  };
+}
+
+/**
+ * Flutterwave transaction in the shared transaction shape
+ * @param {Object} data - Flutterwave transaction (amount in naira)
+ * @returns {Object}
+ */
+function flutterwaveTransaction(data) {
+  return {
+    status: data.status === 'successful' ? 'success' : data.status,
+    reference: data.flw_ref || String(data.id),
+    amount: Number(data.amount),
+    currency: data.currency,
+    channel: data.payment_type || null,
+    paidAt: data.created_at || null,
+    customer: { email: data.customer?.email || null },
+    authorization: data.card
+      ? {
+          card_type: data.card.type,
+          last4: data.card.last_4digits,
+          bank: data.card.issuer,
+          country_code: data.card.country,
+        }
+      : null,
+    metadata: data.meta || {},
+    gatewayResponse: data.processor_response || null,
+  };
+}
+
+/**
+ * Built-in gateways
+ */
+const GATEWAYS = {
+  paystack: {
+    label: 'Paystack',
+    fields: [
+      { name: 'public_key', label: 'Public Key', secret: true },
+      { name: 'secret_key', label: 'Secret Key', secret: true },
+      { name: 'split_code', label: 'Split Code', optional: true },
+    ],
+    credentialProblem(credentials) {
+      // Paystack secret keys start with sk_ (sk_live_ or sk_test_)
+      return credentials.secret_key.startsWith('sk_') ? null : 'Paystack secret key does not start with sk_';
+    },
+    async initialize({ credentials, email, amount, reference, callbackUrl, metadata }) {
+      const result = await paystackService.initializeTransaction({
+        secretKey: credentials.secret_key,
+        email,
+        amount: Math.round(amount * 100), // Convert to kobo
+        reference,
+        callbackUrl,
+        metadata,
+        splitCode: credentials.split_code,
+      });
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to initialize transaction');
+      }
+      return {
+        reference: result.data.reference,
+        accessCode: result.data.access_code,
+        authorizationUrl: result.data.authorization_url,
+      };
+    },
+    async verify(credentials, reference) {
+      const result = await paystackService.verifyTransaction(credentials.secret_key, reference);
+      if (!result.success) {
+        throw new Error(result.error || 'Verification failed');
+      }
+      return paystackTransaction(result.data);
+    },
+    webhookReference(body) {
+      return body?.data?.reference || null;
+    },
+    async parseWebhook({ headers, body }, credentials) {
+      const authentic = paystackService.verifyWebhookSignature(
+        body, headers['x-paystack-signature'], credentials.secret_key
+      );
+      return {
+        authentic,
+        transaction: authentic && body.event === 'charge.success' ? paystackTransaction(body.data) : null,
+      };
+    },
+    async refund(credentials, { reference, amount, note }) {
+      const result = await paystackService.createRefund(credentials.secret_key, {
+        reference,
+        amount: Math.round(amount * 100), // Convert to kobo
+        note,
+      });
+      if (!result.success) {
+        throw result.declined ? declinedError(result.error || 'Refund failed') : new Error(result.error || 'Refund failed');
+      }
+      return { id: String(result.data.id), status: result.data.status };
+    },
+    async findRefund(credentials, { reference, note }) {
+      const result = await paystackService.listRefunds(credentials.secret_key, reference);
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to list refunds');
+      }
+      const refund = result.data.find((r) => r.merchant_note === note);
+      return refund ? { id: String(refund.id), status: refund.status } : null;
+    },
+    async listTransactions(credentials, { from, to }) {
+      const result = await paystackService.listTransactions(credentials.secret_key, { from, to });
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to list transactions');
+      }
+      // Paystack uses our reference as its own
+      return result.data.map((data) => ({ ...paystackTransaction(data), merchantReference: data.reference }));
+    },
+  },
+
+  flutterwave: {
+    label: 'Flutterwave',
+    fields: [
+      { name: 'public_key', label: 'Public Key', secret: true },
+      { name: 'secret_key', label: 'Secret Key', secret: true },
+      { name: 'webhook_hash', label: 'Webhook Secret Hash', secret: true },
+      { name: 'subaccount_id', label: 'Subaccount ID', optional: true },
+    ],
+    async initialize({ credentials, email, name, amount, reference, callbackUrl, metadata }) {
+      const { body } = await requestJson({
+        hostname: 'api.flutterwave.com',
+        method: 'POST',
+        path: '/v3/payments',
+        headers: { Authorization: `Bearer ${credentials.secret_key}` },
+        body: {
+          tx_ref: reference,
+          amount,
+          currency: 'NGN',
+          redirect_url: callbackUrl,
+          customer: { email, name },
+          meta: metadata,
+          customizations: { title: metadata.institution_name || 'Teaching Practice Fee' },
+          ...(credentials.subaccount_id ? { subaccounts: [{ id: credentials.subaccount_id }] } : {}),
+        },
+      });
+      if (body.status !== 'success' || !body.data?.link) {
+        throw new Error(`Flutterwave: ${body.message || 'Failed to initialize transaction'}`);
+      }
+      return { reference, accessCode: null, authorizationUrl: body.data.link };
+    },
+    async verify(credentials, reference) {
+      const { body } = await requestJson({
+        hostname: 'api.flutterwave.com',
+        method: 'GET',
+        path: `/v3/transactions/verify_by_reference?tx_ref=${encodeURIComponent(reference)}`,
+        headers: { Authorization: `Bearer ${credentials.secret_key}` },
+      });
+      if (body.status !== 'success' || !body.data) {
+        throw new Error(`Flutterwave: ${body.message || 'Verification failed'}`);
+      }
+      return flutterwaveTransaction(body.data);
+    },
+    webhookReference(body) {
+      return body?.data?.tx_ref || null;
+    },
+    async parseWebhook({ headers, body }, credentials) {
+      const authentic = signaturesMatch(credentials.webhook_hash, headers['verif-hash']);
+      if (!authentic || body.event !== 'charge.completed') {
+        return { authentic, transaction: null };
+      }
+      // The hash only proves the sender knows our secret; take the amount and
+      // status from Flutterwave itself
+      return { authentic, transaction: await this.verify(credentials, body.data.tx_ref) };
+    },
+  },
+
+  remita: {
+    label: 'Remita',
+    fields: [
+      { name: 'merchant_id', label: 'Merchant ID' },
+      { name: 'service_type_id', label: 'Service Type ID' },
+      { name: 'api_key', label: 'API Key', secret: true },
+    ],
+    host: () => process.env.REMITA_HOST || 'login.remita.net',
+    async initialize({ credentials, email, name, amount, reference, callbackUrl, metadata }) {
+      const { merchant_id: merchantId, service_type_id: serviceTypeId, api_key: apiKey } = credentials;
+      const { body } = await requestJson({
+        hostname: this.host(),
+        method: 'POST',
+        path: '/remita/exapp/api/v1/send/api/echannelsvc/merchant/api/paymentinit',
+        headers: {
+          Authorization: `remitaConsumerKey=${merchantId},remitaConsumerToken=${sha512(
+            `${merchantId}${serviceTypeId}${reference}${amount}${apiKey}`
+          )}`,
+        },
+        body: {
+          serviceTypeId,
+          amount,
+          orderId: reference,
+          payerName: name,
+          payerEmail: email,
+          description: `Teaching practice fee - ${metadata.session_name || ''}`.trim(),
+        },
+      });
+      if (!body.RRR) {
+        throw new Error(`Remita: ${body.status || body.statusMessage || 'Failed to generate RRR'}`);
+      }
+      const params = new URLSearchParams({
+        merchantId,
+        hash: sha512(`${merchantId}${body.RRR}${apiKey}`),
+        rrr: body.RRR,
+        responseurl: callbackUrl,
+      });
+      return {
+        reference: body.RRR,
+        accessCode: null,
+        authorizationUrl: `https://${this.host()}/remita/ecomm/finalize.reg?${params}`,
+      };
+    },
+    async verify(credentials, reference) {
+      const { merchant_id: merchantId, api_key: apiKey } = credentials;
+      const hash = sha512(`${reference}${apiKey}${merchantId}`);
+      const { body } = await requestJson({
+        hostname: this.host(),
+        method: 'GET',
+        path: `/remita/exapp/api/v1/send/api/echannelsvc/${merchantId}/${encodeURIComponent(reference)}/${hash}/orderstatus.reg`,
+      });
+      if (!body.status) {
+        throw new Error(`Remita: ${body.message || 'Verification failed'}`);
+      }
+      return {
+        // 00 and 01 both mean the payment was received
+        status: ['00', '01'].includes(body.status) ? 'success' : body.status === '021' ? 'pending' : 'failed',
+        reference: body.RRR,
+        amount: Number(body.amount),
+        currency: 'NGN',
+        channel: body.paymentMethod || null,
+        paidAt: body.paymentDate || body.transactiontime || null,
+        customer: { email: null },
+        authorization: null,
+        // Remita does not echo metadata; callers fall back to pending_transactions
+        metadata: {},
+        gatewayResponse: body.message || null,
+      };
+    },
+    webhookReference(body) {
+      const notification = Array.isArray(body) ? body[0] : body;
+      return notification?.orderRef || null;
+    },
+    async parseWebhook({ body }, credentials) {
+      // Remita notifications are unsigned: only act on what its status API confirms
+      const reference = this.webhookReference(body);
+      return { authentic: true, transaction: await this.verify(credentials, reference) };
+    },
+  },
+
+  fake: {
+    label: 'Local fake gateway (development only)',
+    localOnly: true,
+    fields: [{ name: 'secret_key', label: 'Webhook Secret', secret: true }],
+    async initialize({ credentials, email, amount, reference, callbackUrl, metadata }) {
+      fakeTransactions.set(reference, {
+        reference,
+        gatewayReference: `FAKE-${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
+        secretKey: credentials.secret_key,
+        email,
+        amount,
+        metadata,
+        status: 'pending',
+        paidAt: null,
+        createdAt: new Date().toISOString(),
+      });
+      const separator = callbackUrl.includes('?') ? '&' : '?';
+      return {
+        reference,
+        accessCode: null,
+        authorizationUrl: `${callbackUrl}${separator}reference=${encodeURIComponent(reference)}`,
+      };
+    },
+    async verify(credentials, reference) {
+      const payment = fakeTransactions.get(reference);
+      if (!payment) {
+        throw new Error('Transaction not found');
+      }
+      return this.transaction(payment);
+    },
+    transaction(payment) {
+      return {
+        status: payment.status,
+        reference: payment.gatewayReference,
+        amount: payment.amount,
+        currency: 'NGN',
+        channel: 'fake',
+        paidAt: payment.paidAt,
+        customer: { email: payment.email },
+        authorization: null,
+        metadata: payment.metadata,
+        gatewayResponse: payment.status === 'success' ? 'Approved' : payment.status,
+      };
+    },
+    webhookReference(body) {
+      return body?.data?.reference || null;
+    },
+    async parseWebhook({ headers, body }, credentials) {
+      const expected = crypto.createHmac('sha256', credentials.secret_key).update(JSON.stringify(body)).digest('hex');
+      const authentic = signaturesMatch(expected, headers['x-fake-signature']);
+      const payment = authentic ? fakeTransactions.get(body.data.reference) : null;
+      return {
+        authentic,
+        transaction: payment && body.event === 'payment.completed' ? this.transaction(payment) : null,
+      };
+    },
+    async refund(credentials, { reference, amount, note }) {
+      const payment = fakeTransactions.get(reference);
+      if (!payment || payment.status !== 'success') {
+        throw declinedError('Transaction has not been paid');
+      }
+      payment.refunded = (payment.refunded || 0) + amount;
+      if (payment.refunded > payment.amount) {
+        payment.refunded -= amount;
+        throw declinedError('Refund amount exceeds the transaction amount');
+      }
+      const refund = { id: `FAKE-RF-${crypto.randomBytes(4).toString('hex').toUpperCase()}`, status: 'processed', note };
+      payment.refunds = [...(payment.refunds || []), refund];
+      return { id: refund.id, status: refund.status };
+    },
+    async findRefund(credentials, { reference, note }) {
+      const refund = (fakeTransactions.get(reference)?.refunds || []).find((r) => r.note === note);
+      return refund ? { id: refund.id, status: refund.status } : null;
+    },
+    async listTransactions(credentials, { from, to }) {
+      return [...fakeTransactions.values()]
+        .filter((payment) => payment.status === 'success' && payment.secretKey === credentials.secret_key)
+        .filter((payment) => payment.paidAt.slice(0, 10) >= from && payment.paidAt.slice(0, 10) <= to)
+        .map((payment) => ({ ...this.transaction(payment), merchantReference: payment.reference }));
+    },
+  },
+};
+
+/**
+ * Add or replace a gateway
+ * @param {string} name - Value stored in institutions.payment_gateway
+ * @param {Object} gateway - See GATEWAYS
+ */
+function registerGateway(name, gateway) {
+  for (const method of ['initialize', 'verify', 'webhookReference', 'parseWebhook']) {
+    if (!gateway || typeof gateway[method] !== 'function') {
+      throw new Error(`A payment gateway needs a ${method}() function`);
+    }
+  }
+  GATEWAYS[name] = { label: name, fields: [], ...gateway };
+}
+
+/**
+ * A gateway by name, unless it is unknown or not allowed here
+ * @param {string} name
+ * @returns {Object|null}
+ */
+function getGateway(name) {
+  const gateway = GATEWAYS[name];
+  if (!gateway || (gateway.localOnly && process.env.NODE_ENV === 'production')) {
+    return null;
+  }
+  return gateway;
+}
+
+/**
+ * Gateways an institution can choose from
+ * @returns {Array<{ name: string, label: string, fields: Array<Object> }>}
+ */
+function getGateways() {
+  return Object.keys(GATEWAYS)
+    .filter((name) => getGateway(name))
+    .map((name) => ({
+      name,
+      label: GATEWAYS[name].label,
+      fields: GATEWAYS[name].fields.map(({ name: field, label, secret, optional }) => ({
+        name: field,
+        label,
+        secret: !!secret,
+        optional: !!optional,
+      })),
+    }));
+}
+
+/**
+ * Decrypt a stored secret (legacy rows may hold plaintext)
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+function decryptValue(value) {
+  if (!value) return null;
+  return encryptionService.isEncryptedString(value) ? encryptionService.decrypt(value) : value;
+}
+
+/**
+ * Decrypt institutions.payment_gateway_credentials
+ * @param {string|null} stored
+ * @returns {Object} Credentials by gateway name
+ */
+function readCredentials(stored) {
+  return stored ? JSON.parse(encryptionService.decrypt(stored)) : {};
+}
+
+/**
+ * Credentials for display: secret fields masked, the rest as stored
+ * @param {string|null} stored - institutions.payment_gateway_credentials
+ * @returns {Object} Credentials by gateway name
+ */
+function maskCredentials(stored) {
+  let credentials;
+  try {
+    credentials = readCredentials(stored);
+  } catch (error) {
+    console.error('[PAYMENT] Failed to decrypt gateway credentials:', error.message);
+    return {};
+  }
+
+  const masked = {};
+  for (const [name, values] of Object.entries(credentials)) {
+    const secretFields = (GATEWAYS[name]?.fields || []).filter((f) => f.secret).map((f) => f.name);
+    masked[name] = Object.fromEntries(
+      Object.entries(values).map(([field, value]) => [field, value && secretFields.includes(field) ? '••••••••' : value])
+    );
+  }
+  return masked;
+}
+
+/**
+ * Merge submitted credentials for one gateway into the stored set. Masked or
+ * omitted secrets keep their stored value.
+ * @param {string|null} stored - institutions.payment_gateway_credentials
+ * @param {string} gatewayName
+ * @param {Object} submitted - { field: value }
+ * @returns {{ encrypted: string, credentials: Object }} New column value, and the gateway's merged credentials
+ */
+function mergeCredentials(stored, gatewayName, submitted) {
+  const all = readCredentials(stored);
+  const fields = GATEWAYS[gatewayName]?.fields || [];
+  const current = all[gatewayName] || {};
+  const next = {};
+
+  for (const { name } of fields) {
+    const value = submitted[name];
+    const keep = value === undefined || (typeof value === 'string' && value.includes('••••'));
+    next[name] = keep ? current[name] || null : value || null;
+  }
+
+  all[gatewayName] = next;
+  return { encrypted: encryptionService.encrypt(JSON.stringify(all)), credentials: next };
+}
+
+/**
+ * Whether every required credential of a gateway is filled in
+ * @param {string} gatewayName
+ * @param {Object} credentials
+ * @returns {boolean}
+ */
+function hasRequiredCredentials(gatewayName, credentials) {
+  const gateway = GATEWAYS[gatewayName];
+  return !!gateway && gateway.fields.every((f) => f.optional || credentials?.[f.name]);
+}
+
+/**
+ * Gateway and decrypted credentials for an institution
+ * @param {number} institutionId
+ * @param {Object} [options]
+ * @param {string} [options.gateway] - A specific gateway (default: the institution's current one)
+ * @param {boolean} [options.envFallback] - Fall back to PAYSTACK_SECRET_KEY for Paystack.
+ *   Never set it when checking a webhook: a system-wide key must not verify a tenant's webhook.
+ * @returns {Promise<Object|null>} { gateway, credentials }, null for an unknown institution
+ */
+async function getGatewayConfig(institutionId, { gateway = null, envFallback = false } = {}) {
+  const [row] = await query(
+    `SELECT payment_gateway, payment_gateway_credentials,
+            paystack_public_key, paystack_secret_key, paystack_split_code
+     FROM institutions WHERE id = ?`,
+    [parseInt(institutionId)]
+  );
+
+  if (!row) {
+    return null;
+  }
+
+  const name = gateway || row.payment_gateway || DEFAULT_GATEWAY;
+
+  try {
+    if (name === 'paystack') {
+      return {
+        gateway: name,
+        credentials: {
+          public_key: decryptValue(row.paystack_public_key),
+          secret_key: decryptValue(row.paystack_secret_key) || (envFallback ? process.env.PAYSTACK_SECRET_KEY || null : null),
+          split_code: row.paystack_split_code,
+        },
+      };
+    }
+    return { gateway: name, credentials: readCredentials(row.payment_gateway_credentials)[name] || {} };
+  } catch (error) {
+    console.error(`[PAYMENT] Failed to decrypt ${name} credentials for institution ${institutionId}`);
+    return { gateway: name, credentials: {} };
+  }
+}
+
+/**
+ * Check a configuration before using it
+ * @param {Object|null} config - From getGatewayConfig()
+ * @returns {string|null} Problem description, or null if usable
+ */
+function configProblem(config) {
+  if (!config) {
+    return 'Institution not found';
+  }
+  const gateway = GATEWAYS[config.gateway];
+  if (!gateway) {
+    return `Unknown payment gateway '${config.gateway}'`;
+  }
+  if (!getGateway(config.gateway)) {
+    return `Payment gateway '${config.gateway}' cannot be used in production`;
+  }
+  if (!hasRequiredCredentials(config.gateway, config.credentials)) {
+    return `${gateway.label} is not configured`;
+  }
+  return gateway.credentialProblem ? gateway.credentialProblem(config.credentials) : null;
+}
+
+/**
+ * Start a payment with the configured gateway
+ * @param {Object} config - From getGatewayConfig(), already checked with configProblem()
+ * @param {Object} options - { email, name, amount (naira), reference, callbackUrl, metadata }
+ * @returns {Promise<{ success: boolean, data?: Object, error?: string }>}
+ *   data: { reference, accessCode, authorizationUrl }
+ */
+async function initializeTransaction(config, options) {
+  try {
+    const data = await GATEWAYS[config.gateway].initialize({
+      credentials: config.credentials,
+      metadata: {},
+      ...options,
+    });
+    return { success: true, data };
+  } catch (error) {
+    console.error(`[PAYMENT] ${config.gateway} initialization error:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Ask the gateway for the current state of a payment
+ * @param {Object} config - From getGatewayConfig(), already checked with configProblem()
+ * @param {string} reference - Our reference
+ * @returns {Promise<{ success: boolean, data?: Object, error?: string }>} data: a transaction
+ */
+async function verifyTransaction(config, reference) {
+  try {
+    const data = await GATEWAYS[config.gateway].verify(config.credentials, reference);
+    return { success: true, data };
+  } catch (error) {
+    console.error(`[PAYMENT] ${config.gateway} verification error:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Whether a gateway can refund through its API (and look a refund up again)
+ * @param {string} name
+ * @returns {boolean}
+ */
+function canRefund(name) {
+  const gateway = getGateway(name);
+  return typeof gateway?.refund === 'function' && typeof gateway.findRefund === 'function';
+}
+
+/**
+ * Give money back to the payer through the gateway the payment was made with
+ * @param {Object} config - From getGatewayConfig(), already checked with configProblem()
+ * @param {Object} options - { reference (ours), amount (naira), note }; note
+ *   must identify the refund, it is how findGatewayRefund() finds it again
+ * @returns {Promise<{ success: boolean, data?: Object, error?: string, uncertain?: boolean }>}
+ *   data: { id, status }. uncertain: the call failed without the gateway
+ *   refusing it, so the refund may have been made
+ */
+async function refundTransaction(config, options) {
+  if (!canRefund(config.gateway)) {
+    return { success: false, error: `${GATEWAYS[config.gateway]?.label || config.gateway} does not support refunds` };
+  }
+  try {
+    const data = await GATEWAYS[config.gateway].refund(config.credentials, options);
+    return { success: true, data };
+  } catch (error) {
+    console.error(`[PAYMENT] ${config.gateway} refund error:`, error.message);
+    return { success: false, error: error.message, uncertain: !error.declined };
+  }
+}
+
+/**
+ * Look up a refund made (or maybe made) by refundTransaction()
+ * @param {Object} config - From getGatewayConfig(), already checked with configProblem()
+ * @param {Object} options - { reference (ours), note } as given to refundTransaction()
+ * @returns {Promise<{ success: boolean, data?: Object|null, error?: string }>}
+ *   data: { id, status }, or null when the gateway has no such refund
+ */
+async function findGatewayRefund(config, options) {
+  if (!canRefund(config.gateway)) {
+    return { success: false, error: `${GATEWAYS[config.gateway]?.label || config.gateway} does not support refunds` };
+  }
+  try {
+    const data = await GATEWAYS[config.gateway].findRefund(config.credentials, options);
+    return { success: true, data };
+  } catch (error) {
+    console.error(`[PAYMENT] ${config.gateway} refund lookup error:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Whether a gateway can list its settled transactions
+ * @param {string} name
+ * @returns {boolean}
+ */
+function canList(name) {
+  return typeof getGateway(name)?.listTransactions === 'function';
+}
+
+/**
+ * Successful transactions the gateway settled in a date range
+ * @param {Object} config - From getGatewayConfig(), already checked with configProblem()
+ * @param {Object} options - { from, to } as YYYY-MM-DD, inclusive
+ * @returns {Promise<{ success: boolean, data?: Array<Object>, error?: string }>} data: transactions
+ */
+async function listTransactions(config, options) {
+  if (!canList(config.gateway)) {
+    return { success: false, error: `${GATEWAYS[config.gateway]?.label || config.gateway} cannot list transactions` };
+  }
+  try {
+    const data = await GATEWAYS[config.gateway].listTransactions(config.credentials, options);
+    return { success: true, data };
+  } catch (error) {
+    console.error(`[PAYMENT] ${config.gateway} transaction listing error:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Mark a fake-gateway payment as paid (or failed) and build the webhook the
+ * gateway sends about it
+ * @param {string} reference - Our reference
+ * @param {Object} [options]
+ * @param {string} [options.status] - 'success' or 'failed'
+ * @returns {{ headers: Object, body: Object }} Webhook request, signed with the institution's secret
+ */
+function settleFakePayment(reference, { status = 'success' } = {}) {
+  const payment = fakeTransactions.get(reference);
+  if (!payment) {
+    throw new Error(`No fake payment with reference ${reference}`);
+  }
+
+  payment.status = status;
+  payment.paidAt = status === 'success' ? new Date().toISOString() : null;
+
+  const body = {
+    event: status === 'success' ? 'payment.completed' : 'payment.failed',
+    data: { reference, status, amount: payment.amount },
+  };
+  const signature = crypto.createHmac('sha256', payment.secretKey).update(JSON.stringify(body)).digest('hex');
+  return { headers: { 'x-fake-signature': signature }, body };
+}
+
+module.exports = {
+  DEFAULT_GATEWAY,
+  registerGateway,
+  getGateway,
+  getGateways,
+  getGatewayConfig,
+  configProblem,
+  maskCredentials,
+  mergeCredentials,
+  hasRequiredCredentials,
+  initializeTransaction,
+  verifyTransaction,
+  canRefund,
+  refundTransaction,
+  findGatewayRefund,
+  canList,
+  listTransactions,
+  settleFakePayment,
+};
@@ -0,0 +1,485 @@
+/**
+ * Payment Reconciliation Service
+ *
+ * Checks student_payments against what the gateway actually settled, matched
+ * on paystack_reference (the gateway's reference) or, failing that, our own:
+ * - A successful payment the gateway did not settle in the period is
+ *   re-verified on its own (it may have settled either side of midnight)
+ *   before it is reported missing_at_gateway
+ * - A settled transaction with no successful payment is a missed verification:
+ *   once the gateway confirms it, the payment is recorded (healed) exactly as
+ *   the webhook would have. Anything that cannot be tied to a student is
+ *   reported missing_locally.
+ *
+ * Settlement data comes from the gateway's transaction listing (daily sweep of
+ * yesterday, or staff picking a range) or from an uploaded settlement report
+ * for gateways that cannot list. Uploaded rows are never trusted on their own:
+ * nothing is healed unless the gateway confirms the payment.
+ */
+
+const XLSX = require('xlsx');
+const { query } = require('../db/database');
+const auditService = require('./auditService');
+const keyValueStore = require('./keyValueStore');
+const paymentGatewayService = require('./paymentGatewayService');
+const { updateStudentPaymentStatus, recordFromPendingTransaction } = require('./studentPaymentService');
+
+const ITEM_TYPES = ['missing_at_gateway', 'amount_mismatch', 'missing_locally', 'healed'];
+
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Settlement report headers, lowercased with everything but letters and digits removed
+const REPORT_COLUMNS = {
+  reference: ['reference', 'transactionreference', 'paystackreference', 'txref', 'flwref', 'rrr', 'orderid'],
+  amount: ['amount', 'amountpaid', 'transactionamount'],
+  status: ['status', 'transactionstatus'],
+  paidAt: ['paidat', 'transactiondate', 'date', 'createdat'],
+};
+
+const SETTLED_STATUSES = ['success', 'successful', 'paid', 'completed', '00', '01'];
+
+/**
+ * A date as YYYY-MM-DD (server time)
+ * @param {Date} date
+ * @returns {string}
+ */
+function toDateString(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+const sameAmount = (a, b) => Math.abs(parseFloat(a) - parseFloat(b)) <= 0.01;
+
+/**
+ * Read an uploaded settlement report (CSV or Excel, first sheet)
+ * @param {Buffer} buffer
+ * @returns {{ transactions: Array<Object>, skipped: number }} Settled rows as
+ *   { reference, merchantReference, amount, status, paidAt }; skipped counts
+ *   rows that were not settled or had no reference or amount
+ */
+function parseSettlementReport(buffer) {
+  const workbook = XLSX.read(buffer, { type: 'buffer' });
+  const rows = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { defval: '' });
+
+  const transactions = [];
+  let skipped = 0;
+  for (const row of rows) {
+    const values = {};
+    for (const [header, value] of Object.entries(row)) {
+      const key = header.toLowerCase().replace(/[^a-z0-9]/g, '');
+      const column = Object.keys(REPORT_COLUMNS).find((name) => REPORT_COLUMNS[name].includes(key));
+      if (column && values[column] === undefined) {
+        values[column] = String(value).trim();
+      }
+    }
+
+    const amount = parseFloat(String(values.amount || '').replace(/[^0-9.-]/g, ''));
+    // A report without a status column lists settled transactions only
+    const settled = !values.status || SETTLED_STATUSES.includes(values.status.toLowerCase());
+    if (!values.reference || !(amount > 0) || !settled) {
+      skipped++;
+      continue;
+    }
+
+    transactions.push({
+      status: 'success',
+      reference: values.reference,
+      merchantReference: values.reference,
+      amount,
+      paidAt: values.paidAt || null,
+    });
+  }
+
+  return { transactions, skipped };
+}
+
+/**
+ * Ask the gateway whether a payment really went through
+ * @param {Object} config - Gateway config
+ * @param {string} reference - Our reference
+ * @returns {Promise<Object|null>} The successful transaction, or null
+ */
+async function confirmWithGateway(config, reference) {
+  if (paymentGatewayService.configProblem(config)) {
+    return null;
+  }
+  const verification = await paymentGatewayService.verifyTransaction(config, reference);
+  return verification.success && verification.data.status === 'success' ? verification.data : null;
+}
+
+/**
+ * Record a payment for a settled transaction that was never verified
+ * @param {number} institutionId
+ * @param {Object} run - { id, gateway config, triggeredBy }
+ * @param {Object} tx - Settled transaction
+ * @returns {Promise<Object>} Reconciliation item (healed, amount_mismatch or missing_locally)
+ */
+async function healTransaction(institutionId, run, tx) {
+  const ourReference = tx.merchantReference || tx.reference;
+  const item = { reference: tx.reference, gateway_amount: tx.amount };
+
+  const [payment] = await query(
+    `SELECT id, student_id, session_id, amount, reference, status FROM student_payments
+     WHERE institution_id = ? AND (paystack_reference = ? OR reference = ?)
+     ORDER BY id DESC LIMIT 1`,
+    [institutionId, tx.reference, ourReference]
+  );
+
+  // Settled and recorded, just outside the period
+  if (payment && ['success', 'refunded'].includes(payment.status)) {
+    return sameAmount(payment.amount, tx.amount)
+      ? null
+      : { ...item, type: 'amount_mismatch', payment_id: payment.id, student_id: payment.student_id, local_amount: payment.amount };
+  }
+
+  const [pendingTx] = payment
+    ? []
+    : await query(
+      `SELECT * FROM pending_transactions
+       WHERE institution_id = ? AND (reference = ? OR paystack_reference = ?) AND status != 'verified'
+       ORDER BY id DESC LIMIT 1`,
+      [institutionId, ourReference, tx.reference]
+    );
+
+  const expected = payment || pendingTx;
+  if (!expected) {
+    return { ...item, type: 'missing_locally', details: 'No payment or payment attempt with this reference' };
+  }
+
+  const confirmed = await confirmWithGateway(run.config, expected.reference);
+  if (!confirmed) {
+    return {
+      ...item, type: 'missing_locally', payment_id: payment?.id || null, student_id: expected.student_id,
+      local_amount: expected.amount, details: 'The gateway did not confirm this payment',
+    };
+  }
+  if (!sameAmount(confirmed.amount, expected.amount)) {
+    return {
+      ...item, type: 'amount_mismatch', payment_id: payment?.id || null, student_id: expected.student_id,
+      gateway_amount: confirmed.amount, local_amount: expected.amount,
+      details: 'Settled, but not for the amount due - not recorded',
+    };
+  }
+
+  let paymentId;
+  if (payment) {
+    await query(
+      `UPDATE student_payments SET status = 'success', paystack_reference = ?, verified_at = NOW()
+       WHERE id = ? AND institution_id = ?`,
+      [confirmed.reference, payment.id, institutionId]
+    );
+    await updateStudentPaymentStatus(payment.student_id, payment.session_id, institutionId);
+    paymentId = payment.id;
+  } else {
+    paymentId = await recordFromPendingTransaction(institutionId, pendingTx, confirmed, {
+      gateway: run.config.gateway,
+      extra: { reconciliation_run_id: run.id },
+    });
+  }
+
+  await auditService.record({
+    institutionId,
+    userId: run.triggeredBy,
+    action: 'payment_reconciled',
+    resourceType: 'student_payment',
+    resourceId: paymentId,
+    details: { reference: expected.reference, gateway_reference: confirmed.reference, amount: confirmed.amount, run_id: run.id },
+  });
+
+  return {
+    ...item, type: 'healed', reference: confirmed.reference, payment_id: paymentId, student_id: expected.student_id,
+    gateway_amount: confirmed.amount, local_amount: expected.amount,
+  };
+}
+
+/**
+ * Reconcile an institution's payments for a period
+ * @param {number} institutionId
+ * @param {Object} options
+ * @param {string} options.from - YYYY-MM-DD
+ * @param {string} options.to - YYYY-MM-DD, inclusive
+ * @param {string} [options.source] - scheduled | manual | upload
+ * @param {Array<Object>} [options.transactions] - Settled transactions from a report (default: ask the gateway)
+ * @param {string} [options.fileName] - Uploaded report name
+ * @param {number} [options.triggeredBy] - Staff user id (none for scheduled runs)
+ * @returns {Promise<Object>} The run: { id, status, gateway_count, local_count, matched_count, mismatch_count, healed_count, error }
+ */
+async function reconcile(institutionId, { from, to, source = 'manual', transactions = null, fileName = null, triggeredBy = null }) {
+  institutionId = parseInt(institutionId);
+  const config = await paymentGatewayService.getGatewayConfig(institutionId, { envFallback: true });
+  if (!config) {
+    throw new Error('Institution not found');
+  }
+
+  const result = await query(
+    `INSERT INTO payment_reconciliation_runs
+     (institution_id, gateway, source, period_from, period_to, file_name, triggered_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [institutionId, config.gateway, source, from, to, fileName, triggeredBy]
+  );
+  const run = { id: result.insertId, config, triggeredBy };
+  const summary = {
+    id: run.id, status: 'completed', gateway_count: 0, local_count: 0,
+    matched_count: 0, mismatch_count: 0, healed_count: 0, error: null,
+  };
+
+  try {
+    let settled = transactions;
+    if (!settled) {
+      const problem = paymentGatewayService.configProblem(config);
+      if (problem) {
+        throw new Error(problem);
+      }
+      const listing = await paymentGatewayService.listTransactions(config, { from, to });
+      if (!listing.success) {
+        throw new Error(listing.error);
+      }
+      settled = listing.data.filter((tx) => tx.status === 'success');
+    }
+
+    const payments = await query(
+      `SELECT id, student_id, amount, reference, paystack_reference FROM student_payments
+       WHERE institution_id = ? AND gateway = ? AND status IN ('success', 'refunded')
+         AND DATE(COALESCE(verified_at, created_at)) BETWEEN ? AND ?`,
+      [institutionId, config.gateway, from, to]
+    );
+    summary.gateway_count = settled.length;
+    summary.local_count = payments.length;
+
+    const byGatewayReference = new Map(payments.filter((p) => p.paystack_reference).map((p) => [p.paystack_reference, p]));
+    const byReference = new Map(payments.map((p) => [p.reference, p]));
+    const seen = new Set();
+    const items = [];
+
+    for (const tx of settled) {
+      const payment = byGatewayReference.get(tx.reference)
+        || byReference.get(tx.merchantReference)
+        || byReference.get(tx.reference);
+
+      if (payment) {
+        seen.add(payment.id);
+        if (sameAmount(payment.amount, tx.amount)) {
+          summary.matched_count++;
+        } else {
+          items.push({
+            type: 'amount_mismatch', reference: tx.reference, payment_id: payment.id, student_id: payment.student_id,
+            gateway_amount: tx.amount, local_amount: payment.amount,
+          });
+        }
+        continue;
+      }
+
+      const item = await healTransaction(institutionId, run, tx);
+      if (item) {
+        items.push(item);
+      } else {
+        summary.matched_count++;
+      }
+    }
+
+    for (const payment of payments.filter((p) => !seen.has(p.id))) {
+      const confirmed = await confirmWithGateway(config, payment.reference);
+      if (confirmed && sameAmount(confirmed.amount, payment.amount)) {
+        summary.matched_count++;
+        continue;
+      }
+      items.push({
+        type: 'missing_at_gateway', reference: payment.paystack_reference || payment.reference,
+        payment_id: payment.id, student_id: payment.student_id,
+        gateway_amount: confirmed?.amount ?? null, local_amount: payment.amount,
+        details: confirmed ? 'Settled for a different amount' : 'Recorded as paid, but the gateway has no settled transaction',
+      });
+    }
+
+    for (const item of items) {
+      await query(
+        `INSERT INTO payment_reconciliation_items
+         (run_id, institution_id, type, reference, payment_id, student_id, gateway_amount, local_amount, details)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          run.id, institutionId, item.type, item.reference, item.payment_id || null, item.student_id || null,
+          item.gateway_amount ?? null, item.local_amount ?? null, item.details || null,
+        ]
+      );
+    }
+    summary.healed_count = items.filter((item) => item.type === 'healed').length;
+    summary.mismatch_count = items.length - summary.healed_count;
+  } catch (error) {
+    summary.status = 'failed';
+    summary.error = error.message;
+  }
+
+  await query(
+    `UPDATE payment_reconciliation_runs
+     SET status = ?, gateway_count = ?, local_count = ?, matched_count = ?, mismatch_count = ?,
+         healed_count = ?, error = ?, completed_at = NOW()
+     WHERE id = ?`,
+    [
+      summary.status, summary.gateway_count, summary.local_count, summary.matched_count,
+      summary.mismatch_count, summary.healed_count, summary.error, run.id,
+    ]
+  );
+
+  return summary;
+}
+
+/**
+ * Reconciliation runs, newest first
+ * @param {Object} [filters]
+ * @param {number} [filters.institutionId] - One institution (default: all)
+ * @param {string} [filters.status]
+ * @param {string} [filters.source]
+ * @param {boolean} [filters.withMismatches] - Only runs that found something
+ * @param {number} [filters.limit]
+ * @returns {Promise<Array<Object>>}
+ */
+async function getRuns({ institutionId = null, status = null, source = null, withMismatches = false, limit = 50 } = {}) {
+  let sql = `
+    SELECT r.*, i.name as institution_name, u.name as triggered_by_name
+    FROM payment_reconciliation_runs r
+    JOIN institutions i ON r.institution_id = i.id
+    LEFT JOIN users u ON r.triggered_by = u.id
+    WHERE 1 = 1
+  `;
+  const params = [];
+
+  if (institutionId) {
+    sql += ' AND r.institution_id = ?';
+    params.push(parseInt(institutionId));
+  }
+  if (status) {
+    sql += ' AND r.status = ?';
+    params.push(status);
+  }
+  if (source) {
+    sql += ' AND r.source = ?';
+    params.push(source);
+  }
+  if (withMismatches) {
+    sql += ' AND (r.mismatch_count > 0 OR r.healed_count > 0)';
+  }
+
+  sql += ' ORDER BY r.created_at DESC, r.id DESC LIMIT ?';
+  params.push(parseInt(limit));
+
+  return query(sql, params);
+}
+
+/**
+ * A run and what it found
+ * @param {number} runId
+ * @param {number} [institutionId] - Refuse runs of other institutions
+ * @returns {Promise<Object|null>} Run with items, null if not found
+ */
+async function getRun(runId, institutionId = null) {
+  const [run] = await query(
+    `SELECT r.*, i.name as institution_name, u.name as triggered_by_name
+     FROM payment_reconciliation_runs r
+     JOIN institutions i ON r.institution_id = i.id
+     LEFT JOIN users u ON r.triggered_by = u.id
+     WHERE r.id = ?${institutionId ? ' AND r.institution_id = ?' : ''}`,
+    institutionId ? [parseInt(runId), parseInt(institutionId)] : [parseInt(runId)]
+  );
+  if (!run) {
+    return null;
+  }
+
+  run.items = await query(
+    `SELECT ri.*, st.full_name as student_name, st.registration_number, sp.reference as payment_reference
+     FROM payment_reconciliation_items ri
+     LEFT JOIN students st ON ri.student_id = st.id
+     LEFT JOIN student_payments sp ON ri.payment_id = sp.id
+     WHERE ri.run_id = ?
+     ORDER BY FIELD(ri.type, 'missing_at_gateway', 'amount_mismatch', 'missing_locally', 'healed'), ri.id`,
+    [run.id]
+  );
+  return run;
+}
+
+/**
+ * Reconcile yesterday for every institution collecting payments through a
+ * gateway that can list its transactions, unless already done. A failed run
+ * (gateway outage, bad credentials) does not count, so the next sweep retries it.
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<number>} Runs started
+ */
+async function runScheduledReconciliations({ now = new Date() } = {}) {
+  const day = toDateString(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1));
+  const institutions = await query(
+    `SELECT i.id, i.payment_gateway FROM institutions i
+     WHERE i.payment_enabled = 1 AND i.status = 'active'
+       AND NOT EXISTS (
+         SELECT 1 FROM payment_reconciliation_runs r
+         WHERE r.institution_id = i.id AND r.source = 'scheduled' AND r.period_from = ?
+           AND r.status <> 'failed'
+       )`,
+    [day]
+  );
+
+  let started = 0;
+  for (const institution of institutions) {
+    if (!paymentGatewayService.canList(institution.payment_gateway)) {
+      continue;
+    }
+    const run = await reconcile(institution.id, { from: day, to: day, source: 'scheduled' });
+    if (run.status === 'failed') {
+      console.error(`[RECONCILIATION] Institution ${institution.id} (${day}) failed:`, run.error);
+    }
+    started++;
+  }
+  return started;
+}
+
+let sweepInterval = null;
+
+/**
+ * Check hourly for institutions whose yesterday has not been reconciled.
+ * Every worker runs the timer; the first to claim the hour runs the sweep.
+ */
+function startReconciliationSweep() {
+  if (sweepInterval) {
+    return;
+  }
+
+  const sweep = async () => {
+    try {
+      const hour = Math.floor(Date.now() / SWEEP_INTERVAL_MS);
+      if (await keyValueStore.claim(`sweep:reconciliation:${hour}`, SWEEP_INTERVAL_MS)) {
+        await runScheduledReconciliations();
+      }
+    } catch (error) {
+      console.error('[RECONCILIATION] Sweep failed:', error.message);
+    }
+  };
+  sweepInterval = setInterval(sweep, SWEEP_INTERVAL_MS);
+  // Never keep the process alive just for reconciliation
+  sweepInterval.unref();
+  sweep();
+}
+
+/**
+ * Stop the reconciliation sweep
+ */
+function stopReconciliationSweep() {
+  if (sweepInterval) {
+    clearInterval(sweepInterval);
+    sweepInterval = null;
+  }
+}
+
+// Auto-start the sweep when the module is loaded (tests call it directly)
+if (process.env.NODE_ENV !== 'test') {
+  startReconciliationSweep();
+}
+
+module.exports = {
+  ITEM_TYPES,
+  parseSettlementReport,
+  reconcile,
+  getRuns,
+  getRun,
+  runScheduledReconciliations,
+  startReconciliationSweep,
+  stopReconciliationSweep,
+};
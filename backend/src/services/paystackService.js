@@ -60,6 +60,10 @@ class PaystackService {
         });
       });
 
+      // An unanswered call fails instead of hanging; the caller cannot tell
+      // whether Paystack acted on it
+      req.setTimeout(30000, () => req.destroy(new Error('Paystack request timed out')));
+
       req.on('error', (e) => {
         reject(e);
       });
@@ -184,6 +188,139 @@ class PaystackService {
     }
   }
 
+  /**
+   * Refund a transaction, in full or in part
+   * @param {string} secretKey - Paystack secret key
+   * @param {Object} options
+   * @param {string} options.reference - Transaction reference
+   * @param {number} [options.amount] - Amount in kobo (default: the whole transaction)
+   * @param {string} [options.note] - Merchant note shown on the Paystack dashboard
+   */
+  async createRefund(secretKey, { reference, amount, note }) {
+    try {
+      const response = await this.makeRequest({
+        method: 'POST',
+        path: '/refund',
+        secretKey,
+        data: {
+          transaction: reference,
+          ...(amount ? { amount } : {}),
+          ...(note ? { merchant_note: note } : {}),
+        },
+      });
+
+      if (!response.status) {
+        // Paystack answered and refused: no refund was made
+        return {
+          success: false,
+          declined: true,
+          error: response.message || 'Refund failed',
+        };
+      }
+
+      return {
+        success: true,
+        data: {
+          id: response.data.id,
+          status: response.data.status, // pending | processing | processed
+          amount: response.data.amount, // In kobo
+        },
+      };
+    } catch (error) {
+      console.error('Paystack refund error:', error.message);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Refunds made against a transaction
+   * @param {string} secretKey - Paystack secret key
+   * @param {string} reference - Transaction reference
+   */
+  async listRefunds(secretKey, reference) {
+    try {
+      const response = await this.makeRequest({
+        method: 'GET',
+        path: `/refund?${new URLSearchParams({ transaction: reference })}`,
+        secretKey,
+      });
+
+      if (!response.status) {
+        return {
+          success: false,
+          error: response.message || 'Failed to list refunds',
+        };
+      }
+
+      return {
+        success: true,
+        data: response.data || [], // Amounts in kobo
+      };
+    } catch (error) {
+      console.error('Paystack list refunds error:', error.message);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * List successful transactions in a date range, every page
+   * @param {string} secretKey - Paystack secret key
+   * @param {Object} options
+   * @param {string} options.from - Start date (YYYY-MM-DD)
+   * @param {string} options.to - End date (YYYY-MM-DD, inclusive)
+   * @param {number} [options.perPage]
+   */
+  async listTransactions(secretKey, { from, to, perPage = 100 }) {
+    try {
+      const transactions = [];
+      let page = 1;
+      let pageCount = 1;
+
+      do {
+        const params = new URLSearchParams({
+          status: 'success',
+          from: `${from}T00:00:00.000Z`,
+          to: `${to}T23:59:59.999Z`,
+          perPage: String(perPage),
+          page: String(page),
+        });
+        const response = await this.makeRequest({
+          method: 'GET',
+          path: `/transaction?${params}`,
+          secretKey,
+        });
+
+        if (!response.status) {
+          return {
+            success: false,
+            error: response.message || 'Failed to list transactions',
+          };
+        }
+
+        transactions.push(...(response.data || []));
+        pageCount = response.meta?.pageCount || 1;
+        page += 1;
+      } while (page <= pageCount);
+
+      return {
+        success: true,
+        data: transactions, // Amounts in kobo
+      };
+    } catch (error) {
+      console.error('Paystack list transactions error:', error.message);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
   /**
    * Verify webhook signature
    * @param {Object} body - Request body
@@ -0,0 +1,861 @@
+/**
+ * PDF Service
+ * Server-side PDF generation with PDFKit
+ *
+ * Renders document-template HTML into institution-branded PDFs so printed
+ * letters look identical regardless of the browser or printer used.
+ *
+ * Supported HTML is the subset produced by the template editor:
+ * - Blocks: p, div, h1-h6, ul/ol/li, table/tr/td/th, blockquote, hr, br
+ * - Inline: strong/b, em/i, u, span (font-size, color, font-weight)
+ * - Layout: text-align and line-height from inline styles
+ * - Images: data URIs, https URLs on the configured asset hosts
+ *   (config.cloudinary.assetHosts) and local /uploads paths (PNG/JPEG only)
+ *
+ * USAGE:
+ * const pdfService = require('./pdfService');
+ * const buffer = await pdfService.renderLetterPdf({ institution, document, verification });
+ */
+
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const config = require('../config');
+
+const FONTS = {
+  regular: 'Times-Roman',
+  bold: 'Times-Bold',
+  italic: 'Times-Italic',
+  boldItalic: 'Times-BoldItalic',
+};
+
+const BASE_FONT_SIZE = 11;
+const HEADING_SIZES = { h1: 16, h2: 14, h3: 12.5, h4: 11.5, h5: 11, h6: 10.5 };
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li',
+  'table', 'thead', 'tbody', 'tfoot', 'tr', 'blockquote', 'hr', 'section', 'article',
+]);
+const IMAGE_FETCH_TIMEOUT_MS = 5000;
+const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+
+// Characters outside WinAnsi that show up in templates (standard PDF fonts can't draw them)
+const CHARACTER_REPLACEMENTS = {
+  '\u20A6': 'N', // Naira sign
+  '\u2002': ' ', // en space
+  '\u2009': ' ', // thin space
+  '\u202F': ' ', // narrow no-break space
+  '\u200B': '', // zero-width space
+};
+
+// ============================================================================
+// IMAGE LOADING
+// ============================================================================
+
+/**
+ * Template HTML is user-written, so remote images come only from the asset
+ * hosts over https - never an internal address the server can reach
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isAllowedImageUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+
+  return parsed.protocol === 'https:'
+    && !parsed.port
+    && !parsed.username
+    && config.cloudinary.assetHosts.includes(parsed.hostname.toLowerCase());
+}
+
+/**
+ * Download a remote image into a Buffer. Redirects are not followed, and the
+ * whole download must finish within IMAGE_FETCH_TIMEOUT_MS and MAX_IMAGE_BYTES.
+ * @param {string} url
+ * @returns {Promise<Buffer|null>}
+ */
+function fetchRemoteImage(url) {
+  if (!isAllowedImageUrl(url)) {
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve) => {
+    const req = https.get(url, { timeout: IMAGE_FETCH_TIMEOUT_MS }, (res) => {
+      const declaredSize = parseInt(res.headers['content-length']);
+      if (res.statusCode !== 200 || declaredSize > MAX_IMAGE_BYTES) {
+        res.resume();
+        resolve(null);
+        return;
+      }
+
+      const chunks = [];
+      let size = 0;
+      res.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_IMAGE_BYTES) {
+          req.destroy();
+          resolve(null);
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => resolve(Buffer.concat(chunks)));
+      res.on('error', () => resolve(null));
+    });
+
+    // The socket timeout only covers idle gaps; this bounds a slow trickle too
+    const deadline = setTimeout(() => {
+      req.destroy();
+      resolve(null);
+    }, IMAGE_FETCH_TIMEOUT_MS);
+    req.on('close', () => clearTimeout(deadline));
+
+    req.on('timeout', () => {
+      req.destroy();
+      resolve(null);
+    });
+    req.on('error', () => resolve(null));
+  });
+}
+
+/**
+ * Only PNG and JPEG are embeddable by PDFKit
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+function isSupportedImage(buffer) {
+  if (!buffer || buffer.length < 4) return false;
+  const isPng = buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4e && buffer[3] === 0x47;
+  const isJpeg = buffer[0] === 0xff && buffer[1] === 0xd8;
+  return isPng || isJpeg;
+}
+
+/**
+ * Resolve an image source into a Buffer PDFKit can embed.
+ * Failures resolve to null - a missing logo must never block a letter.
+ * @param {string} src - data URI, http(s) URL or /uploads path
+ * @returns {Promise<Buffer|null>}
+ */
+async function loadImage(src) {
+  if (!src || typeof src !== 'string') return null;
+
+  let buffer = null;
+  try {
+    if (src.startsWith('data:')) {
+      const match = src.match(/^data:image\/[a-z+]+;base64,(.+)$/i);
+      buffer = match ? Buffer.from(match[1], 'base64') : null;
+    } else if (/^https?:\/\//i.test(src)) {
+      buffer = await fetchRemoteImage(src);
+    } else if (src.startsWith('/uploads/')) {
+      const filePath = path.normalize(path.join(UPLOADS_DIR, src.replace(/^\/uploads\//, '')));
+      // The separator keeps siblings such as uploads-old/ out
+      if (filePath.startsWith(UPLOADS_DIR + path.sep) && fs.existsSync(filePath)) {
+        buffer = fs.readFileSync(filePath);
+      }
+    }
+  } catch (error) {
+    console.warn('[PDF] Failed to load image:', error.message);
+    return null;
+  }
+
+  return isSupportedImage(buffer) ? buffer : null;
+}
+
+// ============================================================================
+// HTML PARSING
+// ============================================================================
+
+/**
+ * Parse an inline style attribute into a plain object
+ * @param {string} style
+ * @returns {Object}
+ */
+function parseStyle(style) {
+  const result = {};
+  if (!style) return result;
+
+  for (const declaration of style.split(';')) {
+    const index = declaration.indexOf(':');
+    if (index === -1) continue;
+    const prop = declaration.slice(0, index).trim().toLowerCase();
+    const value = declaration.slice(index + 1).trim();
+    if (prop && value) result[prop] = value;
+  }
+  return result;
+}
+
+/**
+ * Convert a CSS length to PDF points (1px = 0.75pt)
+ * @param {string} value
+ * @param {number} base - Current font size for em/% values
+ * @returns {number|null}
+ */
+function toPoints(value, base = BASE_FONT_SIZE) {
+  if (!value) return null;
+  const match = String(value).trim().match(/^(-?[\d.]+)\s*(px|pt|em|rem|%)?$/i);
+  if (!match) return null;
+
+  const amount = parseFloat(match[1]);
+  switch ((match[2] || 'px').toLowerCase()) {
+    case 'pt': return amount;
+    case 'em':
+    case 'rem': return amount * base;
+    case '%': return (amount / 100) * base;
+    default: return amount * 0.75;
+  }
+}
+
+function normalizeText(text) {
+  let result = text;
+  for (const [from, to] of Object.entries(CHARACTER_REPLACEMENTS)) {
+    result = result.split(from).join(to);
+  }
+  return result;
+}
+
+function normalizeColor(color) {
+  if (!color) return null;
+  const value = color.trim();
+  if (/^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(value)) return value;
+  const rgb = value.match(/^rgba?\((\d+),\s*(\d+),\s*(\d+)/i);
+  if (rgb) {
+    return '#' + [rgb[1], rgb[2], rgb[3]].map((n) => parseInt(n).toString(16).padStart(2, '0')).join('');
+  }
+  return null;
+}
+
+/**
+ * Derive the inline text style for an element from its parent style
+ */
+function inheritInlineStyle(element, parentStyle) {
+  const tag = element.tagName.toLowerCase();
+  const css = parseStyle(element.getAttribute('style'));
+  const style = { ...parentStyle };
+
+  if (tag === 'strong' || tag === 'b' || /^h[1-6]$/.test(tag) || tag === 'th') style.bold = true;
+  if (tag === 'em' || tag === 'i') style.italic = true;
+  if (tag === 'u') style.underline = true;
+  if (HEADING_SIZES[tag]) style.fontSize = HEADING_SIZES[tag];
+
+  if (css['font-weight']) style.bold = css['font-weight'] === 'bold' || parseInt(css['font-weight']) >= 600;
+  if (css['font-style']) style.italic = css['font-style'] === 'italic';
+  if (css['text-decoration'] && css['text-decoration'].includes('underline')) style.underline = true;
+  if (css['font-size']) style.fontSize = toPoints(css['font-size'], parentStyle.fontSize) || style.fontSize;
+  if (css.color) style.color = normalizeColor(css.color) || style.color;
+
+  return style;
+}
+
+/**
+ * Flatten an HTML fragment into a list of layout blocks.
+ *
+ * Block shapes:
+ *   { type: 'text', runs: [{ text, bold, italic, underline, fontSize, color }], align, lineHeight, indent, bullet, spaceAfter }
+ *   { type: 'image', src, width, height, align }
+ *   { type: 'table', rows: [[{ runs, bold }]] }
+ *   { type: 'rule' }
+ *
+ * @param {string} html
+ * @returns {Array<Object>}
+ */
+function parseHtml(html) {
+  const { document } = new JSDOM(`<body>${html || ''}</body>`).window;
+  const blocks = [];
+  const rootStyle = { bold: false, italic: false, underline: false, fontSize: BASE_FONT_SIZE, color: null };
+
+  let current = null;
+  // A list bullet waits here until the first non-empty block inside the <li> claims it
+  let pendingBullet = null;
+
+  const flush = () => {
+    if (current && current.bullet && !current.runs.some((run) => run.text.trim())) {
+      pendingBullet = current.bullet;
+      current = null;
+      return;
+    }
+    if (current && current.runs.some((run) => run.text.trim())) {
+      // Trim leading/trailing collapsible spaces in the block
+      current.runs[0].text = current.runs[0].text.replace(/^ +/, '');
+      const last = current.runs[current.runs.length - 1];
+      last.text = last.text.replace(/ +$/, '');
+      blocks.push(current);
+    } else if (current && current.preserveEmpty) {
+      blocks.push({ ...current, runs: [{ ...rootStyle, text: ' ' }] });
+    }
+    current = null;
+  };
+
+  const startBlock = (props) => {
+    flush();
+    current = { type: 'text', runs: [], align: 'left', lineHeight: null, indent: 0, spaceAfter: 6, ...props, bullet: props.bullet || pendingBullet };
+    pendingBullet = null;
+  };
+
+  const ensureBlock = (blockProps) => {
+    if (!current) startBlock(blockProps);
+  };
+
+  const walk = (node, style, blockProps, listState) => {
+    if (node.nodeType === 3) {
+      const text = normalizeText(node.textContent.replace(/[\t\n\r ]+/g, ' '));
+      if (!text) return;
+      ensureBlock(blockProps);
+      current.runs.push({ ...style, text });
+      return;
+    }
+    if (node.nodeType !== 1) return;
+
+    const tag = node.tagName.toLowerCase();
+    if (tag === 'script' || tag === 'style' || tag === 'head') return;
+
+    if (tag === 'br') {
+      ensureBlock(blockProps);
+      current.runs.push({ ...style, text: '\n' });
+      return;
+    }
+
+    if (tag === 'hr') {
+      flush();
+      blocks.push({ type: 'rule' });
+      return;
+    }
+
+    if (tag === 'img') {
+      flush();
+      const css = parseStyle(node.getAttribute('style'));
+      blocks.push({
+        type: 'image',
+        src: node.getAttribute('src'),
+        width: toPoints(css.width) || toPoints(node.getAttribute('width')),
+        height: toPoints(css.height) || toPoints(node.getAttribute('height')),
+        align: blockProps.align || 'left',
+      });
+      return;
+    }
+
+    if (tag === 'table') {
+      flush();
+      const rows = [];
+      for (const tr of node.querySelectorAll('tr')) {
+        const cells = [];
+        for (const cell of tr.children) {
+          const cellStyle = inheritInlineStyle(cell, style);
+          const cellBlocks = parseHtml(cell.innerHTML);
+          const runs = cellBlocks
+            .filter((b) => b.type === 'text')
+            .flatMap((b, i) => (i > 0 ? [{ ...cellStyle, text: '\n' }, ...b.runs] : b.runs))
+            .map((run) => ({ ...run, bold: run.bold || cellStyle.bold }));
+          cells.push({ runs });
+        }
+        if (cells.length) rows.push(cells);
+      }
+      if (rows.length) blocks.push({ type: 'table', rows });
+      return;
+    }
+
+    const inlineStyle = inheritInlineStyle(node, style);
+
+    if (BLOCK_TAGS.has(tag)) {
+      const css = parseStyle(node.getAttribute('style'));
+      const align = css['text-align'] || node.getAttribute('align') || blockProps.align || 'left';
+      const lineHeight = css['line-height'] ? parseFloat(css['line-height']) : blockProps.lineHeight;
+      let nextProps = { ...blockProps, align, lineHeight };
+      let nextList = listState;
+
+      if (tag === 'ul' || tag === 'ol') {
+        nextList = { ordered: tag === 'ol', counter: 0, depth: (listState?.depth || 0) + 1 };
+        nextProps = { ...nextProps, indent: (blockProps.indent || 0) + 18 };
+      } else if (tag === 'li' && listState) {
+        listState.counter += 1;
+        nextProps = { ...nextProps, bullet: listState.ordered ? `${listState.counter}.` : '•', spaceAfter: 3 };
+      } else if (tag === 'blockquote') {
+        nextProps = { ...nextProps, indent: (blockProps.indent || 0) + 24 };
+      } else if (/^h[1-6]$/.test(tag)) {
+        nextProps = { ...nextProps, spaceAfter: 8 };
+      } else if (tag === 'p') {
+        nextProps = { ...nextProps, preserveEmpty: true };
+      }
+
+      startBlock(nextProps);
+      for (const child of node.childNodes) {
+        walk(child, inlineStyle, { ...nextProps, bullet: null, preserveEmpty: false }, nextList);
+      }
+      flush();
+      return;
+    }
+
+    for (const child of node.childNodes) {
+      walk(child, inlineStyle, blockProps, listState);
+    }
+  };
+
+  for (const child of document.body.childNodes) {
+    walk(child, rootStyle, { align: 'left', indent: 0 }, null);
+  }
+  flush();
+
+  return blocks;
+}
+
+// ============================================================================
+// DOCUMENT PRIMITIVES
+// ============================================================================
+
+function fontFor(run) {
+  if (run.bold && run.italic) return FONTS.boldItalic;
+  if (run.bold) return FONTS.bold;
+  if (run.italic) return FONTS.italic;
+  return FONTS.regular;
+}
+
+/**
+ * Create a PDFKit document with sensible defaults
+ * @param {Object} options
+ * @param {string} [options.size='A4'] - A4 | LETTER | LEGAL
+ * @param {string} [options.layout='portrait'] - portrait | landscape
+ * @param {Object} [options.margins] - { top, bottom, left, right } in points
+ * @param {Object} [options.info] - PDF metadata (Title, Author, Subject)
+ * @returns {PDFDocument}
+ */
+function createDocument({ size = 'A4', layout = 'portrait', margins = null, info = {} } = {}) {
+  const m = margins || {};
+  return new PDFDocument({
+    size: String(size || 'A4').toUpperCase(),
+    layout: layout === 'landscape' ? 'landscape' : 'portrait',
+    margins: {
+      top: m.top ?? 40,
+      bottom: m.bottom ?? 40,
+      left: m.left ?? 50,
+      right: m.right ?? 50,
+    },
+    bufferPages: true,
+    info: { Producer: 'DigitalTP', Creator: 'DigitalTP', ...info },
+  });
+}
+
+/**
+ * Collect a finished document into a Buffer
+ * @param {PDFDocument} doc
+ * @returns {Promise<Buffer>}
+ */
+function toBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+}
+
+/**
+ * Draw the institution letterhead at the current position.
+ * @param {PDFDocument} doc
+ * @param {Object} institution - Institution row (name, logo_url, colours, contacts)
+ * @param {Object} [options]
+ * @param {Buffer} [options.logo] - Pre-loaded logo image
+ * @param {string} [options.subtitle] - Overrides the TP unit name line
+ */
+function drawLetterhead(doc, institution, { logo = null, subtitle = null } = {}) {
+  const primary = normalizeColor(institution?.primary_color) || '#1a5f2a';
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  if (logo) {
+    try {
+      doc.image(logo, left + width / 2 - 30, doc.y, { fit: [60, 60], align: 'center' });
+      doc.y += 64;
+    } catch (error) {
+      console.warn('[PDF] Could not embed institution logo:', error.message);
+    }
+  }
+
+  doc.font(FONTS.bold).fontSize(15).fillColor(primary)
+    .text((institution?.name || '').toUpperCase(), left, doc.y, { width, align: 'center' });
+
+  doc.font(FONTS.regular).fontSize(10.5).fillColor('#333333')
+    .text((subtitle || institution?.tp_unit_name || 'Teaching Practice Coordination Unit').toUpperCase(), { width, align: 'center' });
+
+  if (institution?.address) {
+    doc.fontSize(9).text(institution.address, { width, align: 'center' });
+  }
+
+  const contacts = [
+    institution?.email ? `Email: ${institution.email}` : null,
+    institution?.phone ? `Phone: ${institution.phone}` : null,
+  ].filter(Boolean).join('  |  ');
+  if (contacts) {
+    doc.fontSize(9).text(contacts, { width, align: 'center' });
+  }
+
+  const y = doc.y + 6;
+  doc.save()
+    .moveTo(left, y).lineTo(left + width, y).lineWidth(1.5).strokeColor(primary).stroke()
+    .moveTo(left, y + 3).lineTo(left + width, y + 3).lineWidth(0.5).stroke()
+    .restore();
+
+  doc.x = left;
+  doc.y = y + 16;
+  doc.fillColor('#000000');
+}
+
+/**
+ * Stamp a footer on every buffered page ("<text> · Page X of Y")
+ * @param {PDFDocument} doc
+ * @param {string} text
+ */
+function drawFooters(doc, text) {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const bottom = doc.page.margins.bottom;
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const y = doc.page.height - bottom + 12;
+
+    // Writing inside the bottom margin must not trigger an automatic page break
+    doc.page.margins.bottom = 0;
+    doc.font(FONTS.regular).fontSize(8).fillColor('#666666')
+      .text(`${text ? `${text}  ·  ` : ''}Page ${i - range.start + 1} of ${range.count}`, left, y, {
+        width,
+        align: 'center',
+        lineBreak: false,
+      });
+    doc.page.margins.bottom = bottom;
+  }
+  doc.fillColor('#000000');
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+}
+
+/**
+ * Write a list of styled runs as one paragraph
+ */
+function writeRuns(doc, runs, { x, width, align = 'left', lineHeight = null }) {
+  const fontSize = Math.max(...runs.map((r) => r.fontSize || BASE_FONT_SIZE));
+  const lineGap = lineHeight && lineHeight > 1 ? (lineHeight - 1) * fontSize * 0.6 : 1;
+  const pdfAlign = ['left', 'right', 'center', 'justify'].includes(align) ? align : 'left';
+
+  runs.forEach((run, index) => {
+    doc.font(fontFor(run))
+      .fontSize(run.fontSize || BASE_FONT_SIZE)
+      .fillColor(run.color || '#000000');
+
+    const options = {
+      continued: index < runs.length - 1,
+      underline: !!run.underline,
+      align: pdfAlign,
+      lineGap,
+    };
+
+    if (index === 0) {
+      doc.text(run.text, x, doc.y, { ...options, width });
+    } else {
+      doc.text(run.text, options);
+    }
+  });
+  doc.fillColor('#000000');
+}
+
+/**
+ * Render parsed blocks into the document flow
+ * @param {PDFDocument} doc
+ * @param {Array<Object>} blocks - Output of parseHtml()
+ * @param {Map<string, Buffer>} images - Pre-loaded images keyed by src
+ */
+function renderBlocks(doc, blocks, images = new Map()) {
+  const left = doc.page.margins.left;
+  const fullWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  for (const block of blocks) {
+    if (block.type === 'rule') {
+      ensureSpace(doc, 10);
+      const y = doc.y + 4;
+      doc.save().moveTo(left, y).lineTo(left + fullWidth, y).lineWidth(0.5).strokeColor('#999999').stroke().restore();
+      doc.y = y + 6;
+      continue;
+    }
+
+    if (block.type === 'image') {
+      const buffer = images.get(block.src);
+      if (!buffer) continue;
+      try {
+        const image = doc.openImage(buffer);
+        let width = block.width || Math.min(image.width * 0.75, fullWidth);
+        let height = block.height || (width * image.height) / image.width;
+        if (width > fullWidth) {
+          height = (height * fullWidth) / width;
+          width = fullWidth;
+        }
+        ensureSpace(doc, height + 4);
+        let x = left;
+        if (block.align === 'center') x = left + (fullWidth - width) / 2;
+        if (block.align === 'right') x = left + fullWidth - width;
+        doc.image(image, x, doc.y, { width, height });
+        doc.y += height + 4;
+      } catch (error) {
+        console.warn('[PDF] Skipping unreadable image:', error.message);
+      }
+      continue;
+    }
+
+    if (block.type === 'table') {
+      renderTable(doc, block.rows, { x: left, width: fullWidth });
+      continue;
+    }
+
+    const x = left + (block.indent || 0);
+    const width = fullWidth - (block.indent || 0);
+    const fontSize = Math.max(...block.runs.map((r) => r.fontSize || BASE_FONT_SIZE));
+    ensureSpace(doc, fontSize * 1.4);
+
+    if (block.bullet) {
+      const y = doc.y;
+      doc.font(FONTS.regular).fontSize(fontSize).text(block.bullet, x - 12, y, { width: 12, lineBreak: false });
+      doc.y = y;
+    }
+
+    writeRuns(doc, block.runs, { x, width, align: block.align, lineHeight: block.lineHeight });
+    doc.y += block.spaceAfter ?? 6;
+  }
+  doc.x = left;
+}
+
+/**
+ * Draw a simple bordered table. Column widths can be given explicitly;
+ * otherwise they are shared equally.
+ * @param {PDFDocument} doc
+ * @param {Array<Array<{runs?: Array, text?: string, bold?: boolean, align?: string}>>} rows
+ * @param {Object} options
+ * @param {number} options.x
+ * @param {number} options.width
+ * @param {Array<number>} [options.columnWidths]
+ * @param {number} [options.fontSize=9.5]
+ * @param {number} [options.headerRows=0] - Leading rows repeated on each new page
+ * @param {string} [options.headerFill] - Background colour for header rows
+ */
+function renderTable(doc, rows, { x, width, columnWidths = null, fontSize = 9.5, headerRows = 0, headerFill = null }) {
+  if (!rows.length) return;
+
+  const columnCount = Math.max(...rows.map((r) => r.length));
+  const widths = columnWidths || Array(columnCount).fill(width / columnCount);
+  const padding = 4;
+
+  const cellRuns = (cell) => cell.runs || [{ text: String(cell.text ?? ''), bold: !!cell.bold, fontSize }];
+
+  const measureRow = (row) => Math.max(
+    ...row.map((cell, i) => {
+      const text = cellRuns(cell).map((r) => r.text).join('');
+      doc.font(cell.bold ? FONTS.bold : FONTS.regular).fontSize(fontSize);
+      return doc.heightOfString(text || ' ', { width: widths[i] - padding * 2 });
+    }),
+  ) + padding * 2;
+
+  const drawRow = (row, isHeader) => {
+    const height = measureRow(row);
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      for (let h = 0; h < headerRows && !isHeader; h++) drawRow(rows[h], true);
+    }
+
+    const y = doc.y;
+    let cx = x;
+    row.forEach((cell, i) => {
+      if (isHeader && headerFill) {
+        doc.save().rect(cx, y, widths[i], height).fill(headerFill).restore();
+      }
+      doc.save().rect(cx, y, widths[i], height).lineWidth(0.5).strokeColor('#999999').stroke().restore();
+
+      const text = cellRuns(cell).map((r) => r.text).join('');
+      doc.font(cell.bold || isHeader ? FONTS.bold : FONTS.regular)
+        .fontSize(fontSize)
+        .fillColor('#000000')
+        .text(text, cx + padding, y + padding, {
+          width: widths[i] - padding * 2,
+          align: cell.align || 'left',
+        });
+      cx += widths[i];
+    });
+    doc.x = x;
+    doc.y = y + height;
+  };
+
+  rows.forEach((row, index) => drawRow(row, index < headerRows));
+  doc.y += 8;
+}
+
+/**
+ * Generate a QR code PNG for the given payload
+ * @param {string} payload
+ * @returns {Promise<Buffer>}
+ */
+function generateQrCode(payload) {
+  return QRCode.toBuffer(payload, {
+    type: 'png',
+    errorCorrectionLevel: 'M',
+    margin: 1,
+    width: 240,
+  });
+}
+
+/**
+ * Draw the verification panel (QR code + instructions)
+ * @param {PDFDocument} doc
+ * @param {Object} verification
+ * @param {Buffer} verification.qr - QR code PNG
+ * @param {string} verification.url - URL encoded in the QR code
+ * @param {string} [verification.reference] - Short human-readable reference
+ * @param {string} primary - Accent colour
+ */
+function drawVerificationPanel(doc, { qr, url, reference }, primary) {
+  const size = 72;
+  ensureSpace(doc, size + 16);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const y = doc.y + 8;
+
+  doc.save().rect(left, y, width, size + 8).lineWidth(0.5).strokeColor('#cccccc').stroke().restore();
+  doc.image(qr, left + 4, y + 4, { width: size, height: size });
+
+  const textX = left + size + 14;
+  const textWidth = width - size - 20;
+  doc.font(FONTS.bold).fontSize(10).fillColor(primary)
+    .text('Verify this document', textX, y + 10, { width: textWidth });
+  doc.font(FONTS.regular).fontSize(8.5).fillColor('#333333')
+    .text('Scan the QR code or visit the link below to confirm this document was issued by the institution and has not been altered or revoked.', { width: textWidth });
+  if (reference) {
+    doc.font(FONTS.bold).fontSize(8.5).text(`Ref: ${reference}`, { width: textWidth });
+  }
+  doc.font(FONTS.regular).fontSize(7).fillColor('#666666')
+    .text(url, { width: textWidth, lineBreak: true });
+
+  doc.fillColor('#000000');
+  doc.x = left;
+  doc.y = y + size + 16;
+}
+
+// ============================================================================
+// HIGH-LEVEL RENDERERS
+// ============================================================================
+
+/**
+ * Render a template-based letter as a branded PDF
+ * @param {Object} params
+ * @param {Object} params.institution - Institution row
+ * @param {Object} params.document - Rendered template output
+ * @param {string} params.document.html - Body HTML (placeholders already replaced)
+ * @param {string} [params.document.header_html]
+ * @param {string} [params.document.footer_html]
+ * @param {string} [params.document.page_size]
+ * @param {string} [params.document.page_orientation]
+ * @param {Object} [params.document.page_margins]
+ * @param {string} [params.document.title]
+ * @param {Object} [params.verification] - { url, reference } to embed as QR code
+ * @returns {Promise<Buffer>}
+ */
+async function renderLetterPdf({ institution, document, verification = null }) {
+  const bodyBlocks = parseHtml(document.html);
+  const headerBlocks = document.header_html ? parseHtml(document.header_html) : [];
+  const footerBlocks = document.footer_html ? parseHtml(document.footer_html) : [];
+  const allBlocks = [...headerBlocks, ...bodyBlocks, ...footerBlocks];
+
+  // Resolve every image up front so layout can stay synchronous
+  const images = new Map();
+  const sources = [...new Set(allBlocks.filter((b) => b.type === 'image' && b.src).map((b) => b.src))];
+  const loaded = await Promise.all(sources.map((src) => loadImage(src)));
+  sources.forEach((src, i) => loaded[i] && images.set(src, loaded[i]));
+
+  const [logo, qr] = await Promise.all([
+    headerBlocks.length ? null : loadImage(institution?.logo_url),
+    verification?.url ? generateQrCode(verification.url) : null,
+  ]);
+
+  const doc = createDocument({
+    size: document.page_size,
+    layout: document.page_orientation,
+    margins: document.page_margins,
+    info: {
+      Title: document.title || 'Letter',
+      Author: institution?.name || 'DigitalTP',
+      Subject: document.title || 'Letter',
+    },
+  });
+
+  // Templates with their own header HTML replace the standard letterhead
+  if (headerBlocks.length) {
+    renderBlocks(doc, headerBlocks, images);
+  } else {
+    drawLetterhead(doc, institution, { logo });
+  }
+
+  renderBlocks(doc, bodyBlocks, images);
+  renderBlocks(doc, footerBlocks, images);
+
+  if (qr) {
+    drawVerificationPanel(doc, { ...verification, qr }, normalizeColor(institution?.primary_color) || '#1a5f2a');
+  }
+
+  drawFooters(doc, institution?.name || '');
+  return toBuffer(doc);
+}
+
+/**
+ * Build a safe attachment filename
+ * @param {...string} parts
+ * @returns {string}
+ */
+function buildFilename(...parts) {
+  const base = parts
+    .filter(Boolean)
+    .map((p) => String(p).replace(/[^a-z0-9_-]+/gi, '-').replace(/^-+|-+$/g, ''))
+    .filter(Boolean)
+    .join('_');
+  return `${base || 'document'}.pdf`;
+}
+
+/**
+ * Send a PDF buffer as a download
+ * @param {Object} res - Express response
+ * @param {Buffer} buffer
+ * @param {string} filename
+ * @param {Object} [options]
+ * @param {boolean} [options.inline=false] - Display in browser instead of downloading
+ */
+function sendPdf(res, buffer, filename, { inline = false } = {}) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Length', buffer.length);
+  res.setHeader('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename="${filename}"`);
+  res.send(buffer);
+}
+
+module.exports = {
+  // High-level renderers
+  renderLetterPdf,
+  sendPdf,
+  buildFilename,
+
+  // Building blocks for other report types
+  createDocument,
+  toBuffer,
+  drawLetterhead,
+  drawFooters,
+  renderBlocks,
+  renderTable,
+  generateQrCode,
+  loadImage,
+  isAllowedImageUrl,
+  parseHtml,
+  FONTS,
+};
@@ -0,0 +1,254 @@
+/**
+ * Posting Constraint Service
+ *
+ * Hard rules on who may be posted where in a session: availability (leave for
+ * a visit or a date window), blocked schools / LGAs / routes, and supervisor
+ * pairs that must or must never share a school on the same visit. See
+ * migration 062 for what each constraint_type means.
+ *
+ * buildConstraintSet() is pure - the auto-posting engine receives the set as
+ * data and never touches the database. The set tracks who is already posted
+ * to each school for each visit ("occupancy"), because the pair rules depend
+ * on it; fork() gives a caller its own copy to place assignments into.
+ *
+ * loadConstraintSet() does the database access for controllers.
+ */
+
+const { query } = require('../db/database');
+
+const TYPES = {
+  UNAVAILABLE: 'unavailable',
+  BLOCKED_SCHOOL: 'blocked_school',
+  BLOCKED_LGA: 'blocked_lga',
+  BLOCKED_ROUTE: 'blocked_route',
+  NEVER_PAIR: 'never_pair',
+  MUST_PAIR: 'must_pair',
+};
+
+const normalizeLga = (value) => String(value || '').trim().toUpperCase();
+
+const cellKey = (schoolId, visitNumber) => `${schoolId}-${visitNumber}`;
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+/**
+ * Which visits an availability constraint covers: its visit_number, the visits
+ * whose timeline overlaps its date window, or every visit ('*') when it has
+ * neither. A date window with no overlapping timeline covers nothing.
+ */
+function visitsCovered(row, timelines) {
+  if (row.visit_number) return [Number(row.visit_number)];
+  if (!row.start_date && !row.end_date) return ['*'];
+
+  const from = toDate(row.start_date) || new Date(-8.64e15);
+  const to = toDate(row.end_date) || new Date(8.64e15);
+
+  return timelines
+    .filter((t) => toDate(t.start_date) <= to && toDate(t.end_date) >= from)
+    .map((t) => Number(t.visit_number));
+}
+
+function describe(row, slot) {
+  const who = row.supervisor_name || `Supervisor #${row.supervisor_id}`;
+  const other = row.other_supervisor_name || `supervisor #${row.other_supervisor_id}`;
+  const because = row.reason ? ` (${row.reason})` : '';
+
+  switch (row.constraint_type) {
+    case TYPES.UNAVAILABLE:
+      return `${who} is unavailable for Visit ${slot.visit_number}${because}`;
+    case TYPES.BLOCKED_SCHOOL:
+      return `${who} must not be posted to ${row.school_name || slot.school_name || 'this school'}${because}`;
+    case TYPES.BLOCKED_LGA:
+      return `${who} must not be posted to schools in ${row.lga} LGA${because}`;
+    case TYPES.BLOCKED_ROUTE:
+      return `${who} must not be posted on ${row.route_name || 'this route'}${because}`;
+    case TYPES.NEVER_PAIR:
+      return `${who} and ${other} must not be at the same school on the same visit${because}`;
+    case TYPES.MUST_PAIR:
+      return `${who} may only be posted where ${other} is posted for Visit ${slot.visit_number}${because}`;
+    default:
+      return `${who} is excluded by a posting constraint${because}`;
+  }
+}
+
+/**
+ * Build the constraint set for one session.
+ *
+ * @param {Array} rows - supervisor_posting_constraints rows, with supervisor_name,
+ *   other_supervisor_name, school_name and route_name joined where available
+ * @param {Object} [options]
+ * @param {Array} [options.timelines] - supervision_visit_timelines rows for date windows
+ * @param {Array} [options.postings] - existing postings ({ supervisor_id,
+ *   institution_school_id, visit_number }) seeding the occupancy
+ * @returns {Object} set - { isEmpty, rows, check, cellViolations, place, unplace, fork }
+ */
+function buildConstraintSet(rows = [], { timelines = [], postings = [] } = {}) {
+  const bySupervisor = new Map();
+  // never_pair is symmetric: index it under both supervisors
+  const neverPair = new Map();
+
+  const add = (map, key, value) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(value);
+  };
+
+  for (const row of rows) {
+    const constraint = { ...row };
+    if (row.constraint_type === TYPES.UNAVAILABLE) {
+      constraint.visits = new Set(visitsCovered(row, timelines));
+    }
+    if (row.constraint_type === TYPES.BLOCKED_LGA) {
+      constraint.lgaKey = normalizeLga(row.lga);
+    }
+
+    if (row.constraint_type === TYPES.NEVER_PAIR) {
+      add(neverPair, Number(row.supervisor_id), { constraint, otherId: Number(row.other_supervisor_id) });
+      add(neverPair, Number(row.other_supervisor_id), { constraint, otherId: Number(row.supervisor_id) });
+    } else {
+      add(bySupervisor, Number(row.supervisor_id), constraint);
+    }
+  }
+
+  function createSet(occupancy) {
+    const occupantsOf = (slot) => occupancy.get(cellKey(slot.school_id, slot.visit_number));
+
+    /** Rules about the supervisor and the slot itself, ignoring who else is there */
+    function slotViolations(supervisorId, slot) {
+      const violations = [];
+      for (const c of bySupervisor.get(Number(supervisorId)) || []) {
+        let violated = false;
+        switch (c.constraint_type) {
+          case TYPES.UNAVAILABLE:
+            violated = c.visits.has('*') || c.visits.has(Number(slot.visit_number));
+            break;
+          case TYPES.BLOCKED_SCHOOL:
+            violated = Number(c.institution_school_id) === Number(slot.school_id);
+            break;
+          case TYPES.BLOCKED_LGA:
+            violated = !!c.lgaKey && c.lgaKey === normalizeLga(slot.lga);
+            break;
+          case TYPES.BLOCKED_ROUTE:
+            violated = slot.route_id != null && Number(c.route_id) === Number(slot.route_id);
+            break;
+          default:
+            break;
+        }
+        if (violated) violations.push(c);
+      }
+      return violations;
+    }
+
+    /** Pair rules, given who is currently at the slot's school for that visit */
+    function pairViolations(supervisorId, slot) {
+      const id = Number(supervisorId);
+      const occupants = occupantsOf(slot);
+      const violations = [];
+
+      for (const { constraint, otherId } of neverPair.get(id) || []) {
+        if (occupants?.has(otherId)) violations.push(constraint);
+      }
+      for (const c of bySupervisor.get(id) || []) {
+        if (c.constraint_type === TYPES.MUST_PAIR && !occupants?.has(Number(c.other_supervisor_id))) {
+          violations.push(c);
+        }
+      }
+      return violations;
+    }
+
+    const explain = (constraints, slot) => constraints.map((c) => ({
+      constraint_id: c.id,
+      constraint_type: c.constraint_type,
+      supervisor_id: Number(c.supervisor_id),
+      message: describe(c, slot),
+    }));
+
+    return {
+      isEmpty: rows.length === 0,
+      rows,
+
+      /**
+       * Why the supervisor cannot take the slot - empty when they can
+       * @returns {Array<{constraint_id, constraint_type, supervisor_id, message}>}
+       */
+      check(supervisorId, slot) {
+        if (rows.length === 0) return [];
+        return explain([...slotViolations(supervisorId, slot), ...pairViolations(supervisorId, slot)], slot);
+      },
+
+      /** Pair rules broken by anyone currently at the slot's school for that visit */
+      cellViolations(slot) {
+        if (rows.length === 0) return [];
+        const occupants = occupantsOf(slot) || new Map();
+        return [...occupants.keys()].flatMap((id) => explain(pairViolations(id, slot), slot));
+      },
+
+      place(supervisorId, slot) {
+        const key = cellKey(slot.school_id, slot.visit_number);
+        if (!occupancy.has(key)) occupancy.set(key, new Map());
+        const cell = occupancy.get(key);
+        cell.set(Number(supervisorId), (cell.get(Number(supervisorId)) || 0) + 1);
+      },
+
+      unplace(supervisorId, slot) {
+        const cell = occupancy.get(cellKey(slot.school_id, slot.visit_number));
+        if (!cell) return;
+        const remaining = (cell.get(Number(supervisorId)) || 0) - 1;
+        if (remaining > 0) cell.set(Number(supervisorId), remaining);
+        else cell.delete(Number(supervisorId));
+      },
+
+      /** An independent copy, so placements do not leak back to the caller */
+      fork() {
+        return createSet(new Map([...occupancy].map(([key, cell]) => [key, new Map(cell)])));
+      },
+    };
+  }
+
+  const set = createSet(new Map());
+  for (const posting of postings) {
+    set.place(posting.supervisor_id, { school_id: posting.institution_school_id, visit_number: posting.visit_number });
+  }
+  return set;
+}
+
+/**
+ * Load the constraint set for a session, seeded with its current postings.
+ * Skips the extra queries when the session has no constraints.
+ */
+async function loadConstraintSet(institutionId, sessionId) {
+  const rows = await query(
+    `SELECT c.*, u.name as supervisor_name, o.name as other_supervisor_name,
+            ms.name as school_name, r.name as route_name
+     FROM supervisor_posting_constraints c
+     JOIN users u ON c.supervisor_id = u.id
+     LEFT JOIN users o ON c.other_supervisor_id = o.id
+     LEFT JOIN institution_schools isv ON c.institution_school_id = isv.id
+     LEFT JOIN master_schools ms ON isv.master_school_id = ms.id
+     LEFT JOIN routes r ON c.route_id = r.id
+     WHERE c.institution_id = ? AND c.session_id = ?`,
+    [parseInt(institutionId), parseInt(sessionId)]
+  );
+
+  if (rows.length === 0) return buildConstraintSet([]);
+
+  const timelines = await query(
+    `SELECT visit_number, start_date, end_date FROM supervision_visit_timelines
+     WHERE institution_id = ? AND session_id = ?`,
+    [parseInt(institutionId), parseInt(sessionId)]
+  );
+  const postings = await query(
+    `SELECT supervisor_id, institution_school_id, visit_number FROM supervisor_postings
+     WHERE institution_id = ? AND session_id = ? AND status != 'cancelled'`,
+    [parseInt(institutionId), parseInt(sessionId)]
+  );
+
+  return buildConstraintSet(rows, { timelines, postings });
+}
+
+module.exports = {
+  TYPES,
+  buildConstraintSet,
+  loadConstraintSet,
+  // Exported for testing
+  visitsCovered,
+};
@@ -0,0 +1,304 @@
+/**
+ * Result Broadsheet Service
+ * Builds and renders the printable results broadsheet for a session.
+ *
+ * buildBroadsheet() shapes raw rows into grouped, scored rows (pure - no I/O).
+ * renderBroadsheetPdf() lays the broadsheet out on landscape pages with the
+ * institution letterhead and TP coordinator signature blocks.
+ *
+ * Basic scoring shows one column per visit. Advanced scoring adds one column per
+ * active scoring criterion, averaged across the visits that scored it.
+ */
+
+const pdfService = require('./pdfService');
+
+const GROUP_BY_OPTIONS = {
+  program: { label: 'Program', field: 'program_name', fallback: 'No Program' },
+  department: { label: 'Department', field: 'department_name', fallback: 'No Department' },
+  school: { label: 'School', field: 'school_name', fallback: 'No School' },
+};
+
+const MIN_SCORE_COLUMN_WIDTH = 28;
+
+function parseBreakdown(value) {
+  if (!value) return {};
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function mean(values) {
+  if (!values.length) return null;
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function formatScore(value) {
+  return value === null || value === undefined ? '-' : Number(value).toFixed(1);
+}
+
+/**
+ * Shape students and their results into broadsheet groups
+ * @param {Object} params
+ * @param {Array} params.students - { student_id, registration_number, student_name, program_name, department_name, school_name }
+ * @param {Array} params.results - { student_id, visit_number, total_score, score_breakdown }
+ * @param {Array} [params.criteria] - Active scoring criteria (advanced scoring only)
+ * @param {string} [params.scoringType='basic']
+ * @param {number} [params.maxVisits=3]
+ * @param {string} [params.groupBy='program'] - program | department | school
+ * @returns {{ groups: Array, criteria: Array, maxVisits: number, summary: Object }}
+ */
+function buildBroadsheet({ students, results, criteria = [], scoringType = 'basic', maxVisits = 3, groupBy = 'program' }) {
+  const grouping = GROUP_BY_OPTIONS[groupBy] || GROUP_BY_OPTIONS.program;
+  const useCriteria = scoringType === 'advanced' ? criteria : [];
+
+  const resultsByStudent = new Map();
+  for (const result of results) {
+    if (!resultsByStudent.has(result.student_id)) resultsByStudent.set(result.student_id, []);
+    resultsByStudent.get(result.student_id).push(result);
+  }
+
+  const groups = new Map();
+  const allAverages = [];
+
+  for (const student of students) {
+    const studentResults = resultsByStudent.get(student.student_id) || [];
+
+    const visits = [];
+    for (let v = 1; v <= maxVisits; v++) {
+      const result = studentResults.find((r) => Number(r.visit_number) === v);
+      visits.push(result ? parseFloat(result.total_score) : null);
+    }
+
+    const criterionScores = {};
+    for (const criterion of useCriteria) {
+      const scores = studentResults
+        .map((r) => parseBreakdown(r.score_breakdown)[criterion.id])
+        .filter((s) => s !== undefined && s !== null && s !== '')
+        .map((s) => parseFloat(s))
+        .filter((s) => !Number.isNaN(s));
+      criterionScores[criterion.id] = mean(scores);
+    }
+
+    const scoredVisits = visits.filter((v) => v !== null);
+    const average = mean(scoredVisits);
+    if (average !== null) allAverages.push(average);
+
+    const key = student[grouping.field] || grouping.fallback;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({
+      ...student,
+      visits,
+      criterion_scores: criterionScores,
+      visits_scored: scoredVisits.length,
+      average,
+    });
+  }
+
+  const sortedGroups = [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([label, rows]) => {
+      rows.sort((a, b) => (a.student_name || '').localeCompare(b.student_name || ''));
+      const averages = rows.map((r) => r.average).filter((a) => a !== null);
+      return {
+        label,
+        rows,
+        summary: {
+          students: rows.length,
+          scored: averages.length,
+          average: mean(averages),
+        },
+      };
+    });
+
+  return {
+    groupBy: groupBy in GROUP_BY_OPTIONS ? groupBy : 'program',
+    groupLabel: grouping.label,
+    criteria: useCriteria,
+    maxVisits,
+    groups: sortedGroups,
+    summary: {
+      students: students.length,
+      scored: allAverages.length,
+      average: mean(allAverages),
+    },
+  };
+}
+
+/**
+ * Column definitions for a broadsheet table
+ * @param {Object} broadsheet - Output of buildBroadsheet()
+ * @param {number} width - Available table width in points
+ * @returns {Array<{ header: string, width: number, align: string, value: Function }>}
+ */
+function buildColumns(broadsheet, width) {
+  // When grouped by school the school is in the heading, so show the program instead
+  const contextColumn = broadsheet.groupBy === 'school'
+    ? { header: 'Program', value: (r) => r.program_name || '-' }
+    : { header: 'School', value: (r) => r.school_name || '-' };
+
+  const fixed = [
+    { header: 'S/N', width: 24, align: 'center', value: (r, i) => String(i + 1) },
+    { header: 'Reg. Number', width: 82, align: 'left', value: (r) => r.registration_number || '' },
+    { header: 'Student Name', width: 130, align: 'left', value: (r) => r.student_name || '' },
+    { ...contextColumn, width: 120, align: 'left' },
+  ];
+
+  const scoreColumns = [
+    ...broadsheet.criteria.map((c) => ({
+      header: `${c.label} (${parseFloat(c.max_score)})`,
+      align: 'center',
+      value: (r) => formatScore(r.criterion_scores[c.id]),
+    })),
+    ...Array.from({ length: broadsheet.maxVisits }, (_, i) => ({
+      header: `Visit ${i + 1}`,
+      align: 'center',
+      value: (r) => formatScore(r.visits[i]),
+    })),
+    { header: 'Average', align: 'center', bold: true, value: (r) => formatScore(r.average) },
+  ];
+
+  const fixedWidth = fixed.reduce((sum, c) => sum + c.width, 0);
+  const scoreWidth = Math.max(MIN_SCORE_COLUMN_WIDTH, (width - fixedWidth) / scoreColumns.length);
+
+  // Give any space the score columns cannot use back to the name column
+  const overflow = width - fixedWidth - scoreWidth * scoreColumns.length;
+  if (overflow > 0) fixed[2].width += overflow;
+
+  return [...fixed, ...scoreColumns.map((c) => ({ ...c, width: scoreWidth }))];
+}
+
+function drawSignatureBlocks(doc, session) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const blockWidth = (width - 40) / 2;
+  const blockHeight = 70;
+
+  if (doc.y + blockHeight + 20 > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+
+  const y = doc.y + 20;
+  const blocks = [
+    {
+      title: 'Prepared by: TP Coordinator',
+      name: session?.coordinator_name || '',
+      contact: [session?.coordinator_phone, session?.coordinator_email].filter(Boolean).join('  |  '),
+    },
+    {
+      title: 'Approved by: Head of Institution / Dean',
+      name: '',
+      contact: '',
+    },
+  ];
+
+  blocks.forEach((block, i) => {
+    const x = left + i * (blockWidth + 40);
+    doc.font(pdfService.FONTS.bold).fontSize(9).fillColor('#000000')
+      .text(block.title, x, y, { width: blockWidth });
+    doc.font(pdfService.FONTS.regular).fontSize(9)
+      .text(`Name: ${block.name || '_______________________________'}`, x, y + 16, { width: blockWidth });
+    if (block.contact) {
+      doc.fontSize(8).fillColor('#555555').text(block.contact, x, y + 28, { width: blockWidth });
+    }
+    doc.fillColor('#000000').fontSize(9)
+      .text('Signature: ______________________    Date: ______________', x, y + 48, { width: blockWidth });
+  });
+
+  doc.x = left;
+  doc.y = y + blockHeight;
+}
+
+/**
+ * Render a results broadsheet as a landscape PDF
+ * @param {Object} params
+ * @param {Object} params.institution - Institution row
+ * @param {Object} params.session - Academic session row (name, scoring_type, coordinator_*)
+ * @param {Object} params.broadsheet - Output of buildBroadsheet()
+ * @param {string[]} [params.filters] - Human-readable filter descriptions
+ * @returns {Promise<Buffer>}
+ */
+async function renderBroadsheetPdf({ institution, session, broadsheet, filters = [] }) {
+  const logo = await pdfService.loadImage(institution?.logo_url);
+  const doc = pdfService.createDocument({
+    size: 'A4',
+    layout: 'landscape',
+    margins: { top: 30, bottom: 36, left: 30, right: 30 },
+    info: {
+      Title: `Results Broadsheet - ${session?.name || ''}`,
+      Author: institution?.name || 'DigitalTP',
+      Subject: 'Teaching Practice Results Broadsheet',
+    },
+  });
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  pdfService.drawLetterhead(doc, institution, { logo });
+
+  doc.font(pdfService.FONTS.bold).fontSize(12)
+    .text('TEACHING PRACTICE RESULTS BROADSHEET', left, doc.y, { width, align: 'center' });
+  const subtitle = [
+    `Session: ${session?.name || '-'}`,
+    `Scoring: ${session?.scoring_type === 'advanced' ? 'Criteria-based' : 'Basic'}`,
+    `Grouped by ${broadsheet.groupLabel}`,
+    ...filters,
+  ].join('   ·   ');
+  doc.font(pdfService.FONTS.regular).fontSize(9).fillColor('#333333')
+    .text(subtitle, { width, align: 'center' });
+  doc.fillColor('#000000');
+  doc.y += 10;
+
+  const columns = buildColumns(broadsheet, width);
+  const fontSize = columns.length > 14 ? 6.5 : 8;
+  const primary = institution?.primary_color || '#1a5f2a';
+
+  if (!broadsheet.groups.length) {
+    doc.font(pdfService.FONTS.italic).fontSize(10)
+      .text('No students match the selected filters.', left, doc.y, { width, align: 'center' });
+  }
+
+  for (const group of broadsheet.groups) {
+    if (doc.y + 60 > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+
+    doc.font(pdfService.FONTS.bold).fontSize(10).fillColor(primary)
+      .text(`${broadsheet.groupLabel.toUpperCase()}: ${group.label}`, left, doc.y, { width, continued: false });
+    doc.font(pdfService.FONTS.regular).fontSize(8.5).fillColor('#555555')
+      .text(`${group.summary.students} student(s)  ·  ${group.summary.scored} scored  ·  Mean: ${formatScore(group.summary.average)}`, { width });
+    doc.fillColor('#000000');
+    doc.y += 4;
+
+    const rows = [
+      columns.map((c) => ({ text: c.header, align: c.align })),
+      ...group.rows.map((row, i) => columns.map((c) => ({ text: c.value(row, i), align: c.align, bold: c.bold }))),
+    ];
+
+    pdfService.renderTable(doc, rows, {
+      x: left,
+      width,
+      columnWidths: columns.map((c) => c.width),
+      fontSize,
+      headerRows: 1,
+      headerFill: '#eeeeee',
+    });
+  }
+
+  doc.font(pdfService.FONTS.bold).fontSize(9)
+    .text(`Overall: ${broadsheet.summary.students} student(s)  ·  ${broadsheet.summary.scored} scored  ·  Mean: ${formatScore(broadsheet.summary.average)}`, left, doc.y, { width });
+
+  drawSignatureBlocks(doc, session);
+
+  pdfService.drawFooters(doc, `${institution?.name || ''}  ·  Results Broadsheet  ·  Generated ${new Date().toLocaleDateString('en-GB')}`);
+  return pdfService.toBuffer(doc);
+}
+
+module.exports = {
+  GROUP_BY_OPTIONS,
+  buildBroadsheet,
+  buildColumns,
+  renderBroadsheetPdf,
+};
@@ -0,0 +1,278 @@
+/**
+ * School Preference Service
+ *
+ * Students rank preferred schools during the acceptance window (when the session
+ * allows it). This module loads those rankings, places students using them, and
+ * reports how many students got their first, second or third choice.
+ *
+ * PLACEMENT
+ * Preferences are a weighted soft constraint, not a hard one: each listed school
+ * costs more the lower it is ranked, plus a small crowding term that spreads
+ * students across equally-ranked schools. Capacity is hard - a school that is full
+ * for the student's program (or overall) is never chosen. Students are placed most
+ * constrained first, then a bounded swap pass trades places between two students
+ * whenever that lowers their combined cost.
+ *
+ * allocateStudentsByPreference() and summarizeOutcomes() are pure so the strategy
+ * is unit-testable; the load/attach helpers do the database access.
+ */
+
+const { query } = require('../db/database');
+
+/**
+ * Default cost weights.
+ * `rank` is the cost of a student's 1st, 2nd, 3rd... choice; ranks past the end of
+ * the list cost `extraRank` more per step. `crowding` is charged per unit of a
+ * school's fill ratio, so it only breaks near-ties between choices.
+ */
+const DEFAULT_WEIGHTS = {
+  rank: [0, 10, 25],
+  extraRank: 15,
+  crowding: 5,
+};
+
+// Bounds so a very large cohort cannot degenerate into a long search
+const SWAP_MAX_PASSES = 3;
+const SWAP_MAX_COMPARISONS = 200000;
+
+function rankCost(rank, weights) {
+  const table = weights.rank;
+  if (rank <= table.length) return table[rank - 1];
+  return table[table.length - 1] + weights.extraRank * (rank - table.length);
+}
+
+/**
+ * Capacity bookkeeping for one school: overall and per program.
+ * `null` limits mean "no limit of that kind".
+ */
+function createCapacity(schools) {
+  const bySchool = new Map();
+  for (const school of schools) {
+    bySchool.set(school.id, {
+      remaining: school.remaining ?? null,
+      programRemaining: { ...(school.program_remaining || {}) },
+      programLimit: school.program_limit ?? null,
+      placed: 0,
+      size: school.remaining ?? school.program_limit ?? 1,
+    });
+  }
+
+  const roomFor = (schoolId, programId) => {
+    const cap = bySchool.get(schoolId);
+    if (!cap) return false;
+    if (cap.remaining !== null && cap.remaining <= 0) return false;
+    const programLeft = cap.programRemaining[programId] ?? cap.programLimit;
+    return programLeft === null || programLeft === undefined || programLeft > 0;
+  };
+
+  const take = (schoolId, programId, delta = 1) => {
+    const cap = bySchool.get(schoolId);
+    if (cap.remaining !== null) cap.remaining -= delta;
+    const programLeft = cap.programRemaining[programId] ?? cap.programLimit;
+    if (programLeft !== null && programLeft !== undefined) {
+      cap.programRemaining[programId] = programLeft - delta;
+    }
+    cap.placed += delta;
+  };
+
+  const fill = (schoolId) => {
+    const cap = bySchool.get(schoolId);
+    return cap ? cap.placed / Math.max(1, cap.size) : 0;
+  };
+
+  return { roomFor, take, fill };
+}
+
+/**
+ * Place students at their preferred schools
+ * @param {Object} params
+ * @param {Array} params.students - { student_id, program_id }
+ * @param {Object<number, number[]>} params.preferences - student_id -> school ids, best first
+ * @param {Array} params.schools - { id, remaining?, program_limit?, program_remaining? }
+ * @param {Object} [params.weights] - Overrides for DEFAULT_WEIGHTS
+ * @returns {{ assignments: Array, unplaced: Array, summary: Object }}
+ */
+function allocateStudentsByPreference({ students, preferences, schools, weights = {} }) {
+  const w = { ...DEFAULT_WEIGHTS, ...weights };
+  const capacity = createCapacity(schools);
+
+  const listed = students
+    .map((s) => ({ ...s, choices: (preferences[s.student_id] || []).filter((id, i, all) => all.indexOf(id) === i) }))
+    .filter((s) => s.choices.length > 0);
+
+  // Most constrained first: fewer choices means fewer chances later on
+  listed.sort((a, b) => a.choices.length - b.choices.length || a.student_id - b.student_id);
+
+  const placed = new Map(); // student_id -> { student, school_id, rank }
+  const unplaced = [];
+
+  for (const student of listed) {
+    let best = null;
+    student.choices.forEach((schoolId, index) => {
+      if (!capacity.roomFor(schoolId, student.program_id)) return;
+      const cost = rankCost(index + 1, w) + w.crowding * capacity.fill(schoolId);
+      if (!best || cost < best.cost) best = { schoolId, rank: index + 1, cost };
+    });
+
+    if (best) {
+      capacity.take(best.schoolId, student.program_id);
+      placed.set(student.student_id, { student, school_id: best.schoolId, rank: best.rank });
+    } else {
+      unplaced.push({ student_id: student.student_id, reason: 'All preferred schools are full' });
+    }
+  }
+
+  // Swap pass: two students of the same program trade schools when both listed
+  // the other's school and the trade lowers their combined rank cost
+  const entries = [...placed.values()];
+  let comparisons = 0;
+  for (let pass = 0; pass < SWAP_MAX_PASSES; pass++) {
+    let improved = false;
+    for (let i = 0; i < entries.length && comparisons < SWAP_MAX_COMPARISONS; i++) {
+      const a = entries[i];
+      if (a.rank === 1) continue;
+      for (let j = 0; j < entries.length && comparisons < SWAP_MAX_COMPARISONS; j++) {
+        comparisons++;
+        const b = entries[j];
+        if (i === j || a.school_id === b.school_id || a.student.program_id !== b.student.program_id) continue;
+
+        const aRankAtB = a.student.choices.indexOf(b.school_id) + 1;
+        const bRankAtA = b.student.choices.indexOf(a.school_id) + 1;
+        if (!aRankAtB || !bRankAtA) continue;
+
+        const before = rankCost(a.rank, w) + rankCost(b.rank, w);
+        const after = rankCost(aRankAtB, w) + rankCost(bRankAtA, w);
+        if (after < before) {
+          const aSchool = a.school_id;
+          a.school_id = b.school_id;
+          a.rank = aRankAtB;
+          b.school_id = aSchool;
+          b.rank = bRankAtA;
+          improved = true;
+        }
+      }
+    }
+    if (!improved) break;
+  }
+
+  const assignments = entries
+    .map((e) => ({ student_id: e.student.student_id, school_id: e.school_id, rank: e.rank }))
+    .sort((a, b) => a.student_id - b.student_id);
+
+  return {
+    assignments,
+    unplaced,
+    summary: summarizeOutcomes([
+      ...assignments.map((a) => ({ rank: a.rank })),
+      ...unplaced.map(() => ({ rank: null, placed: false })),
+    ]),
+  };
+}
+
+/**
+ * Summarise how well placements matched preferences
+ * @param {Array<{ rank: number|null, placed?: boolean }>} outcomes - One per student
+ *   who submitted preferences. `rank` is the rank of the school they were placed at,
+ *   null if it was not on their list; `placed: false` means not placed yet.
+ * @returns {Object} Counts and rates (0-1) for first, second and third choice
+ */
+function summarizeOutcomes(outcomes) {
+  const total = outcomes.length;
+  const placed = outcomes.filter((o) => o.placed !== false);
+  const count = (rank) => placed.filter((o) => o.rank === rank).length;
+  const rate = (n) => (total ? Math.round((n / total) * 1000) / 1000 : 0);
+
+  const first = count(1);
+  const second = count(2);
+  const third = count(3);
+  const otherListed = placed.filter((o) => o.rank > 3).length;
+  const unlisted = placed.filter((o) => !o.rank).length;
+
+  return {
+    total,
+    placed: placed.length,
+    not_placed: total - placed.length,
+    first_choice: first,
+    second_choice: second,
+    third_choice: third,
+    other_listed_choice: otherListed,
+    unlisted_school: unlisted,
+    first_choice_rate: rate(first),
+    second_choice_rate: rate(second),
+    third_choice_rate: rate(third),
+    top_three_rate: rate(first + second + third),
+  };
+}
+
+/**
+ * Load ranked preferences for a session
+ * @param {number} institutionId
+ * @param {number} sessionId
+ * @param {number[]} [studentIds] - Limit to these students
+ * @returns {Promise<Map<number, Array>>} student_id -> preferences, best first
+ */
+async function loadPreferences(institutionId, sessionId, studentIds = null) {
+  if (studentIds && studentIds.length === 0) return new Map();
+
+  let sql = `
+    SELECT ssp.student_id, ssp.institution_school_id as school_id, ssp.preference_rank as \`rank\`,
+           ms.name as school_name, ms.official_code as school_code, ms.lga, ms.state
+    FROM student_school_preferences ssp
+    JOIN institution_schools isv ON ssp.institution_school_id = isv.id
+    JOIN master_schools ms ON isv.master_school_id = ms.id
+    WHERE ssp.institution_id = ? AND ssp.session_id = ?
+  `;
+  const params = [institutionId, sessionId];
+  if (studentIds) {
+    sql += ` AND ssp.student_id IN (${studentIds.map(() => '?').join(',')})`;
+    params.push(...studentIds);
+  }
+  sql += ' ORDER BY ssp.student_id, ssp.preference_rank';
+
+  const rows = await query(sql, params);
+  const byStudent = new Map();
+  for (const row of rows) {
+    if (!byStudent.has(row.student_id)) byStudent.set(row.student_id, []);
+    byStudent.get(row.student_id).push({
+      rank: row.rank,
+      school_id: row.school_id,
+      school_name: row.school_name,
+      school_code: row.school_code,
+      lga: row.lga,
+      state: row.state,
+    });
+  }
+  return byStudent;
+}
+
+/**
+ * Attach `school_preferences` and `preference_rank` to acceptance rows
+ * @param {number} institutionId
+ * @param {Array} acceptances - Rows with student_id, session_id, institution_school_id
+ * @returns {Promise<Array>} The same rows, mutated
+ */
+async function attachPreferences(institutionId, acceptances) {
+  const bySession = new Map();
+  for (const row of acceptances) {
+    if (!bySession.has(row.session_id)) bySession.set(row.session_id, new Set());
+    bySession.get(row.session_id).add(row.student_id);
+  }
+
+  for (const [sessionId, studentIds] of bySession) {
+    const preferences = await loadPreferences(institutionId, sessionId, [...studentIds]);
+    for (const row of acceptances.filter((a) => a.session_id === sessionId)) {
+      const list = preferences.get(row.student_id) || [];
+      row.school_preferences = list;
+      row.preference_rank = list.find((p) => p.school_id === row.institution_school_id)?.rank || null;
+    }
+  }
+  return acceptances;
+}
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  allocateStudentsByPreference,
+  summarizeOutcomes,
+  loadPreferences,
+  attachPreferences,
+};
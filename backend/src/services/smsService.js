@@ -0,0 +1,458 @@
+/**
+ * SMS Service
+ *
+ * Tenant-aware SMS dispatch, the SMS counterpart of emailService:
+ * - Pluggable providers (Termii, Africa's Talking, local stub), chosen per institution
+ * - Per-institution credentials from the institutions table (API key encrypted at rest)
+ * - Short plain-text templates
+ * - Delivery logged to email_logs with channel = 'sms' (numbers are only stored hashed)
+ *
+ * Messages are normally sent through emailQueueService.queueSms(), which gives
+ * them the same persistence, retries and dead-letter handling as email.
+ *
+ * PROVIDERS
+ * A provider is { label, localOnly?, requiresUsername?, send({ to, message, config, template }) }.
+ * send() resolves to { messageId } and throws when the provider rejects the
+ * message. registerProvider() adds one at runtime.
+ *
+ * The 'stub' provider sends nothing: it keeps messages in memory (getStubOutbox())
+ * for local development and tests, and is refused in production.
+ *
+ * USAGE:
+ * const { emailQueueService } = require('./services');
+ * await emailQueueService.queueSms(institutionId, {
+ *   to: '08031234567',
+ *   template: 'pinReset',
+ *   data: { name: 'Ada', registrationNumber: '...', pin: '...' }
+ * });
+ */
+
+const https = require('https');
+const crypto = require('crypto');
+const { query } = require('../db/database');
+const encryptionService = require('./encryptionService');
+const { hashRecipient } = require('./emailService');
+const { isFeatureEnabled } = require('../middleware/featureToggle');
+
+const FEATURE_KEY = 'sms_notifications';
+
+// Longest message we send: three 153-character segments
+const MAX_MESSAGE_LENGTH = 459;
+
+// Messages "sent" through the stub provider (most recent last)
+const STUB_OUTBOX_LIMIT = 100;
+const stubOutbox = [];
+
+/**
+ * POST to a provider API over HTTPS
+ * @param {Object} options
+ * @param {string} options.hostname
+ * @param {string} options.path
+ * @param {Object} options.headers
+ * @param {string} options.body - Already serialized
+ * @returns {Promise<{ statusCode: number, body: Object }>}
+ */
+function postRequest({ hostname, path, headers, body }) {
+  return new Promise((resolve, reject) => {
+    const req = https.request(
+      {
+        hostname,
+        port: 443,
+        path,
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        timeout: 15000,
+      },
+      (res) => {
+        let responseData = '';
+        res.on('data', (chunk) => {
+          responseData += chunk;
+        });
+        res.on('end', () => {
+          try {
+            resolve({ statusCode: res.statusCode, body: JSON.parse(responseData) });
+          } catch (e) {
+            reject(new Error(`Invalid response from ${hostname} (HTTP ${res.statusCode})`));
+          }
+        });
+      }
+    );
+
+    req.on('timeout', () => req.destroy(new Error(`Request to ${hostname} timed out`)));
+    req.on('error', reject);
+    req.write(body);
+    req.end();
+  });
+}
+
+/**
+ * Built-in providers
+ */
+const PROVIDERS = {
+  termii: {
+    label: 'Termii',
+    async send({ to, message, config }) {
+      const { statusCode, body } = await postRequest({
+        hostname: 'api.ng.termii.com',
+        path: '/api/sms/send',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          api_key: config.apiKey,
+          to,
+          from: config.senderId,
+          sms: message,
+          type: 'plain',
+          channel: 'generic',
+        }),
+      });
+
+      if (statusCode >= 400 || !body.message_id) {
+        throw new Error(`Termii: ${body.message || `HTTP ${statusCode}`}`);
+      }
+      return { messageId: String(body.message_id) };
+    },
+  },
+
+  africastalking: {
+    label: "Africa's Talking",
+    requiresUsername: true,
+    async send({ to, message, config }) {
+      const form = new URLSearchParams({ username: config.username, to: `+${to}`, message });
+      if (config.senderId) {
+        form.append('from', config.senderId);
+      }
+
+      const { statusCode, body } = await postRequest({
+        hostname: 'api.africastalking.com',
+        path: '/version1/messaging',
+        headers: {
+          apiKey: config.apiKey,
+          Accept: 'application/json',
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: form.toString(),
+      });
+
+      const recipient = body.SMSMessageData?.Recipients?.[0];
+      if (statusCode >= 400 || !recipient || recipient.status !== 'Success') {
+        throw new Error(`Africa's Talking: ${recipient?.status || body.SMSMessageData?.Message || `HTTP ${statusCode}`}`);
+      }
+      return { messageId: recipient.messageId };
+    },
+  },
+
+  stub: {
+    label: 'Local stub (development only)',
+    localOnly: true,
+    async send({ to, message, config, template }) {
+      const messageId = `stub_${crypto.randomBytes(6).toString('hex')}`;
+      stubOutbox.push({ messageId, to, message, senderId: config.senderId, sentAt: new Date().toISOString() });
+      if (stubOutbox.length > STUB_OUTBOX_LIMIT) {
+        stubOutbox.shift();
+      }
+      // Never the text: it can hold a PIN. getStubOutbox() has it.
+      console.log(`[SMS STUB] ${template || 'message'} to ${to}`);
+      return { messageId };
+    },
+  },
+};
+
+/**
+ * Add or replace a provider
+ * @param {string} name - Value stored in institutions.sms_provider
+ * @param {Object} provider - See PROVIDERS
+ */
+function registerProvider(name, provider) {
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error('An SMS provider needs a send() function');
+  }
+  PROVIDERS[name] = { label: name, ...provider };
+}
+
+/**
+ * Providers an institution can choose from
+ * @returns {Array<{ name: string, label: string, requires_username: boolean }>}
+ */
+function getProviders() {
+  return Object.entries(PROVIDERS)
+    .filter(([, provider]) => !(provider.localOnly && process.env.NODE_ENV === 'production'))
+    .map(([name, provider]) => ({
+      name,
+      label: provider.label,
+      requires_username: !!provider.requiresUsername,
+    }));
+}
+
+/**
+ * SMS templates: data => message text. `institutionCode` is added by sendSms().
+ */
+const SMS_TEMPLATES = {
+  postingReleased: (data) =>
+    `${data.institutionCode}: ${data.name}, your TP posting for ${data.sessionName} is confirmed at ${data.schoolName}. ` +
+    'Your posting letter will be on the student portal.',
+
+  paymentConfirmed: (data) =>
+    `${data.institutionCode}: Payment received for ${data.sessionName}. Total paid: ${data.totalPaid}. ` +
+    (data.paymentStatus === 'paid' ? 'Your TP fee is fully paid.' : 'A balance is still outstanding.'),
+
+  pinReset: (data) =>
+    `${data.institutionCode}: ${data.name}, your student portal PIN has been reset. ` +
+    `Reg. No: ${data.registrationNumber}, new PIN: ${data.pin}. Change it after you log in.`,
+
+  monitorAssignment: (data) =>
+    `${data.institutionCode}: ${data.name}, you have been assigned to monitor ` +
+    `${data.schoolCount === 1 && data.schoolName ? data.schoolName : `${data.schoolCount} schools`} ` +
+    `for ${data.sessionName}. Details: ${data.dashboardUrl}`,
+
+  testMessage: (data) =>
+    `${data.institutionCode}: This is a test message from DigitalTP. SMS notifications are working.`,
+};
+
+/**
+ * Normalize a phone number to international digits without '+'
+ * (Nigerian local numbers such as 0803... become 234803...)
+ * @param {string} phone
+ * @returns {string|null} null when it does not look like a phone number
+ */
+function normalizePhone(phone) {
+  if (!phone) return null;
+
+  let digits = String(phone).trim().replace(/[\s\-().]/g, '');
+  if (digits.startsWith('+')) {
+    digits = digits.slice(1);
+  } else if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  } else if (/^0\d{10}$/.test(digits)) {
+    digits = `234${digits.slice(1)}`;
+  }
+
+  return /^\d{10,15}$/.test(digits) ? digits : null;
+}
+
+/**
+ * Normalize a log/queue recipient filter: email addresses as typed, phone
+ * numbers in the form they were hashed with
+ * @param {string} recipient
+ * @returns {string}
+ */
+function normalizeRecipient(recipient) {
+  if (!recipient || String(recipient).includes('@')) return recipient;
+  return normalizePhone(recipient) || recipient;
+}
+
+/**
+ * Best known phone number for a student: the portal profile number, else the
+ * number given on their most recent acceptance form
+ * @param {number} institutionId
+ * @param {number} studentId
+ * @returns {Promise<string|null>}
+ */
+async function getStudentPhone(institutionId, studentId) {
+  const [row] = await query(
+    `SELECT COALESCE(
+       NULLIF(st.phone, ''),
+       (SELECT sa.phone FROM student_acceptances sa
+        WHERE sa.student_id = st.id AND sa.institution_id = st.institution_id AND sa.phone <> ''
+        ORDER BY sa.created_at DESC, sa.id DESC LIMIT 1)
+     ) as phone
+     FROM students st
+     WHERE st.id = ? AND st.institution_id = ?`,
+    [studentId, institutionId]
+  );
+  return row?.phone || null;
+}
+
+/**
+ * Get SMS configuration for an institution
+ * @param {number} institutionId
+ * @returns {Promise<Object|null>} null when no provider is configured
+ */
+async function getSmsConfig(institutionId) {
+  if (!institutionId) return null;
+
+  const [row] = await query(
+    `SELECT sms_provider, sms_api_key, sms_username, sms_sender_id, code, name
+     FROM institutions WHERE id = ?`,
+    [institutionId]
+  );
+
+  if (!row || !row.sms_provider) {
+    return null;
+  }
+
+  let apiKey = null;
+  if (row.sms_api_key) {
+    try {
+      apiKey = encryptionService.decrypt(row.sms_api_key);
+    } catch (error) {
+      console.error(`[SMS] Failed to decrypt SMS API key for institution ${institutionId}`);
+      return null;
+    }
+  }
+
+  return {
+    provider: row.sms_provider,
+    apiKey,
+    username: row.sms_username,
+    senderId: row.sms_sender_id || row.code,
+    institutionCode: row.code,
+    institutionName: row.name,
+  };
+}
+
+/**
+ * Whether SMS should be sent for an institution: feature on and a provider set up
+ * @param {number} institutionId
+ * @returns {Promise<boolean>}
+ */
+async function isEnabled(institutionId) {
+  if (!institutionId || !(await isFeatureEnabled(FEATURE_KEY, institutionId))) {
+    return false;
+  }
+  return (await getSmsConfig(institutionId)) !== null;
+}
+
+/**
+ * Check a configuration before sending with it
+ * @param {Object|null} config
+ * @returns {string|null} Problem description, or null if usable
+ */
+function configProblem(config) {
+  if (!config) {
+    return 'SMS provider not configured for institution';
+  }
+  const provider = PROVIDERS[config.provider];
+  if (!provider) {
+    return `Unknown SMS provider '${config.provider}'`;
+  }
+  if (provider.localOnly && process.env.NODE_ENV === 'production') {
+    return `SMS provider '${config.provider}' cannot be used in production`;
+  }
+  if (!provider.localOnly && !config.apiKey) {
+    return 'SMS API key is not set';
+  }
+  if (provider.requiresUsername && !config.username) {
+    return `${provider.label} requires an account username`;
+  }
+  return null;
+}
+
+/**
+ * Log SMS sending (the number is stored hashed, never the message)
+ * @param {Object} logData
+ */
+async function logSmsSend(logData) {
+  try {
+    await query(
+      `INSERT INTO email_logs (institution_id, channel, email_type, recipient_email_hash, status, error_message, queue_job_id, sent_at)
+       VALUES (?, 'sms', ?, ?, ?, ?, ?, NOW())`,
+      [
+        logData.institutionId || null,
+        logData.template,
+        hashRecipient(logData.recipient),
+        logData.status,
+        logData.error ? String(logData.error).substring(0, 500) : null,
+        logData.jobId || null,
+      ]
+    );
+  } catch (error) {
+    // Don't fail the send if logging fails
+    console.error('[SMS] Failed to log SMS send:', error.message);
+  }
+}
+
+/**
+ * Send an SMS using the institution's provider
+ * @param {number} institutionId
+ * @param {Object} options
+ * @param {string} options.to - Phone number
+ * @param {string} options.template - Template name
+ * @param {Object} options.data - Template data
+ * @param {string} [options.jobId] - Queue job id, recorded in email_logs
+ * @returns {Promise<{ success: boolean, messageId?: string, error?: string }>}
+ */
+async function sendSms(institutionId, { to, template, data = {}, jobId }) {
+  const render = SMS_TEMPLATES[template];
+  if (!render) {
+    throw new Error(`SMS template '${template}' not found`);
+  }
+
+  const phone = normalizePhone(to);
+  const fail = async (error) => {
+    await logSmsSend({ institutionId, template, recipient: phone || to, status: 'failed', error, jobId });
+    return { success: false, error };
+  };
+
+  if (!phone) {
+    return fail('Invalid phone number');
+  }
+
+  const config = await getSmsConfig(institutionId);
+  const problem = configProblem(config);
+  if (problem) {
+    return fail(problem);
+  }
+
+  const message = render({
+    ...data,
+    institutionCode: config.institutionCode,
+    institutionName: config.institutionName,
+  }).substring(0, MAX_MESSAGE_LENGTH);
+
+  try {
+    const result = await PROVIDERS[config.provider].send({ to: phone, message, config, template });
+
+    await logSmsSend({ institutionId, template, recipient: phone, status: 'sent', jobId });
+    console.log(`[SMS] Sent ${template} SMS via ${config.provider} for institution ${institutionId}, messageId: ${result.messageId}`);
+
+    return { success: true, messageId: result.messageId };
+  } catch (error) {
+    console.error(`[SMS] Failed to send ${template} SMS via ${config.provider}:`, error.message);
+    return fail(error.message);
+  }
+}
+
+/**
+ * Send a test message straight away (bypasses the queue)
+ * @param {number} institutionId
+ * @param {string} phone
+ * @returns {Promise<{ success: boolean, message: string }>}
+ */
+async function testSmsConnection(institutionId, phone) {
+  if (!normalizePhone(phone)) {
+    return { success: false, message: 'Enter a valid phone number, e.g. 08031234567 or +2348031234567' };
+  }
+
+  const result = await sendSms(institutionId, { to: phone, template: 'testMessage' });
+  return result.success
+    ? { success: true, message: `Test SMS sent to ${phone}` }
+    : { success: false, message: `SMS test failed: ${result.error}` };
+}
+
+/**
+ * Messages recorded by the stub provider
+ * @returns {Array<{ messageId, to, message, senderId, sentAt }>}
+ */
+function getStubOutbox() {
+  return [...stubOutbox];
+}
+
+function clearStubOutbox() {
+  stubOutbox.length = 0;
+}
+
+module.exports = {
+  FEATURE_KEY,
+  TEMPLATES: Object.keys(SMS_TEMPLATES),
+  sendSms,
+  testSmsConnection,
+  isEnabled,
+  getSmsConfig,
+  normalizePhone,
+  normalizeRecipient,
+  getStudentPhone,
+  registerProvider,
+  getProviders,
+  getStubOutbox,
+  clearStubOutbox,
+};
@@ -0,0 +1,175 @@
+/**
+ * Student Payment Service
+ *
+ * Bookkeeping shared by everything that completes or reverses a student
+ * payment - the student portal, admin verification, webhooks, refunds and
+ * reconciliation (see paymentController, paymentReconciliationService):
+ * - updateStudentPaymentStatus() keeps students.total_paid and payment_status
+ *   in step with student_payments
+ * - recordFromPendingTransaction() turns a paid pending transaction into a
+ *   payment when the student never came back to verify it
+ */
+
+const { query } = require('../db/database');
+const emailQueueService = require('./emailQueueService');
+const smsService = require('./smsService');
+
+/**
+ * Recalculates and syncs payment_status + total_paid on the students row.
+ * Must be called after any operation that marks a student_payment as 'success'.
+ * When the total goes up, the student gets a payment confirmation SMS.
+ */
+async function updateStudentPaymentStatus(studentId, sessionId, institutionId) {
+  const [previous] = await query(
+    'SELECT total_paid FROM students WHERE id = ? AND institution_id = ?',
+    [studentId, parseInt(institutionId)]
+  );
+
+  const [totalResult] = await query(
+    `SELECT COALESCE(SUM(amount - refunded_amount), 0) as total_paid
+     FROM student_payments
+     WHERE student_id = ? AND session_id = ? AND institution_id = ? AND status = 'success'`,
+    [studentId, sessionId, parseInt(institutionId)]
+  );
+  const newTotalPaid = parseFloat(totalResult?.total_paid || 0);
+
+  const [inst] = await query(
+    'SELECT payment_base_amount, payment_program_pricing FROM institutions WHERE id = ?',
+    [parseInt(institutionId)]
+  );
+  let requiredAmount = parseFloat(inst?.payment_base_amount || 0);
+
+  if (inst?.payment_program_pricing) {
+    try {
+      const pricing = typeof inst.payment_program_pricing === 'string'
+        ? JSON.parse(inst.payment_program_pricing)
+        : inst.payment_program_pricing;
+      const [studentRow] = await query(
+        'SELECT program_id FROM students WHERE id = ? AND institution_id = ?',
+        [studentId, parseInt(institutionId)]
+      );
+      if (studentRow?.program_id && pricing[studentRow.program_id]) {
+        const programAmount = parseFloat(pricing[studentRow.program_id]);
+        if (programAmount > 0) requiredAmount = programAmount;
+      }
+    } catch (_) { /* fall back to base amount */ }
+  }
+
+  const newPaymentStatus = newTotalPaid >= requiredAmount ? 'paid'
+    : newTotalPaid > 0 ? 'partial'
+    : 'pending';
+
+  await query(
+    'UPDATE students SET payment_status = ?, total_paid = ? WHERE id = ? AND institution_id = ?',
+    [newPaymentStatus, newTotalPaid, studentId, parseInt(institutionId)]
+  );
+
+  // Re-verifying a payment that was already counted should not text the student again
+  if (newTotalPaid > parseFloat(previous?.total_paid || 0)) {
+    await notifyPaymentConfirmed(studentId, sessionId, institutionId, newTotalPaid, newPaymentStatus);
+  }
+}
+
+/**
+ * Queue the payment confirmation SMS. Never throws: the payment is already recorded.
+ */
+async function notifyPaymentConfirmed(studentId, sessionId, institutionId, totalPaid, paymentStatus) {
+  try {
+    const [session] = await query(
+      'SELECT name FROM academic_sessions WHERE id = ? AND institution_id = ?',
+      [sessionId, parseInt(institutionId)]
+    );
+
+    await emailQueueService.queueSms(parseInt(institutionId), {
+      to: await smsService.getStudentPhone(parseInt(institutionId), studentId),
+      template: 'paymentConfirmed',
+      data: {
+        sessionName: session?.name || 'teaching practice',
+        totalPaid: `NGN ${totalPaid.toLocaleString('en-NG', { minimumFractionDigits: 2 })}`,
+        paymentStatus,
+      },
+    });
+  } catch (error) {
+    console.error('[PAYMENTS] Failed to queue payment SMS:', error.message);
+  }
+}
+
+/**
+ * Columns and stored metadata for a verified gateway transaction
+ * (authorization details are null for channels such as bank transfer)
+ * @param {Object} tx - Transaction from paymentGatewayService
+ * @param {Object} [extra] - Added to the stored metadata
+ * @returns {{ authCode: string|null, cardType: string|null, bankName: string|null, channel: string|null, metadata: string }}
+ */
+function transactionDetails(tx, extra = {}) {
+  const auth = tx.authorization;
+  const cardType = auth?.card_type || null;
+  const bankName = auth?.bank || auth?.bank_name || null;
+
+  return {
+    authCode: auth?.authorization_code || null,
+    cardType,
+    bankName,
+    channel: tx.channel || null,
+    metadata: JSON.stringify({
+      ...tx.metadata,
+      gateway_response: tx.gatewayResponse,
+      paid_at: tx.paidAt,
+      customer_email: tx.customer?.email,
+      ...extra,
+      authorization_details: auth ? {
+        card_type: cardType,
+        last4: auth.last4,
+        exp_month: auth.exp_month,
+        exp_year: auth.exp_year,
+        brand: auth.brand,
+        bank: bankName,
+        country_code: auth.country_code,
+        account_name: auth.account_name,
+      } : null,
+    }),
+  };
+}
+
+/**
+ * Record a payment for a pending transaction the gateway reports as paid, and
+ * mark the pending transaction verified
+ * @param {number} institutionId
+ * @param {Object} pendingTx - pending_transactions row
+ * @param {Object} tx - Successful transaction from paymentGatewayService
+ * @param {Object} [options]
+ * @param {string} [options.gateway] - Gateway the payment went through
+ * @param {Object} [options.extra] - Added to the stored metadata
+ * @returns {Promise<number>} New student_payments id
+ */
+async function recordFromPendingTransaction(institutionId, pendingTx, tx, { gateway = null, extra = {} } = {}) {
+  const details = transactionDetails(tx, extra);
+
+  const result = await query(
+    `INSERT INTO student_payments
+     (institution_id, session_id, student_id, amount, currency, reference, gateway,
+      paystack_reference, authorization_code, channel, card_type, bank,
+      status, verified_at, metadata)
+     VALUES (?, ?, ?, ?, 'NGN', ?, ?, ?, ?, ?, ?, ?, 'success', NOW(), ?)`,
+    [
+      parseInt(institutionId), pendingTx.session_id, pendingTx.student_id,
+      pendingTx.amount, pendingTx.reference, gateway || pendingTx.gateway, tx.reference,
+      details.authCode, details.channel, details.cardType, details.bankName, details.metadata,
+    ]
+  );
+
+  await query(
+    `UPDATE pending_transactions SET status = 'verified', verified_at = NOW() WHERE id = ?`,
+    [pendingTx.id]
+  );
+
+  await updateStudentPaymentStatus(pendingTx.student_id, pendingTx.session_id, parseInt(institutionId));
+
+  return result.insertId;
+}
+
+module.exports = {
+  updateStudentPaymentStatus,
+  transactionDetails,
+  recordFromPendingTransaction,
+};
@@ -0,0 +1,468 @@
+/**
+ * Two-Factor Authentication Service
+ *
+ * TOTP (RFC 6238) second factor for staff accounts: enrolment with a QR code
+ * for authenticator apps, single-use recovery codes, the institution policy
+ * deciding who must enrol, and the short-lived challenge that carries a
+ * sign-in from the password to the code.
+ *
+ * Codes are HMAC-SHA1 over the 30-second time step, 6 digits, accepting one
+ * step either side for clock drift. The last accepted step is stored so a
+ * code cannot be used twice. After MAX_FAILED_CODES wrong codes (authenticator
+ * or recovery) an account takes no more codes until the lockout window ends -
+ * counted in the shared key-value store, so it holds across workers and across
+ * challenges.
+ *
+ * Challenge tokens are JWTs signed with a key derived from the JWT secret but
+ * distinct from it, so a challenge can never pass as an access token.
+ *
+ * Policies (institutions.two_factor_policy):
+ *   optional   - nobody is forced; anyone may enrol
+ *   head_of_tp - heads of teaching practice must enrol
+ *   all_staff  - every staff account must enrol
+ * Super admins belong to no institution: config.twoFactor.requiredForSuperAdmin.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const bcrypt = require('bcrypt');
+const config = require('../config');
+const { query, transaction } = require('../db/database');
+const { encrypt, decrypt } = require('./encryptionService');
+const keyValueStore = require('./keyValueStore');
+const { ValidationError, AuthenticationError, ConflictError, RateLimitError } = require('../utils/errors');
+
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = '5m';
+const MAX_FAILED_CODES = 5;
+const FAILED_CODE_WINDOW_MS = 15 * 60 * 1000;
+
+const POLICIES = {
+  optional: [],
+  head_of_tp: ['head_of_teaching_practice'],
+  all_staff: ['head_of_teaching_practice', 'supervisor', 'field_monitor'],
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * A new random TOTP secret (160 bits, base32)
+ * @returns {string}
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * The code for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Unix time / 30
+ * @returns {string} Zero-padded code
+ */
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / PERIOD_SECONDS);
+}
+
+/**
+ * Check a code against the steps around now
+ * @param {string} secret - Base32 secret
+ * @param {string} code - What the user typed
+ * @param {Object} [options]
+ * @param {number} [options.now] - Milliseconds (tests)
+ * @param {number|null} [options.lastUsedStep] - Steps up to this one are replays
+ * @returns {number|null} The matching step, or null
+ */
+function verifyCode(secret, code, { now = Date.now(), lastUsedStep = null } = {}) {
+  const clean = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(clean)) return null;
+
+  const step = currentStep(now);
+  for (let candidate = step - DRIFT_STEPS; candidate <= step + DRIFT_STEPS; candidate++) {
+    if (lastUsedStep !== null && candidate <= lastUsedStep) continue;
+    const expected = generateCode(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+/**
+ * A fresh set of recovery codes, formatted xxxxx-xxxxx
+ * @returns {string[]}
+ */
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+async function replaceRecoveryCodes(conn, userId) {
+  const codes = generateRecoveryCodes();
+  await conn.execute('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+  for (const code of codes) {
+    await conn.execute(
+      'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+      [userId, hashRecoveryCode(code)]
+    );
+  }
+  return codes;
+}
+
+/**
+ * The user's enrolment row, if any
+ * @param {number} userId
+ * @returns {Promise<Object|null>}
+ */
+async function getEnrolment(userId) {
+  const [row] = await query(
+    'SELECT user_id, secret, enabled_at, last_used_step FROM user_two_factor WHERE user_id = ?',
+    [userId]
+  );
+  return row || null;
+}
+
+/**
+ * Whether policy makes a user enrol
+ * @param {Object} user - Needs role and institution_id
+ * @returns {Promise<{ required: boolean, policy: string|null }>}
+ */
+async function getRequirement(user) {
+  if (user.role === 'super_admin') {
+    return { required: config.twoFactor.requiredForSuperAdmin, policy: null };
+  }
+  if (!user.institution_id) {
+    return { required: false, policy: null };
+  }
+
+  const [institution] = await query('SELECT two_factor_policy FROM institutions WHERE id = ?', [user.institution_id]);
+  const policy = institution?.two_factor_policy || 'optional';
+  return { required: (POLICIES[policy] || []).includes(user.role), policy };
+}
+
+/**
+ * Enrolment state for the profile page and sign-in
+ * @param {Object} user - Needs id, role and institution_id
+ * @returns {Promise<Object>} { enabled, pending, required, policy, recovery_codes_remaining }
+ */
+async function getStatus(user) {
+  const [enrolment, requirement] = await Promise.all([getEnrolment(user.id), getRequirement(user)]);
+  const enabled = !!enrolment?.enabled_at;
+
+  let remaining = 0;
+  if (enabled) {
+    const [row] = await query(
+      'SELECT COUNT(*) AS remaining FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+      [user.id]
+    );
+    remaining = Number(row?.remaining || 0);
+  }
+
+  return {
+    enabled,
+    pending: !!enrolment && !enabled,
+    required: requirement.required,
+    policy: requirement.policy,
+    enabled_at: enrolment?.enabled_at || null,
+    recovery_codes_remaining: remaining,
+  };
+}
+
+/**
+ * Start (or restart) enrolment: a new secret and its QR code
+ * @param {Object} user - Needs id and email
+ * @returns {Promise<Object>} { secret, otpauth_url, qr_code }
+ */
+async function startEnrolment(user) {
+  const existing = await getEnrolment(user.id);
+  if (existing?.enabled_at) {
+    throw new ConflictError('Two-factor authentication is already on for this account');
+  }
+
+  const secret = generateSecret();
+  await query(
+    `INSERT INTO user_two_factor (user_id, secret, enabled_at, last_used_step)
+     VALUES (?, ?, NULL, NULL)
+     ON DUPLICATE KEY UPDATE secret = VALUES(secret), enabled_at = NULL, last_used_step = NULL`,
+    [user.id, encrypt(secret)]
+  );
+
+  const issuer = config.twoFactor.issuer;
+  const label = encodeURIComponent(`${issuer}:${user.email}`);
+  const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+    `&algorithm=SHA1&digits=${DIGITS}&period=${PERIOD_SECONDS}`;
+
+  return {
+    secret,
+    otpauth_url: otpauthUrl,
+    qr_code: await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 220 }),
+  };
+}
+
+/**
+ * Finish enrolment with the first code from the app
+ * @param {number} userId
+ * @param {string} code
+ * @returns {Promise<string[]>} Recovery codes, shown once
+ */
+async function confirmEnrolment(userId, code) {
+  const enrolment = await getEnrolment(userId);
+  if (!enrolment) {
+    throw new ValidationError('Start two-factor setup first');
+  }
+  if (enrolment.enabled_at) {
+    throw new ConflictError('Two-factor authentication is already on for this account');
+  }
+
+  const step = verifyCode(decrypt(enrolment.secret), code);
+  if (step === null) {
+    throw new ValidationError('That code is not right - check the time on your phone and try again');
+  }
+
+  return transaction(async (conn) => {
+    await conn.execute(
+      'UPDATE user_two_factor SET enabled_at = NOW(), last_used_step = ? WHERE user_id = ?',
+      [step, userId]
+    );
+    return replaceRecoveryCodes(conn, userId);
+  });
+}
+
+const failedCodesKey = (userId) => `2fa:failed:${userId}`;
+
+/**
+ * Check a second factor: an authenticator code, or an unused recovery code.
+ * Wrong codes count towards the account lockout; a right one clears it.
+ * @param {number} userId
+ * @param {string} code
+ * @returns {Promise<string|null>} 'totp', 'recovery_code', or null when it does not match
+ * @throws {RateLimitError} While the account is locked out
+ */
+async function verifyUserCode(userId, code) {
+  const failures = await keyValueStore.get(failedCodesKey(userId));
+  if (failures >= MAX_FAILED_CODES) {
+    throw new RateLimitError('Too many incorrect codes. Please try again in 15 minutes.');
+  }
+
+  const method = await matchUserCode(userId, code);
+  if (method) {
+    await keyValueStore.remove(failedCodesKey(userId));
+  } else {
+    await keyValueStore.increment(failedCodesKey(userId), FAILED_CODE_WINDOW_MS);
+  }
+  return method;
+}
+
+async function matchUserCode(userId, code) {
+  const enrolment = await getEnrolment(userId);
+  if (!enrolment?.enabled_at) return null;
+
+  const lastUsedStep = enrolment.last_used_step === null ? null : Number(enrolment.last_used_step);
+  const step = verifyCode(decrypt(enrolment.secret), code, { lastUsedStep });
+  if (step !== null) {
+    // Guarded so two requests racing with the same code cannot both pass
+    const result = await query(
+      `UPDATE user_two_factor SET last_used_step = ?
+       WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)`,
+      [step, userId, step]
+    );
+    return result.affectedRows === 0 ? null : 'totp';
+  }
+
+  if (normalizeRecoveryCode(code).length !== 10) return null;
+  const result = await query(
+    `UPDATE user_recovery_codes SET used_at = NOW()
+     WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+     LIMIT 1`,
+    [userId, hashRecoveryCode(code)]
+  );
+  return result.affectedRows > 0 ? 'recovery_code' : null;
+}
+
+/**
+ * New recovery codes, replacing the old ones
+ * @param {number} userId
+ * @returns {Promise<string[]>}
+ */
+async function regenerateRecoveryCodes(userId) {
+  return transaction((conn) => replaceRecoveryCodes(conn, userId));
+}
+
+/**
+ * Turn two-factor off and forget the secret and recovery codes
+ * @param {number} userId
+ */
+async function disable(userId) {
+  await transaction(async (conn) => {
+    await conn.execute('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+    await conn.execute('DELETE FROM user_two_factor WHERE user_id = ?', [userId]);
+  });
+}
+
+/**
+ * Record a passed second factor on the session
+ * @param {string|null} sessionId
+ */
+async function markSessionVerified(sessionId) {
+  if (!sessionId) return;
+  await query('UPDATE user_sessions SET two_factor_verified_at = NOW() WHERE session_id = ?', [sessionId]);
+}
+
+/**
+ * Step-up for a sensitive action: the current password, and a code when the
+ * account has two-factor on
+ * @param {Object} user - Needs id
+ * @param {Object} proof - { password, code }
+ * @param {string|null} sessionId - Marked verified when a code was checked
+ * @returns {Promise<string|null>} How the second factor was given, if it was
+ */
+async function verifyStepUp(user, { password, code } = {}, sessionId = null) {
+  if (!password) {
+    throw new ValidationError('Enter your current password to continue');
+  }
+
+  const [row] = await query('SELECT password_hash FROM users WHERE id = ?', [user.id]);
+  if (!row || !(await bcrypt.compare(password, row.password_hash))) {
+    throw new ValidationError('Incorrect password');
+  }
+
+  const enrolment = await getEnrolment(user.id);
+  if (!enrolment?.enabled_at) return null;
+
+  if (!code) {
+    throw new ValidationError('Enter the code from your authenticator app', { code: ['Required'] });
+  }
+  const method = await verifyUserCode(user.id, code);
+  if (!method) {
+    throw new ValidationError('Invalid authentication code');
+  }
+
+  await markSessionVerified(sessionId);
+  return method;
+}
+
+function getChallengeSecret() {
+  return `${config.jwt.secret}:two-factor`;
+}
+
+/**
+ * A challenge carrying a password-verified sign-in to its second step
+ * @param {number} userId
+ * @param {string} purpose - 'verify' (enter a code) or 'enrol' (policy requires setup first)
+ * @returns {string}
+ */
+function createChallenge(userId, purpose) {
+  return jwt.sign({ userId, purpose }, getChallengeSecret(), { expiresIn: CHALLENGE_EXPIRES_IN });
+}
+
+/**
+ * The user a challenge is for, without failing - for rate-limit keys
+ * @param {string} token
+ * @returns {number|null} User ID, or null when the token is not a valid challenge
+ */
+function peekChallengeUser(token) {
+  try {
+    return jwt.verify(token, getChallengeSecret()).userId;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read a challenge, failing when it expired, was tampered with or is for another step
+ * @param {string} token
+ * @param {string} purpose
+ * @returns {number} User ID
+ */
+function readChallenge(token, purpose) {
+  try {
+    const payload = jwt.verify(token, getChallengeSecret());
+    if (payload.purpose !== purpose) {
+      throw new Error('Wrong challenge purpose');
+    }
+    return payload.userId;
+  } catch (error) {
+    throw new AuthenticationError('Your sign-in has expired. Please sign in again.');
+  }
+}
+
+module.exports = {
+  POLICIES,
+  generateSecret,
+  generateCode,
+  currentStep,
+  verifyCode,
+  getEnrolment,
+  getRequirement,
+  getStatus,
+  startEnrolment,
+  confirmEnrolment,
+  verifyUserCode,
+  regenerateRecoveryCodes,
+  disable,
+  markSessionVerified,
+  verifyStepUp,
+  createChallenge,
+  peekChallengeUser,
+  readChallenge,
+};
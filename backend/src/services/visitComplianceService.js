@@ -0,0 +1,334 @@
+/**
+ * Visit Compliance Service
+ *
+ * Compares each supervisor posting (one visit to one school) with its visit
+ * window in supervision_visit_timelines and the check-in recorded in
+ * supervision_location_logs:
+ *   on_time         - checked in before the window closed
+ *   late            - checked in after the window closed
+ *   out_of_geofence - window closed with no check-in, but attempts were rejected
+ *                     as too far from the school
+ *   missing         - window closed with no check-in or attempt
+ *   pending         - no check-in yet, window not closed (failed attempts included)
+ *   no_timeline     - no window set for the visit
+ *
+ * The check-in time is always the server's. A check-in captured offline
+ * only reaches the server when it syncs; the time the device claims to have
+ * captured it is shown beside it, and a late check-in claimed within its
+ * window is marked for review rather than trusted.
+ *
+ * Missing and out-of-geofence visits are unverified; finance withholds their
+ * allowances (see the export). TETFund is a session allowance stored on every
+ * eligible posting (see allowanceCalculator): it is counted once per
+ * supervisor per session, and withheld only when every visit that session
+ * is unverified. Supervisors with an unverified visit whose
+ * window is about to close get a reminder notification - swept hourly (by
+ * one worker, see startReminderSweep) and on demand by the head of TP.
+ */
+
+const { query } = require('../db/database');
+const keyValueStore = require('./keyValueStore');
+const notificationService = require('./notificationService');
+
+const STATUSES = ['on_time', 'late', 'out_of_geofence', 'missing', 'pending', 'no_timeline'];
+
+// Visits whose allowances are withheld
+const WITHHOLD_STATUSES = ['missing', 'out_of_geofence'];
+
+// Paid per posting; tetfund is paid once per supervisor per session
+const ALLOWANCE_COLUMNS = ['local_running', 'transport', 'dsa', 'dta'];
+
+// Remind supervisors this long before a window closes
+const REMINDER_DAYS_BEFORE = 2;
+const REMINDER_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Midnight (server time) at the start of a DATE value
+ * @param {Date|string} value
+ * @returns {Date}
+ */
+function dayStart(value) {
+  if (typeof value === 'string') {
+    const [year, month, day] = value.slice(0, 10).split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+  const date = new Date(value);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * When a visit window opens and closes; it stays open all of its end date
+ * @param {Date|string} startDate
+ * @param {Date|string} endDate
+ * @returns {{ opensAt: Date, closesAt: Date }}
+ */
+function visitWindow(startDate, endDate) {
+  return {
+    opensAt: dayStart(startDate),
+    closesAt: new Date(dayStart(endDate).getTime() + DAY_MS),
+  };
+}
+
+/**
+ * Compliance status of one posting
+ * @param {Object} visit
+ * @param {Date|string|null} visit.window_start
+ * @param {Date|string|null} visit.window_end
+ * @param {Date|string|null} visit.checked_in_at - Server time of the verified check-in
+ * @param {number} [visit.attempts] - Check-ins rejected as outside the geofence
+ * @param {Date} [now]
+ * @returns {string} One of STATUSES
+ */
+function classifyVisit(visit, now = new Date()) {
+  if (!visit.window_start || !visit.window_end) {
+    return 'no_timeline';
+  }
+
+  const { closesAt } = visitWindow(visit.window_start, visit.window_end);
+  if (visit.checked_in_at) {
+    return new Date(visit.checked_in_at) < closesAt ? 'on_time' : 'late';
+  }
+  // Still open: the supervisor can complete the visit after a failed attempt
+  if (now < closesAt) {
+    return 'pending';
+  }
+  return Number(visit.attempts) > 0 ? 'out_of_geofence' : 'missing';
+}
+
+/**
+ * TETFund to withhold for each supervisor and session: the largest amount on
+ * their postings (see allowanceCalculator), when every one of them is unverified
+ * @param {Array<Object>} rows - Every posting of the supervisors and sessions
+ * @returns {Map<string, number>} 'supervisorId:sessionId' -> amount
+ */
+function tetfundToWithhold(rows) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = `${row.supervisor_id}:${row.session_id}`;
+    const group = groups.get(key) || { tetfund: 0, withhold: true };
+    group.tetfund = Math.max(group.tetfund, Number(row.tetfund || 0));
+    group.withhold = group.withhold && row.withhold;
+    groups.set(key, group);
+  }
+
+  const amounts = new Map();
+  for (const [key, group] of groups) {
+    if (group.withhold && group.tetfund > 0) amounts.set(key, group.tetfund);
+  }
+  return amounts;
+}
+
+/**
+ * Postings with their window, check-in and compliance status. The session's
+ * TETFund to withhold is carried by the supervisor's first posting that
+ * session (tetfund_withheld).
+ * @param {number} institutionId
+ * @param {Object} [filters]
+ * @param {number} [filters.session_id]
+ * @param {number} [filters.supervisor_id]
+ * @param {number} [filters.visit_number]
+ * @param {number} [filters.school_id] - institution_schools.id
+ * @param {string} [filters.status] - Only postings with this status
+ * @param {Date} [now]
+ * @returns {Promise<Array<Object>>}
+ */
+async function getComplianceRows(institutionId, filters = {}, now = new Date()) {
+  let sql = `
+    SELECT sp.id as posting_id, sp.session_id, sp.supervisor_id, sp.institution_school_id,
+           sp.group_number, sp.visit_number, sp.is_primary_posting,
+           ${ALLOWANCE_COLUMNS.map((column) => `sp.${column}`).join(', ')}, sp.tetfund,
+           u.name as supervisor_name, u.email as supervisor_email, u.file_number,
+           ms.name as school_name, sess.name as session_name,
+           svt.title as visit_title, svt.start_date as window_start, svt.end_date as window_end,
+           sll.id as location_log_id, sll.sync_mode, sll.distance_from_school_m,
+           sll.timestamp_server as checked_in_at,
+           CASE WHEN sll.sync_mode = 'deferred' THEN sll.timestamp_client END as claimed_at,
+           (SELECT COUNT(*) FROM supervision_checkin_attempts sca
+            WHERE sca.supervisor_posting_id = sp.id) as attempts,
+           (SELECT MIN(sca.distance_from_school_m) FROM supervision_checkin_attempts sca
+            WHERE sca.supervisor_posting_id = sp.id) as closest_attempt_m
+    FROM supervisor_postings sp
+    JOIN users u ON sp.supervisor_id = u.id
+    JOIN academic_sessions sess ON sp.session_id = sess.id
+    LEFT JOIN institution_schools isv ON sp.institution_school_id = isv.id
+    LEFT JOIN master_schools ms ON isv.master_school_id = ms.id
+    LEFT JOIN supervision_visit_timelines svt
+      ON svt.session_id = sp.session_id AND svt.visit_number = sp.visit_number
+    LEFT JOIN supervision_location_logs sll ON sll.id = sp.location_log_id
+    WHERE sp.institution_id = ? AND sp.status IN ('active', 'completed')
+  `;
+  const params = [parseInt(institutionId)];
+
+  if (filters.session_id) {
+    sql += ' AND sp.session_id = ?';
+    params.push(parseInt(filters.session_id));
+  }
+  if (filters.supervisor_id) {
+    sql += ' AND sp.supervisor_id = ?';
+    params.push(parseInt(filters.supervisor_id));
+  }
+  // Visit and school filters apply after TETFund is decided over the whole session
+  sql += ' ORDER BY u.name, sp.visit_number, ms.name, sp.group_number';
+
+  const allRows = (await query(sql, params)).map((row) => {
+    const status = classifyVisit(row, now);
+    const allowance = ALLOWANCE_COLUMNS.reduce((sum, column) => sum + Number(row[column] || 0), 0);
+    return {
+      ...row,
+      attempts: Number(row.attempts || 0),
+      status,
+      // Synced after the window closed, but the device says it was captured in time
+      needs_review:
+        status === 'late' &&
+        !!row.claimed_at &&
+        classifyVisit({ ...row, checked_in_at: row.claimed_at }, now) === 'on_time',
+      allowance_total: allowance,
+      withhold: WITHHOLD_STATUSES.includes(status),
+    };
+  });
+
+  const tetfund = tetfundToWithhold(allRows);
+  const rows = allRows.map((row) => {
+    const key = `${row.supervisor_id}:${row.session_id}`;
+    const tetfundWithheld = tetfund.get(key) || 0;
+    tetfund.delete(key);
+    return { ...row, tetfund_withheld: tetfundWithheld };
+  });
+
+  return rows.filter((row) =>
+    (!filters.visit_number || row.visit_number === parseInt(filters.visit_number)) &&
+    (!filters.school_id || row.institution_school_id === parseInt(filters.school_id)) &&
+    (!filters.status || row.status === filters.status)
+  );
+}
+
+/**
+ * Counts by status, with the allowance withheld for unverified visits
+ * (TETFund included)
+ * @param {Array<Object>} rows - From getComplianceRows()
+ * @returns {Object} { expected, verified, on_time, late, ..., withheld_amount }
+ */
+function summarise(rows) {
+  const summary = Object.fromEntries(STATUSES.map((status) => [status, 0]));
+  let withheldAmount = 0;
+  for (const row of rows) {
+    summary[row.status] += 1;
+    if (row.withhold) withheldAmount += row.allowance_total;
+    withheldAmount += row.tetfund_withheld || 0;
+  }
+  return {
+    expected: rows.length,
+    verified: summary.on_time + summary.late,
+    ...summary,
+    withheld_amount: Math.round(withheldAmount * 100) / 100,
+  };
+}
+
+/**
+ * Remind supervisors of unverified visits whose window is open and closes
+ * within `daysBefore` days. Each posting is reminded once.
+ * @param {Object} [options]
+ * @param {number} [options.institutionId] - One institution (default: all)
+ * @param {number} [options.daysBefore]
+ * @param {Date} [options.now]
+ * @returns {Promise<number>} Reminders sent
+ */
+async function sendVisitReminders({ institutionId = null, daysBefore = REMINDER_DAYS_BEFORE, now = new Date() } = {}) {
+  let sql = `
+    SELECT sp.id as posting_id, sp.institution_id, sp.supervisor_id, sp.visit_number,
+           ms.name as school_name, svt.start_date as window_start, svt.end_date as window_end
+    FROM supervisor_postings sp
+    JOIN academic_sessions sess ON sp.session_id = sess.id AND sess.is_current = 1
+    JOIN supervision_visit_timelines svt
+      ON svt.session_id = sp.session_id AND svt.visit_number = sp.visit_number
+    LEFT JOIN institution_schools isv ON sp.institution_school_id = isv.id
+    LEFT JOIN master_schools ms ON isv.master_school_id = ms.id
+    WHERE sp.status = 'active'
+      AND sp.location_log_id IS NULL
+      AND svt.start_date <= ? AND svt.end_date BETWEEN ? AND ?
+      AND NOT EXISTS (
+        SELECT 1 FROM notifications n
+        WHERE n.type = ? AND n.resource_type = 'supervisor_posting' AND n.resource_id = sp.id
+      )
+  `;
+  const today = dayStart(now);
+  const lastDay = new Date(today.getTime() + daysBefore * DAY_MS);
+  const params = [today, today, lastDay, notificationService.TYPES.VISIT_REMINDER];
+
+  if (institutionId) {
+    sql += ' AND sp.institution_id = ?';
+    params.push(parseInt(institutionId));
+  }
+
+  const due = await query(sql, params);
+  let sent = 0;
+  for (const posting of due) {
+    const lastDate = dayStart(posting.window_end).toDateString();
+    sent += await notificationService.notifyStaff(posting.institution_id, [posting.supervisor_id], {
+      type: notificationService.TYPES.VISIT_REMINDER,
+      title: `Visit ${posting.visit_number} window closing`,
+      message: `Your visit ${posting.visit_number} check-in at ${posting.school_name || 'your school'} has not been recorded. The visit window closes after ${lastDate}.`,
+      link: '/admin/location-tracker',
+      resourceType: 'supervisor_posting',
+      resourceId: posting.posting_id,
+    });
+  }
+  return sent;
+}
+
+let sweepInterval = null;
+
+/**
+ * Send due visit reminders every hour. Every worker runs the timer; the
+ * first to claim the hour in the shared store sends them.
+ */
+function startReminderSweep() {
+  if (sweepInterval) {
+    return;
+  }
+
+  const sweep = async () => {
+    try {
+      const hour = Math.floor(Date.now() / REMINDER_SWEEP_INTERVAL_MS);
+      if (await keyValueStore.claim(`sweep:visit-reminders:${hour}`, REMINDER_SWEEP_INTERVAL_MS)) {
+        await sendVisitReminders();
+      }
+    } catch (error) {
+      console.error('[VISIT COMPLIANCE] Reminder sweep failed:', error.message);
+    }
+  };
+  sweepInterval = setInterval(sweep, REMINDER_SWEEP_INTERVAL_MS);
+  // Never keep the process alive just for reminders
+  sweepInterval.unref();
+  sweep();
+}
+
+/**
+ * Stop the reminder sweep
+ */
+function stopReminderSweep() {
+  if (sweepInterval) {
+    clearInterval(sweepInterval);
+    sweepInterval = null;
+  }
+}
+
+// Auto-start the sweep when the module is loaded (tests call it directly)
+if (process.env.NODE_ENV !== 'test') {
+  startReminderSweep();
+}
+
+module.exports = {
+  STATUSES,
+  WITHHOLD_STATUSES,
+  REMINDER_DAYS_BEFORE,
+  classifyVisit,
+  visitWindow,
+  getComplianceRows,
+  summarise,
+  sendVisitReminders,
+  startReminderSweep,
+  stopReminderSweep,
+};
@@ -70,6 +70,17 @@ class ConflictError extends AppError {
   }
 }
 
+/**
+ * Session locked error - 423 Locked
+ * Use when a write targets an academic session that has been locked
+ */
+class SessionLockedError extends AppError {
+  constructor(message = 'This session is locked', details = null) {
+    super(message, 423, 'SESSION_LOCKED');
+    this.details = details;
+  }
+}
+
 /**
  * Rate limit error - 429 Too Many Requests
  */
@@ -107,6 +118,7 @@ module.exports = {
   AuthorizationError,
   AuthenticationError,
   ConflictError,
+  SessionLockedError,
   RateLimitError,
   InternalError,
   ServiceUnavailableError,
@@ -0,0 +1,150 @@
+/**
+ * Audit Log Tests
+ *
+ * Unit tests for the audit service (field diffs, redaction, request
+ * defaults), the auditTrail route naming and the activity log viewer -
+ * mocked database, no HTTP.
+ */
+
+const mockDb = require('../mocks/database');
+
+jest.mock('../../src/db/database', () => mockDb);
+
+const auditService = require('../../src/services/auditService');
+const { describeRoute } = require('../../src/middleware/auditTrail');
+const auditLogController = require('../../src/controllers/auditLogController');
+
+function buildReq({ params = {}, query = {}, body = {}, user = { id: 15, role: 'head_of_teaching_practice' } } = {}) {
+  return {
+    params,
+    query,
+    body,
+    user,
+    ip: '127.0.0.1',
+    get: (header) => (header === 'user-agent' ? 'jest' : undefined),
+  };
+}
+
+async function run(handler, req) {
+  const res = { json: jest.fn(), send: jest.fn(), setHeader: jest.fn() };
+  const next = jest.fn();
+  await handler(req, res, next);
+  return { res, body: res.json.mock.calls[0]?.[0], error: next.mock.calls[0]?.[0] };
+}
+
+const findQuery = (fragment) => mockDb.getQueryHistory().find((q) => q.sql.includes(fragment));
+
+describe('auditService', () => {
+  beforeEach(() => mockDb.resetMocks());
+
+  test('diffs only the fields that changed, normalising column types and redacting secrets', () => {
+    const before = {
+      id: 4,
+      local_running_allowance: '1500.00',
+      phone: '08031234567',
+      password_hash: 'old',
+      updated_at: new Date('2026-01-01'),
+      name: 'Lecturer I',
+    };
+    const after = { ...before, local_running_allowance: 2000, password_hash: 'new', updated_at: new Date() };
+
+    expect(auditService.diff(before, after)).toEqual({
+      local_running_allowance: { from: 1500, to: 2000 },
+      password_hash: { from: auditService.REDACTED, to: auditService.REDACTED },
+    });
+    // A partial `after` only covers the fields it names
+    expect(auditService.diff(before, { name: 'Lecturer I' })).toBeNull();
+    expect(auditService.diff(null, { name: 'Lecturer II' })).toEqual({ name: { from: null, to: 'Lecturer II' } });
+  });
+
+  test('log() fills the actor and institution from the request and records the diff', async () => {
+    const req = buildReq({ params: { institutionId: '3', id: '4' } });
+
+    await auditService.log(req, {
+      action: 'rank_updated',
+      resourceType: 'rank',
+      resourceId: 4,
+      before: { max_supervision_visits: 3 },
+      after: { max_supervision_visits: 5 },
+    });
+
+    const insert = findQuery('INSERT INTO audit_logs');
+    expect(insert.params.slice(0, 6)).toEqual([3, 15, 'staff', 'rank_updated', 'rank', 4]);
+    expect(JSON.parse(insert.params[7])).toEqual({ max_supervision_visits: { from: 3, to: 5 } });
+    expect(insert.params[9]).toBe('jest');
+    expect(req.auditLogged).toBe(true);
+  });
+
+  test('a failed write never fails the caller', async () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockDb.setMockError(new Error('table is locked'));
+
+    await expect(auditService.record({ action: 'login_failed', resourceType: 'auth' })).resolves.toBe(false);
+    consoleSpy.mockRestore();
+  });
+});
+
+describe('auditTrail describeRoute', () => {
+  test('names the action after the resource and method, or the trailing action segment', () => {
+    expect(describeRoute('PUT', '/:institutionId/routes/:id')).toEqual({ resourceType: 'routes', action: 'routes_update' });
+    expect(describeRoute('POST', '/:institutionId/school-update-requests/principal/:id/approve')).toEqual({
+      resourceType: 'school_update_requests',
+      action: 'school_update_requests_principal_approve',
+    });
+    expect(describeRoute('DELETE', '/global/email-logs/dead-letter')).toEqual({
+      resourceType: 'email_logs',
+      action: 'email_logs_dead_letter_delete',
+    });
+  });
+});
+
+describe('auditLogController', () => {
+  beforeEach(() => mockDb.resetMocks());
+
+  test('filters an institution\'s log by user, resource and date range', async () => {
+    mockDb.setMockResult('FROM audit_logs a\n  LEFT JOIN institutions', [
+      { id: 9, action: 'rank_updated', changes: '{"max_supervision_visits":{"from":3,"to":5}}', details: null },
+    ]);
+    mockDb.setMockResult('SELECT COUNT(*) as total FROM audit_logs', [{ total: 1 }]);
+
+    const { body } = await run(auditLogController.getLogs, buildReq({
+      params: { institutionId: '3' },
+      query: { user_id: '15', resource_type: 'rank', resource_id: '4', date_from: '2026-10-01', institution_id: '9' },
+    }));
+
+    const list = findQuery('ORDER BY a.created_at DESC');
+    expect(list.params.slice(0, 5)).toEqual([3, 15, 'rank', 4, '2026-10-01']);
+    expect(body.data[0].changes).toEqual({ max_supervision_visits: { from: 3, to: 5 } });
+    expect(body.pagination.total).toBe(1);
+  });
+
+  test('exports the filtered log as escaped CSV', async () => {
+    mockDb.setMockResult('FROM audit_logs a\n  LEFT JOIN institutions', [
+      {
+        id: 9,
+        created_at: new Date('2026-10-19T08:00:00Z'),
+        institution_name: 'FCE Kano',
+        user_type: 'staff',
+        user_id: 15,
+        user_name: 'Bello, Aisha',
+        action: 'rank_updated',
+        resource_type: 'rank',
+        resource_id: 4,
+        changes: '{"name":{"from":"A","to":"B"}}',
+        details: null,
+        ip_address: '127.0.0.1',
+      },
+    ]);
+
+    const { res } = await run(auditLogController.exportCsv, buildReq({ query: { action: 'rank_updated' } }));
+
+    expect(findQuery('ORDER BY a.created_at DESC').params).toEqual(['rank_updated', 10000]);
+    expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'text/csv; charset=utf-8');
+    const [header, row] = res.send.mock.calls[0][0].split('\r\n');
+    expect(header.startsWith('id,created_at,institution_name')).toBe(true);
+    expect(row).toBe(
+      '9,2026-10-19T08:00:00.000Z,FCE Kano,staff,15,"Bello, Aisha",rank_updated,rank,4,' +
+      '"{""name"":{""from"":""A"",""to"":""B""}}",,127.0.0.1'
+    );
+  });
+});
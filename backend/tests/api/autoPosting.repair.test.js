@@ -0,0 +1,187 @@
+/**
+ * Auto-Posting Repair Tests
+ *
+ * Re-planning only the postings late changes touch - a withdrawn supervisor,
+ * a closed school, a group merged into another - and the diff shown for
+ * approval before anything moves - mocked database, no HTTP.
+ */
+
+const mockDb = require('../mocks/database');
+
+jest.mock('../../src/db/database', () => mockDb);
+
+const { runRepairAlgorithm } = require('../../src/services/autoPostingEngine');
+const autoPostingController = require('../../src/controllers/autoPostingController');
+
+const supervisor = (id, remaining = 2) => ({
+  id,
+  name: `Supervisor ${id}`,
+  rank_code: 'L1',
+  priority_number: 1,
+  current_postings: 3 - remaining,
+  remaining_slots: remaining,
+});
+
+const posting = (postingId, supervisorId, schoolId, overrides = {}) => ({
+  posting_id: postingId,
+  supervisor_id: supervisorId,
+  school_id: schoolId,
+  school_name: `School ${schoolId}`,
+  group_number: 1,
+  visit_number: 1,
+  distance_km: 20,
+  route_id: schoolId < 20 ? 1 : 2,
+  lga: schoolId < 20 ? 'Dala' : 'Gwale',
+  is_primary: true,
+  merged_with_posting_id: null,
+  ...overrides,
+});
+
+describe('runRepairAlgorithm', () => {
+  test('moves only the withdrawn supervisor\'s postings, to someone already on that route', () => {
+    const committed = [
+      posting(1, 7, 10),
+      posting(2, 7, 11, { visit_number: 2 }),
+      posting(3, 8, 12),
+      posting(4, 9, 20),
+    ];
+
+    const result = runRepairAlgorithm(
+      [supervisor(7), supervisor(8), supervisor(9)],
+      committed,
+      [{ type: 'supervisor_withdrawn', supervisor_id: 7, from_visit: 2 }],
+      { postingType: 'route_based' }
+    );
+
+    // Visit 1 already happened with them; only visit 2 moves
+    expect(result.moves).toHaveLength(1);
+    expect(result.moves[0].posting.posting_id).toBe(2);
+    expect(result.moves[0].to.supervisor_id).toBe(8);
+    expect(result.cancellations).toEqual([]);
+  });
+
+  test('cancels postings at a closed school with their dependents and covers a merged group from its host', () => {
+    const committed = [
+      posting(1, 7, 10),
+      posting(2, 7, 30, { is_primary: false, merged_with_posting_id: 1 }),
+      posting(3, 8, 20),
+      posting(4, 9, 21),
+    ];
+
+    const result = runRepairAlgorithm(
+      [supervisor(7), supervisor(8), supervisor(9)],
+      committed,
+      [
+        { type: 'school_closed', school_id: 10 },
+        { type: 'group_merged', school_id: 21, group_number: 1, into: { school_id: 20, group_number: 1 } },
+        { type: 'school_closed', school_id: 99 },
+      ]
+    );
+
+    expect(result.moves).toEqual([]);
+    expect(result.cancellations.map((c) => [c.posting.posting_id, c.reason, c.dependents.map((d) => d.posting_id)]))
+      .toEqual([[1, 'school_closed', [2]], [4, 'group_merged', []]]);
+    expect(result.merged_cover).toEqual([
+      expect.objectContaining({ host: { posting_id: 3, supervisor_id: 8 } }),
+    ]);
+    expect(result.warnings).toContain('A school closed change affects no active postings');
+  });
+});
+
+describe('repair endpoints', () => {
+  const session = {
+    id: 9,
+    name: '2026/2027',
+    max_supervision_visits: 2,
+    max_posting_per_supervisor: 2,
+    inside_distance_threshold_km: '10.00',
+    dsa_enabled: 0,
+  };
+
+  const rank = {
+    rank_id: 2,
+    rank_code: 'L1',
+    priority_number: 1,
+    local_running_allowance: '5000.00',
+    transport_per_km: '100.00',
+    dsa: '0.00',
+    dta: '20000.00',
+    tetfund: '15000.00',
+  };
+
+  // 50km: transport 5000 + dta 20000, tetfund 15000 once per supervisor
+  const allowances = { transport: '5000.00', dsa: '0.00', dta: '20000.00', local_running: '0.00', tetfund: '15000.00' };
+
+  function mockRepairData() {
+    mockDb.setMockResult('SELECT * FROM academic_sessions WHERE id = ? AND institution_id = ?', [session]);
+    mockDb.setMockResult('SELECT id, name FROM users WHERE id = ?', [{ id: 7, name: 'Dr. Musa' }]);
+    mockDb.setMockResult('SELECT * FROM academic_sessions WHERE id = ? AND institution_id = ?', [session]);
+    mockDb.setMockResult('FROM users u', [
+      { id: 7, name: 'Dr. Musa', current_postings: 1, remaining_slots: 1, ...rank },
+      { id: 8, name: 'Dr. Bello', current_postings: 1, remaining_slots: 1, ...rank },
+    ]);
+    mockDb.setMockResult('sp.is_primary_posting, sp.merged_with_posting_id', [
+      { ...posting(1, 7, 10, { distance_km: '50.00' }), supervisor_name: 'Dr. Musa', is_primary_posting: 1, ...allowances },
+      { ...posting(2, 8, 11, { distance_km: '50.00' }), supervisor_name: 'Dr. Bello', is_primary_posting: 1, ...allowances },
+    ]);
+  }
+
+  const body = {
+    session_id: 9,
+    posting_type: 'random',
+    changes: [{ type: 'supervisor_withdrawn', supervisor_id: 7 }],
+  };
+
+  async function run(handler, reqBody) {
+    const res = { json: jest.fn() };
+    const next = jest.fn();
+    await handler({ params: { institutionId: '5' }, query: {}, body: reqBody, user: { id: 1, role: 'super_admin' } }, res, next);
+    return { body: res.json.mock.calls[0]?.[0], error: next.mock.calls[0]?.[0] };
+  }
+
+  beforeEach(() => mockDb.resetMocks());
+
+  test('preview lists the move and its allowance change per supervisor', async () => {
+    mockRepairData();
+
+    const { body: response, error } = await run(autoPostingController.previewRepair, body);
+
+    expect(error).toBeUndefined();
+    const { moves, allowance_deltas: deltas, totals, plan_hash: planHash } = response.data;
+    expect(moves).toEqual([
+      expect.objectContaining({
+        posting_id: 1,
+        from: { supervisor_id: 7, supervisor_name: 'Dr. Musa', total: 40000 },
+        to: expect.objectContaining({ supervisor_id: 8, supervisor_name: 'Dr. Bello', total: 40000 }),
+      }),
+    ]);
+    // Dr. Bello already receives tetfund, so only the trip itself is added
+    expect(deltas).toEqual([
+      { supervisor_id: 7, supervisor_name: 'Dr. Musa', before: 40000, after: 0, delta: -40000 },
+      { supervisor_id: 8, supervisor_name: 'Dr. Bello', before: 40000, after: 65000, delta: 25000 },
+    ]);
+    expect(totals).toEqual(expect.objectContaining({ moved: 1, unfilled: 0, allowance_delta: -15000 }));
+    expect(planHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(mockDb.wasQueryExecuted('UPDATE supervisor_postings')).toBe(false);
+  });
+
+  test('apply refuses a plan that no longer matches the preview', async () => {
+    mockRepairData();
+
+    const { error } = await run(autoPostingController.applyRepair, { ...body, plan_hash: 'a'.repeat(64) });
+
+    expect(error).toBeDefined();
+    expect(error.statusCode).toBe(409);
+    expect(mockDb.wasQueryExecuted('UPDATE supervisor_postings')).toBe(false);
+  });
+
+  test('apply refuses a plan that was never previewed', async () => {
+    mockRepairData();
+
+    const { error } = await run(autoPostingController.applyRepair, body);
+
+    expect(error.statusCode).toBe(400);
+    expect(error.details.body).toEqual(['plan_hash from the preview is required']);
+    expect(mockDb.getQueryHistory()).toHaveLength(0);
+  });
+});
@@ -19,6 +19,15 @@ const AUTO_POSTING_PATHS = [
   { path: '/:institutionId/auto-posting/execute', method: 'post' },
   { path: '/:institutionId/auto-posting/history', method: 'get' },
   { path: '/:institutionId/auto-posting/:batchId/rollback', method: 'post' },
+  { path: '/:institutionId/auto-posting/scenarios', method: 'get' },
+  { path: '/:institutionId/auto-posting/scenarios', method: 'post' },
+  { path: '/:institutionId/auto-posting/scenarios/:scenarioId', method: 'get' },
+  { path: '/:institutionId/auto-posting/scenarios/:scenarioId/recompute', method: 'post' },
+  { path: '/:institutionId/auto-posting/scenarios/:scenarioId/execute', method: 'post' },
+  { path: '/:institutionId/auto-posting/scenarios/:scenarioId', method: 'delete' },
+  { path: '/:institutionId/auto-posting/repair/options', method: 'get' },
+  { path: '/:institutionId/auto-posting/repair/preview', method: 'post' },
+  { path: '/:institutionId/auto-posting/repair/apply', method: 'post' },
 ];
 
 const layerFor = ({ path, method }) =>
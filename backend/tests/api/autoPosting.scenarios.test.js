@@ -0,0 +1,166 @@
+/**
+ * Auto-Posting Scenario Tests
+ *
+ * Saving named what-if scenarios with their comparison metrics, and the
+ * draft / executing / superseded / executed lifecycle - mocked database, no HTTP.
+ */
+
+const crypto = require('crypto');
+const mockDb = require('../mocks/database');
+
+jest.mock('../../src/db/database', () => mockDb);
+
+const autoPostingController = require('../../src/controllers/autoPostingController');
+
+const session = {
+  id: 9,
+  name: '2026/2027',
+  max_supervision_visits: 1,
+  max_posting_per_supervisor: 2,
+  inside_distance_threshold_km: '10.00',
+  dsa_enabled: 0,
+};
+
+const rank = {
+  rank_id: 2,
+  rank_code: 'L1',
+  priority_number: 1,
+  local_running_allowance: '5000.00',
+  transport_per_km: '100.00',
+  dsa: '0.00',
+  dta: '20000.00',
+  tetfund: '15000.00',
+};
+
+function buildReq({ params = {}, query = {}, body = {} } = {}) {
+  return { params: { institutionId: '5', ...params }, query, body, user: { id: 1, role: 'super_admin' } };
+}
+
+async function run(handler, req) {
+  const res = { json: jest.fn(), status: jest.fn() };
+  res.status.mockReturnValue(res);
+  const next = jest.fn();
+  await handler(req, res, next);
+  return { res, body: res.json.mock.calls[0]?.[0], error: next.mock.calls[0]?.[0] };
+}
+
+function mockPlanningData() {
+  // getSession is read twice: once for the plan, once for the posting cap
+  mockDb.setMockResult('SELECT * FROM academic_sessions WHERE id = ? AND institution_id = ?', [session]);
+  mockDb.setMockResult('SELECT * FROM academic_sessions WHERE id = ? AND institution_id = ?', [session]);
+  mockDb.setMockResult('FROM users u', [
+    { id: 7, name: 'Dr. Musa', current_postings: 0, remaining_slots: 2, ...rank },
+    { id: 8, name: 'Dr. Bello', current_postings: 0, remaining_slots: 2, ...rank },
+  ]);
+  mockDb.setMockResult('SELECT max_supervision_visits FROM academic_sessions', [{ max_supervision_visits: 1 }]);
+  mockDb.setMockResult('COUNT(DISTINCT sa.student_id)', [
+    { school_id: 10, school_name: 'GSS Near', lga: 'A', route_id: null, distance_km: '5.00', group_number: 1, student_count: 4 },
+    { school_id: 11, school_name: 'GSS Far', lga: 'B', route_id: null, distance_km: '50.00', group_number: 1, student_count: 4 },
+  ]);
+}
+
+const scenarioRow = (overrides = {}) => ({
+  id: 3,
+  institution_id: 5,
+  session_id: 9,
+  name: 'Route based',
+  criteria: JSON.stringify({ session_id: 9, number_of_postings: 1, posting_type: 'route_based' }),
+  metrics: JSON.stringify({ total_allowance: 1 }),
+  statistics: null,
+  warnings: '[]',
+  assignments: JSON.stringify([{ supervisor_id: 7, school_id: 10, group_number: 1, visit_number: 1 }]),
+  status: 'draft',
+  ...overrides,
+});
+
+describe('auto-posting scenarios', () => {
+  beforeEach(() => mockDb.resetMocks());
+
+  test('saving a scenario stores its assignments and the metrics it is compared on', async () => {
+    mockPlanningData();
+
+    const { res, body, error } = await run(autoPostingController.createScenario, buildReq({
+      body: { session_id: 9, name: 'Balanced', posting_type: 'random', weights: { load: 500 } },
+    }));
+
+    expect(error).toBeUndefined();
+    expect(res.status).toHaveBeenCalledWith(201);
+    // One posting at 5 km (local running) and one at 50 km (transport + DTA + tetfund)
+    expect(body.data.metrics).toMatchObject({
+      assignments: 2,
+      supervisors_posted: 2,
+      unfilled_slots: 0,
+      total_allowance: 5000 + 50 * 100 + 20000 + 15000,
+      load_stddev: 0,
+      travel_stddev_km: 22.5,
+      repeat_schools: 0,
+    });
+
+    const insert = mockDb.getQueryHistory().find((q) => q.sql.includes('INSERT INTO auto_posting_scenarios'));
+    expect(insert.params.slice(0, 3)).toEqual([5, 9, 'Balanced']);
+    expect(JSON.parse(insert.params[3]).weights).toEqual({ load: 500 });
+    expect(JSON.parse(insert.params[7])).toHaveLength(2);
+  });
+
+  test('rejects a duplicate name and unknown weight keys', async () => {
+    mockDb.setMockResult('SELECT id FROM auto_posting_scenarios', [{ id: 3 }]);
+    const duplicate = await run(autoPostingController.createScenario, buildReq({
+      body: { session_id: 9, name: 'Route based' },
+    }));
+    expect(duplicate.error.statusCode).toBe(409);
+
+    const badWeights = await run(autoPostingController.createScenario, buildReq({
+      body: { session_id: 9, name: 'Odd', weights: { priority: 10 } },
+    }));
+    expect(badWeights.error.statusCode).toBe(400);
+  });
+
+  test('a superseded scenario must be recomputed before it can be executed', async () => {
+    mockDb.setMockResult('FROM auto_posting_scenarios WHERE id = ?', [scenarioRow({ status: 'superseded' })]);
+
+    const { error } = await run(autoPostingController.executeScenario, buildReq({ params: { scenarioId: '3' } }));
+
+    expect(error.message).toMatch(/recompute it first/);
+    expect(mockDb.getQueryHistory().some((q) => q.sql.includes('INSERT INTO auto_posting_batches'))).toBe(false);
+  });
+
+  test('a scenario is claimed once, and refused when postings changed after it was planned', async () => {
+    mockDb.setMockResult('FROM auto_posting_scenarios WHERE id = ?', [scenarioRow({ posting_state_hash: 'a'.repeat(64) })]);
+    mockDb.setMockResult("SET status = 'executing'", { affectedRows: 0 });
+    const raced = await run(autoPostingController.executeScenario, buildReq({ params: { scenarioId: '3' } }));
+    expect(raced.error.statusCode).toBe(409);
+    expect(mockDb.getQueriesMatching('FROM supervisor_postings')).toHaveLength(0);
+
+    mockDb.resetMocks();
+    mockDb.setMockResult('FROM auto_posting_scenarios WHERE id = ?', [scenarioRow({ posting_state_hash: 'a'.repeat(64) })]);
+    mockDb.setMockResult("SET status = 'executing'", { affectedRows: 1 });
+    mockDb.setMockResult('FROM supervisor_postings', [
+      { id: 40, supervisor_id: 8, institution_school_id: 10, group_number: 1, visit_number: 1, status: 'active' },
+    ]);
+    const { error } = await run(autoPostingController.executeScenario, buildReq({ params: { scenarioId: '3' } }));
+
+    expect(error.message).toMatch(/recompute it first/);
+    const [superseded] = mockDb.getQueriesMatching("SET status = 'superseded'");
+    expect(superseded.params).toEqual([3]);
+    expect(mockDb.getQueriesMatching('INSERT INTO auto_posting_batches')).toHaveLength(0);
+  });
+
+  test('recomputing re-plans with the stored criteria and returns the scenario to draft', async () => {
+    mockDb.setMockResult('FROM auto_posting_scenarios WHERE id = ?', [scenarioRow({ status: 'superseded' })]);
+    mockPlanningData();
+    mockDb.setMockResult('UPDATE auto_posting_scenarios', { affectedRows: 1 });
+
+    const { body, error } = await run(autoPostingController.recomputeScenario, buildReq({ params: { scenarioId: '3' } }));
+
+    expect(error).toBeUndefined();
+    expect(body.data.status).toBe('draft');
+    expect(body.data.criteria.posting_type).toBe('route_based');
+
+    const update = mockDb.getQueryHistory().find((q) => q.sql.includes('UPDATE auto_posting_scenarios'));
+    expect(update.sql).toContain("status = 'draft'");
+    expect(JSON.parse(update.params[0]).total_allowance).toBe(45000);
+    // No postings yet - the plan is tied to that empty state
+    expect(update.params[4]).toBe(crypto.createHash('sha256').update('[]').digest('hex'));
+    expect(update.params[5]).toBe(3);
+  });
+});
@@ -704,6 +704,42 @@ describe('dean allocation ceiling', () => {
   });
 });
 
+// ============================================================================
+// STUDENT SCHOOL CHOICES
+// ============================================================================
+
+describe('student school choices', () => {
+  // Schools 1-5, one group each; students at schools 4 and 5 ranked them
+  const rankedSlots = () => makeClusteredSlots({ clusters: [5], visits: 1 }).map((slot) => ({
+    ...slot,
+    preference_score: { 4: 3, 5: 1.5 }[slot.school_id] || 0,
+  }));
+  const schoolsPosted = (assignments) => assignments.map((a) => a.school_id).sort();
+
+  it('keeps the slots students chose when the ceiling cannot cover every slot', () => {
+    const { assignments, warnings } = runAutoPostingAlgorithm(
+      makeSupervisors(2), rankedSlots(), 1, 'random', false, { maxAssignments: 2 }
+    );
+
+    expect(schoolsPosted(assignments)).toEqual([4, 5]);
+    expect(warnings).toContain('3 slot(s) skipped - the posting allocation for this session is exhausted');
+
+    const unweighted = runAutoPostingAlgorithm(
+      makeSupervisors(2), rankedSlots(), 1, 'random', false, { maxAssignments: 2, weights: { preference: 0 } }
+    );
+    expect(schoolsPosted(unweighted.assignments)).not.toEqual([4, 5]);
+  });
+
+  it('weighs first choices above later ones when capacity runs short', () => {
+    const { assignments, warnings } = runAutoPostingAlgorithm(
+      makeSupervisors(1, { remainingSlots: 1 }), rankedSlots(), 1, 'random', false
+    );
+
+    expect(schoolsPosted(assignments)).toEqual([4]);
+    expect(warnings.some((w) => w.startsWith('4 slot(s) could not be assigned'))).toBe(true);
+  });
+});
+
 // ============================================================================
 // STATISTICAL HELPERS
 // ============================================================================
@@ -0,0 +1,104 @@
+/**
+ * Email Log Tests
+ *
+ * Unit tests for the delivery log / dead-letter admin handlers: institution
+ * scoping, hashed recipient filtering and audited retries - mocked database,
+ * no HTTP.
+ */
+
+const crypto = require('crypto');
+const mockDb = require('../mocks/database');
+
+jest.mock('../../src/db/database', () => mockDb);
+
+const emailLogController = require('../../src/controllers/emailLogController');
+const { NotFoundError } = require('../../src/utils/errors');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+function buildReq({ params = {}, query = {}, body = {} } = {}) {
+  return { params, query, body, ip: '127.0.0.1', user: { id: 15, role: 'head_of_teaching_practice' } };
+}
+
+async function run(handler, req) {
+  const res = { json: jest.fn() };
+  const next = jest.fn();
+  await handler(req, res, next);
+  return { body: res.json.mock.calls[0]?.[0], error: next.mock.calls[0]?.[0] };
+}
+
+const findQuery = (fragment) => mockDb.getQueryHistory().find((q) => q.sql.includes(fragment));
+
+describe('emailLogController', () => {
+  beforeEach(() => mockDb.resetMocks());
+
+  test('lists an institution\'s logs filtered by template, hashed recipient and status', async () => {
+    mockDb.setMockResult("COALESCE(i.name, 'System') as institution_name", [
+      { id: 1, email_type: 'postingNotification', status: 'failed', queue_status: 'dead-letter' },
+      { id: 2, email_type: 'postingNotification', status: 'failed', queue_status: 'pending' },
+    ]);
+    mockDb.setMockResult('SELECT COUNT(*) as total FROM email_logs', [{ total: 2 }]);
+
+    const { body } = await run(emailLogController.getLogs, buildReq({
+      params: { institutionId: '3' },
+      query: { template: 'postingNotification', recipient: ' Musa@Example.com ', status: 'failed', institution_id: '9' },
+    }));
+
+    const list = findQuery('ORDER BY el.sent_at DESC');
+    expect(list.params.slice(0, 4)).toEqual([3, 'postingNotification', sha256('musa@example.com'), 'failed']);
+    expect(body.data.map((log) => log.retryable)).toEqual([true, false]);
+    expect(body.pagination.total).toBe(2);
+  });
+
+  test('global logs cover every institution unless one is requested', async () => {
+    mockDb.setMockResult('SELECT COUNT(*) as total FROM email_logs', [{ total: 0 }]);
+    await run(emailLogController.getLogs, buildReq());
+    expect(findQuery('ORDER BY el.sent_at DESC').sql).not.toContain('el.institution_id = ?');
+
+    mockDb.resetMocks();
+    await run(emailLogController.getLogs, buildReq({ query: { institution_id: '9' } }));
+    expect(findQuery('ORDER BY el.sent_at DESC').params[0]).toBe(9);
+  });
+
+  test('summarises v_email_stats by template and day', async () => {
+    mockDb.setMockResult('FROM v_email_stats', [
+      { email_type: 'passwordReset', status: 'sent', date: '2026-03-02', count: '8' },
+      { email_type: 'passwordReset', status: 'failed', date: '2026-03-02', count: '2' },
+      { email_type: 'postingNotification', status: 'sent', date: '2026-03-01', count: '5' },
+    ]);
+    mockDb.setMockResult('FROM email_queue', [{ status: 'dead-letter', count: '2' }]);
+
+    const { body } = await run(emailLogController.getStats, buildReq({ params: { institutionId: '3' } }));
+
+    expect(body.data.totals).toEqual({ total: 15, sent: 13, failed: 2, failure_rate: 0.133 });
+    expect(body.data.by_template[0]).toEqual({ template: 'passwordReset', sent: 8, failed: 2 });
+    expect(body.data.by_date.map((d) => d.date)).toEqual(['2026-03-01', '2026-03-02']);
+    expect(body.data.queue).toEqual({ pending: 0, processing: 0, dead_letter: 2 });
+  });
+
+  test('retrying a job from another institution is not found', async () => {
+    mockDb.setMockResult("SET status = 'pending', attempts = 0", { affectedRows: 0 });
+
+    const { error } = await run(emailLogController.retryDeadLetter, buildReq({
+      params: { institutionId: '3', jobId: 'email_1_abc' },
+    }));
+
+    expect(error).toBeInstanceOf(NotFoundError);
+    expect(findQuery('attempts = 0').params).toEqual([3, 'email_1_abc']);
+    expect(findQuery('INSERT INTO audit_logs')).toBeUndefined();
+  });
+
+  test('bulk retry requeues matching dead letters and audits it', async () => {
+    mockDb.setMockResult("SET status = 'pending', attempts = 0", { affectedRows: 3 });
+
+    const { body } = await run(emailLogController.bulkRetryDeadLetters, buildReq({
+      params: { institutionId: '3' },
+      body: { template: 'postingNotification' },
+    }));
+
+    expect(body.data.count).toBe(3);
+    const audit = findQuery('INSERT INTO audit_logs');
+    expect(audit.params.slice(0, 4)).toEqual([3, 15, 'staff', 'email_retry']);
+    expect(JSON.parse(audit.params[6])).toMatchObject({ template: 'postingNotification', count: 3 });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Email Queue Tests
+ *
+ * The queue is stored in MySQL: enqueue persists an encrypted payload, workers
+ * claim rows with a token-stamped UPDATE, and failures are rescheduled or moved
+ * to dead-letter. Runs against the mocked database and a mocked emailService.
+ */
+
+const mockDb = require('../mocks/database');
+
+jest.mock('../../src/db/database', () => mockDb);
+jest.mock('../../src/services/emailService', () => ({
+  sendEmail: jest.fn(),
+}));
+
+const emailService = require('../../src/services/emailService');
+const encryptionService = require('../../src/services/encryptionService');
+const emailQueueService = require('../../src/services/emailQueueService');
+
+const history = () => mockDb.getQueryHistory();
+const findQuery = (fragment) => history().find((q) => q.sql.includes(fragment));
+
+function storedRow(overrides = {}) {
+  return {
+    id: 7,
+    job_id: 'email_1_abc',
+    institution_id: 3,
+    template: 'passwordReset',
+    payload: encryptionService.encrypt(JSON.stringify({
+      to: 'ada@example.com',
+      template: 'passwordReset',
+      data: { name: 'Ada', resetUrl: 'https://example.com/reset' },
+    })),
+    attempts: 0,
+    locked_by: 'worker:1',
+    ...overrides,
+  };
+}
+
+describe('emailQueueService', () => {
+  beforeEach(() => {
+    mockDb.resetMocks();
+    emailService.sendEmail.mockReset();
+  });
+
+  afterEach(() => {
+    emailQueueService.stopProcessing();
+  });
+
+  test('enqueue stores the job with an encrypted payload and priority', async () => {
+    const jobId = await emailQueueService.enqueue(3, {
+      to: 'ada@example.com',
+      template: 'passwordReset',
+      data: { resetUrl: 'https://example.com/reset?token=secret' },
+    }, { priority: 'high' });
+
+    const insert = findQuery('INSERT INTO email_queue');
+    expect(jobId).toMatch(/^email_/);
+    expect(insert.params[0]).toBe(jobId);
+    expect(insert.params[5]).toBe(1);
+    expect(insert.params[4]).not.toContain('secret');
+    expect(JSON.parse(encryptionService.decrypt(insert.params[4])).to).toBe('ada@example.com');
+  });
+
+  test('processQueue claims rows with a token and completes sent emails', async () => {
+    mockDb.setMockResult("SET status = 'processing'", { affectedRows: 1 });
+    mockDb.setMockResult('WHERE locked_by = ?', [storedRow()]);
+    emailService.sendEmail.mockResolvedValue({ success: true });
+
+    await emailQueueService.processQueue();
+
+    const claim = findQuery("SET status = 'processing'");
+    const read = findQuery('WHERE locked_by = ?');
+    expect(read.params[0]).toBe(claim.params[0]);
+    expect(emailService.sendEmail).toHaveBeenCalledWith(3, expect.objectContaining({ to: 'ada@example.com' }));
+    expect(findQuery("SET status = 'completed', payload = NULL")).toBeDefined();
+  });
+
+  test('a failed send is rescheduled with backoff', async () => {
+    mockDb.setMockResult("SET status = 'processing'", { affectedRows: 1 });
+    mockDb.setMockResult('WHERE locked_by = ?', [storedRow()]);
+    emailService.sendEmail.mockResolvedValue({ success: false, error: 'SMTP down' });
+
+    await emailQueueService.processQueue();
+
+    const retry = findQuery("SET status = 'pending', attempts = ?");
+    expect(retry.params[0]).toBe(1);
+    expect(retry.params[1]).toBe('SMTP down');
+    expect(retry.params[2]).toBeGreaterThan(0);
+  });
+
+  test('the last failed attempt moves the job to dead-letter', async () => {
+    mockDb.setMockResult("SET status = 'processing'", { affectedRows: 1 });
+    mockDb.setMockResult('WHERE locked_by = ?', [storedRow({ attempts: 2 })]);
+    emailService.sendEmail.mockRejectedValue(new Error('Mailbox unavailable'));
+
+    await emailQueueService.processQueue();
+
+    const dead = findQuery("SET status = 'dead-letter'");
+    expect(dead.params.slice(0, 2)).toEqual([3, 'Mailbox unavailable']);
+  });
+
+  test('nothing is read back when no rows were claimed', async () => {
+    mockDb.setMockResult("SET status = 'processing'", { affectedRows: 0 });
+
+    await emailQueueService.processQueue();
+
+    expect(findQuery('WHERE locked_by = ?')).toBeUndefined();
+    expect(emailService.sendEmail).not.toHaveBeenCalled();
+  });
+
+  test('retryDeadLetter reports whether a dead-letter job was found', async () => {
+    mockDb.setMockResult("SET status = 'pending', attempts = 0", { affectedRows: 1 });
+    await expect(emailQueueService.retryDeadLetter('email_1_abc', { institutionId: 3 })).resolves.toBe(true);
+    expect(findQuery('attempts = 0').params).toEqual([3, 'email_1_abc']);
+
+    mockDb.setMockResult("SET status = 'pending', attempts = 0", { affectedRows: 0 });
+    await expect(emailQueueService.retryDeadLetter('email_1_abc')).resolves.toBe(false);
+  });
+
+  test('retryDeadLetters requeues everything matching the filters', async () => {
+    mockDb.setMockResult("SET status = 'pending', attempts = 0", { affectedRows: 4 });
+
+    const count = await emailQueueService.retryDeadLetters({ institutionId: 3, template: 'postingNotification' });
+
+    const retry = findQuery('attempts = 0');
+    expect(count).toBe(4);
+    expect(retry.sql).toContain('institution_id = ?');
+    expect(retry.params).toEqual([3, 'postingNotification']);
+  });
+
+  test('getJobStatus and getDeadLetterQueue read from the stored queue', async () => {
+    mockDb.setMockResult('FROM email_queue WHERE job_id = ?', [{
+      job_id: 'email_1_abc', status: 'dead-letter', attempts: 3, last_error: 'SMTP down',
+      created_at: '2026-01-01T10:00:00Z', failed_at: '2026-01-01T10:05:00Z',
+    }]);
+    const status = await emailQueueService.getJobStatus('email_1_abc');
+    expect(status).toMatchObject({ id: 'email_1_abc', status: 'dead-letter', attempts: 3 });
+    expect(status.failedAt).toBe('2026-01-01T10:05:00.000Z');
+
+    mockDb.setMockResult("WHERE status = 'dead-letter' ORDER BY", [
+      storedRow({ status: 'dead-letter', attempts: 3, last_error: 'SMTP down', failed_at: '2026-01-01T10:05:00Z' }),
+    ]);
+    const dead = await emailQueueService.getDeadLetterQueue(10);
+    expect(dead[0]).toMatchObject({ id: 'email_1_abc', to: 'ada@example.com', template: 'passwordReset' });
+  });
+
+  test('getHealth summarises every worker from the table', async () => {
+    mockDb.setMockResult('FROM email_queue', [{
+      pending: '4', retrying: '1', processing: '2', dead_letter: '3', avg_wait_ms: '1500.4', oldest_age_ms: '9000',
+    }]);
+
+    const health = await emailQueueService.getHealth();
+
+    expect(health).toMatchObject({
+      queueSize: 6, pending: 4, retrying: 1, processing: 2, deadLetter: 3, avgWaitTimeMs: 1500, oldestJobAgeMs: 9000,
+    });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Key-Value Store Tests
+ *
+ * TTLs and single-use reads on the memory driver, the MySQL driver's
+ * queries against the mocked database, and the two features moved onto the
+ * store: rate limits and SSO exchange tokens.
+ */
+
+const mockDb = require('../mocks/database');
+
+jest.mock('../../src/db/database', () => mockDb);
+
+const keyValueStore = require('../../src/services/keyValueStore');
+const { createRateLimiter, authRateLimiter } = require('../../src/middleware/rateLimiter');
+const authController = require('../../src/controllers/authController');
+
+const mockResponse = () => {
+  const res = { json: jest.fn(), status: jest.fn(), setHeader: jest.fn(), send: jest.fn() };
+  res.status.mockReturnValue(res);
+  return res;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  keyValueStore.useDriver('memory');
+});
+
+describe('memory driver', () => {
+  test('expires values and hands a taken value to one caller only', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    await keyValueStore.set('test:a', { userId: 7 }, 1000);
+    await keyValueStore.set('test:b', 'kept', 5000);
+    expect(await keyValueStore.get('test:a')).toEqual({ userId: 7 });
+
+    Date.now.mockReturnValue(now + 1000);
+    expect(await keyValueStore.get('test:a')).toBeNull();
+
+    expect(await keyValueStore.take('test:b')).toBe('kept');
+    expect(await keyValueStore.take('test:b')).toBeNull();
+  });
+
+  test('counts hits in a fixed window that starts again once it expires', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    expect(await keyValueStore.increment('test:hits', 1000)).toBe(1);
+    Date.now.mockReturnValue(now + 400);
+    expect(await keyValueStore.increment('test:hits', 1000)).toBe(2);
+    await keyValueStore.decrement('test:hits');
+    expect(await keyValueStore.get('test:hits')).toBe(1);
+
+    Date.now.mockReturnValue(now + 1000);
+    expect(await keyValueStore.increment('test:hits', 1000)).toBe(1);
+    expect(await keyValueStore.purgeExpired()).toBe(0);
+  });
+});
+
+describe('mysql driver', () => {
+  beforeEach(() => {
+    mockDb.resetMocks();
+    keyValueStore.useDriver('mysql');
+  });
+
+  test('only the caller that deletes the row gets a taken value', async () => {
+    mockDb.setMockResult('SELECT value FROM key_value_store', [{ value: '{"userId":7}' }]);
+    mockDb.setMockResult('DELETE FROM key_value_store', { affectedRows: 1 });
+    expect(await keyValueStore.take('sso:abc')).toEqual({ userId: 7 });
+
+    mockDb.setMockResult('SELECT value FROM key_value_store', [{ value: '{"userId":7}' }]);
+    mockDb.setMockResult('DELETE FROM key_value_store', { affectedRows: 0 });
+    expect(await keyValueStore.take('sso:abc')).toBeNull();
+
+    const [read] = mockDb.getQueriesMatching('SELECT value FROM key_value_store');
+    expect(read.sql).toContain('expires_at > NOW(3)');
+  });
+
+  test('increments with a single upsert that returns the count', async () => {
+    mockDb.setMockResult('INSERT INTO key_value_store', { insertId: 3, affectedRows: 2 });
+    expect(await keyValueStore.increment('rate:api:1', 60000)).toBe(3);
+
+    // A fresh row reports no insertId
+    mockDb.setMockResult('INSERT INTO key_value_store', { insertId: 0, affectedRows: 1 });
+    expect(await keyValueStore.increment('rate:api:1', 60000)).toBe(1);
+
+    const upserts = mockDb.getQueriesMatching('key_value_store');
+    expect(upserts).toHaveLength(2);
+    expect(upserts[0].sql).toContain('LAST_INSERT_ID(');
+    expect(upserts[0].params).toEqual(['rate:api:1', 60000000]);
+  });
+});
+
+describe('features on the store', () => {
+  test('rate limiters with the same key share one budget', async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(Math.floor(Date.now() / 60000) * 60000);
+    // Two limiter instances stand in for two workers
+    const options = { windowMs: 60000, maxRequests: 2, keyGenerator: () => 'shared-test' };
+    const workerA = createRateLimiter(options);
+    const workerB = createRateLimiter(options);
+
+    const next = jest.fn();
+    await workerA({}, mockResponse(), next);
+    await workerB({}, mockResponse(), next);
+    expect(next).toHaveBeenCalledTimes(2);
+
+    const blocked = mockResponse();
+    await workerA({}, blocked, next);
+    expect(next).toHaveBeenCalledTimes(2);
+    expect(blocked.status).toHaveBeenCalledWith(429);
+    expect(blocked.setHeader).toHaveBeenCalledWith('Retry-After', 60);
+  });
+
+  test('hashes limiter keys and keeps login limits closed when the store fails', async () => {
+    mockDb.resetMocks();
+    keyValueStore.useDriver('mysql');
+    const req = { ip: '10.0.0.5', body: { email: `${'a'.repeat(5000)}@fue.edu.ng` } };
+
+    const next = jest.fn();
+    await authRateLimiter(req, mockResponse(), next);
+    expect(next).toHaveBeenCalled();
+    const [upsert] = mockDb.getQueriesMatching('INSERT INTO key_value_store');
+    expect(upsert.params[0]).toMatch(/^rate:[0-9a-f]{64}:\d+$/);
+
+    mockDb.setMockError(new Error("Data too long for column 'store_key'"));
+    const res = mockResponse();
+    const blockedNext = jest.fn();
+    await authRateLimiter(req, res, blockedNext);
+    expect(blockedNext).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(503);
+  });
+
+  test('a scheduled sweep is claimed by one worker per window', async () => {
+    const claims = await Promise.all([1, 2, 3].map(() => keyValueStore.claim('sweep:test:481234', 60000)));
+    expect(claims).toEqual([true, false, false]);
+    expect(await keyValueStore.claim('sweep:test:481235', 60000)).toBe(true);
+  });
+
+  test('an SSO token minted by one request is exchanged exactly once', async () => {
+    mockDb.resetMocks();
+    const generated = mockResponse();
+    await authController.generateSsoToken(
+      { user: { id: 7, authType: 'staff' }, ip: '10.0.0.5' }, generated, jest.fn()
+    );
+    const { sso_token: ssoToken } = generated.json.mock.calls[0][0].data;
+
+    mockDb.setMockResult('SELECT * FROM users WHERE id = ?', [{ id: 7, role: 'supervisor', institution_id: 1, email: 'ada@fue.edu.ng' }]);
+    const exchanged = mockResponse();
+    const next = jest.fn();
+    const req = { body: { sso_token: ssoToken }, ip: '10.0.0.9', headers: {} };
+    await authController.exchangeSsoToken(req, exchanged, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(exchanged.json.mock.calls[0][0].data.token).toEqual(expect.any(String));
+
+    await authController.exchangeSsoToken(req, mockResponse(), next);
+    expect(next.mock.calls[0][0].message).toBe('Invalid or expired SSO token');
+  });
+});
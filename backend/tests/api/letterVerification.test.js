@@ -0,0 +1,194 @@
+/**
+ * Letter Verification & PDF Tests
+ *
+ * Unit tests for the signed QR tokens printed on letters, their issuance records
+ * and the PDF renderer that embeds them - mocked database, no HTTP.
+ */
+
+const mockDb = require('../mocks/database');
+
+jest.mock('../../src/db/database', () => mockDb);
+jest.mock('../../src/services/emailService', () => ({
+  getFrontendUrl: jest.fn(async () => 'https://fuk.digitaltipi.com/'),
+}));
+
+const letterVerificationService = require('../../src/services/letterVerificationService');
+const pdfService = require('../../src/services/pdfService');
+
+const claims = {
+  institutionId: 3,
+  studentId: 42,
+  sessionId: 7,
+  templateId: 11,
+  templateVersion: 2,
+  documentType: 'posting_letter',
+};
+
+describe('letterVerificationService', () => {
+  test('round-trips claims through a signed token', () => {
+    const token = letterVerificationService.createToken(claims);
+    const decoded = letterVerificationService.verifyToken(token);
+
+    expect(decoded).toMatchObject(claims);
+    expect(decoded.issuedAt).toBeInstanceOf(Date);
+  });
+
+  test('rejects a token whose payload was edited', () => {
+    const token = letterVerificationService.createToken(claims);
+    const [payload, signature] = token.split('.');
+    const tampered = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    tampered.s = 43;
+    const forged = `${Buffer.from(JSON.stringify(tampered)).toString('base64url')}.${signature}`;
+
+    expect(letterVerificationService.verifyToken(forged)).toBeNull();
+  });
+
+  test('rejects malformed tokens', () => {
+    expect(letterVerificationService.verifyToken('')).toBeNull();
+    expect(letterVerificationService.verifyToken('abc')).toBeNull();
+    expect(letterVerificationService.verifyToken('a.b.c')).toBeNull();
+    expect(letterVerificationService.verifyToken(null)).toBeNull();
+  });
+
+  test('issue() records the issuance and builds the public verification URL', async () => {
+    mockDb.setMockResult('INSERT INTO document_render_logs', { insertId: 91 });
+
+    const { token, url, reference, issuanceId } = await letterVerificationService.issue(claims, {
+      snapshot: { student_name: 'Amina Bello', registration_number: 'NCE/2024/001' },
+    });
+
+    expect(issuanceId).toBe(91);
+    expect(letterVerificationService.verifyToken(token).issuanceId).toBe(91);
+    expect(url).toBe(`https://fuk.digitaltipi.com/verify/${token}`);
+    expect(reference).toMatch(/^[A-Z0-9]{4}-[A-Z0-9]{4}-[A-Z0-9]{1,2}$/);
+    expect(mockDb.wasQueryExecuted('UPDATE document_render_logs SET verification_hash')).toBe(true);
+  });
+});
+
+describe('letterVerificationService.verify', () => {
+  const issuance = {
+    id: 91,
+    institution_id: 3,
+    student_id: 42,
+    session_id: 7,
+    document_type: 'posting_letter',
+    snapshot_hash: 'abc',
+    document_snapshot: JSON.stringify({
+      student_name: 'Amina Bello',
+      registration_number: 'NCE/2024/001',
+      school_name: 'GSS Kofar Nassarawa',
+      session_name: '2024/2025',
+    }),
+    rendered_at: new Date('2025-01-15T09:00:00Z'),
+    revoked_at: null,
+    institution_name: 'Federal University',
+  };
+
+  const token = () => letterVerificationService.createToken({ ...claims, issuanceId: 91 });
+
+  beforeEach(() => mockDb.resetMocks());
+
+  test('reports a current issuance as valid with its printed details', async () => {
+    mockDb.setMockResult('FROM document_render_logs drl', [issuance]);
+
+    const result = await letterVerificationService.verify(token());
+
+    expect(result.status).toBe('valid');
+    expect(result.student_name).toBe('Amina Bello');
+    expect(result.school_name).toBe('GSS Kofar Nassarawa');
+    expect(result.institution.name).toBe('Federal University');
+  });
+
+  test('flags a revoked issuance', async () => {
+    mockDb.setMockResult('FROM document_render_logs drl', [{
+      ...issuance, revoked_at: new Date(), revocation_reason: 'Posting cancelled',
+    }]);
+
+    const result = await letterVerificationService.verify(token());
+
+    expect(result.status).toBe('revoked');
+    expect(result.revocation_reason).toBe('Posting cancelled');
+  });
+
+  test('flags an issuance replaced by a later one with different details', async () => {
+    mockDb.setMockResult('FROM document_render_logs drl', [issuance]);
+    mockDb.setMockResult('SELECT id, rendered_at FROM document_render_logs', [{ id: 95, rendered_at: new Date() }]);
+
+    const result = await letterVerificationService.verify(token());
+
+    expect(result.status).toBe('superseded');
+    expect(result.superseded_at).toBeInstanceOf(Date);
+  });
+
+  test('treats signed tokens with no matching issuance as invalid', async () => {
+    const result = await letterVerificationService.verify(token());
+
+    expect(result).toEqual({ status: 'invalid' });
+  });
+
+  test('rejects tampered tokens without querying the database', async () => {
+    const result = await letterVerificationService.verify(`${token()}x`);
+
+    expect(result).toEqual({ status: 'invalid' });
+    expect(mockDb.getQueryHistory()).toHaveLength(0);
+  });
+});
+
+describe('pdfService', () => {
+  test('parseHtml keeps inline formatting and list bullets', () => {
+    const blocks = pdfService.parseHtml('<p>Dear <strong>Student</strong>,</p><ul><li><p>Report on time</p></li></ul>');
+    const [para, item] = blocks;
+
+    expect(para.runs.map((r) => r.text).join('')).toBe('Dear Student,');
+    expect(para.runs.find((r) => r.text === 'Student').bold).toBe(true);
+    expect(item.bullet).toBeTruthy();
+  });
+
+  test('renderLetterPdf produces a PDF with a QR verification panel', async () => {
+    const buffer = await pdfService.renderLetterPdf({
+      institution: { id: 3, name: 'Federal University', primary_color: '#1a5f2a' },
+      document: { html: '<p>Posting letter body</p>', page_size: 'A4', page_orientation: 'portrait' },
+      verification: { url: 'https://fuk.digitaltipi.com/verify/abc.def', reference: 'ABCD-EFGH-IJ' },
+    });
+
+    expect(Buffer.isBuffer(buffer)).toBe(true);
+    expect(buffer.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  test('loads remote images only from the asset hosts over https', async () => {
+    const https = require('https');
+    const get = jest.spyOn(https, 'get');
+
+    for (const url of [
+      'http://res.cloudinary.com/demo/logo.png',
+      'https://169.254.169.254/latest/meta-data/',
+      'https://localhost/logo.png',
+      'https://res.cloudinary.com:8443/demo/logo.png',
+      'https://user@res.cloudinary.com/demo/logo.png',
+    ]) {
+      expect(pdfService.isAllowedImageUrl(url)).toBe(false);
+      await expect(pdfService.loadImage(url)).resolves.toBeNull();
+    }
+    expect(get).not.toHaveBeenCalled();
+    expect(pdfService.isAllowedImageUrl('https://res.cloudinary.com/demo/image/upload/logo.png')).toBe(true);
+
+    get.mockRestore();
+  });
+
+  test('reads local images only from inside the uploads directory', async () => {
+    const fs = require('fs');
+    jest.spyOn(fs, 'existsSync').mockReturnValue(true);
+    const read = jest.spyOn(fs, 'readFileSync');
+
+    await expect(pdfService.loadImage('/uploads/../uploads-old/logo.png')).resolves.toBeNull();
+    await expect(pdfService.loadImage('/uploads/../../.env')).resolves.toBeNull();
+    expect(read).not.toHaveBeenCalled();
+
+    fs.existsSync.mockRestore();
+    read.mockRestore();
+  });
+
+  test('buildFilename strips unsafe characters', () => {
+    expect(pdfService.buildFilename('NCE/2024/001', 'posting_letter')).toBe('NCE-2024-001_posting_letter.pdf');
+  });
+});
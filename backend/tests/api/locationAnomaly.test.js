@@ -0,0 +1,86 @@
+/**
+ * Location Anomaly Tests
+ *
+ * Scoring supervisor check-ins for spoofing signs - impossible travel,
+ * perfect accuracy, clock drift, shared devices and repeated coordinates -
+ * and rescoring recorded check-ins - mocked database, no HTTP.
+ */
+
+const mockDb = require('../mocks/database');
+
+jest.mock('../../src/db/database', () => mockDb);
+
+const { scoreCheckIn } = require('../../src/services/locationAnomalyService');
+const locationController = require('../../src/controllers/locationTrackingController');
+
+// Lagos and Ibadan are about 113 km apart
+const LAGOS = { latitude: 6.5244, longitude: 3.3792 };
+const IBADAN = { latitude: 7.3775, longitude: 3.947 };
+
+describe('scoreCheckIn', () => {
+  test('a normal check-in raises no flags', () => {
+    const result = scoreCheckIn(
+      { ...IBADAN, accuracy_meters: 12, time_drift_seconds: 4, recorded_at: '2026-03-02T12:00:00Z' },
+      { previous: { ...LAGOS, recorded_at: '2026-03-02T08:00:00Z' }, sharedWith: [], identicalCoordinates: 0 }
+    );
+
+    expect(result).toEqual({ score: 0, level: 'low', flags: [] });
+  });
+
+  test('flags impossible travel between consecutive check-ins', () => {
+    const result = scoreCheckIn(
+      { ...IBADAN, accuracy_meters: 12, recorded_at: '2026-03-02T08:20:00Z' },
+      { previous: { ...LAGOS, recorded_at: '2026-03-02T08:00:00Z', school_name: 'Model College' } }
+    );
+
+    expect(result.flags).toHaveLength(1);
+    expect(result.flags[0].code).toBe('impossible_travel');
+    expect(result.flags[0].detail).toMatch(/^113\.\d km from Model College in 20 min \(\d+ km\/h\)$/);
+    expect(result.level).toBe('medium');
+  });
+
+  test('adds up perfect accuracy, clock drift, a shared device and repeated coordinates', () => {
+    const result = scoreCheckIn(
+      { ...LAGOS, accuracy_meters: 0, time_drift_seconds: -900, recorded_at: '2026-03-02T08:00:00Z' },
+      { sharedWith: ['Dr. Bello'], identicalCoordinates: 2 }
+    );
+
+    expect(result.flags.map((f) => f.code)).toEqual([
+      'perfect_accuracy',
+      'clock_drift',
+      'shared_device',
+      'identical_coordinates',
+    ]);
+    expect(result.flags[1].detail).toBe('Device clock 15 min ahead of the server');
+    expect(result.score).toBe(95);
+    expect(result.level).toBe('high');
+  });
+});
+
+describe('rescoreLocationLogs', () => {
+  beforeEach(() => mockDb.resetMocks());
+
+  test('scores each recorded check-in and stores the result', async () => {
+    mockDb.setMockResult('ORDER BY timestamp_server ASC', [
+      { id: 1, supervisor_id: 7, session_id: 2, device_id: 'd1', ...LAGOS, accuracy_meters: 10, time_drift_seconds: 0, timestamp_server: '2026-03-02T08:00:00Z' },
+      { id: 2, supervisor_id: 7, session_id: 2, device_id: 'd1', ...IBADAN, accuracy_meters: 10, time_drift_seconds: 0, timestamp_server: '2026-03-02T08:30:00Z' },
+    ]);
+    // Log 1 has no earlier check-in; log 2 follows log 1
+    mockDb.setMockResult('ORDER BY sll.timestamp_server DESC', []);
+    mockDb.setMockResult('ORDER BY sll.timestamp_server DESC', [{ ...LAGOS, recorded_at: '2026-03-02T08:00:00Z' }]);
+
+    const req = { params: { institutionId: '1' }, body: { session_id: 2 } };
+    const res = { json: jest.fn() };
+    const next = jest.fn();
+    await locationController.rescoreLocationLogs(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    const updates = mockDb.getQueriesMatching('UPDATE supervision_location_logs SET risk_score');
+    expect(updates.map((u) => [u.params[3], u.params[1]])).toEqual([
+      [1, 'low'],
+      [2, 'medium'],
+    ]);
+    expect(JSON.parse(updates[1].params[2])[0].code).toBe('impossible_travel');
+    expect(res.json.mock.calls[0][0].data).toEqual({ total: 2, high: 0, medium: 1, low: 1 });
+  });
+});
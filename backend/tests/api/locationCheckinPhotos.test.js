@@ -0,0 +1,110 @@
+/**
+ * Location Check-in Photo Tests
+ *
+ * Supervisor check-in requires a selfie and a photo of the school; images
+ * already submitted on another check-in are flagged - mocked database and
+ * Cloudinary, no HTTP.
+ */
+
+const crypto = require('crypto');
+const mockDb = require('../mocks/database');
+
+jest.mock('../../src/db/database', () => mockDb);
+jest.mock('../../src/services/cloudinaryService', () => ({
+  uploadImage: jest.fn(async (file, options) => ({
+    url: `https://img.example/${options.studentId}.jpg`,
+    publicId: options.studentId,
+  })),
+}));
+
+const cloudinaryService = require('../../src/services/cloudinaryService');
+const locationController = require('../../src/controllers/locationTrackingController');
+
+const sha256 = (text) => crypto.createHash('sha256').update(Buffer.from(text)).digest('hex');
+
+const image = (text) => [{ buffer: Buffer.from(text), mimetype: 'image/jpeg', originalname: 'capture.jpg' }];
+
+// At the school: the school sits at (6.5, 3.4)
+const checkIn = (files) => ({
+  params: { institutionId: '1' },
+  user: { id: 7 },
+  body: { posting_id: 30, latitude: 6.5, longitude: 3.4, device_info: { device_id: 'abc' } },
+  headers: {},
+  files,
+});
+
+const posting = {
+  id: 30,
+  status: 'active',
+  session_id: 2,
+  institution_school_id: 4,
+  visit_number: 1,
+  school_name: 'Model College',
+  school_latitude: 6.5,
+  school_longitude: 3.4,
+  geofence_radius_m: 100,
+};
+
+const call = async (req) => {
+  const res = { json: jest.fn(), status: jest.fn() };
+  res.status.mockReturnValue(res);
+  const next = jest.fn();
+  await locationController.verifyLocation(req, res, next);
+  return { res, next };
+};
+
+describe('verifyLocation check-in photos', () => {
+  beforeEach(() => {
+    mockDb.resetMocks();
+    cloudinaryService.uploadImage.mockClear();
+  });
+
+  test('rejects a check-in without both a selfie and a site photo', async () => {
+    const { next } = await call(checkIn({ selfie: image('face') }));
+
+    const error = next.mock.calls[0][0];
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toBe('A photo of the school environment taken at the school is required to check in');
+    expect(cloudinaryService.uploadImage).not.toHaveBeenCalled();
+    expect(mockDb.wasQueryExecuted('INSERT INTO supervision_location_logs')).toBe(false);
+  });
+
+  test('uploads both photos and stores their URLs and hashes on the log', async () => {
+    mockDb.setMockResult('FROM supervisor_postings sp', [posting]);
+    mockDb.setMockResult('FROM institutions i', [{ institution_code: 'FUE', session_name: '2025/2026' }]);
+
+    const { res, next } = await call(checkIn({ selfie: image('face'), environment_photo: image('school') }));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(cloudinaryService.uploadImage).toHaveBeenCalledTimes(2);
+    expect(cloudinaryService.uploadImage.mock.calls[0][1]).toMatchObject({ institutionCode: 'FUE', type: 'checkins' });
+
+    const [insert] = mockDb.getQueriesMatching('INSERT INTO supervision_location_logs');
+    // After the 21 location and device columns
+    expect(insert.params.slice(21, 27)).toEqual([
+      'https://img.example/supervisor-7-selfie.jpg',
+      'supervisor-7-selfie',
+      sha256('face'),
+      'https://img.example/supervisor-7-environment_photo.jpg',
+      'supervisor-7-environment_photo',
+      sha256('school'),
+    ]);
+    // Risk score, level and flags follow the photos
+    expect(insert.params.slice(27, 30)).toEqual([0, 'low', '[]']);
+    expect(res.json.mock.calls[0][0].data.photo_reused).toBe(false);
+  });
+
+  test('flags a photo already submitted on an earlier check-in', async () => {
+    mockDb.setMockResult('FROM supervisor_postings sp', [posting]);
+    mockDb.setMockResult('sll.selfie_hash IN', [{ id: 3, visit_number: 1, school_name: 'Unity School' }]);
+
+    const { res } = await call(checkIn({ selfie: image('face'), environment_photo: image('school') }));
+
+    const body = res.json.mock.calls[0][0];
+    expect(body.success).toBe(true);
+    expect(body.data.photo_reused).toBe(true);
+    expect(body.message).toContain('(Note: Photo reused from an earlier check-in at Unity School visit 1)');
+    const [insert] = mockDb.getQueriesMatching('INSERT INTO supervision_location_logs');
+    expect(insert.params).toContain(body.message);
+  });
+});
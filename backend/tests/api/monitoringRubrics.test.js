@@ -0,0 +1,179 @@
+/**
+ * Monitoring Rubric Tests
+ *
+ * Rating monitoring visits against the institution's rubric - per-report
+ * supervisor and school criteria, per-student criteria - and averaging the
+ * ratings for the dashboard - mocked database, no HTTP.
+ */
+
+const mockDb = require('../mocks/database');
+
+jest.mock('../../src/db/database', () => mockDb);
+
+const { scoreReport, summariseRatings } = require('../../src/services/monitoringRubricService');
+const monitoringController = require('../../src/controllers/monitoringController');
+
+const criteria = [
+  { id: 1, label: 'Supervisor Punctuality', category: 'supervisor', max_rating: 5 },
+  { id: 2, label: 'Lesson Plan Quality', category: 'student', max_rating: 5 },
+  { id: 3, label: 'School Cooperation', category: 'school', max_rating: 10 },
+];
+
+describe('scoreReport', () => {
+  test('rates student criteria per student and works out the overall percentage', () => {
+    const result = scoreReport(criteria, {
+      students: [11, 12],
+      ratings: [
+        { criterion_id: 1, rating: 4 },
+        { criterion_id: 2, student_id: 11, rating: 5, comment: ' Clear objectives ' },
+        { criterion_id: 2, student_id: 12, rating: 3 },
+        { criterion_id: 3, rating: 8 },
+      ],
+    });
+
+    expect(result.errors).toEqual([]);
+    expect(result.rows).toHaveLength(4);
+    expect(result.rows[1]).toEqual({ criterion_id: 2, student_id: 11, rating: 5, comment: 'Clear objectives' });
+    // 20 of 25
+    expect(result.overall).toBe(80);
+  });
+
+  test('rejects out-of-range, misplaced and unknown ratings', () => {
+    const result = scoreReport(criteria, {
+      students: [11],
+      ratings: [
+        { criterion_id: 1, rating: 6 },
+        { criterion_id: 2, rating: 3 },
+        { criterion_id: 2, student_id: 99, rating: 3 },
+        { criterion_id: 3, student_id: 11, rating: 5 },
+        { criterion_id: 42, rating: 1 },
+      ],
+    });
+
+    expect(result.rows).toEqual([]);
+    expect(result.overall).toBeNull();
+    expect(result.errors).toEqual([
+      'Supervisor Punctuality must be rated between 0 and 5',
+      'Lesson Plan Quality must be rated per student',
+      'Lesson Plan Quality is rated for student #99, who is not on this report',
+      'School Cooperation is rated once per report, not per student',
+      'Criterion #42 is not part of the active rubric',
+    ]);
+  });
+});
+
+describe('summariseRatings', () => {
+  const row = (reportId, criterionId, rating, schoolId, supervisorId) => {
+    const criterion = criteria.find((c) => c.id === criterionId);
+    return {
+      report_id: reportId,
+      criterion_id: criterionId,
+      criterion_label: criterion.label,
+      category: criterion.category,
+      max_rating: criterion.max_rating,
+      rating,
+      institution_school_id: schoolId,
+      school_name: `School ${schoolId}`,
+      supervisor_id: supervisorId,
+      supervisor_name: `Supervisor ${supervisorId}`,
+      route_id: 1,
+      route_name: 'Route A',
+    };
+  };
+
+  const rows = [
+    row(1, 1, 1, 10, 7),
+    row(1, 3, 9, 10, 7),
+    row(2, 2, 2, 20, 8),
+    row(2, 3, 4, 20, 8),
+    row(3, 2, 4, 20, 8),
+  ];
+
+  test('averages schools without their supervisors\' ratings, weakest first', () => {
+    const summary = summariseRatings(rows, 'school');
+
+    expect(summary.map((g) => [g.name, g.report_count, g.average_percent])).toEqual([
+      // (2 + 4 + 4) of (5 + 10 + 5)
+      ['School 20', 2, 50],
+      // School cooperation only - punctuality belongs to the supervisor
+      ['School 10', 1, 90],
+    ]);
+    expect(summary[0].criteria).toEqual(expect.arrayContaining([
+      expect.objectContaining({ label: 'Lesson Plan Quality', average: 3 }),
+    ]));
+  });
+
+  test('rejects an unknown grouping', () => {
+    expect(() => summariseRatings(rows, 'lga')).toThrow('Unknown group_by');
+  });
+});
+
+describe('createReport with ratings', () => {
+  const assignment = {
+    id: 3,
+    monitor_id: 1,
+    session_id: 9,
+    institution_school_id: 4,
+    school_name: 'GSS Dala',
+  };
+
+  function mockReportData() {
+    mockDb.setMockResult('FROM monitor_assignments ma', [assignment]);
+    mockDb.setMockResult('SELECT id FROM monitoring_reports WHERE assignment_id', []);
+    mockDb.setMockResult('FROM supervisor_postings', [{ id: 50 }]);
+    mockDb.setMockResult('FROM student_acceptances', [{ student_id: 11 }]);
+    mockDb.setMockResult('FROM monitoring_criteria', criteria);
+  }
+
+  async function run(body) {
+    const res = { json: jest.fn(), status: jest.fn() };
+    res.status.mockReturnValue(res);
+    const next = jest.fn();
+    await monitoringController.createReport(
+      { params: { institutionId: '5' }, body, user: { id: 1, role: 'field_monitor' } },
+      res,
+      next
+    );
+    return { body: res.json.mock.calls[0]?.[0], error: next.mock.calls[0]?.[0] };
+  }
+
+  beforeEach(() => mockDb.resetMocks());
+
+  test('stores the supervisor, students and ratings with the overall rating', async () => {
+    mockReportData();
+
+    const { body, error } = await run({
+      assignment_id: 3,
+      supervisor_id: 7,
+      students: [{ student_id: 11, comments: 'Good rapport with the class' }],
+      ratings: [
+        { criterion_id: 1, rating: 5 },
+        { criterion_id: 2, student_id: 11, rating: 4 },
+        { criterion_id: 3, rating: 6 },
+      ],
+    });
+
+    expect(error).toBeUndefined();
+    expect(body.data.overall_rating).toBe(75);
+    const [report] = mockDb.getQueriesMatching('INSERT INTO monitoring_reports');
+    expect(report.params).toEqual([5, 9, 3, 1, 4, 7, null, null, null, 75]);
+    expect(mockDb.getQueriesMatching('INSERT INTO monitoring_report_ratings')).toHaveLength(3);
+    expect(mockDb.wasQueryExecuted('INSERT INTO monitoring_report_students')).toBe(true);
+    expect(mockDb.wasQueryExecuted('INSERT INTO student_results')).toBe(false);
+  });
+
+  test('rejects a rating above the criterion maximum before saving anything', async () => {
+    mockReportData();
+
+    const { error } = await run({
+      assignment_id: 3,
+      supervisor_id: 7,
+      ratings: [{ criterion_id: 3, rating: 11 }],
+    });
+
+    expect(error).toBeDefined();
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toBe('School Cooperation must be rated between 0 and 10');
+    expect(mockDb.wasQueryExecuted('INSERT INTO monitoring_reports')).toBe(false);
+  });
+});
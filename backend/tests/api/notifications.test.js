@@ -0,0 +1,126 @@
+/**
+ * Notification Tests
+ *
+ * notificationService recording and reading, the shared staff/student
+ * notification handlers, and the posting hook - mocked database, no HTTP.
+ */
+
+const mockDb = require('../mocks/database');
+
+jest.mock('../../src/db/database', () => mockDb);
+
+const notificationService = require('../../src/services/notificationService');
+const notificationController = require('../../src/controllers/notificationController');
+
+const findQuery = (fragment) => mockDb.getQueryHistory().find((q) => q.sql.includes(fragment));
+
+const run = async (handler, req) => {
+  const res = { json: jest.fn() };
+  const next = jest.fn();
+  await handler({ params: {}, query: {}, body: {}, ...req }, res, next);
+  return { body: res.json.mock.calls[0]?.[0], error: next.mock.calls[0]?.[0] };
+};
+
+describe('notificationService', () => {
+  beforeEach(() => {
+    mockDb.resetMocks();
+  });
+
+  test('records one row per distinct recipient in a single insert', async () => {
+    const count = await notificationService.notifyStaff(3, [15, 15, 22, null], {
+      type: notificationService.TYPES.MONITOR_ASSIGNED,
+      title: 'New monitoring assignment',
+      message: 'You have been assigned to monitor Government Secondary School, Gombe.',
+      link: '/admin/monitoring',
+    });
+
+    expect(count).toBe(2);
+    const insert = findQuery('INSERT INTO notifications');
+    expect(insert.sql.match(/\(\?, \?, \?, \?, \?, \?, \?, \?, \?\)/g)).toHaveLength(2);
+    expect(insert.params.slice(0, 9)).toEqual([
+      3, 'staff', 15, 'monitor_assigned', 'New monitoring assignment',
+      'You have been assigned to monitor Government Secondary School, Gombe.',
+      '/admin/monitoring', null, null,
+    ]);
+    expect(insert.params[11]).toBe(22);
+  });
+
+  test('never throws when the insert fails', async () => {
+    mockDb.setMockError(new Error('Table does not exist'));
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const count = await notificationService.notifyStudents(3, [40], {
+      type: notificationService.TYPES.ACCEPTANCE_REVIEWED,
+      title: 'Acceptance approved',
+      message: 'Your acceptance form has been approved.',
+    });
+
+    expect(count).toBe(0);
+    expect(spy).toHaveBeenCalledWith(expect.stringContaining('[NOTIFICATIONS]'), 'Table does not exist');
+    spy.mockRestore();
+  });
+
+  test('groups postings into one notification per supervisor', async () => {
+    await notificationService.notifyPostings(3, '2025/2026', [
+      { id: 1, supervisor_id: 15, school_name: 'GSS Gombe' },
+      { id: 2, supervisor_id: 15, school_name: 'GDSS Tudun Wada' },
+      { id: 3, supervisor_id: 22, school_name: 'GSS Kumo' },
+    ], notificationService.TYPES.POSTINGS_AUTO_CREATED);
+
+    const inserts = mockDb.getQueriesMatching('INSERT INTO notifications');
+    expect(inserts).toHaveLength(2);
+    expect(inserts[0].params).toEqual([
+      3, 'staff', 15, 'postings_auto_created', '2 new supervision postings',
+      'You have been posted to GSS Gombe, GDSS Tudun Wada for 2025/2026.',
+      '/admin/my-postings', 'supervisor_posting', null,
+    ]);
+    expect(inserts[1].params[4]).toBe('New supervision posting');
+    expect(inserts[1].params[8]).toBe(3);
+  });
+});
+
+describe('notificationController', () => {
+  beforeEach(() => {
+    mockDb.resetMocks();
+  });
+
+  test('students read their own notifications in their token institution', async () => {
+    mockDb.setMockResult('ORDER BY created_at DESC', [{ id: 9, type: 'acceptance_reviewed', read_at: null }]);
+    mockDb.setMockResult('COUNT(*) as total', [{ total: 1 }]);
+    mockDb.setMockResult('SUM(read_at IS NULL)', [{ unread: '1', latest_id: 9 }]);
+
+    const { body } = await run(notificationController.getNotifications, {
+      params: { institutionId: '99' },
+      query: { unread: 'true' },
+      user: { id: 40, role: 'student', institution_id: 3 },
+    });
+
+    expect(body.data).toHaveLength(1);
+    expect(body.unread_count).toBe(1);
+    expect(body.pagination).toEqual({ limit: 20, offset: 0, total: 1 });
+    const list = findQuery('ORDER BY created_at DESC');
+    expect(list.sql).toContain('read_at IS NULL');
+    expect(list.params.slice(0, 3)).toEqual([3, 'student', 40]);
+  });
+
+  test('staff unread count and mark-read are scoped to the URL institution', async () => {
+    mockDb.setMockResult('SUM(read_at IS NULL)', [{ unread: null, latest_id: null }]);
+    const staff = { id: 15, role: 'supervisor', institution_id: 3 };
+
+    const { body: summary } = await run(notificationController.getUnreadCount, {
+      params: { institutionId: '5' },
+      user: staff,
+    });
+    expect(summary.data).toEqual({ count: 0, latest_id: null });
+    expect(findQuery('SUM(read_at IS NULL)').params).toEqual([5, 'staff', 15]);
+
+    mockDb.setMockResult('UPDATE notifications', { affectedRows: 2 });
+    const { body } = await run(notificationController.markManyRead, {
+      params: { institutionId: '5' },
+      body: { ids: [7, 8] },
+      user: staff,
+    });
+    expect(body.data).toEqual({ count: 2 });
+    expect(findQuery('UPDATE notifications').params).toEqual([5, 'staff', 15, 7, 8]);
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Offline Sync Tests
+ *
+ * Check-ins captured offline sync later as signed, sequenced records: the
+ * signature, sequence and client timestamp (bounded by when the device got
+ * its key) are checked, accepted check-ins are logged as deferred and less
+ * trusted, and a re-sent record gets its earlier outcome - mocked database
+ * and Cloudinary, no HTTP.
+ */
+
+const crypto = require('crypto');
+const mockDb = require('../mocks/database');
+
+jest.mock('../../src/db/database', () => mockDb);
+jest.mock('../../src/services/cloudinaryService', () => ({
+  uploadImage: jest.fn(async (file, options) => ({
+    url: `https://img.example/${options.studentId}.jpg`,
+    publicId: options.studentId,
+  })),
+}));
+
+const cloudinaryService = require('../../src/services/cloudinaryService');
+const offlineSyncService = require('../../src/services/offlineSyncService');
+const locationController = require('../../src/controllers/locationTrackingController');
+
+const USER_ID = 7;
+const DEVICE = 'device-1';
+const key = offlineSyncService.deriveDeviceKey(USER_ID, DEVICE);
+
+const sha256 = (text) => crypto.createHash('sha256').update(Buffer.from(text)).digest('hex');
+
+const envelope = (sequence, client_timestamp, payload = {}) => {
+  const record = { client_id: `c${sequence}`, type: 'check_in', device_id: DEVICE, sequence, client_timestamp, payload };
+  return { ...record, signature: offlineSyncService.signRecord(key, record) };
+};
+
+const checkInPayload = {
+  posting_id: 30,
+  latitude: 6.5,
+  longitude: 3.4,
+  selfie_sha256: sha256('face'),
+  environment_photo_sha256: sha256('school'),
+};
+
+const photo = (fieldname, text) => ({
+  fieldname,
+  buffer: Buffer.from(text),
+  mimetype: 'image/jpeg',
+  originalname: 'capture.jpg',
+});
+
+// The school sits at (6.5, 3.4)
+const posting = {
+  id: 30,
+  status: 'active',
+  session_id: 2,
+  institution_school_id: 4,
+  visit_number: 1,
+  school_name: 'Model College',
+  school_latitude: 6.5,
+  school_longitude: 3.4,
+  geofence_radius_m: 100,
+};
+
+// The device got its key a day ago
+const mockDeviceKey = () =>
+  mockDb.setMockResult('FROM offline_device_keys', [
+    { key_issued_at: new Date(Date.now() - 24 * 3600 * 1000), last_sequence: null, last_client_timestamp: null },
+  ]);
+
+const syncBatch = async (records, files, deviceTime = new Date().toISOString()) => {
+  const req = {
+    params: { institutionId: '1' },
+    user: { id: USER_ID },
+    body: { records, device_time: deviceTime },
+    headers: {},
+    files,
+  };
+  const res = { json: jest.fn() };
+  const next = jest.fn();
+  await locationController.verifyLocationBatch(req, res, next);
+  return { res, next };
+};
+
+describe('checkRecords', () => {
+  const now = new Date('2026-03-02T12:00:00Z');
+
+  test('accepts signed records in sequence and time order', () => {
+    const checked = offlineSyncService.checkRecords(
+      USER_ID,
+      [envelope(5, '2026-03-02T09:00:00Z'), envelope(4, '2026-03-02T08:00:00Z')],
+      { key_issued_at: '2026-02-28T10:00:00Z', last_sequence: 3, last_client_timestamp: '2026-03-01T16:00:00Z' },
+      now
+    );
+
+    expect(checked.map((c) => [c.record.sequence, c.errors])).toEqual([
+      [4, []],
+      [5, []],
+    ]);
+  });
+
+  test('rejects a tampered, replayed, back-dated or stale record', () => {
+    const tampered = { ...envelope(4, '2026-03-02T08:00:00Z', { latitude: 6.5 }), payload: { latitude: 6.6 } };
+    const checked = offlineSyncService.checkRecords(
+      USER_ID,
+      [tampered, envelope(3, '2026-03-02T08:30:00Z'), envelope(6, '2026-03-02T07:00:00Z'), envelope(7, '2026-02-20T08:00:00Z')],
+      { key_issued_at: '2026-02-10T10:00:00Z', last_sequence: 3, last_client_timestamp: '2026-03-02T07:30:00Z' },
+      now
+    );
+
+    expect(checked.map((c) => c.errors)).toEqual([
+      ['Sequence 3 is not after 3 - the record is out of order or replayed'],
+      ['Signature does not match - the record was changed after it was captured'],
+      ['Client timestamp is earlier than a record with a lower sequence'],
+      ['Record is older than 7 days', 'Client timestamp is earlier than a record with a lower sequence'],
+    ]);
+  });
+
+  test('a fresh device cannot sign records dated before it got its key', () => {
+    const [backDated] = offlineSyncService.checkRecords(
+      USER_ID,
+      [envelope(1, '2026-03-01T08:00:00Z')],
+      { key_issued_at: '2026-03-02T10:00:00Z', last_sequence: 0, last_client_timestamp: null },
+      now
+    );
+    expect(backDated.errors).toEqual(['Client timestamp is before this device was issued its signing key']);
+
+    const [unknown] = offlineSyncService.checkRecords(
+      USER_ID,
+      [envelope(1, '2026-03-02T11:00:00Z')],
+      { key_issued_at: null, last_sequence: 0, last_client_timestamp: null },
+      now
+    );
+    expect(unknown.errors).toEqual(['This device was never issued a signing key']);
+  });
+});
+
+describe('verifyLocationBatch', () => {
+  beforeEach(() => mockDb.resetMocks());
+
+  test('logs an offline check-in as deferred, at the server time and with its risk signals', async () => {
+    const capturedAt = new Date(Date.now() - 3600 * 1000).toISOString();
+    mockDeviceKey();
+    mockDb.setMockResult('FROM supervisor_postings sp', [posting]);
+
+    // The device clock is 15 minutes slow when the batch is sent
+    const { res, next } = await syncBatch(
+      [envelope(1, capturedAt, checkInPayload)],
+      [photo('selfie_c1', 'face'), photo('environment_photo_c1', 'school')],
+      new Date(Date.now() - 15 * 60 * 1000).toISOString()
+    );
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0].data).toMatchObject([{ client_id: 'c1', sequence: 1, status: 'accepted' }]);
+
+    const [insert] = mockDb.getQueriesMatching('INSERT INTO supervision_location_logs');
+    // The claimed capture time and the drift at sync, then the risk columns, sync mode and sequence
+    expect(insert.params[19]).toBe(capturedAt);
+    expect(insert.params[20]).toBeGreaterThanOrEqual(900);
+    expect(JSON.parse(insert.params[29]).map((f) => f.code)).toEqual(['clock_drift', 'deferred_sync']);
+    expect(insert.params[28]).toBe('medium');
+    expect(insert.params.slice(30, 32)).toEqual(['deferred', 1]);
+    const [update] = mockDb.getQueriesMatching('UPDATE supervisor_postings');
+    expect(Date.now() - update.params[0]).toBeLessThan(60 * 1000);
+
+    // Claimed before the check-in is logged, then given its outcome
+    const history = mockDb.getQueryHistory().map((q) => q.sql);
+    const claimAt = history.findIndex((sql) => sql.includes('INSERT INTO offline_sync_records'));
+    expect(claimAt).toBeLessThan(history.findIndex((sql) => sql.includes('INSERT INTO supervision_location_logs')));
+    const [claim] = mockDb.getQueriesMatching('INSERT INTO offline_sync_records');
+    expect(claim.params.slice(2, 7)).toEqual([DEVICE, 1, 'check_in', 'c1', new Date(capturedAt)]);
+    const [outcome] = mockDb.getQueriesMatching('UPDATE offline_sync_records');
+    expect(outcome.params.slice(0, 3)).toEqual(['accepted', expect.any(String), expect.any(Number)]);
+  });
+
+  test('rejects a check-in whose photo is not the one captured', async () => {
+    mockDeviceKey();
+    mockDb.setMockResult('FROM supervisor_postings sp', [posting]);
+
+    const { res } = await syncBatch(
+      [envelope(1, new Date().toISOString(), checkInPayload)],
+      [photo('selfie_c1', 'someone else'), photo('environment_photo_c1', 'school')]
+    );
+
+    expect(res.json.mock.calls[0][0].data[0]).toMatchObject({
+      status: 'rejected',
+      message: 'The selfie is not the one captured with this check-in',
+    });
+    expect(mockDb.wasQueryExecuted('INSERT INTO supervision_location_logs')).toBe(false);
+  });
+
+  test('a failed photo upload leaves the check-in to be sent again', async () => {
+    mockDeviceKey();
+    mockDb.setMockResult('FROM supervisor_postings sp', [posting]);
+    cloudinaryService.uploadImage.mockRejectedValueOnce(new Error('ETIMEDOUT'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const { res, next } = await syncBatch(
+      [envelope(1, new Date().toISOString(), checkInPayload)],
+      [photo('selfie_c1', 'face'), photo('environment_photo_c1', 'school')]
+    );
+
+    expect(res.json).not.toHaveBeenCalled();
+    expect(next.mock.calls[0][0].statusCode).toBe(503);
+    expect(mockDb.wasQueryExecuted('DELETE FROM offline_sync_records')).toBe(true);
+    expect(mockDb.wasQueryExecuted('UPDATE offline_sync_records')).toBe(false);
+    console.error.mockRestore();
+  });
+
+  test('returns the stored outcome of a record synced before', async () => {
+    mockDb.setMockResult('AND client_id = ?', [{ status: 'accepted', message: 'Location verified', resource_id: 12 }]);
+
+    const { res } = await syncBatch([envelope(1, new Date().toISOString(), checkInPayload)], []);
+
+    expect(res.json.mock.calls[0][0].data).toEqual([
+      { client_id: 'c1', sequence: 1, status: 'accepted', message: 'Location verified', duplicate: true },
+    ]);
+    expect(mockDb.wasQueryExecuted('INSERT INTO offline_sync_records')).toBe(false);
+  });
+
+  test('a second sync of the same device handles nothing the first has claimed', async () => {
+    const files = [photo('selfie_c1', 'face'), photo('environment_photo_c1', 'school')];
+
+    // The other sync claimed the record after this one checked the sequence
+    mockDeviceKey();
+    mockDb.setMockResult('FROM supervisor_postings sp', [posting]);
+    mockDb.setMockResult('INSERT INTO offline_sync_records', Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' }));
+    const lost = await syncBatch([envelope(1, new Date().toISOString(), checkInPayload)], files);
+    expect(lost.next.mock.calls[0][0].statusCode).toBe(409);
+
+    // ... or before it looked
+    mockDb.setMockResult('AND client_id = ?', [{ status: 'processing', message: null, resource_id: null, stale: 0 }]);
+    const busy = await syncBatch([envelope(1, new Date().toISOString(), checkInPayload)], files);
+    expect(busy.next.mock.calls[0][0].statusCode).toBe(409);
+
+    expect(mockDb.wasQueryExecuted('INSERT INTO supervision_location_logs')).toBe(false);
+    expect(mockDb.wasQueryExecuted('UPDATE offline_sync_records')).toBe(false);
+  });
+});
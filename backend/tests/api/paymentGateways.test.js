@@ -0,0 +1,178 @@
+/**
+ * Payment Gateway Tests
+ *
+ * paymentGatewayService credentials and the student payment flow end to end
+ * against the local fake gateway: initialize, settle, webhook and verify -
+ * mocked database, no HTTP.
+ */
+
+const mockDb = require('../mocks/database');
+
+jest.mock('../../src/db/database', () => mockDb);
+
+const paymentGatewayService = require('../../src/services/paymentGatewayService');
+const encryptionService = require('../../src/services/encryptionService');
+const emailService = require('../../src/services/emailService');
+const Institution = require('../../src/models/Institution');
+const paymentController = require('../../src/controllers/paymentController');
+
+const fakeCredentials = () => encryptionService.encrypt(JSON.stringify({ fake: { secret_key: 'whsec_local' } }));
+
+const gatewayRow = (overrides = {}) => ({
+  payment_gateway: 'fake',
+  payment_gateway_credentials: fakeCredentials(),
+  paystack_public_key: null,
+  paystack_secret_key: null,
+  paystack_split_code: null,
+  ...overrides,
+});
+
+const mockResponse = () => {
+  const res = { json: jest.fn(), status: jest.fn() };
+  res.status.mockReturnValue(res);
+  return res;
+};
+
+// Start a student payment with the fake gateway; returns the initialize response data
+async function initializeFakePayment() {
+  jest.spyOn(Institution, 'findById').mockResolvedValue({
+    id: 1, code: 'FUE', name: 'Federal University of Education',
+    payment_enabled: 1, payment_type: 'per_student', payment_base_amount: '15000',
+  });
+  jest.spyOn(emailService, 'getFrontendUrl').mockResolvedValue('https://fue.example.test');
+
+  mockDb.setMockResult('FROM academic_sessions WHERE id = ?', [{ id: 4, name: '2025/2026' }]);
+  mockDb.setMockResult('FROM students WHERE id = ?', [
+    { id: 9, full_name: 'Ada Obi', registration_number: 'FUE/2024/001', program_id: null, total_paid: 0 },
+  ]);
+  mockDb.setMockResult('as total_paid', [{ count: 0, total_paid: 0 }]);
+  mockDb.setMockResult('FROM institutions WHERE id = ?', [gatewayRow()]);
+
+  const req = { student: { id: 9, institution_id: 1 }, body: { session_id: 4 }, headers: {} };
+  const res = mockResponse();
+  const next = jest.fn();
+  await paymentController.initializeStudentPayment(req, res, next);
+
+  expect(next).not.toHaveBeenCalled();
+  return res.json.mock.calls[0][0].data;
+}
+
+describe('paymentGatewayService', () => {
+  test('lists the fake gateway outside production only', () => {
+    expect(paymentGatewayService.getGateways().map((g) => g.name)).toEqual(
+      expect.arrayContaining(['paystack', 'flutterwave', 'remita', 'fake'])
+    );
+
+    const env = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+      expect(paymentGatewayService.getGateway('fake')).toBeNull();
+      expect(paymentGatewayService.configProblem({ gateway: 'fake', credentials: { secret_key: 'x' } })).toMatch(
+        /cannot be used in production/
+      );
+    } finally {
+      process.env.NODE_ENV = env;
+    }
+  });
+
+  test('merges submitted credentials, keeping masked secrets', () => {
+    const stored = encryptionService.encrypt(
+      JSON.stringify({ flutterwave: { public_key: 'FLWPUBK-1', secret_key: 'FLWSECK-1', webhook_hash: 'hash-1' } })
+    );
+
+    const { encrypted, credentials } = paymentGatewayService.mergeCredentials(stored, 'flutterwave', {
+      public_key: 'FLWPUBK-2',
+      secret_key: '••••••••',
+      webhook_hash: '',
+    });
+
+    expect(credentials).toEqual({ public_key: 'FLWPUBK-2', secret_key: 'FLWSECK-1', webhook_hash: null, subaccount_id: null });
+    expect(paymentGatewayService.maskCredentials(encrypted).flutterwave).toEqual({
+      public_key: '••••••••', secret_key: '••••••••', webhook_hash: null, subaccount_id: null,
+    });
+    expect(paymentGatewayService.configProblem({ gateway: 'flutterwave', credentials })).toBe('Flutterwave is not configured');
+  });
+});
+
+describe('student payment with the fake gateway', () => {
+  beforeEach(() => mockDb.resetMocks());
+
+  test('initializes a checkout that redirects back to the student payment page', async () => {
+    const data = await initializeFakePayment();
+
+    expect(data.gateway).toBe('fake');
+    expect(data.amount).toBe(15000);
+    expect(data.checkout.authorizationUrl).toBe(
+      `https://fue.example.test/student/payment?reference=${encodeURIComponent(data.reference)}`
+    );
+
+    const [pending] = mockDb.getQueriesMatching('INSERT INTO pending_transactions');
+    expect(pending.params.slice(0, 7)).toEqual([1, 4, 9, 15000, data.reference, 'fake', data.reference]);
+  });
+
+  test('a signed webhook records the payment from the pending transaction', async () => {
+    const { reference } = await initializeFakePayment();
+    const { headers, body } = paymentGatewayService.settleFakePayment(reference);
+
+    mockDb.resetMocks();
+    mockDb.setMockResult('UNION', [{ institution_id: 1, gateway: 'fake' }]);
+    mockDb.setMockResult('FROM institutions WHERE id = ?', [gatewayRow()]);
+    mockDb.setMockResult("AND status = 'pending'", [
+      { id: 3, reference, session_id: 4, student_id: 9, amount: 15000 },
+    ]);
+
+    const res = mockResponse();
+    await paymentController.handleWebhook({ params: { gateway: 'fake' }, headers, body }, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const [insert] = mockDb.getQueriesMatching('INSERT INTO student_payments');
+    expect(insert.params.slice(0, 6)).toEqual([1, 4, 9, 15000, reference, 'fake']);
+    expect(insert.params[6]).toMatch(/^FAKE-/);
+  });
+
+  test('rejects a webhook with a bad signature or sent to another gateway', async () => {
+    const { reference } = await initializeFakePayment();
+    const { body } = paymentGatewayService.settleFakePayment(reference);
+
+    mockDb.resetMocks();
+    mockDb.setMockResult('UNION', [{ institution_id: 1, gateway: 'fake' }]);
+    mockDb.setMockResult('FROM institutions WHERE id = ?', [gatewayRow()]);
+    const forged = mockResponse();
+    await paymentController.handleWebhook(
+      { params: { gateway: 'fake' }, headers: { 'x-fake-signature': 'deadbeef' }, body }, forged, jest.fn()
+    );
+    expect(forged.status).toHaveBeenCalledWith(401);
+
+    mockDb.setMockResult('UNION', [{ institution_id: 1, gateway: 'paystack' }]);
+    const mismatched = mockResponse();
+    await paymentController.handleWebhook({ params: { gateway: 'fake' }, headers: {}, body }, mismatched, jest.fn());
+    expect(mismatched.status).toHaveBeenCalledWith(200);
+
+    expect(mockDb.getQueriesMatching('INSERT INTO student_payments')).toHaveLength(0);
+  });
+
+  test('the student verifies a settled payment with the gateway it was started with', async () => {
+    const { reference } = await initializeFakePayment();
+    const req = { student: { id: 9, institution_id: 1 }, body: { reference }, headers: {} };
+
+    mockDb.resetMocks();
+    mockDb.setMockResult('UNION', [{ gateway: 'fake' }]);
+    mockDb.setMockResult('FROM institutions WHERE id = ?', [gatewayRow({ payment_gateway: 'paystack' })]);
+    const unpaid = mockResponse();
+    await paymentController.verifyStudentPayment(req, unpaid, jest.fn());
+    expect(unpaid.json.mock.calls[0][0].data.status).toBe('failed');
+
+    paymentGatewayService.settleFakePayment(reference);
+    mockDb.resetMocks();
+    mockDb.setMockResult('UNION', [{ gateway: 'fake' }]);
+    mockDb.setMockResult('FROM institutions WHERE id = ?', [gatewayRow({ payment_gateway: 'paystack' })]);
+    const paid = mockResponse();
+    const next = jest.fn();
+    await paymentController.verifyStudentPayment(req, paid, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(paid.json.mock.calls[0][0].data.status).toBe('success');
+    const [insert] = mockDb.getQueriesMatching('INSERT INTO student_payments');
+    expect(insert.params).toEqual(expect.arrayContaining([reference, 'fake', 15000]));
+  });
+});
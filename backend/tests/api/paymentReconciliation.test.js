@@ -0,0 +1,191 @@
+/**
+ * Payment Reconciliation Tests
+ *
+ * Matching payments with what the local fake gateway settled, healing missed
+ * verifications, settlement report uploads and the daily sweep - mocked
+ * database, no HTTP.
+ */
+
+const mockDb = require('../mocks/database');
+
+jest.mock('../../src/db/database', () => mockDb);
+
+const paymentGatewayService = require('../../src/services/paymentGatewayService');
+const encryptionService = require('../../src/services/encryptionService');
+const paymentReconciliationService = require('../../src/services/paymentReconciliationService');
+const paymentReconciliationController = require('../../src/controllers/paymentReconciliationController');
+const { ValidationError } = require('../../src/utils/errors');
+
+const today = new Date().toISOString().slice(0, 10);
+
+const staffRequest = (params, body = {}, file = null) => ({
+  params: { institutionId: '1', ...params },
+  body,
+  file,
+  user: { id: 5, role: 'head_of_teaching_practice', institution_id: 1 },
+  headers: {},
+  get: () => null,
+});
+
+const mockResponse = () => {
+  const res = { json: jest.fn(), status: jest.fn() };
+  res.status.mockReturnValue(res);
+  return res;
+};
+
+// Each test gets its own fake gateway account, so listings do not overlap
+const mockGatewayRow = (secretKey, gateway = 'fake') => mockDb.setMockResult('FROM institutions WHERE id = ?', [{
+  payment_gateway: gateway,
+  payment_gateway_credentials: encryptionService.encrypt(JSON.stringify({ fake: { secret_key: secretKey } })),
+}]);
+
+async function paidFakePayment(secretKey, reference, amount = 15000) {
+  await paymentGatewayService.initializeTransaction({ gateway: 'fake', credentials: { secret_key: secretKey } }, {
+    email: 'fue_2024_001@student.sitpms.com', amount, reference, callbackUrl: 'https://fue.example.test/student/payment',
+  });
+  paymentGatewayService.settleFakePayment(reference);
+}
+
+const pendingRow = (reference) => ({
+  id: 4, institution_id: 1, session_id: 4, student_id: 9, amount: '15000.00', reference, gateway: 'fake', status: 'pending',
+});
+
+const itemTypes = () => mockDb.getQueriesMatching('INSERT INTO payment_reconciliation_items').map((q) => q.params[2]);
+const auditActions = () => mockDb.getQueriesMatching('INSERT INTO audit_logs').map((q) => q.params[3]);
+
+describe('reconcile', () => {
+  beforeEach(() => mockDb.resetMocks());
+
+  test('matches settled payments, heals a missed verification and reports a payment the gateway never settled', async () => {
+    await paidFakePayment('whsec_r1', 'TPFUE-9-A');
+    await paidFakePayment('whsec_r1', 'TPFUE-9-B'); // student never came back to verify
+    mockGatewayRow('whsec_r1');
+    mockDb.setMockResult('INSERT INTO payment_reconciliation_runs', { insertId: 21 });
+    mockDb.setMockResult('DATE(COALESCE(verified_at, created_at))', [
+      { id: 1, student_id: 9, amount: '15000.00', reference: 'TPFUE-9-A', paystack_reference: null },
+      { id: 2, student_id: 10, amount: '15000.00', reference: 'TPFUE-10-C', paystack_reference: 'FAKE-UNKNOWN' },
+    ]);
+    mockDb.setMockResult('FROM pending_transactions', [pendingRow('TPFUE-9-B')]);
+    mockDb.setMockResult('INSERT INTO student_payments', { insertId: 31 });
+
+    const run = await paymentReconciliationService.reconcile(1, { from: today, to: today, source: 'scheduled' });
+
+    expect(run).toMatchObject({
+      id: 21, status: 'completed', gateway_count: 2, local_count: 2, matched_count: 1, mismatch_count: 1, healed_count: 1,
+    });
+    expect(itemTypes()).toEqual(['healed', 'missing_at_gateway']);
+
+    const [payment] = mockDb.getQueriesMatching('INSERT INTO student_payments');
+    expect(payment.params.slice(0, 6)).toEqual([1, 4, 9, '15000.00', 'TPFUE-9-B', 'fake']);
+    expect(payment.params[6]).toMatch(/^FAKE-/);
+    expect(mockDb.getQueriesMatching("UPDATE pending_transactions SET status = 'verified'")).toHaveLength(1);
+    expect(mockDb.getQueriesMatching('UPDATE students SET payment_status')).toHaveLength(1);
+    expect(auditActions()).toEqual(['payment_reconciled']);
+
+    const [finished] = mockDb.getQueriesMatching('UPDATE payment_reconciliation_runs');
+    expect(finished.params).toEqual(['completed', 2, 2, 1, 1, 1, null, 21]);
+  });
+
+  test('reports a settled amount that differs from the recorded payment without changing it', async () => {
+    await paidFakePayment('whsec_r2', 'TPFUE-9-D', 15000);
+    mockGatewayRow('whsec_r2');
+    mockDb.setMockResult('INSERT INTO payment_reconciliation_runs', { insertId: 22 });
+    mockDb.setMockResult('DATE(COALESCE(verified_at, created_at))', [
+      { id: 3, student_id: 9, amount: '10000.00', reference: 'TPFUE-9-D', paystack_reference: null },
+    ]);
+
+    const run = await paymentReconciliationService.reconcile(1, { from: today, to: today });
+
+    expect(run).toMatchObject({ matched_count: 0, mismatch_count: 1, healed_count: 0 });
+    const [item] = mockDb.getQueriesMatching('INSERT INTO payment_reconciliation_items');
+    expect(item.params.slice(2, 8)).toEqual(['amount_mismatch', expect.stringMatching(/^FAKE-/), 3, 9, 15000, '10000.00']);
+    expect(mockDb.getQueriesMatching('UPDATE student_payments')).toHaveLength(0);
+    expect(mockDb.getQueriesMatching('INSERT INTO student_payments')).toHaveLength(0);
+  });
+});
+
+describe('uploadReconciliation', () => {
+  beforeEach(() => mockDb.resetMocks());
+
+  test('heals only what the gateway confirms from an uploaded settlement report', async () => {
+    await paidFakePayment('whsec_r3', 'TPFUE-9-E');
+    const report = Buffer.from([
+      'Transaction Reference,Amount Paid,Status',
+      'TPFUE-9-E,"15,000.00",success',
+      'TPFUE-9-F,15000,success', // in the report, but the gateway knows nothing of it
+      'TPFUE-9-G,15000,failed',
+    ].join('\n'));
+
+    mockGatewayRow('whsec_r3');
+    mockDb.setMockResult('INSERT INTO payment_reconciliation_runs', { insertId: 23 });
+    mockDb.setMockResult('FROM pending_transactions', [pendingRow('TPFUE-9-E')]);
+    mockDb.setMockResult('FROM pending_transactions', [pendingRow('TPFUE-9-F')]);
+    mockDb.setMockResult('INSERT INTO student_payments', { insertId: 32 });
+
+    const res = mockResponse();
+    const next = jest.fn();
+    await paymentReconciliationController.uploadReconciliation(
+      staffRequest({}, { from: today, to: today }, { buffer: report, originalname: 'settlement.csv' }), res, next
+    );
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json.mock.calls[0][0].data).toMatchObject({ gateway_count: 2, healed_count: 1, mismatch_count: 1, skipped_rows: 1 });
+    expect(itemTypes()).toEqual(['healed', 'missing_locally']);
+    expect(mockDb.getQueriesMatching('INSERT INTO student_payments')).toHaveLength(1);
+
+    const [run] = mockDb.getQueriesMatching('INSERT INTO payment_reconciliation_runs');
+    expect(run.params).toEqual([1, 'fake', 'upload', today, today, 'settlement.csv', 5]);
+    expect(auditActions()).toEqual(['payment_reconciled', 'payment_reconciliation_run']);
+  });
+});
+
+describe('runReconciliation', () => {
+  beforeEach(() => mockDb.resetMocks());
+
+  test('sends gateways that cannot list their transactions to the upload instead', async () => {
+    mockDb.setMockResult('FROM institutions WHERE id = ?', [{
+      payment_gateway: 'remita',
+      payment_gateway_credentials: encryptionService.encrypt(JSON.stringify({
+        remita: { merchant_id: '2547916', service_type_id: '4430731', api_key: '1946' },
+      })),
+    }]);
+
+    const next = jest.fn();
+    await paymentReconciliationController.runReconciliation(staffRequest({}, { from: today, to: today }), mockResponse(), next);
+
+    expect(next.mock.calls[0][0]).toBeInstanceOf(ValidationError);
+    expect(next.mock.calls[0][0].message).toMatch(/upload its settlement report instead/);
+    expect(mockDb.getQueriesMatching('INSERT INTO payment_reconciliation_runs')).toHaveLength(0);
+  });
+
+  test('rejects backwards and overlong periods', () => {
+    const { run } = paymentReconciliationController.schemas;
+    expect(run.safeParse({ body: { from: '2026-03-01', to: '2026-03-31' } }).success).toBe(true);
+    expect(run.safeParse({ body: { from: '2026-03-02', to: '2026-03-01' } }).success).toBe(false);
+    expect(run.safeParse({ body: { from: '2026-01-01', to: '2026-03-01' } }).success).toBe(false);
+  });
+});
+
+describe('runScheduledReconciliations', () => {
+  beforeEach(() => mockDb.resetMocks());
+
+  test('reconciles yesterday for institutions whose gateway can list transactions', async () => {
+    mockDb.setMockResult('WHERE i.payment_enabled = 1', [
+      { id: 1, payment_gateway: 'remita' },
+      { id: 2, payment_gateway: 'fake' },
+    ]);
+    mockGatewayRow('whsec_r4');
+    mockDb.setMockResult('INSERT INTO payment_reconciliation_runs', { insertId: 24 });
+
+    const started = await paymentReconciliationService.runScheduledReconciliations({ now: new Date(2026, 9, 20, 3) });
+
+    expect(started).toBe(1);
+    const [lookup] = mockDb.getQueriesMatching('WHERE i.payment_enabled = 1');
+    expect(lookup.params).toEqual(['2026-10-19']);
+    // A day whose scheduled run failed is tried again
+    expect(lookup.sql).toContain("r.status <> 'failed'");
+    const [run] = mockDb.getQueriesMatching('INSERT INTO payment_reconciliation_runs');
+    expect(run.params).toEqual([2, 'fake', 'scheduled', '2026-10-19', '2026-10-19', null, null]);
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * Payment Refund Tests
+ *
+ * Requesting, approving and rejecting refunds: partial refunds, gateway
+ * refunds through the local fake gateway, manual refunds, refunds the gateway
+ * did not confirm and the audit trail - mocked database, no HTTP.
+ */
+
+const mockDb = require('../mocks/database');
+
+jest.mock('../../src/db/database', () => mockDb);
+
+const paymentGatewayService = require('../../src/services/paymentGatewayService');
+const encryptionService = require('../../src/services/encryptionService');
+const paymentController = require('../../src/controllers/paymentController');
+const { ValidationError, ConflictError, ServiceUnavailableError } = require('../../src/utils/errors');
+
+const fakeConfig = { gateway: 'fake', credentials: { secret_key: 'whsec_local' } };
+
+const staffRequest = (params, body = {}) => ({
+  params: { institutionId: '1', ...params },
+  body,
+  user: { id: 5, role: 'head_of_teaching_practice', institution_id: 1 },
+  headers: {},
+  get: () => null,
+});
+
+const mockResponse = () => {
+  const res = { json: jest.fn(), status: jest.fn() };
+  res.status.mockReturnValue(res);
+  return res;
+};
+
+const auditActions = () => mockDb.getQueriesMatching('INSERT INTO audit_logs').map((q) => q.params[3]);
+
+// A refund row as findRefund() returns it
+const refundRow = (overrides = {}) => ({
+  id: 7, payment_id: 3, student_id: 9, session_id: 4, amount: '5000.00', reason: 'overpayment', status: 'pending',
+  payment_reference: 'TPFUE-9-1', payment_amount: '15000.00', payment_refunded_amount: '0.00',
+  payment_status: 'success', payment_gateway: 'fake', student_name: 'Ada Obi',
+  ...overrides,
+});
+
+// A settled fake-gateway payment to refund against
+async function paidFakePayment(reference, amount = 15000) {
+  await paymentGatewayService.initializeTransaction(fakeConfig, {
+    email: 'fue_2024_001@student.sitpms.com', amount, reference, callbackUrl: 'https://fue.example.test/student/payment',
+  });
+  paymentGatewayService.settleFakePayment(reference);
+}
+
+// The payment row approval locks, and what other refunds of it hold
+const mockLockedPayment = (payment = {}, held = '0.00') => {
+  mockDb.setMockResult('FROM student_payments WHERE id = ? FOR UPDATE', [
+    { amount: '15000.00', refunded_amount: '0.00', status: 'success', ...payment },
+  ]);
+  mockDb.setMockResult('AND id != ?', [{ total: held }]);
+};
+
+const mockFakeGatewayRow = () => mockDb.setMockResult('FROM institutions WHERE id = ?', [{
+  payment_gateway: 'paystack',
+  payment_gateway_credentials: encryptionService.encrypt(JSON.stringify({ fake: fakeConfig.credentials })),
+}]);
+
+describe('requestRefund', () => {
+  beforeEach(() => mockDb.resetMocks());
+
+  test('defaults to what is left after earlier and outstanding refunds', async () => {
+    mockDb.setMockResult('FROM student_payments sp', [
+      { id: 3, student_id: 9, session_id: 4, amount: '15000.00', refunded_amount: '2000.00', status: 'success', reference: 'TPFUE-9-1', gateway: 'fake' },
+    ]);
+    mockDb.setMockResult("status IN ('pending', 'processing', 'failed')", [{ total: '5000.00' }]);
+    mockDb.setMockResult('INSERT INTO payment_refunds', { insertId: 12 });
+
+    const res = mockResponse();
+    const next = jest.fn();
+    await paymentController.requestRefund(staffRequest({ id: '3' }, { reason: 'duplicate_payment' }), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(201);
+    const [insert] = mockDb.getQueriesMatching('INSERT INTO payment_refunds');
+    expect(insert.params).toEqual([1, 3, 9, 4, 8000, 'duplicate_payment', null, 5, 'fake']);
+    expect(auditActions()).toEqual(['refund_requested']);
+  });
+
+  test('refuses more than is refundable and payments that did not succeed', async () => {
+    mockDb.setMockResult('FROM student_payments sp', [
+      { id: 3, amount: '15000.00', refunded_amount: '0.00', status: 'success' },
+    ]);
+    const next = jest.fn();
+    await paymentController.requestRefund(staffRequest({ id: '3' }, { reason: 'overpayment', amount: 20000 }), mockResponse(), next);
+    expect(next.mock.calls[0][0]).toBeInstanceOf(ValidationError);
+    expect(next.mock.calls[0][0].message).toMatch(/At most NGN 15,000/);
+
+    mockDb.setMockResult('FROM student_payments sp', [{ id: 3, amount: '15000.00', status: 'pending' }]);
+    const pendingNext = jest.fn();
+    await paymentController.requestRefund(staffRequest({ id: '3' }, { reason: 'withdrawal' }), mockResponse(), pendingNext);
+    expect(pendingNext.mock.calls[0][0].message).toBe('Only successful payments can be refunded');
+
+    expect(mockDb.getQueriesMatching('INSERT INTO payment_refunds')).toHaveLength(0);
+  });
+});
+
+describe('approveRefund', () => {
+  beforeEach(() => mockDb.resetMocks());
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a partial refund goes through the gateway and reduces what the student has paid', async () => {
+    await paidFakePayment('TPFUE-9-1');
+    mockDb.setMockResult('FROM payment_refunds r', [refundRow()]);
+    mockFakeGatewayRow();
+    mockLockedPayment();
+    mockDb.setMockResult("SET status = 'processing'", { affectedRows: 1 });
+    mockDb.setMockResult("SET status = 'completed'", { affectedRows: 1 });
+
+    const res = mockResponse();
+    const next = jest.fn();
+    await paymentController.approveRefund(staffRequest({ refundId: '7' }, { method: 'gateway' }), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0].data).toMatchObject({ status: 'completed', payment_status: 'success' });
+
+    const [completed] = mockDb.getQueriesMatching("SET status = 'completed'");
+    expect(completed.params[0]).toMatch(/^FAKE-RF-/);
+    const [payment] = mockDb.getQueriesMatching('UPDATE student_payments');
+    expect(payment.params).toEqual(['success', 5000, 3, 1]);
+    const [total] = mockDb.getQueriesMatching('SUM(amount - refunded_amount)');
+    expect(total.params).toEqual([9, 4, 1]);
+    expect(mockDb.getQueriesMatching('UPDATE students SET payment_status')).toHaveLength(1);
+    expect(auditActions()).toEqual(['refund_approved', 'refund_completed']);
+  });
+
+  test('a manual refund of the rest marks the payment refunded without calling the gateway', async () => {
+    mockDb.setMockResult('FROM payment_refunds r', [
+      refundRow({ amount: '13000.00', payment_refunded_amount: '2000.00', payment_gateway: 'remita' }),
+    ]);
+    mockLockedPayment({ refunded_amount: '2000.00' });
+    mockDb.setMockResult("SET status = 'processing'", { affectedRows: 1 });
+    mockDb.setMockResult("SET status = 'completed'", { affectedRows: 1 });
+
+    const res = mockResponse();
+    await paymentController.approveRefund(staffRequest({ refundId: '7' }, { method: 'manual' }), res, jest.fn());
+
+    expect(res.json.mock.calls[0][0].data).toMatchObject({ method: 'manual', payment_status: 'refunded' });
+    expect(mockDb.getQueriesMatching('FROM institutions WHERE id = ?')).toHaveLength(1); // only the amount due
+    const [payment] = mockDb.getQueriesMatching('UPDATE student_payments');
+    expect(payment.params).toEqual(['refunded', 13000, 3, 1]);
+  });
+
+  test('records a failed gateway refund so it can be approved again', async () => {
+    // Never paid at the gateway, so it has nothing to refund
+    mockDb.setMockResult('FROM payment_refunds r', [refundRow({ payment_reference: 'TPFUE-9-unpaid' })]);
+    mockFakeGatewayRow();
+    mockLockedPayment();
+    mockDb.setMockResult("SET status = 'processing'", { affectedRows: 1 });
+
+    const next = jest.fn();
+    await paymentController.approveRefund(staffRequest({ refundId: '7' }, { method: 'gateway' }), mockResponse(), next);
+
+    expect(next.mock.calls[0][0]).toBeInstanceOf(ValidationError);
+    expect(next.mock.calls[0][0].message).toMatch(/^Gateway refund failed/);
+    expect(mockDb.getQueriesMatching("SET status = 'failed'")).toHaveLength(1);
+    expect(mockDb.getQueriesMatching('UPDATE student_payments')).toHaveLength(0);
+    expect(auditActions()).toEqual(['refund_approved', 'refund_failed']);
+  });
+
+  test('refuses a refund another approval has already claimed, or a gateway that cannot refund', async () => {
+    await paidFakePayment('TPFUE-9-2');
+    mockDb.setMockResult('FROM payment_refunds r', [refundRow({ payment_reference: 'TPFUE-9-2' })]);
+    mockFakeGatewayRow();
+    mockLockedPayment();
+    mockDb.setMockResult("SET status = 'processing'", { affectedRows: 0 });
+    const claimedNext = jest.fn();
+    await paymentController.approveRefund(staffRequest({ refundId: '7' }, { method: 'gateway' }), mockResponse(), claimedNext);
+    expect(claimedNext.mock.calls[0][0]).toBeInstanceOf(ConflictError);
+
+    mockDb.setMockResult('FROM payment_refunds r', [refundRow({ payment_gateway: 'remita' })]);
+    const remitaNext = jest.fn();
+    await paymentController.approveRefund(staffRequest({ refundId: '7' }, { method: 'gateway' }), mockResponse(), remitaNext);
+    expect(remitaNext.mock.calls[0][0].message).toMatch(/approve it as a manual refund/);
+
+    expect(mockDb.getQueriesMatching('UPDATE student_payments')).toHaveLength(0);
+  });
+
+  test('counts other refunds still in progress against what is left, with the payment locked', async () => {
+    mockDb.setMockResult('FROM payment_refunds r', [refundRow({ payment_gateway: 'remita' })]);
+    mockLockedPayment({}, '12000.00');
+
+    const next = jest.fn();
+    await paymentController.approveRefund(staffRequest({ refundId: '7' }, { method: 'manual' }), mockResponse(), next);
+
+    expect(next.mock.calls[0][0].message).toBe('Refund exceeds the amount left on the payment');
+    const [held] = mockDb.getQueriesMatching('AND id != ?');
+    expect(held.sql).toContain("status IN ('pending', 'processing', 'failed')");
+    expect(held.params).toEqual([3, 7]);
+    expect(mockDb.getQueriesMatching("SET status = 'processing'")).toHaveLength(0);
+  });
+
+  test('a gateway that does not answer leaves the refund processing, not open to a retry', async () => {
+    mockDb.setMockResult('FROM payment_refunds r', [refundRow()]);
+    mockFakeGatewayRow();
+    mockLockedPayment();
+    mockDb.setMockResult("SET status = 'processing'", { affectedRows: 1 });
+    jest.spyOn(paymentGatewayService, 'refundTransaction')
+      .mockResolvedValue({ success: false, error: 'socket hang up', uncertain: true });
+
+    const next = jest.fn();
+    await paymentController.approveRefund(staffRequest({ refundId: '7' }, { method: 'gateway' }), mockResponse(), next);
+
+    expect(next.mock.calls[0][0]).toBeInstanceOf(ServiceUnavailableError);
+    expect(mockDb.getQueriesMatching("SET status = 'failed'")).toHaveLength(0);
+    expect(mockDb.getQueriesMatching("SET status = 'completed'")).toHaveLength(0);
+    const [noted] = mockDb.getQueriesMatching('SET gateway_response = ?');
+    expect(noted.params).toEqual(['Not confirmed by the gateway: socket hang up', 7]);
+    expect(auditActions()).toEqual(['refund_approved', 'refund_unconfirmed']);
+  });
+});
+
+describe('checkRefund', () => {
+  beforeEach(() => mockDb.resetMocks());
+
+  const unconfirmed = (overrides) => refundRow({
+    status: 'processing', method: 'gateway', reviewed_at: new Date(Date.now() - 10 * 60 * 1000), ...overrides,
+  });
+
+  test('records a refund the gateway did make, and fails one it never received', async () => {
+    await paidFakePayment('TPFUE-9-3');
+    // The gateway made refund 7, but its reply was lost
+    await paymentGatewayService.refundTransaction(fakeConfig, {
+      reference: 'TPFUE-9-3', amount: 5000, note: 'overpayment refund 7',
+    });
+
+    mockDb.setMockResult('FROM payment_refunds r', [unconfirmed({ payment_reference: 'TPFUE-9-3' })]);
+    mockFakeGatewayRow();
+    mockDb.setMockResult("SET status = 'completed'", { affectedRows: 1 });
+    const res = mockResponse();
+    await paymentController.checkRefund(staffRequest({ refundId: '7' }), res, jest.fn());
+
+    expect(res.json.mock.calls[0][0].data).toMatchObject({ status: 'completed', payment_status: 'success' });
+    const [payment] = mockDb.getQueriesMatching('UPDATE student_payments');
+    expect(payment.params).toEqual(['success', 5000, 3, 1]);
+
+    mockDb.setMockResult('FROM payment_refunds r', [unconfirmed({ id: 8, payment_reference: 'TPFUE-9-3' })]);
+    mockFakeGatewayRow();
+    mockDb.setMockResult("SET status = 'failed'", { affectedRows: 1 });
+    const missing = mockResponse();
+    await paymentController.checkRefund(staffRequest({ refundId: '8' }), missing, jest.fn());
+
+    expect(missing.json.mock.calls[0][0].data).toEqual({ id: 8, status: 'failed' });
+    expect(mockDb.getQueriesMatching('UPDATE student_payments')).toHaveLength(1);
+  });
+
+  test('waits while a refund may still be on its way to the gateway', async () => {
+    mockDb.setMockResult('FROM payment_refunds r', [unconfirmed({ reviewed_at: new Date() })]);
+
+    const next = jest.fn();
+    await paymentController.checkRefund(staffRequest({ refundId: '7' }), mockResponse(), next);
+
+    expect(next.mock.calls[0][0].message).toMatch(/approved moments ago/);
+    expect(mockDb.getQueriesMatching('UPDATE payment_refunds')).toHaveLength(0);
+  });
+});
+
+describe('rejectRefund', () => {
+  beforeEach(() => mockDb.resetMocks());
+
+  test('rejects a pending refund with a reason', async () => {
+    mockDb.setMockResult('FROM payment_refunds r', [refundRow()]);
+
+    const res = mockResponse();
+    await paymentController.rejectRefund(
+      staffRequest({ refundId: '7' }, { rejection_reason: 'Student is still enrolled' }), res, jest.fn()
+    );
+
+    expect(res.json.mock.calls[0][0].data).toEqual({ id: 7, status: 'rejected' });
+    const [update] = mockDb.getQueriesMatching("SET status = 'rejected'");
+    expect(update.params).toEqual([5, 'Student is still enrolled', 7]);
+    expect(auditActions()).toEqual(['refund_rejected']);
+  });
+});
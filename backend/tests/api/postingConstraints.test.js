@@ -0,0 +1,172 @@
+/**
+ * Posting Constraint Tests
+ *
+ * Supervisor availability and exclusion rules: how the constraint set reads
+ * them, the engine treating them as hard constraints, and manual posting
+ * validation explaining a violation - mocked database, no HTTP.
+ */
+
+const mockDb = require('../mocks/database');
+
+jest.mock('../../src/db/database', () => mockDb);
+
+const { buildConstraintSet } = require('../../src/services/postingConstraintService');
+const { runAutoPostingAlgorithm, swapAllowed } = require('../../src/services/autoPostingEngine');
+const postingController = require('../../src/controllers/postingController');
+
+const constraint = (overrides) => ({
+  id: 1,
+  supervisor_id: 7,
+  supervisor_name: 'Dr. Musa',
+  reason: null,
+  ...overrides,
+});
+
+const slot = (overrides = {}) => ({
+  school_id: 10,
+  school_name: 'GSS Kofar Mata',
+  group_number: 1,
+  visit_number: 1,
+  lga: 'Dala',
+  route_id: 3,
+  distance_km: 12,
+  ...overrides,
+});
+
+const timelines = [
+  { visit_number: 1, start_date: '2026-01-01', end_date: '2026-01-14' },
+  { visit_number: 2, start_date: '2026-01-15', end_date: '2026-01-31' },
+];
+
+describe('buildConstraintSet', () => {
+  test('a leave window covers the visits whose timeline it overlaps', () => {
+    const set = buildConstraintSet([
+      constraint({ constraint_type: 'unavailable', start_date: '2026-01-20', end_date: '2026-02-03', reason: 'Conference' }),
+    ], { timelines });
+
+    expect(set.check(7, slot({ visit_number: 1 }))).toEqual([]);
+    expect(set.check(7, slot({ visit_number: 2 }))[0].message)
+      .toBe('Dr. Musa is unavailable for Visit 2 (Conference)');
+    expect(set.check(8, slot({ visit_number: 2 }))).toEqual([]);
+  });
+
+  test('blocked LGAs match regardless of case and blocked routes by id', () => {
+    const set = buildConstraintSet([
+      constraint({ id: 1, constraint_type: 'blocked_lga', lga: 'DALA' }),
+      constraint({ id: 2, constraint_type: 'blocked_route', route_id: 4, route_name: 'Route B' }),
+    ]);
+
+    expect(set.check(7, slot({ lga: 'dala ' })).map((v) => v.constraint_id)).toEqual([1]);
+    expect(set.check(7, slot({ lga: 'Gwale', route_id: 4 }))[0].message)
+      .toBe('Dr. Musa must not be posted on Route B');
+    expect(set.check(7, slot({ lga: 'Gwale' }))).toEqual([]);
+  });
+
+  test('pair rules follow who is already at the school for that visit', () => {
+    const set = buildConstraintSet([
+      constraint({ id: 1, constraint_type: 'never_pair', other_supervisor_id: 8, other_supervisor_name: 'Dr. Bello' }),
+      constraint({ id: 2, supervisor_id: 9, supervisor_name: 'Mal. Sani', constraint_type: 'must_pair', other_supervisor_id: 7, other_supervisor_name: 'Dr. Musa' }),
+    ], { postings: [{ supervisor_id: 7, institution_school_id: 10, visit_number: 1 }] });
+
+    // never_pair applies both ways; must_pair is satisfied once the partner is there
+    expect(set.check(8, slot())).toHaveLength(1);
+    expect(set.check(9, slot())).toEqual([]);
+    expect(set.check(9, slot({ visit_number: 2 }))[0].message)
+      .toBe('Mal. Sani may only be posted where Dr. Musa is posted for Visit 2');
+
+    // A fork places independently of the set it came from
+    const fork = set.fork();
+    fork.unplace(7, slot());
+    expect(fork.check(8, slot())).toEqual([]);
+    expect(set.check(8, slot())).toHaveLength(1);
+  });
+});
+
+describe('auto-posting engine with constraints', () => {
+  const supervisors = [7, 8].map((id) => ({
+    id,
+    name: `Supervisor ${id}`,
+    rank_code: 'SL',
+    priority_number: 1,
+    current_postings: 0,
+    remaining_slots: 5,
+  }));
+
+  test('never posts a supervisor against a constraint and reports what was excluded', () => {
+    const slots = [10, 11, 12, 13].map((schoolId) => slot({ id: `${schoolId}-1-1`, school_id: schoolId, lga: schoolId < 12 ? 'Dala' : 'Gwale' }));
+    const constraints = buildConstraintSet([constraint({ constraint_type: 'blocked_lga', lga: 'Dala' })]);
+
+    const result = runAutoPostingAlgorithm(supervisors, slots, 1, 'lga_based', false, { constraints });
+
+    expect(result.assignments).toHaveLength(4);
+    const musa = result.assignments.filter((a) => a.supervisor_id === 7);
+    expect(musa.every((a) => a.lga === 'Gwale')).toBe(true);
+    expect(result.statistics.constraint_summary).toEqual([
+      expect.objectContaining({ constraint_id: 1, supervisor_id: 7, slots_excluded: 2 }),
+    ]);
+  });
+
+  test('refuses a swap that leaves a co-occupant without their required partner', () => {
+    // Mal. Sani (9) must be posted with Dr. Musa (7), who is swapped away from their school
+    const constraints = buildConstraintSet([
+      constraint({ id: 3, supervisor_id: 9, supervisor_name: 'Mal. Sani', constraint_type: 'must_pair', other_supervisor_id: 7, other_supervisor_name: 'Dr. Musa' }),
+    ], {
+      postings: [
+        { supervisor_id: 7, institution_school_id: 10, visit_number: 1 },
+        { supervisor_id: 9, institution_school_id: 10, visit_number: 1 },
+        { supervisor_id: 8, institution_school_id: 11, visit_number: 1 },
+      ],
+    });
+    const a = { ...slot(), supervisor_id: 7 };
+    const b = { ...slot({ school_id: 11 }), supervisor_id: 8 };
+
+    expect(constraints.cellViolations(a)).toEqual([]);
+    expect(swapAllowed(a, b, constraints)).toBe(false);
+    // The check leaves the placements as they were
+    expect(constraints.check(9, slot())).toEqual([]);
+  });
+
+  test('leaves a slot unfilled with a warning rather than break a constraint', () => {
+    const constraints = buildConstraintSet([
+      constraint({ id: 1, constraint_type: 'blocked_school', institution_school_id: 10 }),
+      constraint({ id: 2, supervisor_id: 8, constraint_type: 'unavailable' }),
+    ]);
+
+    const result = runAutoPostingAlgorithm(supervisors, [slot({ id: '10-1-1' })], 1, 'random', false, { constraints });
+
+    expect(result.assignments).toEqual([]);
+    expect(result.statistics.constrained_slots).toBe(1);
+    expect(result.warnings).toContain(
+      '1 slot(s) could not be assigned - every supervisor with capacity is excluded by a posting constraint'
+    );
+  });
+});
+
+describe('validatePosting', () => {
+  beforeEach(() => mockDb.resetMocks());
+
+  test('explains which constraint a manual posting would break', async () => {
+    mockDb.setMockResult('SELECT name, role FROM users', [{ name: 'Dr. Musa', role: 'supervisor' }]);
+    mockDb.setMockResult('SELECT max_posting_per_supervisor', [{ max_posting_per_supervisor: 5 }]);
+    mockDb.setMockResult('COUNT(*) as count FROM supervisor_postings', [{ count: 0 }]);
+    mockDb.setMockResult('FROM student_acceptances', [{ count: 3 }]);
+    mockDb.setMockResult('FROM supervisor_posting_constraints', [
+      constraint({ constraint_type: 'blocked_school', institution_school_id: 10, school_name: 'GSS Kofar Mata', reason: 'Spouse teaches there' }),
+    ]);
+    mockDb.setMockResult('FROM institution_schools isv', [{ id: 10, route_id: 3, school_name: 'GSS Kofar Mata', lga: 'Dala' }]);
+
+    const res = { json: jest.fn() };
+    const next = jest.fn();
+    await postingController.validatePosting({
+      params: { institutionId: '1' },
+      body: { supervisor_id: 7, school_id: 10, group_number: 1, visit_number: 1, session_id: 2 },
+      user: { id: 2, role: 'head_of_teaching_practice' },
+    }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0].data).toEqual({
+      valid: false,
+      errors: ['Dr. Musa must not be posted to GSS Kofar Mata (Spouse teaches there)'],
+    });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Results Broadsheet Tests
+ *
+ * Unit tests for grouping, averaging and rendering of the PDF results
+ * broadsheet, and the filters both result exports share - mocked database,
+ * no HTTP.
+ */
+
+const mockDb = require('../mocks/database');
+
+jest.mock('../../src/db/database', () => mockDb);
+
+const resultBroadsheetService = require('../../src/services/resultBroadsheetService');
+const resultController = require('../../src/controllers/resultController');
+
+const students = [
+  { student_id: 1, registration_number: 'NCE/001', student_name: 'Zainab Musa', program_name: 'Mathematics', department_name: 'Science', school_name: 'GSS Dala' },
+  { student_id: 2, registration_number: 'NCE/002', student_name: 'Abdul Sani', program_name: 'Mathematics', department_name: 'Science', school_name: 'GSS Gwale' },
+  { student_id: 3, registration_number: 'NCE/003', student_name: 'Bello Umar', program_name: 'English', department_name: 'Languages', school_name: 'GSS Dala' },
+  { student_id: 4, registration_number: 'NCE/004', student_name: 'Chika Obi', program_name: null, department_name: null, school_name: null },
+];
+
+const results = [
+  { student_id: 1, visit_number: 1, total_score: '60.00', score_breakdown: '{"10": 20, "11": 40}' },
+  { student_id: 1, visit_number: 2, total_score: '80.00', score_breakdown: { 10: 30, 11: 50 } },
+  { student_id: 2, visit_number: 1, total_score: '70.00', score_breakdown: null },
+  { student_id: 3, visit_number: 3, total_score: '90.00', score_breakdown: '{"10": 40}' },
+];
+
+const criteria = [
+  { id: 10, label: 'Lesson Plan', max_score: '40.00' },
+  { id: 11, label: 'Delivery', max_score: '60.00' },
+];
+
+describe('resultBroadsheetService.buildBroadsheet', () => {
+  test('groups by program with sorted groups and rows', () => {
+    const broadsheet = resultBroadsheetService.buildBroadsheet({ students, results, maxVisits: 3 });
+
+    expect(broadsheet.groups.map((g) => g.label)).toEqual(['English', 'Mathematics', 'No Program']);
+    expect(broadsheet.groups[1].rows.map((r) => r.student_name)).toEqual(['Abdul Sani', 'Zainab Musa']);
+  });
+
+  test('averages only the visits that were scored', () => {
+    const broadsheet = resultBroadsheetService.buildBroadsheet({ students, results, maxVisits: 3 });
+    const zainab = broadsheet.groups[1].rows.find((r) => r.student_id === 1);
+    const chika = broadsheet.groups[2].rows[0];
+
+    expect(zainab.visits).toEqual([60, 80, null]);
+    expect(zainab.average).toBe(70);
+    expect(chika.average).toBeNull();
+    expect(broadsheet.groups[1].summary).toEqual({ students: 2, scored: 2, average: 70 });
+    expect(broadsheet.summary).toEqual({ students: 4, scored: 3, average: (70 + 70 + 90) / 3 });
+  });
+
+  test('averages each criterion across visits in advanced scoring', () => {
+    const broadsheet = resultBroadsheetService.buildBroadsheet({
+      students, results, criteria, scoringType: 'advanced', maxVisits: 3,
+    });
+    const zainab = broadsheet.groups[1].rows.find((r) => r.student_id === 1);
+    const bello = broadsheet.groups[0].rows[0];
+
+    expect(broadsheet.criteria).toHaveLength(2);
+    expect(zainab.criterion_scores).toEqual({ 10: 25, 11: 45 });
+    expect(bello.criterion_scores).toEqual({ 10: 40, 11: null });
+  });
+
+  test('ignores criteria in basic scoring', () => {
+    const broadsheet = resultBroadsheetService.buildBroadsheet({ students, results, criteria, scoringType: 'basic' });
+
+    expect(broadsheet.criteria).toEqual([]);
+  });
+
+  test('groups by school and shows the program column instead', () => {
+    const broadsheet = resultBroadsheetService.buildBroadsheet({ students, results, groupBy: 'school' });
+    const headers = resultBroadsheetService.buildColumns(broadsheet, 780).map((c) => c.header);
+
+    expect(broadsheet.groups.map((g) => g.label)).toEqual(['GSS Dala', 'GSS Gwale', 'No School']);
+    expect(headers).toContain('Program');
+    expect(headers).not.toContain('School');
+  });
+
+  test('column widths fill the page width', () => {
+    const broadsheet = resultBroadsheetService.buildBroadsheet({
+      students, results, criteria, scoringType: 'advanced', maxVisits: 3,
+    });
+    const columns = resultBroadsheetService.buildColumns(broadsheet, 780);
+    const total = columns.reduce((sum, c) => sum + c.width, 0);
+
+    expect(columns.map((c) => c.header)).toEqual([
+      'S/N', 'Reg. Number', 'Student Name', 'School',
+      'Lesson Plan (40)', 'Delivery (60)', 'Visit 1', 'Visit 2', 'Visit 3', 'Average',
+    ]);
+    expect(total).toBeCloseTo(780);
+  });
+});
+
+describe('resultBroadsheetService.renderBroadsheetPdf', () => {
+  test('renders a PDF for grouped results', async () => {
+    const broadsheet = resultBroadsheetService.buildBroadsheet({
+      students, results, criteria, scoringType: 'advanced', maxVisits: 3, groupBy: 'department',
+    });
+
+    const buffer = await resultBroadsheetService.renderBroadsheetPdf({
+      institution: { id: 3, name: 'Federal College of Education', primary_color: '#1a5f2a' },
+      session: { name: '2024/2025', scoring_type: 'advanced', coordinator_name: 'Dr. Adamu Ibrahim' },
+      broadsheet,
+    });
+
+    expect(Buffer.isBuffer(buffer)).toBe(true);
+    expect(buffer.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+});
+
+describe('result exports', () => {
+  beforeEach(() => mockDb.resetMocks());
+
+  const exportRequest = (query) => ({ params: { institutionId: '3' }, query });
+  const mockResponse = () => ({ setHeader: jest.fn(), send: jest.fn() });
+
+  test('the Excel and PDF exports filter the same way', async () => {
+    const query = { session_id: '4', school_id: '7', program_id: '2', search: 'Musa', group_by: 'school' };
+    const next = jest.fn();
+
+    await resultController.exportExcel(exportRequest(query), mockResponse(), next);
+    mockDb.setMockResult('FROM academic_sessions WHERE id = ?', [{ id: 4, name: '2024/2025', scoring_type: 'basic' }]);
+    await resultController.exportPDF(exportRequest(query), mockResponse(), next);
+
+    expect(next).not.toHaveBeenCalled();
+    const [excel] = mockDb.getQueriesMatching('FROM student_results sr');
+    const [pdf] = mockDb.getQueriesMatching('FROM students st');
+    expect(excel.params).toEqual([3, 4, 7, 2, '%Musa%', '%Musa%']);
+    expect(pdf.params).toEqual(excel.params);
+    expect(excel.sql).toContain('ORDER BY school_name');
+  });
+
+  test('both refuse an unknown grouping', async () => {
+    for (const handler of [resultController.exportExcel, resultController.exportPDF]) {
+      const next = jest.fn();
+      await handler(exportRequest({ session_id: '4', group_by: 'lga' }), mockResponse(), next);
+      expect(next.mock.calls[0][0].message).toMatch(/group_by must be one of/);
+    }
+  });
+});
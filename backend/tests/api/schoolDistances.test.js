@@ -0,0 +1,159 @@
+/**
+ * School Distance Tests
+ *
+ * Unit tests for distanceService: great-circle distances, method fallback,
+ * and the recalculation preview/apply with its allowance impact - mocked
+ * database, no HTTP.
+ */
+
+const mockDb = require('../mocks/database');
+
+jest.mock('../../src/db/database', () => mockDb);
+
+const distanceService = require('../../src/services/distanceService');
+
+// Institution in Kano; schools 1 (Zaria, ~140 km) and 2 (Wudil, ~40 km)
+const KANO = { latitude: 12.0022, longitude: 8.592 };
+const ZARIA = { latitude: 11.0855, longitude: 7.7199 };
+
+function mockOrigin(overrides = {}) {
+  mockDb.setMockResult('FROM institutions WHERE id = ?', [{
+    latitude: KANO.latitude,
+    longitude: KANO.longitude,
+    distance_method: 'great_circle',
+    distance_road_factor: '1.30',
+    ...overrides,
+  }]);
+}
+
+const session = {
+  id: 5,
+  name: '2026/2027',
+  is_locked: 0,
+  inside_distance_threshold_km: '10.00',
+  dsa_enabled: 0,
+};
+
+const rank = {
+  rank_name: 'Lecturer I',
+  local_running_allowance: '5000.00',
+  transport_per_km: '100.00',
+  rank_dta: '20000.00',
+  rank_tetfund: '15000.00',
+};
+
+describe('distanceService', () => {
+  beforeEach(() => mockDb.resetMocks());
+
+  test('great-circle distance matches the known Kano - Zaria distance', () => {
+    expect(distanceService.greatCircleKm(KANO, ZARIA)).toBeCloseTo(139.6, 0);
+  });
+
+  test('falls back to great circle x road factor when the road network is not configured', async () => {
+    delete process.env.ROAD_NETWORK_URL;
+
+    const result = await distanceService.measure(KANO, ZARIA, { method: 'road_network', roadFactor: 1.3 });
+
+    expect(result.method).toBe('great_circle');
+    expect(result.distance_km).toBeCloseTo(139.6 * 1.3, 0);
+    expect(result.fallback_reason).toMatch(/not configured/);
+  });
+
+  test('a registered method can replace the built-in ones', async () => {
+    distanceService.registerMethod('lookup_table', { label: 'Lookup table', distanceKm: async () => 151.234 });
+
+    expect(await distanceService.measure(KANO, ZARIA, { method: 'lookup_table' }))
+      .toEqual({ distance_km: 151.23, method: 'lookup_table' });
+    expect(distanceService.getMethods().map((method) => method.name)).toContain('lookup_table');
+  });
+
+  test('preview shows each supervisor\'s allowance change without writing anything', async () => {
+    mockOrigin();
+    mockDb.setMockResult('FROM institution_schools isv', [
+      { id: 1, name: 'GSS Zaria', distance_km: '100.00', distance_source: 'computed', latitude: ZARIA.latitude, longitude: ZARIA.longitude },
+      { id: 2, name: 'GSS Wudil', distance_km: '35.00', distance_source: 'manual', latitude: 11.81, longitude: 8.84 },
+      { id: 3, name: 'GSS Unknown', distance_km: '0.00', distance_source: 'computed', latitude: null, longitude: null },
+    ]);
+    mockDb.setMockResult('WHERE institution_id = ? AND is_current = 1', [session]);
+    mockDb.setMockResult('FROM supervisor_postings sp', [
+      {
+        id: 40, supervisor_id: 7, supervisor_name: 'Dr. Musa', institution_school_id: 1, school_name: 'GSS Zaria',
+        is_primary_posting: 1, distance_km: '100.00', local_running: 0, transport: '10000.00', dsa: 0, dta: '20000.00',
+        tetfund: '15000.00', group_number: 1, visit_number: 1, ...rank,
+      },
+    ]);
+
+    const plan = await distanceService.planRecalculation(3);
+
+    expect(plan.schools).toHaveLength(1);
+    expect(plan.schools[0]).toMatchObject({ id: 1, current_distance_km: 100, method: 'great_circle' });
+    expect(plan.skipped).toEqual([
+      { id: 2, name: 'GSS Wudil', reason: 'manual' },
+      { id: 3, name: 'GSS Unknown', reason: 'no_coordinates' },
+    ]);
+
+    const proposedKm = plan.schools[0].proposed_distance_km;
+    expect(plan.supervisors[0]).toMatchObject({ supervisor_id: 7, current_total: 45000 });
+    expect(plan.supervisors[0].change).toBeCloseTo((proposedKm - 100) * 100, 1);
+    expect(mockDb.getQueryHistory().some((q) => /^\s*UPDATE/.test(q.sql))).toBe(false);
+  });
+
+  const mockZariaPlan = ({ transport = '10000.00' } = {}) => {
+    mockOrigin();
+    mockDb.setMockResult('FROM institution_schools isv', [
+      { id: 1, name: 'GSS Zaria', distance_km: '100.00', distance_source: 'manual', latitude: ZARIA.latitude, longitude: ZARIA.longitude },
+    ]);
+    mockDb.setMockResult('WHERE institution_id = ? AND is_current = 1', [session]);
+    mockDb.setMockResult('FROM supervisor_postings sp', [
+      {
+        id: 40, supervisor_id: 7, supervisor_name: 'Dr. Musa', institution_school_id: 1, school_name: 'GSS Zaria',
+        is_primary_posting: 1, distance_km: '100.00', local_running: 0, transport, dsa: 0, dta: '20000.00',
+        tetfund: '15000.00', group_number: 1, visit_number: 1, ...rank,
+      },
+    ]);
+  };
+
+  test('apply saves distances, categories and posting allowances in one transaction', async () => {
+    mockZariaPlan();
+    const { plan_hash: planHash } = await distanceService.planRecalculation(3, { includeManual: true });
+    expect(planHash).toMatch(/^[0-9a-f]{64}$/);
+
+    mockZariaPlan();
+    const plan = await distanceService.applyRecalculation(3, { includeManual: true, planHash });
+    const writes = mockDb.getQueryHistory().filter((q) => q.type === 'transaction');
+    const proposedKm = plan.schools[0].proposed_distance_km;
+
+    expect(writes[0].sql).toContain('UPDATE institution_schools');
+    expect(writes[0].params).toEqual([proposedKm, 'outside', 1, 3]);
+    expect(writes[1].sql).toContain('UPDATE supervisor_postings');
+    expect(writes[1].params[0]).toBe(proposedKm);
+    expect(writes[1].params[2]).toBeCloseTo(proposedKm * 100, 1);
+  });
+
+  test('apply refuses a plan that changed since the preview', async () => {
+    mockZariaPlan();
+    const { plan_hash: planHash } = await distanceService.planRecalculation(3, { includeManual: true });
+
+    // The posting's allowances were edited in between
+    mockZariaPlan({ transport: '12000.00' });
+    await expect(distanceService.applyRecalculation(3, { includeManual: true, planHash }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(mockDb.getQueryHistory().some((q) => q.type === 'transaction')).toBe(false);
+  });
+
+  test('stops asking a failing router and measures the remaining schools in a straight line', async () => {
+    const router = jest.fn().mockRejectedValue(new Error('Road-network router timed out'));
+    distanceService.registerMethod('hung_router', { label: 'Hung router', distanceKm: router });
+    mockOrigin({ distance_method: 'hung_router' });
+    mockDb.setMockResult('FROM institution_schools isv', [1, 2, 3].map((id) => ({
+      id, name: `School ${id}`, distance_km: '0.00', distance_source: 'computed', latitude: ZARIA.latitude, longitude: ZARIA.longitude,
+    })));
+
+    const plan = await distanceService.planRecalculation(3);
+
+    expect(router).toHaveBeenCalledTimes(1);
+    expect(plan.schools.map((school) => [school.method, school.fallback_reason])).toEqual(
+      Array(3).fill(['great_circle', 'Road-network router timed out'])
+    );
+  });
+});
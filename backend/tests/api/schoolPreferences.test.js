@@ -0,0 +1,143 @@
+/**
+ * School Preference Tests
+ *
+ * Unit tests for preference-based student placement and the first/second/third
+ * choice report - pure functions plus the acceptance-row helper on a mocked
+ * database, no HTTP.
+ */
+
+const mockDb = require('../mocks/database');
+
+jest.mock('../../src/db/database', () => mockDb);
+
+const schoolPreferenceService = require('../../src/services/schoolPreferenceService');
+
+const { allocateStudentsByPreference, summarizeOutcomes } = schoolPreferenceService;
+
+describe('allocateStudentsByPreference', () => {
+  test('gives everyone their first choice when there is room', () => {
+    const plan = allocateStudentsByPreference({
+      students: [{ student_id: 1, program_id: 1 }, { student_id: 2, program_id: 1 }],
+      preferences: { 1: [10, 11], 2: [11, 10] },
+      schools: [{ id: 10, program_limit: 5 }, { id: 11, program_limit: 5 }],
+    });
+
+    expect(plan.assignments).toEqual([
+      { student_id: 1, school_id: 10, rank: 1 },
+      { student_id: 2, school_id: 11, rank: 1 },
+    ]);
+    expect(plan.summary.first_choice_rate).toBe(1);
+  });
+
+  test('never exceeds per-program capacity', () => {
+    const plan = allocateStudentsByPreference({
+      students: [1, 2, 3].map((id) => ({ student_id: id, program_id: 1 })),
+      preferences: { 1: [10, 11], 2: [10, 11], 3: [10, 11] },
+      schools: [{ id: 10, program_limit: 2 }, { id: 11, program_limit: 2 }],
+    });
+
+    expect(plan.assignments.filter((a) => a.school_id === 10)).toHaveLength(2);
+    expect(plan.assignments.filter((a) => a.school_id === 11)).toHaveLength(1);
+    expect(plan.summary).toMatchObject({ total: 3, placed: 3, first_choice: 2, second_choice: 1 });
+  });
+
+  test('counts capacity per program separately', () => {
+    const plan = allocateStudentsByPreference({
+      students: [{ student_id: 1, program_id: 1 }, { student_id: 2, program_id: 2 }],
+      preferences: { 1: [10], 2: [10] },
+      schools: [{ id: 10, program_limit: 1 }],
+    });
+
+    expect(plan.assignments).toHaveLength(2);
+  });
+
+  test('respects overall school capacity and reports students it cannot place', () => {
+    const plan = allocateStudentsByPreference({
+      students: [{ student_id: 1, program_id: 1 }, { student_id: 2, program_id: 2 }],
+      preferences: { 1: [10], 2: [10] },
+      schools: [{ id: 10, remaining: 1, program_limit: 5 }],
+    });
+
+    expect(plan.assignments).toHaveLength(1);
+    expect(plan.unplaced).toEqual([{ student_id: 2, reason: 'All preferred schools are full' }]);
+    expect(plan.summary.not_placed).toBe(1);
+  });
+
+  test('places the most constrained student first', () => {
+    // Student 2 only listed school 10; student 1 can fall back to 11
+    const plan = allocateStudentsByPreference({
+      students: [{ student_id: 1, program_id: 1 }, { student_id: 2, program_id: 1 }],
+      preferences: { 1: [10, 11], 2: [10] },
+      schools: [{ id: 10, program_limit: 1 }, { id: 11, program_limit: 1 }],
+    });
+
+    expect(plan.assignments).toEqual([
+      { student_id: 1, school_id: 11, rank: 2 },
+      { student_id: 2, school_id: 10, rank: 1 },
+    ]);
+  });
+
+  test('swaps two students when that lowers their combined cost', () => {
+    // Greedy places 1 at its first choice (10), leaving 2 with its third (11).
+    // Trading gives both their second choice, which costs less overall.
+    const plan = allocateStudentsByPreference({
+      students: [{ student_id: 1, program_id: 1 }, { student_id: 2, program_id: 1 }],
+      preferences: { 1: [10, 11], 2: [12, 10, 11] },
+      schools: [{ id: 10, program_limit: 1 }, { id: 11, program_limit: 1 }, { id: 12, remaining: 0 }],
+      weights: { crowding: 0 },
+    });
+
+    expect(plan.assignments).toEqual([
+      { student_id: 1, school_id: 11, rank: 2 },
+      { student_id: 2, school_id: 10, rank: 2 },
+    ]);
+  });
+
+  test('ignores students without preferences', () => {
+    const plan = allocateStudentsByPreference({
+      students: [{ student_id: 1, program_id: 1 }],
+      preferences: {},
+      schools: [{ id: 10 }],
+    });
+
+    expect(plan.assignments).toEqual([]);
+    expect(plan.summary.total).toBe(0);
+  });
+});
+
+describe('summarizeOutcomes', () => {
+  test('reports first, second and third choice rates', () => {
+    const summary = summarizeOutcomes([
+      { rank: 1 }, { rank: 1 }, { rank: 2 }, { rank: 3 }, { rank: null }, { rank: null, placed: false },
+    ]);
+
+    expect(summary).toMatchObject({
+      total: 6,
+      placed: 5,
+      not_placed: 1,
+      first_choice: 2,
+      second_choice: 1,
+      third_choice: 1,
+      unlisted_school: 1,
+      first_choice_rate: 0.333,
+      top_three_rate: 0.667,
+    });
+  });
+});
+
+describe('attachPreferences', () => {
+  beforeEach(() => mockDb.resetMocks());
+
+  test('adds ranked choices and the rank of the placed school', async () => {
+    mockDb.setMockResult('FROM student_school_preferences ssp', [
+      { student_id: 5, school_id: 10, rank: 1, school_name: 'GSS Dala' },
+      { student_id: 5, school_id: 11, rank: 2, school_name: 'GSS Gwale' },
+    ]);
+    const rows = [{ id: 1, session_id: 7, student_id: 5, institution_school_id: 11 }];
+
+    await schoolPreferenceService.attachPreferences(3, rows);
+
+    expect(rows[0].school_preferences.map((p) => p.school_name)).toEqual(['GSS Dala', 'GSS Gwale']);
+    expect(rows[0].preference_rank).toBe(2);
+  });
+});
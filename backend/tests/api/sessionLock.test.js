@@ -0,0 +1,146 @@
+/**
+ * Session Lock Tests
+ *
+ * Unit tests for the guard that rejects writes against locked academic
+ * sessions and the audited super admin override - mocked database, no HTTP.
+ */
+
+const mockDb = require('../mocks/database');
+
+jest.mock('../../src/db/database', () => mockDb);
+
+const { requireUnlockedSession } = require('../../src/middleware/sessionLock');
+const auditService = require('../../src/services/auditService');
+
+const lockedSession = { id: 7, name: '2024/2025', is_locked: 1 };
+const openSession = { id: 8, name: '2025/2026', is_locked: 0 };
+
+function buildReq({ params = {}, body = {}, query = {}, headers = {}, role = 'head_of_teaching_practice' } = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return {
+    method: 'POST',
+    originalUrl: '/api/3/postings',
+    ip: '127.0.0.1',
+    params: { institutionId: '3', ...params },
+    body,
+    query,
+    institution: { id: 3 },
+    user: { id: 15, role },
+    get: (name) => lower[name.toLowerCase()],
+  };
+}
+
+async function run(middleware, req) {
+  const next = jest.fn();
+  await middleware(req, {}, next);
+  return next.mock.calls[0][0];
+}
+
+describe('requireUnlockedSession', () => {
+  beforeEach(() => mockDb.resetMocks());
+
+  test('allows writes to an unlocked session', async () => {
+    mockDb.setMockResult('FROM academic_sessions WHERE id = ?', [openSession]);
+
+    const error = await run(requireUnlockedSession(), buildReq({ body: { session_id: 8 } }));
+
+    expect(error).toBeUndefined();
+  });
+
+  test('rejects writes to a locked session named in the body', async () => {
+    mockDb.setMockResult('FROM academic_sessions WHERE id = ?', [lockedSession]);
+
+    const error = await run(requireUnlockedSession(), buildReq({ body: { session_id: 7 } }));
+
+    expect(error.statusCode).toBe(423);
+    expect(error.errorCode).toBe('SESSION_LOCKED');
+    expect(error.message).toContain('2024/2025');
+  });
+
+  test('falls back to the current session when none is given', async () => {
+    mockDb.setMockResult('is_current = 1', [lockedSession]);
+
+    const error = await run(requireUnlockedSession(), buildReq());
+
+    expect(error.errorCode).toBe('SESSION_LOCKED');
+  });
+
+  test('resolves the session from the record being changed', async () => {
+    mockDb.setMockResult('FROM supervisor_postings r', [lockedSession]);
+
+    const error = await run(
+      requireUnlockedSession({ resource: { table: 'supervisor_postings' } }),
+      buildReq({ params: { id: '55' } })
+    );
+
+    expect(error.errorCode).toBe('SESSION_LOCKED');
+    const [lookup] = mockDb.getQueryHistory();
+    expect(lookup.params).toEqual([55, 3]);
+  });
+
+  test('leaves unknown records to the controller', async () => {
+    const error = await run(
+      requireUnlockedSession({ resource: { table: 'supervisor_postings' } }),
+      buildReq({ params: { id: '404' } })
+    );
+
+    expect(error).toBeUndefined();
+  });
+
+  test('only super admins may override a lock', async () => {
+    mockDb.setMockResult('FROM academic_sessions WHERE id = ?', [lockedSession]);
+
+    const error = await run(requireUnlockedSession(), buildReq({
+      body: { session_id: 7 },
+      headers: { 'X-Session-Lock-Override': 'Correcting a mis-keyed score' },
+    }));
+
+    expect(error.statusCode).toBe(403);
+    expect(mockDb.wasQueryExecuted('INSERT INTO audit_logs')).toBe(false);
+  });
+
+  test('requires a reason for an override', async () => {
+    mockDb.setMockResult('FROM academic_sessions WHERE id = ?', [lockedSession]);
+
+    const error = await run(requireUnlockedSession(), buildReq({
+      body: { session_id: 7 },
+      headers: { 'X-Session-Lock-Override': ' ' },
+      role: 'super_admin',
+    }));
+
+    expect(error.statusCode).toBe(400);
+  });
+
+  test('lets a super admin override a lock and audits it', async () => {
+    mockDb.setMockResult('FROM academic_sessions WHERE id = ?', [lockedSession]);
+    const req = buildReq({
+      body: { session_id: 7 },
+      headers: { 'X-Session-Lock-Override': 'Correcting a mis-keyed score' },
+      role: 'super_admin',
+    });
+
+    const error = await run(requireUnlockedSession(), req);
+
+    expect(error).toBeUndefined();
+    expect(req.sessionLockOverridden).toBe(true);
+    const audit = mockDb.getQueryHistory().find((q) => q.sql.includes('INSERT INTO audit_logs'));
+    expect(audit.params[3]).toBe('session_lock_override');
+    expect(audit.params[5]).toBe(7);
+    expect(JSON.parse(audit.params[6]).reason).toBe('Correcting a mis-keyed score');
+  });
+
+  test('refuses an override that could not be audited', async () => {
+    mockDb.setMockResult('FROM academic_sessions WHERE id = ?', [lockedSession]);
+    jest.spyOn(auditService, 'record').mockResolvedValueOnce(false);
+    const req = buildReq({
+      body: { session_id: 7 },
+      headers: { 'X-Session-Lock-Override': 'Correcting a mis-keyed score' },
+      role: 'super_admin',
+    });
+
+    const error = await run(requireUnlockedSession(), req);
+
+    expect(error.statusCode).toBe(503);
+    expect(req.sessionLockOverridden).toBeUndefined();
+  });
+});
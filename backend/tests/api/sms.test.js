@@ -0,0 +1,148 @@
+/**
+ * SMS Tests
+ *
+ * smsService against the local stub provider, SMS jobs on the shared email
+ * queue, and the institution SMS settings handler - mocked database, no HTTP.
+ */
+
+const crypto = require('crypto');
+const mockDb = require('../mocks/database');
+
+jest.mock('../../src/db/database', () => mockDb);
+
+const smsService = require('../../src/services/smsService');
+const emailQueueService = require('../../src/services/emailQueueService');
+const encryptionService = require('../../src/services/encryptionService');
+const institutionController = require('../../src/controllers/institutionController');
+const { clearFeatureCache } = require('../../src/middleware/featureToggle');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const findQuery = (fragment) => mockDb.getQueryHistory().find((q) => q.sql.includes(fragment));
+
+const stubInstitution = (overrides = {}) => ({
+  sms_provider: 'stub',
+  sms_api_key: null,
+  sms_username: null,
+  sms_sender_id: null,
+  code: 'FUE',
+  name: 'Federal University of Education',
+  ...overrides,
+});
+
+describe('smsService', () => {
+  beforeEach(() => {
+    mockDb.resetMocks();
+    smsService.clearStubOutbox();
+    clearFeatureCache();
+  });
+
+  afterEach(() => {
+    emailQueueService.stopProcessing();
+  });
+
+  test('normalizes local and international phone numbers', () => {
+    expect(smsService.normalizePhone('0803 123 4567')).toBe('2348031234567');
+    expect(smsService.normalizePhone('+234 (803) 123-4567')).toBe('2348031234567');
+    expect(smsService.normalizePhone('002348031234567')).toBe('2348031234567');
+    expect(smsService.normalizePhone('12345')).toBeNull();
+    expect(smsService.normalizePhone('')).toBeNull();
+  });
+
+  test('sends through the stub provider and logs the hashed number', async () => {
+    mockDb.setMockResult('FROM institutions WHERE id = ?', [stubInstitution()]);
+    const consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const result = await smsService.sendSms(3, {
+      to: '08031234567',
+      template: 'pinReset',
+      data: { name: 'Ada', registrationNumber: 'FUE/2024/001', pin: '1234567890' },
+      jobId: 'sms_1_abc',
+    });
+
+    expect(result.success).toBe(true);
+    const [sent] = smsService.getStubOutbox();
+    expect(sent.to).toBe('2348031234567');
+    expect(sent.senderId).toBe('FUE');
+    expect(sent.message).toMatch(/^FUE: Ada, your student portal PIN has been reset/);
+    // The PIN stays out of the console
+    expect(consoleLog).toHaveBeenCalledWith('[SMS STUB] pinReset to 2348031234567');
+    expect(consoleLog.mock.calls.flat().join(' ')).not.toContain('1234567890');
+    consoleLog.mockRestore();
+
+    const log = findQuery('INSERT INTO email_logs');
+    expect(log.sql).toContain("'sms'");
+    expect(log.params).toEqual([3, 'pinReset', sha256('2348031234567'), 'sent', null, 'sms_1_abc']);
+  });
+
+  test('fails and logs when no provider is configured or the stub is used in production', async () => {
+    mockDb.setMockResult('FROM institutions WHERE id = ?', [stubInstitution({ sms_provider: null })]);
+    const unconfigured = await smsService.sendSms(3, { to: '08031234567', template: 'testMessage' });
+    expect(unconfigured).toEqual({ success: false, error: 'SMS provider not configured for institution' });
+    expect(findQuery('INSERT INTO email_logs').params[3]).toBe('failed');
+
+    const env = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+      mockDb.setMockResult('FROM institutions WHERE id = ?', [stubInstitution()]);
+      const production = await smsService.sendSms(3, { to: '08031234567', template: 'testMessage' });
+      expect(production.error).toMatch(/cannot be used in production/);
+      expect(smsService.getProviders().map((p) => p.name)).not.toContain('stub');
+    } finally {
+      process.env.NODE_ENV = env;
+    }
+    expect(smsService.getStubOutbox()).toHaveLength(0);
+  });
+
+  test('queueSms does nothing while the feature is switched off', async () => {
+    mockDb.setMockResult('FROM feature_toggles', [{ is_enabled: 0 }]);
+
+    const jobId = await emailQueueService.queueSms(3, { to: '08031234567', template: 'testMessage' });
+
+    expect(jobId).toBeNull();
+    expect(findQuery('INSERT INTO email_queue')).toBeUndefined();
+  });
+
+  test('queueSms puts an sms job on the shared queue', async () => {
+    mockDb.setMockResult('FROM feature_toggles', [{ is_enabled: 1 }]);
+    mockDb.setMockResult('FROM institutions WHERE id = ?', [stubInstitution()]);
+
+    const jobId = await emailQueueService.queueSms(3, {
+      to: '+234 803 123 4567',
+      template: 'monitorAssignment',
+      data: { name: 'Dr. Bello', schoolCount: 2, sessionName: '2025/2026' },
+    }, { priority: 'high' });
+
+    expect(jobId).toMatch(/^sms_/);
+    const insert = findQuery('INSERT INTO email_queue');
+    expect(insert.params[3]).toBe(sha256('2348031234567'));
+    expect(insert.params[5]).toBe(1);
+    expect(insert.params[6]).toBe('sms');
+    expect(JSON.parse(encryptionService.decrypt(insert.params[4])).to).toBe('2348031234567');
+  });
+
+  test('SMS settings encrypt a new API key and keep a masked one', async () => {
+    const run = async (body) => {
+      mockDb.resetMocks();
+      mockDb.setMockResult('FROM institutions WHERE id = ?', [{ id: 3 }]);
+      const res = { json: jest.fn() };
+      const next = jest.fn();
+      await institutionController.updateSmsSettings(
+        { params: { institutionId: '3' }, body, user: { id: 15 }, ip: '127.0.0.1' }, res, next
+      );
+      return { body: res.json.mock.calls[0]?.[0], error: next.mock.calls[0]?.[0] };
+    };
+
+    const { body } = await run({ sms_provider: 'termii', sms_api_key: 'TL-live-key', sms_sender_id: 'FUE' });
+    expect(body.success).toBe(true);
+    const update = findQuery('UPDATE institutions SET');
+    expect(update.sql).toContain('sms_api_key = ?');
+    expect(update.params).not.toContain('TL-live-key');
+    expect(encryptionService.decrypt(update.params[3])).toBe('TL-live-key');
+
+    await run({ sms_provider: 'termii', sms_api_key: 'TL-l••••••••' });
+    expect(findQuery('UPDATE institutions SET').sql).not.toContain('sms_api_key');
+
+    const { error } = await run({ sms_provider: 'carrier-pigeon' });
+    expect(error.message).toMatch(/Unknown SMS provider/);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Staff Import Tests
+ *
+ * Bulk staff onboarding from Excel: rank and faculty mapping, per-row
+ * errors, skipping existing accounts, welcome emails and the template -
+ * mocked database, no HTTP.
+ */
+
+const XLSX = require('xlsx');
+const mockDb = require('../mocks/database');
+
+jest.mock('../../src/db/database', () => mockDb);
+
+const emailService = require('../../src/services/emailService');
+const emailQueueService = require('../../src/services/emailQueueService');
+const staffImportController = require('../../src/controllers/staffImportController');
+const { ValidationError } = require('../../src/utils/errors');
+
+const sheet = (rows) => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), 'Staff');
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+const uploadRequest = (rows, query = {}) => ({
+  params: { institutionId: '1' },
+  query,
+  file: rows && { buffer: sheet(rows), originalname: 'staff.xlsx' },
+  user: { id: 5, role: 'head_of_teaching_practice', institution_id: 1 },
+  headers: {},
+  get: () => null,
+});
+
+const mockResponse = () => {
+  const res = { json: jest.fn(), status: jest.fn(), send: jest.fn(), setHeader: jest.fn() };
+  res.status.mockReturnValue(res);
+  return res;
+};
+
+const mockLookups = () => {
+  mockDb.setMockResult('FROM ranks', [
+    { id: 3, name: 'Senior Lecturer', code: 'SL' },
+    { id: 4, name: 'Chief Lecturer', code: 'CL' },
+  ]);
+  mockDb.setMockResult('FROM faculties', [{ id: 7, name: 'Faculty of Education', code: 'EDU' }]);
+};
+
+const rows = [
+  { 'Full Name': 'Dr. Ada Obi', Email: 'Ada.Obi@fue.edu.ng', Rank: 'sl', Faculty: 'faculty of education', 'File No': 'p0101', Dean: 'Yes' },
+  { 'Full Name': 'Mr. Tunde Bello', Email: 'tunde@fue.edu.ng', Role: 'Field Monitor', Rank: 'Chief Lecturer', Faculty: 'EDU' },
+  { 'Full Name': 'Mrs. Kemi Ade', Email: 'kemi@fue.edu.ng', Rank: 'XX', Faculty: 'Faculty of Law' },
+  { 'Full Name': 'Mr. Musa Bala', Email: 'not-an-email', Role: 'super_admin' },
+  { 'Full Name': 'Dr. Ngozi Eze', Email: 'ngozi@fue.edu.ng', 'File No': 'P0200' },
+];
+
+describe('uploadFromExcel', () => {
+  beforeEach(() => {
+    mockDb.resetMocks();
+    jest.restoreAllMocks();
+  });
+
+  test('maps ranks and faculties, and reports row errors and existing staff on a dry run', async () => {
+    mockLookups();
+    mockDb.setMockResult('SELECT email, file_number FROM users', [{ email: 'someone@fue.edu.ng', file_number: 'P0200' }]);
+
+    const res = mockResponse();
+    const next = jest.fn();
+    await staffImportController.uploadFromExcel(uploadRequest(rows, { validate_only: 'true' }), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    const body = res.json.mock.calls[0][0];
+    expect(body.can_proceed).toBe(false);
+    expect(body.data).toMatchObject({ total_rows: 5, valid_rows: 2, error_rows: 2, duplicate_rows: 1 });
+    expect(body.data.preview).toEqual([
+      expect.objectContaining({
+        row_number: 2, email: 'ada.obi@fue.edu.ng', role: 'supervisor', file_number: 'P0101', is_dean: true,
+        rank: { id: 3, code: 'SL', name: 'Senior Lecturer' }, faculty: { id: 7, name: 'Faculty of Education' },
+      }),
+      expect.objectContaining({ row_number: 3, role: 'field_monitor', is_dean: false, rank: expect.objectContaining({ id: 4 }) }),
+    ]);
+    expect(body.data.errors).toEqual([
+      { row: 4, email: 'kemi@fue.edu.ng', errors: ["Unknown rank code 'XX'", "Unknown faculty 'Faculty of Law'"] },
+      { row: 5, email: 'not-an-email', errors: ['Email is not valid', expect.stringMatching(/^Role must be one of/)] },
+    ]);
+    expect(body.data.duplicates).toEqual([
+      { row: 6, email: 'ngozi@fue.edu.ng', reason: 'File number P0200 is already in use' },
+    ]);
+    expect(mockDb.getQueriesMatching('INSERT IGNORE INTO users')).toHaveLength(0);
+  });
+
+  test('rejects the same person twice in one file', async () => {
+    mockLookups();
+
+    const res = mockResponse();
+    await staffImportController.uploadFromExcel(uploadRequest([
+      { name: 'Dr. Ada Obi', email: 'ada@fue.edu.ng', file_number: 'P1' },
+      { name: 'Ada Obi', email: 'ada.obi@fue.edu.ng', file_number: 'p1' },
+    ]), res, jest.fn());
+
+    const body = res.json.mock.calls[0][0];
+    expect(body.can_proceed).toBe(false);
+    expect(body.data.errors.map((e) => e.row)).toEqual([2, 3]);
+  });
+
+  test('creates the valid accounts, skips existing staff and queues welcome emails', async () => {
+    mockLookups();
+    mockDb.setMockResult('SELECT email, file_number FROM users', [{ email: 'ngozi@fue.edu.ng', file_number: null }]);
+    jest.spyOn(emailService, 'getFrontendUrl').mockResolvedValue('https://fue.example.test');
+    const queueEmail = jest.spyOn(emailQueueService, 'queueEmail').mockResolvedValue('email_1');
+
+    const res = mockResponse();
+    const next = jest.fn();
+    await staffImportController.uploadFromExcel(
+      uploadRequest(rows, { validate_only: 'false', send_emails: 'true' }), res, next
+    );
+
+    expect(next).not.toHaveBeenCalled();
+    const body = res.json.mock.calls[0][0];
+    expect(body.data).toMatchObject({ created: 2, duplicates: 1, emails_queued: 2 });
+    expect(body.data.users[0]).toMatchObject({ email: 'ada.obi@fue.edu.ng', password: expect.any(String) });
+
+    const inserts = mockDb.getQueriesMatching('INSERT IGNORE INTO users');
+    expect(inserts).toHaveLength(2);
+    expect(inserts[0].params[3]).toMatch(/^\$2[aby]\$/);
+    expect(inserts[0].params.slice(4)).toEqual([null, 'supervisor', 3, 7, 'P0101', 1]);
+    expect(inserts[1].params.slice(4)).toEqual([null, 'field_monitor', 4, 7, null, 0]);
+
+    expect(queueEmail).toHaveBeenCalledWith(1, expect.objectContaining({
+      to: 'ada.obi@fue.edu.ng',
+      template: 'userCredentials',
+      data: expect.objectContaining({ password: body.data.users[0].password, loginUrl: 'https://fue.example.test/login' }),
+    }));
+    const [audit] = mockDb.getQueriesMatching('INSERT INTO audit_logs');
+    expect(audit.params[3]).toBe('users_bulk_upload');
+  });
+
+  test('requires a file', async () => {
+    const next = jest.fn();
+    await staffImportController.uploadFromExcel(uploadRequest(null), mockResponse(), next);
+    expect(next.mock.calls[0][0]).toBeInstanceOf(ValidationError);
+  });
+});
+
+describe('downloadTemplate', () => {
+  beforeEach(() => mockDb.resetMocks());
+
+  test('lists the institution ranks and faculties next to the staff sheet', async () => {
+    mockDb.setMockResult('FROM ranks', [{ code: 'CL', name: 'Chief Lecturer' }]);
+    mockDb.setMockResult('FROM faculties', [{ name: 'Faculty of Education', code: 'EDU' }]);
+
+    const res = mockResponse();
+    await staffImportController.downloadTemplate(uploadRequest(null), res, jest.fn());
+
+    const workbook = XLSX.read(res.send.mock.calls[0][0], { type: 'buffer' });
+    expect(workbook.SheetNames).toEqual(['Staff', 'Ranks', 'Faculties', 'Roles']);
+    expect(XLSX.utils.sheet_to_json(workbook.Sheets.Ranks)).toEqual([{ code: 'CL', name: 'Chief Lecturer' }]);
+    expect(Object.keys(XLSX.utils.sheet_to_json(workbook.Sheets.Staff)[0])).toEqual([
+      'name', 'email', 'phone', 'role', 'rank_code', 'faculty', 'file_number', 'is_dean',
+    ]);
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * Two-Factor Authentication Tests
+ *
+ * TOTP codes, the two-step staff sign-in, enrolment forced by institution
+ * policy, recovery codes and step-up for sensitive actions - mocked
+ * database, no HTTP.
+ */
+
+const bcrypt = require('bcrypt');
+const mockDb = require('../mocks/database');
+
+jest.mock('../../src/db/database', () => mockDb);
+
+const encryptionService = require('../../src/services/encryptionService');
+const twoFactorService = require('../../src/services/twoFactorService');
+const authController = require('../../src/controllers/authController');
+const twoFactorController = require('../../src/controllers/twoFactorController');
+const { twoFactorRateLimiter } = require('../../src/middleware/rateLimiter');
+const { ValidationError, AuthenticationError, RateLimitError } = require('../../src/utils/errors');
+
+const SECRET = twoFactorService.generateSecret();
+const PASSWORD = 'Correct-Horse-9';
+let passwordHash;
+
+beforeAll(async () => {
+  passwordHash = await bcrypt.hash(PASSWORD, 4);
+});
+
+const mockResponse = () => {
+  const res = { json: jest.fn(), status: jest.fn() };
+  res.status.mockReturnValue(res);
+  return res;
+};
+
+const loginRequest = (body, extra = {}) => ({
+  body,
+  ip: '10.0.0.5',
+  headers: { 'user-agent': 'jest' },
+  get: () => null,
+  ...extra,
+});
+
+const staffUser = (overrides = {}) => ({
+  id: 7,
+  name: 'Dr. Ada Obi',
+  email: 'ada@fue.edu.ng',
+  role: 'head_of_teaching_practice',
+  institution_id: 1,
+  institution_status: 'active',
+  institution_public_id: 'fue',
+  institution_name: 'FUE',
+  status: 'active',
+  password_hash: passwordHash,
+  ...overrides,
+});
+
+const mockEnrolment = (lastUsedStep = null) => mockDb.setMockResult('FROM user_two_factor', [{
+  user_id: 7, secret: encryptionService.encrypt(SECRET), enabled_at: new Date(), last_used_step: lastUsedStep,
+}]);
+
+const subdomain = { subdomainInstitution: { id: 1, public_id: 'fue', name: 'FUE', subdomain: 'fue' } };
+
+describe('verifyCode', () => {
+  test('accepts the current code and one step of drift, and refuses replays', () => {
+    const now = Date.UTC(2026, 9, 19, 12, 0, 10);
+    const step = twoFactorService.currentStep(now);
+
+    expect(twoFactorService.verifyCode(SECRET, twoFactorService.generateCode(SECRET, step), { now })).toBe(step);
+    expect(twoFactorService.verifyCode(SECRET, twoFactorService.generateCode(SECRET, step - 1), { now })).toBe(step - 1);
+    expect(twoFactorService.verifyCode(SECRET, twoFactorService.generateCode(SECRET, step - 2), { now })).toBeNull();
+    expect(twoFactorService.verifyCode(SECRET, twoFactorService.generateCode(SECRET, step), { now, lastUsedStep: step })).toBeNull();
+    expect(twoFactorService.verifyCode(SECRET, 'abc123', { now })).toBeNull();
+  });
+});
+
+describe('staff sign-in with two-factor', () => {
+  beforeEach(() => mockDb.resetMocks());
+
+  test('holds the session back until a valid code is given', async () => {
+    mockDb.setMockResult('FROM users u', [staffUser()]);
+    mockEnrolment();
+    mockDb.setMockResult('FROM user_recovery_codes', [{ remaining: 10 }]);
+
+    const res = mockResponse();
+    const next = jest.fn();
+    await authController.staffLogin(loginRequest({ email: 'ada@fue.edu.ng', password: PASSWORD }, subdomain), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    const { data } = res.json.mock.calls[0][0];
+    expect(data).toMatchObject({ requires_two_factor: true, requires_two_factor_setup: false });
+    expect(data.token).toBeUndefined();
+    expect(mockDb.getQueriesMatching('INSERT INTO user_sessions')).toHaveLength(0);
+
+    // Second step
+    mockDb.resetMocks();
+    mockDb.setMockResult('FROM users u', [staffUser()]);
+    mockEnrolment();
+    mockDb.setMockResult('UPDATE user_two_factor SET last_used_step', { affectedRows: 1 });
+
+    const code = twoFactorService.generateCode(SECRET, twoFactorService.currentStep());
+    const verified = mockResponse();
+    await authController.verifyTwoFactorLogin(
+      loginRequest({ challenge_token: data.challenge_token, code }, subdomain), verified, next
+    );
+
+    expect(next).not.toHaveBeenCalled();
+    expect(verified.json.mock.calls[0][0].data.token).toEqual(expect.any(String));
+    const [session] = mockDb.getQueriesMatching('INSERT INTO user_sessions');
+    expect(session.params[8]).toBeInstanceOf(Date);
+  });
+
+  test('rejects a wrong code and a challenge meant for enrolment', async () => {
+    mockDb.setMockResult('FROM users u', [staffUser()]);
+    mockEnrolment();
+
+    const next = jest.fn();
+    await authController.verifyTwoFactorLogin(
+      loginRequest({ challenge_token: twoFactorService.createChallenge(7, 'verify'), code: '000000' }), mockResponse(), next
+    );
+    expect(next.mock.calls[0][0]).toBeInstanceOf(AuthenticationError);
+    expect(mockDb.getQueriesMatching('INSERT INTO user_sessions')).toHaveLength(0);
+
+    const again = jest.fn();
+    await authController.verifyTwoFactorLogin(
+      loginRequest({ challenge_token: twoFactorService.createChallenge(7, 'enrol'), code: '123456' }), mockResponse(), again
+    );
+    expect(again.mock.calls[0][0].message).toMatch(/sign-in has expired/);
+  });
+
+  test('makes staff enrol first when the institution policy requires it', async () => {
+    mockDb.setMockResult('FROM users u', [staffUser()]);
+    mockDb.setMockResult('SELECT two_factor_policy FROM institutions', [{ two_factor_policy: 'head_of_tp' }]);
+
+    const res = mockResponse();
+    await authController.staffLogin(loginRequest({ email: 'ada@fue.edu.ng', password: PASSWORD }, subdomain), res, jest.fn());
+    const { data } = res.json.mock.calls[0][0];
+    expect(data).toMatchObject({ requires_two_factor: false, requires_two_factor_setup: true });
+
+    mockDb.resetMocks();
+    mockDb.setMockResult('FROM users u', [staffUser()]);
+    mockDb.setMockResult('FROM user_two_factor', [{
+      user_id: 7, secret: encryptionService.encrypt(SECRET), enabled_at: null, last_used_step: null,
+    }]);
+
+    const code = twoFactorService.generateCode(SECRET, twoFactorService.currentStep());
+    const done = mockResponse();
+    const next = jest.fn();
+    await authController.completeTwoFactorLoginSetup(
+      loginRequest({ challenge_token: data.challenge_token, code }, subdomain), done, next
+    );
+
+    expect(next).not.toHaveBeenCalled();
+    const body = done.json.mock.calls[0][0].data;
+    expect(body.token).toEqual(expect.any(String));
+    expect(body.recovery_codes).toHaveLength(10);
+    expect(mockDb.getQueriesMatching('INSERT INTO user_recovery_codes')).toHaveLength(10);
+    expect(mockDb.getQueriesMatching('UPDATE user_two_factor SET enabled_at = NOW()')).toHaveLength(1);
+  });
+
+  test('an SSO sign-in gets the same second step unless it came from a verified session', async () => {
+    const keyValueStore = require('../../src/services/keyValueStore');
+    const exchange = async (tokenData) => {
+      await keyValueStore.set('sso:test-token', { userId: 7, authType: 'staff', ...tokenData }, 30000);
+      const res = mockResponse();
+      const next = jest.fn();
+      await authController.exchangeSsoToken(
+        { body: { sso_token: 'test-token' }, ip: '10.0.0.5', headers: {} }, res, next
+      );
+      expect(next).not.toHaveBeenCalled();
+      return res.json.mock.calls[0][0].data;
+    };
+
+    // Partner SSO: the policy requires two-factor and none is set up
+    mockDb.setMockResult('SELECT * FROM users WHERE id = ?', [staffUser()]);
+    mockDb.setMockResult('SELECT two_factor_policy FROM institutions', [{ two_factor_policy: 'head_of_tp' }]);
+    const partner = await exchange({});
+    expect(partner).toMatchObject({ requires_two_factor_setup: true, challenge_token: expect.any(String) });
+    expect(partner.token).toBeUndefined();
+    expect(mockDb.getQueriesMatching('INSERT INTO user_sessions')).toHaveLength(0);
+
+    // Switching subdomain from a session that passed two-factor
+    mockDb.setMockResult('SELECT * FROM users WHERE id = ?', [staffUser()]);
+    const crossSubdomain = await exchange({ twoFactorVerified: true });
+    expect(crossSubdomain.token).toEqual(expect.any(String));
+    const [session] = mockDb.getQueriesMatching('INSERT INTO user_sessions');
+    expect(session.params[8]).toBeInstanceOf(Date);
+  });
+});
+
+describe('recovery codes', () => {
+  beforeEach(() => mockDb.resetMocks());
+
+  test('are checked by hash and can only be used once', async () => {
+    mockEnrolment();
+    mockDb.setMockResult('UPDATE user_recovery_codes SET used_at', { affectedRows: 1 });
+    await expect(twoFactorService.verifyUserCode(7, 'A1B2C-3D4E5')).resolves.toBe('recovery_code');
+
+    const [used] = mockDb.getQueriesMatching('UPDATE user_recovery_codes SET used_at');
+    expect(used.params[1]).toMatch(/^[0-9a-f]{64}$/);
+    expect(used.params[1]).not.toContain('a1b2c');
+
+    mockEnrolment();
+    mockDb.setMockResult('UPDATE user_recovery_codes SET used_at', { affectedRows: 0 });
+    await expect(twoFactorService.verifyUserCode(7, 'A1B2C-3D4E5')).resolves.toBeNull();
+  });
+});
+
+describe('brute-force limits', () => {
+  beforeEach(() => mockDb.resetMocks());
+
+  test('locks an account out after five wrong codes, even with the right one', async () => {
+    for (let i = 0; i < 5; i++) {
+      mockEnrolment();
+      await expect(twoFactorService.verifyUserCode(8, '000000')).resolves.toBeNull();
+    }
+
+    mockEnrolment();
+    const code = twoFactorService.generateCode(SECRET, twoFactorService.currentStep());
+    await expect(twoFactorService.verifyUserCode(8, code)).rejects.toBeInstanceOf(RateLimitError);
+    expect(mockDb.getQueriesMatching('UPDATE user_two_factor SET last_used_step')).toHaveLength(0);
+  });
+
+  test('the sign-in step is limited per account, not per IP', async () => {
+    const body = { challenge_token: twoFactorService.createChallenge(11, 'verify'), code: '000000' };
+    const next = jest.fn();
+    for (let i = 0; i < 10; i++) {
+      await twoFactorRateLimiter({ ip: `10.0.1.${i}`, body }, { setHeader: jest.fn() }, next);
+    }
+    expect(next).toHaveBeenCalledTimes(10);
+
+    const res = { ...mockResponse(), setHeader: jest.fn() };
+    res.status.mockReturnValue(res);
+    await twoFactorRateLimiter({ ip: '10.0.2.1', body }, res, next);
+    expect(next).toHaveBeenCalledTimes(10);
+    expect(res.status).toHaveBeenCalledWith(429);
+  });
+});
+
+describe('step-up', () => {
+  beforeEach(() => mockDb.resetMocks());
+
+  test('needs the password, and a code once two-factor is on', async () => {
+    mockDb.setMockResult('SELECT password_hash FROM users', [{ password_hash: passwordHash }]);
+    await expect(twoFactorService.verifyStepUp({ id: 7 }, { password: 'wrong' })).rejects.toThrow('Incorrect password');
+
+    mockDb.setMockResult('SELECT password_hash FROM users', [{ password_hash: passwordHash }]);
+    mockEnrolment();
+    await expect(twoFactorService.verifyStepUp({ id: 7 }, { password: PASSWORD })).rejects.toBeInstanceOf(ValidationError);
+
+    mockDb.setMockResult('SELECT password_hash FROM users', [{ password_hash: passwordHash }]);
+    mockEnrolment();
+    mockEnrolment();
+    mockDb.setMockResult('UPDATE user_two_factor SET last_used_step', { affectedRows: 1 });
+    const code = twoFactorService.generateCode(SECRET, twoFactorService.currentStep());
+    await expect(twoFactorService.verifyStepUp({ id: 7 }, { password: PASSWORD, code }, 'sess-1')).resolves.toBe('totp');
+
+    const [marked] = mockDb.getQueriesMatching('UPDATE user_sessions SET two_factor_verified_at');
+    expect(marked.params).toEqual(['sess-1']);
+  });
+
+  test('turning two-factor off is refused while policy requires it', async () => {
+    mockDb.setMockResult('SELECT two_factor_policy FROM institutions', [{ two_factor_policy: 'all_staff' }]);
+
+    const next = jest.fn();
+    await twoFactorController.disable(
+      { user: { id: 9, role: 'supervisor', institution_id: 1 }, headers: {}, get: () => null }, mockResponse(), next
+    );
+
+    expect(next.mock.calls[0][0].message).toMatch(/requires two-factor/);
+    expect(mockDb.getQueriesMatching('DELETE FROM user_two_factor')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Visit Compliance Tests
+ *
+ * Classifying postings against their visit windows, the finance summary and
+ * visit reminders - mocked database, no HTTP.
+ */
+
+const mockDb = require('../mocks/database');
+
+jest.mock('../../src/db/database', () => mockDb);
+
+const visitComplianceService = require('../../src/services/visitComplianceService');
+const visitComplianceController = require('../../src/controllers/visitComplianceController');
+
+const { classifyVisit } = visitComplianceService;
+
+// Visit 2 window: 15-31 January 2026
+const window = { window_start: '2026-01-15', window_end: '2026-01-31' };
+const duringWindow = new Date(2026, 0, 20, 12);
+const afterWindow = new Date(2026, 1, 3, 12);
+
+describe('classifyVisit', () => {
+  test('a check-in up to the end of the last day is on time, after it is late', () => {
+    expect(classifyVisit({ ...window, checked_in_at: new Date(2026, 0, 31, 23, 30) }, afterWindow)).toBe('on_time');
+    expect(classifyVisit({ ...window, checked_in_at: new Date(2026, 1, 1, 9) }, afterWindow)).toBe('late');
+  });
+
+  test('without a check-in: pending while open, then missing or out of geofence', () => {
+    expect(classifyVisit({ ...window, checked_in_at: null }, duringWindow)).toBe('pending');
+    expect(classifyVisit({ ...window, checked_in_at: null, attempts: 2 }, duringWindow)).toBe('pending');
+    expect(classifyVisit({ ...window, checked_in_at: null }, afterWindow)).toBe('missing');
+    expect(classifyVisit({ ...window, checked_in_at: null, attempts: 2 }, afterWindow)).toBe('out_of_geofence');
+    expect(classifyVisit({ window_start: null, window_end: null, checked_in_at: null })).toBe('no_timeline');
+  });
+});
+
+describe('getReport', () => {
+  beforeEach(() => mockDb.resetMocks());
+
+  test('lists expected versus verified visits and the allowance to withhold', async () => {
+    mockDb.setMockResult('FROM supervisor_postings sp', [
+      { posting_id: 1, ...window, checked_in_at: new Date(2026, 0, 20, 9), attempts: 0, transport: 5000, dta: 2000 },
+      { posting_id: 2, ...window, checked_in_at: null, attempts: 0, transport: 3000, dsa: 1500 },
+      { posting_id: 3, ...window, checked_in_at: null, attempts: '1', local_running: 800 },
+      { posting_id: 4, window_start: null, window_end: null, checked_in_at: null, attempts: 0 },
+    ]);
+
+    const req = { params: { institutionId: '1' }, query: { session_id: 2 } };
+    const res = { json: jest.fn() };
+    const next = jest.fn();
+    await visitComplianceController.getReport(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    const [select] = mockDb.getQueriesMatching('FROM supervisor_postings sp');
+    expect(select.params).toEqual([1, 2]);
+
+    const { summary, rows } = res.json.mock.calls[0][0].data;
+    expect(rows.map((r) => [r.posting_id, r.status, r.withhold])).toEqual([
+      [1, 'on_time', false],
+      [2, 'missing', true],
+      [3, 'out_of_geofence', true],
+      [4, 'no_timeline', false],
+    ]);
+    expect(summary).toMatchObject({ expected: 4, verified: 1, on_time: 1, missing: 1, out_of_geofence: 1, withheld_amount: 5300 });
+  });
+
+  test('withholds TETFund once per session, and only when no visit was verified', async () => {
+    const posting = { ...window, session_id: 2, checked_in_at: null, attempts: 0, transport: 1000, tetfund: 20000 };
+    mockDb.setMockResult('FROM supervisor_postings sp', [
+      // Supervisor 7: both visits missed
+      { ...posting, posting_id: 1, supervisor_id: 7, visit_number: 1 },
+      { ...posting, posting_id: 2, supervisor_id: 7, visit_number: 2 },
+      // Supervisor 8: second visit verified
+      { ...posting, posting_id: 3, supervisor_id: 8, visit_number: 1 },
+      { ...posting, posting_id: 4, supervisor_id: 8, visit_number: 2, checked_in_at: new Date(2026, 0, 20, 9) },
+    ]);
+
+    const res = { json: jest.fn() };
+    await visitComplianceController.getReport({ params: { institutionId: '1' }, query: { session_id: 2 } }, res, jest.fn());
+
+    const { summary, rows } = res.json.mock.calls[0][0].data;
+    expect(rows.map((r) => [r.posting_id, r.allowance_total, r.withhold, r.tetfund_withheld])).toEqual([
+      [1, 1000, true, 20000],
+      [2, 1000, true, 0],
+      [3, 1000, true, 0],
+      [4, 1000, false, 0],
+    ]);
+    expect(summary.withheld_amount).toBe(23000);
+  });
+
+  test('times an offline check-in by when it synced, and flags an on-time claim for review', async () => {
+    mockDb.setMockResult('FROM supervisor_postings sp', [
+      { posting_id: 5, ...window, sync_mode: 'deferred', checked_in_at: new Date(2026, 1, 2, 9), claimed_at: new Date(2026, 0, 31, 15), attempts: 0 },
+      { posting_id: 6, ...window, sync_mode: 'deferred', checked_in_at: new Date(2026, 1, 2, 9), claimed_at: new Date(2026, 1, 1, 8), attempts: 0 },
+    ]);
+
+    const res = { json: jest.fn() };
+    await visitComplianceController.getReport({ params: { institutionId: '1' }, query: {} }, res, jest.fn());
+
+    const [select] = mockDb.getQueriesMatching('FROM supervisor_postings sp');
+    expect(select.sql).toContain('sll.timestamp_server as checked_in_at');
+    const { rows } = res.json.mock.calls[0][0].data;
+    expect(rows.map((r) => [r.posting_id, r.status, r.needs_review])).toEqual([
+      [5, 'late', true],
+      [6, 'late', false],
+    ]);
+  });
+});
+
+describe('sendVisitReminders', () => {
+  beforeEach(() => mockDb.resetMocks());
+
+  test('reminds each supervisor whose window closes soon, once per posting', async () => {
+    mockDb.setMockResult('AND sp.location_log_id IS NULL', [
+      { posting_id: 8, institution_id: 1, supervisor_id: 7, visit_number: 2, school_name: 'Model College', ...window },
+    ]);
+
+    const sent = await visitComplianceService.sendVisitReminders({ institutionId: 1, now: new Date(2026, 0, 30, 10) });
+
+    expect(sent).toBe(1);
+    const [due] = mockDb.getQueriesMatching('AND sp.location_log_id IS NULL');
+    expect(due.sql).toContain('NOT EXISTS');
+    expect(due.params).toEqual([new Date(2026, 0, 30), new Date(2026, 0, 30), new Date(2026, 1, 1), 'visit_reminder', 1]);
+
+    const [notification] = mockDb.getQueriesMatching('INSERT INTO notifications');
+    expect(notification.params).toEqual(expect.arrayContaining(['visit_reminder', 'supervisor_posting', 8]));
+    expect(notification.params.join(' ')).toContain('Your visit 2 check-in at Model College has not been recorded');
+  });
+});
@@ -27,6 +27,7 @@ async function query(sql, params = []) {
   for (const result of mockResults) {
     if (result.pattern && sql.includes(result.pattern)) {
       const matched = mockResults.splice(mockResults.indexOf(result), 1)[0];
+      if (matched.value instanceof Error) throw matched.value;
       return matched.value;
     }
   }
@@ -43,6 +44,12 @@ async function transaction(callback) {
   const mockConnection = {
     execute: async (sql, params) => {
       queryHistory.push({ sql, params, type: 'transaction', timestamp: new Date() });
+      // A result set up for this query comes back as mysql2 does: [rows or result]
+      for (const result of mockResults) {
+        if (result.pattern && sql.includes(result.pattern)) {
+          return [mockResults.splice(mockResults.indexOf(result), 1)[0].value];
+        }
+      }
       return [{ insertId: 1, affectedRows: 1 }];
     },
     query: async (sql, params) => {
@@ -77,7 +84,7 @@ async function findById(table, id, institutionId) {
 /**
  * Set up mock result for specific query pattern
  * @param {string} pattern - SQL pattern to match
- * @param {any} value - Value to return
+ * @param {any} value - Value to return, or an Error for query() to throw
  */
 function setMockResult(pattern, value) {
   mockResults.push({ pattern, value });
@@ -74,10 +74,15 @@ const MergeRoutesPage = lazy(() => import('./pages/admin/MergeRoutesPage'));
 const AdminResultsPage = lazy(() => import('./pages/admin/AdminResultsPage'));
 const AllPostingsPage = lazy(() => import('./pages/admin/AllPostingsPage'));
 const SchoolUpdateRequestsPage = lazy(() => import('./pages/admin/SchoolUpdateRequestsPage'));
+const IssuedDocumentsPage = lazy(() => import('./pages/admin/IssuedDocumentsPage'));
+const EmailLogsPage = lazy(() => import('./pages/admin/EmailLogsPage'));
+const ActivityLogPage = lazy(() => import('./pages/admin/ActivityLogPage'));
 const DocumentTemplatesPage = lazy(() => import('./pages/admin/DocumentTemplatesPage'));
 const DeanPostingAllocationPage = lazy(() => import('./pages/admin/DeanPostingAllocationPage'));
 const DeansPostingsPage = lazy(() => import('./pages/admin/DeansPostingsPage'));
+const PostingConstraintsPage = lazy(() => import('./pages/admin/PostingConstraintsPage'));
 const AdminLocationLogsPage = lazy(() => import('./pages/admin/AdminLocationLogsPage'));
+const VisitCompliancePage = lazy(() => import('./pages/admin/VisitCompliancePage'));
 
 // Supervisor Pages
 const SupervisorResultUploadPage = lazy(() => import('./pages/supervisor/SupervisorResultUploadPage'));
@@ -101,7 +106,9 @@ const AcceptanceDocumentPage = lazy(() => import('./pages/student/AcceptanceDocu
 const EvaluationFormPage = lazy(() => import('./pages/student/EvaluationFormPage'));
 const StudentPrincipalUpdatePage = lazy(() => import('./pages/student/PrincipalUpdatePage'));
 const StudentLocationUpdatePage = lazy(() => import('./pages/student/LocationUpdatePage'));
+const SchoolPreferencesPage = lazy(() => import('./pages/student/SchoolPreferencesPage'));
 const DocsPage = lazy(() => import('./pages/public/DocsPage'));
+const VerifyDocumentPage = lazy(() => import('./pages/public/VerifyDocumentPage'));
 const MaintenancePage = lazy(() => import('./pages/errors/MaintenancePage'));
 
 /**
@@ -157,6 +164,9 @@ function AppRoutes() {
                 <Route path="/forgot-password" element={<SuspensePage><ForgotPasswordPage /></SuspensePage>} />
                 <Route path="/reset-password" element={<SuspensePage><ResetPasswordPage /></SuspensePage>} />
 
+                {/* Public document verification (QR codes on issued letters) */}
+                <Route path="/verify/:token" element={<SuspensePage><VerifyDocumentPage /></SuspensePage>} />
+
             {/* Admin Routes */}
             <Route
               path="/admin"
@@ -318,6 +328,7 @@ function AppRoutes() {
               {/* Supervisor-specific pages */}
               <Route path="result-upload" element={<SupervisorResultUploadPage />} />
               <Route path="my-postings" element={<SupervisorMyPostingsPage />} />
+              <Route path="posting-constraints" element={<PostingConstraintsPage />} />
               <Route path="my-invitation" element={<SupervisorInvitationPage />} />
               <Route path="location-tracker" element={<LocationTrackerPage />} />
               
@@ -341,6 +352,16 @@ function AppRoutes() {
                 } 
               />
               
+              {/* Visit Compliance */}
+              <Route 
+                path="visit-compliance" 
+                element={
+                  <HeadOfTPRoute>
+                    <VisitCompliancePage />
+                  </HeadOfTPRoute>
+                } 
+              />
+              
               {/* Admin-only pages - HeadOfTP and SuperAdmin */}
               <Route 
                 path="users" 
@@ -366,6 +387,30 @@ function AppRoutes() {
                   </SuperAdminRoute>
                 } 
               />
+              <Route 
+                path="issued-documents" 
+                element={
+                  <HeadOfTPRoute>
+                    <IssuedDocumentsPage />
+                  </HeadOfTPRoute>
+                } 
+              />
+              <Route
+                path="email-logs"
+                element={
+                  <HeadOfTPRoute>
+                    <SuspensePage><EmailLogsPage /></SuspensePage>
+                  </HeadOfTPRoute>
+                }
+              />
+              <Route
+                path="activity-log"
+                element={
+                  <HeadOfTPRoute>
+                    <SuspensePage><ActivityLogPage /></SuspensePage>
+                  </HeadOfTPRoute>
+                }
+              />
               <Route 
                 path="school-update-requests" 
                 element={
@@ -441,6 +486,26 @@ function AppRoutes() {
                 }
               />
 
+              {/* Email Delivery - Super Admin on admin subdomain */}
+              <Route
+                path="global-email-logs"
+                element={
+                  <GlobalRoute>
+                    <SuspensePage><EmailLogsPage global /></SuspensePage>
+                  </GlobalRoute>
+                }
+              />
+
+              {/* Activity Log - Super Admin on admin subdomain */}
+              <Route
+                path="global-activity-log"
+                element={
+                  <GlobalRoute>
+                    <SuspensePage><ActivityLogPage global /></SuspensePage>
+                  </GlobalRoute>
+                }
+              />
+
               {/* Master Schools - Central Registry Management - Super Admin on admin subdomain */}
               <Route
                 path="master-schools"
@@ -477,6 +542,7 @@ function AppRoutes() {
               <Route path="dashboard" element={<StudentDashboard />} />
               <Route path="payment" element={<PaymentPage />} />
               <Route path="acceptance" element={<AcceptanceFormPage />} />
+              <Route path="school-preferences" element={<SuspensePage><SchoolPreferencesPage /></SuspensePage>} />
               <Route path="introduction-letter" element={<IntroductionLetterPage />} />
               <Route path="acceptance-document" element={<AcceptanceDocumentPage />} />
               <Route path="posting-letter" element={<PostingLetterPage />} />
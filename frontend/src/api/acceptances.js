@@ -57,6 +57,13 @@ export function createAcceptancesApi(institutionId) {
     
     export: (params = {}) =>
       apiClient.get(`${basePath}/export`, { params, responseType: 'blob' }),
+
+    // Student school preferences
+    getPreferenceReport: (sessionId) =>
+      apiClient.get(`/${institutionId}/school-preferences/report`, { params: { session_id: sessionId } }),
+
+    getPlacementPlan: (sessionId) =>
+      apiClient.post(`/${institutionId}/school-preferences/placement-plan`, { session_id: sessionId }),
   };
 }
 
@@ -93,9 +100,16 @@ export const acceptancesApi = {
   },
   bulkCreate: (data) => apiClient.post(`${getBasePath()}/bulk`, data),
   export: (params = {}) => apiClient.get(`${getBasePath()}/export`, { params, responseType: 'blob' }),
+  // Student school preferences (staff report and placement plan)
+  getPreferenceReport: (sessionId) =>
+    apiClient.get(`/${getCurrentInstitutionId()}/school-preferences/report`, { params: { session_id: sessionId } }),
+  getPlacementPlan: (sessionId) =>
+    apiClient.post(`/${getCurrentInstitutionId()}/school-preferences/placement-plan`, { session_id: sessionId }),
   // Student portal methods (use /portal paths, not institution-scoped)
   getStudentStatus: () => apiClient.get('/portal/acceptance/status'),
   getAvailableSchools: (params = {}) => apiClient.get('/portal/acceptance/schools', { params }),
+  getSchoolPreferences: () => apiClient.get('/portal/school-preferences'),
+  saveSchoolPreferences: (schoolIds) => apiClient.put('/portal/school-preferences', { school_ids: schoolIds }),
   submit: (data) => apiClient.post('/portal/acceptance/submit', data, {
     headers: { 'Content-Type': 'multipart/form-data' },
   }),
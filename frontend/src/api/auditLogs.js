@@ -0,0 +1,56 @@
+/**
+ * Audit Logs API - MedeePay Pattern
+ * Activity log (who changed what) and its CSV export
+ */
+
+import apiClient, { getCurrentInstitutionId } from './client';
+
+function buildAuditLogsApi(getBasePath) {
+  return {
+    getLogs: (params = {}) =>
+      apiClient.get(getBasePath(), { params }),
+
+    // Actions, resource types and users that appear in the log
+    getFilters: (params = {}) =>
+      apiClient.get(`${getBasePath()}/filters`, { params }),
+
+    exportCsv: (params = {}) =>
+      apiClient.get(`${getBasePath()}/export`, { params, responseType: 'blob' }),
+  };
+}
+
+/**
+ * Create an audit logs API bound to a specific institution
+ * @param {number|string} institutionId - Institution ID
+ * @returns {Object} Audit logs API methods
+ */
+export function createAuditLogsApi(institutionId) {
+  if (!institutionId) {
+    throw new Error('Institution ID is required');
+  }
+
+  return buildAuditLogsApi(() => `/${institutionId}/audit-logs`);
+}
+
+// ============================================================================
+// Legacy exports for backward compatibility
+// These automatically use getCurrentInstitutionId() to get the institution context
+// ============================================================================
+
+function getBasePath() {
+  const institutionId = getCurrentInstitutionId();
+  if (!institutionId) {
+    throw new Error('No institution selected. Please select an institution first.');
+  }
+  return `/${institutionId}/audit-logs`;
+}
+
+export const auditLogsApi = buildAuditLogsApi(getBasePath);
+
+/**
+ * Platform-wide activity log (super_admin, admin subdomain).
+ * Pass `institution_id` in params to narrow to one institution.
+ */
+export const globalAuditLogsApi = buildAuditLogsApi(() => '/global/audit-logs');
+
+export default auditLogsApi;
@@ -14,6 +14,16 @@ export const authApi = {
   login: (credentials) => 
     apiClient.post('/auth/login', credentials),
   
+  // Second sign-in step when two-factor is on (or required by policy)
+  verifyTwoFactorLogin: (challengeToken, code) =>
+    apiClient.post('/auth/login/2fa', { challenge_token: challengeToken, code }),
+
+  setupTwoFactorLogin: (challengeToken) =>
+    apiClient.post('/auth/login/2fa/setup', { challenge_token: challengeToken }),
+
+  enableTwoFactorLogin: (challengeToken, code) =>
+    apiClient.post('/auth/login/2fa/enable', { challenge_token: challengeToken, code }),
+
   // Student login
   studentLogin: (credentials) => 
     apiClient.post('/auth/student-login', credentials),
@@ -45,6 +55,23 @@ export const authApi = {
   changePassword: (data) => 
     apiClient.put('/auth/password', data),
   
+  // Two-factor settings for the signed-in user
+  getTwoFactor: () =>
+    apiClient.get('/auth/2fa'),
+
+  setupTwoFactor: () =>
+    apiClient.post('/auth/2fa/setup'),
+
+  enableTwoFactor: (code) =>
+    apiClient.post('/auth/2fa/enable', { code }),
+
+  // Step-up: { password, code }
+  disableTwoFactor: (stepUp) =>
+    apiClient.post('/auth/2fa/disable', stepUp),
+
+  regenerateRecoveryCodes: (stepUp) =>
+    apiClient.post('/auth/2fa/recovery-codes', stepUp),
+
   logout: () => 
     apiClient.post('/auth/logout'),
   
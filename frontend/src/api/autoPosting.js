@@ -3,7 +3,9 @@
  * Automated supervisor posting operations
  * 
  * Provides preview, execute, history, and rollback operations
- * for bulk supervisor posting with configurable criteria
+ * for bulk supervisor posting with configurable criteria, plus saved
+ * what-if scenarios that can be compared and executed, and incremental
+ * repair of committed postings after late changes
  * 
  * @see docs/AUTOMATED_POSTING_SYSTEM.md for full specification
  */
@@ -32,6 +34,7 @@ export function createAutoPostingApi(institutionId) {
      * @param {boolean} criteria.priority_enabled - Enable priority-based distribution
      * @param {boolean} [criteria.avoid_repeat_schools=true] - Avoid sending a supervisor to the same school twice
      * @param {number} [criteria.faculty_id] - Optional faculty filter for deans
+     * @param {Object} [criteria.weights] - Overrides of the engine's cost weights (repeat, affinity, load, travel)
      */
     preview: (criteria) => 
       apiClient.post(`${basePath}/preview`, criteria),
@@ -59,6 +62,73 @@ export function createAutoPostingApi(institutionId) {
      */
     rollback: (batchId) => 
       apiClient.post(`${basePath}/${batchId}/rollback`),
+
+    /**
+     * List saved what-if scenarios for a session, with comparison metrics
+     * @param {Object} params - Query parameters
+     * @param {number} params.session_id - Session ID
+     */
+    getScenarios: (params) =>
+      apiClient.get(`${basePath}/scenarios`, { params }),
+
+    /**
+     * Get a scenario including its planned assignments
+     * @param {number} scenarioId - Scenario ID
+     */
+    getScenario: (scenarioId) =>
+      apiClient.get(`${basePath}/scenarios/${scenarioId}`),
+
+    /**
+     * Plan with the given criteria and save the result as a named scenario
+     * @param {Object} data - Preview criteria plus `name`
+     */
+    createScenario: (data) =>
+      apiClient.post(`${basePath}/scenarios`, data),
+
+    /**
+     * Re-plan a scenario against the current postings
+     * @param {number} scenarioId - Scenario ID
+     */
+    recomputeScenario: (scenarioId) =>
+      apiClient.post(`${basePath}/scenarios/${scenarioId}/recompute`),
+
+    /**
+     * Create postings from a scenario's planned assignments
+     * @param {number} scenarioId - Scenario ID
+     */
+    executeScenario: (scenarioId) =>
+      apiClient.post(`${basePath}/scenarios/${scenarioId}/execute`),
+
+    /**
+     * Delete a scenario that has not been executed
+     * @param {number} scenarioId - Scenario ID
+     */
+    deleteScenario: (scenarioId) =>
+      apiClient.delete(`${basePath}/scenarios/${scenarioId}`),
+
+    /**
+     * Supervisors, schools and merged groups a repair can refer to
+     * @param {Object} params - Query parameters
+     * @param {number} params.session_id - Session ID
+     */
+    getRepairOptions: (params) =>
+      apiClient.get(`${basePath}/repair/options`, { params }),
+
+    /**
+     * Preview re-planning the postings touched by late changes
+     * @param {Object} data - Criteria (as preview, without number_of_postings) plus `changes`:
+     *   { type: 'supervisor_withdrawn', supervisor_id, from_visit? } | { type: 'school_closed', school_id }
+     *   | { type: 'group_merged', school_id, group_number }
+     */
+    previewRepair: (data) =>
+      apiClient.post(`${basePath}/repair/preview`, data),
+
+    /**
+     * Apply a previewed repair
+     * @param {Object} data - Same as previewRepair plus the preview's `plan_hash`
+     */
+    applyRepair: (data) =>
+      apiClient.post(`${basePath}/repair/apply`, data),
   };
 }
 
@@ -80,4 +150,13 @@ export const autoPostingApi = {
   execute: (criteria) => apiClient.post(`${getBasePath()}/execute`, criteria),
   getHistory: (params = {}) => apiClient.get(`${getBasePath()}/history`, { params }),
   rollback: (batchId) => apiClient.post(`${getBasePath()}/${batchId}/rollback`),
+  getScenarios: (params) => apiClient.get(`${getBasePath()}/scenarios`, { params }),
+  getScenario: (scenarioId) => apiClient.get(`${getBasePath()}/scenarios/${scenarioId}`),
+  createScenario: (data) => apiClient.post(`${getBasePath()}/scenarios`, data),
+  recomputeScenario: (scenarioId) => apiClient.post(`${getBasePath()}/scenarios/${scenarioId}/recompute`),
+  executeScenario: (scenarioId) => apiClient.post(`${getBasePath()}/scenarios/${scenarioId}/execute`),
+  deleteScenario: (scenarioId) => apiClient.delete(`${getBasePath()}/scenarios/${scenarioId}`),
+  getRepairOptions: (params) => apiClient.get(`${getBasePath()}/repair/options`, { params }),
+  previewRepair: (data) => apiClient.post(`${getBasePath()}/repair/preview`, data),
+  applyRepair: (data) => apiClient.post(`${getBasePath()}/repair/apply`, data),
 };
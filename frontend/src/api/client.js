@@ -64,6 +64,19 @@ export function clearCachedInstitutionId() {
   cachedInstitutionId = null;
 }
 
+// Super admin override for writes against a locked session.
+// The handler asks for a reason and resolves to it, or to null if cancelled.
+export const SESSION_LOCK_OVERRIDE_HEADER = 'X-Session-Lock-Override';
+let sessionLockOverrideHandler = null;
+
+/**
+ * Register the prompt shown when a super admin hits a locked session
+ * (called by SessionLockOverrideDialog). Pass null to unregister.
+ */
+export function setSessionLockOverrideHandler(handler) {
+  sessionLockOverrideHandler = handler;
+}
+
 // Request interceptor - add auth token, tab ID, and subdomain
 apiClient.interceptors.request.use(
   (config) => {
@@ -117,6 +130,22 @@ apiClient.interceptors.response.use(
     if (error.response?.status === 503 && error.response?.data?.errorCode === 'MAINTENANCE_MODE') {
       window.location.reload();
     }
+
+    // Locked session - let a super admin give a reason and retry once with the override
+    if (
+      error.response?.data?.errorCode === 'SESSION_LOCKED' &&
+      sessionLockOverrideHandler &&
+      error.config &&
+      !error.config._sessionLockOverride &&
+      getUser()?.role === 'super_admin'
+    ) {
+      return Promise.resolve(sessionLockOverrideHandler(error.response.data.message)).then((reason) => {
+        if (!reason) return Promise.reject(error);
+        error.config._sessionLockOverride = true;
+        error.config.headers[SESSION_LOCK_OVERRIDE_HEADER] = reason;
+        return apiClient(error.config);
+      });
+    }
     
     return Promise.reject(error);
   }
@@ -41,6 +41,16 @@ export function createDocumentTemplatesApi(institutionId) {
     
     generate: (id, data = {}) => 
       apiClient.post(`${basePath}/${id}/generate`, data),
+    
+    downloadPdf: (id, studentId, params = {}) => 
+      apiClient.get(`${basePath}/${id}/generate/${studentId}`, { params: { ...params, format: 'pdf' }, responseType: 'blob' }),
+    
+    // Issued (QR-verifiable) PDFs
+    getIssuances: (params = {}) => 
+      apiClient.get(`${basePath}/issued`, { params }),
+    
+    revokeIssuance: (issuanceId, reason) => 
+      apiClient.post(`${basePath}/issued/${issuanceId}/revoke`, { reason }),
   };
 }
 
@@ -74,9 +84,13 @@ export const documentTemplatesApi = {
   // Render for specific student (uses generate endpoint)
   renderForStudent: (id, studentId, data = {}) => apiClient.post(`${getBasePath()}/${id}/generate`, { student_id: studentId, ...data }),
   generate: (id, data = {}) => apiClient.post(`${getBasePath()}/${id}/generate`, data),
+  downloadPdf: (id, studentId, params = {}) => apiClient.get(`${getBasePath()}/${id}/generate/${studentId}`, { params: { ...params, format: 'pdf' }, responseType: 'blob' }),
   publish: (id) => apiClient.post(`${getBasePath()}/${id}/publish`),
   archive: (id) => apiClient.post(`${getBasePath()}/${id}/archive`),
   duplicate: (id) => apiClient.post(`${getBasePath()}/${id}/duplicate`),
   getVersions: (id) => apiClient.get(`${getBasePath()}/${id}/versions`),
   rollback: (id, version) => apiClient.post(`${getBasePath()}/${id}/rollback`, { version }),
+  // Issued (QR-verifiable) PDFs
+  getIssuances: (params = {}) => apiClient.get(`${getBasePath()}/issued`, { params }),
+  revokeIssuance: (issuanceId, reason) => apiClient.post(`${getBasePath()}/issued/${issuanceId}/revoke`, { reason }),
 };
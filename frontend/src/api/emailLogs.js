@@ -0,0 +1,65 @@
+/**
+ * Email Logs API - MedeePay Pattern
+ * Delivery logs and the email dead-letter queue
+ */
+
+import apiClient, { getCurrentInstitutionId } from './client';
+
+function buildEmailLogsApi(getBasePath) {
+  return {
+    getLogs: (params = {}) =>
+      apiClient.get(getBasePath(), { params }),
+
+    getStats: (params = {}) =>
+      apiClient.get(`${getBasePath()}/stats`, { params }),
+
+    // Dead-letter queue (emails that failed every retry)
+    getDeadLetters: (params = {}) =>
+      apiClient.get(`${getBasePath()}/dead-letter`, { params }),
+
+    retry: (jobId) =>
+      apiClient.post(`${getBasePath()}/dead-letter/${encodeURIComponent(jobId)}/retry`),
+
+    bulkRetry: (data = {}) =>
+      apiClient.post(`${getBasePath()}/dead-letter/retry`, data),
+
+    clearDeadLetters: (params = {}) =>
+      apiClient.delete(`${getBasePath()}/dead-letter`, { params }),
+  };
+}
+
+/**
+ * Create an email logs API bound to a specific institution
+ * @param {number|string} institutionId - Institution ID
+ * @returns {Object} Email logs API methods
+ */
+export function createEmailLogsApi(institutionId) {
+  if (!institutionId) {
+    throw new Error('Institution ID is required');
+  }
+
+  return buildEmailLogsApi(() => `/${institutionId}/email-logs`);
+}
+
+// ============================================================================
+// Legacy exports for backward compatibility
+// These automatically use getCurrentInstitutionId() to get the institution context
+// ============================================================================
+
+function getBasePath() {
+  const institutionId = getCurrentInstitutionId();
+  if (!institutionId) {
+    throw new Error('No institution selected. Please select an institution first.');
+  }
+  return `/${institutionId}/email-logs`;
+}
+
+export const emailLogsApi = buildEmailLogsApi(getBasePath);
+
+/**
+ * Platform-wide email logs (super_admin, admin subdomain).
+ * Pass `institution_id` in params to narrow to one institution.
+ */
+export const globalEmailLogsApi = buildEmailLogsApi(() => '/global/email-logs');
+
+export default emailLogsApi;
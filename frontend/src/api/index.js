@@ -25,6 +25,9 @@ export { authApi } from './auth';
 export { institutionsApi } from './institutions';
 export { publicApi } from './publicApi';
 export { portalApi } from './portal';
+export { globalEmailLogsApi } from './emailLogs';
+export { globalAuditLogsApi } from './auditLogs';
+export { portalNotificationsApi } from './notifications';
 
 // Institution-scoped API factories
 export { createStudentsApi } from './students';
@@ -49,6 +52,11 @@ export { createUsersApi } from './users';
 export { createPortalAdminApi } from './portal';
 export { createDeanAllocationsApi } from './deanAllocations';
 export { createAutoPostingApi } from './autoPosting';
+export { createPostingConstraintsApi } from './postingConstraints';
+export { createVisitComplianceApi } from './visitCompliance';
+export { createEmailLogsApi } from './emailLogs';
+export { createAuditLogsApi } from './auditLogs';
+export { createNotificationsApi } from './notifications';
 
 // Location tracking API (supervisor geofencing)
 export { locationApi } from './location';
@@ -78,3 +86,8 @@ export { schoolUpdateRequestsApi } from './schoolUpdateRequests';
 export { usersApi } from './users';
 export { deanAllocationsApi } from './deanAllocations';
 export { autoPostingApi } from './autoPosting';
+export { postingConstraintsApi } from './postingConstraints';
+export { visitComplianceApi } from './visitCompliance';
+export { emailLogsApi } from './emailLogs';
+export { auditLogsApi } from './auditLogs';
+export { notificationsApi } from './notifications';
@@ -87,12 +87,21 @@ export const institutionsApi = {
   testSmtp: (institutionId, testEmail = null) => 
     apiClient.post(`/global/institutions/${institutionId}/smtp/test`, { test_email: testEmail }),
 
+  /**
+   * Send a test SMS with an institution's saved SMS settings (super_admin only)
+   * @param {number} institutionId - Institution ID to test
+   * @param {string} testPhone - Phone number to send the test to
+   */
+  testSms: (institutionId, testPhone) =>
+    apiClient.post(`/global/institutions/${institutionId}/sms/test`, { test_phone: testPhone }),
+
   /**
    * Reveal decrypted API keys for an institution (super_admin only)
    * @param {number} institutionId - Institution ID
+   * @param {Object} stepUp - { password, code } - code only when two-factor is on
    */
-  revealKeys: (institutionId) =>
-    apiClient.get(`/global/institutions/${institutionId}/reveal-keys`),
+  revealKeys: (institutionId, stepUp) =>
+    apiClient.post(`/global/institutions/${institutionId}/reveal-keys`, stepUp),
 };
 
 export default institutionsApi;
@@ -39,8 +39,8 @@ export function createLettersApi(institutionId) {
     generate: (postingId, data) => 
       apiClient.post(`${basePath}/generate/${postingId}`, data),
     
-    download: (id) => 
-      apiClient.get(`${basePath}/${id}/download`, { responseType: 'blob' }),
+    download: (id, studentId, format = 'pdf') => 
+      apiClient.get(`${basePath}/${id}/download/${studentId}`, { params: { format }, responseType: 'blob' }),
   };
 }
 
@@ -65,5 +65,5 @@ export const lettersApi = {
   update: (id, data) => apiClient.put(`${getBasePath()}/${id}`, data),
   delete: (id) => apiClient.delete(`${getBasePath()}/${id}`),
   generate: (postingId, data) => apiClient.post(`${getBasePath()}/generate/${postingId}`, data),
-  download: (id) => apiClient.get(`${getBasePath()}/${id}/download`, { responseType: 'blob' }),
+  download: (id, studentId, format = 'pdf') => apiClient.get(`${getBasePath()}/${id}/download/${studentId}`, { params: { format }, responseType: 'blob' }),
 };
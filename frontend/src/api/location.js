@@ -17,10 +17,48 @@ export const locationApi = {
    * @param {number} [data.altitude_meters] - GPS altitude
    * @param {string} [data.timestamp_client] - Client timestamp
    * @param {Object} [data.device_info] - Device fingerprint info
+   * @param {File} data.selfie - Live selfie taken at the school
+   * @param {File} data.environment_photo - Photo of the school environment
    */
   verifyLocation: (data) => {
     const institutionId = getCurrentInstitutionId();
-    return client.post(`/${institutionId}/location/verify`, data);
+    const formData = new FormData();
+    Object.entries(data).forEach(([key, value]) => {
+      if (value === null || value === undefined) return;
+      if (key === 'device_info') {
+        formData.append(key, JSON.stringify(value));
+      } else {
+        formData.append(key, value);
+      }
+    });
+    return client.post(`/${institutionId}/location/verify`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+
+  /**
+   * Sync check-ins captured offline
+   * @param {Array<Object>} records - Signed envelopes (see utils/offlineQueue)
+   * @param {Object<string, Blob>} [files] - Photos keyed selfie_<client_id> / environment_photo_<client_id>
+   */
+  verifyLocationBatch: (records, files = {}) => {
+    const institutionId = getCurrentInstitutionId();
+    const formData = new FormData();
+    formData.append('records', JSON.stringify(records));
+    formData.append('device_time', new Date().toISOString());
+    Object.entries(files).forEach(([name, blob]) => formData.append(name, blob, `${name}.jpg`));
+    return client.post(`/${institutionId}/location/verify/batch`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+
+  /**
+   * Get the key this device signs offline records with
+   * @param {string} deviceId - Device UUID held in the browser
+   */
+  getOfflineKey: (deviceId) => {
+    const institutionId = getCurrentInstitutionId();
+    return client.get(`/${institutionId}/location/offline-key`, { params: { device_id: deviceId } });
   },
 
   /**
@@ -53,6 +91,9 @@ export const locationApi = {
    * @param {number} [params.supervisor_id] - Filter by supervisor
    * @param {number} [params.school_id] - Filter by school
    * @param {boolean} [params.device_shared] - Show only shared device entries
+   * @param {boolean} [params.photo_reused] - Show only check-ins with a reused photo
+   * @param {string} [params.risk_level] - low, medium, high or unscored
+   * @param {string} [params.sync_mode] - live, or deferred for check-ins synced after capture offline
    * @param {number} [params.page] - Page number
    * @param {number} [params.limit] - Items per page
    */
@@ -70,6 +111,16 @@ export const locationApi = {
     const institutionId = getCurrentInstitutionId();
     return client.get(`/${institutionId}/location/admin/stats`, { params });
   },
+
+  /**
+   * Re-run anomaly scoring over recorded check-ins
+   * @param {Object} [data]
+   * @param {number} [data.session_id] - Limit to one session
+   */
+  rescoreLocationLogs: (data = {}) => {
+    const institutionId = getCurrentInstitutionId();
+    return client.post(`/${institutionId}/location/admin/rescore`, data);
+  },
 };
 
 export default locationApi;
@@ -21,6 +21,25 @@ export function createMonitoringApi(institutionId) {
     // Dashboard
     getDashboard: (sessionId) =>
       apiClient.get(`${basePath}/dashboard`, { params: { session_id: sessionId } }),
+
+    getRatingsSummary: (sessionId, groupBy = 'school') =>
+      apiClient.get(`${basePath}/dashboard/ratings`, { params: { session_id: sessionId, group_by: groupBy } }),
+
+    // Rubric
+    getCriteria: (params = {}) =>
+      apiClient.get(`${basePath}/criteria`, { params }),
+
+    createCriterion: (data) =>
+      apiClient.post(`${basePath}/criteria`, data),
+
+    updateCriterion: (id, data) =>
+      apiClient.put(`${basePath}/criteria/${id}`, data),
+
+    deleteCriterion: (id) =>
+      apiClient.delete(`${basePath}/criteria/${id}`),
+
+    initializeCriteria: () =>
+      apiClient.post(`${basePath}/criteria/initialize`),
     
     // Assignments
     getAssignments: (params = {}) => 
@@ -70,6 +89,18 @@ export function createMonitoringApi(institutionId) {
     
     deleteReport: (id) => 
       apiClient.delete(`${basePath}/reports/${id}`),
+
+    uploadReportPhoto: (id, file, caption) => {
+      const formData = new FormData();
+      formData.append('photo', file);
+      if (caption) formData.append('caption', caption);
+      return apiClient.post(`${basePath}/reports/${id}/photos`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+      });
+    },
+
+    deleteReportPhoto: (id, photoId) =>
+      apiClient.delete(`${basePath}/reports/${id}/photos/${photoId}`),
     
     // My reports (submitted by current user)
     getMyReports: (params = {}) => 
@@ -100,6 +131,13 @@ function getBasePath() {
 export const monitoringApi = {
   // Dashboard
   getDashboard: (sessionId) => apiClient.get(`${getBasePath()}/dashboard`, { params: { session_id: sessionId } }),
+  getRatingsSummary: (sessionId, groupBy = 'school') => apiClient.get(`${getBasePath()}/dashboard/ratings`, { params: { session_id: sessionId, group_by: groupBy } }),
+  // Rubric
+  getCriteria: (params = {}) => apiClient.get(`${getBasePath()}/criteria`, { params }),
+  createCriterion: (data) => apiClient.post(`${getBasePath()}/criteria`, data),
+  updateCriterion: (id, data) => apiClient.put(`${getBasePath()}/criteria/${id}`, data),
+  deleteCriterion: (id) => apiClient.delete(`${getBasePath()}/criteria/${id}`),
+  initializeCriteria: () => apiClient.post(`${getBasePath()}/criteria/initialize`),
   // Assignments
   getAssignments: (params = {}) => apiClient.get(`${getBasePath()}/assignments`, { params }),
   getAssignment: (id) => apiClient.get(`${getBasePath()}/assignments/${id}`),
@@ -117,6 +155,15 @@ export const monitoringApi = {
   createReport: (data) => apiClient.post(`${getBasePath()}/reports`, data),
   updateReport: (id, data) => apiClient.put(`${getBasePath()}/reports/${id}`, data),
   deleteReport: (id) => apiClient.delete(`${getBasePath()}/reports/${id}`),
+  uploadReportPhoto: (id, file, caption) => {
+    const formData = new FormData();
+    formData.append('photo', file);
+    if (caption) formData.append('caption', caption);
+    return apiClient.post(`${getBasePath()}/reports/${id}/photos`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+  deleteReportPhoto: (id, photoId) => apiClient.delete(`${getBasePath()}/reports/${id}/photos/${photoId}`),
   getMyReports: (params = {}) => apiClient.get(`${getBasePath()}/my-reports`, { params }),
   // Statistics
   getStatistics: (params = {}) => apiClient.get(`${getBasePath()}/statistics`, { params }),
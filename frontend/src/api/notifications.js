@@ -0,0 +1,59 @@
+/**
+ * Notifications API - MedeePay Pattern
+ * In-app notifications for the signed-in staff user or student
+ */
+
+import apiClient, { getCurrentInstitutionId } from './client';
+
+function buildNotificationsApi(getBasePath) {
+  return {
+    getAll: (params = {}) =>
+      apiClient.get(getBasePath(), { params }),
+
+    // { count, latest_id } - polled by the notification bell
+    getUnreadCount: () =>
+      apiClient.get(`${getBasePath()}/unread-count`),
+
+    markRead: (id) =>
+      apiClient.patch(`${getBasePath()}/${id}/read`),
+
+    // Omit ids to mark everything read
+    markManyRead: (ids) =>
+      apiClient.post(`${getBasePath()}/read`, ids ? { ids } : {}),
+  };
+}
+
+/**
+ * Create a notifications API bound to a specific institution (staff)
+ * @param {number|string} institutionId - Institution ID
+ * @returns {Object} Notifications API methods
+ */
+export function createNotificationsApi(institutionId) {
+  if (!institutionId) {
+    throw new Error('Institution ID is required');
+  }
+
+  return buildNotificationsApi(() => `/${institutionId}/notifications`);
+}
+
+// ============================================================================
+// Legacy exports for backward compatibility
+// These automatically use getCurrentInstitutionId() to get the institution context
+// ============================================================================
+
+function getBasePath() {
+  const institutionId = getCurrentInstitutionId();
+  if (!institutionId) {
+    throw new Error('No institution selected. Please select an institution first.');
+  }
+  return `/${institutionId}/notifications`;
+}
+
+export const notificationsApi = buildNotificationsApi(getBasePath);
+
+/**
+ * Student portal notifications (institution comes from the student's token)
+ */
+export const portalNotificationsApi = buildNotificationsApi(() => '/portal/notifications');
+
+export default notificationsApi;
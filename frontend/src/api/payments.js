@@ -70,9 +70,28 @@ export const paymentsApi = {
   recordManual: (data) => apiClient.post(`${getBasePath()}/manual`, data),
   getStats: (params = {}) => apiClient.get(`${getBasePath()}/stats`, { params }),
   export: (params = {}) => apiClient.get(`${getBasePath()}/export`, { params, responseType: 'blob' }),
-  // Admin payment verification (verify pending payments with Paystack)
-  verifyPaystack: (reference) => apiClient.post(`${getBasePath()}/verify-paystack`, { reference }),
+  // Admin payment verification (verify pending payments with their gateway)
+  verifyGatewayPayment: (reference) => apiClient.post(`${getBasePath()}/verify`, { reference }),
   cancelPayment: (id) => apiClient.post(`${getBasePath()}/${id}/cancel`),
+  // Refunds: staff request, head of teaching practice approves, rejects or checks an unconfirmed one
+  getRefunds: (params = {}) => apiClient.get(`${getBasePath()}/refunds`, { params }),
+  requestRefund: (paymentId, data) => apiClient.post(`${getBasePath()}/${paymentId}/refunds`, data),
+  approveRefund: (refundId, data) => apiClient.post(`${getBasePath()}/refunds/${refundId}/approve`, data),
+  rejectRefund: (refundId, data) => apiClient.post(`${getBasePath()}/refunds/${refundId}/reject`, data),
+  checkRefund: (refundId) => apiClient.post(`${getBasePath()}/refunds/${refundId}/check`),
+  // Reconciliation against gateway settlement data
+  getReconciliations: (params = {}) => apiClient.get(`${getBasePath()}/reconciliations`, { params }),
+  getReconciliation: (runId) => apiClient.get(`${getBasePath()}/reconciliations/${runId}`),
+  runReconciliation: (data) => apiClient.post(`${getBasePath()}/reconciliations`, data),
+  uploadReconciliation: (file, { from, to }) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('from', from);
+    formData.append('to', to);
+    return apiClient.post(`${getBasePath()}/reconciliations/upload`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
   // Student portal methods (use /portal paths)
   getStudentStatus: (sessionId) => apiClient.get('/portal/payments/status', { params: { session_id: sessionId } }),
   getPendingTransactions: (sessionId) => apiClient.get('/portal/payments/pending', { params: { session_id: sessionId } }),
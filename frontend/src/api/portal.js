@@ -37,6 +37,10 @@ export const portalApi = {
   // Document rendering
   renderDocument: (documentType) =>
     apiClient.get(`/portal/documents/${documentType}`),
+
+  // Verifiable PDF copy of a document (with QR code)
+  downloadDocumentPdf: (documentType) =>
+    apiClient.get(`/portal/documents/${documentType}`, { params: { format: 'pdf' }, responseType: 'blob' }),
 };
 
 /**
@@ -0,0 +1,57 @@
+/**
+ * Posting Constraints API - MedeePay Pattern
+ * Supervisor availability and exclusion rules enforced by posting
+ */
+
+import apiClient, { getCurrentInstitutionId } from './client';
+
+/**
+ * Create a posting constraints API bound to a specific institution
+ * @param {number|string} institutionId - Institution ID
+ * @returns {Object} Posting constraints API methods
+ */
+export function createPostingConstraintsApi(institutionId) {
+  if (!institutionId) {
+    throw new Error('Institution ID is required');
+  }
+
+  const basePath = `/${institutionId}/posting-constraints`;
+
+  return {
+    // List constraints (session_id, supervisor_id); supervisors only get their own
+    getAll: (params = {}) =>
+      apiClient.get(basePath, { params }),
+
+    // Form choices: supervisors, schools, LGAs, routes and visit timeline
+    getOptions: (params = {}) =>
+      apiClient.get(`${basePath}/options`, { params }),
+
+    // Record a constraint
+    create: (data) =>
+      apiClient.post(basePath, data),
+
+    // Remove a constraint
+    delete: (id) =>
+      apiClient.delete(`${basePath}/${id}`),
+  };
+}
+
+// ============================================================================
+// Legacy exports for backward compatibility
+// These automatically use getCurrentInstitutionId() to get the institution context
+// ============================================================================
+
+function getBasePath() {
+  const institutionId = getCurrentInstitutionId();
+  if (!institutionId) {
+    throw new Error('No institution selected. Please select an institution first.');
+  }
+  return `/${institutionId}/posting-constraints`;
+}
+
+export const postingConstraintsApi = {
+  getAll: (params = {}) => apiClient.get(getBasePath(), { params }),
+  getOptions: (params = {}) => apiClient.get(`${getBasePath()}/options`, { params }),
+  create: (data) => apiClient.post(getBasePath(), data),
+  delete: (id) => apiClient.delete(`${getBasePath()}/${id}`),
+};
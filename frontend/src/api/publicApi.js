@@ -114,6 +114,10 @@ export const publicApi = {
   requestPrincipalUpdate: (code, data) => 
     apiClient.post(`/public/schools/${code}/principal-update`, data),
   
+  // Verify a document from its QR code token
+  verifyDocument: (token) => 
+    apiClient.get(`/public/verify/${encodeURIComponent(token)}`),
+  
   // Health check
   healthCheck: () => 
     apiClient.get('/public/health'),
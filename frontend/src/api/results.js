@@ -99,6 +99,10 @@ export function createResultsApi(institutionId) {
     
     submitBulkResults: (results) =>
       apiClient.post(`${basePath}/bulk-submit`, { results }),
+
+    // Scores captured offline, as signed envelopes (see utils/offlineQueue)
+    syncOfflineResults: (records) =>
+      apiClient.post(`${basePath}/offline-sync`, { records }),
   };
 }
 
@@ -146,4 +150,5 @@ export const resultsApi = {
   getAssignedGroups: () => apiClient.get(`${getBasePath()}/assigned-groups`),
   getStudentsForScoring: (schoolId, groupNumber, visitNumber) => apiClient.get(`${getBasePath()}/students-for-scoring`, { params: { school_id: schoolId, group_number: groupNumber, visit_number: visitNumber } }),
   submitBulkResults: (results) => apiClient.post(`${getBasePath()}/bulk-submit`, { results }),
+  syncOfflineResults: (records) => apiClient.post(`${getBasePath()}/offline-sync`, { records }),
 };
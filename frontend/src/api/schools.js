@@ -84,6 +84,19 @@ export function createSchoolsApi(institutionId) {
 
     merge: (id, targetId) =>
       apiClient.post(`${basePath}/${id}/merge`, { target_id: targetId }),
+
+    // Computed distances: settings, recalculation preview and apply
+    getDistanceSettings: () =>
+      apiClient.get(`${basePath}/distances/settings`),
+
+    updateDistanceSettings: (data) =>
+      apiClient.put(`${basePath}/distances/settings`, data),
+
+    previewDistances: (params = {}) =>
+      apiClient.get(`${basePath}/distances/preview`, { params }),
+
+    applyDistances: (data = {}) =>
+      apiClient.post(`${basePath}/distances/apply`, data),
   };
 }
 
@@ -132,4 +145,9 @@ export const schoolsApi = {
   // New: Merge a source school into a target school (same institution)
   mergePreview: (id, targetId) => apiClient.get(`${getBasePath()}/${id}/merge-preview`, { params: { target_id: targetId } }),
   merge: (id, targetId) => apiClient.post(`${getBasePath()}/${id}/merge`, { target_id: targetId }),
+  // Computed distances: settings, recalculation preview and apply
+  getDistanceSettings: () => apiClient.get(`${getBasePath()}/distances/settings`),
+  updateDistanceSettings: (data) => apiClient.put(`${getBasePath()}/distances/settings`, data),
+  previewDistances: (params = {}) => apiClient.get(`${getBasePath()}/distances/preview`, { params }),
+  applyDistances: (data = {}) => apiClient.post(`${getBasePath()}/distances/apply`, data),
 };
@@ -34,6 +34,16 @@ export function createSettingsApi(institutionId) {
     testSmtp: () => 
       apiClient.post(`${basePath}/smtp/test`),
     
+    // SMS settings
+    getSms: () =>
+      apiClient.get(`${basePath}/sms`),
+
+    updateSms: (data) =>
+      apiClient.put(`${basePath}/sms`, data),
+
+    testSms: (testPhone) =>
+      apiClient.post(`${basePath}/sms/test`, { test_phone: testPhone }),
+
     // Dashboard
     getDashboard: () => 
       apiClient.get(`${basePath}/dashboard`),
@@ -84,6 +94,9 @@ export const settingsApi = {
   getSmtp: () => apiClient.get(`${getBasePath()}/smtp`),
   updateSmtp: (data) => apiClient.put(`${getBasePath()}/smtp`, data),
   testSmtp: () => apiClient.post(`${getBasePath()}/smtp/test`),
+  getSms: () => apiClient.get(`${getBasePath()}/sms`),
+  updateSms: (data) => apiClient.put(`${getBasePath()}/sms`, data),
+  testSms: (testPhone) => apiClient.post(`${getBasePath()}/sms/test`, { test_phone: testPhone }),
   getDashboard: () => apiClient.get(`${getBasePath()}/dashboard`),
   // API Keys / SSO
   getApiKeys: () => apiClient.get(`${getBasePath()}/api-keys`),
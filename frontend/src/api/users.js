@@ -38,6 +38,17 @@ export function createUsersApi(institutionId) {
     
     hardResetPassword: (id) =>
       apiClient.post(`${basePath}/${id}/hard-reset-password`),
+
+    upload: (file, validateOnly = false, sendEmails = false) => {
+      const formData = new FormData();
+      formData.append('file', file);
+      return apiClient.post(`${basePath}/upload?validate_only=${validateOnly}&send_emails=${sendEmails}`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+      });
+    },
+
+    downloadTemplate: () =>
+      apiClient.get(`${basePath}/template`, { responseType: 'blob' }),
   };
 }
 
@@ -62,4 +73,12 @@ export const usersApi = {
   delete: (id) => apiClient.delete(`${getBasePath()}/${id}`),
   resendCredentials: (id) => apiClient.post(`${getBasePath()}/${id}/resend-credentials`),
   hardResetPassword: (id) => apiClient.post(`${getBasePath()}/${id}/hard-reset-password`),
+  upload: (file, validateOnly = false, sendEmails = false) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return apiClient.post(`${getBasePath()}/upload?validate_only=${validateOnly}&send_emails=${sendEmails}`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+  downloadTemplate: () => apiClient.get(`${getBasePath()}/template`, { responseType: 'blob' }),
 };
@@ -0,0 +1,52 @@
+/**
+ * Visit Compliance API - MedeePay Pattern
+ * Expected versus verified supervision visits, finance export and reminders
+ */
+
+import apiClient, { getCurrentInstitutionId } from './client';
+
+/**
+ * Create a visit compliance API bound to a specific institution
+ * @param {number|string} institutionId - Institution ID
+ * @returns {Object} Visit compliance API methods
+ */
+export function createVisitComplianceApi(institutionId) {
+  if (!institutionId) {
+    throw new Error('Institution ID is required');
+  }
+
+  const basePath = `/${institutionId}/visit-compliance`;
+
+  return {
+    // Report rows and summary (session_id, supervisor_id, school_id, visit_number, status)
+    getReport: (params = {}) =>
+      apiClient.get(basePath, { params }),
+
+    // Excel export with the allowance withheld per unverified visit
+    exportReport: (params = {}) =>
+      apiClient.get(`${basePath}/export`, { params, responseType: 'blob' }),
+
+    // Remind supervisors of visits whose window closes soon
+    sendReminders: (data = {}) =>
+      apiClient.post(`${basePath}/reminders`, data),
+  };
+}
+
+// ============================================================================
+// Legacy exports for backward compatibility
+// These automatically use getCurrentInstitutionId() to get the institution context
+// ============================================================================
+
+function getBasePath() {
+  const institutionId = getCurrentInstitutionId();
+  if (!institutionId) {
+    throw new Error('No institution selected. Please select an institution first.');
+  }
+  return `/${institutionId}/visit-compliance`;
+}
+
+export const visitComplianceApi = {
+  getReport: (params = {}) => apiClient.get(getBasePath(), { params }),
+  exportReport: (params = {}) => apiClient.get(`${getBasePath()}/export`, { params, responseType: 'blob' }),
+  sendReminders: (data = {}) => apiClient.post(`${getBasePath()}/reminders`, data),
+};
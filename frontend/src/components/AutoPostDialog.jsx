@@ -6,6 +6,10 @@
  * - Number of postings per supervisor
  * - Posting type (random, route-based, LGA-based)
  * - Priority-based distribution
+ * - Optional overrides of the engine's cost weights
+ *
+ * A preview can be saved as a named what-if scenario; saved scenarios are
+ * compared side by side (see AutoPostScenarios) and the best one executed.
  * 
  * Round-Robin Distribution:
  * - Visits are exhausted in order (all Visit 1s before Visit 2s, etc.)
@@ -19,20 +23,26 @@ import { useState } from 'react';
 import { Dialog } from './ui/Dialog';
 import { Button } from './ui/Button';
 import { Select } from './ui/Select';
+import { Input } from './ui/Input';
 import { Badge } from './ui/Badge';
 import { Switch } from './forms/InstitutionFormSections';
+import AutoPostScenarios from './AutoPostScenarios';
 import { autoPostingApi } from '../api';
 import { useToast } from '../context/ToastContext';
 import {
   IconWand,
   IconLoader2,
   IconAlertTriangle,
+  IconCalendarOff,
   IconCheck,
   IconArrowLeft,
   IconRefresh,
   IconUsers,
   IconBuildingBank as IconSchool,
   IconRoute,
+  IconAdjustments,
+  IconDeviceFloppy,
+  IconLayoutColumns,
 } from '@tabler/icons-react';
 
 const POSTING_TYPES = [
@@ -56,6 +66,18 @@ const POSTING_TYPES = [
   },
 ];
 
+// Mirrors DEFAULT_WEIGHTS in the backend engine; shown as placeholders so a
+// blank field means "use the default"
+const COST_WEIGHTS = [
+  { key: 'repeat', label: 'Repeat school', placeholder: 2000 },
+  { key: 'affinity', label: 'Trip outside area', placeholder: 300 },
+  { key: 'load', label: 'Uneven load', placeholder: 200 },
+  { key: 'travel', label: 'Uneven travel', placeholder: 1 },
+  { key: 'preference', label: 'Student choice left out', placeholder: 100 },
+];
+
+const EMPTY_WEIGHTS = { repeat: '', affinity: '', load: '', travel: '', preference: '' };
+
 /**
  * Auto-Post Dialog for configuring and executing automated supervisor posting
  * 
@@ -75,16 +97,19 @@ function AutoPostDialog({
   onComplete,
   facultyId = null,
 }) {
-  const { showToast } = useToast();
+  const { toast } = useToast();
 
   // Form state
   const [numberOfPostings, setNumberOfPostings] = useState(1);
   const [postingType, setPostingType] = useState('random');
   const [priorityEnabled, setPriorityEnabled] = useState(true);
   const [avoidRepeatSchools, setAvoidRepeatSchools] = useState(true);
+  const [weights, setWeights] = useState(EMPTY_WEIGHTS);
+  const [showWeights, setShowWeights] = useState(false);
+  const [scenarioName, setScenarioName] = useState('');
 
   // UI state
-  const [step, setStep] = useState('configure'); // 'configure' | 'preview' | 'success'
+  const [step, setStep] = useState('configure'); // 'configure' | 'preview' | 'scenarios' | 'success'
   const [loading, setLoading] = useState(false);
   const [previewData, setPreviewData] = useState(null);
   const [resultData, setResultData] = useState(null);
@@ -98,31 +123,47 @@ function AutoPostDialog({
     setPostingType('random');
     setPriorityEnabled(true);
     setAvoidRepeatSchools(true);
+    setWeights(EMPTY_WEIGHTS);
+    setShowWeights(false);
+    setScenarioName('');
     onClose();
   };
 
+  // Criteria shared by preview, execute and saved scenarios
+  const buildCriteria = () => {
+    const weightOverrides = Object.fromEntries(
+      Object.entries(weights)
+        .filter(([, value]) => value !== '' && !Number.isNaN(parseFloat(value)))
+        .map(([key, value]) => [key, parseFloat(value)])
+    );
+
+    return {
+      session_id: sessionId,
+      number_of_postings: numberOfPostings,
+      posting_type: postingType,
+      priority_enabled: priorityEnabled,
+      avoid_repeat_schools: avoidRepeatSchools,
+      faculty_id: facultyId,
+      ...(Object.keys(weightOverrides).length > 0 && { weights: weightOverrides }),
+    };
+  };
+
   // Generate preview
   const handlePreview = async () => {
     if (!sessionId) {
-      showToast('error', 'Please select a session first');
+      toast.error('Please select a session first');
       return;
     }
 
     setLoading(true);
     try {
-      const response = await autoPostingApi.preview({
-        session_id: sessionId,
-        number_of_postings: numberOfPostings,
-        posting_type: postingType,
-        priority_enabled: priorityEnabled,
-        avoid_repeat_schools: avoidRepeatSchools,
-        faculty_id: facultyId,
-      });
+      const response = await autoPostingApi.preview(buildCriteria());
 
       setPreviewData(response.data?.data || response.data);
+      setScenarioName((name) => name || POSTING_TYPES.find((type) => type.value === postingType)?.label || '');
       setStep('preview');
     } catch (error) {
-      showToast('error', error.response?.data?.message || error.message || 'Failed to generate preview');
+      toast.error(error.response?.data?.message || error.message || 'Failed to generate preview');
     } finally {
       setLoading(false);
     }
@@ -132,27 +173,46 @@ function AutoPostDialog({
   const handleExecute = async () => {
     setLoading(true);
     try {
-      const response = await autoPostingApi.execute({
-        session_id: sessionId,
-        number_of_postings: numberOfPostings,
-        posting_type: postingType,
-        priority_enabled: priorityEnabled,
-        avoid_repeat_schools: avoidRepeatSchools,
-        faculty_id: facultyId,
-      });
+      const response = await autoPostingApi.execute(buildCriteria());
 
       const data = response.data?.data || response.data;
       setResultData(data);
       setStep('success');
-      showToast('success', `Created ${data.total_postings_created} postings for ${data.total_supervisors} supervisors`);
+      toast.success(`Created ${data.total_postings_created} postings for ${data.total_supervisors} supervisors`);
       onComplete?.(data);
     } catch (error) {
-      showToast('error', error.response?.data?.message || error.message || 'Failed to execute auto-posting');
+      toast.error(error.response?.data?.message || error.message || 'Failed to execute auto-posting');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Save the current criteria as a named scenario and open the comparison
+  const handleSaveScenario = async () => {
+    if (!scenarioName.trim()) {
+      toast.error('Give the scenario a name');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await autoPostingApi.createScenario({ ...buildCriteria(), name: scenarioName.trim() });
+      toast.success(`Scenario "${scenarioName.trim()}" saved`);
+      setScenarioName('');
+      setStep('scenarios');
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.message || 'Failed to save scenario');
     } finally {
       setLoading(false);
     }
   };
 
+  const handleScenarioExecuted = (data) => {
+    setResultData(data);
+    setStep('success');
+    onComplete?.(data);
+  };
+
   // Supervisors that had to be sent back to a school they already cover
   const renderRepeatSchoolsNotice = (statistics) => {
     if (!statistics?.repeat_school_assignments) return null;
@@ -178,6 +238,33 @@ function AutoPostDialog({
     );
   };
 
+  // Supervisor availability / exclusion rules that kept someone off a slot
+  const renderConstraintNotice = (statistics) => {
+    const summary = statistics?.constraint_summary || [];
+    if (summary.length === 0) return null;
+
+    return (
+      <div className="p-4 bg-blue-50 border border-blue-200 rounded-lg">
+        <div className="flex items-center gap-2 text-blue-800 font-medium mb-2">
+          <IconCalendarOff className="h-4 w-4" />
+          Posting constraints applied ({summary.length})
+        </div>
+        {statistics.constrained_slots > 0 && (
+          <p className="text-sm text-blue-700 mb-2">
+            {statistics.constrained_slots} slot(s) stay unfilled because every supervisor with capacity is excluded.
+          </p>
+        )}
+        <ul className="text-sm text-blue-700 list-disc list-inside max-h-32 overflow-y-auto">
+          {summary.map((c) => (
+            <li key={c.constraint_id}>
+              {c.message} - kept off {c.slots_excluded} slot(s)
+            </li>
+          ))}
+        </ul>
+      </div>
+    );
+  };
+
   // Inputs that would silently produce financially wrong postings
   const renderDataQualityNotice = (dataQuality) => {
     if (!dataQuality) return null;
@@ -394,6 +481,44 @@ function AutoPostDialog({
         />
       </div>
 
+      {/* Cost Weights */}
+      <div className="border border-gray-200 rounded-lg">
+        <button
+          type="button"
+          onClick={() => setShowWeights((open) => !open)}
+          className="flex w-full items-center gap-2 p-4 text-left text-sm font-medium text-gray-900"
+        >
+          <IconAdjustments className="h-4 w-4 text-gray-500" />
+          Cost Weights
+          <span className="text-xs font-normal text-gray-500">
+            {Object.values(weights).some((value) => value !== '') ? '(customised)' : '(defaults)'}
+          </span>
+        </button>
+        {showWeights && (
+          <div className="px-4 pb-4 space-y-2">
+            <p className="text-xs text-gray-500">
+              How strongly the engine avoids each outcome. Leave blank for the default; raise a weight to make
+              that outcome rarer at the expense of the others.
+            </p>
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+              {COST_WEIGHTS.map((weight) => (
+                <div key={weight.key}>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">{weight.label}</label>
+                  <Input
+                    type="number"
+                    min="0"
+                    value={weights[weight.key]}
+                    placeholder={String(weight.placeholder)}
+                    onChange={(e) => setWeights((prev) => ({ ...prev, [weight.key]: e.target.value }))}
+                    disabled={weight.key === 'repeat' && !avoidRepeatSchools}
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+
       {/* Info Box */}
       <div className="p-4 bg-blue-50 border border-blue-200 rounded-lg">
         <div className="flex items-start gap-3">
@@ -418,6 +543,22 @@ function AutoPostDialog({
   // Render preview step
   const renderPreviewStep = () => (
     <div className="space-y-4">
+      {/* Save as scenario */}
+      <div className="flex flex-col sm:flex-row sm:items-center gap-2 p-3 bg-gray-50 border border-gray-200 rounded-lg">
+        <span className="text-sm text-gray-700 sm:whitespace-nowrap">Compare with other settings:</span>
+        <Input
+          value={scenarioName}
+          onChange={(e) => setScenarioName(e.target.value)}
+          placeholder="Scenario name"
+          maxLength={100}
+          className="text-sm"
+        />
+        <Button variant="outline" size="sm" onClick={handleSaveScenario} disabled={loading}>
+          <IconDeviceFloppy className="h-4 w-4 mr-2" />
+          Save Scenario
+        </Button>
+      </div>
+
       {/* Visits info banner */}
       {previewData?.visits_included && (
         <div className="px-3 py-2 bg-primary-50 border border-primary-200 rounded-lg text-sm text-primary-700">
@@ -507,6 +648,9 @@ function AutoPostDialog({
       {/* Repeated schools */}
       {renderRepeatSchoolsNotice(previewData?.statistics)}
 
+      {/* Availability and exclusions */}
+      {renderConstraintNotice(previewData?.statistics)}
+
       {/* Warnings */}
       {previewData?.warnings?.length > 0 && (
         <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
@@ -685,6 +829,20 @@ function AutoPostDialog({
       );
     }
 
+    if (step === 'scenarios') {
+      return (
+        <div className="flex justify-end gap-3">
+          <Button variant="outline" onClick={() => setStep('configure')}>
+            <IconArrowLeft className="h-4 w-4 mr-2" />
+            New Scenario
+          </Button>
+          <Button variant="outline" onClick={handleClose}>
+            Close
+          </Button>
+        </div>
+      );
+    }
+
     if (step === 'preview') {
       return (
         <div className="flex justify-end gap-3">
@@ -712,6 +870,10 @@ function AutoPostDialog({
         <Button variant="outline" onClick={handleClose} disabled={loading}>
           Cancel
         </Button>
+        <Button variant="outline" onClick={() => setStep('scenarios')} disabled={loading || !sessionId}>
+          <IconLayoutColumns className="h-4 w-4 mr-2" />
+          Compare Scenarios
+        </Button>
         <Button onClick={handlePreview} disabled={loading || !sessionId}>
           {loading ? (
             <IconLoader2 className="h-4 w-4 animate-spin mr-2" />
@@ -731,7 +893,9 @@ function AutoPostDialog({
       title={
         <div className="flex items-center gap-2">
           <IconWand className="h-5 w-5 text-primary-600" />
-          {step === 'success' ? 'Auto-Posting Complete' : 'Auto-Post Supervisors'}
+          {step === 'success'
+            ? 'Auto-Posting Complete'
+            : step === 'scenarios' ? 'Compare Auto-Posting Scenarios' : 'Auto-Post Supervisors'}
         </div>
       }
       width="4xl"
@@ -739,6 +903,9 @@ function AutoPostDialog({
     >
       {step === 'configure' && renderConfigureStep()}
       {step === 'preview' && renderPreviewStep()}
+      {step === 'scenarios' && (
+        <AutoPostScenarios sessionId={sessionId} onExecuted={handleScenarioExecuted} />
+      )}
       {step === 'success' && renderSuccessStep()}
     </Dialog>
   );
@@ -0,0 +1,275 @@
+/**
+ * Auto-Post Scenarios
+ *
+ * Side-by-side comparison of saved what-if scenarios for a session: one
+ * column per scenario, one row per metric, with the best value of each row
+ * highlighted. The chosen scenario is executed from its stored assignments;
+ * executing one supersedes the other drafts, and a draft whose postings have
+ * changed since it was planned is superseded when executed. Superseded
+ * scenarios can be recomputed.
+ *
+ * @param {Object} props
+ * @param {number} props.sessionId - Session the scenarios belong to
+ * @param {function} props.onExecuted - Called with the execute response data
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  IconCheck,
+  IconLoader2,
+  IconRefresh,
+  IconTrash,
+  IconTrophy,
+} from '@tabler/icons-react';
+import { autoPostingApi } from '../api';
+import { useToast } from '../context/ToastContext';
+import { cn, formatCurrency } from '../utils/helpers';
+import { Button } from './ui/Button';
+import { Badge } from './ui/Badge';
+import { useConfirmDialog } from './ui/ConfirmDialog';
+
+const POSTING_TYPE_LABELS = {
+  random: 'Any location',
+  route_based: 'Route based',
+  lga_based: 'LGA based',
+};
+
+// `better` says which direction wins when highlighting the best scenario
+const METRICS = [
+  { key: 'assignments', label: 'Postings', better: 'high' },
+  { key: 'unfilled_slots', label: 'Slots left unfilled', better: 'low' },
+  { key: 'total_allowance', label: 'Total allowance cost', better: 'low', format: formatCurrency },
+  { key: 'load_stddev', label: 'Load spread (std dev)', better: 'low' },
+  { key: 'travel_stddev_km', label: 'Travel spread (std dev, km)', better: 'low' },
+  { key: 'repeat_schools', label: 'Repeat schools', better: 'low' },
+  { key: 'affinity_breaks', label: 'Trips outside area', better: 'low' },
+];
+
+const STATUS_VARIANTS = {
+  draft: 'default',
+  executing: 'info',
+  executed: 'success',
+  superseded: 'warning',
+};
+
+function describeCriteria(criteria) {
+  const parts = [
+    POSTING_TYPE_LABELS[criteria.posting_type] || criteria.posting_type,
+    criteria.number_of_postings > 1 ? `visits 1-${criteria.number_of_postings}` : 'visit 1',
+    criteria.priority_enabled === false ? 'no priority' : 'priority',
+  ];
+  if (criteria.avoid_repeat_schools === false) parts.push('repeats allowed');
+  const weights = Object.entries(criteria.weights || {});
+  if (weights.length > 0) {
+    parts.push(`weights: ${weights.map(([key, value]) => `${key} ${value}`).join(', ')}`);
+  }
+  return parts.join(' · ');
+}
+
+function bestValue(scenarios, metric) {
+  const values = scenarios
+    .map((scenario) => scenario.metrics?.[metric.key])
+    .filter((value) => typeof value === 'number');
+  if (values.length < 2) return null;
+  return metric.better === 'high' ? Math.max(...values) : Math.min(...values);
+}
+
+function AutoPostScenarios({ sessionId, onExecuted }) {
+  const { toast } = useToast();
+  const { confirm, DialogComponent } = useConfirmDialog();
+
+  const [scenarios, setScenarios] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadScenarios = useCallback(async () => {
+    if (!sessionId) return;
+    setLoading(true);
+    try {
+      const response = await autoPostingApi.getScenarios({ session_id: sessionId });
+      setScenarios(response.data.data || []);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load scenarios');
+    } finally {
+      setLoading(false);
+    }
+  }, [sessionId, toast]);
+
+  useEffect(() => {
+    loadScenarios();
+  }, [loadScenarios]);
+
+  const handleRecompute = async (scenario) => {
+    setBusyId(scenario.id);
+    try {
+      await autoPostingApi.recomputeScenario(scenario.id);
+      toast.success(`"${scenario.name}" recomputed`);
+      loadScenarios();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to recompute scenario');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (scenario) => {
+    const ok = await confirm({
+      title: 'Delete scenario?',
+      message: `"${scenario.name}" will be removed from the comparison.`,
+      confirmText: 'Delete',
+      variant: 'danger',
+    });
+    if (!ok) return;
+
+    try {
+      await autoPostingApi.deleteScenario(scenario.id);
+      setScenarios((prev) => prev.filter((s) => s.id !== scenario.id));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete scenario');
+    }
+  };
+
+  const handleExecute = async (scenario) => {
+    const ok = await confirm({
+      title: `Execute "${scenario.name}"?`,
+      message: `This creates ${scenario.metrics.assignments} postings. The other draft scenarios will need to be recomputed afterwards.`,
+      confirmText: 'Create Postings',
+    });
+    if (!ok) return;
+
+    setBusyId(scenario.id);
+    try {
+      const response = await autoPostingApi.executeScenario(scenario.id);
+      toast.success(response.data.message);
+      onExecuted?.(response.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to execute scenario');
+      loadScenarios();
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading && scenarios.length === 0) {
+    return (
+      <div className="flex justify-center py-12">
+        <IconLoader2 className="h-6 w-6 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  if (scenarios.length === 0) {
+    return (
+      <div className="py-12 text-center text-sm text-gray-500">
+        No scenarios saved for this session yet. Preview assignments and save them as a scenario to compare.
+      </div>
+    );
+  }
+
+  const compared = scenarios.filter((scenario) => scenario.status !== 'executed');
+
+  return (
+    <div className="space-y-3">
+      <div className="overflow-x-auto border rounded-lg">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 w-48">Scenario</th>
+              {scenarios.map((scenario) => (
+                <th key={scenario.id} className="px-3 py-2 text-left align-top min-w-[180px]">
+                  <div className="flex items-center gap-2">
+                    <span className="font-semibold text-gray-900">{scenario.name}</span>
+                    <Badge variant={STATUS_VARIANTS[scenario.status]} className="text-[10px] capitalize">
+                      {scenario.status}
+                    </Badge>
+                  </div>
+                  <div className="text-xs font-normal text-gray-500 mt-0.5">
+                    {describeCriteria(scenario.criteria)}
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {METRICS.map((metric) => {
+              const best = bestValue(compared, metric);
+              return (
+                <tr key={metric.key}>
+                  <td className="px-3 py-2 text-gray-600">{metric.label}</td>
+                  {scenarios.map((scenario) => {
+                    const value = scenario.metrics?.[metric.key];
+                    const isBest = best !== null && value === best && scenario.status !== 'executed';
+                    return (
+                      <td
+                        key={scenario.id}
+                        className={cn('px-3 py-2', isBest ? 'font-semibold text-green-700' : 'text-gray-900')}
+                      >
+                        <span className="inline-flex items-center gap-1">
+                          {value === undefined ? '-' : metric.format ? metric.format(value) : value}
+                          {isBest && <IconTrophy className="h-3.5 w-3.5" />}
+                        </span>
+                      </td>
+                    );
+                  })}
+                </tr>
+              );
+            })}
+            <tr>
+              <td className="px-3 py-2" />
+              {scenarios.map((scenario) => (
+                <td key={scenario.id} className="px-3 py-2">
+                  {scenario.status === 'executed' ? (
+                    <span className="text-xs text-gray-500">Batch #{scenario.batch_id}</span>
+                  ) : scenario.status === 'executing' ? (
+                    <span className="text-xs text-gray-500">Creating postings...</span>
+                  ) : (
+                    <div className="flex flex-wrap gap-1">
+                      {scenario.status === 'draft' ? (
+                        <Button
+                          size="sm"
+                          onClick={() => handleExecute(scenario)}
+                          loading={busyId === scenario.id}
+                          disabled={busyId !== null || !scenario.metrics?.assignments}
+                        >
+                          <IconCheck className="h-4 w-4 mr-1" />
+                          Execute
+                        </Button>
+                      ) : (
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => handleRecompute(scenario)}
+                          loading={busyId === scenario.id}
+                          disabled={busyId !== null}
+                        >
+                          <IconRefresh className="h-4 w-4 mr-1" />
+                          Recompute
+                        </Button>
+                      )}
+                      <Button
+                        size="icon"
+                        variant="ghost"
+                        onClick={() => handleDelete(scenario)}
+                        disabled={busyId !== null}
+                        title="Delete scenario"
+                      >
+                        <IconTrash className="h-4 w-4 text-red-500" />
+                      </Button>
+                    </div>
+                  )}
+                </td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500">
+        Allowance cost counts tetfund once per supervisor. Travel spread is the standard deviation of the total
+        distance each supervisor covers - lower means journeys are shared more evenly.
+      </p>
+      {DialogComponent}
+    </div>
+  );
+}
+
+export default AutoPostScenarios;
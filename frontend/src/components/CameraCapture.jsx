@@ -0,0 +1,143 @@
+/**
+ * Camera Capture Component
+ *
+ * Takes a still photo from the device camera (no file picker, so the image
+ * is taken on the spot). Used for the selfie and site photo at check-in.
+ *
+ * Usage:
+ * <CameraCapture
+ *   label="Selfie"
+ *   facingMode="user"
+ *   value={selfieFile}
+ *   onChange={(file) => setSelfieFile(file)}
+ * />
+ */
+
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { IconCamera, IconCameraRotate, IconAlertTriangle } from '@tabler/icons-react';
+import { Button } from './ui/Button';
+
+/**
+ * @param {Object} props
+ * @param {string} props.label - What the photo is of
+ * @param {'user'|'environment'} [props.facingMode='user'] - Front or back camera
+ * @param {File|null} props.value - Captured photo
+ * @param {function} props.onChange - Receives the captured File, or null on retake
+ * @param {boolean} [props.disabled]
+ */
+export function CameraCapture({ label, facingMode = 'user', value, onChange, disabled = false }) {
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const [active, setActive] = useState(false);
+  const [error, setError] = useState(null);
+
+  const preview = useMemo(() => (value ? URL.createObjectURL(value) : null), [value]);
+  useEffect(() => () => preview && URL.revokeObjectURL(preview), [preview]);
+
+  const stopCamera = useCallback(() => {
+    streamRef.current?.getTracks().forEach((track) => track.stop());
+    streamRef.current = null;
+    setActive(false);
+  }, []);
+
+  // Release the camera when the component goes away
+  useEffect(() => stopCamera, [stopCamera]);
+
+  const startCamera = async () => {
+    if (!navigator.mediaDevices?.getUserMedia) {
+      setError('Camera is not supported by your browser');
+      return;
+    }
+    setError(null);
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode },
+        audio: false,
+      });
+      streamRef.current = stream;
+      setActive(true);
+      onChange(null);
+    } catch (err) {
+      setError(
+        err.name === 'NotAllowedError'
+          ? 'Camera permission denied. Please allow camera access in your browser settings.'
+          : 'Could not start the camera'
+      );
+    }
+  };
+
+  // Attach the stream once the video element is rendered
+  useEffect(() => {
+    if (active && videoRef.current && streamRef.current) {
+      videoRef.current.srcObject = streamRef.current;
+    }
+  }, [active]);
+
+  const capture = () => {
+    const video = videoRef.current;
+    if (!video || !video.videoWidth) return;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+    canvas.toBlob(
+      (blob) => {
+        if (!blob) {
+          setError('Could not capture the photo. Please try again.');
+          return;
+        }
+        onChange(new File([blob], `${facingMode}-${Date.now()}.jpg`, { type: 'image/jpeg' }));
+        stopCamera();
+      },
+      'image/jpeg',
+      0.85
+    );
+  };
+
+  return (
+    <div className="rounded-lg border border-gray-200 p-3">
+      <p className="mb-2 text-sm font-medium text-gray-700">{label}</p>
+
+      {active ? (
+        <video ref={videoRef} autoPlay playsInline muted className="h-40 w-full rounded bg-black object-cover" />
+      ) : preview ? (
+        <img src={preview} alt={label} className="h-40 w-full rounded object-cover" />
+      ) : (
+        <div className="flex h-40 w-full items-center justify-center rounded bg-gray-50">
+          <IconCamera className="h-8 w-8 text-gray-300" />
+        </div>
+      )}
+
+      {error && (
+        <p className="mt-2 flex items-start gap-1 text-xs text-red-600">
+          <IconAlertTriangle className="mt-0.5 h-3.5 w-3.5 flex-shrink-0" />
+          {error}
+        </p>
+      )}
+
+      <div className="mt-2">
+        {active ? (
+          <Button type="button" size="sm" onClick={capture} className="w-full gap-1">
+            <IconCamera className="h-4 w-4" />
+            Take Photo
+          </Button>
+        ) : (
+          <Button
+            type="button"
+            size="sm"
+            variant="outline"
+            onClick={startCamera}
+            disabled={disabled}
+            className="w-full gap-1"
+          >
+            {value ? <IconCameraRotate className="h-4 w-4" /> : <IconCamera className="h-4 w-4" />}
+            {value ? 'Retake' : 'Open Camera'}
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CameraCapture;
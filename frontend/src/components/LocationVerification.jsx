@@ -2,13 +2,16 @@
  * Location Verification Component
  *
  * Captures supervisor GPS location and verifies against school geofence.
- * Includes device fingerprinting for anti-cheating.
+ * Includes device fingerprinting, a live selfie and a photo of the school
+ * for anti-cheating. Without a connection the check-in is signed and queued
+ * on the device (utils/offlineQueue) and verified when it syncs.
  *
  * Usage:
  * <LocationVerification
  *   posting={currentPosting}
  *   onVerified={(result) => { ... }}
  *   onError={(error) => { ... }}
+ *   onQueued={(record) => { ... }}
  * />
  */
 
@@ -16,6 +19,13 @@ import { useState, useEffect, useCallback } from 'react';
 import { useToast } from '../context/ToastContext';
 import { locationApi } from '../api';
 import { formatDistance } from '../utils/helpers';
+import {
+  OFFLINE_RECORD_TYPES,
+  getDeviceId,
+  hashFile,
+  isNetworkError,
+  queueRecord,
+} from '../utils/offlineQueue';
 import {
   IconMapPin,
   IconCheck,
@@ -23,28 +33,17 @@ import {
   IconCurrentLocation,
   IconRefresh,
   IconMapPinOff,
+  IconCloudUpload,
 } from '@tabler/icons-react';
 import { Button } from './ui/Button';
-
-/**
- * Generate unique device ID (stored in localStorage)
- */
-const getOrCreateDeviceId = () => {
-  const KEY = 'digitaltp_device_id';
-  let deviceId = localStorage.getItem(KEY);
-  if (!deviceId) {
-    deviceId = crypto.randomUUID();
-    localStorage.setItem(KEY, deviceId);
-  }
-  return deviceId;
-};
+import { CameraCapture } from './CameraCapture';
 
 /**
  * Generate device fingerprint for anti-cheating
  */
 const generateDeviceInfo = () => {
   return {
-    device_id: getOrCreateDeviceId(),
+    device_id: getDeviceId(),
     model: navigator.userAgentData?.platform || navigator.platform || 'Unknown',
     os: navigator.userAgentData?.platform || navigator.platform || 'Unknown',
     browser: navigator.userAgent.split(' ').pop() || 'Unknown',
@@ -57,14 +56,17 @@ export function LocationVerification({
   posting,
   onVerified,
   onError,
+  onQueued,
   showSchoolInfo = true,
   className = '',
 }) {
   const { toast } = useToast();
-  const [status, setStatus] = useState('idle'); // idle, locating, submitting, success, error
+  const [status, setStatus] = useState('idle'); // idle, locating, submitting, success, queued, error
   const [location, setLocation] = useState(null);
   const [, setError] = useState(null);
   const [verificationResult, setVerificationResult] = useState(null);
+  const [selfie, setSelfie] = useState(null);
+  const [environmentPhoto, setEnvironmentPhoto] = useState(null);
 
   /**
    * Get current GPS location
@@ -118,6 +120,35 @@ export function LocationVerification({
     );
   }, [onError]);
 
+  /**
+   * Sign and queue the check-in on the device, to verify when it syncs
+   */
+  const queueCheckIn = async () => {
+    try {
+      const record = await queueRecord(
+        OFFLINE_RECORD_TYPES.CHECK_IN,
+        {
+          posting_id: posting.posting_id,
+          latitude: location.latitude,
+          longitude: location.longitude,
+          accuracy_meters: location.accuracy_meters,
+          altitude_meters: location.altitude_meters,
+          device_info: generateDeviceInfo(),
+          selfie_sha256: await hashFile(selfie),
+          environment_photo_sha256: await hashFile(environmentPhoto),
+        },
+        { selfie, environment_photo: environmentPhoto }
+      );
+      setStatus('queued');
+      toast.success('You are offline. Check-in saved on this device and will sync when you reconnect.');
+      onQueued?.(record);
+    } catch (err) {
+      setStatus('error');
+      setError(err.message);
+      toast.error(err.message);
+    }
+  };
+
   /**
    * Submit location for verification
    */
@@ -126,10 +157,19 @@ export function LocationVerification({
       toast.error('No location captured. Please get location first.');
       return;
     }
+    if (!selfie || !environmentPhoto) {
+      toast.error('Take a selfie and a photo of the school before verifying.');
+      return;
+    }
 
     setStatus('submitting');
     setError(null);
 
+    if (!navigator.onLine) {
+      await queueCheckIn();
+      return;
+    }
+
     try {
       const deviceInfo = generateDeviceInfo();
 
@@ -141,6 +181,8 @@ export function LocationVerification({
         altitude_meters: location.altitude_meters,
         timestamp_client: location.timestamp,
         device_info: deviceInfo,
+        selfie,
+        environment_photo: environmentPhoto,
       });
 
       const result = response.data.data;
@@ -156,6 +198,10 @@ export function LocationVerification({
         setError(response.data.message);
       }
     } catch (err) {
+      if (isNetworkError(err)) {
+        await queueCheckIn();
+        return;
+      }
       setStatus('error');
       const result = err.response?.data?.data;
       if (result) {
@@ -179,6 +225,26 @@ export function LocationVerification({
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []); // Empty deps = mount only
 
+  // Queued offline - show pending state until it syncs
+  if (status === 'queued') {
+    return (
+      <div className={`rounded-lg border border-amber-200 bg-amber-50 p-4 ${className}`}>
+        <div className="flex items-center gap-3">
+          <div className="flex h-10 w-10 items-center justify-center rounded-full bg-amber-100">
+            <IconCloudUpload className="h-5 w-5 text-amber-600" />
+          </div>
+          <div>
+            <p className="font-medium text-amber-800">Check-in Saved Offline</p>
+            <p className="text-sm text-amber-700">
+              Captured {new Date(location.timestamp).toLocaleString()}. It will be verified when this device
+              syncs.
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   // Already verified - show success state
   if (posting?.location_verified) {
     return (
@@ -301,6 +367,26 @@ export function LocationVerification({
           </div>
         )}
 
+        {/* Check-in photos */}
+        {posting?.has_coordinates && (
+          <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+            <CameraCapture
+              label="Selfie"
+              facingMode="user"
+              value={selfie}
+              onChange={setSelfie}
+              disabled={status === 'submitting'}
+            />
+            <CameraCapture
+              label="School environment"
+              facingMode="environment"
+              value={environmentPhoto}
+              onChange={setEnvironmentPhoto}
+              disabled={status === 'submitting'}
+            />
+          </div>
+        )}
+
         {/* Action buttons */}
         {posting?.has_coordinates && (
           <div className="flex gap-2">
@@ -319,7 +405,7 @@ export function LocationVerification({
               variant="primary"
               onClick={submitLocation}
               loading={status === 'submitting'}
-              disabled={!location || status === 'locating'}
+              disabled={!location || !selfie || !environmentPhoto || status === 'locating'}
               className="flex-1 gap-2"
             >
               <IconCurrentLocation className="h-4 w-4" />
@@ -332,7 +418,7 @@ export function LocationVerification({
         <p className="text-center text-xs text-gray-500">
           You must be physically at the school to verify your location.
           <br />
-          GPS accuracy and device information are recorded for audit purposes.
+          GPS accuracy, device information and both photos are recorded for audit purposes.
         </p>
       </div>
     </div>
@@ -0,0 +1,154 @@
+/**
+ * Notification Bell
+ * Header bell with unread badge and a dropdown inbox.
+ * Must be rendered inside a NotificationProvider.
+ */
+
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  IconBell,
+  IconChecks,
+  IconClipboardCheck,
+  IconEye,
+  IconMapPin,
+  IconUserCheck,
+} from '@tabler/icons-react';
+import { useNotifications } from '../context/NotificationContext';
+import { Button } from './ui/Button';
+import { cn, formatDateTime } from '../utils/helpers';
+
+const typeIcons = {
+  posting_created: IconUserCheck,
+  postings_auto_created: IconUserCheck,
+  acceptance_reviewed: IconClipboardCheck,
+  school_update_reviewed: IconMapPin,
+  monitor_assigned: IconEye,
+};
+
+function NotificationBell() {
+  const navigate = useNavigate();
+  const {
+    enabled,
+    notifications,
+    unreadCount,
+    hasMore,
+    loading,
+    loadMore,
+    markRead,
+    markAllRead,
+  } = useNotifications();
+  const [open, setOpen] = useState(false);
+  const [unreadOnly, setUnreadOnly] = useState(false);
+
+  if (!enabled) return null;
+
+  const visible = unreadOnly ? notifications.filter((n) => !n.read_at) : notifications;
+
+  const handleSelect = (notification) => {
+    markRead(notification.id);
+    if (notification.link) {
+      setOpen(false);
+      navigate(notification.link);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <Button
+        variant="ghost"
+        size="icon"
+        onClick={() => setOpen(!open)}
+        className="relative"
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+      >
+        <IconBell className="w-5 h-5 text-gray-600" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[18px] h-[18px] px-1 rounded-full bg-red-500 text-white text-[10px] font-semibold flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </Button>
+
+      {open && (
+        <>
+          <div className="fixed inset-0 z-10" onClick={() => setOpen(false)} />
+          <div className="absolute right-0 z-20 mt-2 w-80 sm:w-96 bg-white rounded-lg shadow-lg border">
+            <div className="flex items-center justify-between px-4 py-3 border-b">
+              <div>
+                <p className="text-sm font-semibold text-gray-900">Notifications</p>
+                <div className="flex gap-3 mt-1 text-xs">
+                  <button
+                    type="button"
+                    onClick={() => setUnreadOnly(false)}
+                    className={cn(!unreadOnly ? 'text-primary-600 font-medium' : 'text-gray-500 hover:text-gray-700')}
+                  >
+                    All
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setUnreadOnly(true)}
+                    className={cn(unreadOnly ? 'text-primary-600 font-medium' : 'text-gray-500 hover:text-gray-700')}
+                  >
+                    Unread ({unreadCount})
+                  </button>
+                </div>
+              </div>
+              {unreadCount > 0 && (
+                <Button variant="ghost" size="sm" onClick={markAllRead} className="gap-1 text-xs">
+                  <IconChecks className="w-4 h-4" />
+                  Mark all read
+                </Button>
+              )}
+            </div>
+
+            <div className="max-h-96 overflow-y-auto divide-y">
+              {visible.length === 0 ? (
+                <p className="px-4 py-8 text-sm text-center text-gray-500">
+                  {loading ? 'Loading...' : unreadOnly ? 'No unread notifications' : 'No notifications yet'}
+                </p>
+              ) : (
+                visible.map((notification) => {
+                  const Icon = typeIcons[notification.type] || IconBell;
+                  return (
+                    <button
+                      key={notification.id}
+                      type="button"
+                      onClick={() => handleSelect(notification)}
+                      className={cn(
+                        'w-full flex gap-3 px-4 py-3 text-left hover:bg-gray-50',
+                        !notification.read_at && 'bg-primary-50/50'
+                      )}
+                    >
+                      <Icon className="w-5 h-5 mt-0.5 flex-shrink-0 text-primary-600" />
+                      <div className="flex-1 min-w-0">
+                        <p className={cn('text-sm text-gray-900', !notification.read_at && 'font-semibold')}>
+                          {notification.title}
+                        </p>
+                        <p className="text-xs text-gray-600 mt-0.5">{notification.message}</p>
+                        <p className="text-[11px] text-gray-400 mt-1">{formatDateTime(notification.created_at)}</p>
+                      </div>
+                      {!notification.read_at && (
+                        <span className="w-2 h-2 mt-1.5 rounded-full bg-primary-600 flex-shrink-0" />
+                      )}
+                    </button>
+                  );
+                })
+              )}
+            </div>
+
+            {hasMore && !unreadOnly && (
+              <div className="border-t px-4 py-2 text-center">
+                <Button variant="ghost" size="sm" onClick={loadMore} disabled={loading} className="text-xs">
+                  {loading ? 'Loading...' : 'Load more'}
+                </Button>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default NotificationBell;
@@ -0,0 +1,111 @@
+/**
+ * Offline Sync Status Component
+ *
+ * Banner for supervisor pages that capture check-ins and scores offline.
+ * Prepares the device for offline capture while online, shows what is
+ * waiting to sync, and syncs it when the connection returns (or on demand).
+ *
+ * Usage:
+ * <OfflineSyncStatus onSynced={(result) => refetch()} />
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { IconCloudUpload, IconWifiOff } from '@tabler/icons-react';
+import { useToast } from '../context/ToastContext';
+import { Button } from './ui/Button';
+import { getPendingRecords, prepareOffline, syncPending } from '../utils/offlineQueue';
+
+/**
+ * @param {Object} props
+ * @param {function} [props.onSynced] - Receives { accepted, rejected, pending } after a sync
+ * @param {string} [props.className]
+ */
+export function OfflineSyncStatus({ onSynced, className = '' }) {
+  const { toast } = useToast();
+  const [online, setOnline] = useState(navigator.onLine);
+  const [pending, setPending] = useState(0);
+  const [syncing, setSyncing] = useState(false);
+
+  const refreshPending = useCallback(async () => {
+    try {
+      setPending((await getPendingRecords()).length);
+    } catch {
+      setPending(0);
+    }
+  }, []);
+
+  const sync = useCallback(async () => {
+    setSyncing(true);
+    try {
+      const result = await syncPending();
+      if (result.accepted.length > 0) {
+        toast.success(`Synced ${result.accepted.length} offline record(s)`);
+      }
+      result.rejected.forEach((outcome) => {
+        const what = outcome.type === 'check_in' ? 'Offline check-in' : 'Offline scores';
+        toast.error(`${what} not accepted: ${outcome.message}`);
+      });
+      if (result.accepted.length > 0 || result.rejected.length > 0) {
+        onSynced?.(result);
+      }
+    } catch (err) {
+      toast.error(err.message || 'Failed to sync offline records');
+    } finally {
+      setSyncing(false);
+      refreshPending();
+    }
+  }, [toast, onSynced, refreshPending]);
+
+  useEffect(() => {
+    prepareOffline();
+    getPendingRecords()
+      .then((records) => {
+        setPending(records.length);
+        if (records.length > 0 && navigator.onLine) sync();
+      })
+      .catch(() => setPending(0));
+
+    const handleOnline = () => {
+      setOnline(true);
+      prepareOffline();
+      sync();
+    };
+    const handleOffline = () => setOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    window.addEventListener('offline-queue-changed', refreshPending);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      window.removeEventListener('offline-queue-changed', refreshPending);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []); // Mount only
+
+  if (online && pending === 0) return null;
+
+  return (
+    <div
+      className={`flex flex-wrap items-center justify-between gap-3 rounded-lg border border-amber-200 bg-amber-50 px-4 py-3 ${className}`}
+    >
+      <div className="flex items-center gap-2 text-sm text-amber-800">
+        {online ? <IconCloudUpload className="h-5 w-5" /> : <IconWifiOff className="h-5 w-5" />}
+        <span>
+          {online
+            ? `${pending} offline record(s) waiting to sync`
+            : `You are offline. Check-ins and scores are saved on this device${
+                pending > 0 ? ` (${pending} waiting to sync)` : ''
+              }.`}
+        </span>
+      </div>
+      {online && pending > 0 && (
+        <Button size="sm" variant="warning" onClick={sync} loading={syncing}>
+          Sync now
+        </Button>
+      )}
+    </div>
+  );
+}
+
+export default OfflineSyncStatus;
@@ -0,0 +1,353 @@
+/**
+ * Recalculate Distances Dialog
+ *
+ * Recomputes school distances from the institution's and schools' coordinates
+ * and previews what that does to each supervisor's allowances in the session
+ * before anything is saved. Also holds the distance method / road factor
+ * settings, since changing them is what usually prompts a recalculation.
+ *
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the dialog is open
+ * @param {function} props.onClose - Close the dialog
+ * @param {function} [props.onApplied] - Called after distances were saved
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  IconAlertTriangle,
+  IconArrowDownRight,
+  IconArrowUpRight,
+  IconMapPin,
+  IconRefresh,
+} from '@tabler/icons-react';
+import { schoolsApi } from '../api';
+import { useToast } from '../context/ToastContext';
+import { cn, formatCurrency } from '../utils/helpers';
+import { Dialog } from './ui/Dialog';
+import { Button } from './ui/Button';
+import { Input } from './ui/Input';
+import { Select } from './ui/Select';
+import { Badge } from './ui/Badge';
+
+const SKIP_REASONS = {
+  manual: 'entered by hand',
+  no_coordinates: 'no GPS coordinates',
+};
+
+function Change({ value, format = (v) => v }) {
+  if (!value) return <span className="text-gray-400">-</span>;
+  const Icon = value > 0 ? IconArrowUpRight : IconArrowDownRight;
+  return (
+    <span className={cn('inline-flex items-center gap-0.5 font-medium', value > 0 ? 'text-green-700' : 'text-red-600')}>
+      <Icon className="w-3.5 h-3.5" />
+      {value > 0 ? '+' : ''}{format(value)}
+    </span>
+  );
+}
+
+function RecalculateDistancesDialog({ isOpen, onClose, onApplied }) {
+  const { toast } = useToast();
+
+  const [settings, setSettings] = useState(null);
+  const [method, setMethod] = useState('great_circle');
+  const [roadFactor, setRoadFactor] = useState('1.30');
+  const [savingSettings, setSavingSettings] = useState(false);
+  const [includeManual, setIncludeManual] = useState(false);
+  const [plan, setPlan] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [applying, setApplying] = useState(false);
+
+  const loadPreview = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await schoolsApi.previewDistances({ include_manual: includeManual });
+      setPlan(response.data.data);
+    } catch (err) {
+      setPlan(null);
+      toast.error(err.response?.data?.message || 'Failed to calculate distances');
+    } finally {
+      setLoading(false);
+    }
+  }, [includeManual, toast]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const loadSettings = async () => {
+      try {
+        const response = await schoolsApi.getDistanceSettings();
+        const data = response.data.data;
+        setSettings(data);
+        setMethod(data.distance_method);
+        setRoadFactor(String(data.distance_road_factor ?? '1.30'));
+      } catch (err) {
+        toast.error('Failed to load distance settings');
+      }
+    };
+    loadSettings();
+  }, [isOpen, toast]);
+
+  useEffect(() => {
+    if (isOpen && settings?.has_location) loadPreview();
+  }, [isOpen, settings, loadPreview]);
+
+  const selectedMethod = settings?.methods.find((m) => m.name === method);
+  const settingsChanged = settings && (
+    method !== settings.distance_method ||
+    parseFloat(roadFactor) !== parseFloat(settings.distance_road_factor)
+  );
+
+  const handleSaveSettings = async () => {
+    const factor = parseFloat(roadFactor);
+    if (selectedMethod?.uses_road_factor && (!factor || factor < 1 || factor > 3)) {
+      toast.error('Road factor must be between 1.00 and 3.00');
+      return;
+    }
+    setSavingSettings(true);
+    try {
+      await schoolsApi.updateDistanceSettings({
+        distance_method: method,
+        ...(selectedMethod?.uses_road_factor && { distance_road_factor: factor }),
+      });
+      setSettings((prev) => ({ ...prev, distance_method: method, distance_road_factor: factor || prev.distance_road_factor }));
+      toast.success('Distance settings saved');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to save distance settings');
+    } finally {
+      setSavingSettings(false);
+    }
+  };
+
+  const handleApply = async () => {
+    setApplying(true);
+    try {
+      const response = await schoolsApi.applyDistances({
+        include_manual: includeManual,
+        plan_hash: plan.plan_hash,
+        ...(plan.session && { session_id: plan.session.id }),
+      });
+      toast.success(response.data.message);
+      onApplied?.();
+      onClose();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update distances');
+      // The plan changed since it was previewed: show the current one
+      if (err.response?.status === 409) loadPreview();
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const summary = plan?.summary;
+  const fallbacks = plan?.schools.filter((school) => school.fallback_reason) || [];
+
+  return (
+    <Dialog
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Recalculate School Distances"
+      description="Distances are measured from the institution's location to each school's GPS coordinates"
+      width="4xl"
+      footer={
+        <div className="flex flex-col-reverse sm:flex-row justify-end gap-2 sm:gap-3">
+          <Button variant="outline" onClick={onClose} className="w-full sm:w-auto">
+            Cancel
+          </Button>
+          <Button
+            onClick={handleApply}
+            loading={applying}
+            disabled={!plan || plan.schools.length === 0 || loading || settingsChanged}
+            className="w-full sm:w-auto"
+          >
+            Apply {plan?.schools.length || 0} Change{plan?.schools.length === 1 ? '' : 's'}
+          </Button>
+        </div>
+      }
+    >
+      <div className="space-y-4">
+        {settings && !settings.has_location && (
+          <div className="flex items-start gap-2 p-3 rounded-lg bg-amber-50 text-amber-800 text-sm">
+            <IconMapPin className="w-5 h-5 flex-shrink-0" />
+            Set your institution&apos;s location in Settings before distances can be computed.
+          </div>
+        )}
+
+        {/* Settings */}
+        {settings && (
+          <div className="flex flex-col sm:flex-row sm:items-end gap-3 p-3 rounded-lg border bg-gray-50">
+            <div className="flex-1">
+              <label className="block text-xs font-medium text-gray-700 mb-1">Method</label>
+              <Select value={method} onChange={(e) => setMethod(e.target.value)} className="text-sm">
+                {settings.methods.map((m) => (
+                  <option key={m.name} value={m.name} disabled={!m.available}>
+                    {m.label}{m.available ? '' : ' (not configured)'}
+                  </option>
+                ))}
+              </Select>
+            </div>
+            {selectedMethod?.uses_road_factor && (
+              <div className="sm:w-36">
+                <label className="block text-xs font-medium text-gray-700 mb-1">Road factor</label>
+                <Input
+                  type="number"
+                  min="1"
+                  max="3"
+                  step="0.05"
+                  value={roadFactor}
+                  onChange={(e) => setRoadFactor(e.target.value)}
+                  className="text-sm"
+                />
+              </div>
+            )}
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={handleSaveSettings}
+              loading={savingSettings}
+              disabled={!settingsChanged}
+            >
+              Save Settings
+            </Button>
+          </div>
+        )}
+        {settingsChanged && (
+          <p className="text-xs text-amber-700">Save the new settings to preview distances with them.</p>
+        )}
+
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={includeManual}
+              onChange={(e) => setIncludeManual(e.target.checked)}
+              className="rounded border-gray-300"
+            />
+            Also replace distances entered by hand
+          </label>
+          <Button variant="ghost" size="sm" onClick={loadPreview} disabled={loading || !settings?.has_location}>
+            <IconRefresh className={cn('w-4 h-4 mr-1', loading && 'animate-spin')} />
+            Refresh Preview
+          </Button>
+        </div>
+
+        {plan?.session?.is_locked && (
+          <div className="flex items-start gap-2 p-3 rounded-lg bg-red-50 text-red-700 text-sm">
+            <IconAlertTriangle className="w-5 h-5 flex-shrink-0" />
+            {plan.session.name} is locked - its postings cannot be changed.
+          </div>
+        )}
+
+        {summary && (
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+            {[
+              { label: 'Schools changing', value: summary.schools_changed },
+              { label: 'Postings affected', value: summary.postings_affected },
+              { label: 'Supervisors affected', value: summary.supervisors_affected },
+              { label: 'Net allowance change', value: <Change value={summary.total_change} format={formatCurrency} /> },
+            ].map((card) => (
+              <div key={card.label} className="p-3 rounded-lg border">
+                <p className="text-xs text-gray-500">{card.label}</p>
+                <p className="text-lg font-semibold text-gray-900">{card.value}</p>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {fallbacks.length > 0 && (
+          <p className="text-xs text-amber-700">
+            {fallbacks.length} school(s) used the straight-line estimate: {fallbacks[0].fallback_reason}
+          </p>
+        )}
+
+        {plan && plan.schools.length === 0 && !loading && (
+          <p className="text-sm text-center text-gray-500 py-6">All computed distances are up to date.</p>
+        )}
+
+        {plan?.schools.length > 0 && (
+          <div>
+            <h3 className="text-sm font-semibold text-gray-900 mb-2">Schools</h3>
+            <div className="max-h-56 overflow-y-auto border rounded-lg">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 text-xs text-gray-500 sticky top-0">
+                  <tr>
+                    <th className="px-3 py-2 text-left">School</th>
+                    <th className="px-3 py-2 text-right">Current</th>
+                    <th className="px-3 py-2 text-right">New</th>
+                    <th className="px-3 py-2 text-right">Change</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y">
+                  {plan.schools.map((school) => (
+                    <tr key={school.id}>
+                      <td className="px-3 py-2">
+                        {school.name}
+                        {school.distance_source === 'manual' && (
+                          <Badge variant="warning" className="ml-2 text-[10px]">Manual</Badge>
+                        )}
+                      </td>
+                      <td className="px-3 py-2 text-right text-gray-600">{school.current_distance_km} km</td>
+                      <td className="px-3 py-2 text-right">{school.proposed_distance_km} km</td>
+                      <td className="px-3 py-2 text-right">
+                        <Change value={school.change_km} format={(v) => `${v} km`} />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {plan?.supervisors.length > 0 && (
+          <div>
+            <h3 className="text-sm font-semibold text-gray-900 mb-2">
+              Supervisor allowances{plan.session && ` - ${plan.session.name}`}
+            </h3>
+            <div className="max-h-64 overflow-y-auto border rounded-lg">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 text-xs text-gray-500 sticky top-0">
+                  <tr>
+                    <th className="px-3 py-2 text-left">Supervisor</th>
+                    <th className="px-3 py-2 text-left">Postings</th>
+                    <th className="px-3 py-2 text-right">Current</th>
+                    <th className="px-3 py-2 text-right">New</th>
+                    <th className="px-3 py-2 text-right">Change</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y">
+                  {plan.supervisors.map((supervisor) => (
+                    <tr key={supervisor.supervisor_id}>
+                      <td className="px-3 py-2">
+                        <div className="text-gray-900">{supervisor.name}</div>
+                        {supervisor.rank && <div className="text-xs text-gray-500">{supervisor.rank}</div>}
+                      </td>
+                      <td className="px-3 py-2 text-xs text-gray-600">
+                        {supervisor.postings.map((posting) => posting.school_name).join(', ')}
+                      </td>
+                      <td className="px-3 py-2 text-right text-gray-600">{formatCurrency(supervisor.current_total)}</td>
+                      <td className="px-3 py-2 text-right">{formatCurrency(supervisor.proposed_total)}</td>
+                      <td className="px-3 py-2 text-right">
+                        <Change value={supervisor.change} format={formatCurrency} />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {plan?.skipped.length > 0 && (
+          <p className="text-xs text-gray-500">
+            Not recalculated: {Object.entries(SKIP_REASONS)
+              .map(([reason, label]) => [plan.skipped.filter((s) => s.reason === reason).length, label])
+              .filter(([count]) => count > 0)
+              .map(([count, label]) => `${count} ${label}`)
+              .join(', ')}
+          </p>
+        )}
+      </div>
+    </Dialog>
+  );
+}
+
+export default RecalculateDistancesDialog;
@@ -0,0 +1,418 @@
+/**
+ * Repair Postings Dialog
+ *
+ * Incremental re-posting after late changes, instead of rolling a whole batch
+ * back: list what changed (a supervisor withdrawing, a school closing, a group
+ * merged into another), preview which postings move or are cancelled and what
+ * that does to each supervisor's allowance, then apply it.
+ *
+ * Only the postings a change touches are re-planned; everyone else keeps what
+ * they have.
+ *
+ * @see docs/AUTOMATED_POSTING_SYSTEM.md - Incremental Repair
+ */
+
+import { useState, useEffect } from 'react';
+import { Dialog } from './ui/Dialog';
+import { Button } from './ui/Button';
+import { Select } from './ui/Select';
+import { Badge } from './ui/Badge';
+import { autoPostingApi } from '../api';
+import { useToast } from '../context/ToastContext';
+import { formatCurrency } from '../utils/helpers';
+import {
+  IconTool,
+  IconLoader2,
+  IconAlertTriangle,
+  IconArrowLeft,
+  IconArrowRight,
+  IconCheck,
+  IconPlus,
+  IconX,
+} from '@tabler/icons-react';
+
+const CHANGE_TYPES = [
+  { value: 'supervisor_withdrawn', label: 'Supervisor withdrawn' },
+  { value: 'school_closed', label: 'School closed' },
+  { value: 'group_merged', label: 'Group merged late' },
+];
+
+const REASON_LABELS = {
+  supervisor_withdrawn: 'Withdrawn',
+  school_closed: 'School closed',
+  group_merged: 'Merged',
+};
+
+const POSTING_TYPES = [
+  { value: 'random', label: 'Any location' },
+  { value: 'route_based', label: 'Route based' },
+  { value: 'lga_based', label: 'LGA based' },
+];
+
+const EMPTY_DRAFT = { type: 'supervisor_withdrawn', target: '', from_visit: '1' };
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open - Whether the dialog is open
+ * @param {function} props.onClose - Function to close the dialog
+ * @param {number} props.sessionId - Selected session ID
+ * @param {function} props.onComplete - Called after a repair is applied
+ */
+function RepairPostingsDialog({ open, onClose, sessionId, onComplete }) {
+  const { toast } = useToast();
+
+  const [options, setOptions] = useState(null);
+  const [changes, setChanges] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [postingType, setPostingType] = useState('random');
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!open || !sessionId) return;
+    autoPostingApi.getRepairOptions({ session_id: sessionId })
+      .then((response) => setOptions(response.data.data))
+      .catch((error) => toast.error(error.response?.data?.message || 'Failed to load repair options'));
+  }, [open, sessionId, toast]);
+
+  const handleClose = () => {
+    setChanges([]);
+    setDraft(EMPTY_DRAFT);
+    setPostingType('random');
+    setPreview(null);
+    onClose();
+  };
+
+  const targetsFor = (type) => {
+    if (!options) return [];
+    if (type === 'supervisor_withdrawn') {
+      return options.supervisors.map((s) => ({ value: String(s.id), label: `${s.name} (${s.posting_count})` }));
+    }
+    if (type === 'school_closed') {
+      return options.schools.map((s) => ({ value: String(s.id), label: `${s.name} (${s.posting_count})` }));
+    }
+    return options.merged_groups.map((g) => ({
+      value: String(g.id),
+      label: `${g.school_name} group ${g.group_number} → ${g.into_school_name} group ${g.into_group_number}`,
+    }));
+  };
+
+  const handleAddChange = () => {
+    const target = targetsFor(draft.type).find((t) => t.value === draft.target);
+    if (!target) return;
+
+    let change;
+    if (draft.type === 'supervisor_withdrawn') {
+      change = { type: draft.type, supervisor_id: parseInt(draft.target), from_visit: parseInt(draft.from_visit) };
+    } else if (draft.type === 'school_closed') {
+      change = { type: draft.type, school_id: parseInt(draft.target) };
+    } else {
+      const group = options.merged_groups.find((g) => String(g.id) === draft.target);
+      change = { type: draft.type, school_id: group.school_id, group_number: group.group_number };
+    }
+
+    const label = draft.type === 'supervisor_withdrawn' && change.from_visit > 1
+      ? `${target.label} from visit ${change.from_visit}`
+      : target.label;
+
+    setChanges((prev) => [...prev, { ...change, label }]);
+    setDraft({ ...EMPTY_DRAFT, type: draft.type });
+    setPreview(null);
+  };
+
+  const buildRequest = () => ({
+    session_id: sessionId,
+    posting_type: postingType,
+    changes: changes.map(({ label: _label, ...change }) => change),
+  });
+
+  const handlePreview = async () => {
+    setLoading(true);
+    try {
+      const response = await autoPostingApi.previewRepair(buildRequest());
+      setPreview(response.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to preview repair');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleApply = async () => {
+    setLoading(true);
+    try {
+      const response = await autoPostingApi.applyRepair({ ...buildRequest(), plan_hash: preview.plan_hash });
+      toast.success(response.data.message);
+      onComplete?.(response.data.data);
+      handleClose();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to apply repair');
+      // Postings moved on since the preview - go back so it is previewed again
+      if (error.response?.status === 409) setPreview(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderChangeBuilder = () => {
+    const targets = targetsFor(draft.type);
+    const maxVisits = options?.session?.max_supervision_visits || 1;
+
+    return (
+      <div className="space-y-4">
+        <p className="text-sm text-gray-600">
+          Add the changes since postings were made. Only the postings they touch are re-planned - everyone else
+          keeps what they have.
+        </p>
+
+        <div className="grid grid-cols-1 sm:grid-cols-12 gap-2 items-end">
+          <div className="sm:col-span-3">
+            <label className="block text-xs font-medium text-gray-600 mb-1">Change</label>
+            <Select value={draft.type} onChange={(e) => setDraft({ ...EMPTY_DRAFT, type: e.target.value })}>
+              {CHANGE_TYPES.map((t) => (
+                <option key={t.value} value={t.value}>{t.label}</option>
+              ))}
+            </Select>
+          </div>
+          <div className={draft.type === 'supervisor_withdrawn' ? 'sm:col-span-5' : 'sm:col-span-7'}>
+            <label className="block text-xs font-medium text-gray-600 mb-1">
+              {draft.type === 'supervisor_withdrawn' ? 'Supervisor' : draft.type === 'school_closed' ? 'School' : 'Merged group'}
+            </label>
+            <Select value={draft.target} onChange={(e) => setDraft({ ...draft, target: e.target.value })}>
+              <option value="">{targets.length === 0 ? 'Nothing to choose' : 'Select...'}</option>
+              {targets.map((t) => (
+                <option key={t.value} value={t.value}>{t.label}</option>
+              ))}
+            </Select>
+          </div>
+          {draft.type === 'supervisor_withdrawn' && (
+            <div className="sm:col-span-2">
+              <label className="block text-xs font-medium text-gray-600 mb-1">From visit</label>
+              <Select value={draft.from_visit} onChange={(e) => setDraft({ ...draft, from_visit: e.target.value })}>
+                {Array.from({ length: maxVisits }, (_, i) => (
+                  <option key={i + 1} value={i + 1}>Visit {i + 1}</option>
+                ))}
+              </Select>
+            </div>
+          )}
+          <div className="sm:col-span-2">
+            <Button variant="outline" className="w-full" onClick={handleAddChange} disabled={!draft.target}>
+              <IconPlus className="h-4 w-4 mr-1" />
+              Add
+            </Button>
+          </div>
+        </div>
+
+        {changes.length > 0 && (
+          <ul className="divide-y border rounded-lg">
+            {changes.map((change, index) => (
+              <li key={index} className="flex items-center justify-between px-3 py-2 text-sm">
+                <span>
+                  <Badge variant="info" className="mr-2">{REASON_LABELS[change.type]}</Badge>
+                  {change.label}
+                </span>
+                <button
+                  type="button"
+                  className="text-gray-400 hover:text-red-500"
+                  onClick={() => {
+                    setChanges((prev) => prev.filter((_, i) => i !== index));
+                    setPreview(null);
+                  }}
+                  title="Remove change"
+                >
+                  <IconX className="h-4 w-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="sm:w-1/3">
+          <label className="block text-xs font-medium text-gray-600 mb-1">Re-plan by</label>
+          <Select value={postingType} onChange={(e) => setPostingType(e.target.value)}>
+            {POSTING_TYPES.map((t) => (
+              <option key={t.value} value={t.value}>{t.label}</option>
+            ))}
+          </Select>
+        </div>
+      </div>
+    );
+  };
+
+  const renderPreview = () => {
+    const { moves, cancellations, merged_cover: mergedCover, allowance_deltas: deltas, totals, warnings } = preview;
+
+    return (
+      <div className="space-y-4">
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+          <div className="p-3 bg-blue-50 rounded-lg">
+            <div className="text-xs text-blue-700">Moved</div>
+            <div className="text-xl font-semibold text-blue-900">{totals.moved}</div>
+          </div>
+          <div className="p-3 bg-amber-50 rounded-lg">
+            <div className="text-xs text-amber-700">Left unfilled</div>
+            <div className="text-xl font-semibold text-amber-900">{totals.unfilled}</div>
+          </div>
+          <div className="p-3 bg-gray-50 rounded-lg">
+            <div className="text-xs text-gray-600">Cancelled</div>
+            <div className="text-xl font-semibold text-gray-900">{totals.cancelled}</div>
+          </div>
+          <div className="p-3 bg-gray-50 rounded-lg">
+            <div className="text-xs text-gray-600">Allowance change</div>
+            <div className={`text-xl font-semibold ${totals.allowance_delta > 0 ? 'text-red-700' : 'text-green-700'}`}>
+              {totals.allowance_delta > 0 ? '+' : ''}{formatCurrency(totals.allowance_delta)}
+            </div>
+          </div>
+        </div>
+
+        {warnings.length > 0 && (
+          <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800">
+            <div className="flex items-center gap-2 font-medium mb-1">
+              <IconAlertTriangle className="h-4 w-4" />
+              Warnings
+            </div>
+            <ul className="list-disc list-inside">
+              {warnings.map((warning, i) => <li key={i}>{warning}</li>)}
+            </ul>
+          </div>
+        )}
+
+        {moves.length + cancellations.length > 0 && (
+          <div className="overflow-x-auto border rounded-lg max-h-72">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr className="text-left text-xs text-gray-500">
+                  <th className="px-3 py-2">Posting</th>
+                  <th className="px-3 py-2">Reason</th>
+                  <th className="px-3 py-2">From</th>
+                  <th className="px-3 py-2">To</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y">
+                {moves.map((move) => (
+                  <tr key={move.posting_id}>
+                    <td className="px-3 py-2">
+                      {move.school_name} · G{move.group_number} · V{move.visit_number}
+                    </td>
+                    <td className="px-3 py-2"><Badge variant="info">{REASON_LABELS[move.reason]}</Badge></td>
+                    <td className="px-3 py-2">
+                      {move.from.supervisor_name}
+                      <div className="text-xs text-gray-500">{formatCurrency(move.from.total)}</div>
+                    </td>
+                    <td className="px-3 py-2">
+                      {move.to ? (
+                        <span className="flex items-center gap-1">
+                          <IconArrowRight className="h-3.5 w-3.5 text-gray-400" />
+                          <span>
+                            {move.to.supervisor_name}
+                            <div className="text-xs text-gray-500">{formatCurrency(move.to.total)}</div>
+                          </span>
+                        </span>
+                      ) : (
+                        <Badge variant="warning">Unfilled - cancelled</Badge>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+                {cancellations.map((cancel) => (
+                  <tr key={cancel.posting_id} className="bg-gray-50/50">
+                    <td className="px-3 py-2">
+                      {cancel.school_name} · G{cancel.group_number} · V{cancel.visit_number}
+                    </td>
+                    <td className="px-3 py-2"><Badge variant="error">{REASON_LABELS[cancel.reason]}</Badge></td>
+                    <td className="px-3 py-2">
+                      {cancel.supervisor_name}
+                      <div className="text-xs text-gray-500">{formatCurrency(cancel.total)}</div>
+                    </td>
+                    <td className="px-3 py-2 text-gray-500">
+                      {mergedCover.some((c) => c.posting_id === cancel.posting_id)
+                        ? `Covered by ${mergedCover.find((c) => c.posting_id === cancel.posting_id).supervisor_name}`
+                        : 'Cancelled'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {deltas.length > 0 && (
+          <div>
+            <h4 className="text-sm font-medium text-gray-900 mb-2">Allowance by supervisor</h4>
+            <div className="overflow-x-auto border rounded-lg">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50">
+                  <tr className="text-left text-xs text-gray-500">
+                    <th className="px-3 py-2">Supervisor</th>
+                    <th className="px-3 py-2 text-right">Before</th>
+                    <th className="px-3 py-2 text-right">After</th>
+                    <th className="px-3 py-2 text-right">Change</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y">
+                  {deltas.map((row) => (
+                    <tr key={row.supervisor_id}>
+                      <td className="px-3 py-2">{row.supervisor_name}</td>
+                      <td className="px-3 py-2 text-right">{formatCurrency(row.before)}</td>
+                      <td className="px-3 py-2 text-right">{formatCurrency(row.after)}</td>
+                      <td className={`px-3 py-2 text-right font-medium ${row.delta > 0 ? 'text-red-700' : 'text-green-700'}`}>
+                        {row.delta > 0 ? '+' : ''}{formatCurrency(row.delta)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-gray-500 mt-1">Tetfund counts once per supervisor, as in payment totals.</p>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const footer = preview ? (
+    <div className="flex justify-between">
+      <Button variant="outline" onClick={() => setPreview(null)} disabled={loading}>
+        <IconArrowLeft className="h-4 w-4 mr-2" />
+        Back
+      </Button>
+      <Button onClick={handleApply} disabled={loading || preview.moves.length + preview.cancellations.length === 0}>
+        {loading ? <IconLoader2 className="h-4 w-4 animate-spin mr-2" /> : <IconCheck className="h-4 w-4 mr-2" />}
+        Apply Repair
+      </Button>
+    </div>
+  ) : (
+    <div className="flex justify-end gap-3">
+      <Button variant="outline" onClick={handleClose} disabled={loading}>
+        Cancel
+      </Button>
+      <Button onClick={handlePreview} disabled={loading || changes.length === 0}>
+        {loading ? <IconLoader2 className="h-4 w-4 animate-spin mr-2" /> : <IconTool className="h-4 w-4 mr-2" />}
+        Preview Repair
+      </Button>
+    </div>
+  );
+
+  return (
+    <Dialog
+      isOpen={open}
+      onClose={handleClose}
+      title={
+        <div className="flex items-center gap-2">
+          <IconTool className="h-5 w-5 text-primary-600" />
+          Repair Postings
+        </div>
+      }
+      width="4xl"
+      footer={footer}
+    >
+      {!options ? (
+        <div className="flex justify-center py-12">
+          <IconLoader2 className="h-6 w-6 animate-spin text-gray-400" />
+        </div>
+      ) : preview ? renderPreview() : renderChangeBuilder()}
+    </Dialog>
+  );
+}
+
+export default RepairPostingsDialog;
@@ -0,0 +1,83 @@
+/**
+ * Session Lock Override Dialog
+ * Shown to super admins when a change is rejected because the session is locked.
+ *
+ * Registers itself with the API client, which pauses the rejected request,
+ * asks here for a reason, and retries it with the override header. The
+ * backend audits every override.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { IconLock } from '@tabler/icons-react';
+import { setSessionLockOverrideHandler } from '../api/client';
+import { Dialog } from './ui/Dialog';
+import { Button } from './ui/Button';
+
+const MIN_REASON_LENGTH = 5;
+
+export default function SessionLockOverrideDialog() {
+  const [request, setRequest] = useState(null); // { message }
+  const [reason, setReason] = useState('');
+  const resolveRef = useRef(null);
+
+  useEffect(() => {
+    setSessionLockOverrideHandler((message) => new Promise((resolve) => {
+      // A second locked request while the dialog is open is simply rejected
+      if (resolveRef.current) {
+        resolve(null);
+        return;
+      }
+      resolveRef.current = resolve;
+      setReason('');
+      setRequest({ message });
+    }));
+    return () => setSessionLockOverrideHandler(null);
+  }, []);
+
+  const finish = (value) => {
+    resolveRef.current?.(value);
+    resolveRef.current = null;
+    setRequest(null);
+  };
+
+  return (
+    <Dialog
+      isOpen={!!request}
+      onClose={() => finish(null)}
+      title="Session Locked"
+      width="md"
+      footer={
+        <>
+          <Button variant="outline" onClick={() => finish(null)}>
+            Cancel
+          </Button>
+          <Button
+            variant="destructive"
+            onClick={() => finish(reason.trim())}
+            disabled={reason.trim().length < MIN_REASON_LENGTH}
+          >
+            Override Lock
+          </Button>
+        </>
+      }
+    >
+      <div className="space-y-4">
+        <div className="flex items-start gap-3 p-3 rounded-lg bg-amber-50 border border-amber-200 text-amber-800">
+          <IconLock className="w-5 h-5 flex-shrink-0 mt-0.5" />
+          <p className="text-sm">{request?.message}</p>
+        </div>
+        <p className="text-sm text-gray-600">
+          As a super admin you can apply this change anyway. The override and your reason are recorded in the audit log.
+        </p>
+        <textarea
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          placeholder="Reason for overriding the lock..."
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+          rows={3}
+          maxLength={500}
+        />
+      </div>
+    </Dialog>
+  );
+}
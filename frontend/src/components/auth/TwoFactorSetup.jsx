@@ -0,0 +1,164 @@
+/**
+ * Two-Factor Setup
+ * Authenticator app enrolment (QR code, manual key, first code) and the
+ * one-time display of recovery codes. Shared by the sign-in page, when the
+ * institution requires two-factor, and the profile page.
+ */
+
+import { useState, useEffect } from 'react';
+import { Button } from '../ui/Button';
+import { Input } from '../ui/Input';
+import { IconCopy, IconDownload, IconAlertTriangle } from '@tabler/icons-react';
+
+/**
+ * @param {Function} loadEnrolment - async () => { secret, otpauth_url, qr_code }
+ * @param {Function} onConfirm - async (code) => void; throw to show an error
+ * @param {Function} [onCancel]
+ */
+export function TwoFactorSetup({ loadEnrolment, onConfirm, onCancel, confirmText = 'Turn On' }) {
+  const [enrolment, setEnrolment] = useState(null);
+  const [code, setCode] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    loadEnrolment()
+      .then((data) => { if (!cancelled) setEnrolment(data); })
+      .catch((err) => { if (!cancelled) setError(err?.response?.data?.message || err.message || 'Could not start setup'); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+    // Load once per mount - a new secret is issued on every call
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) {
+      setError('Enter the 6-digit code from your authenticator app');
+      return;
+    }
+
+    setSubmitting(true);
+    setError('');
+    try {
+      await onConfirm(code.trim());
+    } catch (err) {
+      setError(err?.response?.data?.message || err.message || 'Invalid authentication code');
+      setCode('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="h-48 bg-gray-100 rounded-lg animate-pulse" />;
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Scan the QR code with an authenticator app such as Google Authenticator, Microsoft
+        Authenticator or Authy, then enter the 6-digit code it shows.
+      </p>
+
+      {enrolment && (
+        <div className="flex flex-col items-center gap-3">
+          <img src={enrolment.qr_code} alt="Authenticator QR code" className="w-44 h-44 border border-gray-200 rounded-lg" />
+          <div className="text-center">
+            <p className="text-xs text-gray-500">Can&apos;t scan? Enter this key instead:</p>
+            <code className="text-sm font-mono text-gray-800 break-all select-all">{enrolment.secret}</code>
+          </div>
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <Input
+        label="Authentication Code"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        placeholder="123456"
+        value={code}
+        onChange={(e) => { setCode(e.target.value); setError(''); }}
+        disabled={!enrolment}
+      />
+
+      <div className="flex justify-end gap-3">
+        {onCancel && (
+          <Button type="button" variant="outline" onClick={onCancel} disabled={submitting}>
+            Cancel
+          </Button>
+        )}
+        <Button type="submit" loading={submitting} disabled={!enrolment || !code || submitting}>
+          {confirmText}
+        </Button>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * Recovery codes - shown once, right after they are issued
+ * @param {string[]} codes
+ * @param {Function} onDone
+ */
+export function RecoveryCodes({ codes, onDone, doneText = 'I have saved these codes' }) {
+  const [copied, setCopied] = useState(false);
+  const text = codes.join('\n');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+    } catch {
+      setCopied(false);
+    }
+  };
+
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([`${text}\n`], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'digitaltp-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex gap-2 p-3 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-lg">
+        <IconAlertTriangle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+        <span>
+          Keep these recovery codes somewhere safe. Each one signs you in once if you lose your
+          authenticator app. They will not be shown again.
+        </span>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2 p-4 bg-gray-50 border border-gray-200 rounded-lg">
+        {codes.map((recoveryCode) => (
+          <code key={recoveryCode} className="text-sm font-mono text-gray-800 text-center">{recoveryCode}</code>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap justify-between gap-3">
+        <div className="flex gap-2">
+          <Button type="button" variant="outline" size="sm" onClick={handleCopy}>
+            <IconCopy className="w-4 h-4 mr-1" />
+            {copied ? 'Copied' : 'Copy'}
+          </Button>
+          <Button type="button" variant="outline" size="sm" onClick={handleDownload}>
+            <IconDownload className="w-4 h-4 mr-1" />
+            Download
+          </Button>
+        </div>
+        <Button type="button" onClick={onDone}>
+          {doneText}
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+export default TwoFactorSetup;
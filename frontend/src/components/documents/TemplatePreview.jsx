@@ -10,6 +10,7 @@ import {
   IconEye as Eye, 
   IconFileText as FileText, 
   IconPrinter as Printer, 
+  IconDownload as Download,
   IconUser as User, 
   IconLoader2 as Loader2,
   IconAlertCircle as AlertCircle,
@@ -19,6 +20,7 @@ import {
 import { Button } from '../ui';
 import { documentTemplatesApi } from '../../api/documentTemplates';
 import { useAuth } from '../../context/AuthContext';
+import { useToast } from '../../context/ToastContext';
 import { sanitizeHtml } from '../../utils/sanitize';
 import {
   TemplateBodyStyles,
@@ -40,6 +42,7 @@ const TemplatePreview = ({
   className = '' 
 }) => {
   const { effectiveInstitution: authInstitution } = useAuth();
+  const { toast } = useToast();
   const [html, setHtml] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -47,6 +50,7 @@ const TemplatePreview = ({
   const [session, setSession] = useState(null);
   const [institution, setInstitution] = useState(null);
   const [fullscreen, setFullscreen] = useState(false);
+  const [downloading, setDownloading] = useState(false);
 
   // Use institution from API response, fallback to auth context
   const effectiveInstitution = institution || authInstitution;
@@ -106,6 +110,30 @@ const TemplatePreview = ({
     window.print();
   };
 
+  // Download server-rendered PDF with QR verification code (live mode only)
+  const handleDownloadPdf = async () => {
+    try {
+      setDownloading(true);
+      const response = await documentTemplatesApi.downloadPdf(templateId, studentId, {
+        session_id: sessionId,
+        school_id: schoolId
+      });
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `document_${studentId}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('PDF download error:', err);
+      toast.error('Failed to download PDF');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
   // Mode label
   const getModeLabel = () => {
     switch (mode) {
@@ -237,6 +265,17 @@ const TemplatePreview = ({
             >
               <Maximize2 className="h-4 w-4" />
             </Button>
+            {mode === 'live' && studentId && (
+              <Button
+                variant="outline"
+                onClick={handleDownloadPdf}
+                loading={downloading}
+                className="flex items-center gap-1"
+              >
+                <Download className="h-4 w-4" />
+                PDF
+              </Button>
+            )}
             <Button
               onClick={handlePrint}
               className="flex items-center gap-1"
@@ -14,6 +14,8 @@ import { Select } from '../ui/Select';
 import { Button } from '../ui/Button';
 import { SecureSensitiveInput } from '../ui/SecureSensitiveInput';
 import { AlertDialog } from '../ui/AlertDialog';
+import { usePasswordConfirmDialog } from '../ui/PasswordConfirmDialog';
+import { useAuth } from '../../context/AuthContext';
 import { institutionsApi } from '../../api/institutions';
 import { formatFileSize } from '../../utils/helpers';
 import { getStates } from '../../data/nigeria';
@@ -36,9 +38,10 @@ import {
   IconX,
   IconCheck,
   IconLoader2,
+  IconMessage,
 } from '@tabler/icons-react';
 
-import { INSTITUTION_TYPES } from './institutionConstants';
+import { INSTITUTION_TYPES, SMS_PROVIDERS, TWO_FACTOR_POLICIES } from './institutionConstants';
 
 
 
@@ -862,6 +865,175 @@ export function SmtpForm({ data, onChange, onTest, testing = false, testResult,
   );
 }
 
+// ============================================================================
+// SMS FORM
+// ============================================================================
+
+/**
+ * SMS Provider Configuration Form Section
+ * @param {Object} data - Form data object
+ * @param {Function} onChange - Change handler (field, value)
+ * @param {Function} onTest - Send test SMS handler (testPhone) => void (optional)
+ * @param {boolean} testing - If SMS test is in progress
+ * @param {string} testResult - Result message from SMS test (optional)
+ * @param {string} testResultType - 'success' or 'error' (optional)
+ */
+export function SmsForm({ data, onChange, onTest, testing = false, testResult, testResultType }) {
+  const [testPhone, setTestPhone] = useState('');
+  const provider = SMS_PROVIDERS.find((p) => p.value === data.sms_provider);
+  const isStub = data.sms_provider === 'stub';
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center gap-2">
+          <IconMessage className="w-5 h-5 text-gray-400" />
+          <CardTitle>SMS Configuration</CardTitle>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="bg-blue-50 border border-blue-200 rounded-lg px-4 py-2 mb-4">
+          <p className="text-sm text-blue-800">
+            <strong>Note:</strong> SMS alerts (posting confirmed, payment received, PIN reset and
+            monitor assignment) are sent alongside email once a provider is set up and the
+            <strong> SMS Notifications</strong> feature is enabled for this institution.
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Provider
+            </label>
+            <Select
+              value={data.sms_provider || ''}
+              onChange={(e) => onChange('sms_provider', e.target.value || null)}
+              className="w-full"
+            >
+              <option value="">SMS disabled</option>
+              {SMS_PROVIDERS.map((p) => (
+                <option key={p.value} value={p.value}>
+                  {p.label}
+                </option>
+              ))}
+            </Select>
+          </div>
+          <div>
+            <Input
+              label="Sender ID"
+              value={data.sms_sender_id || ''}
+              onChange={(e) => onChange('sms_sender_id', e.target.value)}
+              placeholder="Institution code"
+              maxLength={11}
+              disabled={!data.sms_provider}
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Up to 11 characters, registered with your provider. Defaults to the institution code.
+            </p>
+          </div>
+        </div>
+
+        {data.sms_provider && !isStub && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                API Key
+              </label>
+              <SecureSensitiveInput
+                value={data.sms_api_key || ''}
+                onChange={(value) => onChange('sms_api_key', value)}
+                placeholder="Enter provider API key"
+                preventCopy
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Your API key is encrypted at rest.
+              </p>
+            </div>
+            {provider?.requiresUsername && (
+              <Input
+                label="Account Username"
+                value={data.sms_username || ''}
+                onChange={(e) => onChange('sms_username', e.target.value)}
+                placeholder="Your Africa's Talking username"
+              />
+            )}
+          </div>
+        )}
+
+        {isStub && (
+          <div className="flex items-start gap-2 p-3 rounded-lg bg-yellow-50 border border-yellow-200">
+            <IconInfoCircle className="w-5 h-5 text-yellow-600 flex-shrink-0 mt-0.5" />
+            <p className="text-sm text-yellow-800">
+              The stub provider only writes messages to the server log. Use it for local testing.
+            </p>
+          </div>
+        )}
+
+        {onTest && data.sms_provider && (
+          <div className="pt-4 border-t space-y-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Send test SMS to:
+              </label>
+              <div className="flex gap-2">
+                <Input
+                  type="tel"
+                  value={testPhone}
+                  onChange={(e) => setTestPhone(e.target.value)}
+                  placeholder="08031234567"
+                  className="flex-1"
+                  disabled={testing}
+                />
+                <Button
+                  type="button"
+                  onClick={() => onTest(testPhone)}
+                  disabled={testing || !testPhone}
+                  variant="primary"
+                  className="whitespace-nowrap"
+                >
+                  {testing ? (
+                    <>
+                      <IconLoader2 className="w-4 h-4 mr-2 animate-spin" />
+                      Sending...
+                    </>
+                  ) : (
+                    <>
+                      <IconMessage className="w-4 h-4 mr-2" />
+                      Send Test
+                    </>
+                  )}
+                </Button>
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                The test uses the <strong>saved</strong> SMS settings. Save your settings first if you made changes.
+              </p>
+            </div>
+
+            {testResult && (
+              <div className={`flex items-start gap-2 p-3 rounded-lg ${
+                testResultType === 'success'
+                  ? 'bg-green-50 border border-green-200'
+                  : 'bg-red-50 border border-red-200'
+              }`}>
+                {testResultType === 'success' ? (
+                  <IconCheck className="w-5 h-5 text-green-600 flex-shrink-0 mt-0.5" />
+                ) : (
+                  <IconAlertCircle className="w-5 h-5 text-red-600 flex-shrink-0 mt-0.5" />
+                )}
+                <p className={`text-sm ${
+                  testResultType === 'success' ? 'text-green-800' : 'text-red-800'
+                }`}>
+                  {testResult}
+                </p>
+              </div>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
 // ============================================================================
 // PAYMENT FORM
 // ============================================================================
@@ -875,6 +1047,8 @@ export function SmtpForm({ data, onChange, onTest, testing = false, testResult,
  * @param {Function} onTest - Test Paystack connection handler (optional)
  * @param {boolean} testing - If Paystack test is in progress
  * @param {Function} formatCurrency - Currency formatter function
+ * @param {Array} gateways - Gateways the institution can choose, with their credential fields (optional)
+ * @param {Function} onCredentialChange - Handler for a non-Paystack gateway credential (field, value)
  */
 export function PaymentForm({
   data,
@@ -885,28 +1059,39 @@ export function PaymentForm({
   testing = false,
   formatCurrency = (amount) => `₦${amount?.toLocaleString() || 0}`,
   institutionId,
+  gateways = [],
+  onCredentialChange,
 }) {
+  const gatewayName = data.payment_gateway || 'paystack';
+  const gateway = gateways.find((g) => g.name === gatewayName);
+  const { user } = useAuth();
+  const { confirmWithAction, DialogComponent: StepUpDialog } = usePasswordConfirmDialog();
   const [revealedKeys, setRevealedKeys] = useState(null);
-  const [revealingKeys, setRevealingKeys] = useState(false);
 
-  const handleRevealKeys = async () => {
+  // Decrypted keys need the password, plus a code when two-factor is on
+  const handleRevealKeys = () => {
     if (revealedKeys) {
       setRevealedKeys(null);
       return;
     }
     if (!institutionId) return;
-    setRevealingKeys(true);
-    try {
-      const res = await institutionsApi.revealKeys(institutionId);
-      setRevealedKeys(res.data.data);
-    } catch {
-      setRevealedKeys(null);
-    } finally {
-      setRevealingKeys(false);
-    }
+    confirmWithAction(
+      {
+        title: 'Reveal API Keys',
+        description: 'Decrypted payment keys are shown for this page only. Confirm it is you to continue.',
+        confirmText: 'Reveal',
+        requireCode: !!user?.two_factor?.enabled,
+      },
+      async (password, code) => {
+        const res = await institutionsApi.revealKeys(institutionId, { password, code });
+        setRevealedKeys(res.data.data);
+      }
+    );
   };
   return (
     <div className="space-y-4">
+      {StepUpDialog}
+
       {/* Payment Type Selection */}
       <Card>
         <CardHeader>
@@ -1061,8 +1246,74 @@ export function PaymentForm({
         </Card>
       )}
 
+      {/* Gateway selection - only for per_student */}
+      {data.payment_type === 'per_student' && gateways.length > 1 && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Payment Gateway</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Gateway</label>
+              <Select
+                value={gatewayName}
+                onChange={(e) => onChange('payment_gateway', e.target.value)}
+                className="w-full"
+              >
+                {gateways.map((g) => (
+                  <option key={g.name} value={g.name}>
+                    {g.label}
+                  </option>
+                ))}
+              </Select>
+              <p className="text-xs text-gray-500 mt-1">
+                Students pay through this gateway. Payments already started keep using the
+                gateway they were made with.
+              </p>
+            </div>
+
+            {gatewayName !== 'paystack' && gateway && (
+              <>
+                <div className="bg-amber-50 border border-amber-200 rounded-lg px-4 py-3">
+                  <p className="text-sm text-amber-800">
+                    <strong>Security:</strong> Credentials are encrypted and stored securely. Leave
+                    masked values as they are to keep the saved ones.
+                  </p>
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  {gateway.fields.map((field) => (
+                    <div key={field.name}>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        {field.label}
+                        {field.optional && ' (Optional)'}
+                      </label>
+                      {field.secret ? (
+                        <SecureSensitiveInput
+                          value={data.payment_gateway_credentials?.[gatewayName]?.[field.name] || ''}
+                          onChange={(value) => onCredentialChange?.(field.name, value)}
+                          preventCopy
+                        />
+                      ) : (
+                        <Input
+                          type="text"
+                          value={data.payment_gateway_credentials?.[gatewayName]?.[field.name] || ''}
+                          onChange={(e) => onCredentialChange?.(field.name, e.target.value.trim())}
+                        />
+                      )}
+                    </div>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500">
+                  Webhook URL: <code className="font-mono">/api/payments/webhook/{gatewayName}</code>
+                </p>
+              </>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
       {/* Paystack Integration - only for per_student */}
-      {data.payment_type === 'per_student' && (
+      {data.payment_type === 'per_student' && gatewayName === 'paystack' && (
         <Card>
           <CardHeader>
             <div className="flex items-center justify-between">
@@ -1073,12 +1324,9 @@ export function PaymentForm({
                   variant="outline"
                   size="sm"
                   onClick={handleRevealKeys}
-                  disabled={revealingKeys}
                   className="text-xs"
                 >
-                  {revealingKeys ? (
-                    <><IconLoader2 className="w-3.5 h-3.5 mr-1.5 animate-spin" />Revealing...</>
-                  ) : revealedKeys ? (
+                  {revealedKeys ? (
                     <><IconEyeOff className="w-3.5 h-3.5 mr-1.5" />Hide Keys</>
                   ) : (
                     <><IconEye className="w-3.5 h-3.5 mr-1.5" />View Saved Keys</>
@@ -1187,8 +1435,9 @@ export function PaymentForm({
  * General Settings Form Section
  * @param {Object} data - Form data object
  * @param {Function} onChange - Change handler (field, value)
+ * @param {boolean} showTwoFactorPolicy - Show the two-factor policy (existing institutions only)
  */
-export function GeneralForm({ data, onChange }) {
+export function GeneralForm({ data, onChange, showTwoFactorPolicy = false }) {
   return (
     <Card>
       <CardHeader>
@@ -1262,6 +1511,26 @@ export function GeneralForm({ data, onChange }) {
           />
           <p className="text-xs text-gray-500 mt-1">Default: 1440 (24 hours)</p>
         </div>
+
+        {showTwoFactorPolicy && (
+          <div className="border-t pt-4">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Two-Factor Authentication</label>
+            <Select
+              value={data.two_factor_policy || 'optional'}
+              onChange={(e) => onChange('two_factor_policy', e.target.value)}
+              className="w-full"
+            >
+              {TWO_FACTOR_POLICIES.map((policy) => (
+                <option key={policy.value} value={policy.value}>
+                  {policy.label}
+                </option>
+              ))}
+            </Select>
+            <p className="text-xs text-gray-500 mt-1">
+              Staff who must use it are asked to set up an authenticator app at their next sign-in
+            </p>
+          </div>
+        )}
       </CardContent>
     </Card>
   );
@@ -11,3 +11,17 @@ export const INSTITUTION_TYPES = [
   { value: 'polytechnic', label: 'Polytechnic' },
   { value: 'other', label: 'Other' },
 ];
+
+// Values of institutions.sms_provider (the stub sends nothing and is refused in production)
+export const SMS_PROVIDERS = [
+  { value: 'termii', label: 'Termii' },
+  { value: 'africastalking', label: "Africa's Talking", requiresUsername: true },
+  { value: 'stub', label: 'Local stub (development only)' },
+];
+
+// Values of institutions.two_factor_policy - which staff must use two-factor authentication
+export const TWO_FACTOR_POLICIES = [
+  { value: 'optional', label: 'Optional for everyone' },
+  { value: 'head_of_tp', label: 'Required for Heads of Teaching Practice' },
+  { value: 'all_staff', label: 'Required for all staff' },
+];
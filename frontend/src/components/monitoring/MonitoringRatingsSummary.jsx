@@ -0,0 +1,131 @@
+/**
+ * Monitoring Ratings Summary
+ *
+ * Rubric ratings averaged by school, supervisor or route, weakest first, with
+ * the average for each criterion. Supervisor criteria are left out of school
+ * averages and school criteria out of supervisor averages.
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { monitoringApi } from '../../api';
+import { useToast } from '../../context/ToastContext';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/Card';
+import { Button } from '../ui/Button';
+import { DataTable } from '../ui/DataTable';
+import { IconChartBar } from '@tabler/icons-react';
+import { ratingTone } from './rubric';
+
+const GROUPS = [
+  { value: 'school', label: 'By School' },
+  { value: 'supervisor', label: 'By Supervisor' },
+  { value: 'route', label: 'By Route' },
+];
+
+/**
+ * @param {Object} props
+ * @param {string|number} props.sessionId - Selected session ID
+ */
+function MonitoringRatingsSummary({ sessionId }) {
+  const { toast } = useToast();
+  const [groupBy, setGroupBy] = useState('school');
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const fetchSummary = useCallback(async () => {
+    if (!sessionId) return;
+    setLoading(true);
+    try {
+      const res = await monitoringApi.getRatingsSummary(sessionId, groupBy);
+      setRows(res.data.data || []);
+    } catch (err) {
+      console.error('Failed to load ratings summary:', err);
+      toast.error('Failed to load ratings summary');
+    } finally {
+      setLoading(false);
+    }
+  }, [sessionId, groupBy, toast]);
+
+  useEffect(() => {
+    fetchSummary();
+  }, [fetchSummary]);
+
+  const groupLabel = GROUPS.find((g) => g.value === groupBy).label.replace('By ', '');
+
+  const columns = useMemo(() => [
+    {
+      accessor: 'name',
+      header: groupLabel,
+      render: (val) => <span className="font-medium text-gray-900">{val}</span>,
+    },
+    {
+      accessor: 'report_count',
+      header: 'Reports',
+    },
+    {
+      accessor: 'average_percent',
+      header: 'Average',
+      render: (val) => (
+        <span className={`inline-block px-2 py-0.5 rounded text-sm font-semibold ${ratingTone(val)}`}>
+          {val === null ? '-' : `${val}%`}
+        </span>
+      ),
+    },
+    {
+      accessor: 'criteria',
+      header: 'By Criterion',
+      sortable: false,
+      exportable: false,
+      render: (criteria) => (
+        <div className="flex flex-wrap gap-1">
+          {criteria.map((c) => (
+            <span
+              key={c.criterion_id}
+              className={`px-2 py-0.5 rounded text-xs ${ratingTone((c.average / c.max_rating) * 100)}`}
+              title={`${c.count} rating(s)`}
+            >
+              {c.label}: {c.average}/{c.max_rating}
+            </span>
+          ))}
+        </div>
+      ),
+    },
+  ], [groupLabel]);
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+          <CardTitle>Ratings Summary</CardTitle>
+          <div className="flex gap-1">
+            {GROUPS.map((group) => (
+              <Button
+                key={group.value}
+                size="sm"
+                variant={groupBy === group.value ? 'primary' : 'outline'}
+                onClick={() => setGroupBy(group.value)}
+              >
+                {group.label}
+              </Button>
+            ))}
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        <DataTable
+          data={rows}
+          columns={columns}
+          keyField="id"
+          loading={loading}
+          sortable
+          exportable
+          exportFilename={`monitoring_ratings_by_${groupBy}`}
+          emptyIcon={IconChartBar}
+          emptyTitle="No ratings yet"
+          emptyDescription="Averages appear here once monitors submit rated reports"
+        />
+      </CardContent>
+    </Card>
+  );
+}
+
+export default MonitoringRatingsSummary;
@@ -0,0 +1,214 @@
+/**
+ * Monitoring Rubric Form
+ *
+ * The structured part of a monitoring report: the supervisor evaluated, the
+ * students observed, and a rating for each rubric criterion - supervisor and
+ * school criteria once per report, student criteria once per student.
+ */
+
+import { Select } from '../ui/Select';
+import { Button } from '../ui/Button';
+import { IconX } from '@tabler/icons-react';
+import { ratingKey } from './rubric';
+
+function RatingInput({ criterion, value, onChange, disabled }) {
+  const max = Number(criterion.max_rating);
+
+  // Short scales read best as a row of buttons; long ones as a number
+  if (max > 10) {
+    return (
+      <div className="flex items-center gap-2">
+        <input
+          type="number"
+          min={0}
+          max={max}
+          step="0.5"
+          className="w-20 border rounded-lg px-2 py-1 text-sm"
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value)}
+          disabled={disabled}
+        />
+        <span className="text-xs text-gray-500">/ {max}</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-1">
+      {Array.from({ length: max }, (_, index) => String(index + 1)).map((option) => (
+        <button
+          key={option}
+          type="button"
+          disabled={disabled}
+          onClick={() => onChange(value === option ? '' : option)}
+          className={`w-8 h-8 rounded-md border text-sm font-medium transition-colors ${
+            value === option
+              ? 'bg-primary-600 border-primary-600 text-white'
+              : 'bg-white border-gray-300 text-gray-700 hover:border-primary-400'
+          }`}
+          title={`${option} of ${max}`}
+        >
+          {option}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function CriteriaRows({ criteria, studentId, rubric, onRate, disabled }) {
+  return (
+    <div className="divide-y divide-gray-100">
+      {criteria.map((criterion) => (
+        <div key={criterion.id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 py-2">
+          <div className="min-w-0">
+            <div className="text-sm font-medium text-gray-800">{criterion.label}</div>
+            {criterion.description && (
+              <div className="text-xs text-gray-500">{criterion.description}</div>
+            )}
+          </div>
+          <RatingInput
+            criterion={criterion}
+            value={rubric.ratings[ratingKey(criterion.id, studentId)]}
+            onChange={(value) => onRate(criterion.id, studentId, value)}
+            disabled={disabled}
+          />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {Array} props.criteria - Active rubric criteria
+ * @param {Array} props.supervisors - Supervisors posted to the school [{ id, name }]
+ * @param {Array} props.students - Students placed at the school [{ id, full_name, registration_number }]
+ * @param {Object} props.value - Rubric form state (see rubric.js)
+ * @param {function} props.onChange - Receives the next form state
+ * @param {boolean} [props.disabled]
+ */
+function MonitoringRubricForm({ criteria, supervisors, students, value, onChange, disabled = false }) {
+  const byCategory = (category) => criteria.filter((c) => c.category === category);
+  const supervisorCriteria = byCategory('supervisor');
+  const studentCriteria = byCategory('student');
+  const schoolCriteria = byCategory('school');
+
+  const onRate = (criterionId, studentId, rating) => {
+    onChange({ ...value, ratings: { ...value.ratings, [ratingKey(criterionId, studentId)]: rating } });
+  };
+
+  const selectedIds = new Set(value.students.map((s) => s.student_id));
+  const studentName = (id) => {
+    const student = students.find((s) => s.id === id);
+    return student ? `${student.full_name} (${student.registration_number})` : `Student #${id}`;
+  };
+
+  const addStudent = (id) => {
+    if (!id || selectedIds.has(id)) return;
+    onChange({ ...value, students: [...value.students, { student_id: id, comments: '' }] });
+  };
+
+  const removeStudent = (id) => {
+    const ratings = { ...value.ratings };
+    studentCriteria.forEach((c) => delete ratings[ratingKey(c.id, id)]);
+    onChange({ ...value, students: value.students.filter((s) => s.student_id !== id), ratings });
+  };
+
+  const setComments = (id, comments) => {
+    onChange({
+      ...value,
+      students: value.students.map((s) => (s.student_id === id ? { ...s, comments } : s)),
+    });
+  };
+
+  if (criteria.length === 0) {
+    return (
+      <div className="rounded-lg border border-dashed border-gray-300 p-4 text-sm text-gray-500">
+        No monitoring rubric has been set up yet. The head of teaching practice can add criteria
+        on the Rubric tab; until then, record your findings in the notes below.
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {supervisorCriteria.length > 0 && (
+        <section className="border rounded-lg p-4">
+          <h4 className="font-semibold text-gray-900 mb-2">Supervisor</h4>
+          <Select
+            value={value.supervisor_id}
+            onChange={(e) => onChange({ ...value, supervisor_id: e.target.value })}
+            disabled={disabled}
+          >
+            <option value="">Select the supervisor observed...</option>
+            {supervisors.map((s) => (
+              <option key={s.id} value={String(s.id)}>{s.name}</option>
+            ))}
+          </Select>
+          {supervisors.length === 0 && (
+            <p className="text-xs text-gray-500 mt-1">No supervisor is posted to this school for the session.</p>
+          )}
+          {value.supervisor_id && (
+            <CriteriaRows criteria={supervisorCriteria} studentId={null} rubric={value} onRate={onRate} disabled={disabled} />
+          )}
+        </section>
+      )}
+
+      {schoolCriteria.length > 0 && (
+        <section className="border rounded-lg p-4">
+          <h4 className="font-semibold text-gray-900 mb-2">School</h4>
+          <CriteriaRows criteria={schoolCriteria} studentId={null} rubric={value} onRate={onRate} disabled={disabled} />
+        </section>
+      )}
+
+      {studentCriteria.length > 0 && (
+        <section className="border rounded-lg p-4 space-y-3">
+          <div className="flex items-center justify-between gap-2">
+            <h4 className="font-semibold text-gray-900">Students observed ({value.students.length})</h4>
+            <Select
+              value=""
+              onChange={(e) => addStudent(parseInt(e.target.value))}
+              disabled={disabled}
+              className="w-56"
+            >
+              <option value="">Add a student...</option>
+              {students.filter((s) => !selectedIds.has(s.id)).map((s) => (
+                <option key={s.id} value={s.id}>{s.full_name} ({s.registration_number})</option>
+              ))}
+            </Select>
+          </div>
+          {value.students.length === 0 && (
+            <p className="text-sm text-gray-500">Add each student you observed to rate them.</p>
+          )}
+          {value.students.map((student) => (
+            <div key={student.student_id} className="rounded-lg bg-gray-50 p-3">
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-gray-900">{studentName(student.student_id)}</span>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => removeStudent(student.student_id)}
+                  disabled={disabled}
+                  className="text-gray-400 hover:text-red-600"
+                  title="Remove student"
+                >
+                  <IconX className="w-4 h-4" />
+                </Button>
+              </div>
+              <CriteriaRows criteria={studentCriteria} studentId={student.student_id} rubric={value} onRate={onRate} disabled={disabled} />
+              <textarea
+                className="w-full border rounded-lg p-2 mt-2 text-sm min-h-[60px]"
+                value={student.comments}
+                onChange={(e) => setComments(student.student_id, e.target.value)}
+                placeholder="Comments on this student..."
+                disabled={disabled}
+              />
+            </div>
+          ))}
+        </section>
+      )}
+    </div>
+  );
+}
+
+export default MonitoringRubricForm;
@@ -0,0 +1,269 @@
+/**
+ * Monitoring Rubric Settings
+ *
+ * The head of teaching practice maintains the criteria monitors rate on each
+ * visit. A criterion already used in reports is deactivated rather than
+ * deleted, so past ratings keep their meaning.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { monitoringApi } from '../../api';
+import { useToast } from '../../context/ToastContext';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/Card';
+import { Button } from '../ui/Button';
+import { Badge } from '../ui/Badge';
+import { Dialog } from '../ui/Dialog';
+import { Input } from '../ui/Input';
+import { Select } from '../ui/Select';
+import { useConfirmDialog } from '../ui/ConfirmDialog';
+import { IconPlus, IconEdit, IconTrash, IconListCheck, IconLoader2 } from '@tabler/icons-react';
+import { CATEGORY_LABELS } from './rubric';
+
+const EMPTY_FORM = { label: '', description: '', category: 'student', max_rating: '5' };
+
+const toName = (label) => label.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+function MonitoringRubricSettings() {
+  const { toast } = useToast();
+  const { confirm, DialogComponent } = useConfirmDialog();
+  const [criteria, setCriteria] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const fetchCriteria = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await monitoringApi.getCriteria();
+      setCriteria(res.data.data || []);
+    } catch (err) {
+      console.error('Failed to load rubric:', err);
+      toast.error('Failed to load monitoring rubric');
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  useEffect(() => {
+    fetchCriteria();
+  }, [fetchCriteria]);
+
+  const openForm = (criterion = null) => {
+    setEditing(criterion || {});
+    setForm(criterion
+      ? {
+          label: criterion.label,
+          description: criterion.description || '',
+          category: criterion.category,
+          max_rating: String(criterion.max_rating),
+        }
+      : EMPTY_FORM);
+  };
+
+  const handleSave = async () => {
+    if (!form.label.trim()) {
+      toast.error('Label is required');
+      return;
+    }
+    const payload = {
+      label: form.label.trim(),
+      description: form.description.trim() || null,
+      category: form.category,
+      max_rating: parseInt(form.max_rating) || 5,
+    };
+
+    setSaving(true);
+    try {
+      if (editing.id) {
+        await monitoringApi.updateCriterion(editing.id, payload);
+        toast.success('Criterion updated');
+      } else {
+        await monitoringApi.createCriterion({ ...payload, name: toName(form.label) });
+        toast.success('Criterion added');
+      }
+      setEditing(null);
+      fetchCriteria();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to save criterion');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (criterion) => {
+    try {
+      await monitoringApi.updateCriterion(criterion.id, { is_active: !criterion.is_active });
+      fetchCriteria();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update criterion');
+    }
+  };
+
+  const handleDelete = async (criterion) => {
+    const ok = await confirm({
+      title: 'Remove Criterion',
+      message: `Remove "${criterion.label}" from the rubric? If it has been used in reports it will be deactivated instead.`,
+      confirmText: 'Remove',
+      variant: 'danger',
+    });
+    if (!ok) return;
+    try {
+      const res = await monitoringApi.deleteCriterion(criterion.id);
+      toast.success(res.data.message || 'Criterion removed');
+      fetchCriteria();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to remove criterion');
+    }
+  };
+
+  const handleLoadDefaults = async () => {
+    setSaving(true);
+    try {
+      await monitoringApi.initializeCriteria();
+      toast.success('Default rubric loaded');
+      fetchCriteria();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load default rubric');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+          <div>
+            <CardTitle>Monitoring Rubric</CardTitle>
+            <p className="text-sm text-gray-500">
+              Supervisor and school criteria are rated once per report; student criteria once per student observed.
+            </p>
+          </div>
+          <Button onClick={() => openForm()} size="sm">
+            <IconPlus className="w-4 h-4 mr-1" />
+            Add Criterion
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <IconLoader2 className="w-6 h-6 animate-spin text-primary-600" />
+          </div>
+        ) : criteria.length === 0 ? (
+          <div className="text-center py-8">
+            <IconListCheck className="w-10 h-10 mx-auto text-gray-400 mb-2" />
+            <p className="text-gray-600 mb-3">No rubric yet. Start from the default criteria or add your own.</p>
+            <Button variant="outline" onClick={handleLoadDefaults} loading={saving}>
+              Load Default Rubric
+            </Button>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {Object.entries(CATEGORY_LABELS).map(([category, label]) => {
+              const rows = criteria.filter((c) => c.category === category);
+              if (rows.length === 0) return null;
+              return (
+                <div key={category}>
+                  <h4 className="text-sm font-semibold text-gray-700 mb-1">{label} criteria</h4>
+                  <div className="border rounded-lg divide-y">
+                    {rows.map((criterion) => (
+                      <div key={criterion.id} className="flex items-center justify-between gap-3 p-3">
+                        <div className="min-w-0">
+                          <div className="flex items-center gap-2">
+                            <span className={`font-medium ${criterion.is_active ? 'text-gray-900' : 'text-gray-400'}`}>
+                              {criterion.label}
+                            </span>
+                            <Badge variant="default">0-{criterion.max_rating}</Badge>
+                            {!criterion.is_active && <Badge variant="warning">Inactive</Badge>}
+                          </div>
+                          {criterion.description && (
+                            <p className="text-xs text-gray-500 truncate">{criterion.description}</p>
+                          )}
+                        </div>
+                        <div className="flex items-center gap-1 flex-shrink-0">
+                          <Button variant="ghost" size="sm" onClick={() => handleToggle(criterion)}>
+                            {criterion.is_active ? 'Deactivate' : 'Activate'}
+                          </Button>
+                          <Button variant="ghost" size="icon" onClick={() => openForm(criterion)} title="Edit criterion">
+                            <IconEdit className="w-4 h-4" />
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            onClick={() => handleDelete(criterion)}
+                            className="text-gray-400 hover:text-red-600"
+                            title="Remove criterion"
+                          >
+                            <IconTrash className="w-4 h-4" />
+                          </Button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </CardContent>
+
+      <Dialog
+        isOpen={!!editing}
+        onClose={() => setEditing(null)}
+        title={editing?.id ? 'Edit Criterion' : 'Add Criterion'}
+        width="md"
+        footer={
+          <>
+            <Button variant="outline" onClick={() => setEditing(null)} disabled={saving}>
+              Cancel
+            </Button>
+            <Button onClick={handleSave} loading={saving}>
+              Save
+            </Button>
+          </>
+        }
+      >
+        <div className="space-y-4">
+          <Input
+            label="Label *"
+            value={form.label}
+            onChange={(e) => setForm({ ...form, label: e.target.value })}
+            placeholder="e.g. Supervisor Punctuality"
+          />
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Rated for</label>
+            <Select value={form.category} onChange={(e) => setForm({ ...form, category: e.target.value })}>
+              {Object.entries(CATEGORY_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </Select>
+          </div>
+          <Input
+            label="Maximum rating"
+            type="number"
+            min={1}
+            max={100}
+            value={form.max_rating}
+            onChange={(e) => setForm({ ...form, max_rating: e.target.value })}
+            helperText={editing?.id ? 'Ratings already given keep their value.' : undefined}
+          />
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Guidance for monitors</label>
+            <textarea
+              className="w-full border rounded-lg p-3 min-h-[80px] text-sm"
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              placeholder="What should the monitor look for?"
+            />
+          </div>
+        </div>
+      </Dialog>
+
+      {DialogComponent}
+    </Card>
+  );
+}
+
+export default MonitoringRubricSettings;
@@ -0,0 +1,161 @@
+/**
+ * Report Photos
+ *
+ * Photos attached to a monitoring report. For a saved report they upload and
+ * delete immediately; for a report still being written (no reportId) the
+ * chosen files are held by the parent and uploaded once the report exists.
+ */
+
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { monitoringApi } from '../../api';
+import { useToast } from '../../context/ToastContext';
+import { Button } from '../ui/Button';
+import { IconCamera, IconLoader2, IconTrash } from '@tabler/icons-react';
+
+const MAX_REPORT_PHOTOS = 10;
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+
+/**
+ * @param {Object} props
+ * @param {number} [props.reportId] - Saved report; omit while creating
+ * @param {Array} [props.photos] - Saved photos [{ id, url, caption }]
+ * @param {function} [props.onPhotosChange] - Receives the saved photos after an upload or delete
+ * @param {Array} [props.pendingFiles] - Files chosen before the report is saved
+ * @param {function} [props.onPendingFilesChange]
+ * @param {boolean} [props.editable=true]
+ */
+function ReportPhotos({
+  reportId,
+  photos = [],
+  onPhotosChange,
+  pendingFiles = [],
+  onPendingFilesChange,
+  editable = true,
+}) {
+  const { toast } = useToast();
+  const inputRef = useRef(null);
+  const [busy, setBusy] = useState(false);
+
+  const previews = useMemo(
+    () => pendingFiles.map((file) => ({ file, url: URL.createObjectURL(file) })),
+    [pendingFiles]
+  );
+  useEffect(() => () => previews.forEach((p) => URL.revokeObjectURL(p.url)), [previews]);
+
+  const count = reportId ? photos.length : pendingFiles.length;
+
+  const handleFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (inputRef.current) inputRef.current.value = '';
+    if (files.length === 0) return;
+
+    const tooBig = files.find((f) => f.size > MAX_PHOTO_BYTES);
+    if (tooBig) {
+      toast.error(`${tooBig.name} is larger than 5MB`);
+      return;
+    }
+    if (count + files.length > MAX_REPORT_PHOTOS) {
+      toast.error(`A report can have at most ${MAX_REPORT_PHOTOS} photos`);
+      return;
+    }
+
+    if (!reportId) {
+      onPendingFilesChange?.([...pendingFiles, ...files]);
+      return;
+    }
+
+    setBusy(true);
+    const uploaded = [];
+    try {
+      for (const file of files) {
+        const res = await monitoringApi.uploadReportPhoto(reportId, file);
+        uploaded.push(res.data.data);
+      }
+      toast.success(`${uploaded.length} photo(s) attached`);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to upload photo');
+    } finally {
+      if (uploaded.length > 0) onPhotosChange?.([...photos, ...uploaded]);
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async (photo) => {
+    setBusy(true);
+    try {
+      await monitoringApi.deleteReportPhoto(reportId, photo.id);
+      onPhotosChange?.(photos.filter((p) => p.id !== photo.id));
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to remove photo');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const tiles = reportId
+    ? photos.map((photo) => ({ key: photo.id, url: photo.url, caption: photo.caption, onRemove: () => handleDelete(photo) }))
+    : previews.map((preview, index) => ({
+        key: `${preview.file.name}-${index}`,
+        url: preview.url,
+        caption: preview.file.name,
+        onRemove: () => onPendingFilesChange?.(pendingFiles.filter((f) => f !== preview.file)),
+      }));
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <label className="block text-sm font-medium text-gray-700">
+          Photos ({count}/{MAX_REPORT_PHOTOS})
+        </label>
+        {editable && (
+          <>
+            <input
+              ref={inputRef}
+              type="file"
+              accept="image/jpeg,image/png"
+              multiple
+              className="hidden"
+              onChange={(e) => handleFiles(e.target.files)}
+            />
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={() => inputRef.current?.click()}
+              disabled={busy || count >= MAX_REPORT_PHOTOS}
+            >
+              {busy ? <IconLoader2 className="w-4 h-4 mr-1 animate-spin" /> : <IconCamera className="w-4 h-4 mr-1" />}
+              Add Photos
+            </Button>
+          </>
+        )}
+      </div>
+      {tiles.length === 0 ? (
+        <p className="text-sm text-gray-500">No photos attached.</p>
+      ) : (
+        <div className="grid grid-cols-3 sm:grid-cols-4 gap-2">
+          {tiles.map((tile) => (
+            <div key={tile.key} className="relative group rounded-lg overflow-hidden border bg-gray-50">
+              <a href={tile.url} target="_blank" rel="noopener noreferrer">
+                <img src={tile.url} alt={tile.caption || 'Report photo'} className="w-full h-24 object-cover" />
+              </a>
+              {editable && (
+                <button
+                  type="button"
+                  onClick={tile.onRemove}
+                  disabled={busy}
+                  className="absolute top-1 right-1 p-1 rounded bg-white/90 text-gray-600 hover:text-red-600 opacity-0 group-hover:opacity-100 transition-opacity"
+                  title="Remove photo"
+                >
+                  <IconTrash className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ReportPhotos;
@@ -0,0 +1,85 @@
+/**
+ * Report Ratings View
+ *
+ * Read-only rubric section of a monitoring report: the overall rating, then
+ * supervisor and school ratings, then each student observed with their
+ * ratings and comments.
+ */
+
+import { ratingTone } from './rubric';
+
+function RatingList({ ratings }) {
+  return (
+    <div className="divide-y divide-gray-100">
+      {ratings.map((r) => (
+        <div key={`${r.criterion_id}-${r.student_id || 0}`} className="flex items-center justify-between gap-3 py-1.5 text-sm">
+          <span className="text-gray-700">{r.label}</span>
+          <span className="font-semibold text-gray-900">{Number(r.rating)}/{r.max_rating}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.report - Report from GET /monitoring/reports/:id
+ */
+function ReportRatingsView({ report }) {
+  const ratings = report?.ratings || [];
+  const students = report?.students || [];
+  if (ratings.length === 0 && students.length === 0) return null;
+
+  const supervisorRatings = ratings.filter((r) => r.category === 'supervisor');
+  const schoolRatings = ratings.filter((r) => r.category === 'school');
+  const overall = report.overall_rating !== null && report.overall_rating !== undefined
+    ? Number(report.overall_rating)
+    : null;
+
+  return (
+    <div className="border border-gray-200 rounded-lg overflow-hidden print:break-inside-avoid">
+      <div className="bg-purple-50 px-4 py-2 border-b border-gray-200 flex items-center justify-between print:bg-gray-100">
+        <h3 className="font-semibold text-purple-800 print:text-gray-800">Ratings</h3>
+        {overall !== null && (
+          <span className={`px-2 py-0.5 rounded text-sm font-semibold ${ratingTone(overall)}`}>
+            Overall {overall}%
+          </span>
+        )}
+      </div>
+      <div className="p-4 space-y-4">
+        {supervisorRatings.length > 0 && (
+          <div>
+            <h4 className="text-sm font-semibold text-gray-800">
+              Supervisor{report.supervisor_name ? `: ${report.supervisor_name}` : ''}
+            </h4>
+            <RatingList ratings={supervisorRatings} />
+          </div>
+        )}
+        {schoolRatings.length > 0 && (
+          <div>
+            <h4 className="text-sm font-semibold text-gray-800">School</h4>
+            <RatingList ratings={schoolRatings} />
+          </div>
+        )}
+        {students.length > 0 && (
+          <div className="space-y-3">
+            <h4 className="text-sm font-semibold text-gray-800">Students observed ({students.length})</h4>
+            {students.map((student) => (
+              <div key={student.student_id} className="rounded-lg bg-gray-50 p-3">
+                <div className="text-sm font-medium text-gray-900">
+                  {student.full_name} <span className="text-gray-500 font-mono text-xs">{student.registration_number}</span>
+                </div>
+                <RatingList ratings={ratings.filter((r) => Number(r.student_id) === Number(student.student_id))} />
+                {student.comments && (
+                  <p className="text-sm text-gray-600 whitespace-pre-wrap mt-1">{student.comments}</p>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ReportRatingsView;
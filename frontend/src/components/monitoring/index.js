@@ -0,0 +1,11 @@
+/**
+ * Monitoring Components Index
+ * Exports the structured monitoring report (rubric) components
+ */
+
+export { default as MonitoringRubricForm } from './MonitoringRubricForm';
+export { default as MonitoringRatingsSummary } from './MonitoringRatingsSummary';
+export { default as MonitoringRubricSettings } from './MonitoringRubricSettings';
+export { default as ReportPhotos } from './ReportPhotos';
+export { default as ReportRatingsView } from './ReportRatingsView';
+export * from './rubric';
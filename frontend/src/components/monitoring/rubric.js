@@ -0,0 +1,65 @@
+/**
+ * Monitoring rubric helpers
+ *
+ * The report form keeps ratings keyed by criterion and student so inputs can
+ * be looked up directly; these convert between that shape, the report the
+ * API returns and the payload it accepts.
+ */
+
+export const CATEGORY_LABELS = {
+  supervisor: 'Supervisor',
+  student: 'Student',
+  school: 'School',
+};
+
+export const ratingKey = (criterionId, studentId) => `${criterionId}-${studentId || 0}`;
+
+export const emptyRubric = () => ({ supervisor_id: '', students: [], ratings: {} });
+
+/**
+ * Form state from a report returned by GET /monitoring/reports/:id
+ */
+export function rubricFromReport(report) {
+  const ratings = {};
+  for (const row of report?.ratings || []) {
+    ratings[ratingKey(row.criterion_id, row.student_id)] = String(Number(row.rating));
+  }
+  return {
+    supervisor_id: report?.supervisor_id ? String(report.supervisor_id) : '',
+    students: (report?.students || []).map((s) => ({ student_id: s.student_id, comments: s.comments || '' })),
+    ratings,
+  };
+}
+
+/**
+ * Request body fields for the rubric; blank ratings and ratings for students
+ * no longer on the report are left out
+ */
+export function rubricPayload(rubric, criteria) {
+  const ratings = [];
+  for (const criterion of criteria) {
+    const studentIds = criterion.category === 'student'
+      ? rubric.students.map((s) => s.student_id)
+      : [null];
+    for (const studentId of studentIds) {
+      const value = rubric.ratings[ratingKey(criterion.id, studentId)];
+      if (value === undefined || value === '') continue;
+      ratings.push({ criterion_id: criterion.id, student_id: studentId, rating: Number(value) });
+    }
+  }
+  return {
+    supervisor_id: rubric.supervisor_id ? parseInt(rubric.supervisor_id) : null,
+    students: rubric.students.map((s) => ({ student_id: s.student_id, comments: s.comments || null })),
+    ratings,
+  };
+}
+
+/**
+ * Tailwind classes for an average shown as a percentage of the maximum
+ */
+export function ratingTone(percent) {
+  if (percent === null || percent === undefined) return 'bg-gray-100 text-gray-600';
+  if (percent >= 70) return 'bg-green-100 text-green-800';
+  if (percent >= 50) return 'bg-yellow-100 text-yellow-800';
+  return 'bg-red-100 text-red-800';
+}
@@ -0,0 +1,306 @@
+/**
+ * Reconciliation Card
+ *
+ * Reconciliation runs: payments checked against what the gateway settled,
+ * every day for yesterday and on demand for a period. Gateways that cannot
+ * list their transactions are reconciled from an uploaded settlement report.
+ * Opening a run shows its mismatch report.
+ *
+ * The same card serves one institution (PaymentsPage) and the platform
+ * (GlobalPaymentsPage): `api` supplies the calls, and `institutions`, when
+ * given, adds an institution column and picker.
+ */
+
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { IconScale, IconPlayerPlay, IconUpload, IconEye } from '@tabler/icons-react';
+import { useToast } from '../../context/ToastContext';
+import { formatDateTime } from '../../utils/helpers';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/Card';
+import { Badge } from '../ui/Badge';
+import { Button } from '../ui/Button';
+import { Dialog } from '../ui/Dialog';
+import { Input } from '../ui/Input';
+import { Select } from '../ui/Select';
+import { DataTable } from '../ui/DataTable';
+import ReconciliationReportDialog from './ReconciliationReportDialog';
+import { RECONCILIATION_SOURCES, RECONCILIATION_STATUS_BADGES, formatPeriod, yesterday } from './reconciliation';
+
+function ReconciliationCard({ api, canRun, institutions = null, refreshKey, onChanged }) {
+  const { toast } = useToast();
+  const fileInputRef = useRef(null);
+  const [runs, setRuns] = useState([]);
+  const [gateway, setGateway] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [mismatchesOnly, setMismatchesOnly] = useState(false);
+  const [report, setReport] = useState(null);
+  const [reportLoading, setReportLoading] = useState(false);
+  const [start, setStart] = useState(null); // 'gateway' | 'upload'
+  const [period, setPeriod] = useState({ from: yesterday(), to: yesterday() });
+  const [institutionId, setInstitutionId] = useState('');
+  const [file, setFile] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchRuns = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await api.getRuns({ mismatches_only: mismatchesOnly ? 'true' : undefined });
+      setRuns(response.data.data || []);
+      setGateway(response.data.gateway || null);
+    } catch (err) {
+      console.error('Failed to load reconciliations:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [api, mismatchesOnly]);
+
+  useEffect(() => {
+    fetchRuns();
+  }, [fetchRuns, refreshKey]);
+
+  const openReport = async (run) => {
+    setReportLoading(true);
+    try {
+      const response = await api.getRun(run.id);
+      setReport(response.data.data);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load reconciliation report');
+    } finally {
+      setReportLoading(false);
+    }
+  };
+
+  const openStart = (mode) => {
+    setPeriod({ from: yesterday(), to: yesterday() });
+    setFile(null);
+    setStart(mode);
+  };
+
+  const handleStart = async () => {
+    setSubmitting(true);
+    try {
+      const response = start === 'upload'
+        ? await api.uploadReport(file, period)
+        : await api.runReconciliation({ ...period, ...(institutions ? { institution_id: institutionId } : {}) });
+      toast.success(response.data.message);
+      setStart(null);
+      fetchRuns();
+      onChanged?.();
+      openReport(response.data.data);
+    } catch (err) {
+      toast.error(err.response?.data?.errors?.[0]?.message || err.response?.data?.message || 'Reconciliation failed');
+      // A failed run is recorded too
+      fetchRuns();
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const columns = useMemo(
+    () => [
+      ...(institutions
+        ? [{ accessor: 'institution_name', header: 'Institution' }]
+        : []),
+      {
+        accessor: 'period_from',
+        header: 'Period',
+        render: (_, row) => (
+          <div>
+            <p className="font-medium">{formatPeriod(row)}</p>
+            <p className="text-xs text-gray-500">
+              {RECONCILIATION_SOURCES[row.source] || row.source}
+              {row.triggered_by_name ? ` · ${row.triggered_by_name}` : ''}
+            </p>
+          </div>
+        ),
+        exportFormatter: (_, row) => formatPeriod(row),
+      },
+      {
+        accessor: 'gateway_count',
+        header: 'Settled / Recorded',
+        render: (value, row) => `${value} / ${row.local_count}`,
+      },
+      {
+        accessor: 'mismatch_count',
+        header: 'Findings',
+        render: (value, row) => (
+          <div className="flex flex-wrap gap-1">
+            {value > 0 && <Badge variant="error">{value} mismatch{value === 1 ? '' : 'es'}</Badge>}
+            {row.healed_count > 0 && <Badge variant="success">{row.healed_count} recorded</Badge>}
+            {value === 0 && row.healed_count === 0 && row.status === 'completed' && (
+              <span className="text-sm text-gray-500">All matched</span>
+            )}
+          </div>
+        ),
+      },
+      {
+        accessor: 'status',
+        header: 'Status',
+        render: (value, row) => {
+          const badge = RECONCILIATION_STATUS_BADGES[value] || { variant: 'default', label: value };
+          return (
+            <div>
+              <Badge variant={badge.variant}>{badge.label}</Badge>
+              {value === 'failed' && row.error && (
+                <p className="text-xs text-red-600 mt-1 max-w-xs truncate" title={row.error}>
+                  {row.error}
+                </p>
+              )}
+              <p className="text-xs text-gray-500 mt-1">{formatDateTime(row.created_at)}</p>
+            </div>
+          );
+        },
+      },
+      {
+        accessor: 'actions',
+        header: 'Actions',
+        sortable: false,
+        exportable: false,
+        render: (_, row) => (
+          <Button variant="ghost" size="icon" onClick={() => openReport(row)} title="View report">
+            <IconEye className="w-4 h-4" />
+          </Button>
+        ),
+      },
+    ],
+    [institutions] // eslint-disable-line react-hooks/exhaustive-deps
+  );
+
+  // An institution whose gateway cannot list its transactions reconciles by upload only
+  const canList = institutions || gateway?.can_list !== false;
+  const invalid =
+    !period.from || !period.to || period.from > period.to ||
+    (start === 'upload' && !file) ||
+    (start === 'gateway' && institutions && !institutionId);
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row flex-wrap items-center justify-between gap-3">
+        <CardTitle className="flex items-center gap-2">
+          <IconScale className="w-5 h-5 text-gray-500" />
+          Reconciliation
+        </CardTitle>
+        <div className="flex flex-wrap items-center gap-2">
+          <Select
+            value={mismatchesOnly ? 'mismatches' : ''}
+            onChange={(e) => setMismatchesOnly(e.target.value === 'mismatches')}
+            className="w-44 text-sm"
+          >
+            <option value="">All Runs</option>
+            <option value="mismatches">With findings</option>
+          </Select>
+          {canRun && canList && (
+            <Button variant="outline" size="sm" onClick={() => openStart('gateway')}>
+              <IconPlayerPlay className="w-4 h-4 mr-1" />
+              Run Now
+            </Button>
+          )}
+          {canRun && api.uploadReport && (
+            <Button variant="outline" size="sm" onClick={() => openStart('upload')}>
+              <IconUpload className="w-4 h-4 mr-1" />
+              Upload Report
+            </Button>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="p-0">
+        <DataTable
+          data={runs}
+          columns={columns}
+          keyField="id"
+          loading={loading}
+          exportFilename="reconciliations"
+          emptyIcon={IconScale}
+          emptyTitle="No reconciliations yet"
+          emptyDescription={
+            canList
+              ? 'Yesterday is reconciled against the gateway every day'
+              : 'Upload the gateway settlement report to reconcile payments'
+          }
+        />
+      </CardContent>
+
+      <Dialog
+        isOpen={!!start}
+        onClose={() => !submitting && setStart(null)}
+        title={start === 'upload' ? 'Reconcile From Settlement Report' : 'Reconcile With Gateway'}
+        width="md"
+        footer={
+          <>
+            <Button variant="outline" onClick={() => setStart(null)} disabled={submitting}>
+              Cancel
+            </Button>
+            <Button onClick={handleStart} loading={submitting} disabled={invalid}>
+              Reconcile
+            </Button>
+          </>
+        }
+      >
+        <div className="space-y-4">
+          {institutions && start === 'gateway' && (
+            <div className="space-y-1">
+              <label className="block text-sm font-medium text-gray-700">Institution</label>
+              <Select value={institutionId} onChange={(e) => setInstitutionId(e.target.value)}>
+                <option value="">Select institution</option>
+                {institutions.map((inst) => (
+                  <option key={inst.id} value={inst.id}>
+                    {inst.name}
+                  </option>
+                ))}
+              </Select>
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 gap-3">
+            <div className="space-y-1">
+              <label className="block text-sm font-medium text-gray-700">From</label>
+              <Input type="date" value={period.from} onChange={(e) => setPeriod((p) => ({ ...p, from: e.target.value }))} />
+            </div>
+            <div className="space-y-1">
+              <label className="block text-sm font-medium text-gray-700">To</label>
+              <Input type="date" value={period.to} onChange={(e) => setPeriod((p) => ({ ...p, to: e.target.value }))} />
+            </div>
+          </div>
+
+          {start === 'upload' && (
+            <div className="space-y-2">
+              <Button variant="outline" className="w-full" onClick={() => fileInputRef.current?.click()}>
+                <IconUpload className="w-4 h-4 mr-2" />
+                {file ? file.name : 'Choose CSV or Excel file'}
+              </Button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".csv,.xlsx,.xls"
+                onChange={(e) => setFile(e.target.files?.[0] || null)}
+                className="hidden"
+              />
+              <p className="text-xs text-gray-500">
+                Export the settled transactions for the period from the gateway dashboard. Needs a reference and an
+                amount column; rows whose status is not successful are skipped. Missed payments are only recorded
+                once the gateway confirms them.
+              </p>
+            </div>
+          )}
+
+          {start === 'gateway' && (
+            <p className="text-xs text-gray-500">
+              Compares every successful payment in the period with the gateway&apos;s settled transactions, and records
+              payments the gateway settled but that were never verified. Up to 31 days at a time.
+            </p>
+          )}
+        </div>
+      </Dialog>
+
+      <ReconciliationReportDialog
+        run={report}
+        loading={reportLoading}
+        onClose={() => {
+          setReport(null);
+          setReportLoading(false);
+        }}
+      />
+    </Card>
+  );
+}
+
+export default ReconciliationCard;
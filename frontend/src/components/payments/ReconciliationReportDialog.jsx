@@ -0,0 +1,135 @@
+/**
+ * Reconciliation Report Dialog
+ *
+ * What one reconciliation run found: payments recorded here that the gateway
+ * never settled, settled transactions that were never recorded, amounts that
+ * differ, and missed verifications the run recorded itself.
+ */
+
+import { useMemo } from 'react';
+import { IconChecks } from '@tabler/icons-react';
+import { formatCurrency, formatDateTime } from '../../utils/helpers';
+import { Dialog } from '../ui/Dialog';
+import { Badge } from '../ui/Badge';
+import { Button } from '../ui/Button';
+import { DataTable } from '../ui/DataTable';
+import { RECONCILIATION_ITEM_TYPES, RECONCILIATION_SOURCES, formatPeriod } from './reconciliation';
+
+function ReconciliationReportDialog({ run, loading, onClose }) {
+  const columns = useMemo(
+    () => [
+      {
+        accessor: 'type',
+        header: 'Finding',
+        render: (value, row) => {
+          const badge = RECONCILIATION_ITEM_TYPES[value] || { variant: 'default', label: value };
+          return (
+            <div>
+              <Badge variant={badge.variant}>{badge.label}</Badge>
+              {row.details && <p className="text-xs text-gray-500 mt-1 max-w-xs">{row.details}</p>}
+            </div>
+          );
+        },
+        exportFormatter: (value) => RECONCILIATION_ITEM_TYPES[value]?.label || value,
+      },
+      {
+        accessor: 'reference',
+        header: 'Reference',
+        render: (value, row) => (
+          <div>
+            <p className="font-mono text-xs">{value}</p>
+            {row.payment_reference && row.payment_reference !== value && (
+              <p className="font-mono text-xs text-gray-500">{row.payment_reference}</p>
+            )}
+          </div>
+        ),
+      },
+      {
+        accessor: 'student_name',
+        header: 'Student',
+        render: (value, row) =>
+          value ? (
+            <div>
+              <p className="font-medium">{value}</p>
+              <p className="text-xs text-gray-500">{row.registration_number}</p>
+            </div>
+          ) : (
+            <span className="text-gray-400">Unknown</span>
+          ),
+      },
+      {
+        accessor: 'gateway_amount',
+        header: 'Gateway',
+        render: (value) => (value !== null ? formatCurrency(value) : '—'),
+      },
+      {
+        accessor: 'local_amount',
+        header: 'Recorded',
+        render: (value) => (value !== null ? formatCurrency(value) : '—'),
+      },
+    ],
+    []
+  );
+
+  return (
+    <Dialog
+      isOpen={!!run || loading}
+      onClose={onClose}
+      title="Reconciliation Report"
+      width="4xl"
+      footer={
+        <Button variant="outline" onClick={onClose}>
+          Close
+        </Button>
+      }
+    >
+      {loading && !run && <p className="py-8 text-center text-sm text-gray-500">Loading report...</p>}
+      {run && (
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-sm">
+            <div className="p-3 bg-gray-50 rounded-lg">
+              <p className="text-gray-500">Period</p>
+              <p className="font-medium">{formatPeriod(run)}</p>
+            </div>
+            <div className="p-3 bg-gray-50 rounded-lg">
+              <p className="text-gray-500">Settled / recorded</p>
+              <p className="font-medium">
+                {run.gateway_count} / {run.local_count}
+              </p>
+            </div>
+            <div className="p-3 bg-gray-50 rounded-lg">
+              <p className="text-gray-500">Matched</p>
+              <p className="font-medium">{run.matched_count}</p>
+            </div>
+            <div className="p-3 bg-gray-50 rounded-lg">
+              <p className="text-gray-500">Source</p>
+              <p className="font-medium">{RECONCILIATION_SOURCES[run.source] || run.source}</p>
+              {run.file_name && <p className="text-xs text-gray-500 truncate" title={run.file_name}>{run.file_name}</p>}
+            </div>
+          </div>
+
+          {run.error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{run.error}</div>
+          )}
+
+          <p className="text-xs text-gray-500">
+            {run.institution_name} · {run.gateway} · {formatDateTime(run.created_at)}
+            {run.triggered_by_name ? ` · ${run.triggered_by_name}` : ''}
+          </p>
+
+          <DataTable
+            data={run.items || []}
+            columns={columns}
+            keyField="id"
+            exportFilename={`reconciliation_${run.id}`}
+            emptyIcon={IconChecks}
+            emptyTitle="No mismatches"
+            emptyDescription="Every payment in this period matches the gateway"
+          />
+        </div>
+      )}
+    </Dialog>
+  );
+}
+
+export default ReconciliationReportDialog;
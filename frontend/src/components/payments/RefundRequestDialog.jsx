@@ -0,0 +1,144 @@
+/**
+ * Refund Request Dialog
+ *
+ * Staff ask for a refund against a successful payment - in full, or part of
+ * what is left after earlier refunds. The head of teaching practice approves
+ * it before any money moves.
+ */
+
+import { useState, useEffect } from 'react';
+import { IconReceiptRefund } from '@tabler/icons-react';
+import { paymentsApi } from '../../api';
+import { useToast } from '../../context/ToastContext';
+import { formatCurrency } from '../../utils/helpers';
+import { Dialog } from '../ui/Dialog';
+import { Button } from '../ui/Button';
+import { Input } from '../ui/Input';
+import { Select } from '../ui/Select';
+import { REFUND_REASONS } from './refunds';
+
+function RefundRequestDialog({ payment, onClose, onRequested }) {
+  const { toast } = useToast();
+  const [amount, setAmount] = useState('');
+  const [reason, setReason] = useState('duplicate_payment');
+  const [notes, setNotes] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const refundable = payment ? parseFloat(payment.amount) - parseFloat(payment.refunded_amount || 0) : 0;
+
+  useEffect(() => {
+    if (payment) {
+      setAmount(refundable.toFixed(2));
+      setReason('duplicate_payment');
+      setNotes('');
+    }
+  }, [payment]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    try {
+      const response = await paymentsApi.requestRefund(payment.id, {
+        amount: parseFloat(amount),
+        reason,
+        notes: notes.trim() || null,
+      });
+      toast.success(response.data.message);
+      onRequested?.();
+      onClose();
+    } catch (err) {
+      toast.error(err.response?.data?.errors?.[0]?.message || err.response?.data?.message || 'Failed to request refund');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const parsedAmount = parseFloat(amount);
+  const invalid = !(parsedAmount > 0) || parsedAmount > refundable || (reason === 'other' && !notes.trim());
+
+  return (
+    <Dialog
+      isOpen={!!payment}
+      onClose={() => !submitting && onClose()}
+      title="Request Refund"
+      width="md"
+      footer={
+        <>
+          <Button variant="outline" onClick={onClose} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button onClick={handleSubmit} loading={submitting} disabled={invalid}>
+            <IconReceiptRefund className="w-4 h-4 mr-2" />
+            Request Refund
+          </Button>
+        </>
+      }
+    >
+      {payment && (
+        <div className="space-y-4">
+          <div className="p-4 bg-gray-50 rounded-lg space-y-2">
+            <div className="flex justify-between text-sm">
+              <span className="text-gray-500">Student:</span>
+              <span className="font-medium">{payment.student_name}</span>
+            </div>
+            <div className="flex justify-between text-sm">
+              <span className="text-gray-500">Reference:</span>
+              <span className="font-mono text-xs">{payment.reference}</span>
+            </div>
+            <div className="flex justify-between text-sm">
+              <span className="text-gray-500">Paid:</span>
+              <span className="font-medium">{formatCurrency(payment.amount)}</span>
+            </div>
+            {parseFloat(payment.refunded_amount) > 0 && (
+              <div className="flex justify-between text-sm">
+                <span className="text-gray-500">Already refunded:</span>
+                <span>{formatCurrency(payment.refunded_amount)}</span>
+              </div>
+            )}
+          </div>
+
+          <div className="space-y-1">
+            <label className="block text-sm font-medium text-gray-700">Amount to refund</label>
+            <Input
+              type="number"
+              min="0"
+              step="0.01"
+              max={refundable}
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+            />
+            <p className="text-xs text-gray-500">
+              Up to {formatCurrency(refundable)}. Refunds already awaiting approval reduce this further.
+            </p>
+          </div>
+
+          <div className="space-y-1">
+            <label className="block text-sm font-medium text-gray-700">Reason</label>
+            <Select value={reason} onChange={(e) => setReason(e.target.value)}>
+              {Object.entries(REFUND_REASONS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </Select>
+          </div>
+
+          <div className="space-y-1">
+            <label className="block text-sm font-medium text-gray-700">
+              Notes{reason === 'other' ? '' : ' (optional)'}
+            </label>
+            <textarea
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              placeholder="e.g. Paid twice on the same day - keep the first payment"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+              rows={3}
+              maxLength={1000}
+            />
+          </div>
+        </div>
+      )}
+    </Dialog>
+  );
+}
+
+export default RefundRequestDialog;
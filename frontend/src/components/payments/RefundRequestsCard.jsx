@@ -0,0 +1,316 @@
+/**
+ * Refund Requests Card
+ *
+ * Refund requests for a session. The head of teaching practice approves a
+ * request - refunding through the payment's gateway, or recording that the
+ * bursary paid the student back by hand - or rejects it with a reason. A
+ * failed gateway refund stays here to be approved again or rejected. A
+ * gateway refund the gateway never confirmed stays processing until it is
+ * checked with the gateway.
+ */
+
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { IconCheck, IconX, IconReceiptRefund, IconRefresh } from '@tabler/icons-react';
+import { paymentsApi } from '../../api';
+import { useToast } from '../../context/ToastContext';
+import { formatCurrency, formatDateTime } from '../../utils/helpers';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/Card';
+import { Badge } from '../ui/Badge';
+import { Button } from '../ui/Button';
+import { Dialog } from '../ui/Dialog';
+import { Select } from '../ui/Select';
+import { DataTable } from '../ui/DataTable';
+import { REFUND_REASONS, REFUND_STATUS_BADGES } from './refunds';
+
+const OPEN_STATUSES = ['pending', 'failed'];
+
+function RefundRequestsCard({ sessionId, canReview, refreshKey, onChanged }) {
+  const { toast } = useToast();
+  const [refunds, setRefunds] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [review, setReview] = useState(null); // { refund, action: 'approve' | 'reject' }
+  const [method, setMethod] = useState('gateway');
+  const [notes, setNotes] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [checkingId, setCheckingId] = useState(null);
+
+  const fetchRefunds = useCallback(async () => {
+    if (!sessionId) return;
+    setLoading(true);
+    try {
+      const response = await paymentsApi.getRefunds({ session_id: sessionId, status: statusFilter || undefined });
+      setRefunds(response.data.data || []);
+    } catch (err) {
+      console.error('Failed to load refunds:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [sessionId, statusFilter]);
+
+  useEffect(() => {
+    fetchRefunds();
+  }, [fetchRefunds, refreshKey]);
+
+  const openReview = (refund, action) => {
+    setMethod(refund.gateway_refund_available ? 'gateway' : 'manual');
+    setNotes('');
+    setReview({ refund, action });
+  };
+
+  const handleReview = async () => {
+    setSubmitting(true);
+    try {
+      const response = review.action === 'approve'
+        ? await paymentsApi.approveRefund(review.refund.id, { method, notes: notes.trim() || null })
+        : await paymentsApi.rejectRefund(review.refund.id, { rejection_reason: notes.trim() });
+      toast.success(response.data.message);
+      setReview(null);
+      fetchRefunds();
+      onChanged?.();
+    } catch (err) {
+      toast.error(err.response?.data?.errors?.[0]?.message || err.response?.data?.message || 'Failed to update refund');
+      // A failed gateway refund is recorded - show its new status
+      fetchRefunds();
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCheck = useCallback(async (refund) => {
+    setCheckingId(refund.id);
+    try {
+      const response = await paymentsApi.checkRefund(refund.id);
+      toast.success(response.data.message);
+      fetchRefunds();
+      onChanged?.();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to check refund');
+    } finally {
+      setCheckingId(null);
+    }
+  }, [fetchRefunds, onChanged, toast]);
+
+  const columns = useMemo(
+    () => [
+      {
+        accessor: 'student_name',
+        header: 'Student',
+        render: (value, row) => (
+          <div>
+            <p className="font-medium">{value || 'Unknown'}</p>
+            <p className="text-xs text-gray-500 font-mono">{row.payment_reference}</p>
+          </div>
+        ),
+      },
+      {
+        accessor: 'amount',
+        header: 'Refund',
+        render: (value, row) => (
+          <div>
+            <p className="font-medium">{formatCurrency(value)}</p>
+            <p className="text-xs text-gray-500">of {formatCurrency(row.payment_amount)}</p>
+          </div>
+        ),
+      },
+      {
+        accessor: 'reason',
+        header: 'Reason',
+        render: (value, row) => (
+          <div className="max-w-xs">
+            <p>{REFUND_REASONS[value] || value}</p>
+            {row.notes && <p className="text-xs text-gray-500 truncate" title={row.notes}>{row.notes}</p>}
+          </div>
+        ),
+      },
+      {
+        accessor: 'requested_by_name',
+        header: 'Requested',
+        render: (value, row) => (
+          <div className="text-sm">
+            <p>{value || '—'}</p>
+            <p className="text-xs text-gray-500">{formatDateTime(row.created_at)}</p>
+          </div>
+        ),
+        exportFormatter: (value, row) => `${value || ''} ${formatDateTime(row.created_at)}`.trim(),
+      },
+      {
+        accessor: 'status',
+        header: 'Status',
+        render: (value, row) => {
+          const badge = REFUND_STATUS_BADGES[value] || { variant: 'default', label: value };
+          return (
+            <div>
+              <Badge variant={badge.variant}>{badge.label}</Badge>
+              {row.method === 'manual' && value === 'completed' && (
+                <p className="text-xs text-gray-500 mt-1">Paid back manually</p>
+              )}
+              {value === 'processing' && row.gateway_response && (
+                <p className="text-xs text-amber-600 mt-1 max-w-xs truncate" title={row.gateway_response}>
+                  {row.gateway_response}
+                </p>
+              )}
+              {value === 'failed' && row.gateway_response && (
+                <p className="text-xs text-red-600 mt-1 max-w-xs truncate" title={row.gateway_response}>
+                  {row.gateway_response}
+                </p>
+              )}
+              {value === 'rejected' && row.review_notes && (
+                <p className="text-xs text-gray-500 mt-1 max-w-xs truncate" title={row.review_notes}>
+                  {row.review_notes}
+                </p>
+              )}
+            </div>
+          );
+        },
+      },
+      {
+        accessor: 'actions',
+        header: 'Actions',
+        sortable: false,
+        exportable: false,
+        render: (_, row) => {
+          if (canReview && row.status === 'processing' && row.method === 'gateway') {
+            return (
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => handleCheck(row)}
+                disabled={checkingId === row.id}
+                className="text-amber-600 hover:bg-amber-50"
+                title="Check with gateway"
+              >
+                <IconRefresh className="w-4 h-4" />
+              </Button>
+            );
+          }
+          return canReview && OPEN_STATUSES.includes(row.status) ? (
+            <div className="flex items-center gap-1">
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => openReview(row, 'approve')}
+                className="text-green-600 hover:bg-green-50"
+                title={row.status === 'failed' ? 'Retry refund' : 'Approve refund'}
+              >
+                <IconCheck className="w-4 h-4" />
+              </Button>
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => openReview(row, 'reject')}
+                className="text-red-600 hover:bg-red-50"
+                title="Reject refund"
+              >
+                <IconX className="w-4 h-4" />
+              </Button>
+            </div>
+          ) : null;
+        },
+      },
+    ],
+    [canReview, checkingId, handleCheck]
+  );
+
+  const approving = review?.action === 'approve';
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between gap-3">
+        <CardTitle className="flex items-center gap-2">
+          <IconReceiptRefund className="w-5 h-5 text-gray-500" />
+          Refunds
+        </CardTitle>
+        <Select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="w-48 text-sm">
+          <option value="">All Refunds</option>
+          {Object.entries(REFUND_STATUS_BADGES).map(([value, { label }]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </Select>
+      </CardHeader>
+      <CardContent className="p-0">
+        <DataTable
+          data={refunds}
+          columns={columns}
+          keyField="id"
+          loading={loading}
+          exportFilename="refunds"
+          emptyIcon={IconReceiptRefund}
+          emptyTitle="No refunds"
+          emptyDescription="Request a refund from a successful payment's actions"
+        />
+      </CardContent>
+
+      <Dialog
+        isOpen={!!review}
+        onClose={() => !submitting && setReview(null)}
+        title={approving ? 'Approve Refund' : 'Reject Refund'}
+        width="md"
+        footer={
+          <>
+            <Button variant="outline" onClick={() => setReview(null)} disabled={submitting}>
+              Cancel
+            </Button>
+            <Button
+              variant={approving ? 'primary' : 'destructive'}
+              onClick={handleReview}
+              loading={submitting}
+              disabled={!approving && notes.trim().length < 5}
+            >
+              {approving ? `Refund ${formatCurrency(review?.refund.amount)}` : 'Reject Refund'}
+            </Button>
+          </>
+        }
+      >
+        {review && (
+          <div className="space-y-4">
+            <div className="p-4 bg-gray-50 rounded-lg space-y-2 text-sm">
+              <div className="flex justify-between">
+                <span className="text-gray-500">Student:</span>
+                <span className="font-medium">{review.refund.student_name}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-500">Payment:</span>
+                <span className="font-mono text-xs">{review.refund.payment_reference}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-500">Reason:</span>
+                <span>{REFUND_REASONS[review.refund.reason] || review.refund.reason}</span>
+              </div>
+            </div>
+
+            {approving && (
+              <div className="space-y-1">
+                <label className="block text-sm font-medium text-gray-700">Refund method</label>
+                <Select value={method} onChange={(e) => setMethod(e.target.value)}>
+                  {review.refund.gateway_refund_available && (
+                    <option value="gateway">Refund through the payment gateway</option>
+                  )}
+                  <option value="manual">Already paid back outside the system</option>
+                </Select>
+                {!review.refund.gateway_refund_available && (
+                  <p className="text-xs text-gray-500">
+                    This payment&apos;s gateway cannot issue refunds. Pay the student back directly, then record it here.
+                  </p>
+                )}
+              </div>
+            )}
+
+            <textarea
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              placeholder={approving ? 'Notes (optional)' : 'Reason for rejecting this refund...'}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+              rows={3}
+              maxLength={approving ? 1000 : 500}
+            />
+          </div>
+        )}
+      </Dialog>
+    </Card>
+  );
+}
+
+export default RefundRequestsCard;
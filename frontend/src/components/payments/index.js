@@ -0,0 +1,11 @@
+/**
+ * Payment Components Index
+ * Exports the refund request and review components, and payment reconciliation
+ */
+
+export { default as RefundRequestDialog } from './RefundRequestDialog';
+export { default as RefundRequestsCard } from './RefundRequestsCard';
+export * from './refunds';
+export { default as ReconciliationCard } from './ReconciliationCard';
+export { default as ReconciliationReportDialog } from './ReconciliationReportDialog';
+export * from './reconciliation';
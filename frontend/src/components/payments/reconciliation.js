@@ -0,0 +1,45 @@
+/**
+ * Reconciliation labels shared by the reconciliation card and report
+ */
+
+import { formatDate } from '../../utils/helpers';
+
+export const RECONCILIATION_ITEM_TYPES = {
+  missing_at_gateway: { variant: 'error', label: 'Not settled at gateway' },
+  amount_mismatch: { variant: 'warning', label: 'Amount mismatch' },
+  missing_locally: { variant: 'warning', label: 'Not recorded here' },
+  healed: { variant: 'success', label: 'Recorded by reconciliation' },
+};
+
+export const RECONCILIATION_SOURCES = {
+  scheduled: 'Daily',
+  manual: 'Run by staff',
+  upload: 'Uploaded report',
+};
+
+export const RECONCILIATION_STATUS_BADGES = {
+  running: { variant: 'info', label: 'Running' },
+  completed: { variant: 'success', label: 'Completed' },
+  failed: { variant: 'error', label: 'Failed' },
+};
+
+/**
+ * Yesterday as YYYY-MM-DD, the default period of a run
+ * @returns {string}
+ */
+export function yesterday() {
+  const date = new Date();
+  date.setDate(date.getDate() - 1);
+  return date.toLocaleDateString('en-CA');
+}
+
+/**
+ * The period a run covers, for display
+ * @param {Object} run - { period_from, period_to }
+ * @returns {string}
+ */
+export function formatPeriod(run) {
+  const from = formatDate(run.period_from);
+  const to = formatDate(run.period_to);
+  return from === to ? from : `${from} – ${to}`;
+}
@@ -0,0 +1,18 @@
+/**
+ * Refund labels shared by the refund dialogs and list
+ */
+
+export const REFUND_REASONS = {
+  duplicate_payment: 'Duplicate payment',
+  withdrawal: 'Student withdrew',
+  overpayment: 'Overpayment',
+  other: 'Other',
+};
+
+export const REFUND_STATUS_BADGES = {
+  pending: { variant: 'warning', label: 'Awaiting approval' },
+  processing: { variant: 'info', label: 'Processing' },
+  completed: { variant: 'success', label: 'Refunded' },
+  failed: { variant: 'error', label: 'Failed' },
+  rejected: { variant: 'default', label: 'Rejected' },
+};
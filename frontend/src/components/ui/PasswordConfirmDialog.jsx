@@ -1,6 +1,7 @@
 /**
  * Reusable password-confirmation dialog.
- * `onConfirm` is an async function that receives the entered password.
+ * `onConfirm` is an async function that receives the entered password, and
+ * the authenticator/recovery code as a second argument when `requireCode` is set.
  * The dialog stays open (showing an inline error) if `onConfirm` throws,
  * and closes automatically on success.
  *
@@ -39,8 +40,10 @@ export function PasswordConfirmDialog({
   description = 'Enter your current password to continue.',
   confirmText = 'Confirm',
   cancelText = 'Cancel',
+  requireCode = false,
 }) {
   const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
@@ -49,6 +52,7 @@ export function PasswordConfirmDialog({
   useEffect(() => {
     if (!isOpen) {
       setPassword('');
+      setCode('');
       setShowPassword(false);
       setLoading(false);
       setError('');
@@ -68,14 +72,19 @@ export function PasswordConfirmDialog({
       setError('Please enter your current password');
       return;
     }
+    if (requireCode && !code.trim()) {
+      setError('Please enter the code from your authenticator app');
+      return;
+    }
 
     setLoading(true);
     setError('');
     try {
-      await onConfirm(password);
+      await onConfirm(password, requireCode ? code.trim() : undefined);
     } catch (err) {
       setError(err?.response?.data?.message || 'Incorrect password');
       setPassword('');
+      setCode('');
       setTimeout(() => inputRef.current?.focus(), 50);
     } finally {
       setLoading(false);
@@ -156,6 +165,27 @@ export function PasswordConfirmDialog({
                   {showPassword ? <IconEyeOff className="w-4 h-4" /> : <IconEye className="w-4 h-4" />}
                 </button>
               </div>
+              {requireCode && (
+                <>
+                  <label className="block text-sm font-medium text-gray-700 mb-1 mt-4">
+                    Authentication Code
+                  </label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={code}
+                    onChange={(e) => { setCode(e.target.value); setError(''); }}
+                    placeholder="6-digit code or a recovery code"
+                    className={`w-full px-3 py-2 border rounded-lg text-sm tracking-widest focus:outline-none focus:ring-2 transition-colors ${
+                      error
+                        ? 'border-red-500 focus:ring-red-500'
+                        : 'border-gray-300 focus:ring-amber-500 focus:border-amber-500'
+                    }`}
+                    disabled={loading}
+                    autoComplete="one-time-code"
+                  />
+                </>
+              )}
               {error && (
                 <p className="mt-1.5 text-sm text-red-600">{error}</p>
               )}
@@ -164,7 +194,7 @@ export function PasswordConfirmDialog({
                 <Button variant="outline" type="button" onClick={handleClose} disabled={loading}>
                   {cancelText}
                 </Button>
-                <Button type="submit" loading={loading} disabled={!password || loading}>
+                <Button type="submit" loading={loading} disabled={!password || (requireCode && !code) || loading}>
                   {confirmText}
                 </Button>
               </div>
@@ -185,8 +215,8 @@ export function usePasswordConfirmDialog() {
     setState({ isOpen: true, config });
   };
 
-  const handleConfirm = async (password) => {
-    await actionRef.current(password);
+  const handleConfirm = async (password, code) => {
+    await actionRef.current(password, code);
     setState({ isOpen: false, config: {} });
   };
 
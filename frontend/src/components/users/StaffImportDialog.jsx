@@ -0,0 +1,320 @@
+/**
+ * Staff Import Dialog
+ *
+ * Bulk staff onboarding from the Excel template: the file is checked on the
+ * server first (rank codes, faculties, roles, people who already have an
+ * account), then imported. Login details are emailed when asked for, and
+ * always shown once at the end so they can be shared by hand.
+ */
+
+import { useState, useRef } from 'react';
+import {
+  IconFileSpreadsheet,
+  IconDownload,
+  IconLoader2,
+  IconCircleCheck,
+  IconAlertTriangle,
+  IconCopy,
+  IconCheck,
+} from '@tabler/icons-react';
+import { usersApi } from '../../api/users';
+import { useToast } from '../../context/ToastContext';
+import { getRoleName } from '../../utils/helpers';
+import { Dialog } from '../ui/Dialog';
+import { Button } from '../ui/Button';
+import { Badge } from '../ui/Badge';
+
+function StaffImportDialog({ isOpen, onClose, onImported }) {
+  const { toast } = useToast();
+  const fileInputRef = useRef(null);
+  const [step, setStep] = useState('select'); // 'select' | 'preview' | 'result'
+  const [file, setFile] = useState(null);
+  const [validating, setValidating] = useState(false);
+  const [validation, setValidation] = useState(null);
+  const [sendEmails, setSendEmails] = useState(true);
+  const [importing, setImporting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const reset = () => {
+    setStep('select');
+    setFile(null);
+    setValidation(null);
+    setResult(null);
+    setCopied(false);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  };
+
+  const handleClose = () => {
+    if (importing) return;
+    reset();
+    onClose();
+  };
+
+  const handleFileSelect = async (e) => {
+    const selected = e.target.files[0];
+    if (!selected) return;
+
+    if (!selected.name.match(/\.(xlsx|xls)$/i)) {
+      toast.error('Please upload an Excel file (.xlsx or .xls)');
+      return;
+    }
+
+    setFile(selected);
+    setValidating(true);
+    try {
+      const response = await usersApi.upload(selected, true);
+      setValidation({ ...response.data.data, canProceed: response.data.can_proceed });
+      setStep('preview');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to validate file');
+      reset();
+    } finally {
+      setValidating(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    try {
+      const response = await usersApi.upload(file, false, sendEmails);
+      setResult(response.data.data);
+      setStep('result');
+      toast.success(response.data.message);
+      onImported?.();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Import failed');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleDownloadTemplate = async () => {
+    try {
+      const response = await usersApi.downloadTemplate();
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', 'staff_upload_template.xlsx');
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+    } catch (err) {
+      toast.error('Failed to download template');
+    }
+  };
+
+  const copyCredentials = async () => {
+    const lines = result.users.map((u) => `${u.name}\t${u.email}\t${u.password}`);
+    try {
+      await navigator.clipboard.writeText(['Name\tEmail\tPassword', ...lines].join('\n'));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      toast.error('Failed to copy login details');
+    }
+  };
+
+  const title =
+    step === 'select' ? 'Import Staff - Select File' :
+    step === 'preview' ? 'Import Staff - Review & Confirm' :
+    'Import Staff - Results';
+
+  return (
+    <Dialog isOpen={isOpen} onClose={handleClose} title={title} width="3xl">
+      {step === 'select' && (
+        <div className="space-y-3 sm:space-y-4">
+          <div
+            onClick={() => !validating && fileInputRef.current?.click()}
+            className={`border-2 border-dashed rounded-lg p-4 sm:p-8 text-center cursor-pointer transition-colors ${
+              validating ? 'border-primary-300 bg-primary-50' : 'border-gray-300 hover:border-primary-500'
+            }`}
+          >
+            {validating ? (
+              <>
+                <IconLoader2 className="w-10 h-10 sm:w-12 sm:h-12 mx-auto mb-3 text-primary-500 animate-spin" />
+                <p className="font-medium text-sm sm:text-base text-primary-700">Validating file...</p>
+                <p className="text-xs sm:text-sm text-primary-600 mt-1">Checking ranks, faculties and existing accounts</p>
+              </>
+            ) : (
+              <>
+                <IconFileSpreadsheet className="w-10 h-10 sm:w-12 sm:h-12 mx-auto mb-3 text-gray-400" />
+                <p className="font-medium text-sm sm:text-base text-gray-900">Click to select Excel file</p>
+                <p className="text-xs sm:text-sm text-gray-500 mt-1">.xlsx or .xls files only</p>
+              </>
+            )}
+          </div>
+          <input ref={fileInputRef} type="file" accept=".xlsx,.xls" onChange={handleFileSelect} className="hidden" />
+
+          <div className="bg-blue-50 rounded-lg p-3 sm:p-4">
+            <h4 className="font-medium text-sm sm:text-base text-blue-900 mb-2">Columns:</h4>
+            <ul className="text-xs sm:text-sm text-blue-800 space-y-1">
+              <li>• <strong>name</strong> and <strong>email</strong> (required)</li>
+              <li>• <strong>role</strong> - supervisor (default), field_monitor or head_of_teaching_practice</li>
+              <li>• <strong>rank_code</strong> and <strong>faculty</strong> - as listed in the template&apos;s Ranks and Faculties sheets</li>
+              <li>• <strong>phone</strong>, <strong>file_number</strong> and <strong>is_dean</strong> (yes/no)</li>
+            </ul>
+            <p className="text-[10px] sm:text-xs text-blue-700 mt-2">
+              Staff who already have an account (same email, or same file number) are skipped.
+            </p>
+          </div>
+
+          <div className="flex justify-between gap-2">
+            <Button variant="outline" size="sm" onClick={handleDownloadTemplate}>
+              <IconDownload className="w-4 h-4 mr-2" />
+              Download Template
+            </Button>
+            <Button variant="outline" size="sm" onClick={handleClose}>
+              Cancel
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {step === 'preview' && validation && (
+        <div className="space-y-3 sm:space-y-4">
+          <div
+            className={`rounded-lg p-3 sm:p-4 flex items-start gap-2 ${
+              validation.canProceed ? 'bg-green-50 border border-green-200' : 'bg-amber-50 border border-amber-200'
+            }`}
+          >
+            {validation.canProceed ? (
+              <IconCircleCheck className="w-5 h-5 text-green-600 flex-shrink-0" />
+            ) : (
+              <IconAlertTriangle className="w-5 h-5 text-amber-600 flex-shrink-0" />
+            )}
+            <div className="text-sm">
+              <p className="font-medium">{file?.name}</p>
+              <p className="text-gray-600">
+                {validation.total_rows} rows · {validation.valid_rows} to import · {validation.error_rows} with errors ·{' '}
+                {validation.duplicate_rows} already have an account
+              </p>
+            </div>
+          </div>
+
+          {validation.errors.length > 0 && (
+            <div className="border border-red-200 rounded-lg overflow-y-auto" style={{ maxHeight: '200px' }}>
+              {validation.errors.map((error) => (
+                <div key={`${error.row}-${error.email}`} className="px-3 py-2 border-b last:border-b-0 text-sm bg-red-50">
+                  <span className="text-gray-500">Row {error.row}</span>{' '}
+                  <span className="font-medium">{error.email}</span>: {error.errors.join('; ')}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {validation.duplicates.length > 0 && (
+            <div className="border border-amber-200 rounded-lg overflow-y-auto" style={{ maxHeight: '160px' }}>
+              {validation.duplicates.map((dup) => (
+                <div key={dup.row} className="px-3 py-2 border-b last:border-b-0 text-sm bg-amber-50">
+                  <span className="text-gray-500">Row {dup.row}</span> <span className="font-medium">{dup.email}</span>:{' '}
+                  {dup.reason}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {validation.preview.length > 0 && (
+            <div className="border rounded-lg overflow-y-auto" style={{ maxHeight: '280px' }}>
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr className="text-left text-gray-600 border-b">
+                    <th className="px-3 py-2 font-medium w-12">Row</th>
+                    <th className="px-3 py-2 font-medium">Name</th>
+                    <th className="px-3 py-2 font-medium hidden sm:table-cell">Role</th>
+                    <th className="px-3 py-2 font-medium hidden sm:table-cell">Rank</th>
+                    <th className="px-3 py-2 font-medium hidden md:table-cell">Faculty</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {validation.preview.map((row) => (
+                    <tr key={row.row_number} className="border-t">
+                      <td className="px-3 py-1.5 text-gray-400 text-xs">{row.row_number}</td>
+                      <td className="px-3 py-1.5">
+                        <p className="font-medium">{row.name}</p>
+                        <p className="text-xs text-gray-500">{row.email}</p>
+                      </td>
+                      <td className="px-3 py-1.5 hidden sm:table-cell">
+                        {getRoleName(row.role)}
+                        {row.is_dean && <Badge variant="info" className="ml-1">Dean</Badge>}
+                      </td>
+                      <td className="px-3 py-1.5 hidden sm:table-cell">{row.rank?.code || '—'}</td>
+                      <td className="px-3 py-1.5 hidden md:table-cell">{row.faculty?.name || '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={sendEmails}
+              onChange={(e) => setSendEmails(e.target.checked)}
+              className="rounded border-gray-300 text-primary-600"
+            />
+            Email login details to each new staff member
+          </label>
+
+          <div className="flex justify-between gap-2">
+            <Button variant="outline" size="sm" onClick={reset} disabled={importing}>
+              Change File
+            </Button>
+            <Button size="sm" onClick={handleImport} loading={importing} disabled={validation.valid_rows === 0}>
+              Import {validation.valid_rows} Staff
+              {validation.error_rows > 0 ? ' (skip errors)' : ''}
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {step === 'result' && result && (
+        <div className="space-y-3 sm:space-y-4">
+          <div className="bg-green-50 border border-green-200 rounded-lg p-3 sm:p-4 text-sm">
+            <p className="font-medium text-green-800">{result.created} staff account(s) created</p>
+            <p className="text-green-700">
+              {result.duplicates} skipped as existing · {result.errors.length} row(s) with errors ·{' '}
+              {result.emails_queued} welcome email(s) queued
+            </p>
+          </div>
+
+          {result.users.length > 0 && (
+            <div className="border rounded-lg overflow-hidden">
+              <div className="bg-gray-50 px-3 py-2 border-b flex items-center justify-between">
+                <p className="text-sm font-medium text-gray-900">Login details (shown once)</p>
+                <Button variant="ghost" size="sm" onClick={copyCredentials}>
+                  {copied ? <IconCheck className="w-4 h-4 mr-1 text-green-600" /> : <IconCopy className="w-4 h-4 mr-1" />}
+                  {copied ? 'Copied' : 'Copy all'}
+                </Button>
+              </div>
+              <div className="overflow-y-auto" style={{ maxHeight: '280px' }}>
+                <table className="w-full text-sm">
+                  <tbody>
+                    {result.users.map((u) => (
+                      <tr key={u.id} className="border-t first:border-t-0">
+                        <td className="px-3 py-1.5 font-medium">{u.name}</td>
+                        <td className="px-3 py-1.5 text-gray-600">{u.email}</td>
+                        <td className="px-3 py-1.5">
+                          <code className="text-xs bg-gray-100 px-1.5 py-0.5 rounded">{u.password}</code>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          <div className="flex justify-end">
+            <Button onClick={handleClose}>Done</Button>
+          </div>
+        </div>
+      )}
+    </Dialog>
+  );
+}
+
+export default StaffImportDialog;
@@ -0,0 +1,6 @@
+/**
+ * User Components Index
+ * Exports the staff import dialog
+ */
+
+export { default as StaffImportDialog } from './StaffImportDialog';
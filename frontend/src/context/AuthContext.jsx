@@ -13,6 +13,8 @@
  * 🔗 SSO: Supports secure cross-subdomain single sign-on via one-time exchange tokens.
  * When navigating to a different subdomain with ?sso_token=..., the token is
  * exchanged server-side for a real JWT (the URL token is NOT stored directly).
+ * A staff account that still owes two-factor gets a challenge instead, which
+ * the login page picks up from ssoTwoFactor.
  */
 
 import { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
@@ -61,6 +63,8 @@ export function AuthProvider({ children }) {
   const [features, setFeatures] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  // { requires_two_factor, requires_two_factor_setup, challenge_token } from an SSO exchange
+  const [ssoTwoFactor, setSsoTwoFactor] = useState(null);
 
   // Check if user is super_admin
   const isSuperAdmin = user?.role === 'super_admin';
@@ -86,6 +90,9 @@ export function AuthProvider({ children }) {
           
           const exchangeResponse = await authApi.exchangeSsoToken(ssoToken);
           const exchangeData = exchangeResponse.data.data || exchangeResponse.data;
+          if (exchangeData.requires_two_factor || exchangeData.requires_two_factor_setup) {
+            setSsoTwoFactor(exchangeData);
+          }
           token = exchangeData.token;
           const sessionId = exchangeData.sessionId;
           
@@ -152,7 +159,56 @@ export function AuthProvider({ children }) {
     initAuth();
   }, []);
 
+  // Store a staff session token and load the profile and features behind it
+  const startStaffSession = useCallback(async ({ token, sessionId }) => {
+    // Store auth data in tab-scoped storage
+    storeAuthState({ token, sessionId });
+
+    // Fetch full profile data with subdomain context
+    const profileResponse = await authApi.getProfile();
+    const profileData = profileResponse.data.data || profileResponse.data;
+
+    // Store user in tab-scoped storage
+    storeUser(profileData);
+
+    setUserState(profileData);
+    setInstitution(profileData.institution); // From subdomain resolution
+    setIsGlobalContext(profileData.isGlobalContext || false);
+    setSubdomain(profileData.subdomain || null);
+
+    // Apply institution branding colors
+    if (profileData.institution?.primary_color) {
+      applyBrandingColors(
+        profileData.institution.primary_color,
+        profileData.institution.secondary_color
+      );
+    }
+
+    // Load enabled features if we have an institution context
+    if (profileData.institution?.id) {
+      try {
+        // Use institution ID directly from profile (don't rely on cached values)
+        const institutionFeaturesApi = createFeaturesApi(profileData.institution.id);
+        const featuresResponse = await institutionFeaturesApi.getEnabled();
+        const featuresData = featuresResponse.data.data || featuresResponse.data || [];
+        // Extract just the feature keys for quick lookup
+        setFeatures(featuresData.map(f => f.feature_key));
+      } catch (featuresErr) {
+        console.warn('Could not load features');
+        setFeatures([]);
+      }
+    } else {
+      // Global context = no features needed
+      setFeatures([]);
+    }
+
+    return profileData;
+  }, []);
+
   // Staff login
+  // Resolves to the profile, or - when two-factor is on or required by the
+  // institution - to { requires_two_factor, requires_two_factor_setup,
+  // challenge_token } for completeTwoFactorLogin to finish.
   const login = useCallback(async (email, password) => {
     setError(null);
 
@@ -160,59 +216,43 @@ export function AuthProvider({ children }) {
       // 🔒 SECURITY: Clear existing auth state before new login
       // This prevents session pollution from previous logins in this tab
       prepareForLogin();
+      setSsoTwoFactor(null);
 
       const response = await authApi.login({ email, password });
       const loginData = response.data.data || response.data;
-      const { token, sessionId } = loginData;
-
-      // Store auth data in tab-scoped storage
-      storeAuthState({ token, sessionId });
 
-      // Fetch full profile data with subdomain context
-      const profileResponse = await authApi.getProfile();
-      const profileData = profileResponse.data.data || profileResponse.data;
-
-      // Store user in tab-scoped storage
-      storeUser(profileData);
+      if (loginData.requires_two_factor || loginData.requires_two_factor_setup) {
+        return loginData;
+      }
 
-      setUserState(profileData);
-      setInstitution(profileData.institution); // From subdomain resolution
-      setIsGlobalContext(profileData.isGlobalContext || false);
-      setSubdomain(profileData.subdomain || null);
+      return await startStaffSession(loginData);
+    } catch (err) {
+      const message = err.response?.data?.message || 'Login failed';
+      setError(message);
+      throw new Error(message);
+    }
+  }, [startStaffSession]);
 
-      // Apply institution branding colors
-      if (profileData.institution?.primary_color) {
-        applyBrandingColors(
-          profileData.institution.primary_color,
-          profileData.institution.secondary_color
-        );
-      }
+  // Second sign-in step: a code for an enrolled account, or the first code
+  // from a new enrolment (enrol: true). Resolves to { profile, recoveryCodes }.
+  const completeTwoFactorLogin = useCallback(async (challengeToken, code, { enrol = false } = {}) => {
+    setError(null);
 
-      // Load enabled features if we have an institution context
-      if (profileData.institution?.id) {
-        try {
-          // Use institution ID directly from profile (don't rely on cached values)
-          const institutionFeaturesApi = createFeaturesApi(profileData.institution.id);
-          const featuresResponse = await institutionFeaturesApi.getEnabled();
-          const featuresData = featuresResponse.data.data || featuresResponse.data || [];
-          // Extract just the feature keys for quick lookup
-          setFeatures(featuresData.map(f => f.feature_key));
-        } catch (featuresErr) {
-          console.warn('Could not load features');
-          setFeatures([]);
-        }
-      } else {
-        // Global context = no features needed
-        setFeatures([]);
-      }
+    try {
+      const response = enrol
+        ? await authApi.enableTwoFactorLogin(challengeToken, code)
+        : await authApi.verifyTwoFactorLogin(challengeToken, code);
+      const loginData = response.data.data || response.data;
 
-      return profileData;
+      setSsoTwoFactor(null);
+      const profile = await startStaffSession(loginData);
+      return { profile, recoveryCodes: loginData.recovery_codes || null };
     } catch (err) {
-      const message = err.response?.data?.message || 'Login failed';
+      const message = err.response?.data?.message || 'Verification failed';
       setError(message);
       throw new Error(message);
     }
-  }, []);
+  }, [startStaffSession]);
 
   // Student login
   const studentLogin = useCallback(async (registrationNumber, pin) => {
@@ -354,7 +394,9 @@ export function AuthProvider({ children }) {
       isSuperAdmin,
       isGlobalContext, // On admin.* subdomain with no institution
       subdomain,
+      ssoTwoFactor,
       login,
+      completeTwoFactorLogin,
       studentLogin,
       logout,
       hasRole,
@@ -372,7 +414,9 @@ export function AuthProvider({ children }) {
       isSuperAdmin,
       isGlobalContext,
       subdomain,
+      ssoTwoFactor,
       login,
+      completeTwoFactorLogin,
       studentLogin,
       logout,
       hasRole,
@@ -0,0 +1,196 @@
+/**
+ * Notification Context
+ * In-app notifications for the bell / inbox in the admin and student layouts.
+ *
+ * The provider polls the unread count (cheap) while the tab is visible and
+ * only fetches the list when the newest notification id changes. Pages can
+ * subscribe to new notifications of given types to refresh themselves, e.g.
+ * the supervisor's postings page reloading when a posting is made for them.
+ *
+ * USAGE:
+ * ```jsx
+ * <NotificationProvider api={createNotificationsApi(institution.id)}>...</NotificationProvider>
+ *
+ * const { unreadCount, notifications, markRead } = useNotifications();
+ * useNotificationListener(['posting_created'], fetchPostings);
+ * ```
+ */
+
+import { createContext, useContext, useState, useCallback, useEffect, useMemo, useRef } from 'react';
+
+const NotificationContext = createContext(null);
+
+const POLL_INTERVAL_MS = 30000;
+const PAGE_SIZE = 20;
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.api - Notifications API (see api/notifications.js); null disables polling
+ */
+export function NotificationProvider({ api, children }) {
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const latestIdRef = useRef(null);
+  const listenersRef = useRef(new Set());
+
+  const fetchNotifications = useCallback(async (offset = 0) => {
+    if (!api) return [];
+    setLoading(true);
+    try {
+      const response = await api.getAll({ limit: PAGE_SIZE, offset });
+      const items = response.data.data || [];
+      setNotifications((prev) => (offset === 0 ? items : [...prev, ...items]));
+      setUnreadCount(response.data.unread_count || 0);
+      setTotal(response.data.pagination?.total || 0);
+      return items;
+    } catch (err) {
+      console.error('Failed to load notifications:', err);
+      return [];
+    } finally {
+      setLoading(false);
+    }
+  }, [api]);
+
+  const checkForNew = useCallback(async () => {
+    if (!api) return;
+    try {
+      const response = await api.getUnreadCount();
+      const { count, latest_id: latestId } = response.data.data || {};
+      setUnreadCount(count || 0);
+
+      const previousId = latestIdRef.current;
+      if (!latestId || latestId === previousId) return;
+      latestIdRef.current = latestId;
+
+      const items = await fetchNotifications(0);
+      // First load only seeds the latest id - nothing is "new" yet
+      if (previousId === null) return;
+
+      const fresh = items.filter((n) => n.id > previousId);
+      if (fresh.length > 0) {
+        listenersRef.current.forEach((listener) => listener(fresh));
+      }
+    } catch {
+      // Polling is best effort; the next tick will try again
+    }
+  }, [api, fetchNotifications]);
+
+  // Reset when the API changes (institution switch, logout)
+  useEffect(() => {
+    latestIdRef.current = null;
+    setNotifications([]);
+    setUnreadCount(0);
+    setTotal(0);
+    if (!api) return undefined;
+
+    checkForNew();
+    const timer = setInterval(() => {
+      if (document.visibilityState === 'visible') checkForNew();
+    }, POLL_INTERVAL_MS);
+    const handleVisibility = () => {
+      if (document.visibilityState === 'visible') checkForNew();
+    };
+    document.addEventListener('visibilitychange', handleVisibility);
+
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', handleVisibility);
+    };
+  }, [api, checkForNew]);
+
+  const markRead = useCallback(async (id) => {
+    if (!api) return;
+    const target = notifications.find((n) => n.id === id);
+    if (target?.read_at) return;
+
+    setNotifications((prev) => prev.map((n) => (n.id === id ? { ...n, read_at: new Date().toISOString() } : n)));
+    setUnreadCount((prev) => Math.max(0, prev - 1));
+    try {
+      await api.markRead(id);
+    } catch (err) {
+      console.error('Failed to mark notification as read:', err);
+    }
+  }, [api, notifications]);
+
+  const markAllRead = useCallback(async () => {
+    if (!api) return;
+    const now = new Date().toISOString();
+    setNotifications((prev) => prev.map((n) => (n.read_at ? n : { ...n, read_at: now })));
+    setUnreadCount(0);
+    try {
+      await api.markManyRead();
+    } catch (err) {
+      console.error('Failed to mark notifications as read:', err);
+    }
+  }, [api]);
+
+  const loadMore = useCallback(
+    () => fetchNotifications(notifications.length),
+    [fetchNotifications, notifications.length]
+  );
+
+  const subscribe = useCallback((listener) => {
+    listenersRef.current.add(listener);
+    return () => listenersRef.current.delete(listener);
+  }, []);
+
+  const contextValue = useMemo(
+    () => ({
+      enabled: !!api,
+      notifications,
+      unreadCount,
+      hasMore: notifications.length < total,
+      loading,
+      refresh: () => fetchNotifications(0),
+      loadMore,
+      markRead,
+      markAllRead,
+      subscribe,
+    }),
+    [api, notifications, unreadCount, total, loading, fetchNotifications, loadMore, markRead, markAllRead, subscribe]
+  );
+
+  return (
+    <NotificationContext.Provider value={contextValue}>
+      {children}
+    </NotificationContext.Provider>
+  );
+}
+
+export function useNotifications() {
+  const context = useContext(NotificationContext);
+  if (!context) {
+    throw new Error('useNotifications must be used within a NotificationProvider');
+  }
+  return context;
+}
+
+/**
+ * Run a callback when new notifications of the given types arrive.
+ * A no-op outside a NotificationProvider, so pages can use it unconditionally.
+ * @param {string[]} types - Notification types, e.g. ['posting_created']
+ * @param {Function} callback - Called with the new notifications of those types
+ */
+export function useNotificationListener(types, callback) {
+  const context = useContext(NotificationContext);
+  const subscribe = context?.subscribe;
+  const callbackRef = useRef(callback);
+  const typesKey = types.join(',');
+
+  useEffect(() => {
+    callbackRef.current = callback;
+  }, [callback]);
+
+  useEffect(() => {
+    if (!subscribe) return undefined;
+    const wanted = typesKey.split(',');
+    return subscribe((fresh) => {
+      const matching = fresh.filter((n) => wanted.includes(n.type));
+      if (matching.length > 0) callbackRef.current(matching);
+    });
+  }, [subscribe, typesKey]);
+}
+
+export default NotificationContext;
@@ -7,7 +7,8 @@
  * - AuthContext: Authentication only (login, logout, user, roles)
  * - InstitutionSelectionContext: Institution selection (context, switching, feature toggles)
  * - InstitutionContext: Branding/theming (logo, colors) - subdomain-based
- * - ToastContext: Notifications
+ * - ToastContext: Toast messages
+ * - NotificationContext: In-app notifications (bell / inbox), provided by the layouts
  * 
  * USAGE:
  * ```jsx
@@ -38,9 +39,12 @@ export {
 // Institution branding (logo, colors, theming)
 export { InstitutionProvider, useInstitution } from './InstitutionContext';
 
-// Notifications
+// Toast messages
 export { ToastProvider, useToast } from './ToastContext';
 
+// In-app notifications (bell / inbox)
+export { NotificationProvider, useNotifications, useNotificationListener } from './NotificationContext';
+
 // Default exports
 export { default as AuthContext } from './AuthContext';
 export { default as InstitutionSelectionContext } from './InstitutionSelectionContext';
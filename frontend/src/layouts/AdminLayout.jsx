@@ -7,12 +7,16 @@
  * Uses centralized role constants from utils/roles.js
  */
 
-import { useState, Suspense } from 'react';
+import { useState, useMemo, Suspense } from 'react';
 import { Outlet, Link, useNavigate, useLocation } from 'react-router-dom';
 import ContentLoader from '../components/ui/ContentLoader';
+import SessionLockOverrideDialog from '../components/SessionLockOverrideDialog';
+import NotificationBell from '../components/NotificationBell';
 import { useAuth } from '../context/AuthContext';
 import { useInstitution } from '../context/InstitutionContext';
 import { useInstitutionSelection } from '../context/InstitutionSelectionContext';
+import { NotificationProvider } from '../context/NotificationContext';
+import { createNotificationsApi } from '../api';
 import { cn, getInitials, getRoleName } from '../utils/helpers';
 import { ROLE_GROUPS, hasRole as checkRole } from '../utils/roles';
 import { Button } from '../components/ui/Button';
@@ -32,6 +36,7 @@ import {
   IconCalendar,
   IconCreditCard,
   IconFileCheck,
+  IconQrcode,
   IconUserCheck,
   IconCalculator,
   IconSignature,
@@ -45,6 +50,10 @@ import {
   IconEdit,
   IconTemplate,
   IconDatabase,
+  IconMail,
+  IconHistory,
+  IconCalendarOff,
+  IconCalendarCheck,
 } from '@tabler/icons-react';
 
 /**
@@ -80,6 +89,7 @@ const navigationGroups = [
       { name: 'Students', href: '/admin/students', icon: IconSchool, roles: ROLE_GROUPS.ADMIN },
       { name: 'Payments', href: '/admin/payments', icon: IconCreditCard, roles: ROLE_GROUPS.SUPER_ADMIN_ONLY },
       { name: 'Acceptances', href: '/admin/acceptances', icon: IconFileCheck, roles: ROLE_GROUPS.ADMIN },
+      { name: 'Issued Documents', href: '/admin/issued-documents', icon: IconQrcode, roles: ROLE_GROUPS.ADMIN },
     ],
   },
   {
@@ -91,6 +101,7 @@ const navigationGroups = [
       { name: 'Multiposting', href: '/admin/multiposting', icon: IconStack2, roles: ROLE_GROUPS.ADMIN, allowDean: true },
       { name: 'Dean Allocations', href: '/admin/dean-allocations', icon: IconBuildingBank, roles: ROLE_GROUPS.ADMIN },
       { name: 'All Postings', href: '/admin/all-postings', icon: IconPrinter, roles: ROLE_GROUPS.ADMIN },
+      { name: 'Availability & Exclusions', href: '/admin/posting-constraints', icon: IconCalendarOff, roles: ROLE_GROUPS.SUPERVISOR_PLUS, feature: 'posting_management' },
     ],
   },
   {
@@ -107,6 +118,7 @@ const navigationGroups = [
       { name: 'Result Upload', href: '/admin/result-upload', icon: IconSignature, roles: ROLE_GROUPS.SUPERVISOR_PLUS },
       { name: 'Manage Results', href: '/admin/results', icon: IconClipboardList, roles: ROLE_GROUPS.ADMIN },
       { name: 'Location Logs', href: '/admin/location-logs', icon: IconMapPin, roles: ROLE_GROUPS.ADMIN, feature: 'supervisor_location_tracking' },
+      { name: 'Visit Compliance', href: '/admin/visit-compliance', icon: IconCalendarCheck, roles: ROLE_GROUPS.ADMIN, feature: 'supervisor_location_tracking' },
       { name: 'Monitoring', href: '/admin/monitoring', icon: IconClipboardCheck, roles: ROLE_GROUPS.FIELD_MONITOR_PLUS },
     ],
   },
@@ -121,6 +133,8 @@ const settingsNavigation = [
   { name: 'User Management', href: '/admin/users', icon: IconUsers, roles: ROLE_GROUPS.ADMIN },
   { name: 'Feature Management', href: '/admin/features', icon: IconToggleLeft, roles: ROLE_GROUPS.SUPER_ADMIN_ONLY },
   { name: 'Document Templates', href: '/admin/document-templates', icon: IconTemplate, roles: ROLE_GROUPS.SUPER_ADMIN_ONLY },
+  { name: 'Email Delivery', href: '/admin/email-logs', icon: IconMail, roles: ROLE_GROUPS.ADMIN },
+  { name: 'Activity Log', href: '/admin/activity-log', icon: IconHistory, roles: ROLE_GROUPS.ADMIN },
   { name: 'My Profile', href: '/admin/profile', icon: IconUser },
 ];
 
@@ -136,6 +150,8 @@ const globalNavigation = [
   { name: 'Global Features', href: '/admin/global-features', icon: IconToggleLeft },
   { name: 'Global Payments', href: '/admin/global-payments', icon: IconCreditCard },
   { name: 'Database Backups', href: '/admin/database-backups', icon: IconDatabase },
+  { name: 'Email Delivery', href: '/admin/global-email-logs', icon: IconMail },
+  { name: 'Activity Log', href: '/admin/global-activity-log', icon: IconHistory },
   { name: 'My Profile', href: '/admin/profile', icon: IconUser },
 ];
 
@@ -145,7 +161,7 @@ const globalNavigation = [
  */
 import { getAdminDomain, isAdminSubdomain } from '../hooks/useSubdomain';
 
-function AdminLayout() {
+function AdminLayoutContent() {
   const { user, effectiveInstitution, logout, isSuperAdmin } = useAuth();
   const { branding } = useInstitution();
   const { isFeatureEnabled } = useInstitutionSelection();
@@ -410,6 +426,8 @@ function AdminLayout() {
 
           <div className="flex-1" />
 
+          <NotificationBell />
+
           {/* User menu */}
           <div className="relative">
             <Button
@@ -469,9 +487,26 @@ function AdminLayout() {
             <Outlet />
           </Suspense>
         </main>
+
+        {isSuperAdmin && <SessionLockOverrideDialog />}
       </div>
     </div>
   );
 }
 
+function AdminLayout() {
+  const { institution } = useInstitutionSelection();
+  // Notifications are institution-scoped; none on the admin subdomain
+  const notificationsApi = useMemo(
+    () => (institution?.id ? createNotificationsApi(institution.id) : null),
+    [institution?.id]
+  );
+
+  return (
+    <NotificationProvider api={notificationsApi}>
+      <AdminLayoutContent />
+    </NotificationProvider>
+  );
+}
+
 export default AdminLayout;
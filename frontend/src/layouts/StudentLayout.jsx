@@ -7,11 +7,13 @@ import { Suspense, useEffect, useMemo, useState } from 'react';
 import { Link, Outlet, useLocation, useNavigate } from 'react-router-dom';
 import { AnimatePresence, motion } from 'framer-motion';
 import ContentLoader from '../components/ui/ContentLoader';
+import NotificationBell from '../components/NotificationBell';
 import { useAuth } from '../context/AuthContext';
 import { useInstitution } from '../context/InstitutionContext';
+import { NotificationProvider } from '../context/NotificationContext';
 import { Button } from '../components/ui/Button';
 import { cn, getInitials, getRoleName } from '../utils/helpers';
-import { portalApi } from '../api';
+import { portalApi, portalNotificationsApi } from '../api';
 import {
   IconChevronDown,
   IconClipboardList,
@@ -21,6 +23,7 @@ import {
   IconFileCertificate,
   IconFileText,
   IconLayoutDashboard,
+  IconListNumbers,
   IconLogout,
   IconMapPin,
   IconMenu2,
@@ -40,6 +43,7 @@ const navigationGroups = [
     name: 'Registration',
     items: [
       { name: 'Payment', href: '/student/payment', icon: IconCreditCard, requiresPayment: true },
+      { name: 'School Preferences', href: '/student/school-preferences', icon: IconListNumbers },
       { name: 'Acceptance', href: '/student/acceptance', icon: IconFileCheck },
     ],
   },
@@ -68,7 +72,7 @@ const pageVariants = {
 };
 const pageTransition = { duration: 0.2, ease: 'easeOut' };
 
-function StudentLayout() {
+function StudentLayoutContent() {
   const { user, logout, hasFeature } = useAuth();
   const { branding } = useInstitution();
   const navigate = useNavigate();
@@ -276,44 +280,48 @@ function StudentLayout() {
 
           <div className="flex-1 lg:hidden" />
 
-          {/* User dropdown */}
-          <div className="relative">
-            <Button
-              variant="ghost"
-              onClick={() => setUserMenuOpen((open) => !open)}
-              className="flex items-center gap-2 p-2"
-            >
-              <div className="w-8 h-8 rounded-full bg-primary-600 flex items-center justify-center shrink-0">
-                <span className="text-sm font-medium text-white">{getInitials(user?.name)}</span>
-              </div>
-              <span className="hidden sm:block text-sm font-medium text-gray-700 max-w-[180px] truncate">
-                {user?.name}
-              </span>
-              <IconChevronDown className="w-4 h-4 text-gray-400" />
-            </Button>
+          <div className="flex items-center gap-1">
+            <NotificationBell />
 
-            {userMenuOpen && (
-              <>
-                <div className="fixed inset-0 z-10" onClick={() => setUserMenuOpen(false)} />
-                <div className="absolute right-0 z-20 mt-2 w-56 bg-white rounded-lg shadow-lg border py-1">
-                  <div className="px-4 py-2 border-b">
-                    <p className="text-sm font-medium text-gray-900 truncate">{user?.name}</p>
-                    <p className="text-xs text-gray-500 truncate">{user?.registration_number}</p>
-                    <p className="text-xs text-primary-600 capitalize mt-1">
-                      {getRoleName(user?.role)}
-                    </p>
-                  </div>
-                  <Button
-                    variant="ghost"
-                    onClick={handleLogout}
-                    className="w-full justify-start gap-2 px-4 text-red-600 hover:bg-red-50 hover:text-red-600 rounded-none"
-                  >
-                    <IconLogout className="w-4 h-4" />
-                    Logout
-                  </Button>
+            {/* User dropdown */}
+            <div className="relative">
+              <Button
+                variant="ghost"
+                onClick={() => setUserMenuOpen((open) => !open)}
+                className="flex items-center gap-2 p-2"
+              >
+                <div className="w-8 h-8 rounded-full bg-primary-600 flex items-center justify-center shrink-0">
+                  <span className="text-sm font-medium text-white">{getInitials(user?.name)}</span>
                 </div>
-              </>
-            )}
+                <span className="hidden sm:block text-sm font-medium text-gray-700 max-w-[180px] truncate">
+                  {user?.name}
+                </span>
+                <IconChevronDown className="w-4 h-4 text-gray-400" />
+              </Button>
+
+              {userMenuOpen && (
+                <>
+                  <div className="fixed inset-0 z-10" onClick={() => setUserMenuOpen(false)} />
+                  <div className="absolute right-0 z-20 mt-2 w-56 bg-white rounded-lg shadow-lg border py-1">
+                    <div className="px-4 py-2 border-b">
+                      <p className="text-sm font-medium text-gray-900 truncate">{user?.name}</p>
+                      <p className="text-xs text-gray-500 truncate">{user?.registration_number}</p>
+                      <p className="text-xs text-primary-600 capitalize mt-1">
+                        {getRoleName(user?.role)}
+                      </p>
+                    </div>
+                    <Button
+                      variant="ghost"
+                      onClick={handleLogout}
+                      className="w-full justify-start gap-2 px-4 text-red-600 hover:bg-red-50 hover:text-red-600 rounded-none"
+                    >
+                      <IconLogout className="w-4 h-4" />
+                      Logout
+                    </Button>
+                  </div>
+                </>
+              )}
+            </div>
           </div>
         </header>
 
@@ -338,4 +346,12 @@ function StudentLayout() {
   );
 }
 
+function StudentLayout() {
+  return (
+    <NotificationProvider api={portalNotificationsApi}>
+      <StudentLayoutContent />
+    </NotificationProvider>
+  );
+}
+
 export default StudentLayout;
@@ -26,10 +26,21 @@ import {
   IconPencil as IconEdit,
   IconPhoto,
   IconSearch,
+  IconListNumbers,
 } from '@tabler/icons-react';
+import { getOrdinal } from '../../utils/helpers';
 
 const normalizeLocationValue = (value) => String(value || '').trim().toUpperCase();
 
+const formatRate = (value) => `${Math.round((value || 0) * 100)}%`;
+
+// Which of the student's ranked choices they were placed at
+const PreferenceRankBadge = ({ rank, hasPreferences }) => {
+  if (!hasPreferences) return <span className="text-gray-400">-</span>;
+  if (!rank) return <Badge variant="warning">Not listed</Badge>;
+  return <Badge variant={rank === 1 ? 'success' : 'info'}>{getOrdinal(rank)} choice</Badge>;
+};
+
 function AcceptancesPage() {
   const { hasRole } = useAuth();
   const { toast } = useToast();
@@ -69,6 +80,13 @@ function AcceptancesPage() {
   // Image preview state
   const [previewImage, setPreviewImage] = useState(null);
 
+  // School preference report / placement plan
+  const [showPreferenceReport, setShowPreferenceReport] = useState(false);
+  const [preferenceReport, setPreferenceReport] = useState(null);
+  const [placementPlan, setPlacementPlan] = useState(null);
+  const [loadingReport, setLoadingReport] = useState(false);
+  const [loadingPlan, setLoadingPlan] = useState(false);
+
   const fetchSessions = useCallback(async () => {
     try {
       const response = await sessionsApi.getAll({ status: 'active' });
@@ -241,6 +259,11 @@ function AcceptancesPage() {
     return unique.sort();
   }, [filterOptions, stateFilter]);
 
+  const selectedSessionData = useMemo(
+    () => sessions.find((s) => String(s.id) === String(selectedSession)),
+    [sessions, selectedSession]
+  );
+
   // Table columns definition
   const columns = useMemo(() => [
     {
@@ -295,6 +318,17 @@ function AcceptancesPage() {
       header: 'School LGA',
       render: (value) => value || 'N/A',
     },
+    {
+      accessor: 'preference_rank',
+      header: 'Choice',
+      render: (value, row) => (
+        <PreferenceRankBadge rank={value} hasPreferences={row.school_preferences?.length > 0} />
+      ),
+      exportFormatter: (value, row) => {
+        if (!row.school_preferences?.length) return '';
+        return value ? getOrdinal(value) : 'Not listed';
+      },
+    },
     {
       accessor: 'location_category',
       header: 'Location',
@@ -354,6 +388,32 @@ function AcceptancesPage() {
     setEditGroup('1'); // Reset to group 1 when school changes
   };
 
+  const openPreferenceReport = async () => {
+    setShowPreferenceReport(true);
+    setPlacementPlan(null);
+    setLoadingReport(true);
+    try {
+      const response = await acceptancesApi.getPreferenceReport(selectedSession);
+      setPreferenceReport(response.data.data || null);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load preference report');
+    } finally {
+      setLoadingReport(false);
+    }
+  };
+
+  const handleGeneratePlan = async () => {
+    setLoadingPlan(true);
+    try {
+      const response = await acceptancesApi.getPlacementPlan(parseInt(selectedSession));
+      setPlacementPlan(response.data.data || null);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to generate placement plan');
+    } finally {
+      setLoadingPlan(false);
+    }
+  };
+
   // Toolbar with search and filters, rendered inside the table's own header
   const tableToolbar = (
     <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-6 gap-2 sm:gap-3 w-full">
@@ -458,10 +518,18 @@ function AcceptancesPage() {
     <div className="space-y-3 sm:space-y-4">
       <div className="flex items-center justify-between gap-2">
         <h1 className="text-xl sm:text-2xl font-bold text-gray-900">Acceptance Forms</h1>
-        <Button variant="outline" onClick={fetchAcceptances} size="sm" className="active:scale-95">
-          <IconRefresh className="w-4 h-4 sm:mr-2" />
-          <span className="hidden sm:inline">Refresh</span>
-        </Button>
+        <div className="flex items-center gap-2">
+          {selectedSessionData?.allow_student_school_preference ? (
+            <Button variant="outline" onClick={openPreferenceReport} size="sm" className="active:scale-95">
+              <IconListNumbers className="w-4 h-4 sm:mr-2" />
+              <span className="hidden sm:inline">School Preferences</span>
+            </Button>
+          ) : null}
+          <Button variant="outline" onClick={fetchAcceptances} size="sm" className="active:scale-95">
+            <IconRefresh className="w-4 h-4 sm:mr-2" />
+            <span className="hidden sm:inline">Refresh</span>
+          </Button>
+        </div>
       </div>
 
       {/* Statistics */}
@@ -568,6 +636,23 @@ function AcceptancesPage() {
               </div>
             </div>
 
+            {selectedAcceptance.school_preferences?.length > 0 && (
+              <div>
+                <p className="text-xs sm:text-sm text-gray-500 mb-1">School Preferences</p>
+                <ol className="space-y-1">
+                  {selectedAcceptance.school_preferences.map((pref) => (
+                    <li key={pref.school_id} className="flex items-center gap-2 text-sm">
+                      <Badge variant={pref.school_id === selectedAcceptance.institution_school_id ? 'success' : 'default'}>
+                        {getOrdinal(pref.rank)}
+                      </Badge>
+                      <span className="truncate">{pref.school_name}</span>
+                      {pref.lga && <span className="text-gray-400 text-xs">{pref.lga}</span>}
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            )}
+
             {selectedAcceptance.signed_form_url && (
               <div className="flex flex-col sm:flex-row gap-2">
                 <Button
@@ -636,6 +721,22 @@ function AcceptancesPage() {
                 getOptionLabel={(s) => s.name}
                 clearable={false}
               />
+              {editingAcceptance.school_preferences?.length > 0 && (
+                <div className="flex flex-wrap gap-1.5 mt-2">
+                  {editingAcceptance.school_preferences.map((pref) => (
+                    <Button
+                      key={pref.school_id}
+                      type="button"
+                      size="sm"
+                      variant={String(editSchool) === String(pref.school_id) ? 'primary' : 'outline'}
+                      onClick={() => handleSchoolChange(pref.school_id)}
+                      title="Student's preferred school"
+                    >
+                      {getOrdinal(pref.rank)}: {pref.school_name}
+                    </Button>
+                  ))}
+                </div>
+              )}
             </div>
 
             <div>
@@ -666,6 +767,136 @@ function AcceptancesPage() {
         )}
       </Dialog>
 
+      {/* School Preference Report Modal */}
+      <Dialog
+        isOpen={showPreferenceReport}
+        onClose={() => setShowPreferenceReport(false)}
+        title="School Preferences"
+        width="xl"
+        footer={
+          <>
+            <Button variant="outline" onClick={() => setShowPreferenceReport(false)}>
+              Close
+            </Button>
+            {canReview && (
+              <Button onClick={handleGeneratePlan} loading={loadingPlan}>
+                Suggest Placements
+              </Button>
+            )}
+          </>
+        }
+      >
+        {loadingReport ? (
+          <p className="text-sm text-gray-500 text-center py-8">Loading report...</p>
+        ) : preferenceReport && (
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+              {[
+                { label: 'First choice', count: preferenceReport.summary.first_choice, rate: preferenceReport.summary.first_choice_rate },
+                { label: 'Second choice', count: preferenceReport.summary.second_choice, rate: preferenceReport.summary.second_choice_rate },
+                { label: 'Third choice', count: preferenceReport.summary.third_choice, rate: preferenceReport.summary.third_choice_rate },
+                { label: 'Not yet placed', count: preferenceReport.summary.not_placed },
+              ].map((item) => (
+                <div key={item.label} className="p-3 rounded-lg bg-gray-50">
+                  <p className="text-lg font-bold">
+                    {item.count}
+                    {item.rate !== undefined && (
+                      <span className="text-sm font-normal text-gray-500 ml-1">({formatRate(item.rate)})</span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500">{item.label}</p>
+                </div>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500">
+              {preferenceReport.summary.total} students submitted preferences.{' '}
+              {preferenceReport.summary.unlisted_school > 0 &&
+                `${preferenceReport.summary.unlisted_school} were placed at a school they did not list.`}
+            </p>
+
+            {placementPlan ? (
+              <div className="space-y-2">
+                <h3 className="text-sm font-semibold text-gray-900">
+                  Suggested placements for {placementPlan.summary.total} unplaced students
+                  ({formatRate(placementPlan.summary.first_choice_rate)} first choice,{' '}
+                  {formatRate(placementPlan.summary.top_three_rate)} top three)
+                </h3>
+                <div className="max-h-80 overflow-y-auto border border-gray-200 rounded-lg">
+                  <table className="w-full text-sm">
+                    <thead className="bg-gray-50 sticky top-0">
+                      <tr>
+                        <th className="text-left px-3 py-2 font-medium text-gray-600">Student</th>
+                        <th className="text-left px-3 py-2 font-medium text-gray-600">Program</th>
+                        <th className="text-left px-3 py-2 font-medium text-gray-600">Suggested School</th>
+                        <th className="text-left px-3 py-2 font-medium text-gray-600">Choice</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {placementPlan.assignments.map((a) => (
+                        <tr key={a.student_id}>
+                          <td className="px-3 py-2">
+                            <p className="font-medium">{a.student_name}</p>
+                            <p className="text-xs text-gray-500">{a.registration_number}</p>
+                          </td>
+                          <td className="px-3 py-2">{a.program_name || 'N/A'}</td>
+                          <td className="px-3 py-2">{a.school_name}</td>
+                          <td className="px-3 py-2"><PreferenceRankBadge rank={a.rank} hasPreferences /></td>
+                        </tr>
+                      ))}
+                      {placementPlan.unplaced.map((u) => (
+                        <tr key={u.student_id} className="bg-red-50">
+                          <td className="px-3 py-2">
+                            <p className="font-medium">{u.student_name}</p>
+                            <p className="text-xs text-gray-500">{u.registration_number}</p>
+                          </td>
+                          <td className="px-3 py-2">{u.program_name || 'N/A'}</td>
+                          <td className="px-3 py-2 text-red-700" colSpan={2}>{u.reason}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <p className="text-xs text-gray-500">
+                  Suggestions respect school capacity. Students confirm their school on the acceptance form.
+                </p>
+              </div>
+            ) : (
+              <div className="max-h-80 overflow-y-auto border border-gray-200 rounded-lg">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50 sticky top-0">
+                    <tr>
+                      <th className="text-left px-3 py-2 font-medium text-gray-600">School</th>
+                      <th className="text-right px-3 py-2 font-medium text-gray-600">1st</th>
+                      <th className="text-right px-3 py-2 font-medium text-gray-600">2nd</th>
+                      <th className="text-right px-3 py-2 font-medium text-gray-600">3rd</th>
+                      <th className="text-right px-3 py-2 font-medium text-gray-600">Placed</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {preferenceReport.schools.length === 0 ? (
+                      <tr>
+                        <td colSpan={5} className="px-3 py-6 text-center text-gray-500">No preferences submitted yet</td>
+                      </tr>
+                    ) : preferenceReport.schools.map((school) => (
+                      <tr key={school.school_id}>
+                        <td className="px-3 py-2">
+                          <p className="font-medium">{school.school_name}</p>
+                          {school.lga && <p className="text-xs text-gray-500">{school.lga}</p>}
+                        </td>
+                        <td className="px-3 py-2 text-right">{school.first_choice}</td>
+                        <td className="px-3 py-2 text-right">{school.second_choice}</td>
+                        <td className="px-3 py-2 text-right">{school.third_choice}</td>
+                        <td className="px-3 py-2 text-right">{school.placed}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </Dialog>
+
       {/* Delete Confirmation Modal */}
       <Dialog
         isOpen={!!deletingAcceptance}
@@ -0,0 +1,363 @@
+/**
+ * Activity Log Page
+ * Searchable audit trail: who did what, to which record, and which fields
+ * changed. Filters can be preset from the URL, e.g.
+ * /admin/activity-log?resource_type=rank&resource_id=4
+ *
+ * Rendered with `global` on the admin subdomain, where it covers every
+ * institution (optionally narrowed to one).
+ */
+
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { IconRefresh, IconFilter, IconDownload, IconX } from '@tabler/icons-react';
+import { auditLogsApi, globalAuditLogsApi, institutionsApi } from '../../api';
+import { useToast } from '../../context/ToastContext';
+import { formatDateTime } from '../../utils/helpers';
+import { Card, CardContent } from '../../components/ui/Card';
+import { Button } from '../../components/ui/Button';
+import { Badge } from '../../components/ui/Badge';
+import { Select } from '../../components/ui/Select';
+import { Input } from '../../components/ui/Input';
+import { DataTable } from '../../components/ui/DataTable';
+
+const FILTER_KEYS = ['user_id', 'resource_type', 'resource_id', 'action', 'date_from', 'date_to', 'institution_id'];
+
+const USER_TYPE_VARIANTS = {
+  staff: 'info',
+  student: 'success',
+  system: 'default',
+};
+
+// rank_updated -> Rank Updated
+const formatName = (value) =>
+  value ? value.replace(/_/g, ' ').replace(/\b\w/g, (c) => c.toUpperCase()) : '-';
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+function ChangeList({ changes }) {
+  const fields = Object.entries(changes || {});
+  if (fields.length === 0) return <span className="text-gray-400">-</span>;
+
+  return (
+    <ul className="space-y-0.5 text-xs max-w-[360px]">
+      {fields.map(([field, { from, to }]) => (
+        <li key={field} className="truncate" title={`${field}: ${formatValue(from)} → ${formatValue(to)}`}>
+          <span className="font-medium text-gray-700">{field}</span>{' '}
+          <span className="text-red-600 line-through">{formatValue(from)}</span>
+          {' → '}
+          <span className="text-green-700">{formatValue(to)}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default function ActivityLogPage({ global = false }) {
+  const { toast } = useToast();
+  const api = global ? globalAuditLogsApi : auditLogsApi;
+  const [searchParams] = useSearchParams();
+
+  const [entries, setEntries] = useState([]);
+  const [filterOptions, setFilterOptions] = useState({ actions: [], resource_types: [], users: [] });
+  const [institutions, setInstitutions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [filters, setFilters] = useState(() =>
+    Object.fromEntries(FILTER_KEYS.map((key) => [key, searchParams.get(key) || '']))
+  );
+  const [pagination, setPagination] = useState({
+    page: 1,
+    limit: 50,
+    total: 0,
+  });
+
+  const queryFilters = useMemo(() => {
+    const params = {};
+    for (const key of FILTER_KEYS) {
+      const value = String(filters[key]).trim();
+      if (!value || (key === 'institution_id' && !global)) continue;
+      if (key === 'resource_id' && !/^\d+$/.test(value)) continue;
+      params[key] = value;
+    }
+    return params;
+  }, [filters, global]);
+
+  const hasFilters = Object.keys(queryFilters).length > 0;
+
+  useEffect(() => {
+    if (!global) return;
+    const fetchInstitutions = async () => {
+      try {
+        const response = await institutionsApi.getAll();
+        setInstitutions(response.data.data || []);
+      } catch (err) {
+        console.error('Failed to load institutions:', err);
+      }
+    };
+    fetchInstitutions();
+  }, [global]);
+
+  useEffect(() => {
+    const fetchFilterOptions = async () => {
+      try {
+        const response = await api.getFilters(
+          global && filters.institution_id ? { institution_id: filters.institution_id } : {}
+        );
+        setFilterOptions(response.data.data);
+      } catch (err) {
+        console.error('Failed to load activity log filters:', err);
+      }
+    };
+    fetchFilterOptions();
+  }, [api, global, filters.institution_id]);
+
+  const loadEntries = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.getLogs({
+        ...queryFilters,
+        page: pagination.page,
+        limit: pagination.limit,
+      });
+      setEntries(response.data.data || []);
+      setPagination((prev) => ({ ...prev, total: response.data.pagination?.total || 0 }));
+    } catch (err) {
+      toast.error('Failed to load activity log');
+    } finally {
+      setLoading(false);
+    }
+  }, [api, queryFilters, pagination.page, pagination.limit, toast]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const updateFilter = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+    setPagination((p) => ({ ...p, page: 1 }));
+  };
+
+  const clearFilters = () => {
+    setFilters(Object.fromEntries(FILTER_KEYS.map((key) => [key, ''])));
+    setPagination((p) => ({ ...p, page: 1 }));
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const response = await api.exportCsv(queryFilters);
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'text/csv' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `activity_log_${new Date().toISOString().slice(0, 10)}.csv`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      toast.error('Failed to export activity log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const columns = useMemo(() => [
+    {
+      accessor: 'created_at',
+      header: 'Time',
+      render: (value) => <span className="text-sm text-gray-700 whitespace-nowrap">{formatDateTime(value, '-')}</span>,
+    },
+    ...(global ? [{
+      accessor: 'institution_name',
+      header: 'Institution',
+      render: (value) => <span className="text-sm text-gray-700">{value}</span>,
+    }] : []),
+    {
+      accessor: 'user_name',
+      header: 'User',
+      render: (value, row) => (
+        <div>
+          <div className="text-sm text-gray-900">{value || (row.user_id ? `#${row.user_id}` : 'System')}</div>
+          <Badge variant={USER_TYPE_VARIANTS[row.user_type] || 'default'} className="mt-0.5 text-[10px]">
+            {formatName(row.user_type)}
+          </Badge>
+        </div>
+      ),
+    },
+    {
+      accessor: 'action',
+      header: 'Action',
+      render: (value) => <span className="text-sm text-gray-900">{formatName(value)}</span>,
+    },
+    {
+      accessor: 'resource_type',
+      header: 'Record',
+      render: (value, row) => (
+        <button
+          type="button"
+          className="text-sm text-primary-600 hover:underline text-left"
+          title="Show all activity on this record"
+          onClick={(e) => {
+            e.stopPropagation();
+            setFilters((prev) => ({ ...prev, resource_type: value, resource_id: row.resource_id ? String(row.resource_id) : '' }));
+            setPagination((p) => ({ ...p, page: 1 }));
+          }}
+        >
+          {formatName(value)}{row.resource_id ? ` #${row.resource_id}` : ''}
+        </button>
+      ),
+    },
+    {
+      accessor: 'changes',
+      header: 'Changes',
+      exportable: false,
+      render: (value) => <ChangeList changes={value} />,
+    },
+  ], [global]);
+
+  return (
+    <div className="space-y-3 sm:space-y-4">
+      {/* Page Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div className="min-w-0 flex-1">
+          <h1 className="text-xl sm:text-2xl font-bold text-gray-900">Activity Log</h1>
+          <p className="text-xs sm:text-sm text-gray-600 truncate">
+            Who changed what, and when - every change made through the platform
+          </p>
+        </div>
+        <div className="flex gap-2 flex-shrink-0">
+          <Button
+            variant="outline"
+            onClick={handleExport}
+            size="sm"
+            loading={exporting}
+            className="active:scale-95"
+          >
+            <IconDownload className="w-4 h-4 sm:mr-2" />
+            <span className="hidden sm:inline">Export CSV</span>
+          </Button>
+          <Button
+            variant="outline"
+            onClick={loadEntries}
+            size="sm"
+            className="active:scale-95"
+          >
+            <IconRefresh className="w-4 h-4 sm:mr-2" />
+            <span className="hidden sm:inline">Refresh</span>
+          </Button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <Card>
+        <CardContent className="p-3 sm:p-4 space-y-2 sm:space-y-3">
+          <div className="flex flex-col sm:flex-row sm:items-center gap-2 sm:gap-4">
+            <IconFilter className="w-5 h-5 text-gray-400 hidden sm:block" />
+            <div className="grid grid-cols-2 sm:flex sm:flex-wrap gap-2 sm:gap-4 flex-1">
+              <Select
+                value={filters.user_id}
+                onChange={(e) => updateFilter('user_id', e.target.value)}
+                className="text-sm sm:w-48"
+              >
+                <option value="">All Users</option>
+                {filterOptions.users.map((user) => (
+                  <option key={user.id} value={user.id}>{user.name}</option>
+                ))}
+              </Select>
+              <Select
+                value={filters.resource_type}
+                onChange={(e) => updateFilter('resource_type', e.target.value)}
+                className="text-sm sm:w-44"
+              >
+                <option value="">All Records</option>
+                {filterOptions.resource_types.map((type) => (
+                  <option key={type} value={type}>{formatName(type)}</option>
+                ))}
+              </Select>
+              <Input
+                placeholder="Record ID"
+                value={filters.resource_id}
+                onChange={(e) => updateFilter('resource_id', e.target.value)}
+                className="text-sm sm:w-28"
+                inputMode="numeric"
+              />
+              <Select
+                value={filters.action}
+                onChange={(e) => updateFilter('action', e.target.value)}
+                className="text-sm sm:w-52"
+              >
+                <option value="">All Actions</option>
+                {filterOptions.actions.map((action) => (
+                  <option key={action} value={action}>{formatName(action)}</option>
+                ))}
+              </Select>
+              {global && (
+                <Select
+                  value={filters.institution_id}
+                  onChange={(e) => updateFilter('institution_id', e.target.value)}
+                  className="text-sm sm:w-48"
+                >
+                  <option value="">All Institutions</option>
+                  {institutions.map((institution) => (
+                    <option key={institution.id} value={institution.id}>{institution.name}</option>
+                  ))}
+                </Select>
+              )}
+            </div>
+          </div>
+          <div className="flex flex-wrap items-center gap-2 sm:gap-4 sm:pl-9">
+            <label className="flex items-center gap-2 text-xs text-gray-500">
+              From
+              <Input
+                type="date"
+                value={filters.date_from}
+                onChange={(e) => updateFilter('date_from', e.target.value)}
+                className="text-sm"
+              />
+            </label>
+            <label className="flex items-center gap-2 text-xs text-gray-500">
+              To
+              <Input
+                type="date"
+                value={filters.date_to}
+                onChange={(e) => updateFilter('date_to', e.target.value)}
+                className="text-sm"
+              />
+            </label>
+            {hasFilters && (
+              <Button variant="ghost" size="sm" onClick={clearFilters}>
+                <IconX className="w-4 h-4 mr-1" />
+                Clear filters
+              </Button>
+            )}
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardContent className="p-0">
+          <DataTable
+            data={entries}
+            columns={columns}
+            keyField="id"
+            loading={loading}
+            emptyTitle="No activity found"
+            emptyDescription={hasFilters ? 'Try widening the filters' : 'Changes made through the platform are recorded here'}
+            pagination={{
+              page: pagination.page,
+              limit: pagination.limit,
+              total: pagination.total,
+              onPageChange: (page) => setPagination((p) => ({ ...p, page })),
+              onLimitChange: (limit) => setPagination((p) => ({ ...p, limit, page: 1 })),
+            }}
+          />
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -3,6 +3,9 @@
  * 
  * Admin page to view and manage supervisor location verification logs.
  * Shows all location verifications with filtering and override capabilities.
+ * Check-in selfies and site photos are shown as thumbnails, flagged when the
+ * same image was submitted on another check-in. Each check-in carries an
+ * anomaly risk score; "Rescore" re-runs the scorer over recorded check-ins.
  */
 
 import { useState, useEffect, useMemo, useCallback } from 'react';
@@ -28,10 +31,69 @@ import {
   IconSchool,
   IconLoader2,
   IconShieldCheck,
+  IconPhoto,
+  IconCopy,
+  IconRadar,
 } from '@tabler/icons-react';
 import { formatDate } from '../../utils/helpers';
 import { createExportAllHandler } from '../../utils/exportAll';
 
+const RISK_BADGES = {
+  high: { variant: 'danger', label: 'High' },
+  medium: { variant: 'warning', label: 'Medium' },
+  low: { variant: 'success', label: 'Low' },
+};
+
+const RISK_FLAG_LABELS = {
+  impossible_travel: 'Impossible travel',
+  perfect_accuracy: 'Perfect accuracy',
+  clock_drift: 'Clock drift',
+  shared_device: 'Shared device',
+  identical_coordinates: 'Identical coordinates',
+  deferred_sync: 'Synced from offline',
+};
+
+function RiskBadge({ level, score }) {
+  if (!level) return <span className="text-xs text-gray-400">Not scored</span>;
+  const { variant, label } = RISK_BADGES[level];
+  return (
+    <Badge variant={variant}>
+      {label} ({score})
+    </Badge>
+  );
+}
+
+const CHECKIN_PHOTOS = [
+  { key: 'selfie', label: 'Selfie' },
+  { key: 'environment_photo', label: 'School environment' },
+];
+
+function CheckinThumbnails({ log }) {
+  const captured = CHECKIN_PHOTOS.filter(({ key }) => log[`${key}_url`]);
+  if (captured.length === 0) return <span className="text-xs text-gray-400">None</span>;
+
+  const reused = CHECKIN_PHOTOS.some(({ key }) => log[`${key}_reused`]);
+  return (
+    <div className="flex items-center gap-1">
+      {captured.map(({ key, label }) => (
+        <a key={key} href={log[`${key}_url`]} target="_blank" rel="noopener noreferrer" title={label}>
+          <img
+            src={log[`${key}_url`]}
+            alt={label}
+            className={`h-10 w-10 rounded object-cover ${log[`${key}_reused`] ? 'ring-2 ring-red-500' : ''}`}
+          />
+        </a>
+      ))}
+      {reused && (
+        <Badge variant="danger" className="flex items-center gap-1" title="Same image submitted on another check-in">
+          <IconCopy className="h-3 w-3" />
+          Reused
+        </Badge>
+      )}
+    </div>
+  );
+}
+
 function AdminLocationLogsPage() {
   const { hasRole } = useAuth();
   const { toast } = useToast();
@@ -49,6 +111,10 @@ function AdminLocationLogsPage() {
   const [selectedSupervisor, setSelectedSupervisor] = useState('');
   const [selectedStatus, setSelectedStatus] = useState('');
   const [suspiciousOnly, setSuspiciousOnly] = useState(false);
+  const [photoReusedOnly, setPhotoReusedOnly] = useState(false);
+  const [selectedRisk, setSelectedRisk] = useState('');
+  const [selectedSyncMode, setSelectedSyncMode] = useState('');
+  const [rescoring, setRescoring] = useState(false);
 
   // Pagination
   const [pagination, setPagination] = useState({ page: 1, limit: 50, total: 0 });
@@ -92,8 +158,11 @@ function AdminLocationLogsPage() {
     if (selectedSupervisor) params.supervisor_id = selectedSupervisor;
     if (selectedStatus) params.status = selectedStatus;
     if (suspiciousOnly) params.suspicious_only = 'true';
+    if (photoReusedOnly) params.photo_reused = 'true';
+    if (selectedRisk) params.risk_level = selectedRisk;
+    if (selectedSyncMode) params.sync_mode = selectedSyncMode;
     return params;
-  }, [selectedSession, selectedSupervisor, selectedStatus, suspiciousOnly]);
+  }, [selectedSession, selectedSupervisor, selectedStatus, suspiciousOnly, photoReusedOnly, selectedRisk, selectedSyncMode]);
 
   const fetchLogs = useCallback(async () => {
     setLoading(true);
@@ -158,6 +227,22 @@ function AdminLocationLogsPage() {
     fetchStats();
   };
 
+  const handleRescore = async () => {
+    setRescoring(true);
+    try {
+      const response = await locationApi.rescoreLocationLogs(
+        selectedSession ? { session_id: parseInt(selectedSession) } : {}
+      );
+      toast.success(response.data.message || 'Check-ins rescored');
+      fetchLogs();
+      fetchStats();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to rescore check-ins');
+    } finally {
+      setRescoring(false);
+    }
+  };
+
   const handleViewDetails = (log) => {
     setSelectedLog(log);
     setDetailDialogOpen(true);
@@ -237,6 +322,27 @@ function AdminLocationLogsPage() {
           </div>
         ),
       },
+      {
+        accessor: 'selfie_url',
+        header: 'Photos',
+        sortable: false,
+        exportable: false,
+        render: (_, row) => <CheckinThumbnails log={row} />,
+      },
+      {
+        accessor: 'risk_level',
+        header: 'Risk',
+        render: (value, row) => (
+          <div title={(row.risk_flags || []).map((f) => f.detail).join('\n')}>
+            <RiskBadge level={value} score={row.risk_score} />
+            {row.risk_flags?.length > 0 && (
+              <div className="mt-1 text-xs text-gray-500">
+                {row.risk_flags.map((f) => RISK_FLAG_LABELS[f.code] || f.code).join(', ')}
+              </div>
+            )}
+          </div>
+        ),
+      },
       {
         accessor: 'validation_status',
         header: 'Status',
@@ -276,9 +382,18 @@ function AdminLocationLogsPage() {
       {
         accessor: 'created_at',
         header: 'Recorded At',
-        render: (value) => (
-          <span className="text-sm text-gray-500">{formatDate(value, 'datetime')}</span>
-        ),
+        // Deferred check-ins were captured offline: show the capture time
+        render: (value, row) =>
+          row.sync_mode === 'deferred' ? (
+            <div className="text-sm text-gray-500">
+              <span>{formatDate(row.timestamp_client, 'datetime')}</span>
+              <Badge variant="outline" className="mt-1 block w-fit" title={`Synced ${formatDate(row.synced_at, 'datetime')}`}>
+                Deferred sync
+              </Badge>
+            </div>
+          ) : (
+            <span className="text-sm text-gray-500">{formatDate(value, 'datetime')}</span>
+          ),
       },
       {
         accessor: 'actions',
@@ -355,6 +470,28 @@ function AdminLocationLogsPage() {
         <option value="overridden">Overridden</option>
       </Select>
 
+      <Select
+        value={selectedRisk}
+        onChange={(e) => setSelectedRisk(e.target.value)}
+        className="w-auto"
+      >
+        <option value="">All Risk Levels</option>
+        <option value="high">High Risk</option>
+        <option value="medium">Medium Risk</option>
+        <option value="low">Low Risk</option>
+        <option value="unscored">Not Scored</option>
+      </Select>
+
+      <Select
+        value={selectedSyncMode}
+        onChange={(e) => setSelectedSyncMode(e.target.value)}
+        className="w-auto"
+      >
+        <option value="">All Check-ins</option>
+        <option value="live">Live</option>
+        <option value="deferred">Captured Offline</option>
+      </Select>
+
       <label className="flex items-center gap-2 cursor-pointer">
         <input
           type="checkbox"
@@ -364,6 +501,16 @@ function AdminLocationLogsPage() {
         />
         <span className="text-sm text-gray-700 whitespace-nowrap">Suspicious only</span>
       </label>
+
+      <label className="flex items-center gap-2 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={photoReusedOnly}
+          onChange={(e) => setPhotoReusedOnly(e.target.checked)}
+          className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+        />
+        <span className="text-sm text-gray-700 whitespace-nowrap">Reused photos only</span>
+      </label>
     </div>
   );
 
@@ -377,10 +524,21 @@ function AdminLocationLogsPage() {
             Review and manage supervisor location verifications
           </p>
         </div>
-        <Button variant="outline" onClick={handleRefresh} disabled={loading}>
-          <IconRefresh className={`h-4 w-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
-          Refresh
-        </Button>
+        <div className="flex items-center gap-2">
+          <Button
+            variant="outline"
+            onClick={handleRescore}
+            loading={rescoring}
+            title="Re-run anomaly scoring over recorded check-ins"
+          >
+            <IconRadar className="h-4 w-4 mr-2" />
+            Rescore
+          </Button>
+          <Button variant="outline" onClick={handleRefresh} disabled={loading}>
+            <IconRefresh className={`h-4 w-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </Button>
+        </div>
       </div>
 
       {/* Statistics Cards */}
@@ -444,6 +602,42 @@ function AdminLocationLogsPage() {
         </div>
       )}
 
+      {/* Risk Summary */}
+      {stats?.risk && (
+        <Card>
+          <CardContent className="p-4">
+            <div className="flex flex-wrap items-center gap-x-6 gap-y-2">
+              <div className="flex items-center gap-2">
+                <IconRadar className="h-5 w-5 text-gray-500" />
+                <span className="text-sm font-medium text-gray-700">Check-in risk</span>
+              </div>
+              {['high', 'medium', 'low'].map((level) => (
+                <button
+                  key={level}
+                  type="button"
+                  onClick={() => setSelectedRisk(selectedRisk === level ? '' : level)}
+                  className="flex items-center gap-2"
+                  title={`Show ${level} risk check-ins`}
+                >
+                  <Badge variant={RISK_BADGES[level].variant}>{RISK_BADGES[level].label}</Badge>
+                  <span className="text-sm font-semibold text-gray-900">{stats.risk[level]}</span>
+                </button>
+              ))}
+              {stats.risk.unscored > 0 && (
+                <span className="text-sm text-gray-500">{stats.risk.unscored} not scored</span>
+              )}
+              <div className="flex flex-wrap gap-2 text-xs text-gray-600 sm:ml-auto">
+                {Object.entries(stats.risk.flags || {}).map(([code, count]) => (
+                  <span key={code} className="rounded bg-gray-100 px-2 py-0.5">
+                    {RISK_FLAG_LABELS[code] || code}: {count}
+                  </span>
+                ))}
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
       {/* Logs Table */}
       <DataTable
         columns={columns}
@@ -511,6 +705,77 @@ function AdminLocationLogsPage() {
                   <span className="text-gray-500">Geofence Radius:</span>
                   <span className="ml-2">{selectedLog.geofence_radius_m}m</span>
                 </div>
+                {selectedLog.sync_mode === 'deferred' && (
+                  <>
+                    <div>
+                      <span className="text-gray-500">Captured Offline:</span>
+                      <span className="ml-2">{formatDate(selectedLog.timestamp_client, 'datetime')}</span>
+                    </div>
+                    <div>
+                      <span className="text-gray-500">Synced:</span>
+                      <span className="ml-2">
+                        {formatDate(selectedLog.synced_at, 'datetime')} (sequence {selectedLog.client_sequence})
+                      </span>
+                    </div>
+                  </>
+                )}
+              </div>
+            </div>
+
+            {/* Risk Assessment */}
+            <div className="rounded-lg border border-gray-200 p-4">
+              <div className="mb-3 flex items-center justify-between">
+                <h4 className="font-medium text-gray-900 flex items-center gap-2">
+                  <IconRadar className="h-4 w-4" />
+                  Risk Assessment
+                </h4>
+                <RiskBadge level={selectedLog.risk_level} score={selectedLog.risk_score} />
+              </div>
+              {selectedLog.risk_flags?.length > 0 ? (
+                <ul className="space-y-1 text-sm">
+                  {selectedLog.risk_flags.map((flag) => (
+                    <li key={flag.code} className="flex items-start gap-2">
+                      <IconAlertTriangle className="mt-0.5 h-4 w-4 flex-shrink-0 text-amber-500" />
+                      <span>
+                        <span className="font-medium">{RISK_FLAG_LABELS[flag.code] || flag.code}:</span>{' '}
+                        {flag.detail}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-sm text-gray-500">
+                  {selectedLog.risk_level ? 'No anomalies detected.' : 'Not scored yet - use Rescore.'}
+                </p>
+              )}
+            </div>
+
+            {/* Check-in Photos */}
+            <div className="rounded-lg border border-gray-200 p-4">
+              <h4 className="font-medium text-gray-900 mb-3 flex items-center gap-2">
+                <IconPhoto className="h-4 w-4" />
+                Check-in Photos
+              </h4>
+              <div className="grid grid-cols-2 gap-3">
+                {CHECKIN_PHOTOS.map(({ key, label }) => (
+                  <div key={key}>
+                    <div className="mb-1 flex items-center justify-between">
+                      <span className="text-xs font-medium text-gray-500 uppercase">{label}</span>
+                      {selectedLog[`${key}_reused`] && <Badge variant="danger">Reused</Badge>}
+                    </div>
+                    {selectedLog[`${key}_url`] ? (
+                      <a href={selectedLog[`${key}_url`]} target="_blank" rel="noopener noreferrer">
+                        <img
+                          src={selectedLog[`${key}_url`]}
+                          alt={label}
+                          className="h-48 w-full rounded object-cover"
+                        />
+                      </a>
+                    ) : (
+                      <p className="text-sm text-gray-400">Not captured</p>
+                    )}
+                  </div>
+                ))}
               </div>
             </div>
 
@@ -37,6 +37,7 @@ import {
   IconGripVertical,
   IconArrowBack,
   IconSearch,
+  IconFileTypePdf,
 } from '@tabler/icons-react';
 import { getOrdinal } from '../../utils/helpers';
 import { createExportAllHandler } from '../../utils/exportAll';
@@ -103,6 +104,11 @@ function AdminResultsPage() {
   const [savingCriteria, setSavingCriteria] = useState(false);
   const [deletingCriteriaId, setDeletingCriteriaId] = useState(null);
 
+  // PDF Broadsheet Dialog
+  const [broadsheetDialogOpen, setBroadsheetDialogOpen] = useState(false);
+  const [broadsheetGroupBy, setBroadsheetGroupBy] = useState('program');
+  const [downloadingBroadsheet, setDownloadingBroadsheet] = useState(false);
+
   // Confirm Dialog state
   const [confirmDialog, setConfirmDialog] = useState({
     isOpen: false,
@@ -256,6 +262,32 @@ function AdminResultsPage() {
     [resultFilterParams, toast]
   );
 
+  // Download the printable broadsheet for every student matching the filters
+  const handleDownloadBroadsheet = async () => {
+    try {
+      setDownloadingBroadsheet(true);
+      const response = await resultsApi.exportPDF({
+        ...resultFilterParams,
+        group_by: broadsheetGroupBy,
+      });
+      const sessionName = sessionInfo?.code || sessionInfo?.name || selectedSession;
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `results_broadsheet_${String(sessionName).replace(/[^\w-]+/g, '-')}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+      setBroadsheetDialogOpen(false);
+    } catch (err) {
+      console.error('Broadsheet download error:', err);
+      toast.error('Failed to generate results broadsheet');
+    } finally {
+      setDownloadingBroadsheet(false);
+    }
+  };
+
   useEffect(() => {
     fetchSessions();
     fetchScoringCriteria();
@@ -1133,6 +1165,17 @@ function AdminResultsPage() {
             </Button>
           )}
 
+          <Button
+            variant="outline"
+            onClick={() => setBroadsheetDialogOpen(true)}
+            disabled={!selectedSession}
+            size="sm"
+            className="active:scale-95"
+          >
+            <IconFileTypePdf className="w-4 h-4 sm:mr-2" />
+            <span className="hidden sm:inline">PDF Broadsheet</span>
+          </Button>
+
           <Button variant="outline" onClick={fetchStudentsWithResults} disabled={loading} size="sm" className="active:scale-95">
             <IconRefresh className="w-4 h-4 sm:mr-2" />
             <span className="hidden sm:inline">Refresh</span>
@@ -1353,6 +1396,44 @@ function AdminResultsPage() {
         )}
       </Dialog>
 
+      {/* PDF Broadsheet Dialog */}
+      <Dialog
+        isOpen={broadsheetDialogOpen}
+        onClose={() => setBroadsheetDialogOpen(false)}
+        title="Download Results Broadsheet"
+        width="md"
+        footer={
+          <>
+            <Button variant="outline" onClick={() => setBroadsheetDialogOpen(false)} disabled={downloadingBroadsheet}>
+              Cancel
+            </Button>
+            <Button onClick={handleDownloadBroadsheet} loading={downloadingBroadsheet}>
+              <IconFileTypePdf className="w-4 h-4 mr-2" />
+              Download PDF
+            </Button>
+          </>
+        }
+      >
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            A printable broadsheet of every student matching the current session, school and search filters,
+            with {scoringType === 'advanced' ? 'per-criterion averages, ' : ''}visit scores and signature blocks.
+          </p>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Group students by</label>
+            <Select
+              value={broadsheetGroupBy}
+              onChange={(e) => setBroadsheetGroupBy(e.target.value)}
+              className="text-sm"
+            >
+              <option value="program">Program</option>
+              <option value="department">Department</option>
+              <option value="school">School</option>
+            </Select>
+          </div>
+        </div>
+      </Dialog>
+
       {/* Criteria Management Dialog */}
       <Dialog
         isOpen={criteriaDialogOpen}
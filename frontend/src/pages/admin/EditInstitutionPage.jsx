@@ -15,6 +15,7 @@ import {
   InstitutionInfoForm,
   BrandingForm,
   SmtpForm,
+  SmsForm,
   PaymentForm,
   GeneralForm,
 } from '../../components/forms/InstitutionFormSections';
@@ -30,6 +31,7 @@ import {
   IconPalette,
   IconCheck,
   IconKey,
+  IconMessage,
 } from '@tabler/icons-react';
 
 export default function EditInstitutionPage() {
@@ -44,6 +46,9 @@ export default function EditInstitutionPage() {
   const [testingSmtp, setTestingSmtp] = useState(false);
   const [smtpTestResult, setSmtpTestResult] = useState(null);
   const [smtpTestResultType, setSmtpTestResultType] = useState(null);
+  const [testingSms, setTestingSms] = useState(false);
+  const [smsTestResult, setSmsTestResult] = useState(null);
+  const [smsTestResultType, setSmsTestResultType] = useState(null);
   const [testingPaystack] = useState(false);
   const [programs] = useState([]);
   const [institutionName, setInstitutionName] = useState('');
@@ -52,6 +57,7 @@ export default function EditInstitutionPage() {
   const [savingInstitution, setSavingInstitution] = useState(false);
   const [savingBranding, setSavingBranding] = useState(false);
   const [savingSmtp, setSavingSmtp] = useState(false);
+  const [savingSms, setSavingSms] = useState(false);
   const [savingGeneral, setSavingGeneral] = useState(false);
   const [savingPayment, setSavingPayment] = useState(false);
   
@@ -60,6 +66,7 @@ export default function EditInstitutionPage() {
     institution: false,
     branding: false,
     smtp: false,
+    sms: false,
     general: false,
     payment: false,
   });
@@ -97,6 +104,14 @@ export default function EditInstitutionPage() {
     smtp_from_email: '',
   });
 
+  // SMS tab state
+  const [smsData, setSmsData] = useState({
+    sms_provider: '',
+    sms_api_key: '',
+    sms_username: '',
+    sms_sender_id: '',
+  });
+
   // General tab state
   const [generalData, setGeneralData] = useState({
     maintenance_mode: false,
@@ -104,6 +119,7 @@ export default function EditInstitutionPage() {
     allow_student_portal: true,
     require_pin_change: true,
     session_timeout_minutes: 1440,
+    two_factor_policy: 'optional',
   });
 
   // Payment tab state
@@ -117,12 +133,16 @@ export default function EditInstitutionPage() {
     paystack_public_key: '',
     paystack_secret_key: '',
     paystack_split_code: '',
+    payment_gateway: 'paystack',
+    payment_gateway_credentials: {},
   });
+  const [paymentGateways, setPaymentGateways] = useState([]);
 
   const tabs = [
     { id: 'institution', name: 'Institution', icon: IconBuilding },
     { id: 'branding', name: 'Branding', icon: IconPalette },
     { id: 'smtp', name: 'Email (SMTP)', icon: IconMail },
+    { id: 'sms', name: 'SMS', icon: IconMessage },
     { id: 'payment', name: 'Payment', icon: IconCreditCard },
     { id: 'general', name: 'General', icon: IconSettings },
     { id: 'apikeys', name: 'API Keys', icon: IconKey },
@@ -171,12 +191,20 @@ export default function EditInstitutionPage() {
           smtp_from_email: inst.smtp_from_email || '',
         });
 
+        setSmsData({
+          sms_provider: inst.sms_provider || '',
+          sms_api_key: inst.sms_api_key || '',
+          sms_username: inst.sms_username || '',
+          sms_sender_id: inst.sms_sender_id || '',
+        });
+
         setGeneralData({
           maintenance_mode: inst.maintenance_mode || false,
           maintenance_message: inst.maintenance_message || '',
           allow_student_portal: inst.allow_student_portal == null ? true : !!inst.allow_student_portal,
           require_pin_change: inst.require_pin_change == null ? true : !!inst.require_pin_change,
           session_timeout_minutes: inst.session_timeout_minutes || 1440,
+          two_factor_policy: inst.two_factor_policy || 'optional',
         });
 
         // Payment configuration
@@ -198,7 +226,10 @@ export default function EditInstitutionPage() {
           paystack_public_key: inst.paystack_public_key || '',
           paystack_secret_key: inst.paystack_secret_key || '',
           paystack_split_code: inst.paystack_split_code || '',
+          payment_gateway: inst.payment_gateway || 'paystack',
+          payment_gateway_credentials: inst.payment_gateway_credentials || {},
         });
+        setPaymentGateways(inst.payment_gateways || []);
       }
       
       // Reset dirty states
@@ -206,6 +237,7 @@ export default function EditInstitutionPage() {
         institution: false,
         branding: false,
         smtp: false,
+        sms: false,
         general: false,
         payment: false,
       });
@@ -237,6 +269,11 @@ export default function EditInstitutionPage() {
     setDirtyTabs(prev => ({ ...prev, smtp: true }));
   };
 
+  const handleSmsChange = (name, value) => {
+    setSmsData(prev => ({ ...prev, [name]: value }));
+    setDirtyTabs(prev => ({ ...prev, sms: true }));
+  };
+
   const handleGeneralChange = (name, value) => {
     setGeneralData(prev => ({ ...prev, [name]: value }));
     setDirtyTabs(prev => ({ ...prev, general: true }));
@@ -247,6 +284,20 @@ export default function EditInstitutionPage() {
     setDirtyTabs(prev => ({ ...prev, payment: true }));
   };
 
+  const handleGatewayCredentialChange = (field, value) => {
+    setPaymentConfig(prev => ({
+      ...prev,
+      payment_gateway_credentials: {
+        ...prev.payment_gateway_credentials,
+        [prev.payment_gateway]: {
+          ...prev.payment_gateway_credentials[prev.payment_gateway],
+          [field]: value,
+        },
+      },
+    }));
+    setDirtyTabs(prev => ({ ...prev, payment: true }));
+  };
+
   const handleProgramPricingChange = (programId, value) => {
     setPaymentConfig(prev => ({
       ...prev,
@@ -311,6 +362,25 @@ export default function EditInstitutionPage() {
     }
   };
 
+  const handleSaveSms = async () => {
+    try {
+      setSavingSms(true);
+      // Don't send the masked API key back
+      const payload = { ...smsData, sms_provider: smsData.sms_provider || null };
+      if (!payload.sms_api_key || payload.sms_api_key.includes('••••')) {
+        delete payload.sms_api_key;
+      }
+      await institutionsApi.update(id, payload);
+      toast.success('SMS settings saved successfully');
+      setDirtyTabs(prev => ({ ...prev, sms: false }));
+    } catch (error) {
+      console.error('Failed to save SMS settings:', error);
+      toast.error(error.response?.data?.message || 'Failed to save SMS settings');
+    } finally {
+      setSavingSms(false);
+    }
+  };
+
   const handleSaveGeneral = async () => {
     try {
       setSavingGeneral(true);
@@ -343,7 +413,14 @@ export default function EditInstitutionPage() {
         payment_minimum_percentage: parseFloat(paymentConfig.minimum_payment_percentage) || 100,
         payment_program_pricing: paymentConfig.program_pricing,
         paystack_split_code: paymentConfig.paystack_split_code,
+        payment_gateway: paymentConfig.payment_gateway,
       };
+
+      // Other gateways: masked values are kept by the server
+      if (paymentConfig.payment_gateway !== 'paystack') {
+        payload.payment_gateway_credentials =
+          paymentConfig.payment_gateway_credentials[paymentConfig.payment_gateway] || {};
+      }
       
       // Only include Paystack keys if not masked
       if (!isMasked(paymentConfig.paystack_public_key)) {
@@ -390,6 +467,27 @@ export default function EditInstitutionPage() {
     }
   };
 
+  const handleTestSms = async (testPhone) => {
+    setTestingSms(true);
+    setSmsTestResult(null);
+    setSmsTestResultType(null);
+
+    try {
+      const response = await institutionsApi.testSms(id, testPhone);
+      const message = response.data?.message || 'Test SMS sent successfully!';
+      setSmsTestResult(message);
+      setSmsTestResultType('success');
+      toast.success(message);
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to send test SMS';
+      setSmsTestResult(errorMessage);
+      setSmsTestResultType('error');
+      toast.error(errorMessage);
+    } finally {
+      setTestingSms(false);
+    }
+  };
+
   const handleTestPaystack = async () => {
     toast.info('Paystack test not available for remote institutions');
   };
@@ -487,6 +585,31 @@ export default function EditInstitutionPage() {
     </div>
   );
 
+  const renderSmsTab = () => (
+    <div className="space-y-4">
+      <SmsForm
+        data={smsData}
+        onChange={handleSmsChange}
+        onTest={handleTestSms}
+        testing={testingSms}
+        testResult={smsTestResult}
+        testResultType={smsTestResultType}
+      />
+
+      <div className="flex justify-end">
+        <Button
+          onClick={handleSaveSms}
+          loading={savingSms}
+          disabled={!dirtyTabs.sms}
+        >
+          <IconDeviceFloppy className="w-4 h-4 mr-2" />
+          {savingSms ? 'Saving...' : 'Save SMS Settings'}
+          {!dirtyTabs.sms && <IconCheck className="w-4 h-4 ml-2 text-green-500" />}
+        </Button>
+      </div>
+    </div>
+  );
+
   const renderPaymentTab = () => (
     <div className="space-y-4">
       <PaymentForm
@@ -498,6 +621,8 @@ export default function EditInstitutionPage() {
         onTestPaystack={handleTestPaystack}
         testingPaystack={testingPaystack}
         institutionId={id}
+        gateways={paymentGateways}
+        onCredentialChange={handleGatewayCredentialChange}
       />
 
       <div className="flex justify-end">
@@ -514,6 +639,7 @@ export default function EditInstitutionPage() {
       <GeneralForm
         data={generalData}
         onChange={handleGeneralChange}
+        showTwoFactorPolicy
       />
 
       <div className="flex justify-end">
@@ -545,6 +671,8 @@ export default function EditInstitutionPage() {
         return renderBrandingTab();
       case 'smtp':
         return renderSmtpTab();
+      case 'sms':
+        return renderSmsTab();
       case 'payment':
         return renderPaymentTab();
       case 'general':
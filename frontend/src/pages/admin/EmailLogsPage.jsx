@@ -0,0 +1,567 @@
+/**
+ * Email Logs Page
+ * Delivery log and dead-letter queue for outgoing email and SMS. Shows why a
+ * send failed and lets the TP office put failed messages back on the queue.
+ *
+ * Rendered with `global` on the admin subdomain, where it covers every
+ * institution (optionally narrowed to one).
+ */
+
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  IconMail,
+  IconMailCheck,
+  IconMailX,
+  IconPercentage,
+  IconInbox,
+  IconRefresh,
+  IconFilter,
+  IconRotateClockwise,
+  IconTrash,
+} from '@tabler/icons-react';
+import { emailLogsApi, globalEmailLogsApi, institutionsApi } from '../../api';
+import { useToast } from '../../context/ToastContext';
+import { cn, formatDateTime } from '../../utils/helpers';
+import { Card, CardContent } from '../../components/ui/Card';
+import { Button } from '../../components/ui/Button';
+import { Badge } from '../../components/ui/Badge';
+import { Select } from '../../components/ui/Select';
+import { Input } from '../../components/ui/Input';
+import { DataTable } from '../../components/ui/DataTable';
+import { ConfirmDialog } from '../../components/ui/ConfirmDialog';
+
+const STATUS_VARIANTS = {
+  sent: 'success',
+  failed: 'error',
+  bounced: 'warning',
+};
+
+const QUEUE_STATUS_LABELS = {
+  pending: 'Retrying',
+  processing: 'Sending',
+  completed: 'Delivered',
+  'dead-letter': 'Gave up',
+};
+
+// passwordReset -> Password Reset
+const formatTemplate = (template) =>
+  template ? template.replace(/([A-Z])/g, ' $1').replace(/^./, (c) => c.toUpperCase()) : '-';
+
+const renderTemplate = (value, row) => (
+  <div className="flex items-center gap-2">
+    <span className="text-sm text-gray-700">{formatTemplate(value)}</span>
+    {row.channel === 'sms' && <Badge variant="info">SMS</Badge>}
+  </div>
+);
+
+export default function EmailLogsPage({ global = false }) {
+  const { toast } = useToast();
+  const api = global ? globalEmailLogsApi : emailLogsApi;
+
+  const [activeTab, setActiveTab] = useState('logs');
+  const [stats, setStats] = useState(null);
+  const [logs, setLogs] = useState([]);
+  const [deadLetters, setDeadLetters] = useState([]);
+  const [institutions, setInstitutions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [filters, setFilters] = useState({
+    channel: '',
+    template: '',
+    recipient: '',
+    status: '',
+    institution_id: '',
+  });
+  const [pagination, setPagination] = useState({
+    page: 1,
+    limit: 50,
+    total: 0,
+  });
+
+  const [retrying, setRetrying] = useState(null);
+  const [confirmAction, setConfirmAction] = useState(null);
+  const [processing, setProcessing] = useState(false);
+
+  // Recipient is matched exactly against a hash, so only send complete addresses or numbers
+  const queryFilters = useMemo(() => {
+    const params = {};
+    const recipient = filters.recipient.trim();
+    if (filters.channel) params.channel = filters.channel;
+    if (filters.template) params.template = filters.template;
+    if (recipient.includes('@') || recipient.replace(/\D/g, '').length >= 10) params.recipient = recipient;
+    if (global && filters.institution_id) params.institution_id = filters.institution_id;
+    return params;
+  }, [filters.channel, filters.template, filters.recipient, filters.institution_id, global]);
+
+  const templateOptions = useMemo(() => {
+    if (filters.channel === 'sms') return stats?.sms_templates || [];
+    if (filters.channel === 'email') return stats?.templates || [];
+    return [...(stats?.templates || []), ...(stats?.sms_templates || [])]
+      .filter((template, index, all) => all.indexOf(template) === index);
+  }, [stats, filters.channel]);
+
+  useEffect(() => {
+    if (!global) return;
+    const fetchInstitutions = async () => {
+      try {
+        const response = await institutionsApi.getAll();
+        setInstitutions(response.data.data || []);
+      } catch (err) {
+        console.error('Failed to load institutions:', err);
+      }
+    };
+    fetchInstitutions();
+  }, [global]);
+
+  const loadStats = useCallback(async () => {
+    try {
+      const response = await api.getStats({
+        ...(global && filters.institution_id && { institution_id: filters.institution_id }),
+        ...(filters.channel && { channel: filters.channel }),
+      });
+      setStats(response.data.data);
+    } catch (err) {
+      console.error('Failed to load email stats:', err);
+    }
+  }, [api, global, filters.institution_id, filters.channel]);
+
+  const loadLogs = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.getLogs({
+        ...queryFilters,
+        ...(filters.status && { status: filters.status }),
+        page: pagination.page,
+        limit: pagination.limit,
+      });
+      setLogs(response.data.data || []);
+      setPagination((prev) => ({ ...prev, total: response.data.pagination?.total || 0 }));
+    } catch (err) {
+      toast.error('Failed to load email logs');
+    } finally {
+      setLoading(false);
+    }
+  }, [api, queryFilters, filters.status, pagination.page, pagination.limit, toast]);
+
+  const loadDeadLetters = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.getDeadLetters({ ...queryFilters, limit: 200 });
+      setDeadLetters(response.data.data || []);
+    } catch (err) {
+      toast.error('Failed to load failed emails');
+    } finally {
+      setLoading(false);
+    }
+  }, [api, queryFilters, toast]);
+
+  useEffect(() => {
+    loadStats();
+  }, [loadStats]);
+
+  useEffect(() => {
+    if (activeTab === 'logs') {
+      loadLogs();
+    } else {
+      loadDeadLetters();
+    }
+  }, [activeTab, loadLogs, loadDeadLetters]);
+
+  const refresh = useCallback(() => {
+    loadStats();
+    if (activeTab === 'logs') {
+      loadLogs();
+    } else {
+      loadDeadLetters();
+    }
+  }, [activeTab, loadStats, loadLogs, loadDeadLetters]);
+
+  const updateFilter = (key, value) => {
+    // Templates differ per channel
+    setFilters((prev) => ({ ...prev, [key]: value, ...(key === 'channel' && { template: '' }) }));
+    setPagination((p) => ({ ...p, page: 1 }));
+  };
+
+  const handleRetry = useCallback(async (jobId) => {
+    try {
+      setRetrying(jobId);
+      const response = await api.retry(jobId);
+      toast.success(response.data.message || 'Email queued for another attempt');
+      refresh();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to retry email');
+    } finally {
+      setRetrying(null);
+    }
+  }, [api, toast, refresh]);
+
+  const runConfirmedAction = async () => {
+    try {
+      setProcessing(true);
+      const response = confirmAction === 'clear'
+        ? await api.clearDeadLetters(global && filters.institution_id ? { institution_id: filters.institution_id } : {})
+        : await api.bulkRetry(queryFilters);
+      toast.success(response.data.message);
+      setConfirmAction(null);
+      refresh();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Action failed');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const logColumns = useMemo(() => [
+    {
+      accessor: 'sent_at',
+      header: 'Time',
+      render: (value) => <span className="text-sm text-gray-700 whitespace-nowrap">{formatDateTime(value, '-')}</span>,
+    },
+    ...(global ? [{
+      accessor: 'institution_name',
+      header: 'Institution',
+      render: (value) => <span className="text-sm text-gray-700">{value}</span>,
+    }] : []),
+    {
+      accessor: 'email_type',
+      header: 'Template',
+      render: renderTemplate,
+    },
+    {
+      accessor: 'status',
+      header: 'Status',
+      render: (value, row) => (
+        <div>
+          <Badge variant={STATUS_VARIANTS[value] || 'default'}>
+            {value ? value.charAt(0).toUpperCase() + value.slice(1) : '-'}
+          </Badge>
+          {value !== 'sent' && row.queue_status && (
+            <div className="text-xs text-gray-400 mt-1">
+              Queue: {QUEUE_STATUS_LABELS[row.queue_status] || row.queue_status}
+            </div>
+          )}
+        </div>
+      ),
+    },
+    {
+      accessor: 'error_message',
+      header: 'Failure Reason',
+      render: (value) => (
+        value ? (
+          <div className="text-xs text-red-600 max-w-[320px] line-clamp-2" title={value}>{value}</div>
+        ) : <span className="text-gray-400">-</span>
+      ),
+    },
+    {
+      accessor: 'actions',
+      header: 'Actions',
+      exportable: false,
+      render: (_, row) => (
+        row.retryable && (
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={(e) => {
+              e.stopPropagation();
+              handleRetry(row.queue_job_id);
+            }}
+            loading={retrying === row.queue_job_id}
+            title="Retry"
+          >
+            <IconRotateClockwise className="w-5 h-5" />
+          </Button>
+        )
+      ),
+    },
+  ], [global, retrying, handleRetry]);
+
+  const deadLetterColumns = useMemo(() => [
+    {
+      accessor: 'failedAt',
+      header: 'Failed',
+      render: (value) => <span className="text-sm text-gray-700 whitespace-nowrap">{formatDateTime(value, '-')}</span>,
+    },
+    {
+      accessor: 'to',
+      header: 'Recipient',
+      render: (value) => <span className="text-sm text-gray-900">{value || 'Unreadable'}</span>,
+    },
+    {
+      accessor: 'template',
+      header: 'Template',
+      render: renderTemplate,
+    },
+    {
+      accessor: 'attempts',
+      header: 'Attempts',
+      render: (value) => <span className="text-sm text-gray-700">{value}</span>,
+    },
+    {
+      accessor: 'lastError',
+      header: 'Failure Reason',
+      render: (value) => (
+        <div className="text-xs text-red-600 max-w-[320px] line-clamp-2" title={value}>{value || '-'}</div>
+      ),
+    },
+    {
+      accessor: 'actions',
+      header: 'Actions',
+      exportable: false,
+      render: (_, row) => (
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={(e) => {
+            e.stopPropagation();
+            handleRetry(row.id);
+          }}
+          loading={retrying === row.id}
+          title="Retry"
+        >
+          <IconRotateClockwise className="w-5 h-5" />
+        </Button>
+      ),
+    },
+  ], [retrying, handleRetry]);
+
+  const statCards = [
+    { label: 'Sent', value: stats?.totals.sent ?? 0, icon: IconMailCheck, color: 'text-green-600 bg-green-50' },
+    { label: 'Failed', value: stats?.totals.failed ?? 0, icon: IconMailX, color: 'text-red-600 bg-red-50' },
+    {
+      label: 'Failure Rate',
+      value: `${((stats?.totals.failure_rate ?? 0) * 100).toFixed(1)}%`,
+      icon: IconPercentage,
+      color: 'text-amber-600 bg-amber-50',
+    },
+    { label: 'Gave Up', value: stats?.queue.dead_letter ?? 0, icon: IconInbox, color: 'text-gray-600 bg-gray-100' },
+  ];
+
+  const tabs = [
+    { id: 'logs', label: 'Delivery Log', icon: IconMail },
+    { id: 'dead-letter', label: 'Failed Messages', icon: IconInbox, count: stats?.queue.dead_letter ?? 0 },
+  ];
+
+  return (
+    <div className="space-y-3 sm:space-y-4">
+      {/* Page Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div className="min-w-0 flex-1">
+          <h1 className="text-xl sm:text-2xl font-bold text-gray-900">Email Delivery</h1>
+          <p className="text-xs sm:text-sm text-gray-600 truncate">
+            Email and SMS delivery log for the last {stats?.days || 30} days, and messages that failed every retry
+          </p>
+        </div>
+        <Button
+          variant="outline"
+          onClick={refresh}
+          size="sm"
+          className="active:scale-95 flex-shrink-0"
+        >
+          <IconRefresh className="w-4 h-4 sm:mr-2" />
+          <span className="hidden sm:inline">Refresh</span>
+        </Button>
+      </div>
+
+      {/* Stats */}
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-2 sm:gap-4">
+        {statCards.map((card) => (
+          <Card key={card.label}>
+            <CardContent className="p-3 sm:p-4 flex items-center gap-3">
+              <div className={cn('p-2 rounded-lg', card.color)}>
+                <card.icon className="w-5 h-5" />
+              </div>
+              <div>
+                <p className="text-xs text-gray-500">{card.label}</p>
+                <p className="text-lg sm:text-xl font-semibold text-gray-900">{card.value}</p>
+              </div>
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+
+      {/* Per-template breakdown */}
+      {stats?.by_template?.length > 0 && (
+        <Card>
+          <CardContent className="p-3 sm:p-4">
+            <h2 className="text-sm font-semibold text-gray-900 mb-2">By Template</h2>
+            <div className="flex flex-wrap gap-2">
+              {stats.by_template.map((row) => (
+                <Button
+                  key={row.template}
+                  variant={filters.template === row.template ? 'primary' : 'outline'}
+                  size="sm"
+                  onClick={() => updateFilter('template', filters.template === row.template ? '' : row.template)}
+                >
+                  {formatTemplate(row.template)}
+                  <span className="ml-2 text-xs opacity-80">
+                    {row.sent} sent{row.failed > 0 && ` · ${row.failed} failed`}
+                  </span>
+                </Button>
+              ))}
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Tabs */}
+      <div className="border-b border-gray-200 -mx-2 sm:mx-0 overflow-x-auto">
+        <nav className="flex gap-1 sm:gap-4 px-2 sm:px-0">
+          {tabs.map((tab) => (
+            <Button
+              key={tab.id}
+              variant="ghost"
+              onClick={() => setActiveTab(tab.id)}
+              className={cn(
+                'flex items-center gap-1 sm:gap-2 px-2 sm:px-4 py-2 sm:py-3 border-b-2 font-medium text-xs sm:text-sm rounded-none whitespace-nowrap',
+                activeTab === tab.id
+                  ? 'border-primary-500 text-primary-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              )}
+            >
+              <tab.icon className="w-3.5 h-3.5 sm:w-4 sm:h-4 flex-shrink-0" />
+              {tab.label}
+              {tab.count > 0 && (
+                <Badge variant="error" className="ml-1 text-[10px] sm:text-xs">
+                  {tab.count}
+                </Badge>
+              )}
+            </Button>
+          ))}
+        </nav>
+      </div>
+
+      {/* Filters */}
+      <Card>
+        <CardContent className="p-3 sm:p-4">
+          <div className="flex flex-col sm:flex-row sm:items-center gap-2 sm:gap-4">
+            <IconFilter className="w-5 h-5 text-gray-400 hidden sm:block" />
+            <Input
+              placeholder="Recipient email or phone number (exact match)..."
+              value={filters.recipient}
+              onChange={(e) => updateFilter('recipient', e.target.value)}
+              className="flex-1 text-sm"
+            />
+            <div className="grid grid-cols-2 sm:flex gap-2 sm:gap-4">
+              <Select
+                value={filters.channel}
+                onChange={(e) => updateFilter('channel', e.target.value)}
+                className="text-sm sm:w-32"
+              >
+                <option value="">All Channels</option>
+                <option value="email">Email</option>
+                <option value="sms">SMS</option>
+              </Select>
+              <Select
+                value={filters.template}
+                onChange={(e) => updateFilter('template', e.target.value)}
+                className="text-sm sm:w-48"
+              >
+                <option value="">All Templates</option>
+                {templateOptions.map((template) => (
+                  <option key={template} value={template}>{formatTemplate(template)}</option>
+                ))}
+              </Select>
+              {activeTab === 'logs' && (
+                <Select
+                  value={filters.status}
+                  onChange={(e) => updateFilter('status', e.target.value)}
+                  className="text-sm sm:w-36"
+                >
+                  <option value="">All Statuses</option>
+                  <option value="sent">Sent</option>
+                  <option value="failed">Failed</option>
+                  <option value="bounced">Bounced</option>
+                </Select>
+              )}
+              {global && (
+                <Select
+                  value={filters.institution_id}
+                  onChange={(e) => updateFilter('institution_id', e.target.value)}
+                  className="text-sm sm:w-48"
+                >
+                  <option value="">All Institutions</option>
+                  {institutions.map((institution) => (
+                    <option key={institution.id} value={institution.id}>{institution.name}</option>
+                  ))}
+                </Select>
+              )}
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      {activeTab === 'logs' ? (
+        <Card>
+          <CardContent className="p-0">
+            <DataTable
+              data={logs}
+              columns={logColumns}
+              keyField="id"
+              loading={loading}
+              sortable
+              exportable
+              exportFilename="email-logs"
+              emptyTitle="No emails found"
+              emptyDescription="Every email sent by the platform is logged here"
+              pagination={{
+                page: pagination.page,
+                limit: pagination.limit,
+                total: pagination.total,
+                onPageChange: (page) => setPagination((p) => ({ ...p, page })),
+                onLimitChange: (limit) => setPagination((p) => ({ ...p, limit, page: 1 })),
+              }}
+            />
+          </CardContent>
+        </Card>
+      ) : (
+        <Card>
+          <CardContent className="p-0">
+            <div className="flex flex-wrap items-center justify-end gap-2 p-3 border-b border-gray-100">
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setConfirmAction('retry')}
+                disabled={deadLetters.length === 0}
+              >
+                <IconRotateClockwise className="w-4 h-4 mr-2" />
+                Retry All{(filters.template || queryFilters.recipient) && ' Matching'}
+              </Button>
+              <Button
+                variant="destructive"
+                size="sm"
+                onClick={() => setConfirmAction('clear')}
+                disabled={deadLetters.length === 0}
+              >
+                <IconTrash className="w-4 h-4 mr-2" />
+                Discard All
+              </Button>
+            </div>
+            <DataTable
+              data={deadLetters}
+              columns={deadLetterColumns}
+              keyField="id"
+              loading={loading}
+              sortable
+              emptyTitle="No failed emails"
+              emptyDescription="Emails that fail every retry are kept here so they can be sent again"
+            />
+          </CardContent>
+        </Card>
+      )}
+
+      <ConfirmDialog
+        isOpen={!!confirmAction}
+        onClose={() => setConfirmAction(null)}
+        onConfirm={runConfirmedAction}
+        loading={processing}
+        title={confirmAction === 'clear' ? 'Discard Failed Emails' : 'Retry Failed Emails'}
+        message={
+          confirmAction === 'clear'
+            ? `Every failed email${global && !filters.institution_id ? ' across all institutions' : ''} will be discarded and cannot be retried afterwards.`
+            : 'Matching failed emails will be put back on the queue and sent again.'
+        }
+        confirmText={confirmAction === 'clear' ? 'Discard' : 'Retry'}
+        variant={confirmAction === 'clear' ? 'danger' : 'warning'}
+      />
+    </div>
+  );
+}
@@ -2,7 +2,8 @@
  * Global Payments Page
  * 
  * Platform-wide payment management for super_admin only.
- * Shows all payments across institutions with stats and filters.
+ * Shows all payments across institutions with stats and filters, and
+ * reconciliation runs with their mismatch reports.
  * Accessible from admin.sitpms.com subdomain.
  */
 
@@ -36,6 +37,13 @@ import api from '../../api/client';
 import { useToast } from '../../context/ToastContext';
 import { formatCurrency, formatDateTime } from '../../utils/helpers';
 import { createExportAllHandler } from '../../utils/exportAll';
+import { ReconciliationCard } from '../../components/payments';
+
+const reconciliationApi = {
+  getRuns: (params) => api.get('/global/payments/reconciliations', { params }),
+  getRun: (runId) => api.get(`/global/payments/reconciliations/${runId}`),
+  runReconciliation: (data) => api.post('/global/payments/reconciliations', data),
+};
 
 const getStatusVariant = (status) => {
   const variants = {
@@ -559,6 +567,14 @@ function GlobalPaymentsPage() {
         </CardContent>
       </Card>
 
+      {/* Reconciliation across institutions */}
+      <ReconciliationCard
+        api={reconciliationApi}
+        canRun
+        institutions={institutions}
+        onChanged={() => fetchPayments(pagination.page)}
+      />
+
       {/* Verify Payment Modal */}
       <Dialog
         isOpen={verifyModal.open}
@@ -0,0 +1,339 @@
+/**
+ * Issued Documents Page
+ * Lists every PDF issued with a QR verification code and lets the TP office
+ * revoke documents that should no longer verify as valid.
+ */
+
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import {
+  IconBan,
+  IconRefresh,
+  IconFilter,
+} from '@tabler/icons-react';
+import { documentTemplatesApi } from '../../api/documentTemplates';
+import { sessionsApi } from '../../api';
+import { useToast } from '../../context/ToastContext';
+import { formatDateTime } from '../../utils/helpers';
+import { Card, CardContent } from '../../components/ui/Card';
+import { Button } from '../../components/ui/Button';
+import { Badge } from '../../components/ui/Badge';
+import { Select } from '../../components/ui/Select';
+import { Input } from '../../components/ui/Input';
+import { Dialog } from '../../components/ui/Dialog';
+import { DataTable } from '../../components/ui/DataTable';
+
+const DOCUMENT_TYPE_LABELS = {
+  posting_letter: 'Posting Letter',
+  introduction_letter: 'Introduction Letter',
+  acceptance_form: 'Acceptance Form',
+  evaluation_form: 'Evaluation Form',
+  supervisor_invitation_letter: 'Supervisor Invitation',
+  completion_certificate: 'Completion Certificate',
+};
+
+const VERIFICATION_STATUS_VARIANTS = {
+  valid: 'success',
+  superseded: 'warning',
+  revoked: 'error',
+};
+
+export default function IssuedDocumentsPage() {
+  const { toast } = useToast();
+
+  const [issuances, setIssuances] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [filters, setFilters] = useState({
+    session_id: '',
+    document_type: '',
+    search: '',
+  });
+  const [pagination, setPagination] = useState({
+    page: 1,
+    limit: 20,
+    total: 0,
+  });
+
+  const [revokingIssuance, setRevokingIssuance] = useState(null);
+  const [revocationReason, setRevocationReason] = useState('');
+  const [processing, setProcessing] = useState(false);
+  // Synchronous guard against double submits before `processing` renders
+  const revokeInFlightRef = useRef(false);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const response = await sessionsApi.getAll();
+      const sessionsData = response.data.data || response.data || [];
+      setSessions(sessionsData);
+
+      const currentSession = sessionsData.find((s) => s.is_current);
+      if (currentSession) {
+        setFilters((prev) => ({ ...prev, session_id: currentSession.id.toString() }));
+      }
+    } catch (err) {
+      console.error('Failed to load sessions:', err);
+    }
+  }, []);
+
+  const loadIssuances = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await documentTemplatesApi.getIssuances({
+        ...filters,
+        limit: pagination.limit,
+        offset: (pagination.page - 1) * pagination.limit,
+      });
+      setIssuances(response.data.data || []);
+      setPagination((prev) => ({ ...prev, total: response.data.pagination?.total || 0 }));
+    } catch (err) {
+      toast.error('Failed to load issued documents');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, pagination.page, pagination.limit, toast]);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  useEffect(() => {
+    loadIssuances();
+  }, [loadIssuances]);
+
+  const closeRevokeModal = () => {
+    setRevokingIssuance(null);
+    setRevocationReason('');
+  };
+
+  const submitRevocation = async () => {
+    if (!revokingIssuance || revokeInFlightRef.current) return;
+    revokeInFlightRef.current = true;
+    try {
+      setProcessing(true);
+      await documentTemplatesApi.revokeIssuance(revokingIssuance.id, revocationReason.trim());
+      toast.success('Document revoked');
+      closeRevokeModal();
+      loadIssuances();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to revoke document');
+    } finally {
+      setProcessing(false);
+      revokeInFlightRef.current = false;
+    }
+  };
+
+  const columns = useMemo(() => [
+    {
+      accessor: 'student_name',
+      header: 'Student',
+      render: (value, row) => (
+        <div>
+          <div className="font-medium text-gray-900">{value || row.document_snapshot?.student_name}</div>
+          <div className="text-sm text-gray-500">{row.registration_number || row.document_snapshot?.registration_number}</div>
+        </div>
+      ),
+    },
+    {
+      accessor: 'document_type',
+      header: 'Document',
+      render: (value) => <span className="text-sm text-gray-700">{DOCUMENT_TYPE_LABELS[value] || value}</span>,
+    },
+    {
+      accessor: 'document_snapshot.school_name',
+      header: 'School (as issued)',
+      render: (value) => <span className="text-sm text-gray-700">{value || '-'}</span>,
+    },
+    {
+      accessor: 'rendered_at',
+      header: 'Issued',
+      render: (value, row) => (
+        <div>
+          <div className="text-sm text-gray-700">{formatDateTime(value, '-')}</div>
+          <div className="text-xs text-gray-400">{row.rendered_by_name || 'Student download'}</div>
+        </div>
+      ),
+    },
+    {
+      accessor: 'verification_count',
+      header: 'Scans',
+      render: (value, row) => (
+        <div>
+          <div className="text-sm text-gray-700">{value || 0}</div>
+          {row.last_verified_at && (
+            <div className="text-xs text-gray-400">{formatDateTime(row.last_verified_at, '-')}</div>
+          )}
+        </div>
+      ),
+    },
+    {
+      accessor: 'verification_status',
+      header: 'Status',
+      render: (value, row) => (
+        <div>
+          <Badge variant={VERIFICATION_STATUS_VARIANTS[value] || 'default'}>
+            {value ? value.charAt(0).toUpperCase() + value.slice(1) : '-'}
+          </Badge>
+          {row.revocation_reason && (
+            <div className="text-xs text-gray-500 mt-1 max-w-[200px] truncate" title={row.revocation_reason}>
+              {row.revocation_reason}
+            </div>
+          )}
+        </div>
+      ),
+    },
+    {
+      accessor: 'actions',
+      header: 'Actions',
+      exportable: false,
+      render: (_, row) => (
+        row.verification_status !== 'revoked' && (
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={(e) => {
+              e.stopPropagation();
+              setRevokingIssuance(row);
+            }}
+            title="Revoke"
+            className="hover:text-red-600"
+          >
+            <IconBan className="w-5 h-5" />
+          </Button>
+        )
+      ),
+    },
+  ], []);
+
+  return (
+    <div className="space-y-3 sm:space-y-4">
+      {/* Page Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div className="min-w-0 flex-1">
+          <h1 className="text-xl sm:text-2xl font-bold text-gray-900">Issued Documents</h1>
+          <p className="text-xs sm:text-sm text-gray-600 truncate">PDF letters carrying a QR verification code</p>
+        </div>
+        <Button
+          variant="outline"
+          onClick={loadIssuances}
+          size="sm"
+          className="active:scale-95 flex-shrink-0"
+        >
+          <IconRefresh className="w-4 h-4 sm:mr-2" />
+          <span className="hidden sm:inline">Refresh</span>
+        </Button>
+      </div>
+
+      {/* Filters */}
+      <Card>
+        <CardContent className="p-3 sm:p-4">
+          <div className="flex flex-col sm:flex-row sm:items-center gap-2 sm:gap-4">
+            <IconFilter className="w-5 h-5 text-gray-400 hidden sm:block" />
+            <Input
+              placeholder="Search by student name or reg. number..."
+              value={filters.search}
+              onChange={(e) => {
+                setFilters({ ...filters, search: e.target.value });
+                setPagination((p) => ({ ...p, page: 1 }));
+              }}
+              className="flex-1 text-sm"
+            />
+            <div className="grid grid-cols-2 sm:flex gap-2 sm:gap-4">
+              <Select
+                value={filters.document_type}
+                onChange={(e) => {
+                  setFilters({ ...filters, document_type: e.target.value });
+                  setPagination((p) => ({ ...p, page: 1 }));
+                }}
+                className="text-sm sm:w-48"
+              >
+                <option value="">All Documents</option>
+                {Object.entries(DOCUMENT_TYPE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </Select>
+              <Select
+                value={filters.session_id}
+                onChange={(e) => {
+                  setFilters({ ...filters, session_id: e.target.value });
+                  setPagination((p) => ({ ...p, page: 1 }));
+                }}
+                className="text-sm sm:w-48"
+              >
+                <option value="">All Sessions</option>
+                {sessions.map((session) => (
+                  <option key={session.id} value={session.id}>
+                    {session.name} {session.is_current && '(Current)'}
+                  </option>
+                ))}
+              </Select>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Issued Documents Table */}
+      <Card>
+        <CardContent className="p-0">
+          <DataTable
+            data={issuances}
+            columns={columns}
+            keyField="id"
+            loading={loading}
+            sortable
+            exportable
+            exportFilename="issued-documents"
+            emptyTitle="No issued documents found"
+            emptyDescription="PDFs appear here once they have been downloaded by staff or students"
+            pagination={{
+              page: pagination.page,
+              limit: pagination.limit,
+              total: pagination.total,
+              onPageChange: (page) => setPagination((p) => ({ ...p, page })),
+              onLimitChange: (limit) => setPagination((p) => ({ ...p, limit, page: 1 })),
+            }}
+          />
+        </CardContent>
+      </Card>
+
+      {/* Revocation Modal */}
+      <Dialog
+        isOpen={!!revokingIssuance}
+        onClose={closeRevokeModal}
+        title="Revoke Document"
+        width="md"
+        footer={
+          <>
+            <Button variant="outline" onClick={closeRevokeModal} disabled={processing}>
+              Cancel
+            </Button>
+            <Button
+              variant="destructive"
+              onClick={submitRevocation}
+              loading={processing}
+              disabled={revocationReason.trim().length < 3}
+            >
+              Revoke Document
+            </Button>
+          </>
+        }
+      >
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Anyone scanning the QR code on this{' '}
+            {DOCUMENT_TYPE_LABELS[revokingIssuance?.document_type]?.toLowerCase() || 'document'} for{' '}
+            <strong>{revokingIssuance?.student_name}</strong> will be told it has been revoked.
+            This cannot be undone.
+          </p>
+          <textarea
+            value={revocationReason}
+            onChange={(e) => setRevocationReason(e.target.value)}
+            placeholder="Reason for revoking (shown on the verification page)..."
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+            rows={4}
+            maxLength={500}
+          />
+        </div>
+      </Dialog>
+    </div>
+  );
+}
@@ -26,8 +26,20 @@ import {
   IconEdit,
   IconRefresh,
   IconPrinter,
+  IconChartBar,
+  IconListCheck,
 } from '@tabler/icons-react';
 import { ConfirmDialog } from '../../components/ui/ConfirmDialog';
+import {
+  MonitoringRubricForm,
+  MonitoringRatingsSummary,
+  MonitoringRubricSettings,
+  ReportPhotos,
+  ReportRatingsView,
+  emptyRubric,
+  rubricFromReport,
+  rubricPayload,
+} from '../../components/monitoring';
 import { formatDate, formatDateTime, escapeHtml } from '../../utils/helpers';
 
 function MonitoringPage() {
@@ -73,6 +85,14 @@ function MonitoringPage() {
     additional_notes: '',
   });
 
+  // Structured part of the report: rubric ratings, students observed, photos
+  const [rubric, setRubric] = useState(emptyRubric);
+  const [rubricCriteria, setRubricCriteria] = useState([]);
+  const [rubricOptions, setRubricOptions] = useState({ students: [], supervisors: [] });
+  const [loadingRubric, setLoadingRubric] = useState(false);
+  const [pendingPhotos, setPendingPhotos] = useState([]);
+  const [reportPhotos, setReportPhotos] = useState([]);
+
   // Confirm dialog state
   const [confirmDialog, setConfirmDialog] = useState({
     isOpen: false,
@@ -269,24 +289,64 @@ function MonitoringPage() {
     }
   };
 
+  // Load the active rubric and the school's students and supervisors for the report form
+  const loadRubricContext = useCallback(async (assignmentId) => {
+    setLoadingRubric(true);
+    try {
+      const [criteriaRes, assignmentRes] = await Promise.all([
+        monitoringApi.getCriteria({ active_only: 'true' }),
+        monitoringApi.getAssignment(assignmentId),
+      ]);
+      setRubricCriteria(criteriaRes.data.data || []);
+      setRubricOptions({
+        students: assignmentRes.data.data?.students || [],
+        supervisors: assignmentRes.data.data?.supervisors || [],
+      });
+    } catch (err) {
+      console.error('Failed to load rubric:', err);
+      toast.error('Failed to load the monitoring rubric');
+    } finally {
+      setLoadingRubric(false);
+    }
+  }, [toast]);
+
   // Handle create report
   const handleCreateReport = async () => {
-    if (!reportForm.observations && !reportForm.recommendations) {
-      toast.error('Please provide observations or recommendations');
+    const rubricData = rubricPayload(rubric, rubricCriteria);
+    if (!reportForm.observations.trim() && rubricData.ratings.length === 0) {
+      toast.error('Please provide observations or ratings');
       return;
     }
 
     setProcessing(true);
     try {
-      await monitoringApi.createReport({
+      const response = await monitoringApi.createReport({
         session_id: selectedSession,
         assignment_id: selectedAssignment.id,
         ...reportForm,
+        ...rubricData,
       });
 
-      toast.success('Report created successfully');
+      // Photos can only be attached once the report exists
+      const reportId = response.data.data?.id;
+      let failedPhotos = 0;
+      for (const file of pendingPhotos) {
+        try {
+          await monitoringApi.uploadReportPhoto(reportId, file);
+        } catch {
+          failedPhotos += 1;
+        }
+      }
+
+      if (failedPhotos > 0) {
+        toast.warning(`Report saved, but ${failedPhotos} photo(s) failed to upload. Open the report to try again.`);
+      } else {
+        toast.success('Report created successfully');
+      }
       setShowReportModal(false);
       setReportForm({ observations: '', recommendations: '', additional_notes: '' });
+      setRubric(emptyRubric());
+      setPendingPhotos([]);
       setSelectedAssignment(null);
       fetchData();
     } catch (err) {
@@ -314,7 +374,10 @@ function MonitoringPage() {
   const handleUpdateReport = async () => {
     setProcessing(true);
     try {
-      await monitoringApi.updateReport(selectedReport.id, reportForm);
+      await monitoringApi.updateReport(selectedReport.id, {
+        ...reportForm,
+        ...rubricPayload(rubric, rubricCriteria),
+      });
       toast.success('Report updated successfully');
       setShowViewReportModal(false);
       setReportForm({ observations: '', recommendations: '', additional_notes: '' });
@@ -353,6 +416,34 @@ function MonitoringPage() {
     }
   };
 
+  // Open view report modal. List rows lack the ratings, students and photos,
+  // so the full report is fetched once the dialog is open.
+  const openViewReportModal = useCallback(async (report) => {
+    setSelectedReport(report);
+    setReportForm({
+      observations: report.observations || '',
+      recommendations: report.recommendations || '',
+      additional_notes: report.additional_notes || '',
+    });
+    setRubric(emptyRubric());
+    setReportPhotos([]);
+    setShowViewReportModal(true);
+
+    if (report.monitor_id === user?.id) {
+      loadRubricContext(report.assignment_id);
+    }
+    try {
+      const res = await monitoringApi.getReportById(report.id);
+      const full = res.data.data;
+      setSelectedReport(full);
+      setRubric(rubricFromReport(full));
+      setReportPhotos(full.photos || []);
+    } catch (err) {
+      console.error('Failed to load report details:', err);
+      toast.error('Failed to load report ratings and photos');
+    }
+  }, [user?.id, toast, loadRubricContext]);
+
   // Open report modal for assignment (handles edit vs create)
   const openReportModal = useCallback((assignment) => {
     // Check if assignment already has a report
@@ -370,20 +461,13 @@ function MonitoringPage() {
     } else {
       setSelectedAssignment(assignment);
       setReportForm({ observations: '', recommendations: '', additional_notes: '' });
+      setRubric(emptyRubric());
+      setPendingPhotos([]);
       setShowReportModal(true);
+      loadRubricContext(assignment.id);
     }
-  }, [selectedSession, toast]);
+  }, [selectedSession, toast, loadRubricContext, openViewReportModal]);
 
-  // Open view report modal
-  const openViewReportModal = (report) => {
-    setSelectedReport(report);
-    setReportForm({
-      observations: report.observations || '',
-      recommendations: report.recommendations || '',
-      additional_notes: report.additional_notes || '',
-    });
-    setShowViewReportModal(true);
-  };
 
   // Get status badge
   const getStatusBadge = (status) => {
@@ -568,6 +652,26 @@ function MonitoringPage() {
       return;
     }
 
+    const ratings = selectedReport.ratings || [];
+    const ratingRows = (rows) => rows.map((r) => `
+            <tr><td>${escapeHtml(r.label)}</td><td class="rating">${Number(r.rating)} / ${r.max_rating}</td></tr>`).join('');
+    const ratingGroup = (title, rows, comments) => rows.length === 0 && !comments ? '' : `
+          <table class="ratings-table">
+            <tr><th colspan="2">${escapeHtml(title)}</th></tr>${ratingRows(rows)}
+            ${comments ? `<tr><td colspan="2"><em>${escapeHtml(comments)}</em></td></tr>` : ''}
+          </table>`;
+    const ratingsContent = ratings.length === 0 && !(selectedReport.students || []).length ? '' : `
+        <div class="section">
+          <div class="section-header">Ratings${selectedReport.overall_rating !== null && selectedReport.overall_rating !== undefined ? ` (Overall ${Number(selectedReport.overall_rating)}%)` : ''}</div>
+          ${ratingGroup(`Supervisor${selectedReport.supervisor_name ? `: ${selectedReport.supervisor_name}` : ''}`, ratings.filter((r) => r.category === 'supervisor'))}
+          ${ratingGroup('School', ratings.filter((r) => r.category === 'school'))}
+          ${(selectedReport.students || []).map((s) => ratingGroup(
+            `${s.full_name} (${s.registration_number})`,
+            ratings.filter((r) => Number(r.student_id) === Number(s.student_id)),
+            s.comments
+          )).join('')}
+        </div>`;
+
     const printContent = `
       <!DOCTYPE html>
       <html>
@@ -649,6 +753,23 @@ function MonitoringPage() {
             white-space: pre-wrap;
             text-align: justify;
           }
+          .ratings-table {
+            width: 100%;
+            border-collapse: collapse;
+            margin-top: 8px;
+          }
+          .ratings-table th, .ratings-table td {
+            border: 1px solid #ccc;
+            padding: 4px 8px;
+            text-align: left;
+          }
+          .ratings-table th {
+            background: #f3f3f3;
+          }
+          .ratings-table .rating {
+            width: 90px;
+            text-align: center;
+          }
           .footer {
             padding-top: 10px;
             border-top: 1px solid #ccc;
@@ -707,6 +828,7 @@ function MonitoringPage() {
           <div class="section-content">${escapeHtml(selectedReport.additional_notes)}</div>
         </div>
         ` : ''}
+        ${ratingsContent}
       </body>
       </html>
     `;
@@ -748,6 +870,11 @@ function MonitoringPage() {
       accessor: 'monitor_name',
       header: 'Monitor',
     },
+    {
+      accessor: 'overall_rating',
+      header: 'Rating',
+      render: (val) => (val !== null && val !== undefined ? `${Number(val)}%` : '-'),
+    },
     {
       accessor: 'observations',
       header: 'Observations',
@@ -811,7 +938,7 @@ function MonitoringPage() {
         </div>
       ),
     },
-  ], [isTPHead]);
+  ], [isTPHead, openViewReportModal]);
 
   // Tabs configuration
   const tabs = isTPHead
@@ -819,6 +946,8 @@ function MonitoringPage() {
         { id: 'assignments', label: 'Assignments', icon: IconClipboardList },
         { id: 'my-assignments', label: 'My Schools', icon: IconSchool },
         { id: 'reports', label: 'Reports', icon: IconFileDescription },
+        { id: 'ratings', label: 'Ratings', icon: IconChartBar },
+        { id: 'rubric', label: 'Rubric', icon: IconListCheck },
       ]
     : [
         { id: 'my-assignments', label: 'My Schools', icon: IconSchool },
@@ -1029,6 +1158,14 @@ function MonitoringPage() {
               </CardContent>
             </Card>
           )}
+
+          {/* Ratings Tab */}
+          {activeTab === 'ratings' && isTPHead && (
+            <MonitoringRatingsSummary sessionId={selectedSession} />
+          )}
+
+          {/* Rubric Tab */}
+          {activeTab === 'rubric' && isTPHead && <MonitoringRubricSettings />}
         </>
       )}
 
@@ -1238,9 +1375,23 @@ function MonitoringPage() {
         isOpen={showReportModal}
         onClose={() => setShowReportModal(false)}
         title={`Add Report - ${selectedAssignment?.school_name || ''}`}
-        width="xl"
+        width="3xl"
       >
         <div className="space-y-4">
+          {loadingRubric ? (
+            <div className="flex items-center justify-center py-6">
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600" />
+            </div>
+          ) : (
+            <MonitoringRubricForm
+              criteria={rubricCriteria}
+              supervisors={rubricOptions.supervisors}
+              students={rubricOptions.students}
+              value={rubric}
+              onChange={setRubric}
+            />
+          )}
+
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
               Observations
@@ -1277,6 +1428,8 @@ function MonitoringPage() {
             />
           </div>
 
+          <ReportPhotos pendingFiles={pendingPhotos} onPendingFilesChange={setPendingPhotos} />
+
           <div className="flex justify-end gap-3 pt-4 border-t">
             <Button
               variant="outline"
@@ -1320,6 +1473,20 @@ function MonitoringPage() {
               </div>
             </div>
 
+            {loadingRubric ? (
+              <div className="flex items-center justify-center py-6">
+                <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600" />
+              </div>
+            ) : (
+              <MonitoringRubricForm
+                criteria={rubricCriteria}
+                supervisors={rubricOptions.supervisors}
+                students={rubricOptions.students}
+                value={rubric}
+                onChange={setRubric}
+              />
+            )}
+
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Observations
@@ -1353,6 +1520,8 @@ function MonitoringPage() {
               />
             </div>
 
+            <ReportPhotos reportId={selectedReport?.id} photos={reportPhotos} onPhotosChange={setReportPhotos} />
+
             <div className="flex justify-end gap-3 pt-4 border-t">
               <Button
                 variant="outline"
@@ -1441,6 +1610,12 @@ function MonitoringPage() {
               </div>
             )}
 
+            <ReportRatingsView report={selectedReport} />
+
+            {reportPhotos.length > 0 && (
+              <ReportPhotos reportId={selectedReport?.id} photos={reportPhotos} editable={false} />
+            )}
+
             {/* Action Buttons - Hidden when printing */}
             <div className="flex justify-end gap-3 pt-4 border-t print:hidden">
               <Button
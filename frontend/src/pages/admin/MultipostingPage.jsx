@@ -21,6 +21,7 @@ import { Select } from '../../components/ui/Select';
 import { SearchableSelect } from '../../components/ui/SearchableSelect';
 import { Dialog } from '../../components/ui/Dialog';
 import AutoPostDialog from '../../components/AutoPostDialog';
+import RepairPostingsDialog from '../../components/RepairPostingsDialog';
 import {
   IconUsers,
   IconBuildingBank as IconSchool,
@@ -37,6 +38,7 @@ import {
   IconCrown,
   IconList,
   IconWand,
+  IconTool,
 } from '@tabler/icons-react';
 import { formatCurrency, getOrdinal } from '../../utils/helpers';
 
@@ -505,6 +507,7 @@ function MultipostingPage() {
 
   // Auto-posting dialog
   const [showAutoPostDialog, setShowAutoPostDialog] = useState(false);
+  const [showRepairDialog, setShowRepairDialog] = useState(false);
 
   // Create empty row
   function createEmptyRow(id) {
@@ -918,6 +921,18 @@ function MultipostingPage() {
               Auto-Post
             </Button>
           )}
+          {isSuperAdmin && !isReadOnlyMode && (
+            <Button
+              variant="outline"
+              onClick={() => setShowRepairDialog(true)}
+              disabled={loading || !selectedSession}
+              className="flex whitespace-nowrap"
+              title="Re-plan postings affected by late changes"
+            >
+              <IconTool className="w-4 h-4 mr-2" />
+              Repair
+            </Button>
+          )}
           <Select
             value={selectedSession}
             onChange={(e) => setSelectedSession(e.target.value)}
@@ -1327,6 +1342,14 @@ function MultipostingPage() {
           fetchData();
         }}
       />
+
+      {/* Repair Postings Dialog */}
+      <RepairPostingsDialog
+        open={showRepairDialog}
+        onClose={() => setShowRepairDialog(false)}
+        sessionId={selectedSession ? parseInt(selectedSession) : null}
+        onComplete={fetchData}
+      />
     </div>
   );
 }
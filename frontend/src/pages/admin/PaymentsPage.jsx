@@ -1,17 +1,20 @@
 /**
  * Payments Management Page (Admin)
- * View, monitor, and verify student payments
+ * View, monitor, and verify student payments, request and review refunds, and
+ * reconcile payments with the gateway
  */
 
 import { useState, useEffect, useMemo, useCallback } from 'react';
 import { paymentsApi, sessionsApi } from '../../api';
 import { useToast } from '../../context/ToastContext';
+import { useAuth } from '../../context/AuthContext';
 import { formatCurrency, formatDateTime } from '../../utils/helpers';
 import { createExportAllHandler } from '../../utils/exportAll';
 import { Card, CardContent } from '../../components/ui/Card';
 import { Button } from '../../components/ui/Button';
 import { Dialog } from '../../components/ui/Dialog';
 import { Input } from '../../components/ui/Input';
+import { RefundRequestDialog, RefundRequestsCard, ReconciliationCard } from '../../components/payments';
 import {
   IconCreditCard,
   IconCheck,
@@ -29,13 +32,24 @@ import {
   IconSchool,
   IconCalendar,
   IconDeviceMobile,
+  IconReceiptRefund,
 } from '@tabler/icons-react';
 import { DataTable } from '../../components/ui/DataTable';
 import { Select } from '../../components/ui/Select';
 import { Badge } from '../../components/ui/Badge';
 
+const reconciliationApi = {
+  getRuns: paymentsApi.getReconciliations,
+  getRun: paymentsApi.getReconciliation,
+  runReconciliation: paymentsApi.runReconciliation,
+  uploadReport: paymentsApi.uploadReconciliation,
+};
+
 function PaymentsPage() {
   const { toast } = useToast();
+  const { hasRole } = useAuth();
+  const canReviewRefunds = hasRole(['super_admin', 'head_of_teaching_practice']);
+  const canReconcile = hasRole(['super_admin', 'head_of_teaching_practice']);
 
   // State
   const [loading, setLoading] = useState(true);
@@ -54,6 +68,8 @@ function PaymentsPage() {
   const [cancelModal, setCancelModal] = useState({ open: false, payment: null });
   const [lookupModal, setLookupModal] = useState({ open: false, reference: '', result: null });
   const [viewModal, setViewModal] = useState({ open: false, payment: null });
+  const [refundPayment, setRefundPayment] = useState(null);
+  const [refundsRefreshKey, setRefundsRefreshKey] = useState(0);
   const [actionLoading, setActionLoading] = useState(false);
 
   const fetchSessions = useCallback(async () => {
@@ -167,7 +183,7 @@ function PaymentsPage() {
         return;
       }
 
-      const response = await paymentsApi.verifyPaystack(reference);
+      const response = await paymentsApi.verifyGatewayPayment(reference);
       
       if (response.data.success) {
         toast.success('Payment verified successfully!');
@@ -215,7 +231,7 @@ function PaymentsPage() {
     setLookupModal(prev => ({ ...prev, result: null }));
     
     try {
-      const response = await paymentsApi.verifyPaystack(lookupModal.reference.trim());
+      const response = await paymentsApi.verifyGatewayPayment(lookupModal.reference.trim());
       
       if (response.data.success) {
         const data = response.data.data || {};
@@ -258,7 +274,12 @@ function PaymentsPage() {
       accessor: 'amount',
       header: 'Amount',
       render: (value, row) => (
-        <span className="font-medium">{formatCurrency(parseFloat(value) || 0, row?.currency)}</span>
+        <div>
+          <span className="font-medium">{formatCurrency(parseFloat(value) || 0, row?.currency)}</span>
+          {parseFloat(row?.refunded_amount) > 0 && (
+            <p className="text-xs text-gray-500">{formatCurrency(row.refunded_amount)} refunded</p>
+          )}
+        </div>
       ),
     },
     {
@@ -312,7 +333,7 @@ function PaymentsPage() {
                   size="icon"
                   onClick={() => setVerifyModal({ open: true, payment: row })}
                   className="text-green-600 hover:bg-green-50"
-                  title="Verify payment with Paystack"
+                  title="Verify payment with gateway"
                 >
                   <IconShieldCheck className="w-4 h-4" />
                 </Button>
@@ -327,6 +348,17 @@ function PaymentsPage() {
                 </Button>
               </>
             )}
+            {row.status === 'success' && (
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => setRefundPayment(row)}
+                className="text-amber-600 hover:bg-amber-50"
+                title="Request refund"
+              >
+                <IconReceiptRefund className="w-4 h-4" />
+              </Button>
+            )}
           </div>
         );
       },
@@ -375,6 +407,7 @@ function PaymentsPage() {
           <option value="pending">Pending</option>
           <option value="failed">Failed</option>
           <option value="cancelled">Cancelled</option>
+          <option value="refunded">Refunded</option>
         </Select>
         <Button 
           variant="outline" 
@@ -508,7 +541,7 @@ function PaymentsPage() {
               {statistics.pending_payments} pending payment{statistics.pending_payments > 1 ? 's' : ''} require attention
             </p>
             <p className="text-sm text-yellow-700 mt-1">
-              Click the verify button (<IconShieldCheck className="w-3.5 h-3.5 inline" />) on pending payments to check their status with Paystack. 
+              Click the verify button (<IconShieldCheck className="w-3.5 h-3.5 inline" />) on pending payments to check their status with the payment gateway. 
               If a student was debited but the payment shows as pending, verification will update the status.
             </p>
           </div>
@@ -542,6 +575,33 @@ function PaymentsPage() {
         </CardContent>
       </Card>
 
+      {/* Refund Requests */}
+      <RefundRequestsCard
+        sessionId={selectedSession}
+        canReview={canReviewRefunds}
+        refreshKey={refundsRefreshKey}
+        onChanged={() => {
+          fetchPayments();
+          fetchStatistics();
+        }}
+      />
+
+      {/* Reconciliation with the gateway */}
+      <ReconciliationCard
+        api={reconciliationApi}
+        canRun={canReconcile}
+        onChanged={() => {
+          fetchPayments();
+          fetchStatistics();
+        }}
+      />
+
+      <RefundRequestDialog
+        payment={refundPayment}
+        onClose={() => setRefundPayment(null)}
+        onRequested={() => setRefundsRefreshKey((key) => key + 1)}
+      />
+
       {/* Verify Payment Dialog */}
       <Dialog
         isOpen={verifyModal.open}
@@ -553,9 +613,9 @@ function PaymentsPage() {
           <div className="flex items-start gap-3 p-4 bg-blue-50 border border-blue-200 rounded-lg">
             <IconShieldCheck className="w-5 h-5 text-blue-600 flex-shrink-0 mt-0.5" />
             <div className="text-sm">
-              <p className="font-medium text-blue-800">Verify with Paystack</p>
+              <p className="font-medium text-blue-800">Verify with Payment Gateway</p>
               <p className="text-blue-700 mt-1">
-                This will check the payment status directly with Paystack. If the payment was successful, the status will be updated automatically.
+                This will check the payment status directly with the payment gateway. If the payment was successful, the status will be updated automatically.
               </p>
             </div>
           </div>
@@ -675,14 +735,14 @@ function PaymentsPage() {
               <p className="font-medium text-blue-800">Recover Missing Payment</p>
               <p className="text-blue-700 mt-1">
                 If a student was debited but no payment record exists (callback failure), 
-                enter the Paystack reference to verify and recover the payment.
+                enter the gateway reference to verify and recover the payment.
               </p>
             </div>
           </div>
 
           <div className="space-y-2">
             <label className="block text-sm font-medium text-gray-700">
-              Paystack Reference
+              Gateway Reference
             </label>
             <div className="flex gap-2">
               <Input
@@ -701,7 +761,7 @@ function PaymentsPage() {
               </Button>
             </div>
             <p className="text-xs text-gray-500">
-              The reference is usually sent to the student&apos;s email or can be found in Paystack dashboard.
+              The reference is usually sent to the student&apos;s email or can be found in the payment gateway dashboard.
             </p>
           </div>
 
@@ -808,7 +868,7 @@ function PaymentsPage() {
               <p className="font-mono text-sm text-gray-900 break-all">{viewModal.payment.reference}</p>
               {viewModal.payment.paystack_reference && viewModal.payment.paystack_reference !== viewModal.payment.reference && (
                 <>
-                  <p className="text-xs font-medium text-gray-500 uppercase tracking-wide mb-1 mt-3">Paystack Reference</p>
+                  <p className="text-xs font-medium text-gray-500 uppercase tracking-wide mb-1 mt-3">Gateway Reference</p>
                   <p className="font-mono text-sm text-gray-900 break-all">{viewModal.payment.paystack_reference}</p>
                 </>
               )}
@@ -0,0 +1,404 @@
+/**
+ * Posting Constraints Page
+ *
+ * Supervisors record when they are unavailable and where or with whom they
+ * must not be posted for the current session; heads of TP manage these for
+ * everyone. Auto-posting and manual posting both refuse a posting that
+ * breaks one, and say which rule it broke.
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { postingConstraintsApi } from '../../api/postingConstraints';
+import { useAuth } from '../../context/AuthContext';
+import { useToast } from '../../context/ToastContext';
+import { Card, CardContent } from '../../components/ui/Card';
+import { Button } from '../../components/ui/Button';
+import { Badge } from '../../components/ui/Badge';
+import { Dialog } from '../../components/ui/Dialog';
+import { Input } from '../../components/ui/Input';
+import { Select } from '../../components/ui/Select';
+import { useConfirmDialog } from '../../components/ui/ConfirmDialog';
+import { formatDate } from '../../utils/helpers';
+import {
+  IconCalendarOff,
+  IconLoader2,
+  IconPlus,
+  IconRefresh,
+  IconTrash,
+} from '@tabler/icons-react';
+
+const TYPE_OPTIONS = [
+  { value: 'unavailable', label: 'Unavailable', variant: 'warning' },
+  { value: 'blocked_school', label: 'Blocked school', variant: 'error' },
+  { value: 'blocked_lga', label: 'Blocked LGA', variant: 'error' },
+  { value: 'blocked_route', label: 'Blocked route', variant: 'error' },
+  { value: 'never_pair', label: 'Never pair with', variant: 'info' },
+  { value: 'must_pair', label: 'Must pair with', variant: 'primary' },
+];
+
+const TYPE_BY_VALUE = Object.fromEntries(TYPE_OPTIONS.map((option) => [option.value, option]));
+
+const EMPTY_FORM = {
+  supervisor_id: '',
+  constraint_type: 'unavailable',
+  availability: 'visit',
+  visit_number: '',
+  start_date: '',
+  end_date: '',
+  institution_school_id: '',
+  lga: '',
+  route_id: '',
+  other_supervisor_id: '',
+  reason: '',
+};
+
+/** What the constraint applies to, in words */
+function describeTarget(constraint) {
+  switch (constraint.constraint_type) {
+    case 'unavailable':
+      if (constraint.visit_number) return `Visit ${constraint.visit_number}`;
+      if (constraint.start_date || constraint.end_date) {
+        return `${formatDate(constraint.start_date, '…')} - ${formatDate(constraint.end_date, '…')}`;
+      }
+      return 'Whole session';
+    case 'blocked_school':
+      return constraint.school_name;
+    case 'blocked_lga':
+      return `${constraint.lga} LGA`;
+    case 'blocked_route':
+      return constraint.route_name;
+    default:
+      return constraint.other_supervisor_name;
+  }
+}
+
+function PostingConstraintsPage() {
+  const { user, hasRole } = useAuth();
+  const { toast } = useToast();
+  const { confirm, DialogComponent } = useConfirmDialog();
+  const canManageAll = hasRole(['super_admin', 'head_of_teaching_practice']);
+
+  const [loading, setLoading] = useState(true);
+  const [constraints, setConstraints] = useState([]);
+  const [options, setOptions] = useState(null);
+  const [supervisorFilter, setSupervisorFilter] = useState('');
+
+  const [showModal, setShowModal] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  const fetchData = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = supervisorFilter ? { supervisor_id: supervisorFilter } : {};
+      const [constraintsRes, optionsRes] = await Promise.all([
+        postingConstraintsApi.getAll(params),
+        postingConstraintsApi.getOptions(),
+      ]);
+      setConstraints(constraintsRes.data.data || []);
+      setOptions(optionsRes.data.data);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load posting constraints');
+    } finally {
+      setLoading(false);
+    }
+  }, [supervisorFilter, toast]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const otherSupervisors = useMemo(() => {
+    const selfId = Number(formData.supervisor_id || user?.id);
+    return (options?.supervisors || []).filter((supervisor) => supervisor.id !== selfId);
+  }, [options, formData.supervisor_id, user]);
+
+  const openCreateModal = () => {
+    setFormData({ ...EMPTY_FORM, supervisor_id: canManageAll ? supervisorFilter : '' });
+    setShowModal(true);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const buildPayload = () => {
+    const toId = (value) => (value ? parseInt(value) : null);
+    const payload = {
+      session_id: options?.session?.id,
+      constraint_type: formData.constraint_type,
+      reason: formData.reason.trim() || null,
+    };
+    if (canManageAll && formData.supervisor_id) payload.supervisor_id = toId(formData.supervisor_id);
+
+    switch (formData.constraint_type) {
+      case 'unavailable':
+        if (formData.availability === 'visit') payload.visit_number = toId(formData.visit_number);
+        if (formData.availability === 'dates') {
+          payload.start_date = formData.start_date || null;
+          payload.end_date = formData.end_date || null;
+        }
+        break;
+      case 'blocked_school':
+        payload.institution_school_id = toId(formData.institution_school_id);
+        break;
+      case 'blocked_lga':
+        payload.lga = formData.lga || null;
+        break;
+      case 'blocked_route':
+        payload.route_id = toId(formData.route_id);
+        break;
+      default:
+        payload.other_supervisor_id = toId(formData.other_supervisor_id);
+    }
+    return payload;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await postingConstraintsApi.create(buildPayload());
+      toast.success('Posting constraint recorded');
+      setShowModal(false);
+      fetchData();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to record constraint');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (constraint) => {
+    const ok = await confirm({
+      title: 'Remove constraint?',
+      message: `${constraint.supervisor_name}: ${TYPE_BY_VALUE[constraint.constraint_type]?.label} - ${describeTarget(constraint)}`,
+      confirmText: 'Remove',
+      variant: 'danger',
+    });
+    if (!ok) return;
+
+    try {
+      await postingConstraintsApi.delete(constraint.id);
+      setConstraints((prev) => prev.filter((c) => c.id !== constraint.id));
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to remove constraint');
+    }
+  };
+
+  const type = formData.constraint_type;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Availability &amp; Exclusions</h1>
+          <p className="text-sm text-gray-500 mt-1">
+            {options?.session ? `${options.session.name} - ` : ''}
+            postings that break these rules are refused, by auto-posting and by hand
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <Button variant="outline" onClick={fetchData} disabled={loading}>
+            <IconRefresh className="h-4 w-4 mr-1" />
+            Refresh
+          </Button>
+          <Button onClick={openCreateModal} disabled={!options}>
+            <IconPlus className="h-4 w-4 mr-1" />
+            Add Constraint
+          </Button>
+        </div>
+      </div>
+
+      {canManageAll && (
+        <div className="max-w-xs">
+          <Select value={supervisorFilter} onChange={(e) => setSupervisorFilter(e.target.value)}>
+            <option value="">All supervisors</option>
+            {(options?.supervisors || []).map((supervisor) => (
+              <option key={supervisor.id} value={supervisor.id}>{supervisor.name}</option>
+            ))}
+          </Select>
+        </div>
+      )}
+
+      <Card>
+        <CardContent className="p-0">
+          {loading ? (
+            <div className="flex justify-center py-12">
+              <IconLoader2 className="h-6 w-6 animate-spin text-gray-400" />
+            </div>
+          ) : constraints.length === 0 ? (
+            <div className="py-12 text-center text-sm text-gray-500">
+              <IconCalendarOff className="h-10 w-10 mx-auto mb-2 text-gray-300" />
+              No constraints recorded for this session.
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {canManageAll && <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">Supervisor</th>}
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">Rule</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">Applies to</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">Reason</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">Recorded by</th>
+                    <th className="px-4 py-2" />
+                  </tr>
+                </thead>
+                <tbody className="divide-y">
+                  {constraints.map((constraint) => (
+                    <tr key={constraint.id}>
+                      {canManageAll && <td className="px-4 py-2 font-medium text-gray-900">{constraint.supervisor_name}</td>}
+                      <td className="px-4 py-2">
+                        <Badge variant={TYPE_BY_VALUE[constraint.constraint_type]?.variant}>
+                          {TYPE_BY_VALUE[constraint.constraint_type]?.label}
+                        </Badge>
+                      </td>
+                      <td className="px-4 py-2 text-gray-900">{describeTarget(constraint)}</td>
+                      <td className="px-4 py-2 text-gray-600">{constraint.reason || '-'}</td>
+                      <td className="px-4 py-2 text-gray-500">
+                        {constraint.created_by_name || '-'}
+                        <div className="text-xs">{formatDate(constraint.created_at)}</div>
+                      </td>
+                      <td className="px-4 py-2 text-right">
+                        <Button size="icon" variant="ghost" onClick={() => handleDelete(constraint)} title="Remove constraint">
+                          <IconTrash className="h-4 w-4 text-red-500" />
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Dialog
+        isOpen={showModal}
+        onClose={() => setShowModal(false)}
+        title="Add Posting Constraint"
+        description="Applies to the current session only"
+        width="lg"
+        footer={
+          <div className="flex justify-end gap-2">
+            <Button variant="outline" onClick={() => setShowModal(false)}>Cancel</Button>
+            <Button type="submit" form="posting-constraint-form" loading={saving}>Save</Button>
+          </div>
+        }
+      >
+        <form id="posting-constraint-form" onSubmit={handleSubmit} className="space-y-4">
+          {canManageAll && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Supervisor</label>
+              <Select name="supervisor_id" value={formData.supervisor_id} onChange={handleChange} required>
+                <option value="">Select supervisor...</option>
+                {(options?.supervisors || []).map((supervisor) => (
+                  <option key={supervisor.id} value={supervisor.id}>{supervisor.name}</option>
+                ))}
+              </Select>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Rule</label>
+            <Select name="constraint_type" value={type} onChange={handleChange}>
+              {TYPE_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </Select>
+          </div>
+
+          {type === 'unavailable' && (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">When</label>
+                <Select name="availability" value={formData.availability} onChange={handleChange}>
+                  <option value="visit">A supervision visit</option>
+                  <option value="dates">Between dates</option>
+                  <option value="session">The whole session</option>
+                </Select>
+              </div>
+              {formData.availability === 'visit' && (
+                <Select name="visit_number" value={formData.visit_number} onChange={handleChange} required>
+                  <option value="">Select visit...</option>
+                  {(options?.timelines?.length
+                    ? options.timelines
+                    : [1, 2, 3].map((visit_number) => ({ visit_number }))
+                  ).map((timeline) => (
+                    <option key={timeline.visit_number} value={timeline.visit_number}>
+                      {timeline.title || `Visit ${timeline.visit_number}`}
+                      {timeline.start_date ? ` (${formatDate(timeline.start_date)} - ${formatDate(timeline.end_date)})` : ''}
+                    </option>
+                  ))}
+                </Select>
+              )}
+              {formData.availability === 'dates' && (
+                <div className="grid grid-cols-2 gap-3">
+                  <Input type="date" name="start_date" label="From" value={formData.start_date} onChange={handleChange} required />
+                  <Input type="date" name="end_date" label="To" value={formData.end_date} onChange={handleChange} min={formData.start_date} required />
+                </div>
+              )}
+            </>
+          )}
+
+          {type === 'blocked_school' && (
+            <Select name="institution_school_id" value={formData.institution_school_id} onChange={handleChange} required>
+              <option value="">Select school...</option>
+              {(options?.schools || []).map((school) => (
+                <option key={school.id} value={school.id}>{school.name}{school.lga ? ` (${school.lga})` : ''}</option>
+              ))}
+            </Select>
+          )}
+
+          {type === 'blocked_lga' && (
+            <Select name="lga" value={formData.lga} onChange={handleChange} required>
+              <option value="">Select LGA...</option>
+              {(options?.lgas || []).map((lga) => (
+                <option key={lga} value={lga}>{lga}</option>
+              ))}
+            </Select>
+          )}
+
+          {type === 'blocked_route' && (
+            <Select name="route_id" value={formData.route_id} onChange={handleChange} required>
+              <option value="">Select route...</option>
+              {(options?.routes || []).map((route) => (
+                <option key={route.id} value={route.id}>{route.name}</option>
+              ))}
+            </Select>
+          )}
+
+          {(type === 'never_pair' || type === 'must_pair') && (
+            <div>
+              <Select name="other_supervisor_id" value={formData.other_supervisor_id} onChange={handleChange} required>
+                <option value="">Select supervisor...</option>
+                {otherSupervisors.map((supervisor) => (
+                  <option key={supervisor.id} value={supervisor.id}>{supervisor.name}</option>
+                ))}
+              </Select>
+              <p className="text-xs text-gray-500 mt-1">
+                {type === 'never_pair'
+                  ? 'The two are never sent to the same school for the same visit.'
+                  : 'Only posted to a school for a visit when this supervisor is posted there too.'}
+              </p>
+            </div>
+          )}
+
+          <Input
+            name="reason"
+            label="Reason (optional)"
+            value={formData.reason}
+            onChange={handleChange}
+            placeholder="e.g. Annual leave, relative teaches at the school"
+          />
+        </form>
+      </Dialog>
+
+      {DialogComponent}
+    </div>
+  );
+}
+
+export default PostingConstraintsPage;
@@ -11,7 +11,10 @@ import { Card, CardHeader, CardTitle, CardContent } from '../../components/ui/Ca
 import { Button } from '../../components/ui/Button';
 import { Input } from '../../components/ui/Input';
 import { Select } from '../../components/ui/Select';
+import { Badge } from '../../components/ui/Badge';
+import { Dialog } from '../../components/ui/Dialog';
 import { usePasswordConfirmDialog } from '../../components/ui/PasswordConfirmDialog';
+import { TwoFactorSetup, RecoveryCodes } from '../../components/auth/TwoFactorSetup';
 import {
   IconUser,
   IconLock,
@@ -20,7 +23,8 @@ import {
   IconFileText,
   IconShieldCheck,
   IconStairs,
-  IconSchool
+  IconSchool,
+  IconDeviceMobile
 } from '@tabler/icons-react';
 
 function ProfilePage() {
@@ -46,6 +50,10 @@ function ProfilePage() {
   const [passwordLoading, setPasswordLoading] = useState(false);
   const [ranks, setRanks] = useState([]);
   const [faculties, setFaculties] = useState([]);
+  // null | 'enrol' | 'recovery'
+  const [twoFactorStep, setTwoFactorStep] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const twoFactor = user?.two_factor;
 
   const { confirmWithAction, DialogComponent: PasswordDialog } = usePasswordConfirmDialog();
 
@@ -161,6 +169,49 @@ function ProfilePage() {
     }
   };
 
+  const handleTwoFactorEnrolled = async (code) => {
+    const response = await authApi.enableTwoFactor(code);
+    const data = response.data.data || response.data;
+    setRecoveryCodes(data.recovery_codes || []);
+    setTwoFactorStep('recovery');
+    await refreshProfile();
+    toast.success('Two-factor authentication is on');
+  };
+
+  const handleDisableTwoFactor = () => {
+    confirmWithAction(
+      {
+        title: 'Turn Off Two-Factor Authentication',
+        description: 'Your account will be protected by your password alone. Enter your password and a code to confirm.',
+        confirmText: 'Turn Off',
+        requireCode: true,
+      },
+      async (password, code) => {
+        await authApi.disableTwoFactor({ password, code });
+        await refreshProfile();
+        toast.success('Two-factor authentication is off');
+      }
+    );
+  };
+
+  const handleRegenerateRecoveryCodes = () => {
+    confirmWithAction(
+      {
+        title: 'New Recovery Codes',
+        description: 'Your current recovery codes will stop working. Enter your password and a code to confirm.',
+        confirmText: 'Issue New Codes',
+        requireCode: true,
+      },
+      async (password, code) => {
+        const response = await authApi.regenerateRecoveryCodes({ password, code });
+        const data = response.data.data || response.data;
+        setRecoveryCodes(data.recovery_codes || []);
+        setTwoFactorStep('recovery');
+        await refreshProfile();
+      }
+    );
+  };
+
   const getRoleDisplayName = (role) => {
     const roleNames = {
       super_admin: 'Super Administrator',
@@ -412,6 +463,85 @@ function ProfilePage() {
         </Card>
       </div>
 
+      {/* Two-Factor Authentication */}
+      <Card>
+        <CardHeader>
+          <div className="flex items-center justify-between gap-2">
+            <div className="flex items-center gap-2">
+              <div className="p-2 rounded-lg bg-green-100 text-green-600">
+                <IconDeviceMobile className="w-5 h-5" />
+              </div>
+              <div>
+                <CardTitle className="text-lg">Two-Factor Authentication</CardTitle>
+                <p className="text-xs text-gray-500 mt-0.5">A code from your phone as well as your password</p>
+              </div>
+            </div>
+            <Badge variant={twoFactor?.enabled ? 'success' : 'default'}>
+              {twoFactor?.enabled ? 'On' : 'Off'}
+            </Badge>
+          </div>
+        </CardHeader>
+        <CardContent>
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+            <div className="text-sm text-gray-600 space-y-1">
+              {twoFactor?.enabled ? (
+                <>
+                  <p>Signing in asks for a code from your authenticator app.</p>
+                  <p className="text-xs text-gray-500">
+                    {twoFactor.recovery_codes_remaining} recovery code{twoFactor.recovery_codes_remaining === 1 ? '' : 's'} left
+                  </p>
+                </>
+              ) : (
+                <p>Add an authenticator app so a stolen password alone cannot open your account.</p>
+              )}
+              {twoFactor?.required && (
+                <p className="text-xs text-amber-700">Required for your role by your institution.</p>
+              )}
+            </div>
+            <div className="flex gap-2 flex-shrink-0">
+              {twoFactor?.enabled ? (
+                <>
+                  <Button variant="outline" size="sm" onClick={handleRegenerateRecoveryCodes}>
+                    New Recovery Codes
+                  </Button>
+                  {!twoFactor.required && (
+                    <Button variant="destructive" size="sm" onClick={handleDisableTwoFactor}>
+                      Turn Off
+                    </Button>
+                  )}
+                </>
+              ) : (
+                <Button size="sm" onClick={() => setTwoFactorStep('enrol')}>
+                  <IconShieldCheck className="w-4 h-4 mr-1" />
+                  Set Up
+                </Button>
+              )}
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Dialog
+        isOpen={!!twoFactorStep}
+        onClose={() => setTwoFactorStep(null)}
+        title={twoFactorStep === 'recovery' ? 'Save Your Recovery Codes' : 'Set Up Two-Factor Authentication'}
+        width="md"
+      >
+        {twoFactorStep === 'enrol' && (
+          <TwoFactorSetup
+            loadEnrolment={async () => {
+              const response = await authApi.setupTwoFactor();
+              return response.data.data || response.data;
+            }}
+            onConfirm={handleTwoFactorEnrolled}
+            onCancel={() => setTwoFactorStep(null)}
+          />
+        )}
+        {twoFactorStep === 'recovery' && (
+          <RecoveryCodes codes={recoveryCodes} onDone={() => setTwoFactorStep(null)} />
+        )}
+      </Dialog>
+
       {/* Institution Info */}
       {institution && (
         <Card>
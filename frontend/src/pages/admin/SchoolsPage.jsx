@@ -26,6 +26,7 @@ import { Select } from '../../components/ui/Select';
 import { SearchableSelect, SchoolOptionRenderer, SchoolSelectedRenderer, schoolFilterFn } from '../../components/ui/SearchableSelect';
 import { Dialog } from '../../components/ui/Dialog';
 import { ConfirmDialog } from '../../components/ui/ConfirmDialog';
+import RecalculateDistancesDialog from '../../components/RecalculateDistancesDialog';
 import {
   IconBuildingBank as IconSchool,
   IconPlus,
@@ -47,11 +48,25 @@ import {
   IconLink,
   IconShieldCheck,
   IconGitMerge,
+  IconRuler,
 } from '@tabler/icons-react';
 
 const normalizeLocationValue = (value) => String(value || '').trim().toUpperCase();
 const capitalizeSchoolInput = (value) => String(value || '').toUpperCase();
 
+// A blank distance is left out so the server computes it from the coordinates
+const optionalDistance = (value) =>
+  value === '' || value === null || value === undefined ? {} : { distance_km: parseFloat(value) || 0 };
+
+function DistanceSource({ source }) {
+  if (source !== 'computed') return null;
+  return (
+    <span className="ml-1 text-[10px] uppercase text-gray-400" title="Computed from the school's GPS coordinates">
+      auto
+    </span>
+  );
+}
+
 function SchoolsPage() {
   const { hasRole } = useAuth();
   const { toast } = useToast();
@@ -109,12 +124,14 @@ function SchoolsPage() {
   const [selectedMasterSchool, setSelectedMasterSchool] = useState(null);
   const [linkFormData, setLinkFormData] = useState({
     route_id: null,
-    distance_km: 0,
+    distance_km: '',
     student_capacity: 0,
     geofence_radius_m: 1000,
   });
   const [linking, setLinking] = useState(false);
 
+  const [showDistancesDialog, setShowDistancesDialog] = useState(false);
+
   // All schools data for filter options (fetched once on mount)
   const [allSchoolsData, setAllSchoolsData] = useState([]);
   const filterOptionsFetched = useRef(false);
@@ -319,7 +336,7 @@ function SchoolsPage() {
       await schoolsApi.linkSchool({
         master_school_id: selectedMasterSchool.id,
         route_id: linkFormData.route_id || null,
-        distance_km: parseFloat(linkFormData.distance_km) || 0,
+        ...optionalDistance(linkFormData.distance_km),
         student_capacity: parseInt(linkFormData.student_capacity) || 0,
         geofence_radius_m: parseInt(linkFormData.geofence_radius_m) || 1000,
       });
@@ -330,7 +347,7 @@ function SchoolsPage() {
       setMasterSearchResults([]);
       setLinkFormData({
         route_id: null,
-        distance_km: 0,
+        distance_km: '',
         student_capacity: 0,
         geofence_radius_m: 1000,
       });
@@ -364,7 +381,7 @@ function SchoolsPage() {
     lga: '',
     ward: '',
     address: '',
-    distance_km: 0,
+    distance_km: '',
     student_capacity: 0,
     principal_name: '',
     principal_phone: '',
@@ -415,13 +432,18 @@ function SchoolsPage() {
         const payload = {
           route_id: formData.route_id || null,
           location_category: formData.location_category,
-          distance_km: parseFloat(formData.distance_km) || 0,
           student_capacity: parseInt(formData.student_capacity) || 0,
           geofence_radius_m: parseInt(formData.geofence_radius_m) || 100,
           status: formData.status,
           notes: formData.notes || null,
         };
 
+        // Only send the distance when it was changed - sending it marks it as
+        // entered by hand, and clearing it (null) switches back to computed
+        if (String(formData.distance_km) !== String(editSchool.distance_km)) {
+          payload.distance_km = formData.distance_km === '' ? null : parseFloat(formData.distance_km) || 0;
+        }
+
         await schoolsApi.update(editSchool.id, payload);
         toast.success('School settings updated');
       } else {
@@ -444,7 +466,7 @@ function SchoolsPage() {
           address: formData.address || null,
           principal_name: formData.principal_name || null,
           principal_phone: formData.principal_phone || null,
-          distance_km: parseFloat(formData.distance_km) || 0,
+          ...optionalDistance(formData.distance_km),
           student_capacity: parseInt(formData.student_capacity) || 0,
           route_id: formData.route_id || null,
           latitude: formData.latitude ? parseFloat(formData.latitude) : null,
@@ -648,7 +670,7 @@ function SchoolsPage() {
         <div className="text-sm">
           <div className="text-gray-900">{row.ward || row.lga}</div>
           <div className="text-gray-500">
-            {row.state} • {row.distance_km} km
+            {row.state} • {row.distance_km} km<DistanceSource source={row.distance_source} />
           </div>
         </div>
       ),
@@ -833,6 +855,10 @@ function SchoolsPage() {
         <div className="flex flex-wrap gap-2">
           {canEdit && (
             <>
+              <Button variant="outline" size="sm" onClick={() => setShowDistancesDialog(true)} className="flex-1 sm:flex-none">
+                <IconRuler className="w-4 h-4 sm:mr-2" />
+                <span className="hidden sm:inline">Recalculate Distances</span>
+              </Button>
               <Button variant="outline" size="sm" onClick={() => setShowLinkModal(true)} className="flex-1 sm:flex-none">
                 <IconLink className="w-4 h-4 sm:mr-2" />
                 <span className="hidden sm:inline">Link School</span>
@@ -1040,9 +1066,11 @@ function SchoolsPage() {
                   type="number"
                   min="0"
                   step="0.1"
-                  value={formData.distance_km || 0}
+                  value={formData.distance_km ?? ''}
                   onChange={(e) => setFormData({ ...formData, distance_km: e.target.value })}
+                  placeholder="Auto from coordinates"
                 />
+                <p className="text-xs text-gray-500 mt-1">Clear to compute from the school&apos;s coordinates</p>
               </div>
 
               <div>
@@ -1262,8 +1290,9 @@ function SchoolsPage() {
                 type="number"
                 min="0"
                 step="0.1"
-                value={formData.distance_km || 0}
+                value={formData.distance_km ?? ''}
                 onChange={(e) => setFormData({ ...formData, distance_km: e.target.value })}
+                placeholder="Auto from coordinates"
               />
             </div>
 
@@ -1471,7 +1500,9 @@ function SchoolsPage() {
             </div>
             <div>
               <label className="text-gray-500 text-xs">Distance</label>
-              <p className="font-medium">{selectedSchool.distance_km} km</p>
+              <p className="font-medium">
+                {selectedSchool.distance_km} km<DistanceSource source={selectedSchool.distance_source} />
+              </p>
             </div>
             <div>
               <label className="text-gray-500 text-xs">State</label>
@@ -1705,8 +1736,9 @@ function SchoolsPage() {
                     type="number"
                     min="0"
                     step="0.1"
-                    value={linkFormData.distance_km || 0}
+                    value={linkFormData.distance_km}
                     onChange={(e) => setLinkFormData({ ...linkFormData, distance_km: e.target.value })}
+                    placeholder="Auto from coordinates"
                   />
                 </div>
                 <div>
@@ -1772,6 +1804,12 @@ function SchoolsPage() {
         loading={deleting}
       />
 
+      <RecalculateDistancesDialog
+        isOpen={showDistancesDialog}
+        onClose={() => setShowDistancesDialog(false)}
+        onApplied={fetchSchools}
+      />
+
       {/* Merge Modal - pick a target school */}
       <Dialog
         isOpen={showMergeModal}
@@ -27,6 +27,7 @@ import {
   IconClock,
   IconUsers,
   IconCheck,
+  IconListNumbers,
 } from '@tabler/icons-react';
 
 function SessionsPage() {
@@ -143,6 +144,9 @@ function SessionsPage() {
     dsa_min_distance_km: 11,
     dsa_max_distance_km: 30,
     dsa_percentage: 30,
+    // School preferences
+    allow_student_school_preference: false,
+    max_school_preferences: 3,
     status: 'active',
   });
 
@@ -206,6 +210,8 @@ function SessionsPage() {
       dsa_enabled: session.dsa_enabled === 1 || session.dsa_enabled === true,
       is_current: session.is_current === 1 || session.is_current === true,
       is_locked: session.is_locked === 1 || session.is_locked === true,
+      allow_student_school_preference:
+        session.allow_student_school_preference === 1 || session.allow_student_school_preference === true,
     });
     // Fetch supervision timelines for this session
     if (session.id) {
@@ -257,6 +263,10 @@ function SessionsPage() {
         dsa_min_distance_km: parseFloat(formData.dsa_min_distance_km) || 11,
         dsa_max_distance_km: parseFloat(formData.dsa_max_distance_km) || 30,
         dsa_percentage: parseFloat(formData.dsa_percentage) || 30,
+        // School preferences
+        allow_student_school_preference:
+          formData.allow_student_school_preference === true || formData.allow_student_school_preference === 1,
+        max_school_preferences: parseInt(formData.max_school_preferences) || 3,
         status: formData.status || 'active',
       };
 
@@ -799,6 +809,46 @@ function SessionsPage() {
                 </div>
               </div>
 
+              {/* School Preferences */}
+              <div className="border-t pt-4">
+                <h3 className="font-medium mb-4 flex items-center gap-2">
+                  <IconListNumbers className="w-4 h-4" />
+                  School Preferences
+                </h3>
+                <div className="flex items-center gap-2 mb-3">
+                  <input
+                    type="checkbox"
+                    id="allow_student_school_preference"
+                    checked={formData.allow_student_school_preference === true || formData.allow_student_school_preference === 1}
+                    onChange={(e) =>
+                      setFormData({ ...formData, allow_student_school_preference: e.target.checked })
+                    }
+                    className="w-4 h-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                  />
+                  <label htmlFor="allow_student_school_preference" className="text-sm text-gray-700">
+                    Let students rank preferred schools during the acceptance window
+                  </label>
+                </div>
+                {(formData.allow_student_school_preference === true || formData.allow_student_school_preference === 1) && (
+                  <div className="grid grid-cols-2 gap-2">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Max Preferences per Student
+                      </label>
+                      <Input
+                        type="number"
+                        min={1}
+                        max={10}
+                        value={formData.max_school_preferences || 3}
+                        onChange={(e) =>
+                          setFormData({ ...formData, max_school_preferences: e.target.value })
+                        }
+                      />
+                    </div>
+                  </div>
+                )}
+              </div>
+
               {/* Coordinator Information */}
               <div className="border-t pt-4">
                 <h3 className="font-medium mb-4 flex items-center gap-2">
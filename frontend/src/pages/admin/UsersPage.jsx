@@ -17,12 +17,14 @@ import { Dialog } from '../../components/ui/Dialog';
 import { Input } from '../../components/ui/Input';
 import { Select } from '../../components/ui/Select';
 import { ConfirmDialog } from '../../components/ui/ConfirmDialog';
+import { StaffImportDialog } from '../../components/users';
 import { getRoleName, getStatusColor, formatDate } from '../../utils/helpers';
 import { createExportAllHandler } from '../../utils/exportAll';
 import { 
   IconPencil as IconEdit, 
   IconTrash, 
   IconUserPlus,
+  IconUpload,
   IconCrown,
   IconRefresh,
   IconCircleCheck,
@@ -81,6 +83,7 @@ function UsersPage() {
 
   // Modal state
   const [showModal, setShowModal] = useState(false);
+  const [showImport, setShowImport] = useState(false);
   const [editUser, setEditUser] = useState(null);
   const [formData, setFormData] = useState(initialFormState);
   const [saving, setSaving] = useState(false);
@@ -577,10 +580,16 @@ function UsersPage() {
           <p className="text-xs sm:text-sm text-gray-500 truncate">Manage staff members and their roles</p>
         </div>
         {canEdit && (
-          <Button onClick={openCreateModal} size="sm" className="active:scale-95 flex-shrink-0">
-            <IconUserPlus className="w-4 h-4 sm:mr-2" />
-            <span className="hidden sm:inline">Add User</span>
-          </Button>
+          <div className="flex items-center gap-2 flex-shrink-0">
+            <Button variant="outline" onClick={() => setShowImport(true)} size="sm" className="active:scale-95">
+              <IconUpload className="w-4 h-4 sm:mr-2" />
+              <span className="hidden sm:inline">Bulk Import</span>
+            </Button>
+            <Button onClick={openCreateModal} size="sm" className="active:scale-95">
+              <IconUserPlus className="w-4 h-4 sm:mr-2" />
+              <span className="hidden sm:inline">Add User</span>
+            </Button>
+          </div>
         )}
       </div>
 
@@ -1002,6 +1011,8 @@ function UsersPage() {
           </div>
         )}
       </Dialog>
+
+      <StaffImportDialog isOpen={showImport} onClose={() => setShowImport(false)} onImported={fetchUsers} />
     </div>
   );
 }
@@ -0,0 +1,347 @@
+/**
+ * Visit Compliance Page
+ *
+ * Expected versus verified supervision visits: each posting against its
+ * visit window (Sessions > Visit Timelines) and the supervisor's check-in.
+ * Missing and out-of-geofence visits are unverified - the finance export
+ * lists the allowance to withhold for each. "Send Reminders" notifies
+ * supervisors whose visit window is about to close.
+ */
+
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { visitComplianceApi, sessionsApi, usersApi } from '../../api';
+import { useToast } from '../../context/ToastContext';
+import { Card, CardContent } from '../../components/ui/Card';
+import { Button } from '../../components/ui/Button';
+import { Badge } from '../../components/ui/Badge';
+import { Select } from '../../components/ui/Select';
+import { SearchableSelect } from '../../components/ui/SearchableSelect';
+import { DataTable } from '../../components/ui/DataTable';
+import {
+  IconRefresh,
+  IconDownload,
+  IconBell,
+  IconCalendarCheck,
+  IconCheck,
+  IconClock,
+  IconX,
+  IconMapPinOff,
+  IconCash,
+} from '@tabler/icons-react';
+import { formatDate, formatCurrency } from '../../utils/helpers';
+
+const STATUS_BADGES = {
+  on_time: { variant: 'success', label: 'On time' },
+  late: { variant: 'warning', label: 'Late' },
+  out_of_geofence: { variant: 'danger', label: 'Out of geofence' },
+  missing: { variant: 'danger', label: 'Missing' },
+  pending: { variant: 'outline', label: 'Pending' },
+  no_timeline: { variant: 'outline', label: 'No timeline' },
+};
+
+function VisitCompliancePage() {
+  const { toast } = useToast();
+
+  const [loading, setLoading] = useState(true);
+  const [rows, setRows] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [reminding, setReminding] = useState(false);
+
+  // Filters
+  const [sessions, setSessions] = useState([]);
+  const [selectedSession, setSelectedSession] = useState('');
+  const [supervisors, setSupervisors] = useState([]);
+  const [selectedSupervisor, setSelectedSupervisor] = useState('');
+  const [selectedVisit, setSelectedVisit] = useState('');
+  const [selectedStatus, setSelectedStatus] = useState('');
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await sessionsApi.getAll();
+      const sessionsData = response.data.data || response.data || [];
+      setSessions(sessionsData);
+      if (sessionsData.length > 0) {
+        const current = sessionsData.find((s) => s.is_current) || sessionsData[0];
+        setSelectedSession(current.id.toString());
+      }
+    } catch (err) {
+      console.error('Failed to load sessions:', err);
+    }
+  }, []);
+
+  const fetchSupervisors = useCallback(async () => {
+    try {
+      const response = await usersApi.getAll({ role: 'supervisor', limit: 500 });
+      setSupervisors(response.data.data || []);
+    } catch (err) {
+      console.error('Failed to load supervisors:', err);
+    }
+  }, []);
+
+  const filterParams = useMemo(() => {
+    const params = {};
+    if (selectedSession) params.session_id = selectedSession;
+    if (selectedSupervisor) params.supervisor_id = selectedSupervisor;
+    if (selectedVisit) params.visit_number = selectedVisit;
+    if (selectedStatus) params.status = selectedStatus;
+    return params;
+  }, [selectedSession, selectedSupervisor, selectedVisit, selectedStatus]);
+
+  const fetchReport = useCallback(async () => {
+    if (!selectedSession) return;
+    setLoading(true);
+    try {
+      const response = await visitComplianceApi.getReport(filterParams);
+      setRows(response.data.data?.rows || []);
+      setSummary(response.data.data?.summary || null);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load visit compliance');
+    } finally {
+      setLoading(false);
+    }
+  }, [filterParams, selectedSession, toast]);
+
+  useEffect(() => {
+    fetchSessions();
+    fetchSupervisors();
+  }, [fetchSessions, fetchSupervisors]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const response = await visitComplianceApi.exportReport(filterParams);
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `visit_compliance_${new Date().toISOString().slice(0, 10)}.xlsx`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      toast.error('Failed to export visit compliance');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleSendReminders = async () => {
+    try {
+      setReminding(true);
+      const response = await visitComplianceApi.sendReminders();
+      toast.success(response.data.message);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to send reminders');
+    } finally {
+      setReminding(false);
+    }
+  };
+
+  // Visits seen in the report, keeping the selected one while it filters
+  const visitOptions = useMemo(
+    () =>
+      [...new Set([...rows.map((row) => row.visit_number), ...(selectedVisit ? [Number(selectedVisit)] : [])])].sort(
+        (a, b) => a - b
+      ),
+    [rows, selectedVisit]
+  );
+
+  const columns = useMemo(
+    () => [
+      {
+        accessor: 'supervisor_name',
+        header: 'Supervisor',
+        render: (value, row) => (
+          <div>
+            <p className="font-medium">{value}</p>
+            {row.file_number && <p className="text-xs text-gray-500">{row.file_number}</p>}
+          </div>
+        ),
+      },
+      {
+        accessor: 'school_name',
+        header: 'School',
+        render: (value, row) => (
+          <div>
+            <p>{value}</p>
+            <p className="text-xs text-gray-500">Group {row.group_number}</p>
+          </div>
+        ),
+      },
+      {
+        accessor: 'visit_number',
+        header: 'Visit',
+        render: (value) => <Badge variant="outline">Visit {value}</Badge>,
+      },
+      {
+        accessor: 'window_end',
+        header: 'Window',
+        render: (_, row) =>
+          row.window_start ? (
+            <span className="text-sm text-gray-600">
+              {formatDate(row.window_start)} – {formatDate(row.window_end)}
+            </span>
+          ) : (
+            <span className="text-xs text-gray-400">Not set</span>
+          ),
+      },
+      {
+        accessor: 'checked_in_at',
+        header: 'Checked In',
+        render: (value, row) =>
+          value ? (
+            <div className="text-sm text-gray-600">
+              {formatDate(value, 'datetime')}
+              {row.claimed_at && (
+                <p className="text-xs text-gray-400">Synced later; device says {formatDate(row.claimed_at, 'datetime')}</p>
+              )}
+              {row.needs_review && <p className="text-xs text-amber-600">Claimed on time - review</p>}
+            </div>
+          ) : row.attempts > 0 ? (
+            <span className="text-xs text-red-600">
+              {row.attempts} attempt(s), closest {Math.round(row.closest_attempt_m)}m
+            </span>
+          ) : (
+            <span className="text-xs text-gray-400">—</span>
+          ),
+      },
+      {
+        accessor: 'status',
+        header: 'Status',
+        render: (value) => {
+          const { variant, label } = STATUS_BADGES[value];
+          return <Badge variant={variant}>{label}</Badge>;
+        },
+      },
+      {
+        accessor: 'allowance_total',
+        header: 'Allowance',
+        render: (value, row) => (
+          <span className={row.withhold ? 'font-medium text-red-600' : 'text-gray-700'}>
+            {formatCurrency(value)}
+            {row.withhold && <span className="ml-1 text-xs">(withhold)</span>}
+            {row.tetfund_withheld > 0 && (
+              <span className="block text-xs">+ {formatCurrency(row.tetfund_withheld)} TETFund</span>
+            )}
+          </span>
+        ),
+      },
+    ],
+    []
+  );
+
+  const summaryCards = summary
+    ? [
+        { label: 'Expected Visits', value: summary.expected, icon: IconCalendarCheck, tone: 'bg-blue-100 text-blue-600' },
+        { label: 'On Time', value: summary.on_time, icon: IconCheck, tone: 'bg-green-100 text-green-600' },
+        { label: 'Late', value: summary.late, icon: IconClock, tone: 'bg-amber-100 text-amber-600' },
+        { label: 'Missing', value: summary.missing, icon: IconX, tone: 'bg-red-100 text-red-600' },
+        { label: 'Out of Geofence', value: summary.out_of_geofence, icon: IconMapPinOff, tone: 'bg-red-100 text-red-600' },
+        { label: 'To Withhold', value: formatCurrency(summary.withheld_amount), icon: IconCash, tone: 'bg-red-100 text-red-600' },
+      ]
+    : [];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Visit Compliance</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Expected versus verified supervision visits for each posting
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <Button variant="outline" onClick={fetchReport} disabled={loading}>
+            <IconRefresh className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </Button>
+          <Button variant="outline" onClick={handleSendReminders} loading={reminding} className="gap-2">
+            <IconBell className="h-4 w-4" />
+            Send Reminders
+          </Button>
+          <Button onClick={handleExport} loading={exporting} disabled={!selectedSession} className="gap-2">
+            <IconDownload className="h-4 w-4" />
+            Finance Export
+          </Button>
+        </div>
+      </div>
+
+      {/* Summary */}
+      {summary && (
+        <div className="grid grid-cols-2 gap-4 md:grid-cols-3 lg:grid-cols-6">
+          {summaryCards.map(({ label, value, icon: Icon, tone }) => (
+            <Card key={label}>
+              <CardContent className="p-4">
+                <div className="flex items-center gap-3">
+                  <div className={`flex h-10 w-10 items-center justify-center rounded-lg ${tone}`}>
+                    <Icon className="h-5 w-5" />
+                  </div>
+                  <div className="min-w-0">
+                    <p className="truncate text-xl font-bold text-gray-900">{value}</p>
+                    <p className="text-xs text-gray-500">{label}</p>
+                  </div>
+                </div>
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="flex flex-wrap items-center gap-3">
+        <Select value={selectedSession} onChange={(e) => setSelectedSession(e.target.value)} className="w-48">
+          <option value="">Select Session</option>
+          {sessions.map((s) => (
+            <option key={s.id} value={s.id.toString()}>
+              {s.name}
+              {s.is_current ? ' (Current)' : ''}
+            </option>
+          ))}
+        </Select>
+        <div className="w-56">
+          <SearchableSelect
+            options={[
+              { value: 'all', label: 'All Supervisors' },
+              ...supervisors.map((s) => ({ value: s.id.toString(), label: s.name })),
+            ]}
+            value={selectedSupervisor || 'all'}
+            onChange={(val) => setSelectedSupervisor(val === 'all' ? '' : val)}
+            placeholder="Select Supervisor"
+          />
+        </div>
+        <Select value={selectedVisit} onChange={(e) => setSelectedVisit(e.target.value)} className="w-auto">
+          <option value="">All Visits</option>
+          {visitOptions.map((visit) => (
+            <option key={visit} value={visit}>
+              Visit {visit}
+            </option>
+          ))}
+        </Select>
+        <Select value={selectedStatus} onChange={(e) => setSelectedStatus(e.target.value)} className="w-auto">
+          <option value="">All Statuses</option>
+          {Object.entries(STATUS_BADGES).map(([value, { label }]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </Select>
+      </div>
+
+      <DataTable
+        columns={columns}
+        data={rows}
+        keyField="posting_id"
+        loading={loading}
+        exportFilename="visit_compliance"
+        emptyMessage={selectedSession ? 'No postings found' : 'Select a session'}
+      />
+    </div>
+  );
+}
+
+export default VisitCompliancePage;
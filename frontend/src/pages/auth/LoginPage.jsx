@@ -1,6 +1,9 @@
 /**
  * Staff Login Page
- * Institution-branded login with dynamic theming
+ * Institution-branded login with dynamic theming.
+ * Accounts with two-factor on get a second step for the authenticator code;
+ * staff whose institution requires two-factor enrol here before signing in.
+ * An SSO sign-in that still owes two-factor lands here on the matching step.
  */
 
 import { useState } from 'react';
@@ -8,13 +11,15 @@ import { useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import { useInstitution } from '../../context/InstitutionContext';
 import { useToast } from '../../context/ToastContext';
+import { authApi } from '../../api/auth';
 import { Button } from '../../components/ui/Button';
 import { Input } from '../../components/ui/Input';
+import { TwoFactorSetup, RecoveryCodes } from '../../components/auth/TwoFactorSetup';
 import { IconSchool, IconAlertCircle, IconBuilding } from '@tabler/icons-react';
 
 function LoginPage() {
   const navigate = useNavigate();
-  const { login } = useAuth();
+  const { login, completeTwoFactorLogin, ssoTwoFactor } = useAuth();
   const { branding, loading: brandingLoading, error: brandingError, isSuperAdminPortal } = useInstitution();
   const { toast } = useToast();
 
@@ -22,6 +27,14 @@ function LoginPage() {
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  // 'credentials' -> 'code' (two-factor on) or 'enrol' (policy requires it) -> 'recovery'
+  const [step, setStep] = useState(() => {
+    if (ssoTwoFactor?.requires_two_factor) return 'code';
+    return ssoTwoFactor?.requires_two_factor_setup ? 'enrol' : 'credentials';
+  });
+  const [challengeToken, setChallengeToken] = useState(ssoTwoFactor?.challenge_token || '');
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
 
   // Show institution not found error (only if we have a subdomain and it's invalid)
   if (brandingError && !isSuperAdminPortal) {
@@ -68,7 +81,12 @@ function LoginPage() {
     setLoading(true);
 
     try {
-      await login(email, password);
+      const result = await login(email, password);
+      if (result?.requires_two_factor || result?.requires_two_factor_setup) {
+        setChallengeToken(result.challenge_token);
+        setStep(result.requires_two_factor ? 'code' : 'enrol');
+        return;
+      }
       toast.success('Login successful!');
       navigate('/admin/dashboard');
     } catch (err) {
@@ -78,6 +96,50 @@ function LoginPage() {
     }
   };
 
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!code.trim()) {
+      setError('Please enter your authentication code');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      await completeTwoFactorLogin(challengeToken, code.trim());
+      toast.success('Login successful!');
+      navigate('/admin/dashboard');
+    } catch (err) {
+      setError(err.message || 'Invalid authentication code');
+      setCode('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleEnrolConfirm = async (enrolCode) => {
+    const { recoveryCodes: codes } = await completeTwoFactorLogin(challengeToken, enrolCode, { enrol: true });
+    setRecoveryCodes(codes || []);
+    setStep('recovery');
+  };
+
+  const restart = () => {
+    setStep('credentials');
+    setChallengeToken('');
+    setCode('');
+    setPassword('');
+    setError('');
+  };
+
+  const stepTitles = {
+    credentials: 'Staff Login',
+    code: 'Two-Factor Authentication',
+    enrol: 'Set Up Two-Factor Authentication',
+    recovery: 'Save Your Recovery Codes',
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 px-4">
       <div className="w-full max-w-md">
@@ -100,50 +162,113 @@ function LoginPage() {
 
         {/* Login Form */}
         <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
-          <h2 className="text-lg font-semibold text-gray-900 mb-6">Staff Login</h2>
+          <h2 className="text-lg font-semibold text-gray-900 mb-6">{stepTitles[step]}</h2>
 
-          <form onSubmit={handleSubmit} className="space-y-4">
-            {error && (
-              <div className="flex items-center gap-2 p-3 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg">
-                <IconAlertCircle className="w-4 h-4 flex-shrink-0" />
-                <span>{error}</span>
-              </div>
-            )}
-
-            <Input
-              type="email"
-              label="Email Address"
-              placeholder="you@institution.edu.ng"
-              value={email}
-              onChange={(e) => {
-                setEmail(e.target.value);
-                setError('');
-              }}
-              required
-            />
+          {step === 'code' && (
+            <form onSubmit={handleCodeSubmit} className="space-y-4">
+              {error && (
+                <div className="flex items-center gap-2 p-3 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg">
+                  <IconAlertCircle className="w-4 h-4 flex-shrink-0" />
+                  <span>{error}</span>
+                </div>
+              )}
+
+              <Input
+                label="Authentication Code"
+                placeholder="123456"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                helperText="Open your authenticator app, or enter one of your recovery codes."
+                value={code}
+                onChange={(e) => {
+                  setCode(e.target.value);
+                  setError('');
+                }}
+                autoFocus
+                required
+              />
+
+              <Button type="submit" className="w-full" loading={loading}>
+                Verify
+              </Button>
+              <Button type="button" variant="ghost" className="w-full" onClick={restart} disabled={loading}>
+                Back to sign in
+              </Button>
+            </form>
+          )}
+
+          {step === 'enrol' && (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-600">
+                Your institution requires two-factor authentication for your account. Set it up to finish signing in.
+              </p>
+              <TwoFactorSetup
+                loadEnrolment={async () => {
+                  const response = await authApi.setupTwoFactorLogin(challengeToken);
+                  return response.data.data || response.data;
+                }}
+                onConfirm={handleEnrolConfirm}
+                onCancel={restart}
+                confirmText="Turn On and Sign In"
+              />
+            </div>
+          )}
 
-            <Input
-              type="password"
-              label="Password"
-              placeholder="Enter your password"
-              value={password}
-              onChange={(e) => {
-                setPassword(e.target.value);
-                setError('');
+          {step === 'recovery' && (
+            <RecoveryCodes
+              codes={recoveryCodes}
+              doneText="Continue"
+              onDone={() => {
+                toast.success('Login successful!');
+                navigate('/admin/dashboard');
               }}
-              required
             />
+          )}
 
-            <div className="flex items-center justify-end">
-              <Link to="/forgot-password" className="text-sm text-primary-600 hover:underline">
-                Forgot password?
-              </Link>
-            </div>
+          {step === 'credentials' && (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              {error && (
+                <div className="flex items-center gap-2 p-3 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg">
+                  <IconAlertCircle className="w-4 h-4 flex-shrink-0" />
+                  <span>{error}</span>
+                </div>
+              )}
 
-            <Button type="submit" className="w-full" loading={loading}>
-              Sign In
-            </Button>
-          </form>
+              <Input
+                type="email"
+                label="Email Address"
+                placeholder="you@institution.edu.ng"
+                value={email}
+                onChange={(e) => {
+                  setEmail(e.target.value);
+                  setError('');
+                }}
+                required
+              />
+
+              <Input
+                type="password"
+                label="Password"
+                placeholder="Enter your password"
+                value={password}
+                onChange={(e) => {
+                  setPassword(e.target.value);
+                  setError('');
+                }}
+                required
+              />
+
+              <div className="flex items-center justify-end">
+                <Link to="/forgot-password" className="text-sm text-primary-600 hover:underline">
+                  Forgot password?
+                </Link>
+              </div>
+
+              <Button type="submit" className="w-full" loading={loading}>
+                Sign In
+              </Button>
+            </form>
+          )}
 
           <div className="mt-6 text-center text-sm text-gray-500">
             <p>
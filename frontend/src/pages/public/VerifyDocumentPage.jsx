@@ -0,0 +1,167 @@
+/**
+ * Verify Document Page (Public)
+ * Landing page for the QR code printed on PDF letters.
+ *
+ * Shows whether the document is valid, revoked or superseded, along with the
+ * details that were printed on it so the reader can compare them with the paper copy.
+ */
+
+import { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import { useInstitution } from '../../context/InstitutionContext';
+import publicApi from '../../api/publicApi';
+import { formatDate } from '../../utils/helpers';
+import {
+  IconSchool,
+  IconCircleCheck,
+  IconCircleX,
+  IconAlertTriangle,
+  IconBan,
+} from '@tabler/icons-react';
+
+const DOCUMENT_TYPE_LABELS = {
+  posting_letter: 'Posting Letter',
+  introduction_letter: 'Introduction Letter',
+  acceptance_form: 'Acceptance Form',
+  evaluation_form: 'Evaluation Form',
+  supervisor_invitation_letter: 'Supervisor Invitation Letter',
+  completion_certificate: 'Completion Certificate',
+};
+
+const STATUS_CONFIG = {
+  valid: {
+    icon: IconCircleCheck,
+    title: 'Document Verified',
+    description: 'This document was issued by the institution and is currently valid.',
+    className: 'bg-green-50 border-green-200 text-green-800',
+    iconClassName: 'text-green-600',
+  },
+  superseded: {
+    icon: IconAlertTriangle,
+    title: 'Document Superseded',
+    description: 'This document was genuinely issued, but a newer version with different details has since replaced it.',
+    className: 'bg-amber-50 border-amber-200 text-amber-800',
+    iconClassName: 'text-amber-600',
+  },
+  revoked: {
+    icon: IconBan,
+    title: 'Document Revoked',
+    description: 'This document was issued by the institution but has since been revoked and is no longer valid.',
+    className: 'bg-red-50 border-red-200 text-red-800',
+    iconClassName: 'text-red-600',
+  },
+  invalid: {
+    icon: IconCircleX,
+    title: 'Document Not Recognised',
+    description: 'This verification code is not valid. The document may have been altered or was not issued by this system.',
+    className: 'bg-red-50 border-red-200 text-red-800',
+    iconClassName: 'text-red-600',
+  },
+};
+
+function DetailRow({ label, value }) {
+  return (
+    <div className="flex justify-between gap-4 py-2 border-b border-gray-100 last:border-0">
+      <dt className="text-sm text-gray-500">{label}</dt>
+      <dd className="text-sm font-medium text-gray-900 text-right">{value || '—'}</dd>
+    </div>
+  );
+}
+
+function VerifyDocumentPage() {
+  const { token } = useParams();
+  const { branding } = useInstitution();
+
+  const [loading, setLoading] = useState(true);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    const verify = async () => {
+      setLoading(true);
+      try {
+        const response = await publicApi.verifyDocument(token);
+        setResult(response.data.data || { status: 'invalid' });
+      } catch (err) {
+        console.error('Verification failed:', err);
+        setResult({ status: 'invalid' });
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  const institution = result?.institution || branding || {};
+  const status = STATUS_CONFIG[result?.status] || STATUS_CONFIG.invalid;
+  const StatusIcon = status.icon;
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 px-4 py-10">
+      <div className="w-full max-w-md">
+        {/* Institution Branding */}
+        <div className="text-center mb-8">
+          {institution.logo_url ? (
+            <img
+              src={institution.logo_url}
+              alt={institution.name}
+              className="w-20 h-20 mx-auto mb-4 object-contain rounded-2xl"
+            />
+          ) : (
+            <div className="inline-flex items-center justify-center w-16 h-16 rounded-2xl bg-primary-600 mb-4">
+              <IconSchool className="w-10 h-10 text-white" />
+            </div>
+          )}
+          <h1 className="text-2xl font-bold text-gray-900">{institution.name}</h1>
+          <p className="text-gray-500 mt-1">Document Verification</p>
+        </div>
+
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          {loading ? (
+            <div className="flex flex-col items-center py-10">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mb-3" />
+              <p className="text-sm text-gray-500">Verifying document...</p>
+            </div>
+          ) : (
+            <>
+              <div className={`flex items-start gap-3 p-4 rounded-lg border ${status.className}`}>
+                <StatusIcon className={`w-6 h-6 flex-shrink-0 ${status.iconClassName}`} />
+                <div>
+                  <h2 className="font-semibold">{status.title}</h2>
+                  <p className="text-sm mt-1">{status.description}</p>
+                </div>
+              </div>
+
+              {result?.status !== 'invalid' && (
+                <dl className="mt-6">
+                  <DetailRow label="Document" value={DOCUMENT_TYPE_LABELS[result.document_type] || result.document_type} />
+                  <DetailRow label="Student" value={result.student_name} />
+                  <DetailRow label="Registration Number" value={result.registration_number} />
+                  <DetailRow label="School" value={result.school_name} />
+                  <DetailRow label="Session" value={result.session_name} />
+                  <DetailRow label="Issued On" value={formatDate(result.issued_at)} />
+                  <DetailRow label="Reference" value={result.reference} />
+                  {result.status === 'superseded' && (
+                    <DetailRow label="Superseded On" value={formatDate(result.superseded_at)} />
+                  )}
+                  {result.status === 'revoked' && (
+                    <>
+                      <DetailRow label="Revoked On" value={formatDate(result.revoked_at)} />
+                      <DetailRow label="Reason" value={result.revocation_reason} />
+                    </>
+                  )}
+                </dl>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="mt-8 text-center text-sm text-gray-400">
+          <p>Powered by DigitalTP</p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default VerifyDocumentPage;
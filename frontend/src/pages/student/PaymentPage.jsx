@@ -1,14 +1,15 @@
 /**
  * Student Payment Page
  * Modern, beautiful design following JEI patterns
- * - Server-side initialization with access_code
+ * - Server-side initialization with the institution's payment gateway
+ *   (Paystack opens inline; other gateways redirect and return here)
  * - Server-side verification (never trust frontend callbacks)
  * - Payment available during acceptance period (uses acceptance start/end dates from session)
  * - Real-time status updates
  */
 
 import { useState, useEffect, useCallback, useRef } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { paymentsApi, portalApi } from '../../api';
 import { useToast } from '../../context/ToastContext';
 import { usePaystackInline } from '../../hooks';
@@ -122,6 +123,7 @@ const StatCard = ({ icon: Icon, label, value, variant = 'default', className })
 
 function PaymentPage() {
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
   const { toast } = useToast();
   const { resumeTransaction } = usePaystackInline();
   const contentRef = useRef(null);
@@ -235,6 +237,15 @@ function PaymentPage() {
     }
   }, [toast, fetchData]);
 
+  // Returning from a redirect gateway: verify the reference it hands back
+  // (reference, Flutterwave tx_ref or Remita orderID), then clean the URL
+  useEffect(() => {
+    const reference = searchParams.get('reference') || searchParams.get('tx_ref') || searchParams.get('orderID');
+    if (!reference) return;
+    setSearchParams({}, { replace: true });
+    verifyPaymentOnServer(reference);
+  }, [searchParams, setSearchParams, verifyPaymentOnServer]);
+
   // Initialize and process payment following JEI Paystack pattern
   const handlePayment = useCallback(async () => {
     if (!session || !paymentStatus?.remaining) return;
@@ -243,29 +254,35 @@ function PaymentPage() {
     setError(null);
 
     try {
-      // Step 1: Initialize payment on server (get Paystack access code)
+      // Step 1: Initialize payment on server with the institution's gateway
       const result = await paymentsApi.initializePayment(session.id);
-      const { paystack } = result.data.data;
+      const { gateway, checkout } = result.data.data;
 
-      if (!paystack || !paystack.accessCode) {
+      if (!checkout || (gateway === 'paystack' ? !checkout.accessCode : !checkout.authorizationUrl)) {
         throw new Error('Invalid payment initialization response');
       }
 
       // Store payment info for potential retry
       setPendingPayment({
-        reference: paystack.reference,
-        accessCode: paystack.accessCode,
+        reference: checkout.reference,
+        accessCode: checkout.accessCode,
       });
 
       setPaymentState(PAYMENT_STATES.PROCESSING);
 
+      // Other gateways: pay on the gateway's page, which returns here
+      if (gateway !== 'paystack') {
+        window.location.assign(checkout.authorizationUrl);
+        return;
+      }
+
       // Step 2: Open Paystack popup using access_code (JEI pattern)
       resumeTransaction({
-        accessCode: paystack.accessCode,
+        accessCode: checkout.accessCode,
         onSuccess: async () => {
           // CRITICAL: Verify payment server-side (JEI pattern)
           // Never trust frontend callback - always verify with backend
-          await verifyPaymentOnServer(paystack.reference);
+          await verifyPaymentOnServer(checkout.reference);
         },
         onCancel: () => {
           setPaymentState(PAYMENT_STATES.IDLE);
@@ -727,7 +744,7 @@ function PaymentPage() {
                     <div className="flex items-center justify-center gap-3 pt-2">
                       <div className="flex items-center gap-1.5 text-xs text-gray-400">
                         <IconShieldCheck className="w-4 h-4" />
-                        <span>Secured by Paystack</span>
+                        <span>Secured payment</span>
                       </div>
                     </div>
                   </div>
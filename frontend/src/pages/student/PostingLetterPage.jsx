@@ -1,6 +1,6 @@
 /**
  * Posting Letter Page (Student)
- * View and print posting letter for confirmed school placement
+ * View, print or download (PDF) posting letter for confirmed school placement
  * 
  * Uses the template system for body content while keeping React-based header/footer
  * Access is controlled by the session's posting_letters_available_from date
@@ -28,6 +28,7 @@ import {
 } from '../../components/documents/DocumentPreview';
 import {
   IconPrinter,
+  IconDownload,
   IconRefresh,
   IconAlertCircle,
   IconFileText,
@@ -47,6 +48,7 @@ function PostingLetterPage() {
   const [error, setError] = useState(null);
   const [availabilityInfo, setAvailabilityInfo] = useState(null);
   const [postingLetterWindow, setPostingLetterWindow] = useState(null);
+  const [downloading, setDownloading] = useState(false);
 
   // Fetch portal status for availability date info
   const fetchPortalStatus = useCallback(async () => {
@@ -104,6 +106,27 @@ function PostingLetterPage() {
     window.print();
   };
 
+  // Download the server-rendered PDF (includes the QR verification code)
+  const handleDownloadPdf = async () => {
+    setDownloading(true);
+    try {
+      const response = await portalApi.downloadDocumentPdf('posting_letter');
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `posting_letter_${documentData?.student?.registration_number?.replace(/\//g, '-') || 'student'}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Failed to download posting letter PDF:', err);
+      toast.error('Failed to download PDF');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
   // Generate reference number
   const getReference = () => {
     const student = documentData?.student;
@@ -261,6 +284,12 @@ function PostingLetterPage() {
             <IconRefresh className="w-4 h-4 sm:mr-2" />
             <span className="hidden sm:inline">Refresh</span>
           </Button>
+          {templateHtml && (
+            <Button variant="outline" size="sm" onClick={handleDownloadPdf} loading={downloading} className="active:scale-95">
+              <IconDownload className="w-4 h-4 sm:mr-2" />
+              <span className="hidden sm:inline">Download PDF</span>
+            </Button>
+          )}
           <Button variant="primary" size="sm" onClick={handlePrint} className="active:scale-95">
             <IconPrinter className="w-4 h-4 sm:mr-2" />
             <span className="hidden sm:inline">Print</span>
@@ -0,0 +1,267 @@
+/**
+ * School Preferences Page (Student)
+ * Rank preferred teaching practice schools during the acceptance window.
+ *
+ * Only available when the current session allows student school preferences.
+ * Preferences are advisory - the TP office uses them when posting students,
+ * but the final school is confirmed on the acceptance form.
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { acceptancesApi } from '../../api';
+import { useToast } from '../../context/ToastContext';
+import { formatDateTime, getOrdinal } from '../../utils/helpers';
+import { Card, CardContent } from '../../components/ui/Card';
+import { Button } from '../../components/ui/Button';
+import { Badge } from '../../components/ui/Badge';
+import { SearchableSelect } from '../../components/ui/SearchableSelect';
+import {
+  IconArrowDown,
+  IconArrowUp,
+  IconDeviceFloppy,
+  IconInfoCircle,
+  IconListNumbers,
+  IconLock,
+  IconMapPin,
+  IconRefresh,
+  IconTrash,
+} from '@tabler/icons-react';
+
+function SchoolPreferencesPage() {
+  const { toast } = useToast();
+
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [info, setInfo] = useState(null);
+  const [schools, setSchools] = useState([]);
+  const [selected, setSelected] = useState([]); // ranked school objects, best first
+  const [pendingSchool, setPendingSchool] = useState('');
+
+  const fetchData = useCallback(async () => {
+    setLoading(true);
+    try {
+      const prefsRes = await acceptancesApi.getSchoolPreferences();
+      const data = prefsRes.data.data || {};
+      setInfo(data);
+      setSelected(
+        (data.preferences || []).map((p) => ({
+          id: p.school_id,
+          name: p.school_name,
+          school_code: p.school_code,
+          lga: p.lga,
+          state: p.state,
+        }))
+      );
+
+      if (data.can_edit) {
+        const schoolsRes = await acceptancesApi.getAvailableSchools();
+        setSchools(schoolsRes.data.data || []);
+      }
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load school preferences');
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const maxPreferences = info?.max_preferences || 3;
+  const canEdit = !!info?.can_edit;
+
+  const selectableSchools = useMemo(
+    () => schools.filter((s) => !selected.some((p) => p.id === s.id)),
+    [schools, selected]
+  );
+
+  const addSchool = (value) => {
+    const school = schools.find((s) => String(s.id) === String(value));
+    if (!school || selected.length >= maxPreferences) return;
+    setSelected((prev) => [...prev, school]);
+    setPendingSchool('');
+  };
+
+  const moveSchool = (index, direction) => {
+    setSelected((prev) => {
+      const next = [...prev];
+      const target = index + direction;
+      if (target < 0 || target >= next.length) return prev;
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  const removeSchool = (index) => {
+    setSelected((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSave = async () => {
+    if (selected.length === 0) {
+      toast.error('Choose at least one school');
+      return;
+    }
+    setSaving(true);
+    try {
+      await acceptancesApi.saveSchoolPreferences(selected.map((s) => s.id));
+      toast.success('School preferences saved');
+      fetchData();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to save school preferences');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[300px] sm:min-h-[400px] px-4">
+        <div className="flex flex-col items-center gap-3 sm:gap-4">
+          <div className="animate-spin rounded-full h-10 w-10 sm:h-12 sm:w-12 border-4 border-primary-200 border-t-primary-600"></div>
+          <p className="text-gray-500 text-sm sm:text-base">Loading school preferences...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!info?.enabled) {
+    return (
+      <div className="max-w-2xl mx-auto px-1">
+        <Card>
+          <CardContent className="p-6 sm:p-12 text-center">
+            <div className="w-12 h-12 sm:w-16 sm:h-16 bg-gray-100 rounded-full flex items-center justify-center mx-auto mb-3 sm:mb-4">
+              <IconListNumbers className="w-6 h-6 sm:w-8 sm:h-8 text-gray-400" />
+            </div>
+            <h2 className="text-lg sm:text-xl font-semibold text-gray-900 mb-2">School Preferences Not Open</h2>
+            <p className="text-gray-600 text-sm sm:text-base">
+              Your institution is not collecting school preferences for the current session.
+            </p>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  // Explain why the list is read-only
+  let lockedReason = null;
+  if (!canEdit) {
+    if (info.acceptance_submitted) {
+      lockedReason = 'Your acceptance form has been submitted, so your preferences can no longer be changed.';
+    } else if (!info.window_open) {
+      lockedReason = info.window?.starts_at
+        ? `Preferences can be changed while the acceptance window is open (${formatDateTime(info.window.starts_at)} - ${formatDateTime(info.window.ends_at)}).`
+        : 'The acceptance window has not been scheduled yet.';
+    } else {
+      lockedReason = 'This session is locked. Preferences can no longer be changed.';
+    }
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-4 px-1">
+      <div className="flex items-center justify-between gap-2">
+        <div className="min-w-0 flex-1">
+          <h1 className="text-xl sm:text-2xl font-bold text-gray-900">School Preferences</h1>
+          {info.session && (
+            <p className="text-xs sm:text-sm text-gray-500 truncate">Session: {info.session.name}</p>
+          )}
+        </div>
+        <Button variant="outline" size="sm" onClick={fetchData} className="active:scale-95">
+          <IconRefresh className="w-4 h-4 sm:mr-2" />
+          <span className="hidden sm:inline">Refresh</span>
+        </Button>
+      </div>
+
+      {lockedReason ? (
+        <div className="flex items-start gap-3 p-3 rounded-lg bg-amber-50 border border-amber-200 text-amber-800">
+          <IconLock className="w-5 h-5 flex-shrink-0 mt-0.5" />
+          <p className="text-sm">{lockedReason}</p>
+        </div>
+      ) : (
+        <div className="flex items-start gap-3 p-3 rounded-lg bg-blue-50 border border-blue-200 text-blue-800">
+          <IconInfoCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+          <p className="text-sm">
+            Choose up to {maxPreferences} schools in order of preference. The TP office tries to honour
+            your choices, but placement also depends on each school&apos;s capacity.
+          </p>
+        </div>
+      )}
+
+      <Card>
+        <CardContent className="p-4 sm:p-6 space-y-4">
+          {canEdit && selected.length < maxPreferences && (
+            <SearchableSelect
+              label={`Add your ${getOrdinal(selected.length + 1)} choice`}
+              options={selectableSchools}
+              value={pendingSchool}
+              onChange={addSchool}
+              placeholder="Select a school..."
+              searchPlaceholder="Search schools..."
+              getOptionValue={(s) => s.id.toString()}
+              getOptionLabel={(s) => `${s.name}${s.lga ? ` (${s.lga})` : ''}`}
+            />
+          )}
+
+          {selected.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-6">No schools chosen yet.</p>
+          ) : (
+            <ol className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+              {selected.map((school, index) => (
+                <li key={school.id} className="flex items-center gap-3 p-3">
+                  <Badge variant={index === 0 ? 'primary' : 'default'} className="flex-shrink-0">
+                    {getOrdinal(index + 1)}
+                  </Badge>
+                  <div className="min-w-0 flex-1">
+                    <p className="font-medium text-gray-900 truncate">{school.name}</p>
+                    {(school.lga || school.state) && (
+                      <p className="text-xs text-gray-500 flex items-center gap-1">
+                        <IconMapPin className="w-3 h-3" />
+                        {[school.lga, school.state].filter(Boolean).join(', ')}
+                      </p>
+                    )}
+                  </div>
+                  {canEdit && (
+                    <div className="flex items-center gap-1 flex-shrink-0">
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => moveSchool(index, -1)}
+                        disabled={index === 0}
+                        title="Move up"
+                      >
+                        <IconArrowUp className="w-4 h-4" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => moveSchool(index, 1)}
+                        disabled={index === selected.length - 1}
+                        title="Move down"
+                      >
+                        <IconArrowDown className="w-4 h-4" />
+                      </Button>
+                      <Button variant="ghost" size="sm" onClick={() => removeSchool(index)} title="Remove">
+                        <IconTrash className="w-4 h-4 text-red-500" />
+                      </Button>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
+
+          {canEdit && (
+            <div className="flex justify-end">
+              <Button onClick={handleSave} loading={saving} disabled={selected.length === 0}>
+                <IconDeviceFloppy className="w-4 h-4 mr-2" />
+                Save Preferences
+              </Button>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+export default SchoolPreferencesPage;
@@ -3,6 +3,7 @@
  * 
  * Shows supervisor's postings with location verification status.
  * Allows supervisor to record their location for each posting via dialog.
+ * Check-ins recorded without a connection are queued and synced later.
  */
 
 import { useState, useEffect, useCallback } from 'react';
@@ -14,6 +15,7 @@ import { Badge } from '../../components/ui/Badge';
 import { Select } from '../../components/ui/Select';
 import { Dialog } from '../../components/ui/Dialog';
 import { LocationVerification } from '../../components/LocationVerification';
+import { OfflineSyncStatus } from '../../components/OfflineSyncStatus';
 import {
   IconMapPin,
   IconRefresh,
@@ -149,6 +151,8 @@ function LocationTrackerPage() {
         </div>
       </div>
 
+      <OfflineSyncStatus onSynced={fetchPostings} />
+
       {/* Statistics Cards */}
       <div className="grid grid-cols-2 gap-4 sm:grid-cols-4">
         <Card>
@@ -417,6 +421,7 @@ function LocationTrackerPage() {
               <LocationVerification
                 posting={selectedPosting}
                 onVerified={handleVerified}
+                onQueued={() => setDialogOpen(false)}
                 onError={(error) => {
                   toast.error(error);
                 }}
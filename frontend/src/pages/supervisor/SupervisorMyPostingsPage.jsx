@@ -11,6 +11,7 @@ import { Link } from 'react-router-dom';
 import { postingsApi } from '../../api';
 import { useAuth } from '../../context/AuthContext';
 import { useToast } from '../../context/ToastContext';
+import { useNotificationListener } from '../../context/NotificationContext';
 import { Card, CardContent } from '../../components/ui/Card';
 import { Button } from '../../components/ui/Button';
 import { Select } from '../../components/ui/Select';
@@ -89,6 +90,9 @@ function SupervisorMyPostingsPage() {
     fetchPostings();
   }, [fetchPostings]);
 
+  // Reload when a new posting is made for this supervisor (no page refresh needed)
+  useNotificationListener(['posting_created', 'postings_auto_created'], fetchPostings);
+
   const handlePrint = () => {
     window.print();
   };
@@ -1,6 +1,7 @@
 /**
  * Supervisor Result Upload Page
- * Allows supervisors to upload/edit student scores for their assigned groups
+ * Allows supervisors to upload/edit student scores for their assigned groups.
+ * Scores saved without a connection are queued on the device and synced later.
  * 
  * UI/UX Pattern: Based on StudentsRegroupPage
  */
@@ -14,6 +15,7 @@ import { Badge } from '../../components/ui/Badge';
 import { Input } from '../../components/ui/Input';
 import { SearchableSelect } from '../../components/ui/SearchableSelect';
 import { DataTable } from '../../components/ui/DataTable';
+import { OfflineSyncStatus } from '../../components/OfflineSyncStatus';
 import {
   IconUsers,
   IconClipboardCheck,
@@ -25,6 +27,7 @@ import {
   IconX,
 } from '@tabler/icons-react';
 import { getOrdinal } from '../../utils/helpers';
+import { OFFLINE_RECORD_TYPES, isNetworkError, queueRecord } from '../../utils/offlineQueue';
 
 function SupervisorResultUploadPage() {
   const { toast } = useToast();
@@ -301,6 +304,23 @@ function SupervisorResultUploadPage() {
       score_breakdown: scoreData.score_breakdown || null,
     }));
 
+    // Offline: sign and queue the scores on this device, to save when it syncs
+    const queueResults = async () => {
+      try {
+        await queueRecord(OFFLINE_RECORD_TYPES.SCORES, { results });
+        setPendingChanges({});
+        toast.success(`You are offline. ${results.length} score(s) saved on this device and will sync when you reconnect.`);
+      } catch (queueErr) {
+        toast.error(queueErr.message);
+      }
+    };
+
+    if (!navigator.onLine) {
+      await queueResults();
+      setSavingChanges(false);
+      return;
+    }
+
     try {
       const response = await resultsApi.submitBulkResults(results);
       const { successful, failed } = response.data.data || response.data || {};
@@ -316,7 +336,11 @@ function SupervisorResultUploadPage() {
       // Refresh to get updated data
       fetchStudentsForScoring();
     } catch (err) {
-      toast.error(err.response?.data?.message || 'Failed to save results');
+      if (isNetworkError(err)) {
+        await queueResults();
+      } else {
+        toast.error(err.response?.data?.message || 'Failed to save results');
+      }
     } finally {
       setSavingChanges(false);
     }
@@ -663,6 +687,8 @@ function SupervisorResultUploadPage() {
         </Button>
       </div>
 
+      <OfflineSyncStatus onSynced={() => selectedGroup && fetchStudentsForScoring()} />
+
       {/* Statistics */}
       {statistics && selectedGroup && (
         <div className="grid grid-cols-2 lg:grid-cols-4 gap-2 sm:gap-4">
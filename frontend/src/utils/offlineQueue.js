@@ -0,0 +1,350 @@
+/**
+ * Offline Queue Utility
+ *
+ * Lets supervisors at schools with poor connectivity capture check-ins and
+ * scores offline. Records are queued in IndexedDB and synced when the
+ * connection returns.
+ *
+ * Each record is signed on the device (HMAC-SHA256, Web Crypto) with a key
+ * issued by the server while online, and numbered with a per-device
+ * sequence. The server checks the signature, sequence and client timestamp
+ * before accepting it, so a queued record cannot be edited or re-dated.
+ * The signed bytes must match the server's canonical JSON exactly - see
+ * backend/src/services/offlineSyncService.js.
+ *
+ * @module utils/offlineQueue
+ */
+
+import { locationApi } from '../api/location';
+import { resultsApi } from '../api/results';
+import { getCurrentInstitutionId } from '../api/client';
+
+const DB_NAME = 'digitaltp_offline';
+const DB_VERSION = 1;
+const RECORDS_STORE = 'records';
+const META_STORE = 'meta';
+
+// Same device UUID the check-in device fingerprint uses
+const DEVICE_ID_KEY = 'digitaltp_device_id';
+
+// Largest batch each sync endpoint accepts
+const BATCH_SIZES = { check_in: 10, scores: 50 };
+
+export const OFFLINE_RECORD_TYPES = {
+  CHECK_IN: 'check_in',
+  SCORES: 'scores',
+};
+
+/**
+ * Device UUID held in the browser, created on first use
+ * @returns {string}
+ */
+export function getDeviceId() {
+  let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+  if (!deviceId) {
+    deviceId = crypto.randomUUID();
+    localStorage.setItem(DEVICE_ID_KEY, deviceId);
+  }
+  return deviceId;
+}
+
+/**
+ * Whether an error means the request never reached the server
+ * @param {Error} error - Axios error
+ * @returns {boolean}
+ */
+export function isNetworkError(error) {
+  return !navigator.onLine || (!!error?.request && !error?.response);
+}
+
+// ============================================================================
+// IndexedDB helpers
+// ============================================================================
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(RECORDS_STORE)) {
+          const store = db.createObjectStore(RECORDS_STORE, { keyPath: 'client_id' });
+          store.createIndex('institution_id', 'institution_id');
+        }
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE, { keyPath: 'name' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(storeName, mode, callback) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = callback(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+const getMeta = (name) => withStore(META_STORE, 'readonly', (store) => store.get(name));
+const putMeta = (value) => withStore(META_STORE, 'readwrite', (store) => store.put(value));
+
+// ============================================================================
+// Signing
+// ============================================================================
+
+/**
+ * JSON with object keys sorted at every level (mirrors the server)
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalise(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalise).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalise(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+const toHex = (buffer) =>
+  Array.from(new Uint8Array(buffer))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+
+async function hmac(key, message) {
+  const encoder = new TextEncoder();
+  const cryptoKey = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(key),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  return toHex(await crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(message)));
+}
+
+/**
+ * SHA-256 of a photo, so the photo is covered by the record's signature
+ * @param {Blob} blob
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashFile(blob) {
+  return toHex(await crypto.subtle.digest('SHA-256', await blob.arrayBuffer()));
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Fetch this device's signing key while online, so records can be captured
+ * offline later. Safe to call on every page load.
+ * @returns {Promise<boolean>} Whether offline capture is ready
+ */
+export async function prepareOffline() {
+  const institutionId = getCurrentInstitutionId();
+  if (!institutionId || !navigator.onLine || !window.indexedDB) {
+    return isOfflineReady();
+  }
+
+  try {
+    const deviceId = getDeviceId();
+    const response = await locationApi.getOfflineKey(deviceId);
+    const { key, last_sequence } = response.data.data || response.data;
+    const existing = await getMeta(`signing:${institutionId}`);
+    await putMeta({
+      name: `signing:${institutionId}`,
+      device_id: deviceId,
+      key,
+      // Never reuse a sequence, whether or not its record has synced yet
+      sequence: Math.max(existing?.key === key ? existing.sequence : 0, last_sequence || 0),
+    });
+    return true;
+  } catch {
+    return isOfflineReady();
+  }
+}
+
+/**
+ * Whether this device holds a signing key for the current institution
+ * @returns {Promise<boolean>}
+ */
+export async function isOfflineReady() {
+  const institutionId = getCurrentInstitutionId();
+  if (!institutionId || !window.indexedDB) return false;
+  const signing = await getMeta(`signing:${institutionId}`).catch(() => null);
+  return !!signing?.key;
+}
+
+/**
+ * Sign and queue a record captured offline
+ * @param {string} type - One of OFFLINE_RECORD_TYPES
+ * @param {Object} payload - Record data (check-in fields or { results })
+ * @param {Object<string, Blob>} [files] - Check-in photos keyed by field name
+ * @returns {Promise<Object>} The queued record
+ */
+export async function queueRecord(type, payload, files = {}) {
+  const institutionId = getCurrentInstitutionId();
+  const signing = await getMeta(`signing:${institutionId}`);
+  if (!signing?.key) {
+    throw new Error('Offline capture is not set up on this device. Connect to the internet once to enable it.');
+  }
+
+  const sequence = signing.sequence + 1;
+  await putMeta({ ...signing, sequence });
+
+  const envelope = {
+    client_id: crypto.randomUUID(),
+    type,
+    device_id: signing.device_id,
+    sequence,
+    client_timestamp: new Date().toISOString(),
+    // Drop undefined values so the signed JSON matches what is sent
+    payload: JSON.parse(JSON.stringify(payload)),
+  };
+  envelope.signature = await hmac(
+    signing.key,
+    canonicalise({
+      type: envelope.type,
+      device_id: envelope.device_id,
+      sequence: envelope.sequence,
+      client_timestamp: envelope.client_timestamp,
+      payload: envelope.payload,
+    })
+  );
+
+  const record = { ...envelope, institution_id: institutionId, files };
+  await withStore(RECORDS_STORE, 'readwrite', (store) => store.put(record));
+  window.dispatchEvent(new CustomEvent('offline-queue-changed'));
+  return record;
+}
+
+/**
+ * Records waiting to sync for the current institution, in capture order
+ * @param {string} [type] - Only this record type
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getPendingRecords(type) {
+  const institutionId = getCurrentInstitutionId();
+  if (!institutionId || !window.indexedDB) return [];
+  const records = await withStore(RECORDS_STORE, 'readonly', (store) =>
+    store.index('institution_id').getAll(institutionId)
+  );
+  return (records || [])
+    .filter((record) => !type || record.type === type)
+    .sort((a, b) => a.sequence - b.sequence);
+}
+
+async function removeRecords(clientIds) {
+  await withStore(RECORDS_STORE, 'readwrite', (store) => {
+    clientIds.forEach((clientId) => store.delete(clientId));
+  });
+}
+
+const envelopeOf = ({ client_id, type, device_id, sequence, client_timestamp, payload, signature }) => ({
+  client_id,
+  type,
+  device_id,
+  sequence,
+  client_timestamp,
+  payload,
+  signature,
+});
+
+async function sendBatch(type, records) {
+  if (type === OFFLINE_RECORD_TYPES.CHECK_IN) {
+    const files = {};
+    records.forEach((record) => {
+      Object.entries(record.files || {}).forEach(([field, blob]) => {
+        files[`${field}_${record.client_id}`] = blob;
+      });
+    });
+    return locationApi.verifyLocationBatch(records.map(envelopeOf), files);
+  }
+  return resultsApi.syncOfflineResults(records.map(envelopeOf));
+}
+
+let syncPromise = null;
+
+/**
+ * Send queued records in capture order. Check-ins and scores go to their own
+ * endpoints; consecutive records of one type share a batch. Records the
+ * server has processed leave the queue. A network failure or a refused batch
+ * stops the sync and leaves the rest queued: later batches would move the
+ * device's sequence past the records still waiting, and the server would
+ * then refuse those for good.
+ * @returns {Promise<{ accepted: Array, rejected: Array, pending: number }>}
+ *   rejected holds the server's outcome for records it refused
+ */
+export function syncPending() {
+  if (!syncPromise) {
+    syncPromise = (async () => {
+      const accepted = [];
+      const rejected = [];
+      const records = await getPendingRecords();
+
+      let index = 0;
+      while (index < records.length && navigator.onLine) {
+        const { type } = records[index];
+        const batch = [];
+        while (
+          index < records.length &&
+          records[index].type === type &&
+          batch.length < BATCH_SIZES[type]
+        ) {
+          batch.push(records[index]);
+          index += 1;
+        }
+
+        let outcomes;
+        try {
+          const response = await sendBatch(type, batch);
+          outcomes = response.data.data || [];
+        } catch (error) {
+          if (isNetworkError(error)) break;
+          // The whole batch was refused (e.g. session locked) - keep it and
+          // everything after it for a later try
+          rejected.push(
+            ...batch.map((record) => ({
+              client_id: record.client_id,
+              type,
+              status: 'rejected',
+              message: error.response?.data?.message || error.message,
+            }))
+          );
+          break;
+        }
+
+        await removeRecords(outcomes.map((outcome) => outcome.client_id));
+        outcomes.forEach((outcome) => {
+          (outcome.status === 'accepted' ? accepted : rejected).push({ ...outcome, type });
+        });
+      }
+
+      const pending = (await getPendingRecords()).length;
+      window.dispatchEvent(new CustomEvent('offline-queue-changed'));
+      return { accepted, rejected, pending };
+    })().finally(() => {
+      syncPromise = null;
+    });
+  }
+  return syncPromise;
+}